@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, Image, StyleSheet, AppState } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { BlurView } from 'expo-blur';
+import { useAuth } from '../contexts/AuthContext';
+import appLock, { shouldLockOnResume } from '../services/appLock';
+
+/**
+ * Covers the app with a lock screen until the user unlocks it, and with a blurred privacy
+ * screen whenever the app is not in the foreground so the app switcher doesn't show
+ * medical or financial details. On Android the screen is also kept out of screenshots
+ * and the app switcher while the lock is on.
+ */
+const AppLockGate = ({ children }) => {
+  const { logout } = useAuth();
+  const [checking, setChecking] = useState(true);
+  const [locked, setLocked] = useState(false);
+  const [covered, setCovered] = useState(AppState.currentState !== 'active');
+  const backgroundedAt = useRef(null);
+  const authenticating = useRef(false);
+
+  const unlock = async () => {
+    if (authenticating.current) return;
+
+    authenticating.current = true;
+    const success = await appLock.authenticate();
+    authenticating.current = false;
+
+    if (success) {
+      setLocked(false);
+    }
+  };
+
+  const lockIfEnabled = async () => {
+    const enabled = (await appLock.isEnabled()) && (await appLock.canAuthenticate());
+    appLock.protectScreen(enabled);
+    setLocked(enabled);
+    setChecking(false);
+    if (enabled) {
+      unlock();
+    }
+  };
+
+  useEffect(() => {
+    lockIfEnabled();
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        // iOS takes the app switcher snapshot while inactive
+        setCovered(true);
+        if (state === 'background' && backgroundedAt.current === null) {
+          backgroundedAt.current = Date.now();
+        }
+        return;
+      }
+
+      const relock = shouldLockOnResume(backgroundedAt.current);
+      backgroundedAt.current = null;
+      if (relock) {
+        // Stay covered until we know whether to lock
+        lockIfEnabled().then(() => setCovered(false));
+      } else {
+        setCovered(false);
+      }
+    });
+
+    return () => subscription.remove();
+  }, []);
+
+  const renderLockScreen = () => (
+    <View style={styles.overlay}>
+      <Image source={require('../../assets/icon.png')} style={styles.appIcon} />
+      <Text style={styles.title}>Healthy Home is locked</Text>
+      <Text style={styles.subtitle}>Unlock to view your family's health and finance records</Text>
+      <TouchableOpacity style={styles.unlockButton} onPress={unlock}>
+        <Ionicons name="lock-open" size={20} color="#ffffff" />
+        <Text style={styles.unlockButtonText}>Unlock</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.signOutButton} onPress={logout}>
+        <Text style={styles.signOutText}>Sign out</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderPrivacyCover = () => (
+    <BlurView intensity={100} tint="light" experimentalBlurMethod="dimezisBlurView" style={styles.privacyCover}>
+      <Image source={require('../../assets/icon.png')} style={styles.appIcon} />
+    </BlurView>
+  );
+
+  let overlay = null;
+  if (checking || (covered && !locked)) {
+    overlay = renderPrivacyCover();
+  } else if (locked) {
+    overlay = renderLockScreen();
+  }
+
+  return (
+    <View style={styles.container}>
+      {children}
+      {overlay}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#f8fafc',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  privacyCover: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  appIcon: {
+    width: 96,
+    height: 96,
+    borderRadius: 20,
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    textAlign: 'center',
+    marginBottom: 32,
+  },
+  unlockButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#6366f1',
+    paddingVertical: 14,
+    paddingHorizontal: 32,
+    borderRadius: 12,
+  },
+  unlockButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  signOutButton: {
+    marginTop: 20,
+    padding: 8,
+  },
+  signOutText: {
+    fontSize: 16,
+    color: '#6b7280',
+  },
+});
+
+export default AppLockGate;
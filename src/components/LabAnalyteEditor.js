@@ -0,0 +1,171 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getStandardTextInputProps } from '../utils/inputStyles';
+import { ANALYTE_DEFINITIONS, formatReferenceRange } from '../utils/labResults';
+
+const EMPTY_ANALYTE = { name: '', value: '', unit: '', referenceRange: '' };
+
+/**
+ * Editable list of lab result analytes
+ * Values are kept as typed; they are normalized when the record is saved.
+ */
+const LabAnalyteEditor = ({ analytes = [], onChange, error }) => {
+  const updateAnalyte = (index, key, value) => {
+    onChange(analytes.map((analyte, i) => (i === index ? { ...analyte, [key]: value } : analyte)));
+  };
+
+  const removeAnalyte = (index) => {
+    onChange(analytes.filter((_, i) => i !== index));
+  };
+
+  const addAnalyte = (definition) => {
+    const analyte = definition
+      ? {
+          name: definition.name,
+          value: '',
+          unit: definition.unit,
+          referenceRange: formatReferenceRange(definition.range),
+        }
+      : EMPTY_ANALYTE;
+    onChange([...analytes, analyte]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Results *</Text>
+
+      {analytes.map((analyte, index) => (
+        <View key={index} style={styles.analyteCard}>
+          <View style={styles.analyteHeader}>
+            <TextInput
+              style={[styles.input, styles.nameInput]}
+              placeholder="Test (e.g., HbA1c)"
+              value={analyte.name}
+              onChangeText={(value) => updateAnalyte(index, 'name', value)}
+              {...getStandardTextInputProps()}
+            />
+            <TouchableOpacity style={styles.removeButton} onPress={() => removeAnalyte(index)}>
+              <Ionicons name="close-circle" size={24} color="#ef4444" />
+            </TouchableOpacity>
+          </View>
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.rowItem]}
+              placeholder="Value"
+              value={String(analyte.value ?? '')}
+              onChangeText={(value) => updateAnalyte(index, 'value', value)}
+              keyboardType="decimal-pad"
+              {...getStandardTextInputProps()}
+            />
+            <TextInput
+              style={[styles.input, styles.rowItem]}
+              placeholder="Unit"
+              value={analyte.unit}
+              onChangeText={(value) => updateAnalyte(index, 'unit', value)}
+              autoCapitalize="none"
+              {...getStandardTextInputProps()}
+            />
+            <TextInput
+              style={[styles.input, styles.rowItem]}
+              placeholder="Range"
+              value={analyte.referenceRange}
+              onChangeText={(value) => updateAnalyte(index, 'referenceRange', value)}
+              {...getStandardTextInputProps()}
+            />
+          </View>
+        </View>
+      ))}
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.suggestions}>
+        <TouchableOpacity style={styles.suggestionChip} onPress={() => addAnalyte(null)}>
+          <Ionicons name="add" size={16} color="#6366f1" />
+          <Text style={styles.suggestionText}>Add Test</Text>
+        </TouchableOpacity>
+        {ANALYTE_DEFINITIONS.map(definition => (
+          <TouchableOpacity
+            key={definition.id}
+            style={styles.suggestionChip}
+            onPress={() => addAnalyte(definition)}
+          >
+            <Text style={styles.suggestionText}>{definition.name}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  analyteCard: {
+    backgroundColor: '#f9fafb',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    padding: 12,
+    marginBottom: 12,
+  },
+  analyteHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  nameInput: {
+    flex: 1,
+  },
+  removeButton: {
+    marginLeft: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  input: {
+    backgroundColor: '#ffffff',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    color: '#1f2937',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  suggestions: {
+    flexGrow: 0,
+  },
+  suggestionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#eef2ff',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  suggestionText: {
+    fontSize: 14,
+    color: '#6366f1',
+    fontWeight: '500',
+  },
+});
+
+export default LabAnalyteEditor;
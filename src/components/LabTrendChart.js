@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Rect, Path, Circle, Line, Text as SvgText } from 'react-native-svg';
+import { isOutOfRange } from '../utils/labResults';
+
+const CHART_HEIGHT = 200;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 44 };
+
+const formatShortDate = (date) =>
+  date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+
+/**
+ * Line chart of one analyte's readings over time
+ * The reference range is shaded and out-of-range readings are drawn in red.
+ * @param {Array} points - from buildAnalyteTrend, oldest first
+ */
+const LabTrendChart = ({ points = [] }) => {
+  const [width, setWidth] = useState(0);
+
+  if (points.length === 0) {
+    return null;
+  }
+
+  // The latest reading's range is the one shown
+  const range = points[points.length - 1].referenceRange || {};
+  const hasLow = range.low !== null && range.low !== undefined;
+  const hasHigh = range.high !== null && range.high !== undefined;
+  const values = points.map(point => point.value);
+
+  if (hasLow) values.push(range.low);
+  if (hasHigh) values.push(range.high);
+
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const margin = (max - min) * 0.1;
+  min -= margin;
+  max += margin;
+
+  const plotWidth = Math.max(width - PADDING.left - PADDING.right, 0);
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const firstTime = points[0].date.getTime();
+  const timeSpan = points[points.length - 1].date.getTime() - firstTime;
+
+  const x = (point) => PADDING.left + (timeSpan > 0
+    ? ((point.date.getTime() - firstTime) / timeSpan) * plotWidth
+    : plotWidth / 2);
+  const y = (value) => PADDING.top + ((max - value) / (max - min)) * plotHeight;
+
+  const linePath = points
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point)},${y(point.value)}`)
+    .join(' ');
+
+  const bandTop = hasHigh ? y(range.high) : PADDING.top;
+  const bandBottom = hasLow ? y(range.low) : PADDING.top + plotHeight;
+
+  const axisLabels = [max - margin, min + margin];
+
+  return (
+    <View style={styles.container} onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+      {width > 0 && (
+        <Svg width={width} height={CHART_HEIGHT}>
+          {(hasLow || hasHigh) && (
+            <Rect
+              x={PADDING.left}
+              y={bandTop}
+              width={plotWidth}
+              height={Math.max(bandBottom - bandTop, 0)}
+              fill="#d1fae5"
+            />
+          )}
+          <Line
+            x1={PADDING.left}
+            y1={PADDING.top + plotHeight}
+            x2={PADDING.left + plotWidth}
+            y2={PADDING.top + plotHeight}
+            stroke="#e5e7eb"
+          />
+          {axisLabels.map(value => (
+            <SvgText
+              key={value}
+              x={PADDING.left - 6}
+              y={y(value) + 4}
+              fontSize="10"
+              fill="#6b7280"
+              textAnchor="end"
+            >
+              {Number(value.toFixed(2))}
+            </SvgText>
+          ))}
+          <Path d={linePath} stroke="#6366f1" strokeWidth="2" fill="none" />
+          {points.map((point, index) => (
+            <Circle
+              key={index}
+              cx={x(point)}
+              cy={y(point.value)}
+              r="4"
+              fill={isOutOfRange(point) ? '#ef4444' : '#6366f1'}
+              stroke="#ffffff"
+              strokeWidth="1.5"
+            />
+          ))}
+          <SvgText x={PADDING.left} y={CHART_HEIGHT - 8} fontSize="10" fill="#6b7280">
+            {formatShortDate(points[0].date)}
+          </SvgText>
+          {points.length > 1 && (
+            <SvgText
+              x={PADDING.left + plotWidth}
+              y={CHART_HEIGHT - 8}
+              fontSize="10"
+              fill="#6b7280"
+              textAnchor="end"
+            >
+              {formatShortDate(points[points.length - 1].date)}
+            </SvgText>
+          )}
+        </Svg>
+      )}
+      <View style={styles.legend}>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendSwatch, { backgroundColor: '#d1fae5' }]} />
+          <Text style={styles.legendText}>Reference range</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendDot, { backgroundColor: '#ef4444' }]} />
+          <Text style={styles.legendText}>Out of range</Text>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  legend: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 16,
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legendSwatch: {
+    width: 14,
+    height: 10,
+    borderRadius: 2,
+    marginRight: 6,
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+});
+
+export default LabTrendChart;
@@ -1,12 +1,12 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 
-const BudgetProgressBar = ({ current, target, label, color = '#2196F3' }) => {
+const BudgetProgressBar = ({ current, target, label, color = '#2196F3', currency = 'USD', statusMessage }) => {
   // Calculate progress percentage (capped at 100%)
-  const progressPercentage = Math.min(100, (current / target) * 100);
+  const progressPercentage = target > 0 ? Math.min(100, (current / target) * 100) : (current > 0 ? 100 : 0);
   
   // Format currency for display
-  const formatCurrency = (amount, currency = 'USD') => {
+  const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', { 
       style: 'currency', 
       currency: currency,
@@ -59,7 +59,7 @@ const BudgetProgressBar = ({ current, target, label, color = '#2196F3' }) => {
       
       {/* Status message */}
       <Text style={[styles.statusMessage, { color }]}>
-        {getStatusMessage()}
+        {statusMessage || getStatusMessage()}
       </Text>
     </View>
   );
@@ -0,0 +1,86 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import BudgetProgressBar from './BudgetProgressBar';
+import currencyService from '../../services/currencyService';
+import {
+  BUDGET_PERIODS,
+  BUDGET_STATUS,
+  getBudgetCategoryLabel,
+  getBudgetProgress
+} from '../../utils/budgets';
+
+const STATUS_COLORS = {
+  [BUDGET_STATUS.OK]: '#4CAF50',
+  [BUDGET_STATUS.WARNING]: '#FF9800',
+  [BUDGET_STATUS.OVER]: '#F44336'
+};
+
+const CategoryBudgetList = ({ budgets = [], transactions = [], currency = 'GHS', onBudgetPress, onAddBudget }) => {
+  const formatCurrency = (amount) => currencyService.formatCurrency(amount, currency);
+
+  if (budgets.length === 0) {
+    return (
+      <View style={styles.emptyStateContainer}>
+        <MaterialIcons name="pie-chart" size={48} color="#ccc" />
+        <Text style={styles.emptyStateText}>No budgets yet</Text>
+        <TouchableOpacity style={styles.emptyStateButton} onPress={onAddBudget}>
+          <Text style={styles.emptyStateButtonText}>Set a Budget</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return budgets.map(budget => {
+    const progress = getBudgetProgress(budget, transactions);
+    const period = budget.period === BUDGET_PERIODS.WEEKLY ? 'week' : 'month';
+
+    let statusMessage = progress.remaining >= 0
+      ? `${formatCurrency(progress.remaining)} left this ${period}`
+      : `Over by ${formatCurrency(-progress.remaining)} this ${period}`;
+    if (progress.carriedOver !== 0) {
+      statusMessage += ` (${formatCurrency(progress.carriedOver)} carried over)`;
+    }
+
+    return (
+      <TouchableOpacity key={budget.id} onPress={() => onBudgetPress?.(budget)}>
+        <BudgetProgressBar
+          current={progress.spent}
+          target={Math.max(progress.limit, 0)}
+          label={getBudgetCategoryLabel(budget.category)}
+          color={STATUS_COLORS[progress.status]}
+          currency={currency}
+          statusMessage={statusMessage}
+        />
+      </TouchableOpacity>
+    );
+  });
+};
+
+const styles = StyleSheet.create({
+  emptyStateContainer: {
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 24,
+    margin: 16,
+    borderRadius: 8,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 16,
+  },
+  emptyStateButton: {
+    backgroundColor: '#2196F3',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 4,
+  },
+  emptyStateButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+});
+
+export default CategoryBudgetList;
@@ -2,6 +2,7 @@ import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { Card } from 'react-native-paper';
 import { MaterialIcons, MaterialCommunityIcons } from '@expo/vector-icons';
+import { compareScheduleWithPayments } from '../../utils/loanAmortization';
 
 const LoanTracker = ({ loan, onPress, onRecordPayment }) => {
   // Format currency
@@ -50,60 +51,27 @@ const LoanTracker = ({ loan, onPress, onRecordPayment }) => {
   
   const statusInfo = getLoanStatusInfo();
   
-  // Calculate paid amount (support both new payments array and old schedule)
-  const calculatePaidAmount = () => {
-    // New payment system - use payments array and totalPaid
-    if (loan.payments && Array.isArray(loan.payments)) {
-      return loan.totalPaid || loan.payments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
-    }
-    
-    // Fallback to old payment schedule system
-    if (loan.paymentSchedule) {
-      return loan.paymentSchedule
-        .filter(payment => payment.status === 'paid')
-        .reduce((sum, payment) => sum + (payment.amount || 0), 0);
-    }
-    
-    return 0;
-  };
-
-  // Calculate remaining amount
-  const calculateRemainingAmount = () => {
-    const totalAmount = loan.amount || 0;
-    const paidAmount = calculatePaidAmount();
-    
-    return totalAmount - paidAmount;
-  };
+  // Schedule vs payments made, interest and late fees included
+  const comparison = compareScheduleWithPayments(loan);
   
   // Calculate progress percentage
   const calculateProgressPercentage = () => {
-    const totalAmount = loan.amount || 0;
-    if (totalAmount === 0) return 100;
-    
-    const paidAmount = calculatePaidAmount();
+    if (comparison.totalDue === 0) return 100;
     
-    return Math.min(100, (paidAmount / totalAmount) * 100);
+    return Math.min(100, (comparison.totalPaid / comparison.totalDue) * 100);
   };
   
   const progressPercentage = calculateProgressPercentage();
   
   // Get next payment information
   const getNextPayment = () => {
-    if (!loan.paymentSchedule || loan.paymentSchedule.length === 0) {
+    if (loan.status === 'paid' || !comparison.nextInstallment) {
       return null;
     }
     
-    const now = new Date();
-    
-    const nextPayment = loan.paymentSchedule
-      .filter(payment => payment.status !== 'paid')
-      .sort((a, b) => {
-        const dateA = a.dueDate.toDate ? a.dueDate.toDate() : new Date(a.dueDate);
-        const dateB = b.dueDate.toDate ? b.dueDate.toDate() : new Date(b.dueDate);
-        return dateA - dateB;
-      })[0];
-    
-    return nextPayment;
+    // What is still owed on it
+    const { amount, paid } = comparison.nextInstallment;
+    return { ...comparison.nextInstallment, amount: Math.round((amount - paid) * 100) / 100 };
   };
   
   const nextPayment = getNextPayment();
@@ -3,6 +3,7 @@ import { View, Text, StyleSheet, FlatList, TouchableOpacity } from 'react-native
 import { Divider } from 'react-native-paper';
 import { MaterialIcons, MaterialCommunityIcons } from '@expo/vector-icons';
 import currencyService from '../../services/currencyService';
+import { TRANSFER_DIRECTIONS, isTransfer } from '../../utils/transfers';
 
 const TransactionList = ({ 
   transactions, 
@@ -68,7 +69,10 @@ const TransactionList = ({
       'entertainment': 'movie',
       'debt': 'credit-card',
       'savings': 'savings',
-      'other_expense': 'receipt'
+      'other_expense': 'receipt',
+      
+      // Transfers between accounts
+      'transfer': 'swap-horiz'
     };
     
     return iconMap[category] || (type === 'income' ? 'add-circle' : 'remove-circle');
@@ -77,9 +81,20 @@ const TransactionList = ({
   // Get color based on transaction type
   const getTransactionColor = (transaction) => {
     if (!transaction) return '#F44336';
+    if (isTransfer(transaction)) return '#2196F3';
     return (transaction.type || '').toLowerCase() === 'income' ? '#4CAF50' : '#F44336';
   };
   
+  // Get the sign shown before the amount; transfers show which way the money moved
+  const getAmountSign = (transaction) => {
+    if (isTransfer(transaction)) {
+      if (transaction.transferDirection === TRANSFER_DIRECTIONS.IN) return '+ ';
+      if (transaction.transferDirection === TRANSFER_DIRECTIONS.OUT) return '- ';
+      return '';
+    }
+    return transaction.type === 'income' ? '+ ' : '- ';
+  };
+  
   // Format transaction date
   const formatTransactionDate = (date) => {
     if (!date) return '';
@@ -196,7 +211,7 @@ const TransactionList = ({
                 { color: getTransactionColor(item) }
               ]}
             >
-              {transactionType === 'income' ? '+' : '-'} {currencyFormatter(Math.abs(displayAmount), displayCurrencyCode)}
+              {getAmountSign(item)}{currencyFormatter(Math.abs(displayAmount), displayCurrencyCode)}
             </Text>
           </View>
         </TouchableOpacity>
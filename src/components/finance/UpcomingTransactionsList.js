@@ -0,0 +1,108 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import currencyService from '../../services/currencyService';
+import { getUpcomingOccurrences, parseRecurrenceDate } from '../../utils/recurringTransactions';
+
+// Format category for display
+const formatCategory = (category = '') => category
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// The next few occurrences of the recurring transactions on the given accounts
+const UpcomingTransactionsList = ({ recurringTransactions = [], accounts = [], days = 14, limit = 3 }) => {
+  const accountsById = Object.fromEntries(accounts.map(account => [account.id, account]));
+  const occurrences = getUpcomingOccurrences(
+    recurringTransactions.filter(template => accountsById[template.accountId]),
+    days
+  ).filter(occurrence => !occurrence.skipped).slice(0, limit);
+
+  if (occurrences.length === 0) {
+    return (
+      <View style={styles.emptyStateContainer}>
+        <MaterialIcons name="event-available" size={36} color="#ccc" />
+        <Text style={styles.emptyStateText}>No recurring transactions due in the next {days} days</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {occurrences.map(({ template, date, override }) => {
+        const amount = currencyService.formatCurrency(
+          override?.amount ?? template.amount,
+          accountsById[template.accountId].currency || 'GHS'
+        );
+        return (
+          <View key={`${template.id}_${date}`} style={styles.row}>
+            <MaterialIcons name="repeat" size={20} color="#666" />
+            <View style={styles.info}>
+              <Text style={styles.title}>{override?.description || template.description || formatCategory(template.category)}</Text>
+              <Text style={styles.date}>
+                {parseRecurrenceDate(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+              </Text>
+            </View>
+            <Text style={[styles.amount, template.type === 'income' ? styles.income : styles.expense]}>
+              {template.type === 'income' ? '+' : '-'}{amount}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    borderRadius: 8,
+    elevation: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  info: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  date: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  amount: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  income: {
+    color: '#4CAF50',
+  },
+  expense: {
+    color: '#F44336',
+  },
+  emptyStateContainer: {
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 16,
+    marginHorizontal: 16,
+    borderRadius: 8,
+  },
+  emptyStateText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default UpcomingTransactionsList;
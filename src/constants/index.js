@@ -143,6 +143,7 @@ export const NOTIFICATION_TYPES = {
   APPOINTMENT_REMINDER: 'appointment_reminder',
   MEDICATION_REMINDER: 'medication_reminder',
   DOCUMENT_EXPIRY: 'document_expiry',
+  BUDGET_ALERT: 'budget_alert',
   SUBSCRIPTION_EXPIRY: 'subscription_expiry',
   GENERAL: 'general',
 };
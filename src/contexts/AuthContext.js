@@ -1,4 +1,5 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { View, Alert, AppState, Keyboard } from 'react-native';
 import { 
   signInWithEmailAndPassword,
   createUserWithEmailAndPassword,
@@ -12,6 +13,12 @@ import {
 } from 'firebase/firestore';
 import { auth, db } from '../../firebaseConfig';
 import emailService from '../services/emailService';
+import offlineStorageService from '../services/offlineStorage';
+import privacyPreferences, { getAutoLogoutTimeout } from '../services/privacyPreferences';
+import backupScheduler from '../services/backupScheduler';
+
+// How long before an inactivity logout the user is warned
+const AUTO_LOGOUT_WARNING_MS = 60 * 1000;
 
 const AuthContext = createContext();
 
@@ -29,8 +36,14 @@ export const AuthProvider = ({ children }) => {
   const [userProfile, setUserProfile] = useState(null);
   const [authError, setAuthError] = useState(null);
 
+  // Inactivity auto logout; refs so that touches don't re-render the app
+  const lastActivityRef = useRef(Date.now());
+  const autoLogoutTimeoutRef = useRef(null);
+  const inactivityTimersRef = useRef([]);
+
   useEffect(() => {
     console.log('🔍 AuthContext: Setting up auth state change listener');
+    offlineStorageService.encryptExistingEntries();
 
     const unsubscribe = onAuthStateChanged(auth, async (userState) => {
       console.log('🔄 Auth state changed:', userState ? `User logged in (${userState.email})` : 'No user');
@@ -137,7 +150,12 @@ export const AuthProvider = ({ children }) => {
   const logout = async () => {
     try {
       console.log('🚪 Attempting logout');
+      const userId = auth.currentUser?.uid;
       await signOut(auth);
+      await offlineStorageService.clearUserData();
+      if (userId) {
+        await backupScheduler.deleteLocalBackups(userId);
+      }
       console.log('✅ Logout successful');
     } catch (error) {
       console.error('❌ Logout failed:', error.message);
@@ -145,6 +163,106 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const clearInactivityTimers = () => {
+    inactivityTimersRef.current.forEach(clearTimeout);
+    inactivityTimersRef.current = [];
+  };
+
+  const autoLogout = async () => {
+    clearInactivityTimers();
+    const minutes = Math.round(autoLogoutTimeoutRef.current / 60000);
+    autoLogoutTimeoutRef.current = null;
+
+    try {
+      await logout();
+      Alert.alert('Signed Out', `You were signed out after ${minutes} minutes of inactivity.`);
+    } catch (error) {
+      console.error('❌ Auto logout failed:', error);
+    }
+  };
+
+  // Restart the countdown from the last activity; timers don't run in the background,
+  // so this is also how time spent away from the app is caught up on.
+  const scheduleInactivityTimers = () => {
+    clearInactivityTimers();
+    const timeout = autoLogoutTimeoutRef.current;
+    if (!timeout) return;
+
+    const remaining = timeout - (Date.now() - lastActivityRef.current);
+    if (remaining <= 0) {
+      autoLogout();
+      return;
+    }
+
+    if (remaining > AUTO_LOGOUT_WARNING_MS) {
+      inactivityTimersRef.current.push(setTimeout(() => {
+        Alert.alert(
+          'Still there?',
+          'You will be signed out in 1 minute due to inactivity.',
+          [{ text: 'Stay Signed In', onPress: recordActivity }]
+        );
+      }, remaining - AUTO_LOGOUT_WARNING_MS));
+    }
+    inactivityTimersRef.current.push(setTimeout(autoLogout, remaining));
+  };
+
+  const recordActivity = () => {
+    lastActivityRef.current = Date.now();
+    if (autoLogoutTimeoutRef.current) {
+      scheduleInactivityTimers();
+    }
+  };
+
+  const applyAutoLogoutPreferences = (preferences) => {
+    autoLogoutTimeoutRef.current = getAutoLogoutTimeout(preferences);
+    scheduleInactivityTimers();
+  };
+
+  useEffect(() => {
+    if (!user) {
+      autoLogoutTimeoutRef.current = null;
+      clearInactivityTimers();
+      return undefined;
+    }
+
+    lastActivityRef.current = Date.now();
+    privacyPreferences.get().then(applyAutoLogoutPreferences);
+    const removePreferencesListener = privacyPreferences.addListener(applyAutoLogoutPreferences);
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        scheduleInactivityTimers();
+      } else if (state === 'background') {
+        clearInactivityTimers();
+      }
+    });
+
+    // Typing never reaches the touch handler below and there is no app-wide key event, so
+    // the keyboard opening and closing count as activity. Not while the app is away: the
+    // keyboard coming back on return must not restart a countdown that has already run out.
+    const recordKeyboardActivity = () => {
+      if (AppState.currentState === 'active') {
+        recordActivity();
+      }
+    };
+    const keyboardShowSubscription = Keyboard.addListener('keyboardDidShow', recordKeyboardActivity);
+    const keyboardHideSubscription = Keyboard.addListener('keyboardDidHide', recordKeyboardActivity);
+
+    return () => {
+      removePreferencesListener();
+      subscription.remove();
+      keyboardShowSubscription.remove();
+      keyboardHideSubscription.remove();
+      clearInactivityTimers();
+    };
+  }, [user]);
+
+  // Automatic backups run when they're due, on sign in and whenever the app comes back
+  useEffect(() => {
+    if (!user) return undefined;
+    return backupScheduler.start(user.uid);
+  }, [user]);
+
   const value = {
     user,
     userProfile,
@@ -157,7 +275,16 @@ export const AuthProvider = ({ children }) => {
 
   return (
     <AuthContext.Provider value={value}>
-      {children}
+      {/* Sees every touch without taking it from the component underneath */}
+      <View
+        style={{ flex: 1 }}
+        onStartShouldSetResponderCapture={() => {
+          recordActivity();
+          return false;
+        }}
+      >
+        {children}
+      </View>
     </AuthContext.Provider>
   );
 };
\ No newline at end of file
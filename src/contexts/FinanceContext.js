@@ -1,4 +1,5 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
 import { 
   collection, 
   doc, 
@@ -11,7 +12,9 @@ import {
   query,
   where,
   orderBy,
-  serverTimestamp
+  serverTimestamp,
+  writeBatch,
+  runTransaction
 } from 'firebase/firestore';
 // Import Firebase config with dynamic import to avoid circular dependencies
 // and ensure the Firebase instance is the same across the app
@@ -21,6 +24,29 @@ import { useFamilySharing } from './FamilySharingContext';
 import networkService from '../services/networkService';
 import offlineStorageService from '../services/offlineStorage';
 import currencyService from '../services/currencyService';
+import financeLedger, { TRANSACTION_EXISTS_MESSAGE } from '../services/financeLedger';
+import { sendBudgetAlert } from '../services/notifications';
+import { getDueBudgetAlerts } from '../utils/budgets';
+import {
+  OCCURRENCE_FIELDS,
+  buildOccurrenceTransaction,
+  getDueOccurrences
+} from '../utils/recurringTransactions';
+import {
+  TRANSFER_DIRECTIONS,
+  buildTransferEntries,
+  getCounterpartAccountId,
+  getTransferUpdates,
+  isTransfer
+} from '../utils/transfers';
+import {
+  LEDGER_REASONS,
+  checkAccountLedger,
+  getLedgerTotals,
+  getMissingLedgerEntries,
+  roundLedgerAmount
+} from '../utils/ledger';
+import { compareScheduleWithPayments } from '../utils/loanAmortization';
 
 // Create the context
 const FinanceContext = createContext();
@@ -58,6 +84,8 @@ export const FinanceProvider = ({ children }) => {
   const [projects, setProjects] = useState([]);
   const [loans, setLoans] = useState([]);
   const [welfareAccounts, setWelfareAccounts] = useState([]);
+  const [budgets, setBudgets] = useState([]);
+  const [recurringTransactions, setRecurringTransactions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentScope, setCurrentScope] = useState(FINANCE_SCOPE.PERSONAL);
@@ -69,13 +97,18 @@ export const FinanceProvider = ({ children }) => {
     projects: [],
     loans: [],
     welfareAccounts: [],
+    budgets: [],
+    recurringTransactions: [],
     isLoading: true,
     error: null,
     currentScope: FINANCE_SCOPE.PERSONAL,
     createAccount: async () => {},
     updateAccount: async () => {},
     deleteAccount: async () => {},
+    checkLedgerIntegrity: async () => [],
+    startAccountLedger: async () => {},
     createTransaction: async () => {},
+    createTransfer: async () => {},
     updateTransaction: async () => {},
     deleteTransaction: async () => {},
     createProject: async () => {},
@@ -92,6 +125,14 @@ export const FinanceProvider = ({ children }) => {
     contributeToWelfare: async () => {},
     addWelfareMember: async () => {},
     removeWelfareMember: async () => {},
+    createBudget: async () => {},
+    updateBudget: async () => {},
+    deleteBudget: async () => {},
+    createRecurringTransaction: async () => {},
+    updateRecurringTransaction: async () => {},
+    deleteRecurringTransaction: async () => {},
+    skipRecurringOccurrence: async () => {},
+    editRecurringOccurrence: async () => {},
     changeScope: () => {},
     syncOfflineData: async () => {}
   });
@@ -104,9 +145,38 @@ export const FinanceProvider = ({ children }) => {
       loadProjects();
       loadLoans();
       loadWelfareAccounts();
+      loadBudgets();
     }
   }, [user, currentScope]);
 
+  // Turn recurring transactions that came due into real ones, on sign in and
+  // whenever the app comes back, so nothing is missed while the app was closed
+  const processRecurringRef = useRef(null);
+  const recurringRunningRef = useRef(false);
+  useEffect(() => {
+    if (!user || !user.uid) return undefined;
+
+    processRecurringRef.current?.();
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        processRecurringRef.current?.();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [user]);
+
+  // Alert when spending reaches a budget threshold
+  // A check asked for while one is sending runs once it is done, with the latest data
+  const checkBudgetAlertsRef = useRef(null);
+  const budgetAlertsRunningRef = useRef(false);
+  const budgetAlertsPendingRef = useRef(false);
+  useEffect(() => {
+    if (user && budgets.length > 0) {
+      checkBudgetAlerts();
+    }
+  }, [budgets, transactions]);
+
   // Account management
   const loadAccounts = async () => {
     if (!user || !user.uid) return;
@@ -235,7 +305,7 @@ export const FinanceProvider = ({ children }) => {
     if (!user) return null;
     
     try {
-      const accountRef = collection(db, 'finance_accounts');
+      const accountRef = doc(collection(db, 'finance_accounts'));
       
       // Parse balance with error handling
       let balance = 0;
@@ -252,13 +322,14 @@ export const FinanceProvider = ({ children }) => {
         console.error('Error parsing balance:', error);
         balance = 0;
       }
+      balance = roundLedgerAmount(balance);
       
       // Prepare account data
       const newAccount = {
         ...accountData,
         owner: user.uid,
         balance: balance,
-        // Store initial balance explicitly for future recalculations
+        // The opening entry in the ledger records the initial balance
         initialBalance: balance,
         sharedWith: accountData.sharedWith || [],
         // Ensure scope is always explicitly set
@@ -267,12 +338,14 @@ export const FinanceProvider = ({ children }) => {
         updatedAt: serverTimestamp()
       };
       
-      // Add the account to Firestore
-      const docRef = await addDoc(accountRef, newAccount);
+      // Add the account to Firestore together with its opening ledger entry
+      const batch = writeBatch(db);
+      financeLedger.openAccount(batch, accountRef, newAccount, balance, user.uid);
+      await batch.commit();
       
       // Update local state
       const createdAccount = {
-        id: docRef.id,
+        id: accountRef.id,
         ...newAccount
       };
       
@@ -311,17 +384,41 @@ export const FinanceProvider = ({ children }) => {
         throw new Error('You do not have permission to update this account');
       }
       
+      // The balance only moves through the ledger; a new initial balance moves it by the difference
+      const { balance, ...changes } = accountData;
+      if (changes.initialBalance !== undefined) {
+        changes.initialBalance = roundLedgerAmount(changes.initialBalance);
+      }
+      
       // Update account in Firestore
-      await updateDoc(accountRef, {
-        ...accountData,
-        updatedAt: serverTimestamp()
+      const updatedFields = await runTransaction(db, async (firestoreTransaction) => {
+        const currentSnapshot = await firestoreTransaction.get(accountRef);
+        const current = currentSnapshot.data();
+        const fields = { ...changes };
+        
+        const openingChange = changes.initialBalance === undefined
+          ? 0
+          : roundLedgerAmount(changes.initialBalance - roundLedgerAmount(current.initialBalance));
+        
+        if (openingChange !== 0) {
+          fields.balance = roundLedgerAmount(roundLedgerAmount(current.balance) + openingChange);
+          financeLedger.addEntry(firestoreTransaction, {
+            accountId,
+            transactionId: null,
+            amount: openingChange,
+            reason: LEDGER_REASONS.OPENING
+          }, user.uid);
+        }
+        
+        firestoreTransaction.update(accountRef, { ...fields, updatedAt: serverTimestamp() });
+        return fields;
       });
       
       // Update local state
       setAccounts(prev => 
         prev.map(account => 
           account.id === accountId 
-            ? { ...account, ...accountData, updatedAt: new Date() } 
+            ? { ...account, ...updatedFields, updatedAt: new Date() } 
             : account
         )
       );
@@ -333,7 +430,7 @@ export const FinanceProvider = ({ children }) => {
         JSON.stringify(
           cachedAccounts.map(account => 
             account.id === accountId 
-              ? { ...account, ...accountData, updatedAt: new Date() } 
+              ? { ...account, ...updatedFields, updatedAt: new Date() } 
               : account
           )
         )
@@ -516,7 +613,7 @@ export const FinanceProvider = ({ children }) => {
     if (!user) return null;
     
     try {
-      const transactionRef = collection(db, 'finance_transactions');
+      const transactionRef = doc(collection(db, 'finance_transactions'));
       
       // Parse and validate amount before storing
       let validAmount = 0;
@@ -550,25 +647,18 @@ export const FinanceProvider = ({ children }) => {
         updatedAt: serverTimestamp()
       };
       
-      // Verify account exists before adding transaction
-      const accountRef = doc(db, 'finance_accounts', transactionData.accountId);
-      const accountSnapshot = await getDoc(accountRef);
-      
-      if (!accountSnapshot.exists()) {
-        throw new Error(`Account with ID ${transactionData.accountId} not found`);
-      }
+      // Add the transaction and its ledger entry; this fails if the account does not exist
+      const balances = await commitTransactionChanges([
+        { ref: transactionRef, data: newTransaction, create: true }
+      ]);
       
-      // Add the transaction to Firestore
-      const docRef = await addDoc(transactionRef, newTransaction);
+      console.log(`Created new transaction ${transactionRef.id} for account ${transactionData.accountId} (${validAmount}, ${newTransaction.type})`);
       
-      console.log(`Created new transaction ${docRef.id} for account ${transactionData.accountId} (${validAmount}, ${newTransaction.type})`);
-      
-      // Recalculate the account balance after adding transaction
-      await recalculateAccountBalance(transactionData.accountId);
+      await setLocalAccountBalances(balances);
       
       // Create transaction object with ID for state update
       const createdTransaction = {
-        id: docRef.id,
+        id: transactionRef.id,
         ...newTransaction,
         // Replace serverTimestamp with a Date object for local state
         createdAt: new Date(),
@@ -638,6 +728,93 @@ export const FinanceProvider = ({ children }) => {
     }
   };
 
+  // Transfers are written as two linked transactions in one commit, so either both sides exist or neither does
+  const createTransfer = async (transferData) => {
+    if (!user) return null;
+
+    try {
+      const { fromAccountId, toAccountId, amount, date, description } = transferData;
+
+      if (fromAccountId === toAccountId) {
+        throw new Error('Choose two different accounts to transfer between');
+      }
+
+      // Both accounts must exist and be accessible to the user
+      const [fromAccount, toAccount] = await Promise.all([fromAccountId, toAccountId].map(async accountId => {
+        const accountSnapshot = await getDoc(doc(db, 'finance_accounts', accountId));
+
+        if (!accountSnapshot.exists()) {
+          throw new Error(`Account with ID ${accountId} not found`);
+        }
+
+        const accountData = accountSnapshot.data();
+        if (accountData.owner !== user.uid && !accountData.sharedWith?.includes(user.uid)) {
+          throw new Error('You do not have permission to transfer with this account');
+        }
+
+        return { id: accountId, ...accountData };
+      }));
+
+      const { outgoing, incoming } = buildTransferEntries({
+        fromAccount,
+        toAccount,
+        amount,
+        convertedAmount: currencyService.convertCurrency(amount, fromAccount.currency || 'GHS', toAccount.currency || 'GHS'),
+        date,
+        description
+      });
+
+      // Reserve both ids first so each side can point at the other
+      const outgoingRef = doc(collection(db, 'finance_transactions'));
+      const incomingRef = doc(collection(db, 'finance_transactions'));
+      const metadata = {
+        createdBy: user.uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+
+      const balances = await commitTransactionChanges([
+        { ref: outgoingRef, data: { ...outgoing, ...metadata, linkedTransactionId: incomingRef.id }, create: true },
+        { ref: incomingRef, data: { ...incoming, ...metadata, linkedTransactionId: outgoingRef.id }, create: true }
+      ]);
+
+      console.log(`Created transfer ${outgoingRef.id} -> ${incomingRef.id} (${outgoing.amount} ${outgoing.fromCurrency} to ${incoming.amount} ${incoming.toCurrency})`);
+
+      await setLocalAccountBalances(balances);
+
+      // Either side may belong to another scope, so reload rather than patching local state
+      await loadTransactions();
+
+      return {
+        outgoing: { id: outgoingRef.id, ...outgoing, linkedTransactionId: incomingRef.id },
+        incoming: { id: incomingRef.id, ...incoming, linkedTransactionId: outgoingRef.id }
+      };
+    } catch (err) {
+      console.error('Error creating transfer:', err);
+      setError('Failed to create transfer. Please try again.');
+      return null;
+    }
+  };
+
+  // Applies an edit to one side of a transfer and the matching change to the other side
+  const updateTransfer = async (transactionId, originalTransaction, transactionData) => {
+    const { own, linked } = getTransferUpdates(originalTransaction, transactionData);
+
+    const balances = await commitTransactionChanges([
+      { ref: doc(db, 'finance_transactions', transactionId), data: { ...own, updatedAt: serverTimestamp() } },
+      {
+        ref: doc(db, 'finance_transactions', originalTransaction.linkedTransactionId),
+        data: { ...linked, updatedAt: serverTimestamp() }
+      }
+    ]);
+
+    console.log(`Updated transfer ${transactionId} and its linked transaction ${originalTransaction.linkedTransactionId}`);
+
+    await setLocalAccountBalances(balances);
+    await loadTransactions();
+    return true;
+  };
+
   const updateTransaction = async (transactionId, transactionData) => {
     if (!user) return false;
     
@@ -665,7 +842,11 @@ export const FinanceProvider = ({ children }) => {
       if (accountData.owner !== user.uid && !accountData.sharedWith.includes(user.uid)) {
         throw new Error('You do not have permission to update this transaction');
       }
-      
+
+      if (isTransfer(originalTransaction)) {
+        return await updateTransfer(transactionId, originalTransaction, transactionData);
+      }
+
       // Parse and validate amount if provided
       let validAmount = null;
       if (transactionData.amount !== undefined) {
@@ -702,38 +883,15 @@ export const FinanceProvider = ({ children }) => {
         updateData.amount = validAmount;
       }
       
-      // Track if we need to update balances for specific accounts
       const isAccountChanged = updateData.accountId && updateData.accountId !== originalTransaction.accountId;
-      const isAmountChanged = validAmount !== null && validAmount !== parseFloat(originalTransaction.amount || 0);
-      const isTypeChanged = updateData.type && updateData.type !== originalTransaction.type;
       
-      // If the account is changing, verify the new account exists
-      if (isAccountChanged) {
-        const newAccountRef = doc(db, 'finance_accounts', updateData.accountId);
-        const newAccountSnapshot = await getDoc(newAccountRef);
-        
-        if (!newAccountSnapshot.exists()) {
-          throw new Error(`New account with ID ${updateData.accountId} not found`);
-        }
-      }
-      
-      // Update the transaction in Firestore
-      await updateDoc(transactionRef, updateData);
+      // Update the transaction with ledger entries for any change to the amount, type or account;
+      // this fails if the transaction is moved to an account that does not exist
+      const balances = await commitTransactionChanges([{ ref: transactionRef, data: updateData }]);
       
       console.log(`Updated transaction ${transactionId}`);
       
-      // If balance-affecting fields changed, recalculate balances
-      if (isAccountChanged || isAmountChanged || isTypeChanged) {
-        // Recalculate the original account's balance
-        console.log(`Recalculating balance for original account ${originalTransaction.accountId} after transaction update`);
-        await recalculateAccountBalance(originalTransaction.accountId);
-        
-        // If account changed, also recalculate the new account's balance
-        if (isAccountChanged) {
-          console.log(`Recalculating balance for new account ${updateData.accountId} after transaction moved`);
-          await recalculateAccountBalance(updateData.accountId);
-        }
-      }
+      await setLocalAccountBalances(balances);
       
       // Update local state with the updated transaction
       const updatedTransaction = {
@@ -807,25 +965,27 @@ export const FinanceProvider = ({ children }) => {
         throw new Error('You do not have permission to delete this transaction');
       }
       
-      // Remember the account ID before deleting the transaction
-      const affectedAccountId = transactionData.accountId;
+      // Deleting either side of a transfer deletes both
+      const linkedTransactionId = isTransfer(transactionData) ? transactionData.linkedTransactionId : null;
+      const deletedIds = [transactionId, linkedTransactionId].filter(Boolean);
       
-      // Delete the transaction from Firestore
-      await deleteDoc(transactionRef);
-      console.log(`Deleted transaction ${transactionId} from Firestore`);
+      // Delete the transaction from Firestore, recording what it took off or added to the balance
+      const balances = await commitTransactionChanges(
+        deletedIds.map(id => ({ ref: doc(db, 'finance_transactions', id), data: null }))
+      );
+      console.log(`Deleted transaction ${deletedIds.join(' and ')} from Firestore`);
       
-      // Recalculate the account balance
-      await recalculateAccountBalance(affectedAccountId);
+      await setLocalAccountBalances(balances);
       
       // Update local state
-      setTransactions(prev => prev.filter(transaction => transaction.id !== transactionId));
+      setTransactions(prev => prev.filter(transaction => !deletedIds.includes(transaction.id)));
       console.log(`Deleted transaction ${transactionId} from local state`);
       
       // Update cache for the current scope
       const cachedTransactions = JSON.parse(await offlineStorageService.getItem(`finance_transactions_${currentScope}`) || '[]');
       await offlineStorageService.setItem(
         `finance_transactions_${currentScope}`,
-        JSON.stringify(cachedTransactions.filter(transaction => transaction.id !== transactionId))
+        JSON.stringify(cachedTransactions.filter(transaction => !deletedIds.includes(transaction.id)))
       );
       
       return true;
@@ -1231,7 +1391,8 @@ export const FinanceProvider = ({ children }) => {
       // Calculate current total payments
       const currentPayments = loanData.payments || [];
       const totalPaid = currentPayments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
-      const remainingAmount = parseFloat(loanData.amount) - totalPaid;
+      // Interest and any late fees are owed along with the principal
+      const { remaining: remainingAmount } = compareScheduleWithPayments({ ...loanData, payments: currentPayments });
       
       // Validate payment doesn't exceed remaining amount
       if (paymentAmount > remainingAmount) {
@@ -1254,7 +1415,7 @@ export const FinanceProvider = ({ children }) => {
       
       // Determine new loan status
       let newStatus = loanData.status;
-      if (newTotalPaid >= parseFloat(loanData.amount)) {
+      if (compareScheduleWithPayments({ ...loanData, payments: updatedPayments }).remaining <= 0) {
         newStatus = 'paid';
       } else if (newTotalPaid > 0) {
         newStatus = 'active'; // Ensure it's active if payments have been made
@@ -1313,7 +1474,8 @@ export const FinanceProvider = ({ children }) => {
       // Calculate current total payments
       const currentPayments = loanData.payments || [];
       const totalPaid = currentPayments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
-      const remainingAmount = parseFloat(loanData.amount) - totalPaid;
+      // Interest and any late fees are owed along with the principal
+      const { remaining: remainingAmount } = compareScheduleWithPayments({ ...loanData, payments: currentPayments });
       
       // Validate payment doesn't exceed remaining amount
       if (paymentAmount > remainingAmount) {
@@ -1336,7 +1498,7 @@ export const FinanceProvider = ({ children }) => {
       
       // Determine new loan status
       let newStatus = loanData.status;
-      if (newTotalPaid >= parseFloat(loanData.amount)) {
+      if (compareScheduleWithPayments({ ...loanData, payments: updatedPayments }).remaining <= 0) {
         newStatus = 'paid';
       } else if (newTotalPaid > 0) {
         newStatus = 'active'; // Ensure it's active if payments have been made
@@ -1402,11 +1564,6 @@ export const FinanceProvider = ({ children }) => {
         .filter(payment => payment.id !== paymentId)
         .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
       
-      // Check if new amount would exceed loan amount
-      if (otherPaymentsTotal + newAmount > parseFloat(loanData.amount)) {
-        throw new Error('Updated payment amount would exceed loan balance');
-      }
-      
       // Update the payment
       const updatedPayments = [...payments];
       updatedPayments[paymentIndex] = {
@@ -1416,11 +1573,17 @@ export const FinanceProvider = ({ children }) => {
         updatedAt: new Date()
       };
       
+      // Check if new amount would exceed what is owed, interest and late fees included
+      const { totalDue } = compareScheduleWithPayments({ ...loanData, payments: updatedPayments });
+      if (otherPaymentsTotal + newAmount > totalDue) {
+        throw new Error('Updated payment amount would exceed loan balance');
+      }
+      
       const newTotalPaid = otherPaymentsTotal + newAmount;
       
       // Determine new loan status
       let newStatus = loanData.status;
-      if (newTotalPaid >= parseFloat(loanData.amount)) {
+      if (newTotalPaid >= totalDue) {
         newStatus = 'paid';
       } else if (newTotalPaid > 0) {
         newStatus = 'active';
@@ -1481,7 +1644,7 @@ export const FinanceProvider = ({ children }) => {
       
       // Determine new loan status
       let newStatus = loanData.status;
-      if (newTotalPaid >= parseFloat(loanData.amount)) {
+      if (compareScheduleWithPayments({ ...loanData, payments: updatedPayments }).remaining <= 0) {
         newStatus = 'paid';
       } else if (newTotalPaid > 0) {
         newStatus = 'active';
@@ -1532,8 +1695,7 @@ export const FinanceProvider = ({ children }) => {
       }
       
       const currentPayments = loanData.payments || [];
-      const totalPaid = currentPayments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
-      const remainingAmount = parseFloat(loanData.amount) - totalPaid;
+      const { remaining: remainingAmount } = compareScheduleWithPayments({ ...loanData, payments: currentPayments });
       
       if (remainingAmount <= 0) {
         // Already fully paid
@@ -1555,7 +1717,7 @@ export const FinanceProvider = ({ children }) => {
       // Update the loan document
       await updateDoc(loanRef, {
         payments: updatedPayments,
-        totalPaid: parseFloat(loanData.amount),
+        totalPaid: compareScheduleWithPayments({ ...loanData, payments: updatedPayments }).totalPaid,
         status: 'paid',
         updatedAt: new Date()
       });
@@ -2080,6 +2242,467 @@ export const FinanceProvider = ({ children }) => {
     }
   };
 
+  // Budget management
+  const loadBudgets = async () => {
+    if (!user) return;
+    
+    try {
+      // Try to load from cache if offline
+      if (!networkService.isOnline()) {
+        const cachedBudgets = await offlineStorageService.getItem(`finance_budgets_${currentScope}`);
+        if (cachedBudgets) {
+          setBudgets(JSON.parse(cachedBudgets));
+          return;
+        }
+      }
+      
+      // Personal budgets belong to the user; family budgets are shared like family accounts
+      const budgetsQuery = currentScope === FINANCE_SCOPE.PERSONAL
+        ? query(
+            collection(db, 'finance_budgets'),
+            where('owner', '==', user.uid),
+            where('scope', '==', FINANCE_SCOPE.PERSONAL)
+          )
+        : query(
+            collection(db, 'finance_budgets'),
+            where('scope', '==', currentScope),
+            where('sharedWith', 'array-contains', user.uid)
+          );
+      
+      const querySnapshot = await getDocs(budgetsQuery);
+      const budgetsList = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      
+      setBudgets(budgetsList);
+      
+      // Cache the results
+      await offlineStorageService.setItem(`finance_budgets_${currentScope}`, JSON.stringify(budgetsList));
+    } catch (err) {
+      console.error('Error loading budgets:', err);
+      setError('Failed to load budgets. Please try again.');
+    }
+  };
+
+  const createBudget = async (budgetData) => {
+    if (!user) return null;
+    
+    try {
+      const scope = budgetData.scope || currentScope;
+      const familyMembers = scope === FINANCE_SCOPE.EXTENDED ? extendedFamilyMembers : nuclearFamilyMembers;
+      
+      // Prepare budget data
+      const newBudget = {
+        ...budgetData,
+        amount: Math.round((parseFloat(budgetData.amount) || 0) * 100) / 100,
+        scope,
+        owner: user.uid,
+        sharedWith: scope === FINANCE_SCOPE.PERSONAL
+          ? []
+          : [user.uid, ...familyMembers.map(member => member.id).filter(id => id && id !== user.uid)],
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+      
+      // Add the budget to Firestore
+      const docRef = await addDoc(collection(db, 'finance_budgets'), newBudget);
+      
+      // Update local state
+      const createdBudget = {
+        id: docRef.id,
+        ...newBudget,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      
+      setBudgets(prev => [...prev, createdBudget]);
+      
+      // Update cache
+      const cachedBudgets = JSON.parse(await offlineStorageService.getItem(`finance_budgets_${currentScope}`) || '[]');
+      await offlineStorageService.setItem(
+        `finance_budgets_${currentScope}`,
+        JSON.stringify([...cachedBudgets, createdBudget])
+      );
+      
+      return createdBudget;
+    } catch (err) {
+      console.error('Error creating budget:', err);
+      setError('Failed to create budget. Please try again.');
+      return null;
+    }
+  };
+
+  const updateBudget = async (budgetId, budgetData) => {
+    if (!user) return false;
+    
+    try {
+      const updatedData = {
+        ...budgetData,
+        amount: Math.round((parseFloat(budgetData.amount) || 0) * 100) / 100
+      };
+      
+      await updateDoc(doc(db, 'finance_budgets', budgetId), {
+        ...updatedData,
+        updatedAt: serverTimestamp()
+      });
+      
+      const applyUpdate = (budgetsList) => budgetsList.map(budget => 
+        budget.id === budgetId ? { ...budget, ...updatedData, updatedAt: new Date() } : budget
+      );
+      
+      // Update local state
+      setBudgets(prev => applyUpdate(prev));
+      
+      // Update cache
+      const cachedBudgets = JSON.parse(await offlineStorageService.getItem(`finance_budgets_${currentScope}`) || '[]');
+      await offlineStorageService.setItem(
+        `finance_budgets_${currentScope}`,
+        JSON.stringify(applyUpdate(cachedBudgets))
+      );
+      
+      return true;
+    } catch (err) {
+      console.error('Error updating budget:', err);
+      setError('Failed to update budget. Please try again.');
+      return false;
+    }
+  };
+
+  const deleteBudget = async (budgetId) => {
+    if (!user) return false;
+    
+    try {
+      await deleteDoc(doc(db, 'finance_budgets', budgetId));
+      
+      // Update local state
+      setBudgets(prev => prev.filter(budget => budget.id !== budgetId));
+      
+      // Update cache
+      const cachedBudgets = JSON.parse(await offlineStorageService.getItem(`finance_budgets_${currentScope}`) || '[]');
+      await offlineStorageService.setItem(
+        `finance_budgets_${currentScope}`,
+        JSON.stringify(cachedBudgets.filter(budget => budget.id !== budgetId))
+      );
+      
+      return true;
+    } catch (err) {
+      console.error('Error deleting budget:', err);
+      setError('Failed to delete budget. Please try again.');
+      return false;
+    }
+  };
+
+  // Send the 80% and 100% alerts once per budget period, on this device
+  const checkBudgetAlerts = async () => {
+    // Budgets and transactions often change together; a second check must not resend what the first is sending
+    if (budgetAlertsRunningRef.current) {
+      budgetAlertsPendingRef.current = true;
+      return;
+    }
+    budgetAlertsRunningRef.current = true;
+
+    try {
+      // Right after a scope change, budgets, accounts and transactions may not all be for the same scope yet
+      const scopeAccountIds = accounts
+        .filter(account => (account.scope || FINANCE_SCOPE.PERSONAL) === currentScope)
+        .map(account => account.id);
+      const scopeBudgets = budgets.filter(budget => budget.scope === currentScope);
+      const scopeTransactions = transactions.filter(transaction => scopeAccountIds.includes(transaction.accountId));
+
+      const sentAlerts = JSON.parse(await offlineStorageService.getItem('finance_budget_alerts') || '{}');
+      const dueAlerts = getDueBudgetAlerts(scopeBudgets, scopeTransactions, sentAlerts);
+      if (dueAlerts.length === 0) return;
+      
+      for (const { key, budget, progress, threshold } of dueAlerts) {
+        await sendBudgetAlert(budget, progress, threshold);
+        sentAlerts[key] = threshold;
+      }
+      
+      await offlineStorageService.setItem('finance_budget_alerts', JSON.stringify(sentAlerts));
+    } catch (err) {
+      console.error('Error checking budget alerts:', err);
+    } finally {
+      budgetAlertsRunningRef.current = false;
+      if (budgetAlertsPendingRef.current) {
+        budgetAlertsPendingRef.current = false;
+        checkBudgetAlertsRef.current();
+      }
+    }
+  };
+  checkBudgetAlertsRef.current = checkBudgetAlerts;
+
+  // Recurring transactions
+  // Templates belong to the user who set them up, and only their devices turn them into transactions
+  const loadRecurringTransactions = async () => {
+    if (!user) return [];
+    
+    try {
+      // Try to load from cache if offline
+      if (!networkService.isOnline()) {
+        const cachedTemplates = await offlineStorageService.getItem('finance_recurring_transactions');
+        if (cachedTemplates) {
+          const templates = JSON.parse(cachedTemplates);
+          setRecurringTransactions(templates);
+          return templates;
+        }
+      }
+      
+      const templatesQuery = query(
+        collection(db, 'finance_recurring_transactions'),
+        where('owner', '==', user.uid)
+      );
+      
+      const querySnapshot = await getDocs(templatesQuery);
+      const templates = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      
+      setRecurringTransactions(templates);
+      
+      // Cache the results
+      await offlineStorageService.setItem('finance_recurring_transactions', JSON.stringify(templates));
+      return templates;
+    } catch (err) {
+      console.error('Error loading recurring transactions:', err);
+      setError('Failed to load recurring transactions. Please try again.');
+      return [];
+    }
+  };
+
+  // Moves a template's cursor forward, never back past what another device already processed
+  const advanceRecurringCursor = (templateRef, cursor) => runTransaction(db, async (firestoreTransaction) => {
+    const snapshot = await firestoreTransaction.get(templateRef);
+    if (snapshot.exists() && (snapshot.data().processedCount || 0) < cursor.processedCount) {
+      firestoreTransaction.update(templateRef, cursor);
+    }
+  });
+
+  /**
+   * Create the transactions for every occurrence that is due
+   * @returns {Promise<number>} How many transactions were created
+   */
+  const processRecurringTransactions = async () => {
+    if (!user || !networkService.isOnline() || recurringRunningRef.current) return 0;
+    recurringRunningRef.current = true;
+    
+    try {
+      const templates = await loadRecurringTransactions();
+      let createdCount = 0;
+      
+      for (const template of templates) {
+        try {
+          const templateRef = doc(db, 'finance_recurring_transactions', template.id);
+          
+          for (const occurrence of getDueOccurrences(template)) {
+            // Moved on one occurrence at a time, in the same commit as its transaction, so an
+            // interrupted run picks up where it stopped without adding anything twice
+            const cursor = {
+              processedCount: occurrence.index + 1,
+              lastOccurrenceDate: occurrence.date,
+              updatedAt: serverTimestamp()
+            };
+            
+            if (occurrence.skipped) {
+              await advanceRecurringCursor(templateRef, cursor);
+              continue;
+            }
+            
+            // Each occurrence has its own transaction ID, so when two devices process the same
+            // template only the first commit goes through
+            try {
+              const balances = await commitTransactionChanges(
+                [{
+                  ref: doc(db, 'finance_transactions', `${template.id}_${occurrence.index}`),
+                  data: {
+                    ...buildOccurrenceTransaction(template, occurrence),
+                    createdBy: user.uid,
+                    createdAt: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                  },
+                  create: true
+                }],
+                firestoreTransaction => firestoreTransaction.update(templateRef, cursor)
+              );
+              await setLocalAccountBalances(balances);
+              createdCount++;
+            } catch (err) {
+              if (err.message !== TRANSACTION_EXISTS_MESSAGE) throw err;
+              // Created on another device, or from a stale copy of the template: move past it
+              console.log(`Recurring transaction ${template.id} occurrence ${occurrence.index} was processed elsewhere`);
+              await advanceRecurringCursor(templateRef, cursor);
+            }
+          }
+        } catch (err) {
+          console.error(`Error processing recurring transaction ${template.id}:`, err);
+        }
+      }
+      
+      if (createdCount > 0) {
+        console.log(`Created ${createdCount} transactions from recurring transactions`);
+        await loadRecurringTransactions();
+        await loadTransactions();
+      }
+      
+      return createdCount;
+    } catch (err) {
+      console.error('Error processing recurring transactions:', err);
+      return 0;
+    } finally {
+      recurringRunningRef.current = false;
+    }
+  };
+  processRecurringRef.current = processRecurringTransactions;
+
+  const createRecurringTransaction = async (templateData) => {
+    if (!user) return null;
+    
+    try {
+      const newTemplate = {
+        ...templateData,
+        amount: Math.round((parseFloat(templateData.amount) || 0) * 100) / 100,
+        owner: user.uid,
+        active: true,
+        processedCount: 0,
+        skippedDates: [],
+        overrides: {},
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+      
+      const docRef = await addDoc(collection(db, 'finance_recurring_transactions'), newTemplate);
+      const createdTemplate = {
+        id: docRef.id,
+        ...newTemplate,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      
+      setRecurringTransactions(prev => [...prev, createdTemplate]);
+      
+      // The first occurrence may already be due
+      await processRecurringTransactions();
+      
+      return createdTemplate;
+    } catch (err) {
+      console.error('Error creating recurring transaction:', err);
+      setError('Failed to create recurring transaction. Please try again.');
+      return null;
+    }
+  };
+
+  // Save changes to a template, in Firestore, local state and the cache
+  const saveRecurringTransaction = async (templateId, changes) => {
+    await updateDoc(doc(db, 'finance_recurring_transactions', templateId), {
+      ...changes,
+      updatedAt: serverTimestamp()
+    });
+    
+    const applyChanges = (templates) => templates.map(template => 
+      template.id === templateId ? { ...template, ...changes, updatedAt: new Date() } : template
+    );
+    
+    setRecurringTransactions(prev => applyChanges(prev));
+    
+    const cachedTemplates = JSON.parse(await offlineStorageService.getItem('finance_recurring_transactions') || '[]');
+    await offlineStorageService.setItem('finance_recurring_transactions', JSON.stringify(applyChanges(cachedTemplates)));
+  };
+
+  /**
+   * Change every future occurrence, or pause and resume with { active }
+   * The schedule itself (start date, frequency, interval) can't change, since
+   * occurrences already created are counted against it.
+   */
+  const updateRecurringTransaction = async (templateId, templateData) => {
+    if (!user) return false;
+    
+    try {
+      const { startDate, frequency, interval, processedCount, ...changes } = templateData;
+      if (changes.amount !== undefined) {
+        changes.amount = Math.round((parseFloat(changes.amount) || 0) * 100) / 100;
+      }
+      
+      await saveRecurringTransaction(templateId, changes);
+      
+      // Resuming may leave occurrences due
+      if (changes.active) {
+        await processRecurringTransactions();
+      }
+      return true;
+    } catch (err) {
+      console.error('Error updating recurring transaction:', err);
+      setError('Failed to update recurring transaction. Please try again.');
+      return false;
+    }
+  };
+
+  // Stops future occurrences; transactions already created are kept
+  const deleteRecurringTransaction = async (templateId) => {
+    if (!user) return false;
+    
+    try {
+      await deleteDoc(doc(db, 'finance_recurring_transactions', templateId));
+      
+      setRecurringTransactions(prev => prev.filter(template => template.id !== templateId));
+      
+      const cachedTemplates = JSON.parse(await offlineStorageService.getItem('finance_recurring_transactions') || '[]');
+      await offlineStorageService.setItem(
+        'finance_recurring_transactions',
+        JSON.stringify(cachedTemplates.filter(template => template.id !== templateId))
+      );
+      
+      return true;
+    } catch (err) {
+      console.error('Error deleting recurring transaction:', err);
+      setError('Failed to delete recurring transaction. Please try again.');
+      return false;
+    }
+  };
+
+  // Skip one upcoming occurrence, or bring it back with skip = false
+  const skipRecurringOccurrence = async (templateId, date, skip = true) => {
+    const template = recurringTransactions.find(item => item.id === templateId);
+    if (!user || !template) return false;
+    
+    try {
+      const skippedDates = (template.skippedDates || []).filter(skippedDate => skippedDate !== date);
+      await saveRecurringTransaction(templateId, {
+        skippedDates: skip ? [...skippedDates, date] : skippedDates
+      });
+      return true;
+    } catch (err) {
+      console.error('Error skipping recurring occurrence:', err);
+      setError('Failed to skip this occurrence. Please try again.');
+      return false;
+    }
+  };
+
+  // Change the amount or description of one upcoming occurrence
+  const editRecurringOccurrence = async (templateId, date, occurrenceData) => {
+    const template = recurringTransactions.find(item => item.id === templateId);
+    if (!user || !template) return false;
+    
+    try {
+      const override = {};
+      OCCURRENCE_FIELDS.forEach(field => {
+        if (occurrenceData[field] !== undefined) override[field] = occurrenceData[field];
+      });
+      if (override.amount !== undefined) {
+        override.amount = Math.round((parseFloat(override.amount) || 0) * 100) / 100;
+      }
+      
+      await saveRecurringTransaction(templateId, {
+        overrides: { ...(template.overrides || {}), [date]: override }
+      });
+      return true;
+    } catch (err) {
+      console.error('Error editing recurring occurrence:', err);
+      setError('Failed to change this occurrence. Please try again.');
+      return false;
+    }
+  };
+
   // Change current scope
   const changeScope = (scope) => {
     if (Object.values(FINANCE_SCOPE).includes(scope)) {
@@ -2145,6 +2768,7 @@ export const FinanceProvider = ({ children }) => {
       await loadProjects();
       await loadLoans();
       await loadWelfareAccounts();
+      await loadBudgets();
       
       return true;
     } catch (err) {
@@ -2183,6 +2807,8 @@ export const FinanceProvider = ({ children }) => {
       projects,
       loans,
       welfareAccounts,
+      budgets,
+      recurringTransactions,
       isLoading,
       error,
       currentScope,
@@ -2196,11 +2822,12 @@ export const FinanceProvider = ({ children }) => {
       createAccount,
       updateAccount,
       deleteAccount,
-      recalculateAccountBalance,
-      recalculateAllAccountBalances,
+      checkLedgerIntegrity,
+      startAccountLedger,
       
       // Transaction management
       createTransaction,
+      createTransfer,
       updateTransaction,
       deleteTransaction,
       
@@ -2226,6 +2853,19 @@ export const FinanceProvider = ({ children }) => {
       addWelfareMember,
       removeWelfareMember,
       
+      // Budget management
+      createBudget,
+      updateBudget,
+      deleteBudget,
+      
+      // Recurring transactions
+      createRecurringTransaction,
+      updateRecurringTransaction,
+      deleteRecurringTransaction,
+      skipRecurringOccurrence,
+      editRecurringOccurrence,
+      processRecurringTransactions,
+      
       // Reports
       generateIncomeExpenseReport,
       
@@ -2244,6 +2884,8 @@ export const FinanceProvider = ({ children }) => {
     projects, 
     loans, 
     welfareAccounts, 
+    budgets,
+    recurringTransactions,
     isLoading, 
     error, 
     currentScope
@@ -2251,356 +2893,132 @@ export const FinanceProvider = ({ children }) => {
     // Functions are stable and don't need to be in the dependency array
   ]);
 
-  // Recalculate and fix an account's balance based on all its transactions
-  const recalculateAccountBalance = async (accountId) => {
-    if (!user) return false;
+  // Ledger
+  // Balances only move through commitTransactionChanges, which writes the transactions, their
+  // ledger entries and the new balances in one Firestore transaction. See services/financeLedger.
+
+  // Applies balances written by a commit to local state and to the cached accounts of every scope
+  const setLocalAccountBalances = async (balances) => {
+    if (Object.keys(balances).length === 0) return;
     
-    try {
-      setIsLoading(true);
-      setError(null);
-      
-      console.log(`Recalculating balance for account ${accountId}`);
-      
-      // Get the account
-      const accountRef = doc(db, 'finance_accounts', accountId);
-      const accountSnapshot = await getDoc(accountRef);
-      
-      if (!accountSnapshot.exists()) {
-        console.error('Account not found:', accountId);
-        throw new Error('Account not found');
-      }
-      
-      const accountData = accountSnapshot.data();
-      
-      // Check permissions
-      if (accountData.owner !== user.uid && !accountData.sharedWith?.includes(user.uid)) {
-        console.error('Permission denied for account:', accountId);
-        throw new Error('You do not have permission to recalculate this account');
+    const withBalances = (list) => list.map(account => (
+      balances[account.id] !== undefined
+        ? { ...account, balance: balances[account.id], updatedAt: new Date() }
+        : account
+    ));
+    
+    setAccounts(prev => withBalances(prev));
+    
+    for (const scope of Object.values(FINANCE_SCOPE)) {
+      try {
+        const cachedAccounts = JSON.parse(await offlineStorageService.getItem(`finance_accounts_${scope}`) || '[]');
+        await offlineStorageService.setItem(`finance_accounts_${scope}`, JSON.stringify(withBalances(cachedAccounts)));
+      } catch (err) {
+        console.error(`Error updating cached accounts for scope ${scope}:`, err);
       }
-      
-      // Get the initial balance (when account was created)
-      let initialBalance = 0;
+    }
+  };
+
+  // See financeLedger.commitTransactionChanges
+  const commitTransactionChanges = (changes, writeMore) => (
+    financeLedger.commitTransactionChanges(user.uid, changes, writeMore)
+  );
+
+  // Loads an account's ledger entries and transactions
+  const loadAccountHistory = async (accountId) => {
+    const [entriesSnapshot, transactionsSnapshot] = await Promise.all([
+      getDocs(query(collection(db, 'finance_ledger'), where('accountId', '==', accountId))),
+      getDocs(query(collection(db, 'finance_transactions'), where('accountId', '==', accountId)))
+    ]);
+    
+    return {
+      entries: entriesSnapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })),
+      transactions: transactionsSnapshot.docs.map(transactionDoc => ({ id: transactionDoc.id, ...transactionDoc.data() }))
+    };
+  };
+
+  // Checks accounts against their ledger and transactions and reports, per account, anything
+  // that does not add up. Nothing is rewritten.
+  const checkLedgerIntegrity = async (accountIds = accounts.map(account => account.id)) => {
+    if (!user) return [];
+    
+    const reports = [];
+    for (const accountId of accountIds) {
       try {
-        initialBalance = typeof accountData.initialBalance === 'number' 
-          ? accountData.initialBalance 
-          : parseFloat(accountData.initialBalance || 0);
+        const accountSnapshot = await getDoc(doc(db, 'finance_accounts', accountId));
         
-        // Safety check for NaN
-        if (isNaN(initialBalance)) {
-          console.warn(`Invalid initial balance for account ${accountId}, using 0 instead`);
-          initialBalance = 0;
+        if (!accountSnapshot.exists()) {
+          throw new Error('Account not found');
         }
-      } catch (error) {
-        console.error(`Error parsing initial balance for account ${accountId}:`, error);
-        initialBalance = 0;
-      }
-      
-      console.log(`Initial balance: ${initialBalance}`);
-      
-      // Get all transactions for this account
-      const transactionsQuery = query(
-        collection(db, 'finance_transactions'),
-        where('accountId', '==', accountId)
-      );
-      
-      const transactionsSnapshot = await getDocs(transactionsQuery);
-      console.log(`Found ${transactionsSnapshot.size} transactions for account ${accountId}`);
-      
-      // Calculate the new balance based on all transactions
-      let newBalance = initialBalance;
-      let incomeTotal = 0;
-      let expenseTotal = 0;
-      let transactionCount = 0;
-      let errorCount = 0;
-      
-      // Process each transaction with enhanced error handling
-      transactionsSnapshot.forEach(doc => {
-        try {
-          const transaction = doc.data();
-          if (!transaction) {
-            console.warn(`Empty transaction data for document ${doc.id}, skipping`);
-            errorCount++;
-            return;
-          }
-          
-          // Ensure we have a valid amount
-          let transactionAmount = 0;
-          try {
-            if (typeof transaction.amount === 'number') {
-              transactionAmount = transaction.amount;
-            } else if (typeof transaction.amount === 'string') {
-              transactionAmount = parseFloat(transaction.amount);
-            } else if (transaction.amount) {
-              transactionAmount = parseFloat(transaction.amount);
-            }
-            
-            // Safety check for NaN
-            if (isNaN(transactionAmount)) {
-              console.warn(`Invalid amount in transaction ${doc.id}: ${transaction.amount}, using 0 instead`);
-              transactionAmount = 0;
-            }
-            
-            // Round to prevent floating point errors
-            transactionAmount = Math.round(transactionAmount * 100) / 100;
-          } catch (error) {
-            console.error(`Error parsing amount for transaction ${doc.id}:`, error);
-            transactionAmount = 0;
-            errorCount++;
-          }
-          
-          // Process based on transaction type
-          if (transaction.type === 'income') {
-            newBalance += transactionAmount;
-            incomeTotal += transactionAmount;
-            console.log(`Income transaction ${doc.id}: +${transactionAmount}`);
-          } else if (transaction.type === 'expense') {
-            newBalance -= transactionAmount;
-            expenseTotal += transactionAmount;
-            console.log(`Expense transaction ${doc.id}: -${transactionAmount}`);
-          } else {
-            console.warn(`Unknown transaction type in ${doc.id}: ${transaction.type}, skipping`);
-            errorCount++;
-            return;
-          }
-          
-          transactionCount++;
-        } catch (error) {
-          console.error(`Error processing transaction ${doc.id}:`, error);
-          errorCount++;
-        }
-      });
-      
-      // Round to 2 decimal places to avoid floating point issues
-      newBalance = Math.round(newBalance * 100) / 100;
-      
-      console.log(`Recalculation summary for account ${accountId}:`);
-      console.log(`- Initial balance: ${initialBalance}`);
-      console.log(`- Income total: ${incomeTotal}`);
-      console.log(`- Expense total: ${expenseTotal}`);
-      console.log(`- Processed transactions: ${transactionCount} (errors: ${errorCount})`);
-      console.log(`- New balance: ${newBalance} (previous: ${accountData.balance || 0})`);
-      
-      // Update the account with the recalculated balance
-      await updateDoc(accountRef, {
-        balance: newBalance,
-        updatedAt: serverTimestamp()
-      });
-      
-      // Update the account in the local state
-      setAccounts(prev => 
-        prev.map(account => 
-          account.id === accountId 
-            ? { ...account, balance: newBalance, updatedAt: new Date() } 
-            : account
-        )
-      );
-      
-      // Also update any cached versions
-      const accountScopes = [FINANCE_SCOPE.PERSONAL, FINANCE_SCOPE.NUCLEAR, FINANCE_SCOPE.EXTENDED];
-      for (const scope of accountScopes) {
-        try {
-          const cachedAccounts = JSON.parse(await offlineStorageService.getItem(`finance_accounts_${scope}`) || '[]');
-          const updatedCachedAccounts = cachedAccounts.map(acc => {
-            if (acc.id === accountId) {
-              return { ...acc, balance: newBalance, updatedAt: new Date() };
-                       }
-            return acc;
-          });
-          
-          await offlineStorageService.setItem(`finance_accounts_${scope}`, JSON.stringify(updatedCachedAccounts));
-        } catch (err) {
-          console.error(`Error updating cached accounts for scope ${scope}:`, err);
+        
+        const accountData = accountSnapshot.data();
+        const { entries, transactions: accountTransactions } = await loadAccountHistory(accountId);
+        const report = checkAccountLedger({ id: accountId, ...accountData }, entries, accountTransactions);
+        
+        if (report.discrepancies.length > 0) {
+          console.warn(`Ledger check found ${report.discrepancies.length} discrepancies for account ${accountId}`);
         }
+        
+        reports.push({ ...report, name: accountData.name });
+      } catch (err) {
+        console.error(`Error checking ledger for account ${accountId}:`, err);
+        reports.push({ accountId, error: err.message, discrepancies: [] });
       }
-      
-      // Reload transactions to ensure consistency with the recalculated balance
-      await loadTransactions();
-      
-      setIsLoading(false);
-      return true;
-    } catch (err) {
-      console.error('Error recalculating account balance:', err);
-      setError('Failed to recalculate account balance. Please try again.');
-      setIsLoading(false);
-      return false;
     }
+    
+    return reports;
   };
 
-  // New function to recalculate all account balances
-  const recalculateAllAccountBalances = async () => {
+  // Records the history of an account from before it had a ledger and sets its balance to what
+  // the ledger then adds up to. Entries already in the ledger are left as they are.
+  const startAccountLedger = async (accountId) => {
     if (!user) return false;
     
     try {
-      setIsLoading(true);
-      setError(null);
-      
-      console.log('Recalculating balances for all accounts');
+      const accountRef = doc(db, 'finance_accounts', accountId);
+      const accountSnapshot = await getDoc(accountRef);
       
-      // Get all accounts
-      const userAccounts = [...accounts];
-      console.log(`Found ${userAccounts.length} accounts to process`);
+      if (!accountSnapshot.exists()) {
+        throw new Error('Account not found');
+      }
       
-      // Track success/failure
-      let allSucceeded = true;
-      let processedCount = 0;
-      let errorCount = 0;
+      const account = { id: accountId, ...accountSnapshot.data() };
       
-      // Process each account
-      for (const account of userAccounts) {
-        try {
-          console.log(`Processing account: ${account.id} (${account.name})`);
-          
-          // Get the initial balance with enhanced error handling
-          let initialBalance = 0;
-          try {
-            initialBalance = typeof account.initialBalance === 'number' 
-              ? account.initialBalance 
-              : parseFloat(account.initialBalance || 0);
-            
-            if (isNaN(initialBalance)) {
-              console.warn(`Invalid initial balance for account ${account.id}, using 0 instead`);
-              initialBalance = 0;
-            }
-          } catch (error) {
-            console.error(`Error parsing initial balance for account ${account.id}:`, error);
-            initialBalance = 0;
-          }
-          
-          // Get all transactions for this account
-          const transactionsQuery = query(
-            collection(db, 'finance_transactions'),
-            where('accountId', '==', account.id)
-          );
-          
-          const transactionsSnapshot = await getDocs(transactionsQuery);
-          console.log(`Found ${transactionsSnapshot.size} transactions for account ${account.id}`);
-          
-          // Calculate the new balance based on all transactions
-          let newBalance = initialBalance;
-          let incomeTotal = 0;
-          let expenseTotal = 0;
-          let transactionCount = 0;
-          let transactionErrors = 0;
-          
-          // Process each transaction with enhanced error handling
-          transactionsSnapshot.forEach(doc => {
-            try {
-              const transaction = doc.data();
-              if (!transaction) {
-                console.warn(`Empty transaction data for document ${doc.id}, skipping`);
-                transactionErrors++;
-                return;
-              }
-              
-              // Ensure we have a valid amount
-              let transactionAmount = 0;
-              try {
-                if (typeof transaction.amount === 'number') {
-                  transactionAmount = transaction.amount;
-                } else if (typeof transaction.amount === 'string') {
-                  transactionAmount = parseFloat(transaction.amount);
-                } else if (transaction.amount) {
-                  transactionAmount = parseFloat(transaction.amount);
-                }
-                
-                // Safety check for NaN
-                if (isNaN(transactionAmount)) {
-                  console.warn(`Invalid amount in transaction ${doc.id}: ${transaction.amount}, using 0 instead`);
-                  transactionAmount = 0;
-                }
-                
-                // Round to prevent floating point errors
-                transactionAmount = Math.round(transactionAmount * 100) / 100;
-              } catch (error) {
-                console.error(`Error parsing amount for transaction ${doc.id}:`, error);
-                transactionAmount = 0;
-                transactionErrors++;
-              }
-              
-              // Process based on transaction type
-              if (transaction.type === 'income') {
-                newBalance += transactionAmount;
-                incomeTotal += transactionAmount;
-              } else if (transaction.type === 'expense') {
-                newBalance -= transactionAmount;
-                expenseTotal += transactionAmount;
-              } else {
-                console.warn(`Unknown transaction type in ${doc.id}: ${transaction.type}, skipping`);
-                transactionErrors++;
-                return;
-              }
-              
-              transactionCount++;
-            } catch (error) {
-              console.error(`Error processing transaction ${doc.id}:`, error);
-              transactionErrors++;
-            }
-          });
-          
-          // Round to 2 decimal places to avoid floating point issues
-          newBalance = Math.round(newBalance * 100) / 100;
-          
-          console.log(`Recalculation summary for account ${account.id}:`);
-          console.log(`- Initial balance: ${initialBalance}`);
-          console.log(`- Income total: ${incomeTotal}`);
-          console.log(`- Expense total: ${expenseTotal}`);
-          console.log(`- Processed transactions: ${transactionCount} (errors: ${transactionErrors})`);
-          console.log(`- New balance: ${newBalance} (previous: ${account.balance || 0})`);
-          
-          // Get the current balance from the account
-          let currentBalance = 0;
-          try {
-            currentBalance = typeof account.balance === 'number' 
-              ? account.balance 
-              : parseFloat(account.balance || 0);
-            
-            if (isNaN(currentBalance)) {
-              console.warn(`Invalid current balance for account ${account.id}, treating as 0`);
-              currentBalance = 0;
-            }
-          } catch (error) {
-            console.error(`Error parsing current balance for account ${account.id}:`, error);
-            currentBalance = 0;
-          }
-          
-          // Update if the recalculated balance differs from the current balance
-          // Use a small epsilon value to account for potential floating point comparison issues
-          const epsilon = 0.001;
-          if (Math.abs(newBalance - currentBalance) > epsilon) {
-            // Update the account with the recalculated balance
-            const accountRef = doc(db, 'finance_accounts', account.id);
-            await updateDoc(accountRef, {
-              balance: newBalance,
-              updatedAt: serverTimestamp()
-            });
-            
-            console.log(`Updated account ${account.id} with new balance: ${newBalance} (was: ${currentBalance})`);
-          } else {
-            console.log(`No change needed for account ${account.id} (balance already correct)`);
-          }
-          
-          processedCount++;
-        } catch (err) {
-          console.error(`Error recalculating balance for account ${account.id}:`, err);
-          allSucceeded = false;
-          errorCount++;
-        }
+      if (account.owner !== user.uid && !account.sharedWith?.includes(user.uid)) {
+        throw new Error('You do not have permission to change this account');
       }
       
-      console.log(`Recalculation complete for ${processedCount} accounts with ${errorCount} errors`);
+      const { entries, transactions: accountTransactions } = await loadAccountHistory(accountId);
+      const missingEntries = getMissingLedgerEntries(account, entries, accountTransactions);
+      const balance = getLedgerTotals([...entries, ...missingEntries])[accountId] || 0;
       
-      // Reload accounts to reflect changes
-      await loadAccounts();
+      // A batch holds at most 500 writes; the balance goes in with the last one. If a batch
+      // fails, running this again only adds what is still missing.
+      const MAX_BATCH_ENTRIES = 499;
+      const chunks = [];
+      for (let i = 0; i < missingEntries.length; i += MAX_BATCH_ENTRIES) {
+        chunks.push(missingEntries.slice(i, i + MAX_BATCH_ENTRIES));
+      }
+      if (chunks.length === 0) {
+        chunks.push([]);
+      }
       
-      // Also reload transactions to ensure consistency
-      await loadTransactions();
+      for (const [index, chunk] of chunks.entries()) {
+        const batch = writeBatch(db);
+        chunk.forEach(entry => financeLedger.addEntry(batch, entry, user.uid));
+        if (index === chunks.length - 1) {
+          batch.update(accountRef, { balance, updatedAt: serverTimestamp() });
+        }
+        await batch.commit();
+      }
       
-      setIsLoading(false);
-      return allSucceeded;
+      console.log(`Recorded ${missingEntries.length} ledger entries for account ${accountId}, balance ${account.balance} -> ${balance}`);
+      
+      await setLocalAccountBalances({ [accountId]: balance });
+      return true;
     } catch (err) {
-      console.error('Error recalculating all account balances:', err);
-      setError('Failed to recalculate account balances. Please try again.');
-      setIsLoading(false);
+      console.error('Error starting account ledger:', err);
+      setError('Failed to record account history. Please try again.');
       return false;
     }
   };
@@ -5,6 +5,10 @@ import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../../firebaseConfig';
+import { AppState } from 'react-native';
+import medicationService from '../services/medicationService';
+import documentExpiryService from '../services/documentExpiryService';
+import AppLockGate from '../components/AppLockGate';
 
 // Screens
 import HomeScreen from '../screens/HomeScreen';
@@ -17,6 +21,11 @@ import RegisterScreen from '../screens/RegisterScreen';
 import AddRecordScreen from '../screens/AddRecordScreen';
 import EditRecordScreen from '../screens/EditRecordScreen';
 import RecordDetailScreen from '../screens/RecordDetailScreen';
+import MedicationScheduleScreen from '../screens/MedicationScheduleScreen';
+import AddAppointmentScreen from '../screens/AddAppointmentScreen';
+import AppointmentDetailScreen from '../screens/AppointmentDetailScreen';
+import LabTrendScreen from '../screens/LabTrendScreen';
+import ImmunizationVaccineScreen from '../screens/ImmunizationVaccineScreen';
 import FamilyMemberScreen from '../screens/FamilyMemberScreen';
 import FamilyMemberDetailScreen from '../screens/FamilyMemberDetailScreen';
 import FamilyTreeScreen from '../screens/FamilyTreeScreen';
@@ -31,6 +40,8 @@ import ExtendedFamilyProjectsScreen from '../screens/finance/ExtendedFamilyProje
 import AddAccountScreen from '../screens/finance/AddAccountScreen';
 import AddTransactionScreen from '../screens/finance/AddTransactionScreen';
 import AddProjectScreen from '../screens/finance/AddProjectScreen';
+import AddBudgetScreen from '../screens/finance/AddBudgetScreen';
+import RecurringTransactionsScreen from '../screens/finance/RecurringTransactionsScreen';
 import AccountDetailsScreen from '../screens/finance/AccountDetailsScreen';
 import TransactionDetailsScreen from '../screens/finance/TransactionDetailsScreen';
 import EditAccountScreen from '../screens/finance/EditAccountScreen';
@@ -135,6 +146,51 @@ const AppStack = () => (
         headerTintColor: '#fff'
       }}
     />
+    <Stack.Screen
+      name="MedicationSchedule"
+      component={MedicationScheduleScreen}
+      options={{
+        title: 'Medication Schedule',
+        headerStyle: { backgroundColor: '#6366f1' },
+        headerTintColor: '#fff'
+      }}
+    />
+    <Stack.Screen
+      name="LabTrend"
+      component={LabTrendScreen}
+      options={{
+        title: 'Lab Trends',
+        headerStyle: { backgroundColor: '#6366f1' },
+        headerTintColor: '#fff'
+      }}
+    />
+    <Stack.Screen
+      name="ImmunizationVaccine"
+      component={ImmunizationVaccineScreen}
+      options={{
+        title: 'Vaccine',
+        headerStyle: { backgroundColor: '#6366f1' },
+        headerTintColor: '#fff'
+      }}
+    />
+    <Stack.Screen
+      name="AddAppointment"
+      component={AddAppointmentScreen}
+      options={{
+        title: 'New Appointment',
+        headerStyle: { backgroundColor: '#6366f1' },
+        headerTintColor: '#fff'
+      }}
+    />
+    <Stack.Screen
+      name="AppointmentDetail"
+      component={AppointmentDetailScreen}
+      options={{
+        title: 'Appointment',
+        headerStyle: { backgroundColor: '#6366f1' },
+        headerTintColor: '#fff'
+      }}
+    />
     <Stack.Screen 
       name="EditRecord" 
       component={EditRecordScreen}
@@ -273,6 +329,24 @@ const AppStack = () => (
         headerTintColor: '#fff'
       }}
     />
+    <Stack.Screen 
+      name="AddBudget" 
+      component={AddBudgetScreen}
+      options={({ route }) => ({ 
+        title: route.params?.budget ? 'Edit Budget' : 'Add Budget',
+        headerStyle: { backgroundColor: '#6366f1' },
+        headerTintColor: '#fff'
+      })}
+    />
+    <Stack.Screen 
+      name="RecurringTransactions" 
+      component={RecurringTransactionsScreen}
+      options={{ 
+        title: 'Recurring Transactions',
+        headerStyle: { backgroundColor: '#6366f1' },
+        headerTintColor: '#fff'
+      }}
+    />
     <Stack.Screen 
       name="AccountDetails" 
       component={AccountDetailsScreen}
@@ -559,6 +633,27 @@ const AppNavigator = () => {
 
     checkUserStatus();
   }, [user]);
+
+  // Complete finished medication courses and top up their reminders
+  useEffect(() => {
+    if (user) {
+      medicationService.reconcileRegimens(user.uid);
+    }
+  }, [user]);
+
+  // Keep card expiry alerts current, at launch and whenever the app comes back to the foreground
+  useEffect(() => {
+    if (!user) return;
+
+    documentExpiryService.scanAndSchedule(user.uid);
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        documentExpiryService.scanAndSchedule(user.uid);
+      }
+    });
+
+    return () => subscription.remove();
+  }, [user]);
   
   console.log('🧭 AppNavigator - Auth state:', { 
     user: user ? 'logged in' : 'not logged in', 
@@ -579,14 +674,21 @@ const AppNavigator = () => {
   if (isNewUser) {
     // If it's a new user (recently registered and on free plan), show onboarding
     return (
-      <Stack.Navigator screenOptions={{ headerShown: false }}>
-        <Stack.Screen name="Onboarding" component={OnboardingScreen} />
-        <Stack.Screen name="AppStack" component={AppStack} />
-      </Stack.Navigator>
+      <AppLockGate>
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+          <Stack.Screen name="Onboarding" component={OnboardingScreen} />
+          <Stack.Screen name="AppStack" component={AppStack} />
+        </Stack.Navigator>
+      </AppLockGate>
     );
   }
 
-  return <AppStack />;
+  // Signed-in content sits behind the biometric lock set up in PrivacySecurityScreen
+  return (
+    <AppLockGate>
+      <AppStack />
+    </AppLockGate>
+  );
 };
 
 export default AppNavigator;
@@ -0,0 +1,584 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Modal,
+  Platform,
+  KeyboardAvoidingView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { db } from '../../firebaseConfig';
+import WrappedDateTimePicker from '../components/WrappedDateTimePicker';
+import { useAuth } from '../contexts/AuthContext';
+import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
+import appointmentService, {
+  DEFAULT_APPOINTMENT_DURATION,
+  getAppointmentDate
+} from '../services/appointmentService';
+import calendarSyncService from '../services/calendarSync';
+import { getNotificationPreferences } from '../services/notifications';
+import offlineStorageService from '../services/offlineStorage';
+import networkService from '../services/networkService';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { placeholderTextColor } from '../utils/inputStyles';
+import { SPECIALTIES } from '../constants';
+import { REMINDER_OFFSET_OPTIONS, formatOffset, getReminderOffsets } from '../utils/appointmentReminders';
+
+const DURATION_OPTIONS = [15, 30, 45, 60, 90, 120];
+
+// Default new appointments to the next whole hour tomorrow
+const getDefaultDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(date.getHours() + 1, 0, 0, 0);
+  return date;
+};
+
+const AddAppointmentScreen = ({ route, navigation }) => {
+  const { appointment, familyMemberId: initialMemberId } = route.params || {};
+  const isEditing = !!appointment;
+  const { user } = useAuth();
+  const { withErrorHandling, isLoading } = useError();
+
+  const [formData, setFormData] = useState({
+    title: appointment?.title || '',
+    familyMemberId: appointment?.familyMemberId || initialMemberId || '',
+    specialty: appointment?.specialty || '',
+    doctor: appointment?.doctor || '',
+    location: appointment?.location || '',
+    date: (appointment && getAppointmentDate(appointment)) || getDefaultDate(),
+    duration: appointment?.duration || DEFAULT_APPOINTMENT_DURATION,
+    notes: appointment?.notes || '',
+    // null means use the default reminder times
+    reminderOffsets: Array.isArray(appointment?.reminderOffsets) ? appointment.reminderOffsets : null,
+  });
+  const [notificationPreferences, setNotificationPreferences] = useState({});
+  const [familyMembers, setFamilyMembers] = useState([]);
+  const [showMemberPicker, setShowMemberPicker] = useState(false);
+  const [showSpecialtyPicker, setShowSpecialtyPicker] = useState(false);
+  // 'date' | 'time' | null
+  const [pickerMode, setPickerMode] = useState(null);
+
+  useEffect(() => {
+    navigation.setOptions({ title: isEditing ? 'Edit Appointment' : 'New Appointment' });
+    loadFamilyMembers();
+    getNotificationPreferences().then(setNotificationPreferences);
+  }, []);
+
+  const loadFamilyMembers = async () => {
+    try {
+      if (!networkService.isOnline()) {
+        const cachedMembers = await offlineStorageService.getCachedFamilyMembers();
+        setFamilyMembers(cachedMembers?.data || []);
+        return;
+      }
+
+      const membersQuery = query(
+        collection(db, 'familyMembers'),
+        where('userId', '==', user.uid)
+      );
+      const snapshot = await getDocs(membersQuery);
+      setFamilyMembers(snapshot.docs.map(memberDoc => ({ id: memberDoc.id, ...memberDoc.data() })));
+    } catch (error) {
+      console.error('Error loading family members:', error);
+    }
+  };
+
+  const updateFormData = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+  };
+
+  const defaultOffsets = getReminderOffsets({}, notificationPreferences);
+  const reminderOffsets = formData.reminderOffsets ?? defaultOffsets;
+
+  const toggleReminderOffset = (minutes) => {
+    const offsets = reminderOffsets.includes(minutes)
+      ? reminderOffsets.filter(offset => offset !== minutes)
+      : [...reminderOffsets, minutes].sort((a, b) => b - a);
+    updateFormData('reminderOffsets', offsets);
+  };
+
+  const onPickerChange = (event, selected) => {
+    const mode = pickerMode;
+    if (Platform.OS === 'android') {
+      setPickerMode(null);
+    }
+    if (!selected || !mode) return;
+
+    const date = new Date(formData.date);
+    if (mode === 'date') {
+      date.setFullYear(selected.getFullYear(), selected.getMonth(), selected.getDate());
+    } else {
+      date.setHours(selected.getHours(), selected.getMinutes(), 0, 0);
+    }
+    updateFormData('date', date);
+  };
+
+  const handleSave = async () => {
+    if (!formData.title.trim()) {
+      Alert.alert('Missing Information', 'Please enter what the appointment is for.');
+      return;
+    }
+    if (!formData.familyMemberId) {
+      Alert.alert('Missing Information', 'Please choose who the appointment is for.');
+      return;
+    }
+    if (!isEditing && formData.date <= new Date()) {
+      Alert.alert('Check Date', 'New appointments must be in the future.');
+      return;
+    }
+    if (!networkService.isOnline()) {
+      Alert.alert('Offline', 'Appointments can only be saved while online.');
+      return;
+    }
+
+    const member = familyMembers.find(m => m.id === formData.familyMemberId);
+    const appointmentData = {
+      title: formData.title.trim(),
+      familyMemberId: formData.familyMemberId,
+      familyMemberName: member?.name || appointment?.familyMemberName || '',
+      specialty: formData.specialty,
+      doctor: formData.doctor.trim(),
+      location: formData.location.trim(),
+      date: formData.date,
+      duration: formData.duration,
+      notes: formData.notes.trim(),
+      reminderOffsets: formData.reminderOffsets,
+    };
+
+    const result = await withErrorHandling(
+      async () => {
+        const saved = isEditing
+          ? await appointmentService.updateAppointment(appointment, appointmentData)
+          : await appointmentService.createAppointment(user.uid, appointmentData);
+        await calendarSyncService.pushAppointment(saved);
+        return saved;
+      },
+      {
+        errorType: ERROR_TYPES.STORAGE,
+        errorSeverity: ERROR_SEVERITY.HIGH,
+        showLoading: true,
+      }
+    );
+
+    if (result.success) {
+      navigation.goBack();
+    }
+  };
+
+  const selectedMember = familyMembers.find(m => m.id === formData.familyMemberId);
+
+  const renderPickerModal = (visible, title, options, onSelect, onClose) => (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>{title}</Text>
+          <ScrollView style={styles.modalScrollView}>
+            {options.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={styles.modalOption}
+                onPress={() => {
+                  onSelect(option.id);
+                  onClose();
+                }}
+              >
+                <Text style={styles.modalOptionText}>{option.label}</Text>
+                {option.sublabel ? <Text style={styles.modalOptionSubtext}>{option.sublabel}</Text> : null}
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <TouchableOpacity style={styles.modalCancelButton} onPress={onClose}>
+            <Text style={styles.modalCancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      {isLoading && <LoadingSpinner />}
+      <ScrollView contentContainerStyle={styles.form} keyboardShouldPersistTaps="handled">
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Reason for Visit *</Text>
+          <TextInput
+            style={styles.input}
+            value={formData.title}
+            onChangeText={(value) => updateFormData('title', value)}
+            placeholder="e.g. Annual check-up"
+            placeholderTextColor={placeholderTextColor}
+          />
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Family Member *</Text>
+          <TouchableOpacity style={styles.selector} onPress={() => setShowMemberPicker(true)}>
+            <Text style={selectedMember ? styles.selectedText : styles.placeholderText}>
+              {selectedMember?.name || appointment?.familyMemberName || 'Select family member'}
+            </Text>
+            <Ionicons name="chevron-down" size={20} color="#6b7280" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Specialty</Text>
+          <TouchableOpacity style={styles.selector} onPress={() => setShowSpecialtyPicker(true)}>
+            <Text style={formData.specialty ? styles.selectedText : styles.placeholderText}>
+              {formData.specialty || 'Select specialty'}
+            </Text>
+            <Ionicons name="chevron-down" size={20} color="#6b7280" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Doctor</Text>
+          <TextInput
+            style={styles.input}
+            value={formData.doctor}
+            onChangeText={(value) => updateFormData('doctor', value)}
+            placeholder="Doctor's name"
+            placeholderTextColor={placeholderTextColor}
+          />
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Location</Text>
+          <TextInput
+            style={styles.input}
+            value={formData.location}
+            onChangeText={(value) => updateFormData('location', value)}
+            placeholder="Hospital or clinic"
+            placeholderTextColor={placeholderTextColor}
+          />
+        </View>
+
+        <View style={styles.inputRow}>
+          <View style={[styles.inputGroup, styles.inputRowItem]}>
+            <Text style={styles.label}>Date</Text>
+            <TouchableOpacity style={styles.selector} onPress={() => setPickerMode('date')}>
+              <Text style={styles.selectedText}>{formData.date.toLocaleDateString()}</Text>
+              <Ionicons name="calendar-outline" size={20} color="#6b7280" />
+            </TouchableOpacity>
+          </View>
+          <View style={[styles.inputGroup, styles.inputRowItem]}>
+            <Text style={styles.label}>Time</Text>
+            <TouchableOpacity style={styles.selector} onPress={() => setPickerMode('time')}>
+              <Text style={styles.selectedText}>
+                {formData.date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+              </Text>
+              <Ionicons name="time-outline" size={20} color="#6b7280" />
+            </TouchableOpacity>
+          </View>
+        </View>
+        {isEditing && appointment && formData.date.getTime() !== getAppointmentDate(appointment)?.getTime() && (
+          <Text style={styles.hint}>Saving will reschedule this appointment and update its reminder.</Text>
+        )}
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Duration</Text>
+          <View style={styles.chipRow}>
+            {DURATION_OPTIONS.map(minutes => (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.chip, formData.duration === minutes && styles.chipSelected]}
+                onPress={() => updateFormData('duration', minutes)}
+              >
+                <Text style={[styles.chipText, formData.duration === minutes && styles.chipTextSelected]}>
+                  {minutes < 60 ? `${minutes} min` : `${minutes / 60} hr`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Reminders</Text>
+          <View style={styles.chipRow}>
+            <TouchableOpacity
+              style={[styles.chip, formData.reminderOffsets === null && styles.chipSelected]}
+              onPress={() => updateFormData('reminderOffsets', null)}
+            >
+              <Text style={[styles.chipText, formData.reminderOffsets === null && styles.chipTextSelected]}>
+                Default
+              </Text>
+            </TouchableOpacity>
+            {REMINDER_OFFSET_OPTIONS.map(option => {
+              const selected = formData.reminderOffsets !== null && reminderOffsets.includes(option.minutes);
+              return (
+                <TouchableOpacity
+                  key={option.minutes}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => toggleReminderOffset(option.minutes)}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.reminderHint}>
+            {notificationPreferences.appointmentReminders === false
+              ? 'Appointment reminders are turned off in notification settings.'
+              : reminderOffsets.length === 0
+                ? 'No reminders will be sent for this appointment.'
+                : `Reminders: ${reminderOffsets.map(formatOffset).join(', ')}`}
+          </Text>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Notes</Text>
+          <TextInput
+            style={[styles.input, styles.textArea]}
+            value={formData.notes}
+            onChangeText={(value) => updateFormData('notes', value)}
+            placeholder="Questions to ask, documents to bring..."
+            placeholderTextColor={placeholderTextColor}
+            multiline
+          />
+        </View>
+
+        <TouchableOpacity style={styles.submitButton} onPress={handleSave} disabled={isLoading}>
+          <Text style={styles.submitButtonText}>{isEditing ? 'Save Changes' : 'Schedule Appointment'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {renderPickerModal(
+        showMemberPicker,
+        'Select Family Member',
+        familyMembers.map(member => ({ id: member.id, label: member.name, sublabel: member.relationship })),
+        (id) => updateFormData('familyMemberId', id),
+        () => setShowMemberPicker(false)
+      )}
+
+      {renderPickerModal(
+        showSpecialtyPicker,
+        'Select Specialty',
+        SPECIALTIES.map(specialty => ({ id: specialty, label: specialty })),
+        (specialty) => updateFormData('specialty', specialty),
+        () => setShowSpecialtyPicker(false)
+      )}
+
+      <Modal
+        visible={!!pickerMode}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setPickerMode(null)}
+      >
+        <View style={styles.datePickerModal}>
+          <View style={styles.datePickerContainer}>
+            {Platform.OS === 'ios' && (
+              <View style={styles.datePickerHeader}>
+                <View />
+                <Text style={styles.datePickerTitle}>{pickerMode === 'time' ? 'Select Time' : 'Select Date'}</Text>
+                <TouchableOpacity onPress={() => setPickerMode(null)}>
+                  <Text style={styles.datePickerDone}>Done</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            {pickerMode && (
+              <WrappedDateTimePicker
+                value={formData.date}
+                mode={pickerMode}
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onPickerChange}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  form: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  inputRowItem: {
+    flex: 1,
+  },
+  inputGroup: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#f59e0b',
+    marginTop: -12,
+    marginBottom: 20,
+  },
+  reminderHint: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 8,
+  },
+  input: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    color: '#1f2937',
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  selector: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  selectedText: {
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  placeholderText: {
+    fontSize: 16,
+    color: '#9ca3af',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#ffffff',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  chipSelected: {
+    backgroundColor: '#6366f1',
+    borderColor: '#6366f1',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#1f2937',
+  },
+  chipTextSelected: {
+    color: '#ffffff',
+  },
+  submitButton: {
+    backgroundColor: '#6366f1',
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  submitButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#ffffff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '70%',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  modalScrollView: {
+    maxHeight: 400,
+  },
+  modalOption: {
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  modalOptionText: {
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  modalOptionSubtext: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  modalCancelButton: {
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  modalCancelText: {
+    fontSize: 16,
+    color: '#ef4444',
+    fontWeight: '600',
+  },
+  datePickerModal: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  datePickerContainer: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 34,
+  },
+  datePickerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  datePickerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  datePickerDone: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+});
+
+export default AddAppointmentScreen;
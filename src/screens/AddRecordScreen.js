@@ -26,9 +26,27 @@ import { useSubscription } from '../contexts/SubscriptionContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
 import offlineStorageService from '../services/offlineStorage';
 import networkService from '../services/networkService';
+import offlineAttachments from '../services/offlineAttachments';
+import documentExpiryService from '../services/documentExpiryService';
+import {
+  processDocument,
+  isOcrAvailable,
+  mapDocumentToRecordFields,
+  DOCUMENT_TYPE_TO_RECORD_TYPE,
+  LOW_CONFIDENCE_THRESHOLD
+} from '../services/ocr';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import ValidationError from '../components/ValidationError';
+import LabAnalyteEditor from '../components/LabAnalyteEditor';
 import { validateForm, getFieldError, hasFieldError } from '../utils/validation';
+import {
+  DEFAULT_IMMUNIZATION_SCHEDULE,
+  getVaccinationTitle,
+  getVaccineDisplayName
+} from '../utils/immunizationSchedule';
+import immunizationService from '../services/immunizationService';
+import { EXPIRY_TRACKED_TYPES, getRenewalDates } from '../utils/documentExpiry';
+import { normalizeAnalytes } from '../utils/labResults';
 import { getGenderSpecificRelationship } from '../utils/genderBasedRelationships';
 import { placeholderTextColor, getStandardTextInputProps } from '../utils/inputStyles';
 import { 
@@ -45,24 +63,63 @@ const RECORD_TYPES = [
   { id: 'hospital_card', name: 'Hospital Card', icon: 'card', color: '#6366f1' },
   { id: 'bill', name: 'Medical Bill', icon: 'receipt', color: '#ef4444' },
   { id: 'insurance', name: 'Insurance', icon: 'shield-checkmark', color: '#8b5cf6' },
+  { id: 'vaccination', name: 'Vaccination', icon: 'bandage', color: '#0ea5e9' },
+  { id: 'lab_result', name: 'Lab Result', icon: 'flask', color: '#14b8a6' },
+];
+
+// Types whose title is derived from their details rather than entered
+const TITLE_FREE_TYPES = ['hospital_card', 'insurance', 'vaccination'];
+
+// Details carried over from a card being renewed; everything else starts fresh
+const RENEWAL_FIELDS = [
+  'familyMemberId',
+  'description',
+  'notes',
+  'country',
+  'city',
+  'region',
+  'hospital',
+  'cardNumber',
+  'customCity',
+  'customRegion',
+  'provider',
+  'membershipNo',
+  'customProvider',
 ];
 
+const getRenewalFormData = (record) => {
+  const data = {};
+  RENEWAL_FIELDS.forEach(key => {
+    if (record[key] !== undefined && record[key] !== null) {
+      data[key] = record[key];
+    }
+  });
+  return { ...data, ...getRenewalDates(record) };
+};
+
 const AddRecordScreen = ({ navigation, route }) => {
   const { user } = useAuth();
-  const { canUploadFile } = useSubscription();
+  const { canUploadFile, currentPlan, plans } = useSubscription();
   const { withErrorHandling, isLoading } = useError();
   
   // Get preselected type from route params if any
   const preselectedType = route?.params?.type || '';
+  // Insurance or hospital card being replaced, when renewing
+  const renewFrom = route?.params?.renewFrom || null;
   
   const [formData, setFormData] = useState({
     type: preselectedType,
     title: '',
     description: '',
-    familyMemberId: '',
+    familyMemberId: route?.params?.familyMemberId || '',
     doctor: '',
     date: new Date().toISOString().split('T')[0],
     notes: '',
+    // Prescription specific fields
+    medicationName: '',
+    strength: '',
+    frequency: '',
+    duration: '',
     // Hospital Card specific fields
     country: '',
     city: '',
@@ -80,10 +137,21 @@ const AddRecordScreen = ({ navigation, route }) => {
     // Medical Bill specific fields
     billFor: '',
     billAmount: '',
+    lineItems: [], // Itemized charges, filled in from scanned bills
     payments: [], // Array of payment records
     // Payment tracking
     totalPaid: 0,
     paymentStatus: 'pending', // pending, partial, paid
+    // Vaccination specific fields
+    vaccine: route?.params?.vaccine || '',
+    customVaccine: '',
+    doseNumber: route?.params?.doseNumber ? String(route.params.doseNumber) : '',
+    lotNumber: '',
+    facility: '',
+    // Lab result specific fields
+    analytes: [], // { name, value, unit, referenceRange, flag }
+    lab: '',
+    ...(renewFrom ? getRenewalFormData(renewFrom) : {}),
   });
   const [familyMembers, setFamilyMembers] = useState([]);
   const [attachments, setAttachments] = useState([]);
@@ -97,6 +165,8 @@ const AddRecordScreen = ({ navigation, route }) => {
   const [showCityPicker, setShowCityPicker] = useState(false);
   const [showRegionPicker, setShowRegionPicker] = useState(false);
   const [showProviderPicker, setShowProviderPicker] = useState(false);
+  const [showVaccinePicker, setShowVaccinePicker] = useState(false);
+  const [vaccines, setVaccines] = useState(DEFAULT_IMMUNIZATION_SCHEDULE);
   const [customProvider, setCustomProvider] = useState('');
   const [showCustomProviderInput, setShowCustomProviderInput] = useState(false);
   const [availableCities, setAvailableCities] = useState([]);
@@ -104,9 +174,22 @@ const AddRecordScreen = ({ navigation, route }) => {
   const [availableProviders, setAvailableProviders] = useState(INSURANCE_PROVIDERS);
   const [isOnline, setIsOnline] = useState(true);
   const [validationErrors, setValidationErrors] = useState({});
+  const [scanning, setScanning] = useState(false);
+  const [scanResult, setScanResult] = useState(null);
+  const [fieldConfidence, setFieldConfidence] = useState({}); // OCR confidence per prefilled field
 
   useEffect(() => {
     loadFamilyMembers();
+    immunizationService.getVaccines(user.uid).then(setVaccines);
+
+    if (renewFrom) {
+      navigation.setOptions({ title: 'Renew Card' });
+      if (renewFrom.country) {
+        setAvailableCities(getCitiesByCountry(renewFrom.country));
+        setAvailableRegions(getRegionsByCountry(renewFrom.country));
+        setAvailableProviders(getInsuranceProvidersByCountry(renewFrom.country));
+      }
+    }
 
     // Listen for network changes
     const unsubscribe = networkService.addListener((connected) => {
@@ -161,6 +244,14 @@ const AddRecordScreen = ({ navigation, route }) => {
   };
 
   const updateFormData = (key, value) => {
+    // A value the user typed no longer needs review
+    if (fieldConfidence[key] !== undefined) {
+      setFieldConfidence(prev => {
+        const { [key]: _, ...rest } = prev;
+        return rest;
+      });
+    }
+
     setFormData(prev => {
       const newData = { ...prev, [key]: value };
       
@@ -293,6 +384,125 @@ const AddRecordScreen = ({ navigation, route }) => {
     }
   };
 
+  // Scan a document with OCR and prefill the form from the recognized text
+  const scanDocument = async () => {
+    if (!plans[currentPlan]?.features?.ocr) {
+      Alert.alert(
+        'Upgrade Required',
+        'Document scanning is available on the Standard and Premium plans.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'View Plans', onPress: () => navigation.navigate('Subscription') },
+        ]
+      );
+      return;
+    }
+
+    // Text recognition is a native module: say so up front rather than after a photo is taken
+    if (!(await isOcrAvailable())) {
+      Alert.alert(
+        'Scanning Unavailable',
+        'Document scanning is not available in this version of the app. Please update the app or enter the details manually.'
+      );
+      return;
+    }
+
+    Alert.alert(
+      'Scan Document',
+      'Take a photo of the document or choose one from your gallery',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Camera', onPress: () => captureForScan('camera') },
+        { text: 'Gallery', onPress: () => captureForScan('gallery') },
+      ]
+    );
+  };
+
+  const captureForScan = async (source) => {
+    const permission = source === 'camera'
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (permission.status !== 'granted') {
+      Alert.alert('Permission needed', 'Please grant permission to scan documents.');
+      return;
+    }
+
+    // No cropping to a fixed aspect ratio - documents need their full page
+    const pickerOptions = {
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 1,
+    };
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(pickerOptions)
+      : await ImagePicker.launchImageLibraryAsync(pickerOptions);
+
+    if (result.canceled || !result.assets[0]) {
+      return;
+    }
+
+    const asset = result.assets[0];
+    setScanning(true);
+
+    try {
+      // Use the record type the user already picked instead of guessing
+      const documentType = Object.keys(DOCUMENT_TYPE_TO_RECORD_TYPE)
+        .find(key => DOCUMENT_TYPE_TO_RECORD_TYPE[key] === formData.type) || 'auto';
+      const scan = await processDocument(asset.uri, documentType);
+
+      if (!scan.success) {
+        Alert.alert('Scan Failed', scan.error || 'Could not read the document. Please try again.');
+        return;
+      }
+
+      const { fields: scannedFields, confidence } = mapDocumentToRecordFields(scan, familyMembers);
+
+      // Only fill fields the user hasn't entered yet; the date defaults to today so it may be replaced
+      const today = new Date().toISOString().split('T')[0];
+      const isEmpty = (key) => {
+        const current = formData[key];
+        if (key === 'date') return !current || current === today;
+        if (Array.isArray(current)) return current.length === 0;
+        return !current;
+      };
+      const filledKeys = Object.keys(scannedFields).filter(isEmpty);
+
+      setFormData(prev => {
+        const newData = { ...prev };
+        filledKeys.forEach(key => {
+          newData[key] = scannedFields[key];
+        });
+        if (filledKeys.includes('billAmount') || filledKeys.includes('totalPaid')) {
+          newData.paymentStatus = getPaymentStatusForAmounts(newData.billAmount, newData.totalPaid);
+        }
+        return newData;
+      });
+      setFieldConfidence(prev => {
+        const next = { ...prev };
+        filledKeys.forEach(key => {
+          if (confidence[key] !== undefined) next[key] = confidence[key];
+        });
+        return next;
+      });
+
+      if (canUploadFile(asset.fileSize || 0)) {
+        setAttachments(prev => [...prev, {
+          id: Date.now().toString(),
+          uri: asset.uri,
+          type: 'image',
+          name: `scan_${Date.now()}.jpg`,
+          size: asset.fileSize || 0
+        }]);
+      }
+
+      setScanResult({
+        confidence: scan.confidence,
+        fieldCount: filledKeys.filter(key => key !== 'type').length,
+      });
+    } finally {
+      setScanning(false);
+    }
+  };
+
   const removeAttachment = (id) => {
     setAttachments(prev => prev.filter(att => att.id !== id));
   };
@@ -364,6 +574,16 @@ const AddRecordScreen = ({ navigation, route }) => {
     }
   };
 
+  // Retire the card being renewed and bring the expiry alerts up to date
+  const finishExpiryTracking = async (recordId) => {
+    if (renewFrom) {
+      await documentExpiryService.markRenewed(renewFrom, recordId);
+    }
+    if (EXPIRY_TRACKED_TYPES.includes(formData.type)) {
+      documentExpiryService.scanAndSchedule(user.uid);
+    }
+  };
+
   const handleSubmit = async () => {
     // Build validation rules based on record type
     const validationRules = {
@@ -373,7 +593,7 @@ const AddRecordScreen = ({ navigation, route }) => {
     };
 
     // Only require title for prescription, diagnosis, and medical bill
-    if (formData.type && !['hospital_card', 'insurance'].includes(formData.type)) {
+    if (formData.type && !TITLE_FREE_TYPES.includes(formData.type)) {
       validationRules.title = { required: true, minLength: 3, message: 'Title must be at least 3 characters' };
     }
 
@@ -385,6 +605,11 @@ const AddRecordScreen = ({ navigation, route }) => {
     } else if (formData.type === 'insurance') {
       validationRules.provider = { required: true, message: 'Please select an insurance provider' };
       validationRules.membershipNo = { required: true, message: 'Please enter membership number' };
+    } else if (formData.type === 'vaccination') {
+      validationRules.vaccine = { required: true, message: 'Please select a vaccine' };
+      if (formData.vaccine === 'other') {
+        validationRules.customVaccine = { required: true, message: 'Please enter the vaccine name' };
+      }
     } else if (formData.type === 'bill') {
       validationRules.hospital = { required: true, message: 'Please enter hospital name' };
       validationRules.billFor = { required: true, message: 'Please specify what the bill is for' };
@@ -393,6 +618,10 @@ const AddRecordScreen = ({ navigation, route }) => {
 
     // Validate form
     const validation = validateForm(formData, validationRules);
+    if (formData.type === 'lab_result' && normalizeAnalytes(formData.analytes).length === 0) {
+      validation.errors.analytes = 'Please enter at least one test with a numeric value';
+      validation.isValid = false;
+    }
 
     if (!validation.isValid) {
       setValidationErrors(validation.errors);
@@ -406,16 +635,25 @@ const AddRecordScreen = ({ navigation, route }) => {
     setValidationErrors({});
     setLoading(true);
 
+    // Vaccinations are titled after the vaccine and dose; lab results are stored in canonical units
+    let recordFields = formData;
+    if (formData.type === 'vaccination') {
+      recordFields = { ...formData, title: getVaccinationTitle(formData, vaccines) };
+    } else if (formData.type === 'lab_result') {
+      recordFields = { ...formData, analytes: normalizeAnalytes(formData.analytes) };
+    }
+
     try {
       // Check if online for real-time sync
       if (!networkService.isOnline()) {
-        // Add to offline queue
+        // Add to offline queue; attachments are kept on the device and uploaded after the record syncs
+        const pendingAttachments = await offlineAttachments.saveForUpload(attachments);
         const recordData = {
-          ...formData,
+          ...recordFields,
           userId: user.uid,
           createdAt: new Date(),
           updatedAt: new Date(),
-          attachments: [], // Handle attachments differently for offline
+          attachments: [],
         };
 
         // Get family member name
@@ -426,14 +664,21 @@ const AddRecordScreen = ({ navigation, route }) => {
         // Add to offline sync queue
         await offlineStorageService.addToSyncQueue({
           type: 'CREATE_RECORD',
-          data: recordData
+          data: recordData,
+          attachments: pendingAttachments
         });
 
-        // Cache locally
+        // Cache locally, showing the saved copies of the attachments until they are uploaded
         const existingRecords = await offlineStorageService.getCachedMedicalRecords();
         const records = existingRecords?.data || [];
-        records.unshift({ ...recordData, id: `temp_${Date.now()}`, isLocal: true });
+        records.unshift({
+          ...recordData,
+          attachments: pendingAttachments.map(attachment => ({ ...attachment, url: attachment.localUri })),
+          id: `temp_${Date.now()}`,
+          isLocal: true
+        });
         await offlineStorageService.cacheMedicalRecords(records);
+        await finishExpiryTracking(null);
 
         setLoading(false);
         Alert.alert(
@@ -456,7 +701,7 @@ const AddRecordScreen = ({ navigation, route }) => {
       
       // Create record
       const recordData = {
-        ...formData,
+        ...recordFields,
         familyMemberName: familyMember ? 
           (familyMember.title ? `${familyMember.title} ${familyMember.name}` : familyMember.name) : '',
         attachments: uploadedAttachments,
@@ -472,9 +717,10 @@ const AddRecordScreen = ({ navigation, route }) => {
       const records = existingRecords?.data || [];
       records.unshift({...recordData, id: docRef.id});
       await offlineStorageService.cacheMedicalRecords(records);
+      await finishExpiryTracking(docRef.id);
 
       setLoading(false);
-      Alert.alert('Success', 'Record added successfully', [
+      Alert.alert('Success', renewFrom ? 'Card renewed successfully' : 'Record added successfully', [
         { text: 'OK', onPress: () => navigation.goBack() }
       ]);
     } catch (error) {
@@ -484,16 +730,34 @@ const AddRecordScreen = ({ navigation, route }) => {
     }
   };
 
+  // Scanned values below the confidence threshold are highlighted for review
+  const isLowConfidence = (key) =>
+    fieldConfidence[key] !== undefined && fieldConfidence[key] < LOW_CONFIDENCE_THRESHOLD;
+
+  const renderConfidenceHint = (key) => (
+    isLowConfidence(key) ? (
+      <View style={styles.confidenceHint}>
+        <Ionicons name="eye" size={14} color="#b45309" />
+        <Text style={styles.confidenceHintText}>Scanned value - please check it is correct</Text>
+      </View>
+    ) : null
+  );
+
   // Helper function to render dynamic form fields based on record type
   const renderDynamicFields = () => {
     switch (formData.type) {
+      case 'prescription':
+        return renderPrescriptionFields();
       case 'hospital_card':
         return renderHospitalCardFields();
       case 'insurance':
         return renderInsuranceFields();
       case 'bill':
         return renderMedicalBillFields();
-      case 'prescription':
+      case 'vaccination':
+        return renderVaccinationFields();
+      case 'lab_result':
+        return renderLabResultFields();
       case 'diagnosis':
       default:
         return renderDefaultFields();
@@ -577,24 +841,26 @@ const AddRecordScreen = ({ navigation, route }) => {
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Hospital/Clinic Name *</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('hospital') && styles.inputLowConfidence]}
           placeholder="Enter hospital or clinic name"
           value={formData.hospital}
           onChangeText={(value) => updateFormData('hospital', value)}
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('hospital')}
       </View>
 
       {/* Card Number */}
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Card Number</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('cardNumber') && styles.inputLowConfidence]}
           placeholder="Enter card number"
           value={formData.cardNumber}
           onChangeText={(value) => updateFormData('cardNumber', value)}
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('cardNumber')}
       </View>
     </>
   );
@@ -606,7 +872,7 @@ const AddRecordScreen = ({ navigation, route }) => {
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Insurance Provider *</Text>
         <TouchableOpacity
-          style={styles.selector}
+          style={[styles.selector, isLowConfidence('provider') && styles.inputLowConfidence]}
           onPress={() => setShowProviderPicker(true)}
         >
           <Text style={[
@@ -616,6 +882,7 @@ const AddRecordScreen = ({ navigation, route }) => {
           </Text>
           <Ionicons name="chevron-down" size={20} color="#6b7280" />
         </TouchableOpacity>
+        {renderConfidenceHint('provider')}
         {formData.provider === 'other' && (
           <TextInput
             style={[styles.input, { marginTop: 8 }]}
@@ -631,19 +898,20 @@ const AddRecordScreen = ({ navigation, route }) => {
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Membership Number *</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('membershipNo') && styles.inputLowConfidence]}
           placeholder="Enter membership number"
           value={formData.membershipNo}
           onChangeText={(value) => updateFormData('membershipNo', value)}
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('membershipNo')}
       </View>
 
       {/* Date of Issue */}
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Date of Issue</Text>
         <TouchableOpacity
-          style={styles.dateInput}
+          style={[styles.dateInput, isLowConfidence('dateOfIssue') && styles.inputLowConfidence]}
           onPress={() => {
             setSelectedDate(formData.dateOfIssue ? new Date(formData.dateOfIssue) : new Date());
             setShowDatePicker(true);
@@ -658,13 +926,14 @@ const AddRecordScreen = ({ navigation, route }) => {
           </Text>
           <Ionicons name="calendar" size={20} color="#666" />
         </TouchableOpacity>
+        {renderConfidenceHint('dateOfIssue')}
       </View>
 
       {/* Expiry Date */}
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Expiry Date</Text>
         <TouchableOpacity
-          style={styles.dateInput}
+          style={[styles.dateInput, isLowConfidence('expiryDate') && styles.inputLowConfidence]}
           onPress={() => {
             setSelectedDate(formData.expiryDate ? new Date(formData.expiryDate) : new Date());
             setShowDatePicker(true);
@@ -679,6 +948,7 @@ const AddRecordScreen = ({ navigation, route }) => {
           </Text>
           <Ionicons name="calendar" size={20} color="#666" />
         </TouchableOpacity>
+        {renderConfidenceHint('expiryDate')}
       </View>
     </>
   );
@@ -690,31 +960,33 @@ const AddRecordScreen = ({ navigation, route }) => {
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Hospital/Clinic *</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('hospital') && styles.inputLowConfidence]}
           placeholder="Enter hospital or clinic name"
           value={formData.hospital}
           onChangeText={(value) => updateFormData('hospital', value)}
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('hospital')}
       </View>
 
       {/* Bill For */}
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Bill For *</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('billFor') && styles.inputLowConfidence]}
           placeholder="What is this bill for?"
           value={formData.billFor}
           onChangeText={(value) => updateFormData('billFor', value)}
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('billFor')}
       </View>
 
       {/* Bill Amount */}
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Bill Amount *</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('billAmount') && styles.inputLowConfidence]}
           placeholder="Enter amount (e.g., 150.00)"
           value={formData.billAmount}
           onChangeText={(value) => {
@@ -724,8 +996,25 @@ const AddRecordScreen = ({ navigation, route }) => {
           keyboardType="decimal-pad"
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('billAmount')}
       </View>
 
+      {/* Itemized charges from a scanned bill */}
+      {formData.lineItems.length > 0 && (
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Itemized Charges</Text>
+          <View style={[styles.lineItemsContainer, isLowConfidence('lineItems') && styles.inputLowConfidence]}>
+            {formData.lineItems.map((item, index) => (
+              <View key={index} style={styles.lineItemRow}>
+                <Text style={styles.lineItemDescription} numberOfLines={1}>{item.description}</Text>
+                <Text style={styles.lineItemAmount}>{item.amount.toFixed(2)}</Text>
+              </View>
+            ))}
+          </View>
+          {renderConfidenceHint('lineItems')}
+        </View>
+      )}
+
       {/* Payment Status */}
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Payment Status</Text>
@@ -745,7 +1034,7 @@ const AddRecordScreen = ({ navigation, route }) => {
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Amount Paid</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('totalPaid') && styles.inputLowConfidence]}
           placeholder="Enter amount paid (e.g., 75.00)"
           value={formData.totalPaid.toString()}
           onChangeText={(value) => {
@@ -756,7 +1045,161 @@ const AddRecordScreen = ({ navigation, route }) => {
           keyboardType="decimal-pad"
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('totalPaid')}
+      </View>
+    </>
+  );
+
+  // Vaccination specific fields
+  const renderVaccinationFields = () => (
+    <>
+      {/* Vaccine */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Vaccine *</Text>
+        <TouchableOpacity
+          style={[styles.selector, hasFieldError('vaccine', validationErrors) && styles.inputError]}
+          onPress={() => setShowVaccinePicker(true)}
+        >
+          <Text style={formData.vaccine ? styles.selectedText : styles.placeholderText}>
+            {formData.vaccine ? getVaccineDisplayName({ vaccine: formData.vaccine }, vaccines) : 'Select vaccine'}
+          </Text>
+          <Ionicons name="chevron-down" size={20} color="#6b7280" />
+        </TouchableOpacity>
+        <ValidationError error={getFieldError('vaccine', validationErrors)} />
+        {formData.vaccine === 'other' && (
+          <TextInput
+            style={[styles.input, { marginTop: 8 }, hasFieldError('customVaccine', validationErrors) && styles.inputError]}
+            placeholder="Enter vaccine name"
+            value={formData.customVaccine}
+            onChangeText={(value) => updateFormData('customVaccine', value)}
+            {...getStandardTextInputProps()}
+          />
+        )}
+      </View>
+
+      {/* Dose Number and Lot Number */}
+      <View style={styles.inputRow}>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Dose Number</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g., 1"
+            value={String(formData.doseNumber || '')}
+            onChangeText={(value) => updateFormData('doseNumber', value.replace(/[^0-9]/g, ''))}
+            keyboardType="number-pad"
+            {...getStandardTextInputProps()}
+          />
+        </View>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Lot Number</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Batch / lot no."
+            value={formData.lotNumber}
+            onChangeText={(value) => updateFormData('lotNumber', value)}
+            autoCapitalize="characters"
+            {...getStandardTextInputProps()}
+          />
+        </View>
+      </View>
+
+      {/* Administering Facility */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Administering Facility</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Hospital, clinic or outreach post"
+          value={formData.facility}
+          onChangeText={(value) => updateFormData('facility', value)}
+          {...getStandardTextInputProps()}
+        />
+      </View>
+    </>
+  );
+
+  // Lab result specific fields
+  const renderLabResultFields = () => (
+    <>
+      <LabAnalyteEditor
+        analytes={formData.analytes}
+        onChange={(analytes) => updateFormData('analytes', analytes)}
+        error={getFieldError('analytes', validationErrors)}
+      />
+      {renderConfidenceHint('analytes')}
+
+      {/* Laboratory */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Laboratory</Text>
+        <TextInput
+          style={[styles.input, isLowConfidence('lab') && styles.inputLowConfidence]}
+          placeholder="Lab or hospital that ran the tests"
+          value={formData.lab}
+          onChangeText={(value) => updateFormData('lab', value)}
+          {...getStandardTextInputProps()}
+        />
+        {renderConfidenceHint('lab')}
+      </View>
+
+      {renderDefaultFields()}
+    </>
+  );
+
+  // Prescription specific fields
+  const renderPrescriptionFields = () => (
+    <>
+      {/* Medication */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Medication</Text>
+        <TextInput
+          style={[styles.input, isLowConfidence('medicationName') && styles.inputLowConfidence]}
+          placeholder="Medication name (e.g., Amoxicillin)"
+          value={formData.medicationName}
+          onChangeText={(value) => updateFormData('medicationName', value)}
+          {...getStandardTextInputProps()}
+        />
+        {renderConfidenceHint('medicationName')}
+      </View>
+
+      {/* Strength and Frequency */}
+      <View style={styles.inputRow}>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Strength</Text>
+          <TextInput
+            style={[styles.input, isLowConfidence('strength') && styles.inputLowConfidence]}
+            placeholder="e.g., 500mg"
+            value={formData.strength}
+            onChangeText={(value) => updateFormData('strength', value)}
+            {...getStandardTextInputProps()}
+          />
+          {renderConfidenceHint('strength')}
+        </View>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Frequency</Text>
+          <TextInput
+            style={[styles.input, isLowConfidence('frequency') && styles.inputLowConfidence]}
+            placeholder="e.g., twice daily"
+            value={formData.frequency}
+            onChangeText={(value) => updateFormData('frequency', value)}
+            {...getStandardTextInputProps()}
+          />
+          {renderConfidenceHint('frequency')}
+        </View>
+      </View>
+
+      {/* Duration */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Duration</Text>
+        <TextInput
+          style={[styles.input, isLowConfidence('duration') && styles.inputLowConfidence]}
+          placeholder="e.g., 7 days"
+          value={formData.duration}
+          onChangeText={(value) => updateFormData('duration', value)}
+          {...getStandardTextInputProps()}
+        />
+        {renderConfidenceHint('duration')}
       </View>
+
+      {renderDefaultFields()}
     </>
   );
 
@@ -767,7 +1210,7 @@ const AddRecordScreen = ({ navigation, route }) => {
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Description</Text>
         <TextInput
-          style={[styles.input, styles.textArea]}
+          style={[styles.input, styles.textArea, isLowConfidence('description') && styles.inputLowConfidence]}
           placeholder="Enter description"
           value={formData.description}
           onChangeText={(value) => updateFormData('description', value)}
@@ -775,37 +1218,39 @@ const AddRecordScreen = ({ navigation, route }) => {
           numberOfLines={3}
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('description')}
       </View>
 
       {/* Doctor */}
       <View style={styles.inputGroup}>
         <Text style={styles.label}>Doctor</Text>
         <TextInput
-          style={styles.input}
+          style={[styles.input, isLowConfidence('doctor') && styles.inputLowConfidence]}
           placeholder="Doctor's name"
           value={formData.doctor}
           onChangeText={(value) => updateFormData('doctor', value)}
           {...getStandardTextInputProps()}
         />
+        {renderConfidenceHint('doctor')}
       </View>
     </>
   );
 
   // Payment status helper functions
-  const calculatePaymentStatus = (billAmount, paidAmount) => {
+  const getPaymentStatusForAmounts = (billAmount, paidAmount) => {
     const bill = parseFloat(billAmount) || 0;
     const paid = parseFloat(paidAmount) || 0;
     
-    let status = 'pending';
     if (paid === 0) {
-      status = 'pending';
+      return 'pending';
     } else if (paid >= bill) {
-      status = 'paid';
-    } else {
-      status = 'partial';
+      return 'paid';
     }
-    
-    updateFormData('paymentStatus', status);
+    return 'partial';
+  };
+
+  const calculatePaymentStatus = (billAmount, paidAmount) => {
+    updateFormData('paymentStatus', getPaymentStatusForAmounts(billAmount, paidAmount));
   };
 
   const getPaymentStatusText = (status) => {
@@ -1127,6 +1572,42 @@ const AddRecordScreen = ({ navigation, route }) => {
     </Modal>
   );
 
+  // Vaccine Picker Modal
+  const VaccinePickerModal = () => (
+    <Modal
+      visible={showVaccinePicker}
+      transparent
+      animationType="slide"
+      onRequestClose={() => setShowVaccinePicker(false)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Select Vaccine</Text>
+          <ScrollView style={styles.modalScrollView} showsVerticalScrollIndicator={true}>
+            {[...vaccines, { id: 'other', name: 'Other' }].map(vaccine => (
+              <TouchableOpacity
+                key={vaccine.id}
+                style={styles.memberOption}
+                onPress={() => {
+                  updateFormData('vaccine', vaccine.id);
+                  setShowVaccinePicker(false);
+                }}
+              >
+                <Text style={styles.memberOptionText}>{vaccine.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <TouchableOpacity
+            style={styles.modalCancelButton}
+            onPress={() => setShowVaccinePicker(false)}
+          >
+            <Text style={styles.modalCancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
   // Provider Picker Modal
   const ProviderPickerModal = () => (
     <Modal
@@ -1192,6 +1673,34 @@ const AddRecordScreen = ({ navigation, route }) => {
           showsVerticalScrollIndicator={false}
         >
           <View style={styles.form}>
+        {renewFrom && (
+          <View style={styles.renewBanner}>
+            <Ionicons name="refresh-circle" size={24} color="#8b5cf6" />
+            <Text style={styles.renewBannerText}>
+              Renewing {renewFrom.familyMemberName ? `${renewFrom.familyMemberName}'s ` : ''}card that expires {renewFrom.expiryDate}. Check the new dates and card details before saving.
+            </Text>
+          </View>
+        )}
+
+        {/* Document Scan */}
+        <TouchableOpacity
+          style={[styles.scanButton, scanning && styles.submitButtonDisabled]}
+          onPress={scanDocument}
+          disabled={scanning}
+        >
+          <Ionicons name="scan" size={24} color="#6366f1" />
+          <View style={styles.scanButtonTextContainer}>
+            <Text style={styles.scanButtonTitle}>
+              {scanning ? 'Reading document...' : 'Scan Document'}
+            </Text>
+            <Text style={styles.scanButtonSubtitle}>
+              {scanResult
+                ? `Filled ${scanResult.fieldCount} field${scanResult.fieldCount === 1 ? '' : 's'} (${Math.round(scanResult.confidence * 100)}% confidence) - please review`
+                : 'Fill in the form from a photo of the document'}
+            </Text>
+          </View>
+        </TouchableOpacity>
+
         {/* Record Type */}
         <View style={styles.inputGroup}>
           <Text style={styles.label}>Record Type *</Text>
@@ -1226,6 +1735,7 @@ const AddRecordScreen = ({ navigation, route }) => {
           <TouchableOpacity
             style={[
               styles.selector,
+              isLowConfidence('familyMemberId') && styles.inputLowConfidence,
               hasFieldError('familyMemberId', validationErrors) && styles.inputError
             ]}
             onPress={() => setShowMemberPicker(true)}
@@ -1244,22 +1754,25 @@ const AddRecordScreen = ({ navigation, route }) => {
             )}
             <Ionicons name="chevron-down" size={20} color="#6b7280" />
           </TouchableOpacity>
+          {renderConfidenceHint('familyMemberId')}
           <ValidationError error={getFieldError('familyMemberId', validationErrors)} />
         </View>
 
         {/* Title - Only show for prescription, diagnosis, and medical bill */}
-        {formData.type && !['hospital_card', 'insurance'].includes(formData.type) && (
+        {formData.type && !TITLE_FREE_TYPES.includes(formData.type) && (
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Title *</Text>
             <TextInput
               style={[
                 styles.input,
+                isLowConfidence('title') && styles.inputLowConfidence,
                 hasFieldError('title', validationErrors) && styles.inputError
               ]}
               placeholder="Enter record title"
               value={formData.title}
               onChangeText={(value) => updateFormData('title', value)}
             />
+            {renderConfidenceHint('title')}
             <ValidationError error={getFieldError('title', validationErrors)} />
           </View>
         )}
@@ -1273,6 +1786,7 @@ const AddRecordScreen = ({ navigation, route }) => {
           <TouchableOpacity
             style={[
               styles.dateInput,
+              isLowConfidence('date') && styles.inputLowConfidence,
               hasFieldError('date', validationErrors) && styles.inputError
             ]}
             onPress={handleDateSelect}
@@ -1285,6 +1799,7 @@ const AddRecordScreen = ({ navigation, route }) => {
             </Text>
             <Ionicons name="calendar" size={20} color="#666" />
           </TouchableOpacity>
+          {renderConfidenceHint('date')}
           <ValidationError error={getFieldError('date', validationErrors)} />
         </View>
 
@@ -1312,7 +1827,7 @@ const AddRecordScreen = ({ navigation, route }) => {
           disabled={loading}
         >
           <Text style={styles.submitButtonText}>
-            {loading ? 'Adding Record...' : 'Add Record'}
+            {loading ? 'Adding Record...' : renewFrom ? 'Renew Card' : 'Add Record'}
           </Text>
         </TouchableOpacity>
           </>
@@ -1335,6 +1850,7 @@ const AddRecordScreen = ({ navigation, route }) => {
           <CityPickerModal />
           <RegionPickerModal />
           <ProviderPickerModal />
+          <VaccinePickerModal />
         </ScrollView>
       </KeyboardAvoidingView>
     </SafeAreaView>
@@ -1397,6 +1913,51 @@ const styles = StyleSheet.create({
     borderColor: '#ef4444',
     borderWidth: 2,
   },
+  inputLowConfidence: {
+    borderColor: '#f59e0b',
+    backgroundColor: '#fffbeb',
+  },
+  confidenceHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 4,
+  },
+  confidenceHintText: {
+    fontSize: 12,
+    color: '#b45309',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  inputRowItem: {
+    flex: 1,
+  },
+  lineItemsContainer: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  lineItemRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  lineItemDescription: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151',
+    marginRight: 12,
+  },
+  lineItemAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
   textArea: {
     height: 80,
     textAlignVertical: 'top',
@@ -1609,6 +2170,46 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     lineHeight: 24,
   },
+  renewBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#f5f3ff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+  },
+  renewBannerText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#5b21b6',
+    lineHeight: 20,
+  },
+  scanButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    backgroundColor: '#eef2ff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#c7d2fe',
+    borderStyle: 'dashed',
+    padding: 16,
+    marginBottom: 20,
+  },
+  scanButtonTextContainer: {
+    flex: 1,
+  },
+  scanButtonTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4338ca',
+  },
+  scanButtonSubtitle: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
   attachmentsSection: {
     marginTop: 24,
     marginBottom: 32,
@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../../firebaseConfig';
+import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
+import appointmentService, {
+  APPOINTMENT_STATUS_TRANSITIONS,
+  canReschedule,
+  getAppointmentDate,
+  getAppointmentStatus
+} from '../services/appointmentService';
+import calendarSyncService from '../services/calendarSync';
+import networkService from '../services/networkService';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { APPOINTMENT_STATUS } from '../constants';
+
+export const STATUS_DISPLAY = {
+  [APPOINTMENT_STATUS.SCHEDULED]: { label: 'Scheduled', color: '#6366f1', icon: 'calendar' },
+  [APPOINTMENT_STATUS.CONFIRMED]: { label: 'Confirmed', color: '#10b981', icon: 'checkmark-circle' },
+  [APPOINTMENT_STATUS.COMPLETED]: { label: 'Completed', color: '#6b7280', icon: 'checkmark-done' },
+  [APPOINTMENT_STATUS.CANCELLED]: { label: 'Cancelled', color: '#ef4444', icon: 'close-circle' },
+  [APPOINTMENT_STATUS.RESCHEDULED]: { label: 'Rescheduled', color: '#f59e0b', icon: 'repeat' },
+};
+
+// Button labels for each status change
+const STATUS_ACTIONS = {
+  [APPOINTMENT_STATUS.CONFIRMED]: 'Confirm',
+  [APPOINTMENT_STATUS.COMPLETED]: 'Mark Completed',
+  [APPOINTMENT_STATUS.CANCELLED]: 'Cancel Appointment',
+};
+
+const AppointmentDetailScreen = ({ route, navigation }) => {
+  const [appointment, setAppointment] = useState(route.params.appointment);
+  const { withErrorHandling, isLoading } = useError();
+
+  // Pick up edits made in AddAppointmentScreen
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', reloadAppointment);
+    return unsubscribe;
+  }, [navigation]);
+
+  const reloadAppointment = async () => {
+    if (!networkService.isOnline()) return;
+    try {
+      const appointmentDoc = await getDoc(doc(db, 'appointments', appointment.id));
+      if (appointmentDoc.exists()) {
+        setAppointment({ id: appointmentDoc.id, ...appointmentDoc.data() });
+      }
+    } catch (error) {
+      console.error('Error reloading appointment:', error);
+    }
+  };
+
+  const runAction = async (action) => {
+    if (!networkService.isOnline()) {
+      Alert.alert('Offline', 'Appointments can only be changed while online.');
+      return;
+    }
+
+    const result = await withErrorHandling(action, {
+      errorType: ERROR_TYPES.STORAGE,
+      errorSeverity: ERROR_SEVERITY.MEDIUM,
+      showLoading: true,
+    });
+
+    if (result.success && result.data) {
+      setAppointment(result.data);
+    }
+    return result;
+  };
+
+  const handleStatusChange = (status) => {
+    const isFinal = APPOINTMENT_STATUS_TRANSITIONS[status].length === 0;
+    Alert.alert(
+      STATUS_ACTIONS[status],
+      isFinal
+        ? `Mark this appointment as ${STATUS_DISPLAY[status].label.toLowerCase()}? Its reminder will be cancelled.`
+        : `Mark this appointment as ${STATUS_DISPLAY[status].label.toLowerCase()}?`,
+      [
+        { text: 'Back', style: 'cancel' },
+        {
+          text: STATUS_ACTIONS[status],
+          style: status === APPOINTMENT_STATUS.CANCELLED ? 'destructive' : 'default',
+          onPress: () => runAction(async () => {
+            const updated = await appointmentService.changeStatus(appointment, status);
+            await calendarSyncService.pushAppointment(updated);
+            return updated;
+          })
+        }
+      ]
+    );
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Appointment',
+      'Are you sure you want to delete this appointment? This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await runAction(async () => {
+              await appointmentService.deleteAppointment(appointment);
+              await calendarSyncService.removeAppointment(appointment);
+              return null;
+            });
+            if (result?.success) {
+              navigation.goBack();
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const formatDateTime = (date) => {
+    if (!date) return '';
+    return date.toLocaleString('en-US', {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const status = getAppointmentStatus(appointment);
+  const statusDisplay = STATUS_DISPLAY[status];
+  const date = getAppointmentDate(appointment);
+  const endTime = date && appointment.duration
+    ? new Date(date.getTime() + appointment.duration * 60 * 1000)
+    : null;
+  const history = [...(appointment.statusHistory || [])].reverse();
+
+  const renderDetail = (label, value) => value ? (
+    <View style={styles.detailRow}>
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={styles.detailValue}>{value}</Text>
+    </View>
+  ) : null;
+
+  return (
+    <ScrollView style={styles.container}>
+      {isLoading && <LoadingSpinner />}
+
+      <View style={styles.header}>
+        <View style={[styles.statusBadge, { backgroundColor: statusDisplay.color + '20' }]}>
+          <Ionicons name={statusDisplay.icon} size={16} color={statusDisplay.color} />
+          <Text style={[styles.statusText, { color: statusDisplay.color }]}>{statusDisplay.label}</Text>
+        </View>
+        <Text style={styles.title}>{appointment.title}</Text>
+        <Text style={styles.dateText}>{formatDateTime(date)}</Text>
+        {endTime && (
+          <Text style={styles.durationText}>
+            {appointment.duration} min · until {endTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <View style={styles.detailsContainer}>
+          {renderDetail('Family Member', appointment.familyMemberName)}
+          {renderDetail('Specialty', appointment.specialty)}
+          {renderDetail('Doctor', appointment.doctor ? `Dr. ${appointment.doctor}` : '')}
+          {renderDetail('Location', appointment.location)}
+          {renderDetail('Notes', appointment.notes)}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Actions</Text>
+        <View style={styles.actionsContainer}>
+          {canReschedule(appointment) && (
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => navigation.navigate('AddAppointment', { appointment })}
+            >
+              <Ionicons name="create-outline" size={20} color="#6366f1" />
+              <Text style={styles.actionButtonText}>Edit or Reschedule</Text>
+            </TouchableOpacity>
+          )}
+          {(APPOINTMENT_STATUS_TRANSITIONS[status] || []).map(nextStatus => (
+            <TouchableOpacity
+              key={nextStatus}
+              style={[styles.actionButton, nextStatus === APPOINTMENT_STATUS.CANCELLED && styles.deleteButton]}
+              onPress={() => handleStatusChange(nextStatus)}
+            >
+              <Ionicons name={STATUS_DISPLAY[nextStatus].icon} size={20} color={STATUS_DISPLAY[nextStatus].color} />
+              <Text style={[
+                styles.actionButtonText,
+                nextStatus === APPOINTMENT_STATUS.CANCELLED && styles.deleteButtonText
+              ]}>
+                {STATUS_ACTIONS[nextStatus]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={[styles.actionButton, styles.deleteButton]} onPress={handleDelete}>
+            <Ionicons name="trash-outline" size={20} color="#ef4444" />
+            <Text style={[styles.actionButtonText, styles.deleteButtonText]}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {history.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>History</Text>
+          <View style={styles.detailsContainer}>
+            {history.map((entry, index) => (
+              <View key={`${entry.changedAt}-${index}`} style={styles.historyRow}>
+                <Ionicons
+                  name={STATUS_DISPLAY[entry.status]?.icon || 'ellipse'}
+                  size={18}
+                  color={STATUS_DISPLAY[entry.status]?.color || '#6b7280'}
+                />
+                <View style={styles.historyInfo}>
+                  <Text style={styles.historyStatus}>{STATUS_DISPLAY[entry.status]?.label || entry.status}</Text>
+                  {entry.previousDate && (
+                    <Text style={styles.historyText}>
+                      {formatDateTime(new Date(entry.previousDate))} → {formatDateTime(new Date(entry.newDate))}
+                    </Text>
+                  )}
+                  {entry.note ? <Text style={styles.historyText}>{entry.note}</Text> : null}
+                  <Text style={styles.historyDate}>{formatDateTime(new Date(entry.changedAt))}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    backgroundColor: '#ffffff',
+    alignItems: 'center',
+    paddingVertical: 28,
+    paddingHorizontal: 20,
+    marginBottom: 20,
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  statusText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  dateText: {
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  durationText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 12,
+    marginHorizontal: 20,
+  },
+  detailsContainer: {
+    backgroundColor: '#ffffff',
+    marginHorizontal: 20,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+  detailRow: {
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  detailLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6b7280',
+    marginBottom: 4,
+  },
+  detailValue: {
+    fontSize: 16,
+    color: '#1f2937',
+    lineHeight: 24,
+  },
+  actionsContainer: {
+    marginHorizontal: 20,
+    gap: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#ffffff',
+    paddingVertical: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  actionButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginLeft: 8,
+  },
+  deleteButton: {
+    borderColor: '#fecaca',
+  },
+  deleteButtonText: {
+    color: '#ef4444',
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  historyInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  historyStatus: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  historyText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  historyDate: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginTop: 4,
+  },
+});
+
+export default AppointmentDetailScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,13 +7,41 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Alert,
-  Switch
+  Switch,
+  Modal,
+  TextInput,
+  Platform
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
-import dataExportService from '../services/dataExport';
+import dataExportService, { ENCRYPTED_EXPORT_FORMAT } from '../services/dataExport';
+import backupRestore, { FULL_BACKUP_OPTIONS } from '../services/backupRestore';
+import backupScheduler, {
+  BACKUP_FREQUENCIES,
+  BACKUP_KEEP_OPTIONS,
+  DEFAULT_BACKUP_SETTINGS,
+} from '../services/backupScheduler';
+import privacyPreferences from '../services/privacyPreferences';
+import exportPasswordStore, { MIN_EXPORT_PASSWORD_LENGTH } from '../services/exportPassword';
+import medicationService from '../services/medicationService';
+import { summarizeMemberAdherence } from '../utils/medicationAdherence';
+import {
+  RESTORE_MODE,
+  planRestore,
+  summarizeRestorePlan,
+  validateBackupBundle,
+} from '../utils/backupBundle';
+import {
+  DEFAULT_REPORT_OPTIONS,
+  REPORT_DATE_RANGES,
+  REPORT_SECTIONS,
+  SELF_MEMBER_ID,
+  getReportMembers,
+} from '../utils/healthReport';
+import { DEFAULT_REDACTION_OPTIONS, REDACTION_RULES } from '../utils/redaction';
 import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
 import { doc, getDoc, collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../../firebaseConfig';
 
@@ -32,14 +60,119 @@ const DataExportScreen = ({ navigation }) => {
     includeFamilyMembers: true,
     includeAppointments: true,
     includeInsurance: true,
+    includeFinance: true,
     anonymizeData: false,
+    redaction: DEFAULT_REDACTION_OPTIONS,
     passwordProtect: false,
   });
 
+  // { title, message, forExport } while the password modal is showing
+  const [passwordPrompt, setPasswordPrompt] = useState(null);
+  const [passwordInput, setPasswordInput] = useState('');
+  const passwordPromptResolver = useRef(null);
+
+  // { bundle, existing, warnings, mode } while the restore preview is showing
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [restoreProgress, setRestoreProgress] = useState(null);
+
+  // { data, members, options } while the health report options are showing
+  const [reportSetup, setReportSetup] = useState(null);
+
+  const [backupSettings, setBackupSettings] = useState(DEFAULT_BACKUP_SETTINGS);
+  const [backupStatus, setBackupStatus] = useState({});
+  const [freeSpace, setFreeSpace] = useState(null);
+  const [backingUp, setBackingUp] = useState(false);
+
   useEffect(() => {
     loadData();
+    loadPasswordProtection();
+    loadBackupState();
+
+    const removeBackupListener = backupScheduler.addListener((status, userId) => {
+      if (userId === user?.uid) {
+        setBackupStatus(status);
+      }
+    });
+    return removeBackupListener;
   }, []);
 
+  const loadBackupState = async () => {
+    const [settings, status, space] = await Promise.all([
+      backupScheduler.getSettings(user.uid),
+      backupScheduler.getStatus(user.uid),
+      dataExportService.getAvailableSpace(),
+    ]);
+    setBackupSettings(settings);
+    setBackupStatus(status);
+    setFreeSpace(space);
+  };
+
+  const loadPasswordProtection = async () => {
+    const { passwordProtectExports } = await privacyPreferences.get();
+    setExportOptions(prev => ({ ...prev, passwordProtect: passwordProtectExports }));
+  };
+
+  // Show the password modal; resolves with the password, or null if cancelled
+  const requestPassword = (prompt) => new Promise(resolve => {
+    passwordPromptResolver.current = resolve;
+    setPasswordInput('');
+    setPasswordPrompt(prompt);
+  });
+
+  const closePasswordPrompt = (password) => {
+    if (password !== null && passwordPrompt?.forExport && password.length < MIN_EXPORT_PASSWORD_LENGTH) {
+      Alert.alert('Invalid Password', `Password must be at least ${MIN_EXPORT_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+
+    const resolve = passwordPromptResolver.current;
+    passwordPromptResolver.current = null;
+    setPasswordPrompt(null);
+    setPasswordInput('');
+    if (resolve) resolve(password);
+  };
+
+  // The password to encrypt with: null when protection is off, undefined if the user cancelled
+  const getExportPassword = async () => {
+    if (!exportOptions.passwordProtect) return null;
+
+    const savedPassword = await exportPasswordStore.get();
+    if (savedPassword) return savedPassword;
+
+    const password = await requestPassword({
+      title: 'Protect This Export',
+      message: 'Enter a password. You will need it to open the exported file.',
+      forExport: true,
+    });
+    return password || undefined;
+  };
+
+  // Anonymized exports come with a report of what was redacted, protected like the export
+  const withRedactionReport = async (exportResult, bundle, password) => {
+    if (!exportResult.success || !bundle.redactionReport) return exportResult;
+    return {
+      ...exportResult,
+      redactionReportFile: await dataExportService.writeRedactionReport(bundle.redactionReport, password)
+    };
+  };
+
+  const showExportSuccess = (message, file) => {
+    const buttons = [{ text: 'Share', onPress: () => dataExportService.shareFile(file.fileUri) }];
+    if (file.redactionReportFile) {
+      buttons.push({
+        text: 'Share Redaction Report',
+        onPress: () => dataExportService.shareFile(file.redactionReportFile.fileUri, 'Sharing redaction report')
+      });
+    }
+    buttons.push({ text: 'OK' });
+
+    Alert.alert(
+      'Export Successful',
+      file.encrypted ? `${message}. The file is protected with your export password.` : message,
+      buttons
+    );
+  };
+
   const loadData = async () => {
     setLoading(true);
     
@@ -86,54 +219,34 @@ const DataExportScreen = ({ navigation }) => {
       [option]: !prev[option]
     }));
   };
+
+  const toggleRedactionRule = (rule) => {
+    setExportOptions(prev => ({
+      ...prev,
+      redaction: { ...prev.redaction, [rule]: !prev.redaction[rule] }
+    }));
+  };
   
   const handleExportCSV = async () => {
+    const password = await getExportPassword();
+    if (password === undefined) return;
+
     setLoading(true);
     
     const result = await withErrorHandling(
       async () => {
-        // Fetch records
-        let records = [];
-        if (exportOptions.includeRecords) {
-          const recordsQuery = query(
-            collection(db, 'medicalRecords'),
-            where('userId', '==', user.uid)
-          );
-          const recordsSnapshot = await getDocs(recordsQuery);
-          records = recordsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        }
-        
-        // Fetch family members for association
-        let familyMembers = [];
-        if (exportOptions.includeFamilyMembers) {
-          const familyQuery = query(
-            collection(db, 'familyMembers'),
-            where('userId', '==', user.uid)
-          );
-          const familySnapshot = await getDocs(familyQuery);
-          familyMembers = familySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        }
-        
-        // Apply anonymization if enabled
-        if (exportOptions.anonymizeData) {
-          records = records.map(record => {
-            const anonymized = { ...record };
-            delete anonymized.userId;
-            // Remove or mask other personal identifiers
-            return anonymized;
-          });
-          
-          familyMembers = familyMembers.map((member, index) => {
-            return {
-              ...member,
-              name: `Family Member ${index + 1}`,
-              // Remove other personal identifiers
-            };
-          });
-        }
-        
-        // Export to CSV
-        return await dataExportService.exportMedicalRecordsToCSV(records, familyMembers);
+        const bundle = await backupRestore.buildBundle(user.uid, {
+          ...exportOptions,
+          includeAppointments: false,
+          includeInsurance: false,
+          includeFinance: false,
+        });
+        const exportResult = await dataExportService.exportMedicalRecordsToCSV(
+          bundle.medicalRecords || [],
+          bundle.familyMembers || [],
+          { password }
+        );
+        return await withRedactionReport(exportResult, bundle, password);
       },
       {
         errorType: ERROR_TYPES.STORAGE,
@@ -145,99 +258,21 @@ const DataExportScreen = ({ navigation }) => {
     setLoading(false);
     
     if (result.success && result.data.success) {
-      Alert.alert(
-        'Export Successful',
-        `Exported ${result.data.recordCount} records`,
-        [
-          { text: 'Share', onPress: () => dataExportService.shareFile(result.data.fileUri) },
-          { text: 'OK' }
-        ]
-      );
+      showExportSuccess(`Exported ${result.data.recordCount} records`, result.data);
     }
   };
   
   const handleExportJSON = async () => {
+    const password = await getExportPassword();
+    if (password === undefined) return;
+
     setLoading(true);
     
     const result = await withErrorHandling(
       async () => {
-        const exportData = {
-          exportDate: new Date().toISOString(),
-          userProfile: exportOptions.anonymizeData ? 
-            { anonymized: true } : 
-            { ...userData, uid: user.uid }
-        };
-        
-        // Include records if selected
-        if (exportOptions.includeRecords) {
-          const recordsQuery = query(
-            collection(db, 'medicalRecords'),
-            where('userId', '==', user.uid)
-          );
-          const recordsSnapshot = await getDocs(recordsQuery);
-          const records = recordsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-          
-          exportData.medicalRecords = exportOptions.anonymizeData ? 
-            records.map(r => {
-              const anonymized = { ...r };
-              delete anonymized.userId;
-              return anonymized;
-            }) : 
-            records;
-        }
-        
-        // Include family members if selected
-        if (exportOptions.includeFamilyMembers) {
-          const familyQuery = query(
-            collection(db, 'familyMembers'),
-            where('userId', '==', user.uid)
-          );
-          const familySnapshot = await getDocs(familyQuery);
-          const members = familySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-          
-          exportData.familyMembers = exportOptions.anonymizeData ?
-            members.map((m, i) => ({ ...m, name: `Family Member ${i + 1}` })) :
-            members;
-        }
-        
-        // Include appointments if selected
-        if (exportOptions.includeAppointments) {
-          const appointmentsQuery = query(
-            collection(db, 'appointments'),
-            where('userId', '==', user.uid)
-          );
-          const appointmentsSnapshot = await getDocs(appointmentsQuery);
-          const appointments = appointmentsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-          
-          exportData.appointments = exportOptions.anonymizeData ?
-            appointments.map(a => {
-              const anonymized = { ...a };
-              delete anonymized.userId;
-              return anonymized;
-            }) :
-            appointments;
-        }
-        
-        // Include insurance if selected
-        if (exportOptions.includeInsurance) {
-          const insuranceQuery = query(
-            collection(db, 'insurance'),
-            where('userId', '==', user.uid)
-          );
-          const insuranceSnapshot = await getDocs(insuranceQuery);
-          const insurance = insuranceSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-          
-          exportData.insurance = exportOptions.anonymizeData ?
-            insurance.map(i => {
-              const anonymized = { ...i };
-              delete anonymized.userId;
-              delete anonymized.membershipNo;
-              return anonymized;
-            }) :
-            insurance;
-        }
-        
-        return await dataExportService.exportToJSON(exportData, 'family_medical_data');
+        const bundle = await backupRestore.buildBundle(user.uid, exportOptions);
+        const exportResult = await dataExportService.exportToJSON(bundle, 'family_medical_data', { password });
+        return await withRedactionReport(exportResult, bundle, password);
       },
       {
         errorType: ERROR_TYPES.STORAGE,
@@ -249,143 +284,140 @@ const DataExportScreen = ({ navigation }) => {
     setLoading(false);
     
     if (result.success && result.data.success) {
-      Alert.alert(
-        'Export Successful',
-        'Your data has been exported successfully',
-        [
-          { text: 'Share', onPress: () => dataExportService.shareFile(result.data.fileUri) },
-          { text: 'OK' }
-        ]
-      );
+      showExportSuccess('Your data has been exported successfully', result.data);
     }
   };
-  
+
+  const handleExportFHIR = async () => {
+    const password = await getExportPassword();
+    if (password === undefined) return;
+
+    setLoading(true);
+
+    const result = await withErrorHandling(
+      async () => {
+        // FHIR only covers the medical sections
+        const bundle = await backupRestore.buildBundle(user.uid, {
+          ...exportOptions,
+          includeInsurance: false,
+          includeFinance: false,
+        });
+        const exportResult = await dataExportService.exportToFHIR(bundle, { password });
+        return await withRedactionReport(exportResult, bundle, password);
+      },
+      {
+        errorType: ERROR_TYPES.STORAGE,
+        errorSeverity: ERROR_SEVERITY.MEDIUM,
+        showLoading: false,
+      }
+    );
+
+    setLoading(false);
+
+    if (result.success && result.data.success) {
+      const count = Object.values(result.data.resourceCounts).reduce((sum, n) => sum + n, 0);
+      showExportSuccess(`Exported ${count} FHIR resources`, result.data);
+    }
+  };
+
+  // Everything the health report can show; members, sections and dates are picked afterwards
+  const loadReportData = async () => {
+    const bundle = await backupRestore.buildBundle(user.uid, {
+      ...FULL_BACKUP_OPTIONS,
+      includeInsurance: false,
+      includeFinance: false,
+      anonymizeData: exportOptions.anonymizeData,
+      redaction: exportOptions.redaction,
+    });
+
+    const [activeRegimens, allRegimens, doseLogs] = await Promise.all([
+      medicationService.getRegimens(user.uid),
+      medicationService.getRegimens(user.uid, { includeInactive: true }),
+      medicationService.getDoseLogs(user.uid)
+    ]);
+    const regimensByMember = allRegimens.reduce((acc, regimen) => {
+      const key = regimen.familyMemberId || SELF_MEMBER_ID;
+      (acc[key] = acc[key] || []).push(regimen);
+      return acc;
+    }, {});
+
+    return {
+      userProfile: bundle.userProfile,
+      familyMembers: bundle.familyMembers,
+      medicalRecords: bundle.medicalRecords,
+      appointments: bundle.appointments,
+      redactionReport: bundle.redactionReport,
+      regimens: activeRegimens,
+      medicationAdherence: Object.entries(regimensByMember).map(([familyMemberId, memberRegimens]) => ({
+        familyMemberId,
+        ...summarizeMemberAdherence(memberRegimens, doseLogs)
+      })),
+    };
+  };
+
   const handleExportHealthReport = async () => {
     setLoading(true);
-    
+
+    const result = await withErrorHandling(loadReportData, {
+      errorType: ERROR_TYPES.NETWORK,
+      errorSeverity: ERROR_SEVERITY.MEDIUM,
+      showLoading: false,
+    });
+
+    setLoading(false);
+
+    if (result.success) {
+      setReportSetup({
+        data: result.data,
+        members: getReportMembers(result.data),
+        options: { ...DEFAULT_REPORT_OPTIONS },
+      });
+    }
+  };
+
+  const updateReportOptions = (changes) => {
+    setReportSetup(prev => ({ ...prev, options: { ...prev.options, ...changes } }));
+  };
+
+  const toggleReportMember = (memberId) => {
+    const { members, options } = reportSetup;
+    const selected = options.memberIds || members.map(member => member.id);
+    updateReportOptions({
+      memberIds: selected.includes(memberId)
+        ? selected.filter(id => id !== memberId)
+        : [...selected, memberId]
+    });
+  };
+
+  const toggleReportSection = (sectionKey) => {
+    const { sections } = reportSetup.options;
+    updateReportOptions({
+      sections: sections.includes(sectionKey)
+        ? sections.filter(key => key !== sectionKey)
+        : [...sections, sectionKey]
+    });
+  };
+
+  const handleCreateHealthReport = async () => {
+    const { data, options } = reportSetup;
+    if (options.memberIds?.length === 0) {
+      Alert.alert('No Family Members', 'Choose at least one family member for the report');
+      return;
+    }
+
+    setReportSetup(null);
+    setLoading(true);
+
     const result = await withErrorHandling(
       async () => {
-        console.log('Starting health report export process...');
-        
-        // Build user data object for report
-        const userData = {
-          userProfile: {},
-          familyMembers: [],
-          medicalRecords: [],
-          appointments: [],
-          insuranceInfo: {}
-        };
-        
-        // Get user profile
-        const userDoc = await getDoc(doc(db, 'users', user.uid));
-        if (userDoc.exists()) {
-          userData.userProfile = userDoc.data();
-          console.log('User profile data retrieved');
-        } else {
-          console.warn('User profile not found');
-        }
-        
-        // Get family members
-        if (exportOptions.includeFamilyMembers) {
-          const familyQuery = query(
-            collection(db, 'familyMembers'),
-            where('userId', '==', user.uid)
-          );
-          const familySnapshot = await getDocs(familyQuery);
-          userData.familyMembers = familySnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
-          console.log(`Retrieved ${userData.familyMembers.length} family members`);
-        }
-        
-        // Get medical records
-        if (exportOptions.includeRecords) {
-          const recordsQuery = query(
-            collection(db, 'medicalRecords'),
-            where('userId', '==', user.uid)
-          );
-          const recordsSnapshot = await getDocs(recordsQuery);
-          userData.medicalRecords = recordsSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
-          console.log(`Retrieved ${userData.medicalRecords.length} medical records`);
-        }
-        
-        // Get appointments
-        if (exportOptions.includeAppointments) {
-          const appointmentsQuery = query(
-            collection(db, 'appointments'),
-            where('userId', '==', user.uid)
-          );
-          const appointmentsSnapshot = await getDocs(appointmentsQuery);
-          userData.appointments = appointmentsSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
-          console.log(`Retrieved ${userData.appointments.length} appointments`);
+        const reportResult = await dataExportService.createFamilyHealthReport(data, {
+          ...options,
+          title: data.redactionReport ? `${options.title} (Anonymized)` : options.title
+        });
+        if (!reportResult.success) {
+          throw new Error(reportResult.error);
         }
-        
-        // Get insurance info
-        if (exportOptions.includeInsurance) {
-          const insuranceQuery = query(
-            collection(db, 'insurance'),
-            where('userId', '==', user.uid)
-          );
-          const insuranceSnapshot = await getDocs(insuranceQuery);
-          if (insuranceSnapshot.docs.length > 0) {
-            userData.insuranceInfo = {
-              ...insuranceSnapshot.docs[0].data(),
-              id: insuranceSnapshot.docs[0].id
-            };
-            console.log('Insurance information retrieved');
-          } else {
-            console.log('No insurance information found');
-          }
-        }
-        
-        // Apply anonymization if needed
-        if (exportOptions.anonymizeData) {
-          console.log('Applying anonymization to data');
-          // Anonymize user data
-          delete userData.userProfile.email;
-          delete userData.userProfile.phone;
-          
-          // Anonymize family members
-          userData.familyMembers = userData.familyMembers.map((member, index) => ({
-            ...member,
-            name: `Family Member ${index + 1}`
-          }));
-          
-          // Anonymize other data as needed
-        }
-        
-        console.log('Calling dataExportService.createHealthReport...');
-        const reportResult = await dataExportService.createHealthReport(userData);
-        
-        if (reportResult.success) {
-          console.log(`PDF report successfully created: ${reportResult.fileName}`);
-          
-          // Verify the file exists
-          const fileInfo = await FileSystem.getInfoAsync(reportResult.fileUri);
-          console.log('File info:', fileInfo);
-          
-          if (!fileInfo.exists) {
-            console.error('Generated file does not exist at path:', reportResult.fileUri);
-            throw new Error('Generated file not found');
-          }
-          
-          // Check file size to make sure it's a valid PDF
-          if (fileInfo.size < 100) { // If file is too small, it might not be a valid PDF
-            console.error('Generated file is too small:', fileInfo.size, 'bytes');
-            throw new Error('Generated file is invalid');
-          }
-        } else {
-          console.error('Failed to create health report:', reportResult.error);
-        }
-        
-        return reportResult;
+        return await withRedactionReport(reportResult, data, null);
       },
       {
         errorType: ERROR_TYPES.STORAGE,
@@ -393,32 +425,361 @@ const DataExportScreen = ({ navigation }) => {
         showLoading: false,
       }
     );
-    
+
     setLoading(false);
-    
-    if (result.success && result.data.success) {
-      Alert.alert(
-        'Report Generated',
-        'Your health report has been created successfully',
-        [
-          { 
-            text: 'Share', 
-            onPress: () => {
-              console.log('Sharing file:', result.data.fileUri);
-              dataExportService.shareFile(result.data.fileUri);
-            } 
-          },
-          { text: 'OK' }
-        ]
-      );
+
+    if (result.success) {
+      showExportSuccess('Your health report has been created successfully', result.data);
+    }
+  };
+
+  const renderReportSetup = () => {
+    if (!reportSetup) return null;
+
+    const { members, options } = reportSetup;
+    const isMemberSelected = (memberId) => !options.memberIds || options.memberIds.includes(memberId);
+
+    return (
+      <>
+        <Text style={styles.modalTitle}>Health Report</Text>
+        <Text style={styles.modalDescription}>Choose who and what to include in the PDF.</Text>
+
+        <ScrollView style={styles.reportOptionsScroll}>
+          <Text style={styles.choiceLabel}>Family members</Text>
+          <View style={styles.choiceRowWrap}>
+            {members.length === 0 ? (
+              <Text style={styles.modalDescription}>No family members yet</Text>
+            ) : members.map(member => (
+              renderChoice(member.name || 'Family Member', isMemberSelected(member.id), () => toggleReportMember(member.id))
+            ))}
+          </View>
+
+          <Text style={styles.choiceLabel}>Sections</Text>
+          <View style={styles.choiceRowWrap}>
+            {REPORT_SECTIONS.map(({ key, label }) => (
+              renderChoice(label, options.sections.includes(key), () => toggleReportSection(key))
+            ))}
+          </View>
+
+          <Text style={styles.choiceLabel}>Records from the last</Text>
+          <View style={styles.choiceRowWrap}>
+            {REPORT_DATE_RANGES.map(({ key, label }) => (
+              renderChoice(label, options.dateRange === key, () => updateReportOptions({ dateRange: key }))
+            ))}
+          </View>
+        </ScrollView>
+
+        <View style={styles.modalButtons}>
+          <TouchableOpacity 
+            style={styles.modalCancelButton}
+            onPress={() => setReportSetup(null)}
+          >
+            <Text style={styles.modalCancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.modalSaveButton}
+            onPress={handleCreateHealthReport}
+          >
+            <Text style={styles.modalSaveButtonText}>Create PDF</Text>
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+  
+  const handleOpenEncryptedExport = async () => {
+    const picked = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      copyToCacheDirectory: true,
+    });
+    if (picked.canceled || !picked.assets?.[0]) return;
+
+    const file = picked.assets[0];
+    const password = await requestPassword({
+      title: 'Enter Export Password',
+      message: `Enter the password used to protect ${file.name}.`,
+      forExport: false,
+    });
+    if (!password) return;
+
+    setLoading(true);
+    const result = await dataExportService.openEncryptedExport(file.uri, password);
+    setLoading(false);
+
+    if (!result.success) {
+      Alert.alert('Could Not Open Export', result.error);
+      return;
+    }
+
+    // The decrypted copy is not kept on the device once it has been shared
+    Alert.alert(
+      'Export Decrypted',
+      `${result.fileName} is ready to share. The decrypted copy is removed from this device afterwards.`,
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => dataExportService.deleteFile(result.fileUri) },
+        {
+          text: 'Share',
+          onPress: async () => {
+            await dataExportService.shareFile(result.fileUri);
+            await dataExportService.deleteFile(result.fileUri);
+          }
+        }
+      ],
+      { cancelable: false }
+    );
+  };
+  
+  const updateBackupSettings = async (changes) => {
+    const newSettings = { ...backupSettings, ...changes };
+    setBackupSettings(newSettings);
+    try {
+      await backupScheduler.saveSettings(user.uid, newSettings);
+    } catch (error) {
+      console.error('Error saving backup settings:', error);
+      Alert.alert('Error', 'Failed to save your backup settings');
+    }
+
+    // Turning backups on starts with one straight away if it's due
+    if (changes.enabled) {
+      handleBackupNow(true);
+    }
+  };
+
+  const handleBackupNow = async (onlyIfDue = false) => {
+    setBackingUp(true);
+    const status = onlyIfDue
+      ? await backupScheduler.runIfDue(user.uid)
+      : await backupScheduler.runBackup(user.uid);
+    setBackingUp(false);
+    setFreeSpace(await dataExportService.getAvailableSpace());
+
+    if (status?.lastError && !onlyIfDue) {
+      Alert.alert('Backup Failed', status.lastError);
+    }
+  };
+
+  const handleChooseBackupFolder = async () => {
+    const folderUri = await backupScheduler.chooseFolder(user.uid);
+    if (folderUri) {
+      setBackupSettings(prev => ({ ...prev, folderUri }));
+    }
+  };
+
+  const handleClearBackupFolder = async () => {
+    await backupScheduler.clearFolder(user.uid);
+    setBackupSettings(prev => ({ ...prev, folderUri: null }));
+  };
+
+  const renderBackupStatus = () => {
+    const lines = [];
+    if (backupStatus.lastBackupAt) {
+      const size = dataExportService.formatBytes(backupStatus.size || 0);
+      lines.push(`Last backup: ${new Date(backupStatus.lastBackupAt).toLocaleString()} · ${size}`);
+      lines.push(`${backupStatus.backupCount} kept on this device${backupStatus.encrypted ? ' · password protected' : ''}`);
     } else {
-      // Show error alert if generation failed
-      Alert.alert(
-        'Error',
-        result.data?.error || 'Failed to generate health report',
-        [{ text: 'OK' }]
-      );
+      lines.push('No backup yet');
+    }
+    if (freeSpace) {
+      lines.push(`${freeSpace.formatted} free on this device`);
+    }
+
+    return (
+      <View style={styles.backupStatus}>
+        {lines.map(line => (
+          <Text key={line} style={styles.backupStatusText}>{line}</Text>
+        ))}
+        {backupStatus.lastError && (
+          <Text style={styles.backupErrorText}>Last attempt failed: {backupStatus.lastError}</Text>
+        )}
+        {backupStatus.folderError && (
+          <Text style={styles.backupErrorText}>{backupStatus.folderError}</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderChoice = (label, selected, onPress) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.choiceChip, selected && styles.choiceChipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.choiceChipText, selected && styles.choiceChipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const handleRestoreBackup = async () => {
+    const picked = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      copyToCacheDirectory: true,
+    });
+    if (picked.canceled || !picked.assets?.[0]) return;
+
+    const file = picked.assets[0];
+    let bundle;
+    try {
+      bundle = JSON.parse(await FileSystem.readAsStringAsync(file.uri));
+    } catch {
+      bundle = null;
+    }
+
+    if (bundle?.format === ENCRYPTED_EXPORT_FORMAT) {
+      const password = await requestPassword({
+        title: 'Enter Export Password',
+        message: `Enter the password used to protect ${file.name}.`,
+        forExport: false,
+      });
+      if (!password) return;
+
+      setLoading(true);
+      try {
+        const { content } = await dataExportService.decryptExport(bundle, password);
+        bundle = JSON.parse(content);
+      } catch (error) {
+        setLoading(false);
+        Alert.alert('Could Not Open Backup', error.message);
+        return;
+      }
+      setLoading(false);
+    }
+
+    const validation = validateBackupBundle(bundle);
+    if (!validation.valid) {
+      Alert.alert('Cannot Restore Backup', validation.errors.join('\n'));
+      return;
+    }
+
+    setLoading(true);
+    const result = await withErrorHandling(
+      () => backupRestore.loadExisting(user.uid),
+      {
+        errorType: ERROR_TYPES.NETWORK,
+        errorSeverity: ERROR_SEVERITY.MEDIUM,
+        showLoading: false,
+      }
+    );
+    setLoading(false);
+
+    if (result.success) {
+      setRestorePreview({
+        bundle,
+        existing: result.data,
+        warnings: validation.warnings,
+        mode: RESTORE_MODE.MERGE,
+      });
+    }
+  };
+
+  const runRestore = async () => {
+    const { bundle, existing, mode } = restorePreview;
+    const plan = planRestore(bundle, existing, mode);
+    setRestorePreview(null);
+    setRestoreProgress({ completed: 0, total: 0 });
+
+    const result = await withErrorHandling(
+      () => backupRestore.restore(user.uid, plan, mode, setRestoreProgress),
+      {
+        errorType: ERROR_TYPES.NETWORK,
+        errorSeverity: ERROR_SEVERITY.HIGH,
+        showLoading: false,
+      }
+    );
+    setRestoreProgress(null);
+
+    if (result.success) {
+      const createdCount = Object.values(result.data).reduce((sum, count) => sum + count, 0);
+      Alert.alert('Restore Complete', `Restored ${createdCount} items from your backup.`);
+      loadData();
+    }
+  };
+
+  const confirmRestore = () => {
+    if (restorePreview.mode !== RESTORE_MODE.REPLACE) {
+      runRestore();
+      return;
     }
+
+    Alert.alert(
+      'Replace Existing Data?',
+      'Your current family members, medical records, appointments and finance accounts will be deleted and replaced with the backup. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: runRestore }
+      ]
+    );
+  };
+
+  const renderRestorePreview = () => {
+    if (!restorePreview) return null;
+
+    const { bundle, existing, warnings, mode } = restorePreview;
+    const summary = summarizeRestorePlan(planRestore(bundle, existing, mode));
+
+    return (
+      <>
+        <Text style={styles.modalTitle}>Restore Backup</Text>
+        <Text style={styles.modalDescription}>
+          Backup from {new Date(bundle.exportDate).toLocaleString()}
+        </Text>
+
+        <View style={styles.restoreModes}>
+          {[RESTORE_MODE.MERGE, RESTORE_MODE.REPLACE].map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.restoreModeButton, mode === option && styles.restoreModeButtonActive]}
+              onPress={() => setRestorePreview(prev => ({ ...prev, mode: option }))}
+            >
+              <Text style={[styles.restoreModeText, mode === option && styles.restoreModeTextActive]}>
+                {option === RESTORE_MODE.MERGE ? 'Merge' : 'Replace'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.restoreModeDescription}>
+          {mode === RESTORE_MODE.MERGE
+            ? 'Adds what is missing and keeps everything you already have.'
+            : 'Deletes your current data and restores the backup in its place.'}
+        </Text>
+
+        <View style={styles.restoreSummary}>
+          {summary.map(row => (
+            <View key={row.key} style={styles.restoreRow}>
+              <Text style={styles.restoreRowLabel}>{row.label}</Text>
+              <Text style={styles.restoreRowCounts}>
+                {[
+                  `${row.create} to add`,
+                  row.skip > 0 && `${row.skip} already here`,
+                  row.remove > 0 && `${row.remove} to delete`,
+                ].filter(Boolean).join(' · ')}
+              </Text>
+            </View>
+          ))}
+
+          {warnings.length > 0 && (
+            <Text style={styles.restoreWarning}>
+              {warnings.length === 1 ? '1 item has' : `${warnings.length} items have`} a link to data that is not in the backup.
+            </Text>
+          )}
+        </View>
+
+        <View style={styles.modalButtons}>
+          <TouchableOpacity 
+            style={styles.modalCancelButton}
+            onPress={() => setRestorePreview(null)}
+          >
+            <Text style={styles.modalCancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={[styles.modalSaveButton, mode === RESTORE_MODE.REPLACE && styles.modalDestructiveButton]}
+            onPress={confirmRestore}
+          >
+            <Text style={styles.modalSaveButtonText}>Restore</Text>
+          </TouchableOpacity>
+        </View>
+      </>
+    );
   };
   
   const ExportOptionItem = ({ title, description, value, onToggle }) => (
@@ -498,14 +859,34 @@ const DataExportScreen = ({ navigation }) => {
             onToggle={() => toggleExportOption('includeInsurance')}
           />
           
+          <ExportOptionItem
+            title="Finance"
+            description="Include your finance accounts and transactions (JSON only)"
+            value={exportOptions.includeFinance}
+            onToggle={() => toggleExportOption('includeFinance')}
+          />
+          
           <View style={styles.divider} />
           
           <ExportOptionItem
             title="Anonymize Data"
-            description="Remove personal identifiers from exported data"
+            description="Redact personal details and include a report of what was changed"
             value={exportOptions.anonymizeData}
             onToggle={() => toggleExportOption('anonymizeData')}
           />
+
+          {exportOptions.anonymizeData && (
+            <View style={styles.redactionRules}>
+              <View style={styles.choiceRowWrap}>
+                {REDACTION_RULES.map(({ key, label }) => (
+                  renderChoice(label, exportOptions.redaction[key], () => toggleRedactionRule(key))
+                ))}
+              </View>
+              <Text style={styles.redactionNote}>
+                Your profile, account links and attachment files are always left out.
+              </Text>
+            </View>
+          )}
           
           <ExportOptionItem
             title="Password Protection"
@@ -555,7 +936,26 @@ const DataExportScreen = ({ navigation }) => {
               <Ionicons name="chevron-forward" size={20} color="#9ca3af" />
             )}
           </TouchableOpacity>
-          
+
+          <TouchableOpacity
+            style={styles.exportButton}
+            onPress={handleExportFHIR}
+            disabled={loading}
+          >
+            <View style={[styles.exportButtonIcon, { backgroundColor: '#0ea5e9' }]}>
+              <Ionicons name="medkit" size={24} color="#ffffff" />
+            </View>
+            <View style={styles.exportButtonContent}>
+              <Text style={styles.exportButtonTitle}>Export as FHIR (R4)</Text>
+              <Text style={styles.exportButtonDescription}>Standard format clinics can import</Text>
+            </View>
+            {loading ? (
+              <ActivityIndicator color="#6366f1" size="small" />
+            ) : (
+              <Ionicons name="chevron-forward" size={20} color="#9ca3af" />
+            )}
+          </TouchableOpacity>
+
           <TouchableOpacity 
             style={styles.exportButton}
             onPress={handleExportHealthReport}
@@ -566,7 +966,7 @@ const DataExportScreen = ({ navigation }) => {
             </View>
             <View style={styles.exportButtonContent}>
               <Text style={styles.exportButtonTitle}>Health Report (PDF)</Text>
-              <Text style={styles.exportButtonDescription}>Formatted report with visualizations</Text>
+              <Text style={styles.exportButtonDescription}>Choose members, sections and dates</Text>
             </View>
             {loading ? (
               <ActivityIndicator color="#6366f1" size="small" />
@@ -576,6 +976,110 @@ const DataExportScreen = ({ navigation }) => {
           </TouchableOpacity>
         </View>
         
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Automatic Backups</Text>
+          
+          <ExportOptionItem
+            title="Back Up Automatically"
+            description="Save a full backup of your account to this device"
+            value={backupSettings.enabled}
+            onToggle={() => updateBackupSettings({ enabled: !backupSettings.enabled })}
+          />
+          
+          {backupSettings.enabled && (
+            <>
+              <Text style={styles.choiceLabel}>How often</Text>
+              <View style={styles.choiceRow}>
+                {Object.entries(BACKUP_FREQUENCIES).map(([frequency, { label }]) =>
+                  renderChoice(label, backupSettings.frequency === frequency, () => updateBackupSettings({ frequency }))
+                )}
+              </View>
+              
+              <Text style={styles.choiceLabel}>Backups to keep</Text>
+              <View style={styles.choiceRow}>
+                {BACKUP_KEEP_OPTIONS.map(keepCount =>
+                  renderChoice(String(keepCount), backupSettings.keepCount === keepCount, () => updateBackupSettings({ keepCount }))
+                )}
+              </View>
+              
+              {Platform.OS === 'android' && (
+                <View style={styles.backupFolderRow}>
+                  <Text style={styles.backupFolderText}>
+                    {backupSettings.folderUri ? 'Also copied to your chosen folder' : 'Also copy backups to a folder'}
+                  </Text>
+                  <TouchableOpacity
+                    onPress={backupSettings.folderUri ? handleClearBackupFolder : handleChooseBackupFolder}
+                  >
+                    <Text style={styles.backupFolderAction}>
+                      {backupSettings.folderUri ? 'Remove' : 'Choose Folder'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </>
+          )}
+          
+          {renderBackupStatus()}
+          
+          <TouchableOpacity 
+            style={styles.backupNowButton}
+            onPress={() => handleBackupNow()}
+            disabled={backingUp}
+          >
+            {backingUp ? (
+              <ActivityIndicator color="#ffffff" size="small" />
+            ) : (
+              <Text style={styles.backupNowText}>Back Up Now</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+        
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Restore</Text>
+          
+          <TouchableOpacity 
+            style={styles.exportButton}
+            onPress={handleRestoreBackup}
+            disabled={loading || restoreProgress !== null}
+          >
+            <View style={[styles.exportButtonIcon, { backgroundColor: '#0ea5e9' }]}>
+              <Ionicons name="cloud-upload" size={24} color="#ffffff" />
+            </View>
+            <View style={styles.exportButtonContent}>
+              <Text style={styles.exportButtonTitle}>Restore from Backup</Text>
+              <Text style={styles.exportButtonDescription}>
+                {restoreProgress
+                  ? `Restoring... ${restoreProgress.completed} of ${restoreProgress.total}`
+                  : 'Load a JSON export back into your account'}
+              </Text>
+            </View>
+            {restoreProgress ? (
+              <ActivityIndicator color="#6366f1" size="small" />
+            ) : (
+              <Ionicons name="chevron-forward" size={20} color="#9ca3af" />
+            )}
+          </TouchableOpacity>
+        </View>
+        
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Encrypted Exports</Text>
+          
+          <TouchableOpacity 
+            style={styles.exportButton}
+            onPress={handleOpenEncryptedExport}
+            disabled={loading}
+          >
+            <View style={[styles.exportButtonIcon, { backgroundColor: '#f59e0b' }]}>
+              <Ionicons name="lock-open" size={24} color="#ffffff" />
+            </View>
+            <View style={styles.exportButtonContent}>
+              <Text style={styles.exportButtonTitle}>Open Encrypted Export</Text>
+              <Text style={styles.exportButtonDescription}>Decrypt a password protected file with its password</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#9ca3af" />
+          </TouchableOpacity>
+        </View>
+        
         <View style={styles.noteSection}>
           <Ionicons name="information-circle" size={24} color="#6366f1" />
           <Text style={styles.noteText}>
@@ -592,6 +1096,71 @@ const DataExportScreen = ({ navigation }) => {
         <Ionicons name="arrow-back" size={24} color="#6366f1" />
         <Text style={styles.backButtonText}>Back to Settings</Text>
       </TouchableOpacity>
+
+      <Modal
+        visible={passwordPrompt !== null}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => closePasswordPrompt(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{passwordPrompt?.title}</Text>
+            <Text style={styles.modalDescription}>{passwordPrompt?.message}</Text>
+            
+            <TextInput
+              style={styles.passwordInput}
+              placeholder="Password"
+              secureTextEntry
+              autoFocus
+              value={passwordInput}
+              onChangeText={setPasswordInput}
+            />
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity 
+                style={styles.modalCancelButton}
+                onPress={() => closePasswordPrompt(null)}
+              >
+                <Text style={styles.modalCancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={styles.modalSaveButton}
+                onPress={() => closePasswordPrompt(passwordInput)}
+              >
+                <Text style={styles.modalSaveButtonText}>Continue</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      <Modal
+        visible={reportSetup !== null}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setReportSetup(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            {renderReportSetup()}
+          </View>
+        </View>
+      </Modal>
+
+      <Modal
+        visible={restorePreview !== null}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setRestorePreview(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            {renderRestorePreview()}
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 };
@@ -752,6 +1321,208 @@ const styles = StyleSheet.create({
     color: '#6366f1',
     fontWeight: '500',
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 16,
+  },
+  modalContent: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginBottom: 8,
+  },
+  modalDescription: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 16,
+  },
+  passwordInput: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalCancelButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    marginRight: 8,
+  },
+  modalCancelButtonText: {
+    fontSize: 14,
+    color: '#6b7280',
+    fontWeight: '500',
+  },
+  modalSaveButton: {
+    backgroundColor: '#6366f1',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  modalSaveButtonText: {
+    fontSize: 14,
+    color: '#ffffff',
+    fontWeight: 'bold',
+  },
+  modalDestructiveButton: {
+    backgroundColor: '#ef4444',
+  },
+  restoreModes: {
+    flexDirection: 'row',
+    backgroundColor: '#f3f4f6',
+    borderRadius: 8,
+    padding: 4,
+    marginBottom: 8,
+  },
+  restoreModeButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  restoreModeButtonActive: {
+    backgroundColor: '#ffffff',
+  },
+  restoreModeText: {
+    fontSize: 14,
+    color: '#6b7280',
+    fontWeight: '500',
+  },
+  restoreModeTextActive: {
+    color: '#6366f1',
+    fontWeight: '600',
+  },
+  restoreModeDescription: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginBottom: 12,
+  },
+  choiceLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  choiceRow: {
+    flexDirection: 'row',
+  },
+  choiceRowWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 8,
+  },
+  redactionRules: {
+    paddingBottom: 12,
+  },
+  redactionNote: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 8,
+  },
+  reportOptionsScroll: {
+    maxHeight: 380,
+    marginBottom: 8,
+  },
+  choiceChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    backgroundColor: '#f3f4f6',
+    marginRight: 8,
+  },
+  choiceChipActive: {
+    backgroundColor: '#6366f1',
+  },
+  choiceChipText: {
+    fontSize: 14,
+    color: '#4b5563',
+  },
+  choiceChipTextActive: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  backupFolderRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  backupFolderText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#4b5563',
+  },
+  backupFolderAction: {
+    fontSize: 14,
+    color: '#6366f1',
+    fontWeight: '600',
+  },
+  backupStatus: {
+    marginTop: 16,
+  },
+  backupStatusText: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginBottom: 2,
+  },
+  backupErrorText: {
+    fontSize: 13,
+    color: '#dc2626',
+    marginTop: 4,
+  },
+  backupNowButton: {
+    backgroundColor: '#6366f1',
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  backupNowText: {
+    fontSize: 16,
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  restoreSummary: {
+    marginBottom: 16,
+  },
+  restoreRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  restoreRowLabel: {
+    fontSize: 14,
+    color: '#1f2937',
+    fontWeight: '500',
+  },
+  restoreRowCounts: {
+    fontSize: 13,
+    color: '#6b7280',
+  },
+  restoreWarning: {
+    fontSize: 13,
+    color: '#b45309',
+    marginTop: 12,
+  },
 });
 
 export default DataExportScreen;
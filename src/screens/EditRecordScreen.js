@@ -26,9 +26,19 @@ import { useSubscription } from '../contexts/SubscriptionContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
 import offlineStorageService from '../services/offlineStorage';
 import networkService from '../services/networkService';
+import documentExpiryService from '../services/documentExpiryService';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import ValidationError from '../components/ValidationError';
+import LabAnalyteEditor from '../components/LabAnalyteEditor';
 import { validateForm, getFieldError, hasFieldError } from '../utils/validation';
+import {
+  DEFAULT_IMMUNIZATION_SCHEDULE,
+  getVaccinationTitle,
+  getVaccineDisplayName
+} from '../utils/immunizationSchedule';
+import immunizationService from '../services/immunizationService';
+import { EXPIRY_TRACKED_TYPES } from '../utils/documentExpiry';
+import { normalizeAnalytes } from '../utils/labResults';
 import { getGenderSpecificRelationship } from '../utils/genderBasedRelationships';
 import { placeholderTextColor, getStandardTextInputProps } from '../utils/inputStyles';
 import { 
@@ -45,8 +55,13 @@ const RECORD_TYPES = [
   { id: 'hospital_card', name: 'Hospital Card', icon: 'card', color: '#6366f1' },
   { id: 'bill', name: 'Medical Bill', icon: 'receipt', color: '#ef4444' },
   { id: 'insurance', name: 'Insurance', icon: 'shield-checkmark', color: '#8b5cf6' },
+  { id: 'vaccination', name: 'Vaccination', icon: 'bandage', color: '#0ea5e9' },
+  { id: 'lab_result', name: 'Lab Result', icon: 'flask', color: '#14b8a6' },
 ];
 
+// Types whose title is derived from their details rather than entered
+const TITLE_FREE_TYPES = ['hospital_card', 'insurance', 'vaccination'];
+
 const EditRecordScreen = ({ route, navigation }) => {
   const { recordId, record: initialRecord } = route.params;
   const { user } = useAuth();
@@ -61,6 +76,11 @@ const EditRecordScreen = ({ route, navigation }) => {
     doctor: initialRecord?.doctor || '',
     date: initialRecord?.date || new Date().toISOString().split('T')[0],
     notes: initialRecord?.notes || '',
+    // Prescription specific fields
+    medicationName: initialRecord?.medicationName || '',
+    strength: initialRecord?.strength || '',
+    frequency: initialRecord?.frequency || '',
+    duration: initialRecord?.duration || '',
     // Hospital Card specific fields
     country: initialRecord?.country || '',
     city: initialRecord?.city || '',
@@ -75,10 +95,20 @@ const EditRecordScreen = ({ route, navigation }) => {
     // Medical Bill specific fields
     billFor: initialRecord?.billFor || '',
     billAmount: initialRecord?.billAmount || '',
+    lineItems: initialRecord?.lineItems || [], // Itemized charges from a scanned bill
     payments: initialRecord?.payments || [], // Array of payment records
     // Payment tracking
     totalPaid: initialRecord?.totalPaid || 0,
     paymentStatus: initialRecord?.paymentStatus || 'pending', // pending, partial, paid
+    // Vaccination specific fields
+    vaccine: initialRecord?.vaccine || '',
+    customVaccine: initialRecord?.customVaccine || '',
+    doseNumber: initialRecord?.doseNumber || '',
+    lotNumber: initialRecord?.lotNumber || '',
+    facility: initialRecord?.facility || '',
+    // Lab result specific fields
+    analytes: initialRecord?.analytes || [],
+    lab: initialRecord?.lab || '',
   });
   
   const [familyMembers, setFamilyMembers] = useState([]);
@@ -95,6 +125,8 @@ const EditRecordScreen = ({ route, navigation }) => {
   const [showCityPicker, setShowCityPicker] = useState(false);
   const [showRegionPicker, setShowRegionPicker] = useState(false);
   const [showProviderPicker, setShowProviderPicker] = useState(false);
+  const [showVaccinePicker, setShowVaccinePicker] = useState(false);
+  const [vaccines, setVaccines] = useState(DEFAULT_IMMUNIZATION_SCHEDULE);
   const [availableCities, setAvailableCities] = useState([]);
   const [availableRegions, setAvailableRegions] = useState([]);
   const [availableProviders, setAvailableProviders] = useState(INSURANCE_PROVIDERS);
@@ -103,6 +135,7 @@ const EditRecordScreen = ({ route, navigation }) => {
 
   useEffect(() => {
     loadFamilyMembers();
+    immunizationService.getVaccines(user.uid).then(setVaccines);
 
     // Listen for network changes
     const unsubscribe = networkService.addListener((connected) => {
@@ -372,7 +405,7 @@ const EditRecordScreen = ({ route, navigation }) => {
     
     // Add title validation only for record types that use title
     // (not for insurance or hospital_card which use card-based layouts)
-    if (!['insurance', 'hospital_card'].includes(formData.type)) {
+    if (!TITLE_FREE_TYPES.includes(formData.type)) {
       baseValidationRules.title = { 
         required: true, 
         minLength: 3, 
@@ -388,8 +421,19 @@ const EditRecordScreen = ({ route, navigation }) => {
       };
     }
 
+    if (formData.type === 'vaccination') {
+      baseValidationRules.vaccine = { required: true, message: 'Please select a vaccine' };
+      if (formData.vaccine === 'other') {
+        baseValidationRules.customVaccine = { required: true, message: 'Please enter the vaccine name' };
+      }
+    }
+
     // Validate form
     const validation = validateForm(formData, baseValidationRules);
+    if (formData.type === 'lab_result' && normalizeAnalytes(formData.analytes).length === 0) {
+      validation.errors.analytes = 'Please enter at least one test with a numeric value';
+      validation.isValid = false;
+    }
 
     if (!validation.isValid) {
       setValidationErrors(validation.errors);
@@ -403,12 +447,20 @@ const EditRecordScreen = ({ route, navigation }) => {
     setValidationErrors({});
     setLoading(true);
 
+    // Vaccinations are titled after the vaccine and dose; lab results are stored in canonical units
+    let recordFields = formData;
+    if (formData.type === 'vaccination') {
+      recordFields = { ...formData, title: getVaccinationTitle(formData, vaccines) };
+    } else if (formData.type === 'lab_result') {
+      recordFields = { ...formData, analytes: normalizeAnalytes(formData.analytes) };
+    }
+
     try {
       // Check if online for real-time sync
       if (!networkService.isOnline()) {
         // Add to offline queue
         const recordData = {
-          ...formData,
+          ...recordFields,
           recordId,
           userId: user.uid,
           updatedAt: new Date(),
@@ -435,6 +487,11 @@ const EditRecordScreen = ({ route, navigation }) => {
           await offlineStorageService.cacheMedicalRecords(records);
         }
 
+        // Expiry dates may have changed
+        if (EXPIRY_TRACKED_TYPES.includes(formData.type)) {
+          documentExpiryService.scanAndSchedule(user.uid);
+        }
+
         setLoading(false);
         Alert.alert(
           'Record Updated Offline',
@@ -461,7 +518,7 @@ const EditRecordScreen = ({ route, navigation }) => {
       
       // Update record
       const recordData = {
-        ...formData,
+        ...recordFields,
         familyMemberName: familyMember ? 
           (familyMember.title ? `${familyMember.title} ${familyMember.name}` : familyMember.name) : '',
         attachments: [...attachments, ...uploadedAttachments],
@@ -480,6 +537,10 @@ const EditRecordScreen = ({ route, navigation }) => {
         await offlineStorageService.cacheMedicalRecords(records);
       }
 
+      if (EXPIRY_TRACKED_TYPES.includes(formData.type)) {
+        documentExpiryService.scanAndSchedule(user.uid);
+      }
+
       setLoading(false);
       Alert.alert('Success', 'Record updated successfully', [
         { text: 'OK', onPress: () => navigation.goBack() }
@@ -536,6 +597,12 @@ const EditRecordScreen = ({ route, navigation }) => {
         return renderInsuranceFields();
       case 'bill':
         return renderMedicalBillFields();
+      case 'vaccination':
+        return renderVaccinationFields();
+      case 'lab_result':
+        return renderLabResultFields();
+      case 'prescription':
+        return renderPrescriptionFields();
       default:
         return renderDefaultFields();
     }
@@ -785,6 +852,153 @@ const EditRecordScreen = ({ route, navigation }) => {
     </>
   );
 
+  // Lab result specific fields
+  const renderLabResultFields = () => (
+    <>
+      <LabAnalyteEditor
+        analytes={formData.analytes}
+        onChange={(analytes) => updateFormData('analytes', analytes)}
+        error={getFieldError('analytes', validationErrors)}
+      />
+
+      {/* Laboratory */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Laboratory</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Lab or hospital that ran the tests"
+          value={formData.lab}
+          onChangeText={(value) => updateFormData('lab', value)}
+          {...getStandardTextInputProps()}
+        />
+      </View>
+
+      {renderDefaultFields()}
+    </>
+  );
+
+  // Vaccination specific fields
+  const renderVaccinationFields = () => (
+    <>
+      {/* Vaccine */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Vaccine *</Text>
+        <TouchableOpacity
+          style={[styles.selector, hasFieldError('vaccine', validationErrors) && styles.inputError]}
+          onPress={() => setShowVaccinePicker(true)}
+        >
+          <Text style={formData.vaccine ? styles.selectedText : styles.placeholderText}>
+            {formData.vaccine ? getVaccineDisplayName({ vaccine: formData.vaccine }, vaccines) : 'Select vaccine'}
+          </Text>
+          <Ionicons name="chevron-down" size={20} color="#6b7280" />
+        </TouchableOpacity>
+        <ValidationError error={getFieldError('vaccine', validationErrors)} />
+        {formData.vaccine === 'other' && (
+          <TextInput
+            style={[styles.input, { marginTop: 8 }, hasFieldError('customVaccine', validationErrors) && styles.inputError]}
+            placeholder="Enter vaccine name"
+            value={formData.customVaccine}
+            onChangeText={(value) => updateFormData('customVaccine', value)}
+            {...getStandardTextInputProps()}
+          />
+        )}
+      </View>
+
+      {/* Dose Number and Lot Number */}
+      <View style={styles.inputRow}>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Dose Number</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g., 1"
+            value={String(formData.doseNumber || '')}
+            onChangeText={(value) => updateFormData('doseNumber', value.replace(/[^0-9]/g, ''))}
+            keyboardType="number-pad"
+            {...getStandardTextInputProps()}
+          />
+        </View>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Lot Number</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Batch / lot no."
+            value={formData.lotNumber}
+            onChangeText={(value) => updateFormData('lotNumber', value)}
+            autoCapitalize="characters"
+            {...getStandardTextInputProps()}
+          />
+        </View>
+      </View>
+
+      {/* Administering Facility */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Administering Facility</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Hospital, clinic or outreach post"
+          value={formData.facility}
+          onChangeText={(value) => updateFormData('facility', value)}
+          {...getStandardTextInputProps()}
+        />
+      </View>
+    </>
+  );
+
+  // Prescription specific fields
+  const renderPrescriptionFields = () => (
+    <>
+      {/* Medication */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Medication</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Medication name (e.g., Amoxicillin)"
+          value={formData.medicationName}
+          onChangeText={(value) => updateFormData('medicationName', value)}
+          {...getStandardTextInputProps()}
+        />
+      </View>
+
+      {/* Strength and Frequency */}
+      <View style={styles.inputRow}>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Strength</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g., 500mg"
+            value={formData.strength}
+            onChangeText={(value) => updateFormData('strength', value)}
+            {...getStandardTextInputProps()}
+          />
+        </View>
+        <View style={[styles.inputGroup, styles.inputRowItem]}>
+          <Text style={styles.label}>Frequency</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g., twice daily"
+            value={formData.frequency}
+            onChangeText={(value) => updateFormData('frequency', value)}
+            {...getStandardTextInputProps()}
+          />
+        </View>
+      </View>
+
+      {/* Duration */}
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>Duration</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="e.g., 7 days"
+          value={formData.duration}
+          onChangeText={(value) => updateFormData('duration', value)}
+          {...getStandardTextInputProps()}
+        />
+      </View>
+
+      {renderDefaultFields()}
+    </>
+  );
+
   // Default fields for prescription/diagnosis
   const renderDefaultFields = () => (
     <>
@@ -1026,6 +1240,42 @@ const EditRecordScreen = ({ route, navigation }) => {
     </Modal>
   );
 
+  // Vaccine Picker Modal
+  const VaccinePickerModal = () => (
+    <Modal
+      visible={showVaccinePicker}
+      transparent
+      animationType="slide"
+      onRequestClose={() => setShowVaccinePicker(false)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Select Vaccine</Text>
+          <ScrollView style={styles.modalScrollView} showsVerticalScrollIndicator={true}>
+            {[...vaccines, { id: 'other', name: 'Other' }].map(vaccine => (
+              <TouchableOpacity
+                key={vaccine.id}
+                style={styles.memberOption}
+                onPress={() => {
+                  updateFormData('vaccine', vaccine.id);
+                  setShowVaccinePicker(false);
+                }}
+              >
+                <Text style={styles.memberOptionText}>{vaccine.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <TouchableOpacity
+            style={styles.modalCancelButton}
+            onPress={() => setShowVaccinePicker(false)}
+          >
+            <Text style={styles.modalCancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
   // Provider Picker Modal
   const ProviderPickerModal = () => (
     <Modal
@@ -1139,7 +1389,7 @@ const EditRecordScreen = ({ route, navigation }) => {
             </View>
 
             {/* Title - Only show for prescription, diagnosis, and medical bill */}
-            {formData.type && !['hospital_card', 'insurance'].includes(formData.type) && (
+            {formData.type && !TITLE_FREE_TYPES.includes(formData.type) && (
               <View style={styles.inputGroup}>
                 <Text style={styles.label}>Title *</Text>
                 <TextInput
@@ -1224,6 +1474,7 @@ const EditRecordScreen = ({ route, navigation }) => {
           <MemberPickerModal />
           <DatePickerModal />
           <ProviderPickerModal />
+          <VaccinePickerModal />
         </ScrollView>
       </KeyboardAvoidingView>
     </SafeAreaView>
@@ -1263,6 +1514,13 @@ const styles = StyleSheet.create({
     padding: 20,
     paddingBottom: 40,
   },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  inputRowItem: {
+    flex: 1,
+  },
   inputGroup: {
     marginBottom: 20,
   },
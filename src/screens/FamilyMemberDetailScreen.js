@@ -7,7 +7,9 @@ import {
   TouchableOpacity,
   Image,
   Alert,
-  ActivityIndicator
+  ActivityIndicator,
+  Modal,
+  Switch
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { doc, getDoc, collection, query, where, getDocs } from 'firebase/firestore';
@@ -23,6 +25,25 @@ import offlineStorageService from '../services/offlineStorage';
 import photoStorage from '../services/photoStorage';
 import CachedPhoto from '../components/CachedPhoto';
 import { getRecordTypeDisplayName, getRecordTypeIcon, getRecordTypeColor } from '../utils/recordTypes';
+import medicationService from '../services/medicationService';
+import dataExportService from '../services/dataExport';
+import { summarizeMemberAdherence } from '../utils/medicationAdherence';
+import immunizationService from '../services/immunizationService';
+import {
+  IMMUNIZATION_STATUS,
+  applyScheduleChanges,
+  buildImmunizationChecklist,
+  formatDoseTiming
+} from '../utils/immunizationSchedule';
+import { getRecordedAnalytes, isOutOfRange } from '../utils/labResults';
+
+const IMMUNIZATION_STATUS_DISPLAY = {
+  [IMMUNIZATION_STATUS.COMPLETED]: { icon: 'checkmark-circle', color: '#10b981', label: 'Given' },
+  [IMMUNIZATION_STATUS.OVERDUE]: { icon: 'alert-circle', color: '#ef4444', label: 'Overdue' },
+  [IMMUNIZATION_STATUS.DUE]: { icon: 'time', color: '#f59e0b', label: 'Due' },
+  [IMMUNIZATION_STATUS.UPCOMING]: { icon: 'ellipse-outline', color: '#999', label: 'Upcoming' },
+  [IMMUNIZATION_STATUS.NOT_RECORDED]: { icon: 'remove-circle-outline', color: '#999', label: 'Not recorded' },
+};
 
 const FamilyMemberDetailScreen = ({ route, navigation }) => {
   const { memberId } = route.params;
@@ -37,6 +58,9 @@ const FamilyMemberDetailScreen = ({ route, navigation }) => {
   const [hasAccess, setHasAccess] = useState(false);
   const [isOnline, setIsOnline] = useState(true);
   const [showFamilyTooltip, setShowFamilyTooltip] = useState(false);
+  const [adherence, setAdherence] = useState(null);
+  const [immunizationSettings, setImmunizationSettings] = useState({ disabledVaccines: [], vaccines: {} });
+  const [showScheduleSettings, setShowScheduleSettings] = useState(false);
 
   useEffect(() => {
     if (user && memberId) {
@@ -55,6 +79,25 @@ const FamilyMemberDetailScreen = ({ route, navigation }) => {
     return unsubscribe;
   }, [user, memberId]);
 
+  // Pick up vaccines added or edited in ImmunizationVaccineScreen
+  useEffect(() => {
+    if (!user) return undefined;
+
+    immunizationService.getSettings(user.uid).then(setImmunizationSettings);
+    return navigation.addListener('focus', () => {
+      immunizationService.getSettings(user.uid).then(setImmunizationSettings);
+    });
+  }, [user]);
+
+  // Pick up records added from the immunization checklist
+  useEffect(() => {
+    if (!hasAccess) return undefined;
+
+    return navigation.addListener('focus', () => {
+      loadMedicalRecords();
+    });
+  }, [hasAccess]);
+
   useEffect(() => {
     if (familyMember) {
       // Check if the user has access to this member's records
@@ -68,6 +111,7 @@ const FamilyMemberDetailScreen = ({ route, navigation }) => {
       
       if (canAccess) {
         loadMedicalRecords();
+        loadAdherence();
       } else {
         setRecordsLoading(false);
       }
@@ -196,6 +240,323 @@ const FamilyMemberDetailScreen = ({ route, navigation }) => {
     setRecordsLoading(false);
   };
 
+  const loadAdherence = async () => {
+    if (!networkService.isOnline()) return;
+
+    try {
+      const [regimens, logs] = await Promise.all([
+        medicationService.getRegimens(user.uid, { includeInactive: true }),
+        medicationService.getDoseLogs(user.uid, { familyMemberId: memberId })
+      ]);
+      const memberRegimens = regimens.filter(regimen => regimen.familyMemberId === memberId);
+      setAdherence(summarizeMemberAdherence(memberRegimens, logs));
+    } catch (error) {
+      console.error('Error loading medication adherence:', error);
+    }
+  };
+
+  const handlePrintAdherence = async () => {
+    const result = await withErrorHandling(
+      async () => {
+        const reportResult = await dataExportService.createHealthReport({
+          reportTitle: `Medication Adherence - ${familyMember.name}`,
+          userProfile: userProfile || {},
+          familyMembers: [familyMember],
+          medicalRecords: medicalRecords.filter(record => record.type === 'prescription'),
+          appointments: [],
+          medicationAdherence: [{ familyMemberName: familyMember.name, ...adherence }]
+        });
+        if (!reportResult.success) {
+          throw new Error(reportResult.error);
+        }
+        return reportResult;
+      },
+      {
+        errorType: ERROR_TYPES.STORAGE,
+        errorSeverity: ERROR_SEVERITY.MEDIUM,
+        showLoading: false,
+      }
+    );
+
+    if (result.success) {
+      await dataExportService.shareFile(result.data.fileUri, 'Share adherence report');
+    }
+  };
+
+  const getAdherenceColor = (percentage) => {
+    if (percentage === null) return '#999';
+    if (percentage >= 90) return '#10b981';
+    if (percentage >= 70) return '#f59e0b';
+    return '#ef4444';
+  };
+
+  const renderAdherence = () => {
+    if (!hasAccess || !adherence || adherence.medications.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.recordsCard}>
+        <View style={styles.recordsHeader}>
+          <Text style={styles.sectionTitle}>Medication Adherence</Text>
+          <TouchableOpacity onPress={handlePrintAdherence}>
+            <Text style={styles.addRecordText}>Print</Text>
+          </TouchableOpacity>
+        </View>
+
+        {adherence.percentage !== null && (
+          <Text style={styles.adherenceOverall}>
+            <Text style={{ color: getAdherenceColor(adherence.percentage) }}>{adherence.percentage}%</Text>
+            {` of ${adherence.due} scheduled doses taken`}
+          </Text>
+        )}
+
+        {adherence.medications.map(medication => (
+          <TouchableOpacity
+            key={medication.regimenId}
+            style={styles.adherenceItem}
+            onPress={() => navigation.navigate('RecordDetail', { recordId: medication.recordId })}
+          >
+            <View style={styles.adherenceHeader}>
+              <Text style={styles.recordTitle}>
+                {medication.medicationName}{medication.strength ? ` ${medication.strength}` : ''}
+              </Text>
+              <Text style={[styles.adherencePercentage, { color: getAdherenceColor(medication.percentage) }]}>
+                {medication.asNeeded ? 'As needed' : medication.percentage === null ? '—' : `${medication.percentage}%`}
+              </Text>
+            </View>
+
+            {!medication.asNeeded && (
+              <>
+                <View style={styles.adherenceBar}>
+                  <View
+                    style={[
+                      styles.adherenceBarFill,
+                      {
+                        width: `${medication.percentage || 0}%`,
+                        backgroundColor: getAdherenceColor(medication.percentage)
+                      }
+                    ]}
+                  />
+                </View>
+                <Text style={styles.recordDate}>
+                  {medication.taken} taken · {medication.skipped} skipped · {medication.missed} missed
+                </Text>
+                {medication.currentMissedStreak >= 2 && medication.status === 'active' && (
+                  <Text style={styles.adherenceWarning}>
+                    {medication.currentMissedStreak} doses missed in a row
+                  </Text>
+                )}
+                {medication.weekly.length > 0 && (
+                  <View style={styles.adherenceWeeks}>
+                    {[...medication.weekly].reverse().map(week => (
+                      <View key={week.weekStart} style={styles.adherenceWeek}>
+                        <Text style={[styles.adherenceWeekValue, { color: getAdherenceColor(week.percentage) }]}>
+                          {week.percentage}%
+                        </Text>
+                        <Text style={styles.adherenceWeekLabel}>
+                          {new Date(`${week.weekStart}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                        </Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
+              </>
+            )}
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  const toggleVaccine = async (vaccineId, enabled) => {
+    try {
+      setImmunizationSettings(await immunizationService.setVaccineEnabled(user.uid, vaccineId, enabled));
+    } catch (error) {
+      console.error('Error saving immunization settings:', error);
+      Alert.alert('Error', 'Failed to update the immunization schedule');
+    }
+  };
+
+  const openVaccine = (vaccineId) => {
+    setShowScheduleSettings(false);
+    navigation.navigate('ImmunizationVaccine', { vaccineId });
+  };
+
+  const handleDosePress = (vaccine, dose) => {
+    if (dose.record) {
+      navigation.navigate('RecordDetail', { recordId: dose.record.id });
+    } else {
+      navigation.navigate('AddRecord', {
+        type: 'vaccination',
+        familyMemberId: memberId,
+        vaccine: vaccine.id,
+        doseNumber: dose.dose
+      });
+    }
+  };
+
+  const renderImmunizations = () => {
+    if (!hasAccess || recordsLoading) {
+      return null;
+    }
+
+    const schedule = applyScheduleChanges(immunizationSettings.vaccines).filter(
+      vaccine => !immunizationSettings.disabledVaccines.includes(vaccine.id)
+    );
+    const checklist = buildImmunizationChecklist(familyMember, medicalRecords, { schedule });
+    // Vaccines past their catch-up age with nothing recorded are left out of the list
+    const vaccines = checklist
+      ? checklist.vaccines.filter(vaccine =>
+          vaccine.doses.some(dose => dose.status !== IMMUNIZATION_STATUS.NOT_RECORDED)
+        )
+      : [];
+
+    return (
+      <View style={styles.recordsCard}>
+        <View style={styles.recordsHeader}>
+          <Text style={styles.sectionTitle}>Immunizations</Text>
+          <TouchableOpacity onPress={() => setShowScheduleSettings(true)}>
+            <Text style={styles.addRecordText}>Schedule</Text>
+          </TouchableOpacity>
+        </View>
+
+        {!checklist ? (
+          <Text style={styles.recordDate}>
+            Add a date of birth to see which vaccines are due.
+          </Text>
+        ) : (
+          <>
+            <Text style={styles.adherenceOverall}>
+              {checklist.summary.completed} given
+              {checklist.summary.overdue > 0 && (
+                <Text style={{ color: IMMUNIZATION_STATUS_DISPLAY.overdue.color }}>
+                  {` · ${checklist.summary.overdue} overdue`}
+                </Text>
+              )}
+              {checklist.summary.due > 0 && (
+                <Text style={{ color: IMMUNIZATION_STATUS_DISPLAY.due.color }}>
+                  {` · ${checklist.summary.due} due soon`}
+                </Text>
+              )}
+            </Text>
+
+            {vaccines.length === 0 && (
+              <Text style={styles.recordDate}>No vaccines left to track on this schedule.</Text>
+            )}
+
+            {vaccines.map(vaccine => (
+              <View key={vaccine.id} style={styles.adherenceItem}>
+                <Text style={styles.recordTitle}>{vaccine.name}</Text>
+                {vaccine.doses.map(dose => {
+                  const display = IMMUNIZATION_STATUS_DISPLAY[dose.status];
+                  return (
+                    <TouchableOpacity
+                      key={dose.dose}
+                      style={styles.immunizationDose}
+                      onPress={() => handleDosePress(vaccine, dose)}
+                    >
+                      <Ionicons name={display.icon} size={20} color={display.color} />
+                      <Text style={styles.immunizationDoseText}>
+                        {vaccine.doses.length > 1 ? `Dose ${dose.dose} · ` : ''}{formatDoseTiming(dose)}
+                      </Text>
+                      <Text style={[styles.immunizationDoseStatus, { color: display.color }]}>
+                        {dose.record
+                          ? `${display.label} ${dose.record.date ? formatDate(dose.record.date) : ''}`
+                          : `${display.label} ${dose.dueDate.toLocaleDateString()}`}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const renderLabTrends = () => {
+    if (!hasAccess || recordsLoading) {
+      return null;
+    }
+
+    const analytes = getRecordedAnalytes(medicalRecords);
+    if (analytes.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.recordsCard}>
+        <View style={styles.recordsHeader}>
+          <Text style={styles.sectionTitle}>Lab Trends</Text>
+        </View>
+
+        {analytes.map(analyte => (
+          <TouchableOpacity
+            key={analyte.key}
+            style={styles.immunizationDose}
+            onPress={() => navigation.navigate('LabTrend', { familyMemberId: memberId, analyteKey: analyte.key })}
+          >
+            <Ionicons name="trending-up" size={20} color="#6366f1" />
+            <Text style={styles.immunizationDoseText}>
+              {analyte.name}
+              {analyte.count > 1 ? ` · ${analyte.count} readings` : ''}
+            </Text>
+            <Text style={[styles.immunizationDoseStatus, { color: isOutOfRange(analyte.latest) ? '#ef4444' : '#333' }]}>
+              {analyte.latest.value} {analyte.latest.unit}
+            </Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  const renderScheduleSettings = () => (
+    <Modal
+      visible={showScheduleSettings}
+      transparent
+      animationType="slide"
+      onRequestClose={() => setShowScheduleSettings(false)}
+    >
+      <View style={styles.scheduleModalOverlay}>
+        <View style={styles.scheduleModalContent}>
+          <View style={styles.recordsHeader}>
+            <Text style={[styles.sectionTitle, styles.scheduleModalTitle]}>Immunization Schedule</Text>
+            <TouchableOpacity onPress={() => setShowScheduleSettings(false)}>
+              <Ionicons name="close" size={24} color="#999" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.recordDate}>
+            Choose the vaccines your family follows, and tap one to change its doses. This applies to every family member.
+          </Text>
+          <ScrollView style={styles.scheduleModalList}>
+            {applyScheduleChanges(immunizationSettings.vaccines).map(vaccine => (
+              <View key={vaccine.id} style={styles.scheduleVaccineRow}>
+                <TouchableOpacity style={styles.scheduleVaccineInfo} onPress={() => openVaccine(vaccine.id)}>
+                  <Text style={styles.recordTitle}>{vaccine.name}</Text>
+                  <Text style={styles.recordDate}>
+                    {vaccine.doses.map(formatDoseTiming).join(', ')}
+                  </Text>
+                </TouchableOpacity>
+                <Switch
+                  value={!immunizationSettings.disabledVaccines.includes(vaccine.id)}
+                  onValueChange={(enabled) => toggleVaccine(vaccine.id, enabled)}
+                  trackColor={{ false: '#DDD', true: '#007AFF' }}
+                />
+              </View>
+            ))}
+          </ScrollView>
+          <TouchableOpacity style={styles.scheduleAddVaccine} onPress={() => openVaccine(null)}>
+            <Ionicons name="add-circle-outline" size={20} color="#007AFF" />
+            <Text style={styles.addRecordText}>Add Vaccine</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
   const renderOfflineBanner = () => {      if (!isOnline) {
       return (
         <View style={styles.offlineIndicator}>
@@ -287,6 +648,7 @@ const FamilyMemberDetailScreen = ({ route, navigation }) => {
     <View style={styles.container}>
       {renderOfflineBanner()}
       {renderFamilyTooltip()}
+      {renderScheduleSettings()}
       
       <ScrollView contentContainerStyle={{ paddingBottom: 90 }}>
         <View style={styles.header}>
@@ -395,6 +757,12 @@ const FamilyMemberDetailScreen = ({ route, navigation }) => {
           )}
         </View>
         
+        {renderAdherence()}
+
+        {renderImmunizations()}
+
+        {renderLabTrends()}
+
         <View style={styles.recordsCard}>
           <View style={styles.recordsHeader}>
             <Text style={styles.sectionTitle}>Medical Records</Text>
@@ -738,6 +1106,109 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  immunizationDose: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  immunizationDoseText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  immunizationDoseStatus: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  scheduleModalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  scheduleModalContent: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  scheduleModalTitle: {
+    marginBottom: 0,
+  },
+  scheduleModalList: {
+    marginTop: 12,
+  },
+  scheduleVaccineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  scheduleVaccineInfo: {
+    flex: 1,
+  },
+  scheduleAddVaccine: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 12,
+  },
+  adherenceOverall: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 8,
+  },
+  adherenceItem: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  adherenceHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  adherencePercentage: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  adherenceBar: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+    marginVertical: 6,
+  },
+  adherenceBarFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  adherenceWarning: {
+    fontSize: 13,
+    color: '#ef4444',
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  adherenceWeeks: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 8,
+  },
+  adherenceWeek: {
+    alignItems: 'center',
+  },
+  adherenceWeekValue: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  adherenceWeekLabel: {
+    fontSize: 11,
+    color: '#999',
+  },
   backButton: {
     position: 'absolute',
     left: 20,
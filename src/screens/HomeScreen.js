@@ -16,8 +16,17 @@ import { useSubscription } from '../contexts/SubscriptionContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
 import offlineStorageService from '../services/offlineStorage';
 import networkService from '../services/networkService';
+import { canReschedule } from '../services/appointmentService';
+import documentExpiryService from '../services/documentExpiryService';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import { getRecordTypeDisplayName, getRecordTypeColor, getProviderDisplayName } from '../utils/recordTypes';
+import {
+  EXPIRY_STATUS,
+  describeExpiry,
+  getDaysUntilExpiry,
+  getExpiringRecords,
+  getExpiryStatus
+} from '../utils/documentExpiry';
 // COMMENTED OUT: Firebase diagnostics import - no longer needed as Firebase is working correctly
 // import { runFirebaseDiagnostics, formatDiagnosticResults } from '../utils/firebaseDiagnostics';
 
@@ -27,6 +36,7 @@ const HomeScreen = ({ navigation }) => {
   const { withErrorHandling, isLoading } = useError();
   const [recentRecords, setRecentRecords] = useState([]);
   const [upcomingAppointments, setUpcomingAppointments] = useState([]);
+  const [expiringCards, setExpiringCards] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isOnline, setIsOnline] = useState(true);
 
@@ -44,7 +54,17 @@ const HomeScreen = ({ navigation }) => {
       }
     });
 
-    return unsubscribe;
+    // A card renewed elsewhere should drop off the expiring list
+    const unsubscribeFocus = navigation.addListener('focus', () => {
+      if (user) {
+        loadExpiringCards();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      unsubscribeFocus();
+    };
   }, [user]);
 
   const loadDashboardData = async () => {
@@ -52,7 +72,8 @@ const HomeScreen = ({ navigation }) => {
       async () => {
         await Promise.all([
           loadRecentRecords(),
-          loadUpcomingAppointments()
+          loadUpcomingAppointments(),
+          loadExpiringCards()
         ]);
       },
       {
@@ -119,7 +140,7 @@ const HomeScreen = ({ navigation }) => {
           const cachedAppointments = await offlineStorageService.getCachedAppointments();
           if (cachedAppointments && cachedAppointments.data) {
             return cachedAppointments.data
-              .filter(apt => new Date(apt.date) >= new Date())
+              .filter(apt => new Date(apt.date) >= new Date() && canReschedule(apt))
               .slice(0, 3);
           }
         }
@@ -130,13 +151,17 @@ const HomeScreen = ({ navigation }) => {
           where('userId', '==', user.uid),
           where('date', '>=', new Date()),
           orderBy('date', 'asc'),
-          limit(3)
+          limit(10)
         );
         const snapshot = await getDocs(appointmentsQuery);
-        const appointments = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+        // Skip cancelled and completed appointments
+        const appointments = snapshot.docs
+          .map(doc => ({
+            id: doc.id,
+            ...doc.data()
+          }))
+          .filter(canReschedule)
+          .slice(0, 3);
 
         // Cache the data
         await offlineStorageService.cacheAppointments(appointments);
@@ -156,7 +181,7 @@ const HomeScreen = ({ navigation }) => {
       const cachedAppointments = await offlineStorageService.getCachedAppointments();
       if (cachedAppointments && cachedAppointments.data) {
         const filtered = cachedAppointments.data
-          .filter(apt => new Date(apt.date) >= new Date())
+          .filter(apt => new Date(apt.date) >= new Date() && canReschedule(apt))
           .slice(0, 3);
         setUpcomingAppointments(filtered);
       }
@@ -247,14 +272,65 @@ const HomeScreen = ({ navigation }) => {
     );
   };
 
+  const loadExpiringCards = async () => {
+    const result = await withErrorHandling(
+      async () => getExpiringRecords(await documentExpiryService.getTrackedRecords(user.uid)).slice(0, 3),
+      {
+        errorType: ERROR_TYPES.NETWORK,
+        errorSeverity: ERROR_SEVERITY.LOW,
+        showLoading: false,
+      }
+    );
+
+    if (result.success) {
+      setExpiringCards(result.data);
+    }
+  };
+
+  const ExpiringCard = ({ record }) => {
+    const color = getExpiryStatus(record) === EXPIRY_STATUS.EXPIRED ? '#ef4444' : '#f59e0b';
+
+    return (
+      <TouchableOpacity
+        style={styles.appointmentCard}
+        onPress={() => navigation.navigate('RecordDetail', { recordId: record.id })}
+      >
+        <View style={styles.appointmentHeader}>
+          <Ionicons name="alert-circle" size={20} color={color} />
+          <Text style={[styles.appointmentDate, { color }]}>
+            {describeExpiry(getDaysUntilExpiry(record))}
+          </Text>
+        </View>
+        <Text style={styles.appointmentTitle}>
+          {record.type === 'insurance'
+            ? getProviderDisplayName(record.provider, record.customProvider)
+            : record.hospital || getRecordTypeDisplayName(record.type)}
+        </Text>
+        <View style={styles.expiringFooter}>
+          <Text style={styles.appointmentDoctor}>
+            {getRecordTypeDisplayName(record.type)}{record.familyMemberName ? ` · ${record.familyMemberName}` : ''}
+          </Text>
+          <TouchableOpacity onPress={() => navigation.navigate('AddRecord', { type: record.type, renewFrom: record })}>
+            <Text style={styles.seeAllText}>Renew</Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
   const AppointmentCard = ({ appointment }) => (
-    <TouchableOpacity style={styles.appointmentCard}>
+    <TouchableOpacity
+      style={styles.appointmentCard}
+      onPress={() => navigation.navigate('AppointmentDetail', { appointment })}
+    >
       <View style={styles.appointmentHeader}>
         <Ionicons name="calendar" size={20} color="#10b981" />
         <Text style={styles.appointmentDate}>{formatDate(appointment.date)}</Text>
       </View>
       <Text style={styles.appointmentTitle}>{appointment.title}</Text>
-      <Text style={styles.appointmentDoctor}>Dr. {appointment.doctor}</Text>
+      {appointment.doctor ? (
+        <Text style={styles.appointmentDoctor}>Dr. {appointment.doctor}</Text>
+      ) : null}
     </TouchableOpacity>
   );
 
@@ -394,6 +470,23 @@ const HomeScreen = ({ navigation }) => {
         </View>
       </View>
 
+      {/* Expiring Soon */}
+      {expiringCards.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Expiring Soon</Text>
+            <TouchableOpacity onPress={() => navigation.navigate('Insurance')}>
+              <Text style={styles.seeAllText}>See All</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.appointmentsList}>
+            {expiringCards.map(record => (
+              <ExpiringCard key={record.id} record={record} />
+            ))}
+          </View>
+        </View>
+      )}
+
       {/* Recent Records */}
       <View style={styles.section}>
         <View style={styles.sectionHeader}>
@@ -628,6 +721,11 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6b7280',
   },
+  expiringFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   emptyState: {
     alignItems: 'center',
     paddingVertical: 32,
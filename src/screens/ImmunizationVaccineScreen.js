@@ -0,0 +1,442 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Platform,
+  KeyboardAvoidingView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import immunizationService from '../services/immunizationService';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { placeholderTextColor } from '../utils/inputStyles';
+import { AGE_UNITS, DEFAULT_IMMUNIZATION_SCHEDULE, getVaccine } from '../utils/immunizationSchedule';
+
+const UNIT_LABELS = { weeks: 'Weeks', months: 'Months', years: 'Years' };
+
+const GENDER_OPTIONS = [
+  { value: '', label: 'Everyone' },
+  { value: 'female', label: 'Female' },
+  { value: 'male', label: 'Male' },
+];
+
+// { weeks: 6 } <-> { value: '6', unit: 'weeks' }
+const toAgeFields = (age) => {
+  const unit = Object.keys(age || {}).find(key => AGE_UNITS.includes(key)) || 'weeks';
+  return { value: age && age[unit] !== undefined ? String(age[unit]) : '', unit };
+};
+
+const fromAgeFields = ({ value, unit }) => ({ [unit]: parseInt(value, 10) });
+
+const toFormData = (vaccine) => ({
+  name: vaccine?.name || '',
+  gender: vaccine?.gender || '',
+  hasCatchUp: !!vaccine?.catchUpUntil,
+  catchUp: toAgeFields(vaccine?.catchUpUntil || { years: 5 }),
+  doses: (vaccine?.doses || [{ age: { weeks: 0 } }]).map(dose => ({
+    timing: dose.interval ? 'interval' : 'age',
+    ...toAgeFields(dose.interval || dose.age),
+  })),
+});
+
+// Adds a vaccine to the user's immunization schedule, or edits the one passed as route.params.vaccineId
+const ImmunizationVaccineScreen = ({ route, navigation }) => {
+  const vaccineId = route?.params?.vaccineId || null;
+  const { user } = useAuth();
+
+  const [formData, setFormData] = useState(() => toFormData(null));
+  const [isEdited, setIsEdited] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const isDefault = !!getVaccine(vaccineId, DEFAULT_IMMUNIZATION_SCHEDULE);
+
+  useEffect(() => {
+    navigation.setOptions({ title: vaccineId ? 'Edit Vaccine' : 'Add Vaccine' });
+    loadVaccine();
+  }, [vaccineId]);
+
+  const loadVaccine = async () => {
+    if (vaccineId) {
+      const settings = await immunizationService.getSettings(user.uid);
+      const vaccines = await immunizationService.getVaccines(user.uid);
+      setFormData(toFormData(vaccines.find(vaccine => vaccine.id === vaccineId)));
+      setIsEdited(!!settings.vaccines[vaccineId]);
+    }
+    setLoading(false);
+  };
+
+  const updateFormData = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+  };
+
+  const updateDose = (index, key, value) => {
+    const doses = formData.doses.map((dose, i) => (i === index ? { ...dose, [key]: value } : dose));
+    updateFormData('doses', doses);
+  };
+
+  const addDose = () => {
+    updateFormData('doses', [...formData.doses, { timing: 'interval', value: '', unit: 'weeks' }]);
+  };
+
+  const removeDose = (index) => {
+    const doses = formData.doses.filter((_, i) => i !== index);
+    // The first dose can only be due at an age
+    updateFormData('doses', doses.map((dose, i) => (i === 0 ? { ...dose, timing: 'age' } : dose)));
+  };
+
+  const handleSave = async () => {
+    const existing = vaccineId
+      ? (await immunizationService.getVaccines(user.uid)).find(vaccine => vaccine.id === vaccineId)
+      : null;
+    const { gender, catchUpUntil, ...rest } = existing || {};
+    const vaccine = {
+      ...rest,
+      id: vaccineId,
+      name: formData.name,
+      doses: formData.doses.map(dose => (
+        dose.timing === 'interval'
+          ? { interval: fromAgeFields(dose) }
+          : { age: fromAgeFields(dose) }
+      )),
+    };
+    if (formData.gender) {
+      vaccine.gender = formData.gender;
+    }
+    if (formData.hasCatchUp) {
+      vaccine.catchUpUntil = fromAgeFields(formData.catchUp);
+    }
+
+    setSaving(true);
+    try {
+      await immunizationService.saveVaccine(user.uid, vaccine);
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert('Check Vaccine', error.message || 'Failed to save the vaccine');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      isDefault ? 'Reset Vaccine' : 'Remove Vaccine',
+      isDefault
+        ? 'Put this vaccine back on the default schedule? Your changes to it are lost.'
+        : 'Remove this vaccine from your schedule? Vaccination records are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: isDefault ? 'Reset' : 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await immunizationService.deleteVaccine(user.uid, vaccineId);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error removing vaccine:', error);
+              Alert.alert('Error', 'Failed to update the immunization schedule');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderUnitChips = (selected, onSelect) => (
+    <View style={styles.chipRow}>
+      {AGE_UNITS.map(unit => (
+        <TouchableOpacity
+          key={unit}
+          style={[styles.chip, selected === unit && styles.chipSelected]}
+          onPress={() => onSelect(unit)}
+        >
+          <Text style={[styles.chipText, selected === unit && styles.chipTextSelected]}>{UNIT_LABELS[unit]}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderDose = (dose, index) => (
+    <View key={index} style={styles.doseCard}>
+      <View style={styles.doseHeader}>
+        <Text style={styles.doseTitle}>Dose {index + 1}</Text>
+        {formData.doses.length > 1 && (
+          <TouchableOpacity onPress={() => removeDose(index)}>
+            <Ionicons name="trash-outline" size={20} color="#ef4444" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {index > 0 && (
+        <View style={[styles.chipRow, styles.timingRow]}>
+          {[
+            { value: 'age', label: 'At an age' },
+            { value: 'interval', label: `After dose ${index}` },
+          ].map(option => (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.chip, dose.timing === option.value && styles.chipSelected]}
+              onPress={() => updateDose(index, 'timing', option.value)}
+            >
+              <Text style={[styles.chipText, dose.timing === option.value && styles.chipTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <TextInput
+        style={[styles.input, styles.doseValue]}
+        value={dose.value}
+        onChangeText={(value) => updateDose(index, 'value', value.replace(/[^0-9]/g, ''))}
+        placeholder={dose.timing === 'interval' ? 'Interval' : 'Age (0 for birth)'}
+        placeholderTextColor={placeholderTextColor}
+        keyboardType="number-pad"
+      />
+      {renderUnitChips(dose.unit, (unit) => updateDose(index, 'unit', unit))}
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <LoadingSpinner />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <ScrollView contentContainerStyle={styles.form}>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Vaccine</Text>
+          <TextInput
+            style={styles.input}
+            value={formData.name}
+            onChangeText={(value) => updateFormData('name', value)}
+            placeholder="e.g. Typhoid"
+            placeholderTextColor={placeholderTextColor}
+          />
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Given To</Text>
+          <View style={styles.chipRow}>
+            {GENDER_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.chip, formData.gender === option.value && styles.chipSelected]}
+                onPress={() => updateFormData('gender', option.value)}
+              >
+                <Text style={[styles.chipText, formData.gender === option.value && styles.chipTextSelected]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Doses</Text>
+          <Text style={styles.hint}>
+            The first dose is due at an age. Later doses can be due at an age or a while after the dose before.
+          </Text>
+          {formData.doses.map(renderDose)}
+          <TouchableOpacity style={styles.addChip} onPress={addDose}>
+            <Ionicons name="add" size={16} color="#6b7280" />
+            <Text style={styles.addChipText}>Add dose</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <TouchableOpacity
+            style={styles.checkRow}
+            onPress={() => updateFormData('hasCatchUp', !formData.hasCatchUp)}
+          >
+            <Ionicons
+              name={formData.hasCatchUp ? 'checkbox' : 'square-outline'}
+              size={22}
+              color={formData.hasCatchUp ? '#6366f1' : '#6b7280'}
+            />
+            <Text style={styles.checkLabel}>Stop flagging missed doses after an age</Text>
+          </TouchableOpacity>
+          {formData.hasCatchUp && (
+            <>
+              <TextInput
+                style={[styles.input, styles.doseValue]}
+                value={formData.catchUp.value}
+                onChangeText={(value) => updateFormData('catchUp', { ...formData.catchUp, value: value.replace(/[^0-9]/g, '') })}
+                placeholder="Catch-up age"
+                placeholderTextColor={placeholderTextColor}
+                keyboardType="number-pad"
+              />
+              {renderUnitChips(formData.catchUp.unit, (unit) => updateFormData('catchUp', { ...formData.catchUp, unit }))}
+            </>
+          )}
+        </View>
+
+        <TouchableOpacity style={styles.submitButton} onPress={handleSave} disabled={saving}>
+          <Text style={styles.submitButtonText}>Save Vaccine</Text>
+        </TouchableOpacity>
+
+        {vaccineId && (!isDefault || isEdited) && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+            <Text style={styles.deleteButtonText}>{isDefault ? 'Reset to Default' : 'Remove Vaccine'}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  form: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  inputGroup: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    color: '#1f2937',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#ffffff',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  chipSelected: {
+    backgroundColor: '#6366f1',
+    borderColor: '#6366f1',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#1f2937',
+  },
+  chipTextSelected: {
+    color: '#ffffff',
+  },
+  doseCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  doseHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  doseTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  timingRow: {
+    marginBottom: 8,
+  },
+  doseValue: {
+    marginBottom: 8,
+  },
+  addChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderStyle: 'dashed',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  addChipText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginLeft: 4,
+  },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  checkLabel: {
+    fontSize: 15,
+    color: '#1f2937',
+    marginLeft: 8,
+  },
+  submitButton: {
+    backgroundColor: '#6366f1',
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  submitButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  deleteButton: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  deleteButtonText: {
+    color: '#ef4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ImmunizationVaccineScreen;
@@ -15,16 +15,26 @@ import { useAuth } from '../contexts/AuthContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
 import offlineStorageService from '../services/offlineStorage';
 import networkService from '../services/networkService';
+import documentExpiryService from '../services/documentExpiryService';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import EmptyState from '../components/EmptyState';
 import InsuranceRecommendationModal from '../components/InsuranceRecommendationModal';
-import { getProviderDisplayName } from '../utils/recordTypes';
+import { getProviderDisplayName, getRecordTypeDisplayName } from '../utils/recordTypes';
+import {
+  EXPIRY_TRACKED_TYPES,
+  EXPIRY_STATUS,
+  describeExpiry,
+  getDaysUntilExpiry,
+  getExpiringRecords,
+  getExpiryStatus
+} from '../utils/documentExpiry';
 import { getProviderByName, getAllProviders, getApprovedProviders } from '../utils/insuranceProviders';
 
 const InsuranceScreen = ({ navigation }) => {
   const { user } = useAuth();
   const { withErrorHandling, isLoading } = useError();
   const [insuranceRecords, setInsuranceRecords] = useState([]);
+  const [expiringCards, setExpiringCards] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isOnline, setIsOnline] = useState(true);
   const [showRecommendationModal, setShowRecommendationModal] = useState(false);
@@ -43,17 +53,34 @@ const InsuranceScreen = ({ navigation }) => {
       }
     });
 
-    return unsubscribe;
+    // Reload after a card is added or renewed
+    const unsubscribeFocus = navigation.addListener('focus', () => {
+      if (user) {
+        loadInsuranceRecords();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      unsubscribeFocus();
+    };
   }, [user]);
 
+  // Insurance and hospital cards, split into the insurance list and the expiring ones
+  const setCards = (cards) => {
+    setInsuranceRecords(cards.filter(record => record.type === 'insurance'));
+    setExpiringCards(getExpiringRecords(cards));
+  };
+
   const loadInsuranceRecords = async () => {
+    let loadedFromServer = false;
     const result = await withErrorHandling(
       async () => {
         // Try cache first if offline
         if (!networkService.isOnline()) {
           const cachedRecords = await offlineStorageService.getCachedMedicalRecords();
           if (cachedRecords && cachedRecords.data) {
-            return cachedRecords.data.filter(record => record.type === 'insurance');
+            return cachedRecords.data.filter(record => EXPIRY_TRACKED_TYPES.includes(record.type));
           }
         }
 
@@ -61,13 +88,14 @@ const InsuranceScreen = ({ navigation }) => {
         const recordsQuery = query(
           collection(db, 'medicalRecords'),
           where('userId', '==', user.uid),
-          where('type', '==', 'insurance')
+          where('type', 'in', EXPIRY_TRACKED_TYPES)
         );
         const snapshot = await getDocs(recordsQuery);
         const recordsData = snapshot.docs.map(doc => ({
           id: doc.id,
           ...doc.data()
         }));
+        loadedFromServer = true;
 
         // Cache the data
         await offlineStorageService.cacheMedicalRecords(recordsData);
@@ -81,13 +109,14 @@ const InsuranceScreen = ({ navigation }) => {
     );
 
     if (result.success) {
-      setInsuranceRecords(result.data);
+      setCards(result.data);
+      documentExpiryService.scanAndSchedule(user.uid, result.data, { complete: loadedFromServer });
     } else {
       // Use cached data as fallback
       const cachedRecords = await offlineStorageService.getCachedMedicalRecords();
       if (cachedRecords && cachedRecords.data) {
-        const filtered = cachedRecords.data.filter(record => record.type === 'insurance');
-        setInsuranceRecords(filtered);
+        const filtered = cachedRecords.data.filter(record => EXPIRY_TRACKED_TYPES.includes(record.type));
+        setCards(filtered);
       }
     }
     setLoading(false);
@@ -140,6 +169,38 @@ const InsuranceScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const ExpiringCard = ({ record }) => {
+    const expired = getExpiryStatus(record) === EXPIRY_STATUS.EXPIRED;
+    const color = expired ? '#ef4444' : '#f59e0b';
+    const name = record.type === 'insurance'
+      ? getProviderDisplayName(record.provider, record.customProvider)
+      : record.hospital || getRecordTypeDisplayName(record.type);
+
+    return (
+      <TouchableOpacity
+        style={[styles.expiringCard, { borderLeftColor: color }]}
+        onPress={() => navigation.navigate('RecordDetail', { recordId: record.id })}
+      >
+        <View style={styles.cardInfo}>
+          <Text style={styles.cardTitle}>{name}</Text>
+          <Text style={styles.cardMember}>
+            {getRecordTypeDisplayName(record.type)}{record.familyMemberName ? ` · ${record.familyMemberName}` : ''}
+          </Text>
+          <Text style={[styles.expiringText, { color }]}>
+            {describeExpiry(getDaysUntilExpiry(record))}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.renewButton}
+          onPress={() => navigation.navigate('AddRecord', { type: record.type, renewFrom: record })}
+        >
+          <Ionicons name="refresh" size={16} color="#ffffff" />
+          <Text style={styles.renewButtonText}>Renew</Text>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
   const QuickAction = ({ icon, title, subtitle, onPress, color = "#6366f1" }) => (
     <TouchableOpacity style={styles.quickAction} onPress={onPress}>
       <View style={[styles.quickActionIcon, { backgroundColor: color + '20' }]}>
@@ -204,6 +265,18 @@ const InsuranceScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Expiring Soon */}
+        {expiringCards.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Expiring Soon</Text>
+            <View style={styles.expiringList}>
+              {expiringCards.map(record => (
+                <ExpiringCard key={record.id} record={record} />
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Insurance Records */}
         {insuranceRecords.length === 0 ? (
           <EmptyStateComponent />
@@ -385,6 +458,42 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#1f2937',
   },
+  expiringList: {
+    marginTop: 16,
+  },
+  expiringCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  expiringText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  renewButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#8b5cf6',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    gap: 4,
+  },
+  renewButtonText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   addText: {
     fontSize: 14,
     color: '#6366f1',
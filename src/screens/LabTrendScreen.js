@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { db } from '../../firebaseConfig';
+import { useAuth } from '../contexts/AuthContext';
+import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
+import offlineStorageService from '../services/offlineStorage';
+import networkService from '../services/networkService';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import EmptyState from '../components/EmptyState';
+import LabTrendChart from '../components/LabTrendChart';
+import { LAB_FLAG, buildAnalyteTrend, formatReferenceRange, getRecordedAnalytes, isOutOfRange } from '../utils/labResults';
+
+const LabTrendScreen = ({ route, navigation }) => {
+  const { familyMemberId } = route.params;
+  const { user } = useAuth();
+  const { withErrorHandling } = useError();
+
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedKey, setSelectedKey] = useState(route.params.analyteKey || null);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', loadRecords);
+    return unsubscribe;
+  }, [navigation]);
+
+  const getCachedLabResults = async () => {
+    const cachedRecords = await offlineStorageService.getCachedMedicalRecords();
+    return (cachedRecords?.data || []).filter(
+      record => record.familyMemberId === familyMemberId && record.type === 'lab_result'
+    );
+  };
+
+  const loadRecords = async () => {
+    const result = await withErrorHandling(
+      async () => {
+        if (!networkService.isOnline()) {
+          return getCachedLabResults();
+        }
+
+        const q = query(
+          collection(db, 'medicalRecords'),
+          where('userId', '==', user.uid),
+          where('familyMemberId', '==', familyMemberId),
+          where('type', '==', 'lab_result')
+        );
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      },
+      {
+        errorType: ERROR_TYPES.NETWORK,
+        errorSeverity: ERROR_SEVERITY.MEDIUM,
+        showLoading: false,
+      }
+    );
+
+    setRecords(result.success ? result.data : await getCachedLabResults());
+    setLoading(false);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <LoadingSpinner />
+      </View>
+    );
+  }
+
+  const analytes = getRecordedAnalytes(records);
+  if (analytes.length === 0) {
+    return (
+      <EmptyState
+        icon="flask-outline"
+        title="No lab results yet"
+        subtitle="Add lab result records to follow test values over time"
+      />
+    );
+  }
+
+  const selected = analytes.find(analyte => analyte.key === selectedKey) || analytes[0];
+  const points = buildAnalyteTrend(records, selected.key);
+  const latest = points[points.length - 1];
+  const outOfRangeCount = points.filter(isOutOfRange).length;
+
+  return (
+    <ScrollView style={styles.container}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chips}
+        contentContainerStyle={styles.chipsContent}
+      >
+        {analytes.map(analyte => (
+          <TouchableOpacity
+            key={analyte.key}
+            style={[styles.chip, analyte.key === selected.key && styles.chipSelected]}
+            onPress={() => setSelectedKey(analyte.key)}
+          >
+            <Text style={[styles.chipText, analyte.key === selected.key && styles.chipTextSelected]}>
+              {analyte.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <View style={styles.chartCard}>
+        <Text style={styles.analyteName}>{selected.name}</Text>
+        {latest && (
+          <Text style={styles.analyteSummary}>
+            Latest {latest.value} {latest.unit}
+            {latest.referenceRange ? ` · Ref ${formatReferenceRange(latest.referenceRange)}` : ''}
+            {outOfRangeCount > 0 ? ` · ${outOfRangeCount} out of range` : ''}
+          </Text>
+        )}
+        <LabTrendChart points={points} />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Readings</Text>
+        <View style={styles.readingsContainer}>
+          {[...points].reverse().map((point, index) => {
+            const outOfRange = isOutOfRange(point);
+            return (
+              <TouchableOpacity
+                key={`${point.recordId}-${index}`}
+                style={styles.readingRow}
+                onPress={() => navigation.navigate('RecordDetail', { recordId: point.recordId })}
+              >
+                <Text style={styles.readingDate}>{point.date.toLocaleDateString()}</Text>
+                <Text style={[styles.readingValue, outOfRange && styles.readingValueFlagged]}>
+                  {point.value} {point.unit}
+                </Text>
+                {outOfRange ? (
+                  <Ionicons
+                    name={point.flag === LAB_FLAG.HIGH ? 'arrow-up' : 'arrow-down'}
+                    size={16}
+                    color="#ef4444"
+                  />
+                ) : null}
+                <Ionicons name="chevron-forward" size={16} color="#9ca3af" style={styles.readingChevron} />
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  chips: {
+    flexGrow: 0,
+    marginVertical: 16,
+  },
+  chipsContent: {
+    paddingHorizontal: 20,
+    gap: 8,
+  },
+  chip: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#6366f1',
+    borderColor: '#6366f1',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#1f2937',
+  },
+  chipTextSelected: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  chartCard: {
+    backgroundColor: '#ffffff',
+    marginHorizontal: 20,
+    marginBottom: 20,
+    borderRadius: 12,
+    padding: 16,
+  },
+  analyteName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  analyteSummary: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 12,
+    marginHorizontal: 20,
+  },
+  readingsContainer: {
+    backgroundColor: '#ffffff',
+    marginHorizontal: 20,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+  readingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  readingDate: {
+    flex: 1,
+    fontSize: 15,
+    color: '#1f2937',
+  },
+  readingValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginRight: 4,
+  },
+  readingValueFlagged: {
+    color: '#ef4444',
+  },
+  readingChevron: {
+    marginLeft: 8,
+  },
+});
+
+export default LabTrendScreen;
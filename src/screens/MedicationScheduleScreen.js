@@ -0,0 +1,767 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Switch,
+  Modal,
+  Platform,
+  KeyboardAvoidingView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import WrappedDateTimePicker from '../components/WrappedDateTimePicker';
+import { useAuth } from '../contexts/AuthContext';
+import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
+import medicationService, { DOSE_STATUS, REGIMEN_STATUS } from '../services/medicationService';
+import networkService from '../services/networkService';
+import { parseDocumentFields } from '../services/ocr';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { placeholderTextColor } from '../utils/inputStyles';
+import {
+  DAY_NAMES,
+  addDays,
+  describeRegimen,
+  formatLocalDate,
+  getDefaultDoseTimes,
+  getRegimenEndDate,
+  parseLocalDate,
+} from '../utils/medicationSchedule';
+
+// Suggest a schedule from the frequency and duration written on the prescription
+const getSuggestedSchedule = (record) => {
+  const parsed = parseDocumentFields(
+    [record.frequency, record.duration && `for ${record.duration}`].filter(Boolean).join('\n'),
+    'prescription'
+  );
+  const startDate = record.date || formatLocalDate(new Date());
+
+  return {
+    dosage: '1 tablet',
+    startDate,
+    endDate: parsed.durationDays ? addDays(startDate, parsed.durationDays - 1) : null,
+    doseTimes: getDefaultDoseTimes(parsed.timesPerDay || 1),
+    daysOfWeek: [],
+    asNeeded: parsed.timesPerDay === 0,
+    taperSteps: [],
+  };
+};
+
+const toTimeString = (date) => {
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const MedicationScheduleScreen = ({ route, navigation }) => {
+  const { recordId, record } = route.params;
+  const { user } = useAuth();
+  const { withErrorHandling, isLoading } = useError();
+
+  const [regimen, setRegimen] = useState(null);
+  const [formData, setFormData] = useState(() => getSuggestedSchedule(record));
+  const [isOngoing, setIsOngoing] = useState(false);
+  const [doseLogs, setDoseLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // { field: 'startDate' | 'endDate' | 'doseTime', index? }
+  const [picker, setPicker] = useState(null);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [recordId]);
+
+  const loadSchedule = async () => {
+    const result = await withErrorHandling(
+      async () => {
+        const existing = await medicationService.getRegimenForRecord(user.uid, recordId);
+        const logs = existing
+          ? await medicationService.getDoseLogs(user.uid, { regimenId: existing.id })
+          : [];
+        return { existing, logs };
+      },
+      {
+        errorType: ERROR_TYPES.NETWORK,
+        errorSeverity: ERROR_SEVERITY.MEDIUM,
+        showLoading: false,
+      }
+    );
+
+    if (result.success && result.data.existing) {
+      const { existing, logs } = result.data;
+      setRegimen(existing);
+      setFormData({
+        dosage: existing.dosage || '',
+        startDate: existing.startDate,
+        endDate: existing.endDate || null,
+        doseTimes: existing.doseTimes || [],
+        daysOfWeek: existing.daysOfWeek || [],
+        asNeeded: !!existing.asNeeded,
+        taperSteps: existing.taperSteps || [],
+      });
+      setIsOngoing(!existing.endDate && !(existing.taperSteps || []).length);
+      setDoseLogs(logs);
+    } else {
+      setIsOngoing(!formData.endDate);
+    }
+    setLoading(false);
+  };
+
+  const updateFormData = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleDay = (day) => {
+    const days = formData.daysOfWeek.includes(day)
+      ? formData.daysOfWeek.filter(d => d !== day)
+      : [...formData.daysOfWeek, day].sort();
+    updateFormData('daysOfWeek', days);
+  };
+
+  const removeDoseTime = (index) => {
+    updateFormData('doseTimes', formData.doseTimes.filter((_, i) => i !== index));
+  };
+
+  const addDoseTime = () => {
+    setPicker({ field: 'doseTime', index: formData.doseTimes.length });
+  };
+
+  const updateTaperStep = (index, key, value) => {
+    const steps = formData.taperSteps.map((step, i) => (i === index ? { ...step, [key]: value } : step));
+    updateFormData('taperSteps', steps);
+  };
+
+  const addTaperStep = () => {
+    updateFormData('taperSteps', [...formData.taperSteps, { dosage: '', durationDays: '' }]);
+  };
+
+  const removeTaperStep = (index) => {
+    updateFormData('taperSteps', formData.taperSteps.filter((_, i) => i !== index));
+  };
+
+  const getPickerValue = () => {
+    if (!picker) return new Date();
+    if (picker.field === 'doseTime') {
+      const time = formData.doseTimes[picker.index] || '08:00';
+      const [hour, minute] = time.split(':').map(Number);
+      const date = new Date();
+      date.setHours(hour, minute, 0, 0);
+      return date;
+    }
+    const value = formData[picker.field] || formData.startDate;
+    return parseLocalDate(value);
+  };
+
+  const onPickerChange = (event, date) => {
+    const current = picker;
+    if (Platform.OS === 'android') {
+      setPicker(null);
+    }
+    if (!date || !current) return;
+
+    if (current.field === 'doseTime') {
+      const doseTimes = [...formData.doseTimes];
+      doseTimes[current.index] = toTimeString(date);
+      updateFormData('doseTimes', [...new Set(doseTimes)].sort());
+    } else {
+      updateFormData(current.field, formatLocalDate(date));
+    }
+  };
+
+  const validate = () => {
+    if (!formData.asNeeded) {
+      const hasTaper = formData.taperSteps.length > 0;
+      if (formData.doseTimes.length === 0) {
+        return 'Add at least one dose time.';
+      }
+      if (!hasTaper && !isOngoing && !formData.endDate) {
+        return 'Choose an end date or mark the medication as ongoing.';
+      }
+      if (!hasTaper && !isOngoing && formData.endDate < formData.startDate) {
+        return 'The end date must be on or after the start date.';
+      }
+      if (hasTaper && formData.taperSteps.some(step => !step.dosage || !(Number(step.durationDays) > 0))) {
+        return 'Each taper step needs a dose and a number of days.';
+      }
+    }
+    return null;
+  };
+
+  const handleSave = async () => {
+    const error = validate();
+    if (error) {
+      Alert.alert('Check Schedule', error);
+      return;
+    }
+
+    if (!networkService.isOnline()) {
+      Alert.alert('Offline', 'Medication schedules can only be changed while online.');
+      return;
+    }
+
+    const hasTaper = !formData.asNeeded && formData.taperSteps.length > 0;
+    const schedule = {
+      dosage: formData.dosage.trim(),
+      startDate: formData.startDate,
+      endDate: hasTaper || isOngoing || formData.asNeeded ? null : formData.endDate,
+      doseTimes: formData.asNeeded ? [] : formData.doseTimes,
+      daysOfWeek: formData.asNeeded ? [] : formData.daysOfWeek,
+      asNeeded: formData.asNeeded,
+      taperSteps: hasTaper
+        ? formData.taperSteps.map(step => ({
+            dosage: step.dosage.trim(),
+            durationDays: Number(step.durationDays),
+          }))
+        : [],
+    };
+
+    const result = await withErrorHandling(
+      async () => {
+        if (regimen) {
+          return medicationService.updateRegimen(regimen.id, schedule);
+        }
+        return medicationService.createRegimen(user.uid, {
+          ...schedule,
+          recordId,
+          familyMemberId: record.familyMemberId || null,
+          familyMemberName: record.familyMemberName || '',
+          medicationName: record.medicationName || record.title || 'your medication',
+          strength: record.strength || '',
+        });
+      },
+      {
+        errorType: ERROR_TYPES.STORAGE,
+        errorSeverity: ERROR_SEVERITY.HIGH,
+        showLoading: true,
+      }
+    );
+
+    if (result.success) {
+      const saved = result.data;
+      const message = saved.notificationIds.length > 0 || saved.asNeeded
+        ? 'Medication schedule saved.'
+        : 'Medication schedule saved. Reminders are off - turn on medication reminders in Notifications to be alerted.';
+      Alert.alert('Saved', message, [{ text: 'OK', onPress: () => navigation.goBack() }]);
+    }
+  };
+
+  const handleEndSchedule = () => {
+    Alert.alert(
+      'Stop Medication',
+      'Stop this schedule and cancel its reminders? Dose history is kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Stop',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await withErrorHandling(
+              () => medicationService.endRegimen(regimen, REGIMEN_STATUS.CANCELLED),
+              {
+                errorType: ERROR_TYPES.STORAGE,
+                errorSeverity: ERROR_SEVERITY.MEDIUM,
+                showLoading: true,
+              }
+            );
+            if (result.success) {
+              setRegimen(result.data);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderDateField = (label, field) => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.label}>{label}</Text>
+      <TouchableOpacity style={styles.dateInput} onPress={() => setPicker({ field })}>
+        <Text style={[styles.dateInputText, !formData[field] && styles.dateInputPlaceholder]}>
+          {formData[field] || 'Select date'}
+        </Text>
+        <Ionicons name="calendar-outline" size={20} color="#6b7280" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderDoseTimes = () => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.label}>Dose Times</Text>
+      <View style={styles.chipRow}>
+        {formData.doseTimes.map((time, index) => (
+          <View key={time} style={styles.timeChip}>
+            <TouchableOpacity onPress={() => setPicker({ field: 'doseTime', index })}>
+              <Text style={styles.timeChipText}>{time}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => removeDoseTime(index)} style={styles.timeChipRemove}>
+              <Ionicons name="close" size={14} color="#6366f1" />
+            </TouchableOpacity>
+          </View>
+        ))}
+        <TouchableOpacity style={styles.addChip} onPress={addDoseTime}>
+          <Ionicons name="add" size={16} color="#6b7280" />
+          <Text style={styles.addChipText}>Add time</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderDaysOfWeek = () => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.label}>Days</Text>
+      <View style={styles.chipRow}>
+        {DAY_NAMES.map((name, day) => {
+          const selected = formData.daysOfWeek.includes(day);
+          return (
+            <TouchableOpacity
+              key={name}
+              style={[styles.dayChip, selected && styles.dayChipSelected]}
+              onPress={() => toggleDay(day)}
+            >
+              <Text style={[styles.dayChipText, selected && styles.dayChipTextSelected]}>{name}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <Text style={styles.hint}>
+        {formData.daysOfWeek.length === 0 ? 'Every day' : 'Only on the selected days'}
+      </Text>
+    </View>
+  );
+
+  const renderTaperSteps = () => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.label}>Taper Schedule</Text>
+      <Text style={styles.hint}>
+        For doses that change over time, add each step in order starting from the start date.
+      </Text>
+      {formData.taperSteps.map((step, index) => (
+        <View key={index} style={styles.taperStep}>
+          <TextInput
+            style={[styles.input, styles.taperDosage]}
+            value={step.dosage}
+            onChangeText={(value) => updateTaperStep(index, 'dosage', value)}
+            placeholder={`Step ${index + 1} dose`}
+            placeholderTextColor={placeholderTextColor}
+          />
+          <TextInput
+            style={[styles.input, styles.taperDays]}
+            value={String(step.durationDays)}
+            onChangeText={(value) => updateTaperStep(index, 'durationDays', value.replace(/[^0-9]/g, ''))}
+            placeholder="Days"
+            placeholderTextColor={placeholderTextColor}
+            keyboardType="number-pad"
+          />
+          <TouchableOpacity onPress={() => removeTaperStep(index)}>
+            <Ionicons name="trash-outline" size={20} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <TouchableOpacity style={styles.addChip} onPress={addTaperStep}>
+        <Ionicons name="add" size={16} color="#6b7280" />
+        <Text style={styles.addChipText}>Add taper step</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderDoseHistory = () => {
+    if (doseLogs.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.historySection}>
+        <Text style={styles.sectionTitle}>Dose History</Text>
+        {doseLogs.slice(0, 30).map(log => (
+          <View key={log.id} style={styles.historyRow}>
+            <Ionicons
+              name={log.status === DOSE_STATUS.TAKEN ? 'checkmark-circle' : 'close-circle'}
+              size={20}
+              color={log.status === DOSE_STATUS.TAKEN ? '#10b981' : '#ef4444'}
+            />
+            <View style={styles.historyInfo}>
+              <Text style={styles.historyText}>
+                {log.date} at {log.time} · {log.status === DOSE_STATUS.TAKEN ? 'Taken' : 'Skipped'}
+              </Text>
+              {log.loggedByName ? (
+                <Text style={styles.historySubtext}>Marked by {log.loggedByName}</Text>
+              ) : null}
+            </View>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <LoadingSpinner />
+      </View>
+    );
+  }
+
+  const hasTaper = formData.taperSteps.length > 0;
+  const isActive = !regimen || regimen.status === REGIMEN_STATUS.ACTIVE;
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      {isLoading && <LoadingSpinner />}
+      <ScrollView contentContainerStyle={styles.form}>
+        <View style={styles.header}>
+          <Text style={styles.title}>
+            {record.medicationName || record.title}{record.strength ? ` ${record.strength}` : ''}
+          </Text>
+          {record.familyMemberName ? (
+            <Text style={styles.subtitle}>For {record.familyMemberName}</Text>
+          ) : null}
+          {regimen && (
+            <Text style={styles.summary}>
+              {isActive ? describeRegimen(regimen) : `This schedule is ${regimen.status}. Saving restarts it.`}
+            </Text>
+          )}
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Dose</Text>
+          <TextInput
+            style={styles.input}
+            value={formData.dosage}
+            onChangeText={(value) => updateFormData('dosage', value)}
+            placeholder="e.g. 1 tablet, 5 ml"
+            placeholderTextColor={placeholderTextColor}
+          />
+        </View>
+
+        <View style={styles.switchRow}>
+          <View style={styles.switchInfo}>
+            <Text style={styles.label}>Take as needed</Text>
+            <Text style={styles.hint}>No fixed times and no reminders</Text>
+          </View>
+          <Switch
+            value={formData.asNeeded}
+            onValueChange={(value) => updateFormData('asNeeded', value)}
+            trackColor={{ false: '#d1d5db', true: '#6366f1' }}
+          />
+        </View>
+
+        {renderDateField('Start Date', 'startDate')}
+
+        {!formData.asNeeded && (
+          <>
+            {!hasTaper && (
+              <>
+                <View style={styles.switchRow}>
+                  <View style={styles.switchInfo}>
+                    <Text style={styles.label}>Ongoing</Text>
+                    <Text style={styles.hint}>No end date, e.g. long-term medication</Text>
+                  </View>
+                  <Switch
+                    value={isOngoing}
+                    onValueChange={setIsOngoing}
+                    trackColor={{ false: '#d1d5db', true: '#6366f1' }}
+                  />
+                </View>
+                {!isOngoing && renderDateField('End Date', 'endDate')}
+              </>
+            )}
+            {hasTaper && (
+              <Text style={styles.hint}>
+                Ends on {getRegimenEndDate({ startDate: formData.startDate, taperSteps: formData.taperSteps })}
+              </Text>
+            )}
+            {renderDoseTimes()}
+            {renderDaysOfWeek()}
+            {renderTaperSteps()}
+          </>
+        )}
+
+        <TouchableOpacity style={styles.submitButton} onPress={handleSave} disabled={isLoading}>
+          <Text style={styles.submitButtonText}>{regimen ? 'Update Schedule' : 'Save Schedule'}</Text>
+        </TouchableOpacity>
+
+        {regimen && isActive && (
+          <TouchableOpacity style={styles.stopButton} onPress={handleEndSchedule}>
+            <Text style={styles.stopButtonText}>Stop Medication</Text>
+          </TouchableOpacity>
+        )}
+
+        {renderDoseHistory()}
+      </ScrollView>
+
+      <Modal
+        visible={!!picker}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setPicker(null)}
+      >
+        <View style={styles.datePickerModal}>
+          <View style={styles.datePickerContainer}>
+            {Platform.OS === 'ios' && (
+              <View style={styles.datePickerHeader}>
+                <View />
+                <Text style={styles.datePickerTitle}>
+                  {picker?.field === 'doseTime' ? 'Select Time' : 'Select Date'}
+                </Text>
+                <TouchableOpacity onPress={() => setPicker(null)}>
+                  <Text style={styles.datePickerDone}>Done</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            {picker && (
+              <WrappedDateTimePicker
+                value={getPickerValue()}
+                mode={picker.field === 'doseTime' ? 'time' : 'date'}
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onPickerChange}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  form: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  header: {
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  summary: {
+    fontSize: 14,
+    color: '#6366f1',
+    marginTop: 8,
+  },
+  inputGroup: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    color: '#1f2937',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  switchInfo: {
+    flex: 1,
+  },
+  dateInput: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  dateInputText: {
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  dateInputPlaceholder: {
+    color: '#9ca3af',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  timeChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ede9fe',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingLeft: 12,
+    paddingRight: 8,
+  },
+  timeChipText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#6366f1',
+  },
+  timeChipRemove: {
+    marginLeft: 6,
+  },
+  addChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderStyle: 'dashed',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  addChipText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginLeft: 4,
+  },
+  dayChip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#ffffff',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  dayChipSelected: {
+    backgroundColor: '#6366f1',
+    borderColor: '#6366f1',
+  },
+  dayChipText: {
+    fontSize: 14,
+    color: '#1f2937',
+  },
+  dayChipTextSelected: {
+    color: '#ffffff',
+  },
+  taperStep: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  taperDosage: {
+    flex: 2,
+  },
+  taperDays: {
+    flex: 1,
+  },
+  submitButton: {
+    backgroundColor: '#6366f1',
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  submitButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  stopButton: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  stopButtonText: {
+    color: '#ef4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  historySection: {
+    marginTop: 32,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  historyInfo: {
+    marginLeft: 12,
+    flex: 1,
+  },
+  historyText: {
+    fontSize: 15,
+    color: '#1f2937',
+  },
+  historySubtext: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  datePickerModal: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  datePickerContainer: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 34,
+  },
+  datePickerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  datePickerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  datePickerDone: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+});
+
+export default MedicationScheduleScreen;
@@ -7,17 +7,41 @@ import {
   TouchableOpacity,
   Switch,
   Alert,
-  Platform
+  Platform,
+  Modal
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
-import { requestNotificationPermissions } from '../services/notifications';
+import { requestNotificationPermissions, NOTIFICATION_PREFERENCES_KEY } from '../services/notifications';
+import appointmentService from '../services/appointmentService';
+import documentExpiryService from '../services/documentExpiryService';
+import networkService from '../services/networkService';
+import { useAuth } from '../contexts/AuthContext';
+import WrappedDateTimePicker from '../components/WrappedDateTimePicker';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_QUIET_HOURS,
+  DEFAULT_REMINDER_OFFSETS,
+  REMINDER_OFFSET_OPTIONS
+} from '../utils/appointmentReminders';
+
+// Preferences that change when appointment reminders fire
+const APPOINTMENT_REMINDER_PREFERENCES = ['appointmentReminders', 'appointmentReminderOffsets', 'quietHours'];
+
+const timeToDate = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
 
-const NOTIFICATION_PREFERENCES_KEY = 'notification_preferences';
+const dateToTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const formatTime = (time) => timeToDate(time).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
 
 const NotificationsScreen = ({ navigation }) => {
+  const { user } = useAuth();
   const [permissionStatus, setPermissionStatus] = useState('checking');
   const [preferences, setPreferences] = useState({
     appointmentReminders: true,
@@ -25,8 +49,13 @@ const NotificationsScreen = ({ navigation }) => {
     recordUpdates: true,
     familyUpdates: true,
     insuranceReminders: true,
+    budgetAlerts: true,
     appUpdates: true,
+    appointmentReminderOffsets: DEFAULT_REMINDER_OFFSETS,
+    quietHours: DEFAULT_QUIET_HOURS,
   });
+  // 'start' | 'end' | null
+  const [quietHoursPicker, setQuietHoursPicker] = useState(null);
   
   useEffect(() => {
     checkPermissions();
@@ -58,27 +87,79 @@ const NotificationsScreen = ({ navigation }) => {
     try {
       const savedPrefs = await AsyncStorage.getItem(NOTIFICATION_PREFERENCES_KEY);
       if (savedPrefs) {
-        setPreferences(JSON.parse(savedPrefs));
+        setPreferences(prev => ({ ...prev, ...JSON.parse(savedPrefs) }));
       }
     } catch (error) {
       console.error('Error loading notification preferences:', error);
     }
   };
   
-  const savePreferences = async (newPrefs) => {
+  const savePreferences = async (newPrefs, { refreshReminders = true } = {}) => {
     try {
       await AsyncStorage.setItem(NOTIFICATION_PREFERENCES_KEY, JSON.stringify(newPrefs));
       setPreferences(newPrefs);
+
+      const remindersChanged = APPOINTMENT_REMINDER_PREFERENCES.some(key =>
+        JSON.stringify(newPrefs[key]) !== JSON.stringify(preferences[key])
+      );
+      if (refreshReminders && remindersChanged) {
+        await refreshAppointmentReminders();
+      }
+      if (user && newPrefs.insuranceReminders !== preferences.insuranceReminders) {
+        await documentExpiryService.scanAndSchedule(user.uid);
+      }
     } catch (error) {
       console.error('Error saving notification preferences:', error);
       Alert.alert('Error', 'Failed to save your notification preferences');
     }
   };
+
+  // Reschedule existing appointment reminders with the new settings
+  const refreshAppointmentReminders = async () => {
+    if (!user || !networkService.isOnline()) return;
+    try {
+      await appointmentService.refreshAllReminders(user.uid);
+    } catch (error) {
+      console.error('Error updating appointment reminders:', error);
+    }
+  };
   
   const togglePreference = (key) => {
     const newPrefs = { ...preferences, [key]: !preferences[key] };
     savePreferences(newPrefs);
   };
+
+  const toggleReminderOffset = (minutes) => {
+    const offsets = preferences.appointmentReminderOffsets;
+    if (offsets.includes(minutes) && offsets.length === 1) {
+      // Turn appointment reminders off instead of leaving none
+      return;
+    }
+    const newOffsets = offsets.includes(minutes)
+      ? offsets.filter(offset => offset !== minutes)
+      : [...offsets, minutes].sort((a, b) => b - a);
+    savePreferences({ ...preferences, appointmentReminderOffsets: newOffsets });
+  };
+
+  const updateQuietHours = (changes, options) => {
+    savePreferences({ ...preferences, quietHours: { ...preferences.quietHours, ...changes } }, options);
+  };
+
+  const onQuietHoursTimeChange = (event, selected) => {
+    const field = quietHoursPicker;
+    if (Platform.OS === 'android') {
+      setQuietHoursPicker(null);
+    }
+    if (!selected || !field) return;
+
+    // The iOS spinner reports every change, so reminders are refreshed when it closes
+    updateQuietHours({ [field]: dateToTime(selected) }, { refreshReminders: Platform.OS === 'android' });
+  };
+
+  const closeQuietHoursPicker = () => {
+    setQuietHoursPicker(null);
+    refreshAppointmentReminders();
+  };
   
   const NotificationTypeItem = ({ title, description, icon, prefKey }) => (
     <View style={styles.notificationItem}>
@@ -182,6 +263,13 @@ const NotificationsScreen = ({ navigation }) => {
           prefKey="insuranceReminders"
         />
         
+        <NotificationTypeItem
+          title="Budget Alerts"
+          description="Know when spending reaches 80% and 100% of a budget"
+          icon="wallet"
+          prefKey="budgetAlerts"
+        />
+        
         <NotificationTypeItem
           title="App Updates"
           description="Be notified about new features and improvements"
@@ -189,6 +277,55 @@ const NotificationsScreen = ({ navigation }) => {
           prefKey="appUpdates"
         />
         
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Appointment Reminder Times</Text>
+        <View style={styles.settingCard}>
+          <Text style={styles.settingDescription}>
+            Default reminders for new appointments. Each appointment can choose its own.
+          </Text>
+          <View style={styles.chipRow}>
+            {REMINDER_OFFSET_OPTIONS.map(option => {
+              const selected = preferences.appointmentReminderOffsets.includes(option.minutes);
+              return (
+                <TouchableOpacity
+                  key={option.minutes}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => toggleReminderOffset(option.minutes)}
+                  disabled={!preferences.appointmentReminders}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>Quiet Hours</Text>
+        <View style={styles.settingCard}>
+          <View style={styles.quietHoursHeader}>
+            <Text style={[styles.settingDescription, styles.quietHoursDescription]}>
+              Appointment reminders due during quiet hours are sent just before or after them instead.
+            </Text>
+            <Switch
+              value={preferences.quietHours.enabled}
+              onValueChange={(enabled) => updateQuietHours({ enabled })}
+              trackColor={{ false: '#d1d5db', true: '#a5b4fc' }}
+              thumbColor={preferences.quietHours.enabled ? '#6366f1' : '#f4f4f5'}
+            />
+          </View>
+          {preferences.quietHours.enabled && (
+            <View style={styles.quietHoursTimes}>
+              <TouchableOpacity style={styles.timeButton} onPress={() => setQuietHoursPicker('start')}>
+                <Text style={styles.timeLabel}>From</Text>
+                <Text style={styles.timeValue}>{formatTime(preferences.quietHours.start)}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.timeButton} onPress={() => setQuietHoursPicker('end')}>
+                <Text style={styles.timeLabel}>Until</Text>
+                <Text style={styles.timeValue}>{formatTime(preferences.quietHours.end)}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+        
         <View style={styles.tipSection}>
           <Ionicons name="information-circle" size={24} color="#6366f1" />
           <Text style={styles.tipText}>
@@ -204,6 +341,37 @@ const NotificationsScreen = ({ navigation }) => {
         <Ionicons name="arrow-back" size={24} color="#6366f1" />
         <Text style={styles.backButtonText}>Back to Settings</Text>
       </TouchableOpacity>
+
+      <Modal
+        visible={!!quietHoursPicker}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={closeQuietHoursPicker}
+      >
+        <View style={styles.pickerModal}>
+          <View style={styles.pickerContainer}>
+            {Platform.OS === 'ios' && (
+              <View style={styles.pickerHeader}>
+                <View />
+                <Text style={styles.pickerTitle}>
+                  {quietHoursPicker === 'start' ? 'Quiet Hours Start' : 'Quiet Hours End'}
+                </Text>
+                <TouchableOpacity onPress={closeQuietHoursPicker}>
+                  <Text style={styles.pickerDone}>Done</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            {quietHoursPicker && (
+              <WrappedDateTimePicker
+                value={timeToDate(preferences.quietHours[quietHoursPicker])}
+                mode="time"
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onQuietHoursTimeChange}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 };
@@ -320,6 +488,109 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6b7280',
   },
+  sectionSpacing: {
+    marginTop: 12,
+  },
+  settingCard: {
+    backgroundColor: '#ffffff',
+    padding: 16,
+    borderRadius: 8,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  settingDescription: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#ffffff',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  chipSelected: {
+    backgroundColor: '#6366f1',
+    borderColor: '#6366f1',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#1f2937',
+  },
+  chipTextSelected: {
+    color: '#ffffff',
+  },
+  quietHoursHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  quietHoursDescription: {
+    flex: 1,
+    marginBottom: 0,
+    marginRight: 12,
+  },
+  quietHoursTimes: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16,
+  },
+  timeButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 8,
+    padding: 12,
+  },
+  timeLabel: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginBottom: 4,
+  },
+  timeValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  pickerModal: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  pickerContainer: {
+    backgroundColor: '#ffffff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 20,
+  },
+  pickerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  pickerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  pickerDone: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6366f1',
+  },
   tipSection: {
     flexDirection: 'row',
     backgroundColor: '#e0e7ff',
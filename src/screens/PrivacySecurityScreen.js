@@ -11,26 +11,17 @@ import {
   TextInput
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from '../contexts/AuthContext';
 import * as LocalAuthentication from 'expo-local-authentication';
-
-const PRIVACY_PREFERENCES_KEY = 'privacy_preferences';
+import privacyPreferences, { DEFAULT_PRIVACY_PREFERENCES } from '../services/privacyPreferences';
+import appLock from '../services/appLock';
+import exportPasswordStore, { MIN_EXPORT_PASSWORD_LENGTH } from '../services/exportPassword';
 
 const PrivacySecurityScreen = ({ navigation }) => {
   const { user } = useAuth();
   const [biometricAvailable, setBiometricAvailable] = useState(false);
   const [biometricType, setBiometricType] = useState('');
-  const [preferences, setPreferences] = useState({
-    biometricLogin: false,
-    screenLock: false,
-    dataEncryption: true,
-    anonymizeData: false,
-    passwordProtectExports: false,
-    autoLogout: true,
-    autoLogoutTime: 15, // minutes
-    rememberLoginInfo: true,
-  });
+  const [preferences, setPreferences] = useState(DEFAULT_PRIVACY_PREFERENCES);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [exportPassword, setExportPassword] = useState('');
   
@@ -59,18 +50,16 @@ const PrivacySecurityScreen = ({ navigation }) => {
   
   const loadPreferences = async () => {
     try {
-      const savedPrefs = await AsyncStorage.getItem(PRIVACY_PREFERENCES_KEY);
-      if (savedPrefs) {
-        setPreferences(JSON.parse(savedPrefs));
-      }
+      await exportPasswordStore.migrateFromPreferences();
     } catch (error) {
-      console.error('Error loading privacy preferences:', error);
+      console.error('Error moving export password to secure storage:', error);
     }
+    setPreferences(await privacyPreferences.get());
   };
   
   const savePreferences = async (newPrefs) => {
     try {
-      await AsyncStorage.setItem(PRIVACY_PREFERENCES_KEY, JSON.stringify(newPrefs));
+      await privacyPreferences.save(newPrefs);
       setPreferences(newPrefs);
     } catch (error) {
       console.error('Error saving privacy preferences:', error);
@@ -78,7 +67,7 @@ const PrivacySecurityScreen = ({ navigation }) => {
     }
   };
   
-  const togglePreference = (key) => {
+  const togglePreference = async (key) => {
     // Handle special cases
     if (key === 'biometricLogin' && !biometricAvailable && !preferences[key]) {
       Alert.alert(
@@ -87,29 +76,53 @@ const PrivacySecurityScreen = ({ navigation }) => {
       );
       return;
     }
+
+    // Make sure the lock can be opened before turning it on
+    if (key === 'biometricLogin' && !preferences[key]) {
+      const verified = await appLock.authenticate(`Confirm to turn on ${biometricType} Login`);
+      if (!verified) {
+        return;
+      }
+    }
     
     if (key === 'passwordProtectExports' && !preferences[key]) {
       setShowPasswordModal(true);
       return;
     }
+
+    if (key === 'passwordProtectExports') {
+      await exportPasswordStore.clear();
+    }
     
     const newPrefs = { ...preferences, [key]: !preferences[key] };
-    savePreferences(newPrefs);
+    await savePreferences(newPrefs);
+
+    if (key === 'biometricLogin') {
+      appLock.protectScreen(newPrefs.biometricLogin);
+    }
   };
   
-  const saveExportPassword = () => {
-    if (exportPassword.length < 6) {
-      Alert.alert('Invalid Password', 'Password must be at least 6 characters long');
+  const saveExportPassword = async () => {
+    if (exportPassword.length < MIN_EXPORT_PASSWORD_LENGTH) {
+      Alert.alert('Invalid Password', `Password must be at least ${MIN_EXPORT_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+
+    try {
+      await exportPasswordStore.save(exportPassword);
+    } catch (error) {
+      console.error('Error saving export password:', error);
+      Alert.alert('Error', 'Failed to save your export password');
       return;
     }
     
     const newPrefs = { 
       ...preferences, 
-      passwordProtectExports: true,
-      exportPassword: exportPassword 
+      passwordProtectExports: true
     };
     savePreferences(newPrefs);
     setShowPasswordModal(false);
+    setExportPassword('');
   };
   
   const updateAutoLogoutTime = (time) => {
@@ -225,7 +238,7 @@ const PrivacySecurityScreen = ({ navigation }) => {
           
           <SettingItem
             title={`${biometricType} Login`}
-            description={`Use ${biometricType.toLowerCase()} to quickly access your account`}
+            description={`Require ${biometricType.toLowerCase()} or your device passcode to open the app`}
             value={preferences.biometricLogin}
             onToggle={() => togglePreference('biometricLogin')}
             disabled={!biometricAvailable}
@@ -17,6 +17,8 @@ import { useAuth } from '../contexts/AuthContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
 import offlineStorageService from '../services/offlineStorage';
 import networkService from '../services/networkService';
+import medicationService, { DOSE_STATUS, REGIMEN_STATUS } from '../services/medicationService';
+import { cancelNotifications } from '../services/notifications';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import { 
   getRecordTypeDisplayName, 
@@ -31,18 +33,31 @@ import {
   getCityDisplayName,
   getRegionDisplayName
 } from '../utils/locationUtils';
+import { DEFAULT_IMMUNIZATION_SCHEDULE, getVaccineDisplayName } from '../utils/immunizationSchedule';
+import immunizationService from '../services/immunizationService';
+import { LAB_FLAG, getAnalyteKey, isOutOfRange } from '../utils/labResults';
+import {
+  describeRegimen,
+  formatLocalDate,
+  getDoseForDate,
+  getRegimenEndDate
+} from '../utils/medicationSchedule';
 
 const RecordDetailScreen = ({ route, navigation }) => {
   const { recordId } = route.params;
-  const { user } = useAuth();
+  const { user, userProfile } = useAuth();
   const { withErrorHandling, isLoading } = useError();
   const [record, setRecord] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isOnline, setIsOnline] = useState(true);
   const [barcodes, setBarcodes] = useState({});
+  const [regimen, setRegimen] = useState(null);
+  const [todayLogs, setTodayLogs] = useState({});
+  const [vaccines, setVaccines] = useState(DEFAULT_IMMUNIZATION_SCHEDULE);
 
   useEffect(() => {
     loadRecord();
+    immunizationService.getVaccines(user.uid).then(setVaccines);
 
     // Listen for network changes
     const unsubscribe = networkService.addListener((connected) => {
@@ -56,6 +71,60 @@ const RecordDetailScreen = ({ route, navigation }) => {
     return unsubscribe;
   }, [recordId]);
 
+  // Reload the medication schedule when returning from MedicationScheduleScreen
+  useEffect(() => {
+    if (record?.type !== 'prescription') return;
+
+    loadRegimen();
+    const unsubscribe = navigation.addListener('focus', loadRegimen);
+    return unsubscribe;
+  }, [record?.id, record?.type]);
+
+  const loadRegimen = async () => {
+    if (!user || !networkService.isOnline()) return;
+
+    try {
+      const recordRegimen = await medicationService.getRegimenForRecord(user.uid, recordId);
+      setRegimen(recordRegimen);
+
+      if (recordRegimen) {
+        const today = formatLocalDate(new Date());
+        const logs = await medicationService.getDoseLogs(user.uid, { regimenId: recordRegimen.id });
+        setTodayLogs(Object.fromEntries(
+          logs.filter(log => log.date === today).map(log => [log.time, log])
+        ));
+      }
+    } catch (error) {
+      console.error('Error loading medication schedule:', error);
+    }
+  };
+
+  const handleLogDose = async (time, status, dosage) => {
+    const date = formatLocalDate(new Date());
+    try {
+      if (todayLogs[time]?.status === status) {
+        // Tapping the same button again clears the entry
+        await medicationService.undoDoseLog(regimen.id, date, time);
+        setTodayLogs(prev => {
+          const { [time]: removed, ...rest } = prev;
+          return rest;
+        });
+        return;
+      }
+
+      const log = await medicationService.logDose(user.uid, regimen, {
+        date,
+        time,
+        status,
+        dosage,
+        loggedByName: userProfile?.displayName || user.email || ''
+      });
+      setTodayLogs(prev => ({ ...prev, [time]: log }));
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save dose. Please try again.');
+    }
+  };
+
   const loadRecord = async () => {
     const result = await withErrorHandling(
       async () => {
@@ -207,9 +276,14 @@ const RecordDetailScreen = ({ route, navigation }) => {
           // Add to offline sync queue
           await offlineStorageService.addToSyncQueue({
             type: 'DELETE_RECORD',
-            recordId: recordId
+            data: { id: recordId, userId: user.uid, type: record?.type }
           });
 
+          // Reminders are local, so stop them now rather than after syncing
+          if (regimen) {
+            await cancelNotifications(regimen.notificationIds);
+          }
+
           // Remove from local cache
           const cachedRecords = await offlineStorageService.getCachedMedicalRecords();
           if (cachedRecords && cachedRecords.data) {
@@ -227,6 +301,11 @@ const RecordDetailScreen = ({ route, navigation }) => {
 
         // Delete from Firebase
         await deleteDoc(doc(db, 'medicalRecords', recordId));
+
+        // Cancel medication reminders and remove the dose history for this prescription
+        if (record?.type === 'prescription') {
+          await medicationService.deleteRegimensForRecord(user.uid, recordId);
+        }
         
         // Remove from cache
         const cachedRecords = await offlineStorageService.getCachedMedicalRecords();
@@ -342,6 +421,26 @@ const RecordDetailScreen = ({ route, navigation }) => {
       if (record.paymentStatus) {
         lines.push(`📊 Status: ${record.paymentStatus}`);
       }
+    } else if (record.type === 'vaccination') {
+      lines.push(`💉 Vaccine: ${getVaccineDisplayName(record, vaccines)}`);
+      if (record.doseNumber) {
+        lines.push(`🔢 Dose: ${record.doseNumber}`);
+      }
+      if (record.lotNumber) {
+        lines.push(`🏷️ Lot Number: ${record.lotNumber}`);
+      }
+      if (record.facility) {
+        lines.push(`🏥 Administered At: ${record.facility}`);
+      }
+    } else if (record.type === 'lab_result') {
+      if (record.lab) {
+        lines.push(`🧪 Laboratory: ${record.lab}`);
+      }
+      (record.analytes || []).forEach(analyte => {
+        const range = analyte.referenceRange ? ` (ref ${analyte.referenceRange})` : '';
+        const flag = isOutOfRange(analyte) ? ` - ${analyte.flag.toUpperCase()}` : '';
+        lines.push(`• ${analyte.name}: ${analyte.value} ${analyte.unit}${range}${flag}`);
+      });
     } else if (record.type === 'prescription' || record.type === 'diagnosis') {
       if (record.doctor) {
         lines.push(`👨‍⚕️ Doctor: Dr. ${record.doctor}`);
@@ -573,6 +672,8 @@ const RecordDetailScreen = ({ route, navigation }) => {
           {record.type === 'bill' && renderBillDetails()}
           {record.type === 'prescription' && renderPrescriptionDetails()}
           {record.type === 'diagnosis' && renderDiagnosisDetails()}
+          {record.type === 'vaccination' && renderVaccinationDetails()}
+          {record.type === 'lab_result' && renderLabResultDetails()}
 
           {/* Common fields */}
           {record.date && (
@@ -701,6 +802,22 @@ const RecordDetailScreen = ({ route, navigation }) => {
   // Prescription specific details
   const renderPrescriptionDetails = () => (
     <>
+      {record.medicationName && (
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>Medication</Text>
+          <Text style={styles.detailValue}>
+            {record.medicationName}{record.strength ? ` ${record.strength}` : ''}
+          </Text>
+        </View>
+      )}
+      {record.frequency && (
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>Frequency</Text>
+          <Text style={styles.detailValue}>
+            {record.frequency}{record.duration ? ` for ${record.duration}` : ''}
+          </Text>
+        </View>
+      )}
       {record.description && (
         <View style={styles.detailRow}>
           <Text style={styles.detailLabel}>Description</Text>
@@ -716,6 +833,92 @@ const RecordDetailScreen = ({ route, navigation }) => {
     </>
   );
 
+  // Medication schedule and today's doses for prescriptions
+  const renderMedicationSchedule = () => {
+    if (record.type !== 'prescription') {
+      return null;
+    }
+
+    const isActive = regimen?.status === REGIMEN_STATUS.ACTIVE;
+    const todayDose = isActive ? getDoseForDate(regimen, formatLocalDate(new Date())) : null;
+    const endDate = regimen ? getRegimenEndDate(regimen) : null;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Medication Schedule</Text>
+        <View style={styles.detailsContainer}>
+          {regimen ? (
+            <>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>
+                  {isActive ? 'Schedule' : `Schedule (${regimen.status})`}
+                </Text>
+                <Text style={styles.detailValue}>{describeRegimen(regimen)}</Text>
+                <Text style={styles.scheduleDates}>
+                  From {regimen.startDate}{endDate ? ` to ${endDate}` : ' (ongoing)'}
+                </Text>
+              </View>
+
+              {todayDose && [...todayDose.doseTimes].sort().map(time => {
+                const log = todayLogs[time];
+                return (
+                  <View key={time} style={[styles.detailRow, styles.doseRow]}>
+                    <View style={styles.doseInfo}>
+                      <Text style={styles.doseTime}>{time}</Text>
+                      <Text style={styles.doseDosage}>{todayDose.dosage}</Text>
+                      {log && (
+                        <Text style={styles.doseLoggedBy}>
+                          {log.status === DOSE_STATUS.TAKEN ? 'Taken' : 'Skipped'}
+                          {log.loggedByName ? ` · ${log.loggedByName}` : ''}
+                        </Text>
+                      )}
+                    </View>
+                    <TouchableOpacity
+                      style={[styles.doseButton, log?.status === DOSE_STATUS.TAKEN && styles.doseButtonTaken]}
+                      onPress={() => handleLogDose(time, DOSE_STATUS.TAKEN, todayDose.dosage)}
+                    >
+                      <Ionicons
+                        name="checkmark"
+                        size={18}
+                        color={log?.status === DOSE_STATUS.TAKEN ? '#ffffff' : '#10b981'}
+                      />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.doseButton, log?.status === DOSE_STATUS.SKIPPED && styles.doseButtonSkipped]}
+                      onPress={() => handleLogDose(time, DOSE_STATUS.SKIPPED, todayDose.dosage)}
+                    >
+                      <Ionicons
+                        name="close"
+                        size={18}
+                        color={log?.status === DOSE_STATUS.SKIPPED ? '#ffffff' : '#ef4444'}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                );
+              })}
+            </>
+          ) : (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailValue}>
+                Set up a schedule to get reminders and keep track of doses.
+              </Text>
+            </View>
+          )}
+
+          <TouchableOpacity
+            style={styles.scheduleButton}
+            onPress={() => navigation.navigate('MedicationSchedule', { recordId: record.id, record })}
+          >
+            <Ionicons name="alarm-outline" size={20} color="#6366f1" />
+            <Text style={styles.scheduleButtonText}>
+              {regimen ? 'Manage Schedule' : 'Set Up Schedule'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
   // Diagnosis specific details
   const renderDiagnosisDetails = () => (
     <>
@@ -734,6 +937,78 @@ const RecordDetailScreen = ({ route, navigation }) => {
     </>
   );
 
+  const renderVaccinationDetails = () => (
+    <>
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>Vaccine</Text>
+        <Text style={styles.detailValue}>{getVaccineDisplayName(record, vaccines)}</Text>
+      </View>
+      {record.doseNumber ? (
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>Dose</Text>
+          <Text style={styles.detailValue}>{record.doseNumber}</Text>
+        </View>
+      ) : null}
+      {record.lotNumber ? (
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>Lot Number</Text>
+          <Text style={styles.detailValue}>{record.lotNumber}</Text>
+        </View>
+      ) : null}
+      {record.facility ? (
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>Administered At</Text>
+          <Text style={styles.detailValue}>{record.facility}</Text>
+        </View>
+      ) : null}
+    </>
+  );
+
+  const renderLabResultDetails = () => (
+    <>
+      {record.lab ? (
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>Laboratory</Text>
+          <Text style={styles.detailValue}>{record.lab}</Text>
+        </View>
+      ) : null}
+      <View style={styles.detailRow}>
+        <Text style={styles.detailLabel}>Results</Text>
+        {(record.analytes || []).map((analyte, index) => {
+          const outOfRange = isOutOfRange(analyte);
+          return (
+            <TouchableOpacity
+              key={index}
+              style={styles.analyteRow}
+              onPress={() => navigation.navigate('LabTrend', {
+                familyMemberId: record.familyMemberId,
+                analyteKey: getAnalyteKey(analyte),
+              })}
+            >
+              <View style={styles.analyteInfo}>
+                <Text style={styles.analyteName}>{analyte.name}</Text>
+                {analyte.referenceRange ? (
+                  <Text style={styles.analyteRange}>Ref {analyte.referenceRange} {analyte.unit}</Text>
+                ) : null}
+              </View>
+              <Text style={[styles.analyteValue, outOfRange && styles.analyteValueFlagged]}>
+                {analyte.value} {analyte.unit}
+              </Text>
+              {outOfRange ? (
+                <Ionicons
+                  name={analyte.flag === LAB_FLAG.HIGH ? 'arrow-up' : 'arrow-down'}
+                  size={16}
+                  color="#ef4444"
+                />
+              ) : null}
+              <Ionicons name="trending-up" size={18} color="#6366f1" style={styles.analyteTrendIcon} />
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </>
+  );
+
   // Helper functions for payment status
   const getPaymentStatusText = (status) => {
     switch (status) {
@@ -805,6 +1080,9 @@ const RecordDetailScreen = ({ route, navigation }) => {
       {/* Comprehensive Record Details */}
       {renderRecordDetails()}
 
+      {/* Medication schedule for prescriptions */}
+      {renderMedicationSchedule()}
+
       {/* Attachments */}
       {record.attachments && record.attachments.length > 0 && (
         <View style={styles.section}>
@@ -960,6 +1238,35 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     lineHeight: 24,
   },
+  analyteRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  analyteInfo: {
+    flex: 1,
+  },
+  analyteName: {
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  analyteRange: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  analyteValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginRight: 4,
+  },
+  analyteValueFlagged: {
+    color: '#ef4444',
+  },
+  analyteTrendIcon: {
+    marginLeft: 8,
+  },
   attachmentsContainer: {
     paddingHorizontal: 20,
     flexDirection: 'row',
@@ -1019,6 +1326,62 @@ const styles = StyleSheet.create({
   deleteButton: {
     borderColor: '#fecaca',
   },
+  scheduleDates: {
+    fontSize: 13,
+    color: '#9ca3af',
+    marginTop: 4,
+  },
+  doseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  doseInfo: {
+    flex: 1,
+  },
+  doseTime: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  doseDosage: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  doseLoggedBy: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginTop: 2,
+  },
+  doseButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  doseButtonTaken: {
+    backgroundColor: '#10b981',
+    borderColor: '#10b981',
+  },
+  doseButtonSkipped: {
+    backgroundColor: '#ef4444',
+    borderColor: '#ef4444',
+  },
+  scheduleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+  },
+  scheduleButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6366f1',
+    marginLeft: 8,
+  },
   deleteButtonText: {
     color: '#ef4444',
   },
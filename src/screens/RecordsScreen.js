@@ -16,6 +16,7 @@ import { useAuth } from '../contexts/AuthContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
 import offlineStorageService from '../services/offlineStorage';
 import networkService from '../services/networkService';
+import offlineAttachments from '../services/offlineAttachments';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import EmptyState from '../components/EmptyState';
 import { getRecordTypeDisplayName, getRecordTypeColor } from '../utils/recordTypes';
@@ -27,6 +28,8 @@ const RECORD_TYPES = [
   { id: 'hospital_card', name: 'Hospital Cards', icon: 'card' },
   { id: 'bill', name: 'Bills', icon: 'receipt' },
   { id: 'insurance', name: 'Insurance', icon: 'shield-checkmark' },
+  { id: 'vaccination', name: 'Vaccinations', icon: 'bandage' },
+  { id: 'lab_result', name: 'Lab Results', icon: 'flask' },
 ];
 
 const RecordsScreen = ({ navigation }) => {
@@ -39,6 +42,7 @@ const RecordsScreen = ({ navigation }) => {
   const [selectedType, setSelectedType] = useState('all');
   const [familyMembers, setFamilyMembers] = useState([]);
   const [isOnline, setIsOnline] = useState(true);
+  const [uploadProgress, setUploadProgress] = useState(null);
 
   useEffect(() => {
     if (user) {
@@ -58,6 +62,16 @@ const RecordsScreen = ({ navigation }) => {
     return unsubscribe;
   }, [user]);
 
+  // Attachments of records saved offline upload after reconnecting
+  useEffect(() => {
+    return offlineAttachments.addProgressListener((progress) => {
+      setUploadProgress(progress);
+      if (!progress) {
+        loadRecords();
+      }
+    });
+  }, []);
+
   useEffect(() => {
     filterRecords();
   }, [records, searchQuery, selectedType]);
@@ -246,6 +260,16 @@ const RecordsScreen = ({ navigation }) => {
         </View>
       )}
 
+      {uploadProgress && (
+        <View style={styles.uploadIndicator}>
+          <Ionicons name="cloud-upload" size={16} color="#6366f1" />
+          <Text style={styles.uploadText}>
+            Uploading attachments {uploadProgress.completed + 1} of {uploadProgress.total}
+            {` (${Math.round(uploadProgress.fraction * 100)}%)`}
+          </Text>
+        </View>
+      )}
+
       {/* Loading Overlay */}
       {isLoading && <LoadingSpinner />}
 
@@ -347,6 +371,22 @@ const styles = StyleSheet.create({
     color: '#ef4444',
     fontWeight: '500',
   },
+  uploadIndicator: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#eef2ff',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#c7d2fe',
+  },
+  uploadText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#6366f1',
+    fontWeight: '500',
+  },
   searchContainer: {
     padding: 16,
     backgroundColor: '#ffffff',
@@ -6,17 +6,19 @@ import {
   TouchableOpacity,
   StyleSheet,
   Alert,
+  Switch,
   RefreshControl
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { collection, query, where, orderBy, getDocs, addDoc, deleteDoc, doc } from 'firebase/firestore';
-import { db } from '../../firebaseConfig';
 import { useAuth } from '../contexts/AuthContext';
 import { useError, ERROR_TYPES, ERROR_SEVERITY } from '../contexts/ErrorContext';
 import offlineStorageService from '../services/offlineStorage';
+import appointmentService, { canReschedule, getAppointmentDate, getAppointmentStatus } from '../services/appointmentService';
+import calendarSyncService, { CALENDAR_TITLE, CONFLICT_RESOLUTION } from '../services/calendarSync';
 import networkService from '../services/networkService';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import EmptyState from '../components/EmptyState';
+import { STATUS_DISPLAY } from './AppointmentDetailScreen';
 
 const ScheduleScreen = ({ navigation }) => {
   const { user } = useAuth();
@@ -24,10 +26,14 @@ const ScheduleScreen = ({ navigation }) => {
   const [appointments, setAppointments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isOnline, setIsOnline] = useState(true);
+  const [calendarSyncEnabled, setCalendarSyncEnabled] = useState(false);
+  const [calendarConflicts, setCalendarConflicts] = useState([]);
 
   useEffect(() => {
     if (user) {
       loadAppointments();
+      calendarSyncService.isEnabled(user.uid).then(setCalendarSyncEnabled);
+      calendarSyncService.getConflicts(user.uid).then(setCalendarConflicts);
     }
 
     // Listen for network changes
@@ -42,6 +48,16 @@ const ScheduleScreen = ({ navigation }) => {
     return unsubscribe;
   }, [user]);
 
+  // Reload after adding, editing or changing the status of an appointment
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      if (user) {
+        loadAppointments();
+      }
+    });
+    return unsubscribe;
+  }, [navigation, user]);
+
   const loadAppointments = async () => {
     const result = await withErrorHandling(
       async () => {
@@ -53,20 +69,18 @@ const ScheduleScreen = ({ navigation }) => {
           }
         }
 
-        // Load from Firebase
-        const appointmentsQuery = query(
-          collection(db, 'appointments'),
-          where('userId', '==', user.uid),
-          orderBy('date', 'asc')
-        );
-        const snapshot = await getDocs(appointmentsQuery);
-        const appointmentsData = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-
-        // Cache the data
-        await offlineStorageService.cacheAppointments(appointmentsData);
+        // Load from Firebase (also refreshes the cache)
+        let appointmentsData = await appointmentService.getAppointments(user.uid);
+
+        // Exchange changes with the device calendar if sync is on
+        const syncResult = await calendarSyncService.syncAppointments(user.uid, appointmentsData);
+        if (syncResult) {
+          setCalendarConflicts(syncResult.conflicts);
+          if (syncResult.pulled > 0 || syncResult.deleted > 0) {
+            appointmentsData = await appointmentService.getAppointments(user.uid);
+          }
+        }
+
         return appointmentsData;
       },
       {
@@ -88,14 +102,65 @@ const ScheduleScreen = ({ navigation }) => {
     setLoading(false);
   };
 
+  const handleToggleCalendarSync = async (enabled) => {
+    if (enabled) {
+      const granted = await calendarSyncService.enableSync(user.uid);
+      if (!granted) {
+        Alert.alert(
+          'Calendar Access Needed',
+          'Please allow calendar access in your device settings to sync appointments.'
+        );
+        return;
+      }
+      setCalendarSyncEnabled(true);
+      loadAppointments();
+      return;
+    }
+
+    const disable = async (removeCalendar) => {
+      await calendarSyncService.disableSync({ removeCalendar });
+      setCalendarSyncEnabled(false);
+      setCalendarConflicts([]);
+    };
+
+    Alert.alert(
+      'Stop Calendar Sync',
+      `Do you also want to remove the "${CALENDAR_TITLE}" calendar and its events from this device?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Keep Calendar', onPress: () => disable(false) },
+        { text: 'Remove Calendar', style: 'destructive', onPress: () => disable(true) }
+      ]
+    );
+  };
+
+  const handleResolveConflict = async (conflict, resolution) => {
+    const appointment = appointments.find(apt => apt.id === conflict.appointmentId);
+    if (!appointment) return;
+
+    const result = await withErrorHandling(
+      () => calendarSyncService.resolveConflict(appointment, resolution),
+      {
+        errorType: ERROR_TYPES.STORAGE,
+        errorSeverity: ERROR_SEVERITY.MEDIUM,
+        showLoading: true,
+      }
+    );
+
+    if (result.success) {
+      setCalendarConflicts(await calendarSyncService.getConflicts(user.uid));
+      loadAppointments();
+    }
+  };
+
   const onRefresh = () => {
     setLoading(true);
     loadAppointments();
   };
 
-  const formatDate = (date) => {
-    if (!date) return '';
-    const dateObj = date.toDate ? date.toDate() : new Date(date);
+  const formatDate = (appointment) => {
+    const dateObj = getAppointmentDate(appointment);
+    if (!dateObj) return '';
     return dateObj.toLocaleDateString('en-US', {
       weekday: 'short',
       year: 'numeric',
@@ -104,41 +169,119 @@ const ScheduleScreen = ({ navigation }) => {
     });
   };
 
-  const formatTime = (date) => {
-    if (!date) return '';
-    const dateObj = date.toDate ? date.toDate() : new Date(date);
+  const formatTime = (appointment) => {
+    const dateObj = getAppointmentDate(appointment);
+    if (!dateObj) return '';
     return dateObj.toLocaleTimeString('en-US', {
       hour: '2-digit',
       minute: '2-digit'
     });
   };
 
-  const isUpcoming = (date) => {
-    const appointmentDate = date.toDate ? date.toDate() : new Date(date);
-    return appointmentDate >= new Date();
+  // Completed and cancelled appointments are never upcoming
+  const isUpcoming = (appointment) => {
+    const appointmentDate = getAppointmentDate(appointment);
+    return canReschedule(appointment) && !!appointmentDate && appointmentDate >= new Date();
   };
 
-  const AppointmentCard = ({ appointment }) => (
-    <TouchableOpacity style={styles.appointmentCard}>
-      <View style={styles.appointmentHeader}>
-        <View style={[
-          styles.statusIndicator,
-          { backgroundColor: isUpcoming(appointment.date) ? '#10b981' : '#6b7280' }
-        ]} />
-        <View style={styles.appointmentInfo}>
-          <Text style={styles.appointmentTitle}>{appointment.title}</Text>
-          <Text style={styles.appointmentDoctor}>Dr. {appointment.doctor}</Text>
-          <Text style={styles.appointmentLocation}>{appointment.location}</Text>
+  const AppointmentCard = ({ appointment }) => {
+    const statusDisplay = STATUS_DISPLAY[getAppointmentStatus(appointment)];
+    const provider = [
+      appointment.doctor ? `Dr. ${appointment.doctor}` : '',
+      appointment.specialty
+    ].filter(Boolean).join(' · ');
+
+    return (
+      <TouchableOpacity
+        style={styles.appointmentCard}
+        onPress={() => navigation.navigate('AppointmentDetail', { appointment })}
+      >
+        <View style={styles.appointmentHeader}>
+          <View style={[
+            styles.statusIndicator,
+            { backgroundColor: isUpcoming(appointment) ? '#10b981' : '#6b7280' }
+          ]} />
+          <View style={styles.appointmentInfo}>
+            <Text style={styles.appointmentTitle}>{appointment.title}</Text>
+            {appointment.familyMemberName ? (
+              <Text style={styles.appointmentMember}>{appointment.familyMemberName}</Text>
+            ) : null}
+            {provider ? <Text style={styles.appointmentDoctor}>{provider}</Text> : null}
+            {appointment.location ? (
+              <Text style={styles.appointmentLocation}>{appointment.location}</Text>
+            ) : null}
+          </View>
+          <View style={styles.appointmentDateTime}>
+            <Text style={styles.appointmentDate}>{formatDate(appointment)}</Text>
+            <Text style={styles.appointmentTime}>{formatTime(appointment)}</Text>
+            {appointment.duration ? (
+              <Text style={styles.appointmentTime}>{appointment.duration} min</Text>
+            ) : null}
+            <View style={[styles.statusBadge, { backgroundColor: statusDisplay.color + '20' }]}>
+              <Text style={[styles.statusBadgeText, { color: statusDisplay.color }]}>
+                {statusDisplay.label}
+              </Text>
+            </View>
+          </View>
         </View>
-        <View style={styles.appointmentDateTime}>
-          <Text style={styles.appointmentDate}>{formatDate(appointment.date)}</Text>
-          <Text style={styles.appointmentTime}>{formatTime(appointment.date)}</Text>
+        {appointment.notes ? (
+          <Text style={styles.appointmentNotes}>{appointment.notes}</Text>
+        ) : null}
+      </TouchableOpacity>
+    );
+  };
+
+  const describeSnapshot = (snapshot) => {
+    if (!snapshot) return 'Deleted';
+    const start = new Date(snapshot.start);
+    return [
+      `${formatDate({ date: start })} ${formatTime({ date: start })}`,
+      snapshot.location
+    ].filter(Boolean).join(' · ');
+  };
+
+  const CalendarSyncCard = () => (
+    <View style={styles.calendarSyncCard}>
+      <View style={styles.calendarSyncRow}>
+        <Ionicons name="sync" size={22} color="#6366f1" />
+        <View style={styles.calendarSyncInfo}>
+          <Text style={styles.calendarSyncTitle}>Sync with phone calendar</Text>
+          <Text style={styles.calendarSyncSubtitle}>
+            Keeps appointments in a "{CALENDAR_TITLE}" calendar on this device
+          </Text>
         </View>
+        <Switch
+          value={calendarSyncEnabled}
+          onValueChange={handleToggleCalendarSync}
+          trackColor={{ false: '#d1d5db', true: '#a5b4fc' }}
+          thumbColor={calendarSyncEnabled ? '#6366f1' : '#f4f4f5'}
+        />
       </View>
-      {appointment.notes && (
-        <Text style={styles.appointmentNotes}>{appointment.notes}</Text>
-      )}
-    </TouchableOpacity>
+
+      {calendarConflicts.map(conflict => (
+        <View key={conflict.appointmentId} style={styles.conflictCard}>
+          <Text style={styles.conflictTitle}>
+            "{conflict.title}" was changed in both the app and your calendar
+          </Text>
+          <Text style={styles.conflictText}>App: {describeSnapshot(conflict.appointmentSnapshot)}</Text>
+          <Text style={styles.conflictText}>Calendar: {describeSnapshot(conflict.eventSnapshot)}</Text>
+          <View style={styles.conflictActions}>
+            <TouchableOpacity
+              style={styles.conflictButton}
+              onPress={() => handleResolveConflict(conflict, CONFLICT_RESOLUTION.KEEP_APP)}
+            >
+              <Text style={styles.conflictButtonText}>Keep App Version</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.conflictButton}
+              onPress={() => handleResolveConflict(conflict, CONFLICT_RESOLUTION.KEEP_CALENDAR)}
+            >
+              <Text style={styles.conflictButtonText}>Keep Calendar Version</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+    </View>
   );
 
   const EmptyStateComponent = () => (
@@ -147,14 +290,13 @@ const ScheduleScreen = ({ navigation }) => {
       title="No appointments scheduled"
       subtitle="Schedule your first appointment to get started"
       buttonText="Schedule Appointment"
-      onButtonPress={() => {
-        Alert.alert('Coming Soon', 'Appointment scheduling will be available soon');
-      }}
+      onButtonPress={() => navigation.navigate('AddAppointment')}
     />
   );
 
-  const upcomingAppointments = appointments.filter(apt => isUpcoming(apt.date));
-  const pastAppointments = appointments.filter(apt => !isUpcoming(apt.date));
+  const upcomingAppointments = appointments.filter(apt => isUpcoming(apt));
+  // Most recent first
+  const pastAppointments = appointments.filter(apt => !isUpcoming(apt)).reverse();
 
   return (
     <View style={styles.container}>
@@ -173,6 +315,8 @@ const ScheduleScreen = ({ navigation }) => {
         refreshControl={<RefreshControl refreshing={loading} onRefresh={onRefresh} />}
         contentContainerStyle={appointments.length === 0 ? styles.emptyContainer : undefined}
       >
+        <CalendarSyncCard />
+
         {appointments.length === 0 ? (
           <EmptyStateComponent />
         ) : (
@@ -203,9 +347,7 @@ const ScheduleScreen = ({ navigation }) => {
       {/* Floating Action Button */}
       <TouchableOpacity
         style={styles.fab}
-        onPress={() => {
-          Alert.alert('Coming Soon', 'Appointment scheduling will be available soon');
-        }}
+        onPress={() => navigation.navigate('AddAppointment')}
       >
         <Ionicons name="add" size={24} color="#ffffff" />
       </TouchableOpacity>
@@ -260,6 +402,12 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     marginBottom: 4,
   },
+  appointmentMember: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#6366f1',
+    marginBottom: 2,
+  },
   appointmentDoctor: {
     fontSize: 14,
     color: '#6b7280',
@@ -282,6 +430,16 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginTop: 2,
   },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginTop: 6,
+  },
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
   appointmentNotes: {
     fontSize: 14,
     color: '#6b7280',
@@ -290,6 +448,69 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: '#f3f4f6',
   },
+  calendarSyncCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginHorizontal: 20,
+    marginTop: 20,
+  },
+  calendarSyncRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  calendarSyncInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  calendarSyncTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  calendarSyncSubtitle: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  conflictCard: {
+    backgroundColor: '#fffbeb',
+    borderWidth: 1,
+    borderColor: '#fde68a',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 12,
+  },
+  conflictTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#92400e',
+    marginBottom: 6,
+  },
+  conflictText: {
+    fontSize: 13,
+    color: '#78350f',
+    marginBottom: 2,
+  },
+  conflictActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 10,
+  },
+  conflictButton: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#f59e0b',
+    borderRadius: 8,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  conflictButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#b45309',
+  },
   offlineIndicator: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -13,6 +13,8 @@ import { useAuth } from '../contexts/AuthContext';
 import { useSubscription } from '../contexts/SubscriptionContext';
 import { useError } from '../contexts/ErrorContext';
 import dataExportService from '../services/dataExport';
+import privacyPreferences from '../services/privacyPreferences';
+import exportPasswordStore from '../services/exportPassword';
 import offlineStorageService from '../services/offlineStorage';
 import { openStoreRating, recordAppRated } from '../services/appRating';
 import { APP_CONFIG } from '../constants';
@@ -66,7 +68,10 @@ const SettingsScreen = ({ navigation }) => {
         }
       ];
 
-      return dataExportService.exportMedicalRecordsToCSV(mockRecords);
+      const { passwordProtectExports } = await privacyPreferences.get();
+      const password = passwordProtectExports ? await exportPasswordStore.get() : null;
+
+      return dataExportService.exportMedicalRecordsToCSV(mockRecords, [], { password });
     }, {
       errorType: 'STORAGE',
       errorSeverity: 'MEDIUM'
@@ -14,6 +14,8 @@ import { Card, Button, Divider, Menu, Chip, Portal, Modal } from 'react-native-p
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { useFinance } from '../../contexts/FinanceContext';
 import TransactionList from '../../components/finance/TransactionList';
+import { TRANSFER_DIRECTIONS, isTransfer } from '../../utils/transfers';
+import { DISCREPANCY_TYPES } from '../../utils/ledger';
 
 const AccountDetailsScreen = ({ route, navigation }) => {
   const { account: initialAccount } = route.params;
@@ -23,7 +25,9 @@ const AccountDetailsScreen = ({ route, navigation }) => {
     isLoading, 
     deleteAccount,
     updateAccount,
-    recalculateAccountBalance,
+    checkLedgerIntegrity,
+    startAccountLedger,
+    loadAccounts,
     loadTransactions
   } = useFinance();
   
@@ -77,22 +81,6 @@ const AccountDetailsScreen = ({ route, navigation }) => {
     }
   }, [accounts]);
   
-  // Recalculate account balance when component mounts or transactions change
-  useEffect(() => {
-    const recalculateBalance = async () => {
-      try {
-        if (account && account.id) {
-          await recalculateAccountBalance(account.id);
-          console.log('Account balance automatically recalculated');
-        }
-      } catch (error) {
-        console.error('Error automatically recalculating balance:', error);
-      }
-    };
-    
-    recalculateBalance();
-  }, [account?.id, transactions.length]);
-  
   // Filter transactions for this account
   useEffect(() => {
     console.log(`Total transactions in state: ${transactions.length}`);
@@ -170,6 +158,8 @@ const AccountDetailsScreen = ({ route, navigation }) => {
           } else if (t.type === 'expense') {
             expense += amount;
             console.log(`Added expense transaction: -${amount} (ID: ${t.id})`);
+          } else if (isTransfer(t)) {
+            // Transfers between accounts are neither income nor expense
           } else {
             console.warn(`Skipping transaction with unknown type: ${t.id}, ${t.type}`);
           }
@@ -322,6 +312,13 @@ const AccountDetailsScreen = ({ route, navigation }) => {
       .join(' ');
   };
   
+  // Whether a transaction adds money to this account
+  const isIncoming = (transaction) => (
+    isTransfer(transaction)
+      ? transaction.transferDirection === TRANSFER_DIRECTIONS.IN
+      : transaction.type === 'income'
+  );
+  
   // Format currency with enhanced error handling
   const formatCurrency = (amount) => {
     try {
@@ -396,13 +393,8 @@ const AccountDetailsScreen = ({ route, navigation }) => {
   const onRefresh = async () => {
     setRefreshing(true);
     try {
-      // Recalculate account balance
-      await recalculateAccountBalance(account.id);
-      
-      // Force a reload of transactions
-      if (loadTransactions) {
-        await loadTransactions();
-      }
+      // Balances are kept by the ledger, so reloading is enough
+      await Promise.all([loadAccounts(), loadTransactions()]);
     } catch (error) {
       console.error('Error refreshing data:', error);
     } finally {
@@ -426,48 +418,78 @@ const AccountDetailsScreen = ({ route, navigation }) => {
     navigation.navigate('EditAccount', { account });
   };
   
-  // Handle balance recalculation
-  const handleRecalculateBalance = () => {
+  // One line per discrepancy found by the ledger check
+  const describeDiscrepancy = (discrepancy) => {
+    switch (discrepancy.type) {
+      case DISCREPANCY_TYPES.BALANCE:
+        return `Balance shows ${formatCurrency(discrepancy.actual)} but the ledger adds up to ${formatCurrency(discrepancy.expected)}`;
+      case DISCREPANCY_TYPES.OPENING:
+        return `Initial balance is ${formatCurrency(discrepancy.expected)} but the ledger opened with ${formatCurrency(discrepancy.actual)}`;
+      case DISCREPANCY_TYPES.MISSING:
+        return `A transaction of ${formatCurrency(Math.abs(discrepancy.expected))} is not in the ledger`;
+      case DISCREPANCY_TYPES.MISMATCH:
+        return `A transaction moves ${formatCurrency(discrepancy.expected)} but the ledger recorded ${formatCurrency(discrepancy.actual)}`;
+      case DISCREPANCY_TYPES.ORPHANED:
+        return `The ledger holds ${formatCurrency(discrepancy.actual)} for a transaction that no longer exists`;
+      default:
+        return discrepancy.type;
+    }
+  };
+  
+  // Compare the balance with the ledger and transactions, and report what does not add up
+  const handleCheckBalance = async () => {
     setMenuVisible(false);
+    setRefreshing(true);
     
-    Alert.alert(
-      'Recalculate Balance',
-      'This will recalculate the account balance based on all transactions. Proceed?',
-      [
-        {
-          text: 'Cancel',
-          style: 'cancel'
-        },
-        {
-          text: 'Recalculate',
-          onPress: async () => {
-            try {
-              setRefreshing(true);
-              
-              // Call the recalculate function from context
-              console.log(`Initiating balance recalculation for account ${account.id}`);
-              const success = await recalculateAccountBalance(account.id);
-              
-              // Briefly wait to ensure any Firebase operations complete
-              await new Promise(resolve => setTimeout(resolve, 500));
-              
-              if (success) {
-                Alert.alert(
-                  'Success', 
-                  'Account balance has been recalculated based on all transactions.'
-                );
-              } else {
-                Alert.alert('Error', 'Failed to recalculate balance. Please try again.');
-              }
-            } catch (error) {
-              console.error('Error recalculating balance:', error, error.stack);
-              Alert.alert('Error', 'An unexpected error occurred. Please try again.');
-            } finally {
-              setRefreshing(false);
-            }
+    let report;
+    try {
+      [report] = await checkLedgerIntegrity([account.id]);
+    } finally {
+      setRefreshing(false);
+    }
+    
+    if (!report || report.error) {
+      Alert.alert('Error', 'Failed to check the balance. Please try again.');
+      return;
+    }
+    
+    if (report.discrepancies.length === 0) {
+      Alert.alert('Balance Checked', 'The balance matches the account history.');
+      return;
+    }
+    
+    const details = report.discrepancies.slice(0, 5).map(describeDiscrepancy);
+    if (report.discrepancies.length > details.length) {
+      details.push(`...and ${report.discrepancies.length - details.length} more`);
+    }
+    
+    // History from before the ledger (no opening entry, transactions not in it) can be
+    // recorded; anything else is left for the user to look into
+    const canRecordHistory = report.discrepancies.some(d => (
+      d.type === DISCREPANCY_TYPES.MISSING || (d.type === DISCREPANCY_TYPES.OPENING && d.actual === 0)
+    ));
+    const buttons = [{ text: 'OK', style: 'cancel' }];
+    if (canRecordHistory) {
+      buttons.push({
+        text: 'Record History',
+        onPress: async () => {
+          setRefreshing(true);
+          const success = await startAccountLedger(account.id);
+          setRefreshing(false);
+          
+          if (success) {
+            Alert.alert('Success', 'The account history has been recorded.');
+          } else {
+            Alert.alert('Error', 'Failed to record the account history. Please try again.');
           }
         }
-      ]
+      });
+    }
+    
+    Alert.alert(
+      'Balance Discrepancies',
+      `${details.join('\n\n')}\n\nBalance from transactions: ${formatCurrency(report.transactionBalance)}`,
+      buttons
     );
   };
   
@@ -550,6 +572,11 @@ const AccountDetailsScreen = ({ route, navigation }) => {
           onPress={navigateToEditAccount} 
           title="Edit Account" 
         />
+        <Menu.Item 
+          icon="scale-balance" 
+          onPress={handleCheckBalance} 
+          title="Check Balance" 
+        />
         <Menu.Item 
           icon="delete" 
           onPress={handleDeleteAccount} 
@@ -701,9 +728,9 @@ const AccountDetailsScreen = ({ route, navigation }) => {
               >
                 <View style={styles.transactionIcon}>
                   <MaterialCommunityIcons
-                    name={item.type === 'income' ? 'plus-circle' : 'minus-circle'}
+                    name={isTransfer(item) ? 'swap-horizontal-circle' : (item.type === 'income' ? 'plus-circle' : 'minus-circle')}
                     size={24}
-                    color={item.type === 'income' ? '#4CAF50' : '#F44336'}
+                    color={isTransfer(item) ? '#2196F3' : (item.type === 'income' ? '#4CAF50' : '#F44336')}
                   />
                 </View>
                 <View style={styles.transactionDetails}>
@@ -719,9 +746,9 @@ const AccountDetailsScreen = ({ route, navigation }) => {
                 </View>
                 <Text style={[
                   styles.transactionAmount,
-                  { color: item.type === 'income' ? '#4CAF50' : '#F44336' }
+                  { color: isTransfer(item) ? '#2196F3' : (item.type === 'income' ? '#4CAF50' : '#F44336') }
                 ]}>
-                  {item.type === 'income' ? '+' : '-'}{formatCurrency(Math.abs(item.amount))}
+                  {isIncoming(item) ? '+' : '-'}{formatCurrency(Math.abs(item.amount))}
                 </Text>
               </TouchableOpacity>
             )}
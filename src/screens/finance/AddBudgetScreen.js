@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert
+} from 'react-native';
+import { Button, Divider } from 'react-native-paper';
+import { useFinance, FINANCE_SCOPE } from '../../contexts/FinanceContext';
+import currencyService from '../../services/currencyService';
+import {
+  BUDGET_CATEGORIES,
+  BUDGET_PERIODS,
+  BUDGET_ROLLOVER,
+  formatBudgetDate
+} from '../../utils/budgets';
+
+const PERIOD_OPTIONS = [
+  { value: BUDGET_PERIODS.MONTHLY, label: 'Monthly' },
+  { value: BUDGET_PERIODS.WEEKLY, label: 'Weekly' },
+];
+
+const ROLLOVER_OPTIONS = [
+  { value: BUDGET_ROLLOVER.NONE, label: 'Start fresh', description: 'Each period starts with the full budget' },
+  { value: BUDGET_ROLLOVER.UNSPENT, label: 'Carry unspent', description: 'What is left over is added to the next period' },
+  { value: BUDGET_ROLLOVER.ALL, label: 'Carry all', description: 'Leftovers are added and overspending is taken off the next period' },
+];
+
+// Adds a budget, or edits the one passed as route.params.budget
+const AddBudgetScreen = ({ navigation, route }) => {
+  const { budgets = [], createBudget, updateBudget, deleteBudget, currentScope } = useFinance();
+
+  const existingBudget = route?.params?.budget;
+  const scope = existingBudget?.scope || route?.params?.scope || currentScope || FINANCE_SCOPE.PERSONAL;
+
+  // State for the form
+  const [formData, setFormData] = useState({
+    category: existingBudget?.category || '',
+    amount: existingBudget ? String(existingBudget.amount) : '',
+    period: existingBudget?.period || BUDGET_PERIODS.MONTHLY,
+    rollover: existingBudget?.rollover || BUDGET_ROLLOVER.NONE,
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Handle input changes
+  const handleInputChange = (field, value) => {
+    setFormData({
+      ...formData,
+      [field]: value
+    });
+  };
+
+  // Handle form submission
+  const handleSubmit = async () => {
+    // Validate form
+    if (!formData.category) {
+      Alert.alert('Error', 'Please select a category');
+      return;
+    }
+
+    if (!formData.amount || isNaN(formData.amount) || parseFloat(formData.amount) <= 0) {
+      Alert.alert('Error', 'Please enter a valid budget amount');
+      return;
+    }
+
+    const duplicate = budgets.some(budget =>
+      budget.id !== existingBudget?.id &&
+      budget.scope === scope &&
+      budget.category === formData.category &&
+      budget.period === formData.period
+    );
+    if (duplicate) {
+      Alert.alert('Error', 'There is already a budget for this category and period');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      // Rollover counts from the period the budget was set up in
+      const saved = existingBudget
+        ? await updateBudget(existingBudget.id, formData)
+        : await createBudget({ ...formData, scope, startDate: formatBudgetDate(new Date()) });
+
+      if (!saved) {
+        throw new Error('Failed to save budget');
+      }
+
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to save budget');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Handle delete
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Budget',
+      'Are you sure you want to delete this budget?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            if (await deleteBudget(existingBudget.id)) {
+              navigation.goBack();
+            } else {
+              Alert.alert('Error', 'Failed to delete budget');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Render a row of selectable options
+  const renderOptions = (field, options) => (
+    <View style={styles.optionSelector}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[
+            styles.option,
+            formData[field] === option.value && styles.optionSelected
+          ]}
+          onPress={() => handleInputChange(field, option.value)}
+        >
+          <Text
+            style={[
+              styles.optionText,
+              formData[field] === option.value && styles.optionTextSelected
+            ]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const selectedRollover = ROLLOVER_OPTIONS.find(option => option.value === formData.rollover);
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.formContainer}>
+        <Text style={styles.scopeLabel}>
+          {scope === FINANCE_SCOPE.PERSONAL ? 'Personal Budget' : 'Family Budget'}
+        </Text>
+
+        {/* Category */}
+        <Text style={styles.inputLabel}>Category</Text>
+        {renderOptions('category', BUDGET_CATEGORIES)}
+
+        {/* Amount */}
+        <Text style={styles.inputLabel}>Budget Amount</Text>
+        <View style={styles.amountInputContainer}>
+          <Text style={styles.currencySymbol}>{currencyService.getCurrencySymbol('GHS')}</Text>
+          <TextInput
+            style={styles.amountInput}
+            placeholder="0.00"
+            value={formData.amount}
+            onChangeText={(value) => handleInputChange('amount', value)}
+            keyboardType="decimal-pad"
+            placeholderTextColor="#999"
+          />
+        </View>
+
+        {/* Period */}
+        <Text style={styles.inputLabel}>Period</Text>
+        {renderOptions('period', PERIOD_OPTIONS)}
+
+        <Divider style={styles.divider} />
+
+        {/* Rollover */}
+        <Text style={styles.inputLabel}>At the end of each period</Text>
+        {renderOptions('rollover', ROLLOVER_OPTIONS)}
+        <Text style={styles.helperText}>{selectedRollover?.description}</Text>
+
+        {/* Submit Button */}
+        <Button
+          mode="contained"
+          style={styles.submitButton}
+          labelStyle={styles.submitButtonText}
+          onPress={handleSubmit}
+          loading={isSubmitting}
+          disabled={isSubmitting}
+        >
+          {existingBudget ? 'Save Budget' : 'Create Budget'}
+        </Button>
+
+        {existingBudget && (
+          <Button
+            mode="outlined"
+            style={styles.deleteButton}
+            textColor="#F44336"
+            onPress={handleDelete}
+            disabled={isSubmitting}
+          >
+            Delete Budget
+          </Button>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  formContainer: {
+    padding: 16,
+  },
+  scopeLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#666',
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+    marginTop: 16,
+  },
+  optionSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+  },
+  option: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    backgroundColor: 'white',
+    margin: 4,
+  },
+  optionSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  optionText: {
+    fontSize: 14,
+  },
+  optionTextSelected: {
+    color: 'white',
+  },
+  amountInputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    backgroundColor: 'white',
+  },
+  currencySymbol: {
+    fontSize: 20,
+    paddingHorizontal: 12,
+    color: '#333',
+  },
+  amountInput: {
+    flex: 1,
+    fontSize: 20,
+    paddingVertical: 10,
+    paddingRight: 12,
+  },
+  divider: {
+    marginTop: 24,
+    marginBottom: 8,
+  },
+  helperText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+  },
+  submitButton: {
+    marginTop: 24,
+    paddingVertical: 8,
+    backgroundColor: '#2196F3',
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  deleteButton: {
+    marginTop: 12,
+    marginBottom: 32,
+    borderColor: '#F44336',
+  },
+});
+
+export default AddBudgetScreen;
@@ -13,6 +13,12 @@ import { MaterialIcons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { useFinance, FINANCE_SCOPE } from '../../contexts/FinanceContext';
 import currencyService from '../../services/currencyService';
+import {
+  INTEREST_METHODS,
+  LATE_FEE_TYPES,
+  buildAmortizationSchedule,
+  getScheduleTotals
+} from '../../utils/loanAmortization';
 
 const AddLoanScreen = ({ navigation, route }) => {
   const { createLoan } = useFinance();
@@ -25,6 +31,7 @@ const AddLoanScreen = ({ navigation, route }) => {
     name: '',
     amount: '',
     interestRate: '0',
+    interestMethod: INTEREST_METHODS.FLAT,
     term: '12', // Default to 12 months
     startDate: new Date(),
     dueDate: new Date(new Date().setMonth(new Date().getMonth() + 12)), // Default to 12 months from now
@@ -32,6 +39,9 @@ const AddLoanScreen = ({ navigation, route }) => {
     lender: '', // If borrowed
     borrower: '', // If lent
     paymentFrequency: 'monthly', // monthly, bi-weekly, weekly
+    lateFeeType: LATE_FEE_TYPES.NONE,
+    lateFee: '',
+    gracePeriodDays: '0',
     scope: scope,
     status: 'active'
   });
@@ -46,7 +56,7 @@ const AddLoanScreen = ({ navigation, route }) => {
     if (formData.amount && formData.term && formData.startDate && formData.paymentFrequency) {
       generatePaymentSchedule();
     }
-  }, [formData.amount, formData.term, formData.startDate, formData.interestRate, formData.paymentFrequency]);
+  }, [formData.amount, formData.term, formData.startDate, formData.interestRate, formData.interestMethod, formData.paymentFrequency]);
   
   // Handle input changes
   const handleInputChange = (field, value) => {
@@ -102,48 +112,11 @@ const AddLoanScreen = ({ navigation, route }) => {
   
   // Generate payment schedule
   const generatePaymentSchedule = () => {
-    const amount = parseFloat(formData.amount) || 0;
-    const term = parseInt(formData.term) || 12;
-    const interestRate = parseFloat(formData.interestRate) || 0;
-    const startDate = new Date(formData.startDate);
-    
-    if (amount <= 0 || term <= 0) {
-      setPaymentSchedule([]);
-      return;
-    }
-    
-    // Calculate total amount with interest
-    const totalInterest = (amount * interestRate / 100);
-    const totalAmount = amount + totalInterest;
-    
-    // Calculate payment amount per period
-    const paymentAmount = totalAmount / term;
-    
-    // Generate schedule
-    const schedule = [];
-    
-    for (let i = 0; i < term; i++) {
-      const dueDate = new Date(startDate);
-      
-      if (formData.paymentFrequency === 'monthly') {
-        dueDate.setMonth(dueDate.getMonth() + (i + 1));
-      } else if (formData.paymentFrequency === 'bi-weekly') {
-        dueDate.setDate(dueDate.getDate() + ((i + 1) * 14));
-      } else if (formData.paymentFrequency === 'weekly') {
-        dueDate.setDate(dueDate.getDate() + ((i + 1) * 7));
-      }
-      
-      schedule.push({
-        paymentNumber: i + 1,
-        dueDate,
-        amount: paymentAmount,
-        status: 'pending'
-      });
-    }
-    
-    setPaymentSchedule(schedule);
+    setPaymentSchedule(buildAmortizationSchedule(formData));
   };
   
+  const scheduleTotals = getScheduleTotals(paymentSchedule);
+  
   // Handle form submission
   const handleSubmit = async () => {
     // Validate form
@@ -167,6 +140,11 @@ const AddLoanScreen = ({ navigation, route }) => {
       return;
     }
     
+    if (formData.lateFeeType !== LATE_FEE_TYPES.NONE && !(parseFloat(formData.lateFee) > 0)) {
+      Alert.alert('Error', 'Please enter a valid late fee');
+      return;
+    }
+    
     if (paymentSchedule.length === 0) {
       Alert.alert('Error', 'Failed to generate payment schedule');
       return;
@@ -181,6 +159,8 @@ const AddLoanScreen = ({ navigation, route }) => {
         amount: parseFloat(formData.amount),
         interestRate: parseFloat(formData.interestRate) || 0,
         term: parseInt(formData.term) || 12,
+        lateFee: parseFloat(formData.lateFee) || 0,
+        gracePeriodDays: parseInt(formData.gracePeriodDays) || 0,
         paymentSchedule,
         // Initialize new payment system fields
         payments: [],
@@ -281,6 +261,27 @@ const AddLoanScreen = ({ navigation, route }) => {
           />
         </View>
         
+        {/* Interest Method */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.inputLabel}>Interest Method</Text>
+          <SegmentedButtons
+            value={formData.interestMethod}
+            onValueChange={(value) => handleInputChange('interestMethod', value)}
+            buttons={[
+              { value: INTEREST_METHODS.FLAT, label: 'Flat' },
+              { value: INTEREST_METHODS.REDUCING, label: 'Reducing' },
+              { value: INTEREST_METHODS.COMPOUND, label: 'Compound' }
+            ]}
+          />
+          <Text style={styles.helperText}>
+            {formData.interestMethod === INTEREST_METHODS.FLAT
+              ? 'Interest on the full amount for the whole term'
+              : formData.interestMethod === INTEREST_METHODS.REDUCING
+              ? 'Interest only on what is still owed, so it falls as the loan is repaid'
+              : 'Interest added to the amount owed every payment period'}
+          </Text>
+        </View>
+        
         {/* Term */}
         <View style={styles.inputGroup}>
           <Text style={styles.inputLabel}>Term (number of payments)</Text>
@@ -308,6 +309,49 @@ const AddLoanScreen = ({ navigation, route }) => {
           />
         </View>
         
+        {/* Late Fee */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.inputLabel}>Late Fee</Text>
+          <SegmentedButtons
+            value={formData.lateFeeType}
+            onValueChange={(value) => handleInputChange('lateFeeType', value)}
+            buttons={[
+              { value: LATE_FEE_TYPES.NONE, label: 'None' },
+              { value: LATE_FEE_TYPES.FIXED, label: 'Fixed' },
+              { value: LATE_FEE_TYPES.PERCENTAGE, label: '% of Payment' }
+            ]}
+          />
+        </View>
+        
+        {formData.lateFeeType !== LATE_FEE_TYPES.NONE && (
+          <View style={styles.row}>
+            <View style={[styles.inputGroup, styles.rowItem]}>
+              <Text style={styles.inputLabel}>
+                {formData.lateFeeType === LATE_FEE_TYPES.FIXED ? 'Fee per Late Payment' : 'Fee (%)'}
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={formData.lateFee}
+                onChangeText={(text) => handleInputChange('lateFee', text)}
+                placeholder="0.00"
+                placeholderTextColor="#9ca3af"
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={[styles.inputGroup, styles.rowItem]}>
+              <Text style={styles.inputLabel}>Grace Period (days)</Text>
+              <TextInput
+                style={styles.input}
+                value={formData.gracePeriodDays}
+                onChangeText={(text) => handleInputChange('gracePeriodDays', text)}
+                placeholder="0"
+                placeholderTextColor="#9ca3af"
+                keyboardType="numeric"
+              />
+            </View>
+          </View>
+        )}
+        
         {/* Start Date */}
         <View style={styles.inputGroup}>
           <Text style={styles.inputLabel}>Start Date</Text>
@@ -363,6 +407,7 @@ const AddLoanScreen = ({ navigation, route }) => {
               <Text style={[styles.scheduleCell, styles.scheduleHeaderText]}>Payment</Text>
               <Text style={[styles.scheduleCell, styles.scheduleHeaderText]}>Due Date</Text>
               <Text style={[styles.scheduleCell, styles.scheduleHeaderText]}>Amount</Text>
+              <Text style={[styles.scheduleCell, styles.scheduleHeaderText]}>Interest</Text>
             </View>
             
             {/* Display first 3 payments */}
@@ -373,6 +418,9 @@ const AddLoanScreen = ({ navigation, route }) => {
                 <Text style={styles.scheduleCell}>
                   {currencyService.formatCurrency(payment.amount, 'GHS')}
                 </Text>
+                <Text style={styles.scheduleCell}>
+                  {currencyService.formatCurrency(payment.interest, 'GHS')}
+                </Text>
               </View>
             ))}
             
@@ -389,7 +437,10 @@ const AddLoanScreen = ({ navigation, route }) => {
                 Total payments: {paymentSchedule.length}
               </Text>
               <Text style={styles.summaryText}>
-                Total amount: {currencyService.formatCurrency(paymentSchedule.reduce((sum, payment) => sum + payment.amount, 0), 'GHS')}
+                Total interest: {currencyService.formatCurrency(scheduleTotals.interest, 'GHS')}
+              </Text>
+              <Text style={styles.summaryText}>
+                Total amount: {currencyService.formatCurrency(scheduleTotals.total, 'GHS')}
               </Text>
             </View>
           </View>
@@ -459,6 +510,19 @@ const styles = StyleSheet.create({
     padding: 12,
     fontSize: 16,
   },
+  helperText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    marginHorizontal: -6,
+  },
+  rowItem: {
+    flex: 1,
+    marginHorizontal: 6,
+  },
   dateSelector: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -12,6 +12,22 @@ import { Button, Divider } from 'react-native-paper';
 import { MaterialIcons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { useFinance } from '../../contexts/FinanceContext';
+import currencyService from '../../services/currencyService';
+import { RECURRENCE_FREQUENCIES, formatRecurrenceDate } from '../../utils/recurringTransactions';
+import { TRANSFER_TYPE } from '../../utils/transfers';
+
+const REPEAT_OPTIONS = [
+  { value: null, label: 'Never' },
+  { value: RECURRENCE_FREQUENCIES.DAILY, label: 'Daily', unit: 'day' },
+  { value: RECURRENCE_FREQUENCIES.WEEKLY, label: 'Weekly', unit: 'week' },
+  { value: RECURRENCE_FREQUENCIES.MONTHLY, label: 'Monthly', unit: 'month' },
+];
+
+const REPEAT_END_OPTIONS = [
+  { value: 'never', label: 'Never' },
+  { value: 'date', label: 'On a date' },
+  { value: 'count', label: 'After a number of times' },
+];
 
 const AddTransactionScreen = ({ navigation, route }) => {
   // Get finance context and account if passed from route params
@@ -21,6 +37,7 @@ const AddTransactionScreen = ({ navigation, route }) => {
   // State for the form
   const [formData, setFormData] = useState({
     accountId: selectedAccount?.id || '',
+    toAccountId: '', // Receiving account for transfers
     amount: '',
     type: 'expense', // Default to expense
     category: '',
@@ -28,8 +45,18 @@ const AddTransactionScreen = ({ navigation, route }) => {
     date: new Date(),
   });
   
+  // Repeat settings; with a frequency the transaction becomes a recurring one starting on formData.date
+  const [repeat, setRepeat] = useState({
+    frequency: null,
+    interval: '1',
+    ends: 'never',
+    endDate: new Date(new Date().setFullYear(new Date().getFullYear() + 1)),
+    occurrenceCount: '',
+  });
+  
   const [accounts, setAccounts] = useState([]);
   const [showDatePicker, setShowDatePicker] = useState(false);
+  const [showEndDatePicker, setShowEndDatePicker] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   
   // Load accounts from context
@@ -58,6 +85,22 @@ const AddTransactionScreen = ({ navigation, route }) => {
     }
   }, []);
   
+  // Handle repeat changes
+  const handleRepeatChange = useCallback((field, value) => {
+    setRepeat(prevRepeat => ({
+      ...prevRepeat,
+      [field]: value
+    }));
+  }, []);
+  
+  // Handle repeat end date change
+  const handleEndDateChange = useCallback((event, selectedDate) => {
+    setShowEndDatePicker(false);
+    if (selectedDate) {
+      handleRepeatChange('endDate', selectedDate);
+    }
+  }, [handleRepeatChange]);
+  
   // Format date for display
   const formatDate = useCallback((date) => {
     return date.toLocaleDateString('en-US', {
@@ -80,22 +123,89 @@ const AddTransactionScreen = ({ navigation, route }) => {
       return;
     }
     
-    if (!formData.category) {
+    const isTransfer = formData.type === TRANSFER_TYPE;
+    
+    if (isTransfer && !formData.toAccountId) {
+      Alert.alert('Error', 'Please select the account to transfer to');
+      return;
+    }
+    
+    if (isTransfer && formData.toAccountId === formData.accountId) {
+      Alert.alert('Error', 'Please choose two different accounts');
+      return;
+    }
+    
+    if (!isTransfer && !formData.category) {
       Alert.alert('Error', 'Please select a category');
       return;
     }
     
+    if (!isTransfer && repeat.frequency) {
+      const interval = parseInt(repeat.interval, 10);
+      if (!interval || interval < 1) {
+        Alert.alert('Error', 'Please enter how often the transaction repeats');
+        return;
+      }
+      
+      if (repeat.ends === 'count' && !(parseInt(repeat.occurrenceCount, 10) >= 1)) {
+        Alert.alert('Error', 'Please enter how many times the transaction repeats');
+        return;
+      }
+      
+      if (repeat.ends === 'date' && formatRecurrenceDate(repeat.endDate) < formatRecurrenceDate(formData.date)) {
+        Alert.alert('Error', 'The end date must be on or after the first date');
+        return;
+      }
+    }
+    
     setIsSubmitting(true);
     
     try {
-      await financeContext.createTransaction({
-        ...formData,
-        amount: parseFloat(formData.amount)
-      });
+      if (isTransfer) {
+        const created = await financeContext.createTransfer({
+          fromAccountId: formData.accountId,
+          toAccountId: formData.toAccountId,
+          amount: parseFloat(formData.amount),
+          date: formData.date,
+          description: formData.description
+        });
+        
+        if (!created) {
+          throw new Error('Failed to transfer');
+        }
+      } else if (repeat.frequency) {
+        const { date, toAccountId, ...transactionData } = formData;
+        const created = await financeContext.createRecurringTransaction({
+          ...transactionData,
+          amount: parseFloat(formData.amount),
+          startDate: formatRecurrenceDate(date),
+          frequency: repeat.frequency,
+          interval: parseInt(repeat.interval, 10),
+          endDate: repeat.ends === 'date' ? formatRecurrenceDate(repeat.endDate) : null,
+          occurrenceCount: repeat.ends === 'count' ? parseInt(repeat.occurrenceCount, 10) : null
+        });
+        
+        if (!created) {
+          throw new Error('Failed to set up recurring transaction');
+        }
+      } else {
+        const { toAccountId, ...transactionData } = formData;
+        await financeContext.createTransaction({
+          ...transactionData,
+          amount: parseFloat(formData.amount)
+        });
+      }
+      
+      let successMessage = 'Transaction added successfully';
+      if (isTransfer) {
+        successMessage = 'Transfer made successfully';
+      } else if (repeat.frequency) {
+        successMessage = 'Recurring transaction set up successfully';
+      }
       
       Alert.alert(
         'Success', 
-        'Transaction added successfully', 
+        successMessage, 
         [{ text: 'OK', onPress: () => navigation.goBack() }]
       );
     } catch (error) {
@@ -103,7 +213,7 @@ const AddTransactionScreen = ({ navigation, route }) => {
     } finally {
       setIsSubmitting(false);
     }
-  }, [formData, financeContext, navigation]);
+  }, [formData, repeat, financeContext, navigation]);
   
   // Get categories based on transaction type
   const getCategories = useCallback(() => {
@@ -139,6 +249,62 @@ const AddTransactionScreen = ({ navigation, route }) => {
       .join(' ');
   }, []);
   
+  // What the receiving account gets when a transfer crosses currencies
+  const getTransferConversion = useCallback(() => {
+    const fromAccount = accounts.find(account => account.id === formData.accountId);
+    const toAccount = accounts.find(account => account.id === formData.toAccountId);
+    if (!fromAccount || !toAccount) return null;
+    
+    const fromCurrency = fromAccount.currency || 'GHS';
+    const toCurrency = toAccount.currency || 'GHS';
+    if (fromCurrency === toCurrency) return null;
+    
+    const { convertedAmount, exchangeRate } = currencyService.getConversionInfo(
+      parseFloat(formData.amount) || 0,
+      fromCurrency,
+      toCurrency
+    );
+    return {
+      converted: currencyService.formatCurrency(convertedAmount, toCurrency),
+      rate: exchangeRate
+        ? `1 ${fromCurrency} = ${Number(exchangeRate.toFixed(4))} ${toCurrency}`
+        : 'Exchange rate unavailable'
+    };
+  }, [accounts, formData.accountId, formData.toAccountId, formData.amount]);
+  
+  // Render account choices for the given form field
+  const renderAccountSelector = (field) => (
+    <View style={styles.accountSelector}>
+      {accounts.map(account => (
+        <TouchableOpacity
+          key={account.id}
+          style={[
+            styles.accountOption,
+            formData[field] === account.id && styles.accountOptionSelected
+          ]}
+          onPress={() => handleInputChange(field, account.id)}
+        >
+          <MaterialIcons 
+            name={account.icon || "account-balance-wallet"} 
+            size={20} 
+            color={formData[field] === account.id ? 'white' : '#333'} 
+          />
+          <Text 
+            style={[
+              styles.accountOptionText,
+              formData[field] === account.id && styles.accountOptionTextSelected
+            ]}
+          >
+            {account.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+  
+  const isTransfer = formData.type === TRANSFER_TYPE;
+  const transferConversion = isTransfer ? getTransferConversion() : null;
+  
   return (
     <ScrollView style={styles.container}>
       <View style={styles.formContainer}>
@@ -188,6 +354,28 @@ const AddTransactionScreen = ({ navigation, route }) => {
               Income
             </Text>
           </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[
+              styles.typeButton,
+              isTransfer && styles.typeButtonSelectedTransfer
+            ]}
+            onPress={() => handleInputChange('type', TRANSFER_TYPE)}
+          >
+            <MaterialIcons 
+              name="swap-horiz" 
+              size={24} 
+              color={isTransfer ? 'white' : '#2196F3'} 
+            />
+            <Text 
+              style={[
+                styles.typeButtonText,
+                isTransfer && styles.typeButtonTextSelected
+              ]}
+            >
+              Transfer
+            </Text>
+          </TouchableOpacity>
         </View>
         
         <Divider style={styles.divider} />
@@ -207,61 +395,56 @@ const AddTransactionScreen = ({ navigation, route }) => {
         </View>
         
         {/* Account Selection */}
-        <Text style={styles.inputLabel}>Account</Text>
-        <View style={styles.accountSelector}>
-          {accounts.map(account => (
-            <TouchableOpacity
-              key={account.id}
-              style={[
-                styles.accountOption,
-                formData.accountId === account.id && styles.accountOptionSelected
-              ]}
-              onPress={() => handleInputChange('accountId', account.id)}
-            >
-              <MaterialIcons 
-                name={account.icon || "account-balance-wallet"} 
-                size={20} 
-                color={formData.accountId === account.id ? 'white' : '#333'} 
-              />
-              <Text 
-                style={[
-                  styles.accountOptionText,
-                  formData.accountId === account.id && styles.accountOptionTextSelected
-                ]}
-              >
-                {account.name}
-              </Text>
-            </TouchableOpacity>
-          ))}
-        </View>
+        <Text style={styles.inputLabel}>{isTransfer ? 'From Account' : 'Account'}</Text>
+        {renderAccountSelector('accountId')}
+        
+        {isTransfer && (
+          <>
+            <Text style={styles.inputLabel}>To Account</Text>
+            {renderAccountSelector('toAccountId')}
+            
+            {transferConversion && (
+              <View style={styles.conversionInfo}>
+                <MaterialIcons name="currency-exchange" size={18} color="#666" />
+                <Text style={styles.conversionText}>
+                  Arrives as {transferConversion.converted} ({transferConversion.rate})
+                </Text>
+              </View>
+            )}
+          </>
+        )}
         
         {/* Category Selection */}
-        <Text style={styles.inputLabel}>Category</Text>
-        <View style={styles.categorySelector}>
-          {getCategories().map(category => (
-            <TouchableOpacity
-              key={category}
-              style={[
-                styles.categoryOption,
-                formData.category === category && (
-                  formData.type === 'expense' 
-                    ? styles.categoryOptionSelected 
-                    : styles.categoryOptionSelectedIncome
-                )
-              ]}
-              onPress={() => handleInputChange('category', category)}
-            >
-              <Text 
-                style={[
-                  styles.categoryOptionText,
-                  formData.category === category && styles.categoryOptionTextSelected
-                ]}
-              >
-                {formatCategory(category)}
-              </Text>
-            </TouchableOpacity>
-          ))}
-        </View>
+        {!isTransfer && (
+          <>
+            <Text style={styles.inputLabel}>Category</Text>
+            <View style={styles.categorySelector}>
+              {getCategories().map(category => (
+                <TouchableOpacity
+                  key={category}
+                  style={[
+                    styles.categoryOption,
+                    formData.category === category && (
+                      formData.type === 'expense' 
+                        ? styles.categoryOptionSelected 
+                        : styles.categoryOptionSelectedIncome
+                    )
+                  ]}
+                  onPress={() => handleInputChange('category', category)}
+                >
+                  <Text 
+                    style={[
+                      styles.categoryOptionText,
+                      formData.category === category && styles.categoryOptionTextSelected
+                    ]}
+                  >
+                    {formatCategory(category)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
         
         {/* Description */}
         <Text style={styles.inputLabel}>Description (Optional)</Text>
@@ -293,6 +476,108 @@ const AddTransactionScreen = ({ navigation, route }) => {
           />
         )}
         
+        {/* Repeat */}
+        {!isTransfer && (
+          <>
+            <Text style={styles.inputLabel}>Repeat</Text>
+            <View style={styles.categorySelector}>
+              {REPEAT_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[
+                    styles.categoryOption,
+                    repeat.frequency === option.value && styles.repeatOptionSelected
+                  ]}
+                  onPress={() => handleRepeatChange('frequency', option.value)}
+                >
+                  <Text 
+                    style={[
+                      styles.categoryOptionText,
+                      repeat.frequency === option.value && styles.categoryOptionTextSelected
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+        
+            {repeat.frequency && (
+              <>
+                <View style={styles.intervalRow}>
+                  <Text style={styles.intervalText}>Every</Text>
+                  <TextInput
+                    style={styles.intervalInput}
+                    value={repeat.interval}
+                    onChangeText={(value) => handleRepeatChange('interval', value)}
+                    keyboardType="number-pad"
+                  />
+                  <Text style={styles.intervalText}>
+                    {REPEAT_OPTIONS.find(option => option.value === repeat.frequency).unit}
+                    {repeat.interval === '1' ? '' : 's'}
+                  </Text>
+                </View>
+            
+                <Text style={styles.inputLabel}>Ends</Text>
+                <View style={styles.categorySelector}>
+                  {REPEAT_END_OPTIONS.map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.categoryOption,
+                        repeat.ends === option.value && styles.repeatOptionSelected
+                      ]}
+                      onPress={() => handleRepeatChange('ends', option.value)}
+                    >
+                      <Text 
+                        style={[
+                          styles.categoryOptionText,
+                          repeat.ends === option.value && styles.categoryOptionTextSelected
+                        ]}
+                      >
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+            
+                {repeat.ends === 'date' && (
+                  <TouchableOpacity
+                    style={[styles.dateSelector, styles.repeatEndInput]}
+                    onPress={() => setShowEndDatePicker(true)}
+                  >
+                    <MaterialIcons name="event" size={20} color="#333" />
+                    <Text style={styles.dateText}>{formatDate(repeat.endDate)}</Text>
+                  </TouchableOpacity>
+                )}
+            
+                {showEndDatePicker && (
+                  <DateTimePicker
+                    value={repeat.endDate}
+                    mode="date"
+                    display="default"
+                    onChange={handleEndDateChange}
+                  />
+                )}
+            
+                {repeat.ends === 'count' && (
+                  <View style={[styles.intervalRow, styles.repeatEndInput]}>
+                    <TextInput
+                      style={styles.intervalInput}
+                      value={repeat.occurrenceCount}
+                      onChangeText={(value) => handleRepeatChange('occurrenceCount', value)}
+                      keyboardType="number-pad"
+                      placeholder="12"
+                      placeholderTextColor="#999"
+                    />
+                    <Text style={styles.intervalText}>times</Text>
+                  </View>
+                )}
+              </>
+            )}
+          </>
+        )}
+        
         {/* Submit Button */}
         <Button
           mode="contained"
@@ -302,7 +587,7 @@ const AddTransactionScreen = ({ navigation, route }) => {
           loading={isSubmitting}
           disabled={isSubmitting}
         >
-          Add {formData.type === 'expense' ? 'Expense' : 'Income'}
+          {isTransfer ? 'Transfer' : `Add ${formData.type === 'expense' ? 'Expense' : 'Income'}`}
         </Button>
       </View>
     </ScrollView>
@@ -345,6 +630,10 @@ const styles = StyleSheet.create({
     backgroundColor: '#4CAF50',
     borderColor: '#4CAF50',
   },
+  typeButtonSelectedTransfer: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
   typeButtonText: {
     marginLeft: 8,
     fontSize: 16,
@@ -408,6 +697,16 @@ const styles = StyleSheet.create({
   accountOptionTextSelected: {
     color: 'white',
   },
+  conversionInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  conversionText: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: '#666',
+  },
   categorySelector: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -460,6 +759,33 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontSize: 16,
   },
+  repeatOptionSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  intervalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  intervalText: {
+    fontSize: 16,
+    marginHorizontal: 8,
+  },
+  intervalInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    backgroundColor: 'white',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    minWidth: 60,
+    textAlign: 'center',
+  },
+  repeatEndInput: {
+    marginTop: 8,
+  },
   submitButton: {
     marginTop: 24,
     marginBottom: 32,
@@ -31,8 +31,7 @@ const EditAccountScreen = ({ navigation, route }) => {
   const [formData, setFormData] = useState({
     name: account.name || '',
     type: account.type || 'checking',
-    balance: account.balance ? account.balance.toString() : '0',
-    initialBalance: account.initialBalance ? account.initialBalance.toString() : (account.balance ? account.balance.toString() : '0'),
+    initialBalance: account.initialBalance ? account.initialBalance.toString() : '0',
     currency: account.currency || 'USD',
     icon: account.icon || 'account-balance',
     color: account.color || '#2196F3',
@@ -106,8 +105,8 @@ const EditAccountScreen = ({ navigation, route }) => {
       return;
     }
     
-    if (!formData.balance || isNaN(formData.balance)) {
-      Alert.alert('Error', 'Please enter a valid balance');
+    if (!formData.initialBalance || isNaN(formData.initialBalance)) {
+      Alert.alert('Error', 'Please enter a valid initial balance');
       return;
     }
     
@@ -118,7 +117,6 @@ const EditAccountScreen = ({ navigation, route }) => {
       const accountData = {
         name: formData.name.trim(),
         type: formData.type,
-        balance: parseFloat(formData.balance),
         initialBalance: parseFloat(formData.initialBalance),
         currency: formData.currency,
         icon: formData.icon,
@@ -228,19 +226,6 @@ const EditAccountScreen = ({ navigation, route }) => {
           </Menu>
         </View>
         
-        {/* Balance */}
-        <View style={styles.inputGroup}>
-          <Text style={styles.inputLabel}>Current Balance</Text>
-          <TextInput
-            style={styles.input}
-            value={formData.balance}
-            onChangeText={(text) => handleInputChange('balance', text)}
-            placeholder="0.00"
-            placeholderTextColor="#9ca3af"
-            keyboardType="numeric"
-          />
-        </View>
-        
         {/* Initial Balance */}
         <View style={styles.inputGroup}>
           <Text style={styles.inputLabel}>Initial Balance</Text>
@@ -253,7 +238,7 @@ const EditAccountScreen = ({ navigation, route }) => {
             keyboardType="numeric"
           />
           <Text style={styles.helperText}>
-            The starting balance of this account. Used for balance recalculation.
+            The starting balance of this account. The current balance follows from this and the account's transactions.
           </Text>
         </View>
         
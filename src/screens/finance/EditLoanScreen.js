@@ -13,6 +13,17 @@ import { MaterialIcons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { useFinance, FINANCE_SCOPE } from '../../contexts/FinanceContext';
 import currencyService from '../../services/currencyService';
+import {
+  INTEREST_METHODS,
+  LATE_FEE_TYPES,
+  buildAmortizationSchedule,
+  getInterestMethod,
+  getLoanSchedule,
+  getScheduleTotals
+} from '../../utils/loanAmortization';
+
+// Fields the payment schedule is built from
+const SCHEDULE_FIELDS = ['amount', 'interestRate', 'interestMethod', 'term', 'startDate', 'paymentFrequency'];
 
 const EditLoanScreen = ({ navigation, route }) => {
   const { updateLoan } = useFinance();
@@ -42,6 +53,7 @@ const EditLoanScreen = ({ navigation, route }) => {
     name: initialLoan.name || '',
     amount: initialLoan.amount?.toString() || '',
     interestRate: initialLoan.interestRate?.toString() || '0',
+    interestMethod: getInterestMethod(initialLoan),
     term: initialLoan.term?.toString() || '12',
     startDate: safelyConvertDate(initialLoan.startDate),
     dueDate: safelyConvertDate(initialLoan.dueDate),
@@ -49,6 +61,9 @@ const EditLoanScreen = ({ navigation, route }) => {
     lender: initialLoan.lender || '',
     borrower: initialLoan.borrower || '',
     paymentFrequency: initialLoan.paymentFrequency || 'monthly',
+    lateFeeType: initialLoan.lateFeeType || LATE_FEE_TYPES.NONE,
+    lateFee: initialLoan.lateFee?.toString() || '',
+    gracePeriodDays: initialLoan.gracePeriodDays?.toString() || '0',
     scope: initialLoan.scope || FINANCE_SCOPE.PERSONAL,
     status: initialLoan.status || 'active',
     notes: initialLoan.notes || ''
@@ -57,7 +72,9 @@ const EditLoanScreen = ({ navigation, route }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showStartDatePicker, setShowStartDatePicker] = useState(false);
   const [showDueDatePicker, setShowDueDatePicker] = useState(false);
-  const [paymentSchedule, setPaymentSchedule] = useState(initialLoan.paymentSchedule || []);
+  const [paymentSchedule, setPaymentSchedule] = useState(() => getLoanSchedule(initialLoan));
+  // The stored schedule is kept until the terms are edited, so opening a loan never changes what it owes
+  const [termsEdited, setTermsEdited] = useState(false);
   
   // Set navigation title
   useEffect(() => {
@@ -69,13 +86,16 @@ const EditLoanScreen = ({ navigation, route }) => {
   
   // Update payment schedule when relevant fields change
   useEffect(() => {
-    if (formData.amount && formData.term && formData.startDate && formData.paymentFrequency) {
+    if (termsEdited && formData.amount && formData.term && formData.startDate && formData.paymentFrequency) {
       generatePaymentSchedule();
     }
-  }, [formData.amount, formData.term, formData.startDate, formData.interestRate, formData.paymentFrequency]);
+  }, [termsEdited, formData.amount, formData.term, formData.startDate, formData.interestRate, formData.interestMethod, formData.paymentFrequency]);
   
   // Handle input changes
   const handleInputChange = (field, value) => {
+    if (SCHEDULE_FIELDS.includes(field)) {
+      setTermsEdited(true);
+    }
     setFormData({
       ...formData,
       [field]: value
@@ -98,6 +118,7 @@ const EditLoanScreen = ({ navigation, route }) => {
         newDueDate.setDate(newDueDate.getDate() + (term * 7));
       }
       
+      setTermsEdited(true);
       setFormData({
         ...formData,
         startDate: selectedDate,
@@ -148,62 +169,20 @@ const EditLoanScreen = ({ navigation, route }) => {
     }
   };
   
-  // Generate payment schedule
+  // Generate payment schedule (preserve existing payment statuses)
   const generatePaymentSchedule = () => {
-    const amount = parseFloat(formData.amount) || 0;
-    const term = parseInt(formData.term) || 12;
-    const interestRate = parseFloat(formData.interestRate) || 0;
-    const startDate = new Date(formData.startDate);
-    
-    // Validate startDate is a valid date
-    if (amount <= 0 || term <= 0 || isNaN(startDate.getTime())) {
-      setPaymentSchedule([]);
-      return;
-    }
-    
-    // Calculate total amount with interest
-    const totalInterest = (amount * interestRate / 100);
-    const totalAmount = amount + totalInterest;
-    
-    // Calculate payment amount per period
-    const paymentAmount = totalAmount / term;
-    
-    // Generate schedule (preserve existing payment statuses)
-    const schedule = [];
     const existingSchedule = initialLoan.paymentSchedule || [];
     
-    for (let i = 0; i < term; i++) {
-      const dueDate = new Date(startDate);
-      
-      if (formData.paymentFrequency === 'monthly') {
-        dueDate.setMonth(dueDate.getMonth() + (i + 1));
-      } else if (formData.paymentFrequency === 'bi-weekly') {
-        dueDate.setDate(dueDate.getDate() + ((i + 1) * 14));
-      } else if (formData.paymentFrequency === 'weekly') {
-        dueDate.setDate(dueDate.getDate() + ((i + 1) * 7));
-      }
-      
-      // Ensure dueDate is valid before adding to schedule
-      if (isNaN(dueDate.getTime())) {
-        console.error('Invalid due date generated for payment', i + 1);
-        continue;
-      }
-      
-      // Preserve existing payment status if available
-      const existingPayment = existingSchedule[i];
-      const status = existingPayment ? existingPayment.status : 'pending';
-      
-      schedule.push({
-        paymentNumber: i + 1,
-        dueDate,
-        amount: paymentAmount,
-        status: status
-      });
-    }
-    
-    setPaymentSchedule(schedule);
+    setPaymentSchedule(
+      buildAmortizationSchedule(formData).map((payment, index) => ({
+        ...payment,
+        status: existingSchedule[index] ? existingSchedule[index].status : payment.status
+      }))
+    );
   };
   
+  const scheduleTotals = getScheduleTotals(paymentSchedule, formData.amount);
+  
   // Handle form submission
   const handleSubmit = async () => {
     // Validate form
@@ -227,6 +206,11 @@ const EditLoanScreen = ({ navigation, route }) => {
       return;
     }
     
+    if (formData.lateFeeType !== LATE_FEE_TYPES.NONE && !(parseFloat(formData.lateFee) > 0)) {
+      Alert.alert('Error', 'Please enter a valid late fee');
+      return;
+    }
+    
     if (paymentSchedule.length === 0) {
       Alert.alert('Error', 'Failed to generate payment schedule');
       return;
@@ -241,6 +225,8 @@ const EditLoanScreen = ({ navigation, route }) => {
         amount: parseFloat(formData.amount),
         interestRate: parseFloat(formData.interestRate) || 0,
         term: parseInt(formData.term) || 12,
+        lateFee: parseFloat(formData.lateFee) || 0,
+        gracePeriodDays: parseInt(formData.gracePeriodDays) || 0,
         paymentSchedule,
         // Preserve existing payment data or initialize if not present
         payments: initialLoan.payments || [],
@@ -337,6 +323,29 @@ const EditLoanScreen = ({ navigation, route }) => {
           />
         </View>
         
+        {/* Interest Method */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.inputLabel}>Interest Method</Text>
+          <SegmentedButtons
+            value={formData.interestMethod}
+            onValueChange={(value) => handleInputChange('interestMethod', value)}
+            buttons={[
+              { value: INTEREST_METHODS.FLAT, label: 'Flat' },
+              { value: INTEREST_METHODS.REDUCING, label: 'Reducing' },
+              { value: INTEREST_METHODS.COMPOUND, label: 'Compound' },
+              // Only offered to loans that already use it
+              ...(getInterestMethod(initialLoan) === INTEREST_METHODS.LEGACY_FLAT
+                ? [{ value: INTEREST_METHODS.LEGACY_FLAT, label: 'Whole Loan' }]
+                : [])
+            ]}
+          />
+          {formData.interestMethod === INTEREST_METHODS.LEGACY_FLAT && (
+            <Text style={styles.helperText}>
+              Interest rate charged once on the full amount, whatever the term
+            </Text>
+          )}
+        </View>
+        
         {/* Term */}
         <View style={styles.inputGroup}>
           <Text style={styles.inputLabel}>Term (number of payments)</Text>
@@ -363,6 +372,47 @@ const EditLoanScreen = ({ navigation, route }) => {
           />
         </View>
         
+        {/* Late Fee */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.inputLabel}>Late Fee</Text>
+          <SegmentedButtons
+            value={formData.lateFeeType}
+            onValueChange={(value) => handleInputChange('lateFeeType', value)}
+            buttons={[
+              { value: LATE_FEE_TYPES.NONE, label: 'None' },
+              { value: LATE_FEE_TYPES.FIXED, label: 'Fixed' },
+              { value: LATE_FEE_TYPES.PERCENTAGE, label: '% of Payment' }
+            ]}
+          />
+        </View>
+        
+        {formData.lateFeeType !== LATE_FEE_TYPES.NONE && (
+          <View style={styles.row}>
+            <View style={[styles.inputGroup, styles.rowItem]}>
+              <Text style={styles.inputLabel}>
+                {formData.lateFeeType === LATE_FEE_TYPES.FIXED ? 'Fee per Late Payment' : 'Fee (%)'}
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={formData.lateFee}
+                onChangeText={(text) => handleInputChange('lateFee', text)}
+                placeholder="0.00"
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={[styles.inputGroup, styles.rowItem]}>
+              <Text style={styles.inputLabel}>Grace Period (days)</Text>
+              <TextInput
+                style={styles.input}
+                value={formData.gracePeriodDays}
+                onChangeText={(text) => handleInputChange('gracePeriodDays', text)}
+                placeholder="0"
+                keyboardType="numeric"
+              />
+            </View>
+          </View>
+        )}
+        
         {/* Start Date */}
         <View style={styles.inputGroup}>
           <Text style={styles.inputLabel}>Start Date</Text>
@@ -470,7 +520,10 @@ const EditLoanScreen = ({ navigation, route }) => {
                 Total payments: {paymentSchedule.length}
               </Text>
               <Text style={styles.summaryText}>
-                Total amount: {currencyService.formatCurrency(paymentSchedule.reduce((sum, payment) => sum + payment.amount, 0), 'GHS')}
+                Total interest: {currencyService.formatCurrency(scheduleTotals.interest, 'GHS')}
+              </Text>
+              <Text style={styles.summaryText}>
+                Total amount: {currencyService.formatCurrency(scheduleTotals.total, 'GHS')}
               </Text>
             </View>
           </View>
@@ -545,6 +598,19 @@ const styles = StyleSheet.create({
     height: 80,
     textAlignVertical: 'top',
   },
+  helperText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    marginHorizontal: -6,
+  },
+  rowItem: {
+    flex: 1,
+    marginHorizontal: 6,
+  },
   dateSelector: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -12,6 +12,7 @@ import { Button, Divider, Menu } from 'react-native-paper';
 import { MaterialIcons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { useFinance } from '../../contexts/FinanceContext';
+import { TRANSFER_DIRECTIONS, getCounterpartAccountId, isTransfer } from '../../utils/transfers';
 
 const EditTransactionScreen = ({ navigation, route }) => {
   // Verify transaction exists in route params to prevent crashes
@@ -29,6 +30,12 @@ const EditTransactionScreen = ({ navigation, route }) => {
   const financeContext = useFinance();
   const { accounts, updateTransaction } = financeContext;
   
+  // Only the amount, date, description and notes of a transfer can change; the other side follows
+  const editingTransfer = isTransfer(transaction);
+  const counterpartAccountName = editingTransfer
+    ? accounts.find(a => a && a.id === getCounterpartAccountId(transaction))?.name || 'another account'
+    : null;
+  
   // State for the form
   const [formData, setFormData] = useState({
     accountId: transaction.accountId || '',
@@ -178,48 +185,58 @@ const EditTransactionScreen = ({ navigation, route }) => {
     <ScrollView style={styles.container}>
       <View style={styles.formContainer}>
         {/* Transaction Type Selector */}
-        <View style={styles.typeSelector}>
-          <TouchableOpacity
-            style={[
-              styles.typeButton,
-              formData.type === 'expense' && styles.activeTypeButton
-            ]}
-            onPress={() => handleInputChange('type', 'expense')}
-          >
-            <MaterialIcons 
-              name="arrow-upward" 
-              size={24} 
-              color={formData.type === 'expense' ? '#fff' : '#F44336'} 
-            />
-            <Text style={[
-              styles.typeButtonText,
-              formData.type === 'expense' && styles.activeTypeText
-            ]}>
-              Expense
+        {editingTransfer ? (
+          <View style={styles.transferInfo}>
+            <MaterialIcons name="swap-horiz" size={24} color="#2196F3" />
+            <Text style={styles.transferInfoText}>
+              {transaction.transferDirection === TRANSFER_DIRECTIONS.IN ? 'Transfer in from ' : 'Transfer out to '}
+              {counterpartAccountName}. Changes are applied to both sides.
             </Text>
-          </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.typeSelector}>
+            <TouchableOpacity
+              style={[
+                styles.typeButton,
+                formData.type === 'expense' && styles.activeTypeButton
+              ]}
+              onPress={() => handleInputChange('type', 'expense')}
+            >
+              <MaterialIcons 
+                name="arrow-upward" 
+                size={24} 
+                color={formData.type === 'expense' ? '#fff' : '#F44336'} 
+              />
+              <Text style={[
+                styles.typeButtonText,
+                formData.type === 'expense' && styles.activeTypeText
+              ]}>
+                Expense
+              </Text>
+            </TouchableOpacity>
           
-          <TouchableOpacity
-            style={[
-              styles.typeButton,
-              formData.type === 'income' && styles.activeTypeButtonIncome
-            ]}
-            onPress={() => handleInputChange('type', 'income')}
-          >
-            <MaterialIcons 
-              name="arrow-downward" 
-              size={24} 
-              color={formData.type === 'income' ? '#fff' : '#4CAF50'} 
-            />
-            <Text style={[
-              styles.typeButtonText,
-              styles.incomeText,
-              formData.type === 'income' && styles.activeTypeText
-            ]}>
-              Income
-            </Text>
-          </TouchableOpacity>
-        </View>
+            <TouchableOpacity
+              style={[
+                styles.typeButton,
+                formData.type === 'income' && styles.activeTypeButtonIncome
+              ]}
+              onPress={() => handleInputChange('type', 'income')}
+            >
+              <MaterialIcons 
+                name="arrow-downward" 
+                size={24} 
+                color={formData.type === 'income' ? '#fff' : '#4CAF50'} 
+              />
+              <Text style={[
+                styles.typeButtonText,
+                styles.incomeText,
+                formData.type === 'income' && styles.activeTypeText
+              ]}>
+                Income
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
         
         {/* Amount */}
         <View style={styles.inputGroup}>
@@ -234,79 +251,83 @@ const EditTransactionScreen = ({ navigation, route }) => {
           />
         </View>
         
-        {/* Account */}
-        <View style={styles.inputGroup}>
-          <Text style={styles.inputLabel}>Account</Text>
-          <TouchableOpacity 
-            style={styles.selector} 
-            onPress={() => setShowAccountMenu(true)}
-          >
-            <Text style={styles.selectorText}>
-              {accounts.find(a => a && a.id === formData.accountId)?.name || 'Select Account'}
-              {formData.accountId && !accounts.some(a => a && a.id === formData.accountId) && ' (Account not found)'}
-            </Text>
-            <MaterialIcons name="arrow-drop-down" size={24} color="#666" />
-          </TouchableOpacity>
+        {!editingTransfer && (
+          <>
+            {/* Account */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Account</Text>
+              <TouchableOpacity 
+                style={styles.selector} 
+                onPress={() => setShowAccountMenu(true)}
+              >
+                <Text style={styles.selectorText}>
+                  {accounts.find(a => a && a.id === formData.accountId)?.name || 'Select Account'}
+                  {formData.accountId && !accounts.some(a => a && a.id === formData.accountId) && ' (Account not found)'}
+                </Text>
+                <MaterialIcons name="arrow-drop-down" size={24} color="#666" />
+              </TouchableOpacity>
           
-          <Menu
-            visible={showAccountMenu}
-            onDismiss={() => setShowAccountMenu(false)}
-            anchor={{ x: 0, y: 0 }}
-            style={styles.menu}
-          >
-            {accounts
-              .filter(account => account && account.id) // Make sure account is valid
-              .map(account => (
-                <Menu.Item
-                  key={account.id}
-                  title={account.name || 'Unnamed Account'}
-                  onPress={() => {
-                    handleInputChange('accountId', account.id);
-                    setShowAccountMenu(false);
-                  }}
-                />
-              ))
-            }
-            {accounts.length === 0 && (
-              <Menu.Item
-                title="No accounts available"
-                disabled={true}
-              />
-            )}
-          </Menu>
-        </View>
+              <Menu
+                visible={showAccountMenu}
+                onDismiss={() => setShowAccountMenu(false)}
+                anchor={{ x: 0, y: 0 }}
+                style={styles.menu}
+              >
+                {accounts
+                  .filter(account => account && account.id) // Make sure account is valid
+                  .map(account => (
+                    <Menu.Item
+                      key={account.id}
+                      title={account.name || 'Unnamed Account'}
+                      onPress={() => {
+                        handleInputChange('accountId', account.id);
+                        setShowAccountMenu(false);
+                      }}
+                    />
+                  ))
+                }
+                {accounts.length === 0 && (
+                  <Menu.Item
+                    title="No accounts available"
+                    disabled={true}
+                  />
+                )}
+              </Menu>
+            </View>
         
-        {/* Category */}
-        <View style={styles.inputGroup}>
-          <Text style={styles.inputLabel}>Category</Text>
-          <TouchableOpacity 
-            style={styles.selector} 
-            onPress={() => setShowCategoryMenu(true)}
-          >
-            <Text style={styles.selectorText}>
-              {getCategories().find(c => c.value === formData.category)?.label || 'Select Category'}
-            </Text>
-            <MaterialIcons name="arrow-drop-down" size={24} color="#666" />
-          </TouchableOpacity>
+            {/* Category */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Category</Text>
+              <TouchableOpacity 
+                style={styles.selector} 
+                onPress={() => setShowCategoryMenu(true)}
+              >
+                <Text style={styles.selectorText}>
+                  {getCategories().find(c => c.value === formData.category)?.label || 'Select Category'}
+                </Text>
+                <MaterialIcons name="arrow-drop-down" size={24} color="#666" />
+              </TouchableOpacity>
           
-          <Menu
-            visible={showCategoryMenu}
-            onDismiss={() => setShowCategoryMenu(false)}
-            anchor={{ x: 0, y: 0 }}
-            style={styles.menu}
-          >
-            {getCategories().map(category => (
-              <Menu.Item
-                key={category.value}
-                title={category.label}
-                onPress={() => {
-                  handleInputChange('category', category.value);
-                  setShowCategoryMenu(false);
-                }}
-              />
-            ))}
-          </Menu>
-        </View>
+              <Menu
+                visible={showCategoryMenu}
+                onDismiss={() => setShowCategoryMenu(false)}
+                anchor={{ x: 0, y: 0 }}
+                style={styles.menu}
+              >
+                {getCategories().map(category => (
+                  <Menu.Item
+                    key={category.value}
+                    title={category.label}
+                    onPress={() => {
+                      handleInputChange('category', category.value);
+                      setShowCategoryMenu(false);
+                    }}
+                  />
+                ))}
+              </Menu>
+            </View>
+          </>
+        )}
         
         {/* Date */}
         <View style={styles.inputGroup}>
@@ -332,36 +353,38 @@ const EditTransactionScreen = ({ navigation, route }) => {
         </View>
         
         {/* Payment Method */}
-        <View style={styles.inputGroup}>
-          <Text style={styles.inputLabel}>Payment Method (Optional)</Text>
-          <TouchableOpacity 
-            style={styles.selector} 
-            onPress={() => setShowPaymentMethodMenu(true)}
-          >
-            <Text style={styles.selectorText}>
-              {paymentMethods.find(p => p.value === formData.paymentMethod)?.label || 'Select Payment Method'}
-            </Text>
-            <MaterialIcons name="arrow-drop-down" size={24} color="#666" />
-          </TouchableOpacity>
+        {!editingTransfer && (
+          <View style={styles.inputGroup}>
+            <Text style={styles.inputLabel}>Payment Method (Optional)</Text>
+            <TouchableOpacity 
+              style={styles.selector} 
+              onPress={() => setShowPaymentMethodMenu(true)}
+            >
+              <Text style={styles.selectorText}>
+                {paymentMethods.find(p => p.value === formData.paymentMethod)?.label || 'Select Payment Method'}
+              </Text>
+              <MaterialIcons name="arrow-drop-down" size={24} color="#666" />
+            </TouchableOpacity>
           
-          <Menu
-            visible={showPaymentMethodMenu}
-            onDismiss={() => setShowPaymentMethodMenu(false)}
-            anchor={{ x: 0, y: 0 }}
-            style={styles.menu}
-          >
-            {paymentMethods.map(method => (
-              <Menu.Item
-                key={method.value}
-                title={method.label}
-                onPress={() => {
-                  handleInputChange('paymentMethod', method.value);
-                  setShowPaymentMethodMenu(false);
-                }}
-              />
-            ))}
-          </Menu>
-        </View>
+            <Menu
+              visible={showPaymentMethodMenu}
+              onDismiss={() => setShowPaymentMethodMenu(false)}
+              anchor={{ x: 0, y: 0 }}
+              style={styles.menu}
+            >
+              {paymentMethods.map(method => (
+                <Menu.Item
+                  key={method.value}
+                  title={method.label}
+                  onPress={() => {
+                    handleInputChange('paymentMethod', method.value);
+                    setShowPaymentMethodMenu(false);
+                  }}
+                />
+              ))}
+            </Menu>
+          </View>
+        )}
         
         {/* Description */}
         <View style={styles.inputGroup}>
@@ -427,6 +450,19 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     marginBottom: 16,
   },
+  transferInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 16,
+    borderRadius: 4,
+    backgroundColor: '#E3F2FD',
+  },
+  transferInfoText: {
+    flex: 1,
+    marginLeft: 8,
+    color: '#444',
+  },
   typeButton: {
     flex: 1,
     flexDirection: 'row',
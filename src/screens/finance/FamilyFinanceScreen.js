@@ -13,6 +13,8 @@ import { useFinance, FINANCE_SCOPE } from '../../contexts/FinanceContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { useFamilySharing } from '../../contexts/FamilySharingContext';
 import AccountCard from '../../components/finance/AccountCard';
+import CategoryBudgetList from '../../components/finance/CategoryBudgetList';
+import UpcomingTransactionsList from '../../components/finance/UpcomingTransactionsList';
 import FinancialReportChart from '../../components/finance/FinancialReportChart';
 import ProjectContributionTracker from '../../components/finance/ProjectContributionTracker';
 import currencyService from '../../services/currencyService';
@@ -22,10 +24,13 @@ const FamilyFinanceScreen = ({ navigation }) => {
     accounts = [], 
     projects = [],
     transactions = [],
+    budgets = [],
+    recurringTransactions = [],
     isLoading,
     currentScope,
     changeScope,
-    recalculateAllAccountBalances
+    loadAccounts,
+    loadTransactions
   } = useFinance();
   
   const { user } = useAuth();
@@ -43,23 +48,6 @@ const FamilyFinanceScreen = ({ navigation }) => {
     }
   }, []);
 
-  // Automatically load transactions and recalculate balances when screen loads or scope changes
-  useEffect(() => {
-    const loadFinanceData = async () => {
-      try {
-        // Make sure we have the latest transactions
-        if (accounts.length > 0) {
-          // Recalculate all account balances to ensure accuracy
-          await recalculateAllAccountBalances();
-        }
-      } catch (error) {
-        console.error('Error loading finance data:', error);
-      }
-    };
-    
-    loadFinanceData();
-  }, [currentScope, accounts.length]);
-
   // Load user currency settings
   useEffect(() => {
     const loadCurrencySettings = async () => {
@@ -180,8 +168,8 @@ const FamilyFinanceScreen = ({ navigation }) => {
   const onRefresh = async () => {
     setRefreshing(true);
     try {
-      // Recalculate all account balances for accuracy
-      await recalculateAllAccountBalances();
+      // Balances are kept by the ledger, so reloading is enough
+      await Promise.all([loadAccounts(), loadTransactions()]);
       
       // Reload data and reports
       await generateReportData();
@@ -238,6 +226,16 @@ const FamilyFinanceScreen = ({ navigation }) => {
     navigation.navigate('ContributeToProject', { project });
   };
   
+  // Navigate to recurring transactions
+  const navigateToRecurringTransactions = () => {
+    navigation.navigate('RecurringTransactions');
+  };
+  
+  // Navigate to add or edit a budget
+  const navigateToBudget = (budget) => {
+    navigation.navigate('AddBudget', budget ? { budget } : { scope: FINANCE_SCOPE.NUCLEAR });
+  };
+  
   // Format currency
   const formatCurrency = (amount, currency) => {
     try {
@@ -381,6 +379,39 @@ const FamilyFinanceScreen = ({ navigation }) => {
         )}
       </View>
       
+      {/* Upcoming Section */}
+      <View style={styles.sectionContainer}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Upcoming</Text>
+          <TouchableOpacity onPress={navigateToRecurringTransactions}>
+            <Text style={styles.seeAllText}>Recurring</Text>
+          </TouchableOpacity>
+        </View>
+        
+        <UpcomingTransactionsList
+          recurringTransactions={recurringTransactions}
+          accounts={familyAccounts}
+        />
+      </View>
+      
+      {/* Budgets Section */}
+      <View style={styles.sectionContainer}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Family Budgets</Text>
+          <TouchableOpacity onPress={() => navigateToBudget()}>
+            <Text style={styles.seeAllText}>Add Budget</Text>
+          </TouchableOpacity>
+        </View>
+        
+        <CategoryBudgetList
+          budgets={budgets.filter(budget => budget.scope === FINANCE_SCOPE.NUCLEAR)}
+          transactions={transactions}
+          currency={displayCurrency}
+          onBudgetPress={navigateToBudget}
+          onAddBudget={() => navigateToBudget()}
+        />
+      </View>
+      
       {/* Monthly Report Section */}
       {reportData && (
         <View style={styles.sectionContainer}>
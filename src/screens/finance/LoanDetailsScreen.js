@@ -13,6 +13,14 @@ import { Card, Button, Divider, Menu, Chip } from 'react-native-paper';
 import { useFinance } from '../../contexts/FinanceContext';
 import { useAuth } from '../../contexts/AuthContext';
 import currencyService from '../../services/currencyService';
+import {
+  INSTALLMENT_STATUS,
+  INTEREST_METHOD_LABELS,
+  LATE_FEE_TYPES,
+  compareScheduleWithPayments,
+  getInterestMethod,
+  getScheduleTotals
+} from '../../utils/loanAmortization';
 
 const LoanDetailsScreen = ({ route, navigation }) => {
   const { loan: initialLoan } = route.params;
@@ -148,32 +156,18 @@ const LoanDetailsScreen = ({ route, navigation }) => {
   
   const statusInfo = getLoanStatusInfo();
   
-  // Calculate total amount (principal only for new payment system)
-  const calculateTotalAmount = () => {
-    return loan.amount || 0;
-  };
+  // Schedule vs payments made, with late fees and arrears as of today
+  const comparison = compareScheduleWithPayments(loan);
+  const scheduleTotals = getScheduleTotals(comparison.installments, loan.amount);
+  
+  // Calculate total amount (principal, interest and late fees)
+  const calculateTotalAmount = () => comparison.totalDue;
   
   // Calculate paid amount (support both old schedule-based and new payments array)
-  const calculatePaidAmount = () => {
-    // New payment system - use payments array and totalPaid
-    if (loan.payments && Array.isArray(loan.payments)) {
-      return loan.totalPaid || loan.payments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
-    }
-    
-    // Fallback to old payment schedule system
-    if (loan.paymentSchedule) {
-      return loan.paymentSchedule
-        .filter(payment => payment.status === 'paid')
-        .reduce((sum, payment) => sum + (payment.amount || 0), 0);
-    }
-    
-    return 0;
-  };
+  const calculatePaidAmount = () => comparison.totalPaid;
   
   // Calculate remaining amount
-  const calculateRemainingAmount = () => {
-    return calculateTotalAmount() - calculatePaidAmount();
-  };
+  const calculateRemainingAmount = () => comparison.remaining;
   
   // Calculate progress percentage
   const calculateProgressPercentage = () => {
@@ -186,21 +180,21 @@ const LoanDetailsScreen = ({ route, navigation }) => {
   
   // Get next payment
   const getNextPayment = () => {
-    if (!loan.paymentSchedule || loan.paymentSchedule.length === 0 || loan.status === 'paid') {
+    if (loan.status === 'paid') {
       return null;
     }
     
-    const now = new Date();
-    
-    const nextPayment = loan.paymentSchedule
-      .filter(payment => payment.status !== 'paid')
-      .sort((a, b) => {
-        const dateA = a.dueDate.toDate ? a.dueDate.toDate() : new Date(a.dueDate);
-        const dateB = b.dueDate.toDate ? b.dueDate.toDate() : new Date(b.dueDate);
-        return dateA - dateB;
-      })[0];
-    
-    return nextPayment;
+    return comparison.nextInstallment;
+  };
+  
+  const getLateFeeLabel = () => {
+    if (loan.lateFeeType === LATE_FEE_TYPES.FIXED) {
+      return `${formatCurrency(loan.lateFee)} per late payment`;
+    }
+    if (loan.lateFeeType === LATE_FEE_TYPES.PERCENTAGE) {
+      return `${loan.lateFee}% of a late payment`;
+    }
+    return 'None';
   };
   
   // Navigate to edit loan
@@ -340,7 +334,7 @@ const LoanDetailsScreen = ({ route, navigation }) => {
     
     Alert.alert(
       'Mark Payment as Paid',
-      `Are you sure you want to mark payment #${payment.paymentNumber} as paid?`,
+      `This will record a payment of ${formatCurrency(payment.amount - payment.paid)} for installment #${payment.paymentNumber}. Are you sure?`,
       [
         {
           text: 'Cancel',
@@ -350,7 +344,10 @@ const LoanDetailsScreen = ({ route, navigation }) => {
           text: 'Mark as Paid',
           style: 'default',
           onPress: async () => {
-            const success = await recordLoanPayment(loan.id, payment);
+            const success = await recordLoanPayment(loan.id, {
+              amount: Math.round((payment.amount - payment.paid) * 100) / 100,
+              note: `Installment #${payment.paymentNumber}`
+            });
             
             if (success) {
               Alert.alert('Success', 'Payment recorded successfully');
@@ -361,17 +358,22 @@ const LoanDetailsScreen = ({ route, navigation }) => {
     );
   };
   
-  // Render a payment item
+  // Render an installment: what was scheduled against what has been paid
   const renderPaymentItem = ({ item }) => {
-    const isPaid = item.status === 'paid';
-    const dueDate = item.dueDate.toDate ? item.dueDate.toDate() : new Date(item.dueDate);
-    const isOverdue = !isPaid && dueDate < new Date();
+    const statusChips = {
+      [INSTALLMENT_STATUS.PAID]: { icon: 'check-circle', color: '#4CAF50', background: '#E8F5E9', label: 'Paid' },
+      [INSTALLMENT_STATUS.PARTIAL]: { icon: 'progress-clock', color: '#FF9800', background: '#FFF3E0', label: 'Partial' },
+      [INSTALLMENT_STATUS.OVERDUE]: { icon: 'alert-circle', color: '#F44336', background: '#FFEBEE', label: 'Overdue' },
+      [INSTALLMENT_STATUS.PENDING]: { icon: 'clock-outline', color: '#2196F3', background: '#E3F2FD', label: 'Pending' }
+    };
+    const chip = statusChips[item.status];
+    const isPaid = item.status === INSTALLMENT_STATUS.PAID;
     
     return (
       <TouchableOpacity 
         style={styles.paymentItem}
         onPress={() => {
-          if (!isPaid) {
+          if (!isPaid && loan.status !== 'paid') {
             setSelectedPayment(item);
             setPaymentMenuVisible(true);
           }
@@ -380,38 +382,34 @@ const LoanDetailsScreen = ({ route, navigation }) => {
         <View style={styles.paymentInfo}>
           <Text style={styles.paymentNumber}>Payment #{item.paymentNumber}</Text>
           <Text style={styles.paymentDate}>Due: {formatDate(item.dueDate)}</Text>
+          {item.principal !== undefined && (
+            <Text style={styles.paymentSplit}>
+              Principal {formatCurrency(item.principal)} · Interest {formatCurrency(item.interest)}
+            </Text>
+          )}
+          {item.daysLate > 0 && (
+            <Text style={styles.lateText}>
+              {item.daysLate} {item.daysLate === 1 ? 'day' : 'days'} late
+            </Text>
+          )}
         </View>
         
         <View style={styles.paymentAmount}>
           <Text style={styles.amountText}>{formatCurrency(item.amount)}</Text>
-          {isPaid ? (
-            <Chip 
-              icon="check-circle" 
-              mode="flat" 
-              style={[styles.statusChip, { backgroundColor: '#E8F5E9' }]}
-              textStyle={{ color: '#4CAF50' }}
-            >
-              Paid
-            </Chip>
-          ) : isOverdue ? (
-            <Chip 
-              icon="alert-circle" 
-              mode="flat" 
-              style={[styles.statusChip, { backgroundColor: '#FFEBEE' }]}
-              textStyle={{ color: '#F44336' }}
-            >
-              Overdue
-            </Chip>
-          ) : (
-            <Chip 
-              icon="clock-outline" 
-              mode="flat" 
-              style={[styles.statusChip, { backgroundColor: '#E3F2FD' }]}
-              textStyle={{ color: '#2196F3' }}
-            >
-              Pending
-            </Chip>
+          {!isPaid && item.paid > 0 && (
+            <Text style={styles.paidText}>Paid {formatCurrency(item.paid)}</Text>
           )}
+          {item.lateFee > 0 && (
+            <Text style={styles.lateText}>+ {formatCurrency(item.lateFee)} late fee</Text>
+          )}
+          <Chip 
+            icon={chip.icon} 
+            mode="flat" 
+            style={[styles.statusChip, { backgroundColor: chip.background }]}
+            textStyle={{ color: chip.color }}
+          >
+            {chip.label}
+          </Chip>
         </View>
       </TouchableOpacity>
     );
@@ -525,7 +523,7 @@ const LoanDetailsScreen = ({ route, navigation }) => {
         <Divider style={styles.divider} />
         
         <View style={styles.amountSection}>
-          <Text style={styles.amountLabel}>Total Amount</Text>
+          <Text style={styles.amountLabel}>Total Repayable</Text>
           <Text style={styles.amountValue}>
             {formatCurrency(calculateTotalAmount())}
           </Text>
@@ -543,6 +541,21 @@ const LoanDetailsScreen = ({ route, navigation }) => {
               {formatCurrency(calculatePaidAmount())} of {formatCurrency(calculateTotalAmount())} paid ({calculateProgressPercentage().toFixed(0)}%)
             </Text>
           </View>
+          
+          {comparison.arrears > 0 && loan.status !== 'paid' && (
+            <View style={styles.arrearsSection}>
+              <MaterialIcons name="warning" size={20} color="#F44336" />
+              <View style={styles.arrearsInfo}>
+                <Text style={styles.arrearsLabel}>
+                  In arrears: {formatCurrency(comparison.arrears)}
+                </Text>
+                <Text style={styles.arrearsDetail}>
+                  {comparison.overdueCount} overdue {comparison.overdueCount === 1 ? 'payment' : 'payments'}
+                  {comparison.lateFees > 0 ? `, including ${formatCurrency(comparison.lateFees)} in late fees` : ''}
+                </Text>
+              </View>
+            </View>
+          )}
         </View>
         
         {/* Quick Payment Actions */}
@@ -608,9 +621,33 @@ const LoanDetailsScreen = ({ route, navigation }) => {
           
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Interest Rate</Text>
-            <Text style={styles.detailValue}>{loan.interestRate}%</Text>
+            <Text style={styles.detailValue}>{loan.interestRate}% per year</Text>
+          </View>
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Interest Method</Text>
+            <Text style={styles.detailValue}>
+              {INTEREST_METHOD_LABELS[getInterestMethod(loan)]}
+            </Text>
+          </View>
+          
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Total Interest</Text>
+            <Text style={styles.detailValue}>{formatCurrency(scheduleTotals.interest)}</Text>
           </View>
           
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Late Fee</Text>
+            <Text style={styles.detailValue}>{getLateFeeLabel()}</Text>
+          </View>
+          
+          {loan.lateFeeType && loan.lateFeeType !== LATE_FEE_TYPES.NONE && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Grace Period</Text>
+              <Text style={styles.detailValue}>{loan.gracePeriodDays || 0} days</Text>
+            </View>
+          )}
+          
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Term</Text>
             <Text style={styles.detailValue}>{loan.term} payments</Text>
@@ -648,7 +685,7 @@ const LoanDetailsScreen = ({ route, navigation }) => {
                 Due: {formatDate(getNextPayment().dueDate)}
               </Text>
               <Text style={styles.nextPaymentAmount}>
-                {formatCurrency(getNextPayment().amount)}
+                {formatCurrency(getNextPayment().amount - getNextPayment().paid)}
               </Text>
               
               <Button 
@@ -664,70 +701,74 @@ const LoanDetailsScreen = ({ route, navigation }) => {
         )}
       </Card>
       
-      {/* Payment History & Schedule */}
-      <Card style={styles.paymentCard}>
-        <Card.Title title={loan.payments && loan.payments.length > 0 ? "Payment History" : "Payment Schedule"} />
-        <Card.Content>
-          {/* New Payment System - Show payment history */}
-          {loan.payments && loan.payments.length > 0 ? (
-            <View>
-              <Text style={styles.sectionSubtitle}>Recent Payments</Text>
-              <FlatList
-                data={loan.payments.slice(-5).reverse()} // Show last 5 payments
-                renderItem={({ item }) => (
-                  <View style={styles.paymentHistoryItem}>
-                    <View style={styles.paymentInfo}>
-                      <Text style={styles.paymentAmount}>{formatCurrency(item.amount)}</Text>
-                      <Text style={styles.paymentDate}>{formatDate(item.date)}</Text>
-                      {item.note && <Text style={styles.paymentNote}>{item.note}</Text>}
-                    </View>
-                    <Chip 
-                      icon="check-circle" 
-                      mode="flat" 
-                      style={[styles.statusChip, { backgroundColor: '#E8F5E9' }]}
-                      textStyle={{ color: '#4CAF50' }}
-                    >
-                      Paid
-                    </Chip>
+      {/* Payment History */}
+      {loan.payments && loan.payments.length > 0 && (
+        <Card style={styles.paymentCard}>
+          <Card.Title title="Payment History" />
+          <Card.Content>
+            <Text style={styles.sectionSubtitle}>Recent Payments</Text>
+            <FlatList
+              data={loan.payments.slice(-5).reverse()} // Show last 5 payments
+              renderItem={({ item }) => (
+                <View style={styles.paymentHistoryItem}>
+                  <View style={styles.paymentInfo}>
+                    <Text style={styles.paymentAmount}>{formatCurrency(item.amount)}</Text>
+                    <Text style={styles.paymentDate}>{formatDate(item.date)}</Text>
+                    {item.note && <Text style={styles.paymentNote}>{item.note}</Text>}
                   </View>
-                )}
-                keyExtractor={(item) => item.id}
-                ItemSeparatorComponent={renderSeparator}
-                scrollEnabled={false}
-              />
-              
-              {loan.payments.length > 5 && (
-                <Button 
-                  mode="text" 
-                  onPress={navigateToPaymentHistory}
-                  style={styles.viewAllButton}
-                >
-                  View All {loan.payments.length} Payments
-                </Button>
-              )}
-              
-              {/* Show remaining balance */}
-              {calculateRemainingAmount() > 0 && (
-                <View style={styles.remainingBalanceSection}>
-                  <Text style={styles.remainingBalanceLabel}>Remaining Balance</Text>
-                  <Text style={styles.remainingBalanceAmount}>
-                    {formatCurrency(calculateRemainingAmount())}
-                  </Text>
+                  <Chip 
+                    icon="check-circle" 
+                    mode="flat" 
+                    style={[styles.statusChip, { backgroundColor: '#E8F5E9' }]}
+                    textStyle={{ color: '#4CAF50' }}
+                  >
+                    Paid
+                  </Chip>
                 </View>
               )}
-            </View>
-          ) : (
-            /* Fallback to old payment schedule system */
+              keyExtractor={(item) => item.id}
+              ItemSeparatorComponent={renderSeparator}
+              scrollEnabled={false}
+            />
+            
+            {loan.payments.length > 5 && (
+              <Button 
+                mode="text" 
+                onPress={navigateToPaymentHistory}
+                style={styles.viewAllButton}
+              >
+                View All {loan.payments.length} Payments
+              </Button>
+            )}
+            
+            {/* Show remaining balance */}
+            {calculateRemainingAmount() > 0 && (
+              <View style={styles.remainingBalanceSection}>
+                <Text style={styles.remainingBalanceLabel}>Remaining Balance</Text>
+                <Text style={styles.remainingBalanceAmount}>
+                  {formatCurrency(calculateRemainingAmount())}
+                </Text>
+              </View>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+      
+      {/* Schedule vs actual */}
+      {comparison.installments.length > 0 && (
+        <Card style={styles.paymentCard}>
+          <Card.Title title="Payment Schedule" subtitle="Scheduled against paid" />
+          <Card.Content>
             <FlatList
-              data={loan.paymentSchedule || []}
+              data={comparison.installments}
               renderItem={renderPaymentItem}
-              keyExtractor={(item, index) => `payment-${index}`}
+              keyExtractor={(item) => `payment-${item.paymentNumber}`}
               ItemSeparatorComponent={renderSeparator}
               scrollEnabled={false}
             />
-          )}
-        </Card.Content>
-      </Card>
+          </Card.Content>
+        </Card>
+      )}
     </ScrollView>
   );
 };
@@ -900,6 +941,44 @@ const styles = StyleSheet.create({
   paymentAmount: {
     alignItems: 'flex-end',
   },
+  paymentSplit: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  paidText: {
+    fontSize: 12,
+    color: '#4CAF50',
+    marginBottom: 4,
+  },
+  lateText: {
+    fontSize: 12,
+    color: '#F44336',
+    marginTop: 2,
+  },
+  arrearsSection: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    width: '100%',
+    marginTop: 12,
+    padding: 12,
+    backgroundColor: '#FFEBEE',
+    borderRadius: 8,
+  },
+  arrearsInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  arrearsLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#C62828',
+  },
+  arrearsDetail: {
+    fontSize: 12,
+    color: '#C62828',
+    marginTop: 2,
+  },
   amountText: {
     fontSize: 14,
     fontWeight: '500',
@@ -14,6 +14,7 @@ import { useFinance, FINANCE_SCOPE } from '../../contexts/FinanceContext';
 import { useAuth } from '../../contexts/AuthContext';
 import LoanTracker from '../../components/finance/LoanTracker';
 import currencyService from '../../services/currencyService';
+import { compareScheduleWithPayments } from '../../utils/loanAmortization';
 
 const LoansScreen = ({ navigation }) => {
   const { 
@@ -159,18 +160,11 @@ const LoansScreen = ({ navigation }) => {
 
     filteredLoans.forEach(loan => {
       const loanAmount = parseFloat(loan.amount) || 0;
-      totalAmount += loanAmount;
 
-      // Calculate paid amount (support both new payments array and old schedule)
-      let paidAmount = 0;
-      if (loan.payments && Array.isArray(loan.payments)) {
-        paidAmount = loan.totalPaid || loan.payments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
-      } else if (loan.paymentSchedule) {
-        paidAmount = loan.paymentSchedule
-          .filter(payment => payment.status === 'paid')
-          .reduce((sum, payment) => sum + (payment.amount || 0), 0);
-      }
-      totalPaid += paidAmount;
+      // Interest and late fees are repaid along with the principal
+      const comparison = compareScheduleWithPayments(loan);
+      totalAmount += comparison.totalDue;
+      totalPaid += comparison.totalPaid;
 
       // Count by status
       switch (loan.status) {
@@ -404,7 +398,7 @@ const LoansScreen = ({ navigation }) => {
               <LoanTracker
                 loan={loan}
                 onPress={() => navigateToLoanDetails(loan)}
-                onRecordPayment={(payment) => handleRecordPayment(loan, payment)}
+                onRecordPayment={(trackedLoan, payment) => handleRecordPayment(trackedLoan, payment)}
               />
               {index < filteredLoans.length - 1 && <View style={styles.separator} />}
             </View>
@@ -11,6 +11,8 @@ import { MaterialIcons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useFinance, FINANCE_SCOPE } from '../../contexts/FinanceContext';
 import { useAuth } from '../../contexts/AuthContext';
 import AccountCard from '../../components/finance/AccountCard';
+import CategoryBudgetList from '../../components/finance/CategoryBudgetList';
+import UpcomingTransactionsList from '../../components/finance/UpcomingTransactionsList';
 import FinancialReportChart from '../../components/finance/FinancialReportChart';
 import TransactionList from '../../components/finance/TransactionList';
 import currencyService from '../../services/currencyService';
@@ -20,10 +22,13 @@ const PersonalFinanceScreen = ({ navigation }) => {
     accounts, 
     transactions, 
     loans,
+    budgets,
+    recurringTransactions,
     isLoading,
     currentScope,
     changeScope,
-    recalculateAllAccountBalances
+    loadAccounts,
+    loadTransactions
   } = useFinance();
   
   const { user } = useAuth();
@@ -41,23 +46,6 @@ const PersonalFinanceScreen = ({ navigation }) => {
     }
   }, []);
 
-  // Automatically load transactions and recalculate balances when screen loads or scope changes
-  useEffect(() => {
-    const loadFinanceData = async () => {
-      try {
-        // Make sure we have the latest transactions
-        if (accounts.length > 0) {
-          // Recalculate all account balances to ensure accuracy
-          await recalculateAllAccountBalances();
-        }
-      } catch (error) {
-        console.error('Error loading finance data:', error);
-      }
-    };
-    
-    loadFinanceData();
-  }, [currentScope, accounts.length]);
-
   // Load user currency settings
   useEffect(() => {
     const loadCurrencySettings = async () => {
@@ -201,7 +189,7 @@ const PersonalFinanceScreen = ({ navigation }) => {
     // Reload data
     try {
       // Reload accounts and transactions
-      await recalculateAllAccountBalances();
+      await Promise.all([loadAccounts(), loadTransactions()]);
       // This will automatically trigger useEffect for transactions and reportData
     } catch (error) {
       console.error('Error refreshing data:', error);
@@ -249,6 +237,16 @@ const PersonalFinanceScreen = ({ navigation }) => {
     navigation.navigate('Loans');
   };
   
+  // Navigate to recurring transactions
+  const navigateToRecurringTransactions = () => {
+    navigation.navigate('RecurringTransactions');
+  };
+  
+  // Navigate to add or edit a budget
+  const navigateToBudget = (budget) => {
+    navigation.navigate('AddBudget', budget ? { budget } : { scope: FINANCE_SCOPE.PERSONAL });
+  };
+  
   // Format currency
   const formatCurrency = (amount, currency) => {
     return currencyService.formatCurrency(amount, currency || displayCurrency);
@@ -343,6 +341,39 @@ const PersonalFinanceScreen = ({ navigation }) => {
         )}
       </View>
       
+      {/* Upcoming Section */}
+      <View style={styles.sectionContainer}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Upcoming</Text>
+          <TouchableOpacity onPress={navigateToRecurringTransactions}>
+            <Text style={styles.seeAllText}>Recurring</Text>
+          </TouchableOpacity>
+        </View>
+        
+        <UpcomingTransactionsList
+          recurringTransactions={recurringTransactions}
+          accounts={accounts}
+        />
+      </View>
+      
+      {/* Budgets Section */}
+      <View style={styles.sectionContainer}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Budgets</Text>
+          <TouchableOpacity onPress={() => navigateToBudget()}>
+            <Text style={styles.seeAllText}>Add Budget</Text>
+          </TouchableOpacity>
+        </View>
+        
+        <CategoryBudgetList
+          budgets={budgets.filter(budget => budget.scope === FINANCE_SCOPE.PERSONAL)}
+          transactions={transactions}
+          currency={displayCurrency}
+          onBudgetPress={navigateToBudget}
+          onAddBudget={() => navigateToBudget()}
+        />
+      </View>
+      
       {/* Monthly Report Section */}
       {reportData && (
         <View style={styles.sectionContainer}>
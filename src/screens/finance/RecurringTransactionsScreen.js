@@ -0,0 +1,379 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert
+} from 'react-native';
+import { Button, Portal, Modal } from 'react-native-paper';
+import { MaterialIcons } from '@expo/vector-icons';
+import { useFinance } from '../../contexts/FinanceContext';
+import currencyService from '../../services/currencyService';
+import {
+  describeRecurrence,
+  getNextOccurrenceDate,
+  getUpcomingOccurrences,
+  parseRecurrenceDate
+} from '../../utils/recurringTransactions';
+
+// How far ahead the upcoming list looks
+const UPCOMING_DAYS = 30;
+
+// Format category for display
+const formatCategory = (category = '') => category
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Format a 'YYYY-MM-DD' date for display
+const formatDate = (date) => parseRecurrenceDate(date).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Lists the recurring transactions on the current scope's accounts and what is coming up
+const RecurringTransactionsScreen = () => {
+  const {
+    accounts = [],
+    recurringTransactions = [],
+    updateRecurringTransaction,
+    deleteRecurringTransaction,
+    skipRecurringOccurrence,
+    editRecurringOccurrence
+  } = useFinance();
+
+  // { template, date } for one occurrence, or { template } for every future one
+  const [editing, setEditing] = useState(null);
+  const [editForm, setEditForm] = useState({ amount: '', description: '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const accountsById = Object.fromEntries(accounts.map(account => [account.id, account]));
+  const templates = recurringTransactions.filter(template => accountsById[template.accountId]);
+  const upcoming = getUpcomingOccurrences(templates, UPCOMING_DAYS);
+
+  const formatAmount = (template, amount = template.amount) => {
+    const formatted = currencyService.formatCurrency(amount, accountsById[template.accountId]?.currency || 'GHS');
+    return template.type === 'income' ? `+${formatted}` : `-${formatted}`;
+  };
+
+  const getTitle = (template) => template.description || formatCategory(template.category);
+
+  const openEditor = (template, date = null) => {
+    const override = date ? template.overrides?.[date] : null;
+    setEditForm({
+      amount: String(override?.amount ?? template.amount),
+      description: override?.description ?? template.description ?? ''
+    });
+    setEditing({ template, date });
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editForm.amount || isNaN(editForm.amount) || parseFloat(editForm.amount) <= 0) {
+      Alert.alert('Error', 'Please enter a valid amount');
+      return;
+    }
+
+    setIsSaving(true);
+    const { template, date } = editing;
+    const saved = date
+      ? await editRecurringOccurrence(template.id, date, editForm)
+      : await updateRecurringTransaction(template.id, editForm);
+    setIsSaving(false);
+
+    if (saved) {
+      setEditing(null);
+    } else {
+      Alert.alert('Error', 'Failed to save changes');
+    }
+  };
+
+  const handleOccurrencePress = (occurrence) => {
+    const { template, date, skipped } = occurrence;
+    Alert.alert(
+      getTitle(template),
+      formatDate(date),
+      [
+        skipped
+          ? { text: "Don't Skip", onPress: () => skipRecurringOccurrence(template.id, date, false) }
+          : { text: 'Skip This One', onPress: () => skipRecurringOccurrence(template.id, date) },
+        { text: 'Change This One', onPress: () => openEditor(template, date) },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+
+  const handleTemplatePress = (template) => {
+    const paused = template.active === false;
+    Alert.alert(
+      getTitle(template),
+      describeRecurrence(template),
+      [
+        { text: 'Change All Future', onPress: () => openEditor(template) },
+        {
+          text: paused ? 'Resume' : 'Pause',
+          onPress: () => updateRecurringTransaction(template.id, { active: paused })
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => Alert.alert(
+            'Delete Recurring Transaction',
+            'No more transactions will be added. Transactions already added are kept.',
+            [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Delete', style: 'destructive', onPress: () => deleteRecurringTransaction(template.id) }
+            ]
+          )
+        }
+      ],
+      // Android shows at most three buttons, so this one is dismissed by tapping outside
+      { cancelable: true }
+    );
+  };
+
+  const getTemplateStatus = (template) => {
+    const nextDate = getNextOccurrenceDate(template);
+    if (!nextDate) return 'Finished';
+    if (template.active === false) return 'Paused';
+    return `Next: ${formatDate(nextDate)}`;
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      {/* Upcoming Section */}
+      <View style={styles.sectionContainer}>
+        <Text style={styles.sectionTitle}>Upcoming</Text>
+        <Text style={styles.sectionSubtitle}>Next {UPCOMING_DAYS} days</Text>
+
+        {upcoming.length === 0 ? (
+          <View style={styles.emptyStateContainer}>
+            <MaterialIcons name="event-available" size={48} color="#ccc" />
+            <Text style={styles.emptyStateText}>Nothing coming up</Text>
+          </View>
+        ) : (
+          upcoming.map(occurrence => {
+            const { template, date, skipped, override } = occurrence;
+            return (
+              <TouchableOpacity
+                key={`${template.id}_${date}`}
+                style={styles.itemRow}
+                onPress={() => handleOccurrencePress(occurrence)}
+              >
+                <View style={styles.itemInfo}>
+                  <Text style={[styles.itemTitle, skipped && styles.skippedText]}>
+                    {override?.description || getTitle(template)}
+                  </Text>
+                  <Text style={styles.itemDetail}>
+                    {formatDate(date)}
+                    {skipped ? ' · Skipped' : ''}
+                    {!skipped && override ? ' · Changed' : ''}
+                  </Text>
+                </View>
+                <Text
+                  style={[
+                    styles.itemAmount,
+                    template.type === 'income' ? styles.incomeText : styles.expenseText,
+                    skipped && styles.skippedText
+                  ]}
+                >
+                  {formatAmount(template, override?.amount ?? template.amount)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })
+        )}
+      </View>
+
+      {/* Recurring Transactions Section */}
+      <View style={styles.sectionContainer}>
+        <Text style={styles.sectionTitle}>Recurring</Text>
+        <Text style={styles.sectionSubtitle}>Set up by choosing Repeat when adding a transaction</Text>
+
+        {templates.length === 0 ? (
+          <View style={styles.emptyStateContainer}>
+            <MaterialIcons name="repeat" size={48} color="#ccc" />
+            <Text style={styles.emptyStateText}>No recurring transactions yet</Text>
+          </View>
+        ) : (
+          templates.map(template => (
+            <TouchableOpacity
+              key={template.id}
+              style={styles.itemRow}
+              onPress={() => handleTemplatePress(template)}
+            >
+              <View style={styles.itemInfo}>
+                <Text style={styles.itemTitle}>{getTitle(template)}</Text>
+                <Text style={styles.itemDetail}>
+                  {describeRecurrence(template)} · {accountsById[template.accountId].name}
+                </Text>
+                <Text style={styles.itemDetail}>{getTemplateStatus(template)}</Text>
+              </View>
+              <Text
+                style={[
+                  styles.itemAmount,
+                  template.type === 'income' ? styles.incomeText : styles.expenseText
+                ]}
+              >
+                {formatAmount(template)}
+              </Text>
+            </TouchableOpacity>
+          ))
+        )}
+      </View>
+
+      {/* Edit modal */}
+      <Portal>
+        <Modal
+          visible={!!editing}
+          onDismiss={() => setEditing(null)}
+          contentContainerStyle={styles.editModal}
+        >
+          <Text style={styles.editTitle}>
+            {editing?.date ? `Change ${formatDate(editing.date)}` : 'Change All Future'}
+          </Text>
+
+          <Text style={styles.inputLabel}>Amount</Text>
+          <TextInput
+            style={styles.textInput}
+            value={editForm.amount}
+            onChangeText={(value) => setEditForm(prev => ({ ...prev, amount: value }))}
+            keyboardType="decimal-pad"
+          />
+
+          <Text style={styles.inputLabel}>Description</Text>
+          <TextInput
+            style={styles.textInput}
+            value={editForm.description}
+            onChangeText={(value) => setEditForm(prev => ({ ...prev, description: value }))}
+            placeholderTextColor="#999"
+          />
+
+          <View style={styles.editActions}>
+            <Button mode="outlined" onPress={() => setEditing(null)} style={styles.editButton}>
+              Cancel
+            </Button>
+            <Button
+              mode="contained"
+              onPress={handleSaveEdit}
+              loading={isSaving}
+              disabled={isSaving}
+              style={styles.editButton}
+            >
+              Save
+            </Button>
+          </View>
+        </Modal>
+      </Portal>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  sectionContainer: {
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  itemDetail: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  itemAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  incomeText: {
+    color: '#4CAF50',
+  },
+  expenseText: {
+    color: '#F44336',
+  },
+  skippedText: {
+    color: '#aaa',
+    textDecorationLine: 'line-through',
+  },
+  emptyStateContainer: {
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 24,
+    margin: 16,
+    borderRadius: 8,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 8,
+  },
+  editModal: {
+    backgroundColor: 'white',
+    margin: 20,
+    padding: 20,
+    borderRadius: 8,
+  },
+  editTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginBottom: 8,
+    marginTop: 16,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    backgroundColor: 'white',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  editActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 24,
+  },
+  editButton: {
+    marginLeft: 8,
+  },
+});
+
+export default RecurringTransactionsScreen;
@@ -10,6 +10,7 @@ import {
 import { MaterialIcons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { Card, Button, Divider, Menu } from 'react-native-paper';
 import { useFinance } from '../../contexts/FinanceContext';
+import { TRANSFER_DIRECTIONS, getCounterpartAccountId, isTransfer } from '../../utils/transfers';
 
 const TransactionDetailsScreen = ({ route, navigation }) => {
   // Verify transaction exists in route params to prevent crashes
@@ -111,11 +112,26 @@ const TransactionDetailsScreen = ({ route, navigation }) => {
     });
   };
   
+  const transfer = isTransfer(transaction);
+  const isIncoming = transfer
+    ? transaction.transferDirection === TRANSFER_DIRECTIONS.IN
+    : transaction.type === 'income';
+  const counterpartAccount = transfer
+    ? accounts.find(a => a.id === getCounterpartAccountId(transaction))
+    : null;
+  
   // Get color based on transaction type
   const getTransactionColor = () => {
+    if (transfer) return '#2196F3';
     return transaction.type === 'income' ? '#4CAF50' : '#F44336';
   };
   
+  // Get the label for the transaction type
+  const getTypeLabel = () => {
+    if (transfer) return isIncoming ? 'Transfer In' : 'Transfer Out';
+    return transaction.type === 'income' ? 'Income' : 'Expense';
+  };
+  
   // Get icon based on transaction category
   const getTransactionIcon = () => {
     const iconMap = {
@@ -136,7 +152,10 @@ const TransactionDetailsScreen = ({ route, navigation }) => {
       'entertainment': 'movie',
       'debt': 'credit-card',
       'savings': 'savings',
-      'other_expense': 'receipt'
+      'other_expense': 'receipt',
+      
+      // Transfers between accounts
+      'transfer': 'swap-horiz'
     };
     
     return iconMap[transaction.category] || (transaction.type === 'income' ? 'add-circle' : 'remove-circle');
@@ -154,7 +173,9 @@ const TransactionDetailsScreen = ({ route, navigation }) => {
     
     Alert.alert(
       'Delete Transaction',
-      'Are you sure you want to delete this transaction? This action cannot be undone.',
+      transfer
+        ? 'This deletes both sides of the transfer. This action cannot be undone.'
+        : 'Are you sure you want to delete this transaction? This action cannot be undone.',
       [
         {
           text: 'Cancel',
@@ -220,7 +241,7 @@ const TransactionDetailsScreen = ({ route, navigation }) => {
           </View>
           <View style={styles.transactionInfo}>
             <Text style={styles.transactionTitle}>
-              {transaction.description || transaction.category || (transaction.type === 'income' ? 'Income' : 'Expense')}
+              {transaction.description || transaction.category || getTypeLabel()}
             </Text>
             <Text style={styles.transactionCategory}>
               {transaction.category ? formatCategory(transaction.category) : transaction.type}
@@ -233,7 +254,7 @@ const TransactionDetailsScreen = ({ route, navigation }) => {
         <View style={styles.amountSection}>
           <Text style={styles.amountLabel}>Amount</Text>
           <Text style={[styles.amountValue, { color: getTransactionColor() }]}>
-            {transaction.type === 'income' ? '+' : '-'} {formatCurrency(transaction.amount, account?.currency || 'GHS')}
+            {isIncoming ? '+' : '-'} {formatCurrency(transaction.amount, account?.currency || 'GHS')}
           </Text>
         </View>
         
@@ -257,7 +278,7 @@ const TransactionDetailsScreen = ({ route, navigation }) => {
               styles.typeValue, 
               { backgroundColor: getTransactionColor() + '20', color: getTransactionColor() }
             ]}>
-              {transaction.type === 'income' ? 'Income' : 'Expense'}
+              {getTypeLabel()}
             </Text>
           </View>
           
@@ -276,6 +297,22 @@ const TransactionDetailsScreen = ({ route, navigation }) => {
             </View>
           )}
           
+          {transfer && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>{isIncoming ? 'From' : 'To'}</Text>
+              <Text style={styles.detailValue}>{counterpartAccount?.name || 'Another account'}</Text>
+            </View>
+          )}
+          
+          {transfer && transaction.fromCurrency !== transaction.toCurrency && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Exchange Rate</Text>
+              <Text style={styles.detailValue}>
+                1 {transaction.fromCurrency} = {transaction.exchangeRate} {transaction.toCurrency}
+              </Text>
+            </View>
+          )}
+          
           {transaction.paymentMethod && (
             <View style={styles.detailRow}>
               <Text style={styles.detailLabel}>Payment Method</Text>
@@ -486,6 +486,11 @@ const TransactionsScreen = ({ navigation, route }) => {
           onPress={() => { setFilterType('expense'); setShowTypeMenu(false); }}
           leadingIcon={filterType === 'expense' ? 'check' : undefined}
         />
+        <Menu.Item 
+          title="Transfer" 
+          onPress={() => { setFilterType('transfer'); setShowTypeMenu(false); }}
+          leadingIcon={filterType === 'transfer' ? 'check' : undefined}
+        />
       </Menu>
 
       {/* Account Filter Menu */}
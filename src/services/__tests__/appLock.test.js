@@ -0,0 +1,72 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as ScreenCapture from 'expo-screen-capture';
+import appLock, { LOCK_GRACE_PERIOD_MS, shouldLockOnResume } from '../appLock';
+
+jest.mock('expo-local-authentication', () => ({
+  SecurityLevel: { NONE: 0, SECRET: 1, BIOMETRIC_WEAK: 2, BIOMETRIC_STRONG: 3 },
+  getEnrolledLevelAsync: jest.fn(() => Promise.resolve(3)),
+  authenticateAsync: jest.fn(() => Promise.resolve({ success: true })),
+}));
+
+jest.mock('expo-screen-capture', () => ({
+  preventScreenCaptureAsync: jest.fn(() => Promise.resolve()),
+  allowScreenCaptureAsync: jest.fn(() => Promise.resolve()),
+}));
+
+describe('appLock', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('only locks after the grace period in the background', () => {
+    const now = 1000000;
+    expect(shouldLockOnResume(null, now)).toBe(false);
+    expect(shouldLockOnResume(now - 5000, now)).toBe(false);
+    expect(shouldLockOnResume(now - LOCK_GRACE_PERIOD_MS, now)).toBe(true);
+  });
+
+  it('follows the biometric login preference', async () => {
+    expect(await appLock.isEnabled()).toBe(false);
+
+    AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify({ biometricLogin: true }));
+    expect(await appLock.isEnabled()).toBe(true);
+  });
+
+  it('needs biometrics or a device passcode to lock', async () => {
+    expect(await appLock.canAuthenticate()).toBe(true);
+
+    LocalAuthentication.getEnrolledLevelAsync.mockResolvedValueOnce(LocalAuthentication.SecurityLevel.SECRET);
+    expect(await appLock.canAuthenticate()).toBe(true);
+
+    LocalAuthentication.getEnrolledLevelAsync.mockResolvedValueOnce(LocalAuthentication.SecurityLevel.NONE);
+    expect(await appLock.canAuthenticate()).toBe(false);
+  });
+
+  it('falls back to the device passcode', async () => {
+    LocalAuthentication.authenticateAsync.mockResolvedValueOnce({ success: false, error: 'user_cancel' });
+
+    expect(await appLock.authenticate()).toBe(false);
+    expect(LocalAuthentication.authenticateAsync).toHaveBeenCalledWith(
+      expect.objectContaining({ disableDeviceFallback: false })
+    );
+  });
+
+  it('keeps the screen out of screenshots on Android while the lock is on', async () => {
+    const platform = Platform.OS;
+    Platform.OS = 'android';
+
+    await appLock.protectScreen(true);
+    expect(ScreenCapture.preventScreenCaptureAsync).toHaveBeenCalledWith('app-lock');
+
+    await appLock.protectScreen(false);
+    expect(ScreenCapture.allowScreenCaptureAsync).toHaveBeenCalledWith('app-lock');
+
+    Platform.OS = 'ios';
+    await appLock.protectScreen(true);
+    expect(ScreenCapture.preventScreenCaptureAsync).toHaveBeenCalledTimes(1);
+
+    Platform.OS = platform;
+  });
+});
@@ -0,0 +1,114 @@
+import { updateDoc } from 'firebase/firestore';
+import appointmentService, { canChangeStatus, canReschedule } from '../appointmentService';
+import { scheduleAppointmentReminders, cancelNotifications } from '../notifications';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(() => 'appointment-ref'),
+  getDocs: jest.fn(),
+  addDoc: jest.fn(() => Promise.resolve({ id: 'new-appointment' })),
+  updateDoc: jest.fn(() => Promise.resolve()),
+  deleteDoc: jest.fn(() => Promise.resolve()),
+  query: jest.fn(),
+  where: jest.fn(),
+  serverTimestamp: jest.fn(() => 'server-time'),
+}));
+
+jest.mock('../notifications', () => ({
+  scheduleAppointmentReminders: jest.fn(() => Promise.resolve(['reminder-2', 'reminder-3'])),
+  cancelNotifications: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../offlineStorage', () => ({
+  cacheAppointments: jest.fn(() => Promise.resolve()),
+}));
+
+const appointment = {
+  id: 'apt1',
+  title: 'Checkup',
+  doctor: 'Mensah',
+  date: new Date(2030, 0, 10, 9, 30),
+  status: 'scheduled',
+  statusHistory: [{ status: 'scheduled', note: '', changedAt: '2029-12-01T00:00:00.000Z' }],
+  reminderNotificationIds: ['reminder-1'],
+};
+
+describe('appointmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('only allows valid status transitions', () => {
+    expect(canChangeStatus(appointment, 'confirmed')).toBe(true);
+    expect(canChangeStatus({ ...appointment, status: 'completed' }, 'cancelled')).toBe(false);
+    expect(canChangeStatus({ status: undefined }, 'confirmed')).toBe(true);
+    expect(canReschedule({ ...appointment, status: 'cancelled' })).toBe(false);
+  });
+
+  it('creates appointments with a status history and reminders', async () => {
+    const created = await appointmentService.createAppointment('user1', {
+      title: 'Checkup',
+      date: appointment.date,
+    });
+
+    expect(created.id).toBe('new-appointment');
+    expect(created.status).toBe('scheduled');
+    expect(created.duration).toBe(30);
+    expect(created.statusHistory).toHaveLength(1);
+    expect(created.reminderNotificationIds).toEqual(['reminder-2', 'reminder-3']);
+    expect(updateDoc).toHaveBeenCalledWith(expect.anything(), { reminderNotificationIds: ['reminder-2', 'reminder-3'] });
+  });
+
+  it('replaces the reminders when rescheduling', async () => {
+    const newDate = new Date(2030, 0, 12, 14, 0);
+    const updated = await appointmentService.rescheduleAppointment(appointment, newDate, 'Doctor away');
+
+    expect(cancelNotifications).toHaveBeenCalledWith(['reminder-1']);
+    expect(scheduleAppointmentReminders).toHaveBeenCalledWith(expect.objectContaining({ date: newDate }));
+    expect(updated.status).toBe('rescheduled');
+    expect(updated.reminderNotificationIds).toEqual(['reminder-2', 'reminder-3']);
+    expect(updated.statusHistory[1]).toEqual(expect.objectContaining({
+      status: 'rescheduled',
+      note: 'Doctor away',
+      previousDate: appointment.date.toISOString(),
+      newDate: newDate.toISOString(),
+    }));
+  });
+
+  it('treats a date change in updateAppointment as a reschedule', async () => {
+    const newDate = new Date(2030, 0, 11, 9, 30);
+    const updated = await appointmentService.updateAppointment(appointment, { date: newDate, location: 'Room 4' });
+
+    expect(updated.status).toBe('rescheduled');
+    expect(updated.location).toBe('Room 4');
+    expect(updateDoc).toHaveBeenCalledWith('appointment-ref', expect.objectContaining({
+      date: newDate,
+      location: 'Room 4',
+    }));
+  });
+
+  it('reschedules reminders when the reminder times change', async () => {
+    const updated = await appointmentService.updateAppointment(appointment, { reminderOffsets: [60] });
+
+    expect(cancelNotifications).toHaveBeenCalledWith(['reminder-1']);
+    expect(scheduleAppointmentReminders).toHaveBeenCalledWith(expect.objectContaining({ reminderOffsets: [60] }));
+    expect(updated.reminderNotificationIds).toEqual(['reminder-2', 'reminder-3']);
+  });
+
+  it('cancels the reminders when an appointment is cancelled', async () => {
+    const updated = await appointmentService.changeStatus(appointment, 'cancelled');
+
+    expect(cancelNotifications).toHaveBeenCalledWith(['reminder-1']);
+    expect(updated.reminderNotificationIds).toEqual([]);
+    expect(updated.statusHistory.map(entry => entry.status)).toEqual(['scheduled', 'cancelled']);
+  });
+
+  it('rejects invalid status changes', async () => {
+    await expect(
+      appointmentService.changeStatus({ ...appointment, status: 'completed' }, 'confirmed')
+    ).rejects.toThrow('Cannot change a completed appointment to confirmed');
+    await expect(
+      appointmentService.rescheduleAppointment({ ...appointment, status: 'cancelled' }, new Date())
+    ).rejects.toThrow();
+  });
+});
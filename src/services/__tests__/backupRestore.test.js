@@ -0,0 +1,210 @@
+import { addDoc, deleteDoc, runTransaction, writeBatch } from 'firebase/firestore';
+import backupRestore from '../backupRestore';
+import appointmentService from '../appointmentService';
+import medicationService from '../medicationService';
+import { RESTORE_MODE, planRestore } from '../../utils/backupBundle';
+import { checkAccountLedger } from '../../utils/ledger';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, name) => name),
+  // doc(collectionRef) gives a new document with a generated ID
+  doc: jest.fn((db, name, id) => (name === undefined
+    ? { id: `${db}-id${++mockNewIds}`, collection: db }
+    : { id, collection: name })),
+  getDocs: jest.fn(),
+  addDoc: jest.fn(),
+  deleteDoc: jest.fn(() => Promise.resolve()),
+  writeBatch: jest.fn(),
+  runTransaction: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  serverTimestamp: jest.fn(() => 'server-time'),
+  Timestamp: jest.fn(function Timestamp(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }),
+}));
+
+let mockNewIds = 0;
+
+// Documents written through batches and transactions, by collection and ID
+let stored;
+
+const write = {
+  set: (ref, data) => {
+    stored[ref.collection] = { ...stored[ref.collection], [ref.id]: data };
+  },
+  update: (ref, data) => {
+    stored[ref.collection][ref.id] = { ...stored[ref.collection][ref.id], ...data };
+  },
+  delete: (ref) => {
+    delete stored[ref.collection][ref.id];
+  },
+};
+
+const documents = (collectionName) => Object.entries(stored[collectionName] || {}).map(([id, data]) => ({ id, ...data }));
+
+jest.mock('../appointmentService', () => ({
+  cancelReminders: jest.fn(() => Promise.resolve()),
+  refreshAllReminders: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../medicationService', () => ({
+  deleteRegimensForRecord: jest.fn(() => Promise.resolve(1)),
+}));
+
+const bundle = {
+  format: 'healthyhome-backup',
+  version: 1,
+  exportDate: '2025-06-01T00:00:00.000Z',
+  familyMembers: [{ id: 'm1', name: 'Ama' }],
+  medicalRecords: [{ id: 'r1', familyMemberId: 'm1', date: { seconds: 100, nanoseconds: 0 } }],
+  appointments: [{ id: 'a1', familyMemberId: 'm1', reminderNotificationIds: ['old'] }],
+  financeAccounts: [{ id: 'acc1', name: 'Savings', balance: 120, initialBalance: 100 }],
+  financeTransactions: [{ id: 't1', accountId: 'acc1', type: 'income', amount: 20 }],
+};
+
+describe('backupRestore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    let nextId = 0;
+    mockNewIds = 0;
+    stored = {};
+    addDoc.mockImplementation(() => Promise.resolve({ id: `new${++nextId}` }));
+    writeBatch.mockImplementation(() => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push(() => write.set(ref, data)),
+        commit: () => Promise.resolve(writes.forEach(apply => apply())),
+      };
+    });
+    runTransaction.mockImplementation(async (db, update) => {
+      const writes = [];
+      const result = await update({
+        get: (ref) => Promise.resolve({
+          id: ref.id,
+          exists: () => Boolean(stored[ref.collection]?.[ref.id]),
+          data: () => stored[ref.collection][ref.id],
+        }),
+        set: (ref, data) => writes.push(() => write.set(ref, data)),
+        update: (ref, data) => writes.push(() => write.update(ref, data)),
+        delete: (ref) => writes.push(() => write.delete(ref)),
+      });
+      writes.forEach(apply => apply());
+      return result;
+    });
+  });
+
+  it('creates documents in order with references to the new IDs', async () => {
+    const progress = jest.fn();
+    const plan = planRestore(bundle, {}, RESTORE_MODE.MERGE);
+
+    const created = await backupRestore.restore('u1', plan, RESTORE_MODE.MERGE, progress);
+
+    expect(created).toEqual({ familyMembers: 1, financeAccounts: 1, medicalRecords: 1, appointments: 1, financeTransactions: 1 });
+    const calls = addDoc.mock.calls.map(([collectionName, data]) => [collectionName, data]);
+    expect(calls[0]).toEqual(['familyMembers', { name: 'Ama', userId: 'u1', restoredFrom: 'm1' }]);
+    expect(calls[1][1]).toMatchObject({ familyMemberId: 'new1', userId: 'u1' });
+    expect(calls[1][1].date).toEqual(expect.objectContaining({ seconds: 100, nanoseconds: 0 }));
+    expect(calls[2][1]).toMatchObject({ familyMemberId: 'new1', reminderNotificationIds: [] });
+    expect(documents('finance_transactions')).toEqual([
+      { id: 'finance_transactions-id3', accountId: 'finance_accounts-id1', type: 'income', amount: 20, createdBy: 'u1', restoredFrom: 't1' },
+    ]);
+    expect(progress).toHaveBeenLastCalledWith({ completed: 5, total: 5 });
+    expect(appointmentService.refreshAllReminders).toHaveBeenCalledWith('u1');
+  });
+
+  it('links to documents that already exist when merging', async () => {
+    const plan = planRestore(bundle, { familyMembers: [{ id: 'm1' }] }, RESTORE_MODE.MERGE);
+
+    await backupRestore.restore('u1', plan, RESTORE_MODE.MERGE);
+
+    expect(addDoc).not.toHaveBeenCalledWith('familyMembers', expect.anything());
+    expect(addDoc).toHaveBeenCalledWith('medicalRecords', expect.objectContaining({ familyMemberId: 'm1' }));
+  });
+
+  it('deletes the current data first when replacing, transactions through the ledger', async () => {
+    stored = {
+      finance_accounts: { oldAcc: { balance: 30, initialBalance: 0 } },
+      finance_transactions: { oldT: { accountId: 'oldAcc', type: 'income', amount: 30 } },
+    };
+    const existing = {
+      medicalRecords: [{ id: 'oldR', type: 'prescription' }, { id: 'oldLab', type: 'lab_result' }],
+      appointments: [{ id: 'oldA', reminderNotificationIds: ['n1'] }],
+      financeTransactions: [{ id: 'oldT' }],
+      financeAccounts: [{ id: 'oldAcc' }],
+    };
+    const plan = planRestore(bundle, existing, RESTORE_MODE.REPLACE);
+
+    await backupRestore.restore('u1', plan, RESTORE_MODE.REPLACE);
+
+    expect(deleteDoc.mock.calls.map(([ref]) => `${ref.collection}/${ref.id}`)).toEqual([
+      'appointments/oldA',
+      'medicalRecords/oldR',
+      'medicalRecords/oldLab',
+      'finance_accounts/oldAcc',
+    ]);
+    expect(medicationService.deleteRegimensForRecord).toHaveBeenCalledTimes(1);
+    expect(medicationService.deleteRegimensForRecord).toHaveBeenCalledWith('u1', 'oldR');
+    expect(stored.finance_transactions.oldT).toBeUndefined();
+    expect(documents('finance_ledger')).toContainEqual(expect.objectContaining({
+      accountId: 'oldAcc', transactionId: 'oldT', amount: -30, reason: 'deleted',
+    }));
+    expect(appointmentService.cancelReminders).toHaveBeenCalledWith(existing.appointments[0]);
+    expect(addDoc).toHaveBeenCalledTimes(3);
+  });
+
+  it('restores accounts whose balance adds up with their ledger', async () => {
+    const legacyBundle = {
+      ...bundle,
+      // From before the ledger: no initial balance
+      financeAccounts: [{ id: 'acc1', name: 'Savings', balance: 75 }],
+      financeTransactions: [
+        { id: 't1', accountId: 'acc1', type: 'income', amount: 100 },
+        { id: 't2', accountId: 'acc1', type: 'expense', amount: 40 },
+      ],
+    };
+
+    for (const restored of [bundle, legacyBundle]) {
+      stored = {};
+      await backupRestore.restore('u1', planRestore(restored, {}, RESTORE_MODE.MERGE), RESTORE_MODE.MERGE);
+
+      const [account] = documents('finance_accounts');
+      const entries = documents('finance_ledger');
+      const transactions = documents('finance_transactions');
+      expect(checkAccountLedger(account, entries, transactions).discrepancies).toEqual([]);
+      expect(account.balance).toBe(restored === bundle ? 120 : 75);
+    }
+  });
+
+  it('restores both sides of a transfer together, pointing at each other', async () => {
+    const transfer = { type: 'transfer', fromAccountId: 'acc1', toAccountId: 'acc2', amount: 50 };
+    const transferBundle = {
+      ...bundle,
+      financeAccounts: [
+        { id: 'acc1', name: 'Savings', balance: 50, initialBalance: 100 },
+        { id: 'acc2', name: 'Momo', balance: 50, initialBalance: 0 },
+      ],
+      financeTransactions: [
+        { ...transfer, id: 'out1', accountId: 'acc1', transferDirection: 'out', linkedTransactionId: 'in1' },
+        { ...transfer, id: 'in1', accountId: 'acc2', transferDirection: 'in', linkedTransactionId: 'out1' },
+      ],
+    };
+    // The original pair is still there when merging
+    const existing = { financeAccounts: [], financeTransactions: [{ id: 'out1' }, { id: 'in1' }] };
+
+    const plan = planRestore(transferBundle, {}, RESTORE_MODE.MERGE);
+    await backupRestore.restore('u1', plan, RESTORE_MODE.MERGE);
+
+    expect(runTransaction).toHaveBeenCalledTimes(1);
+    const [outgoing, incoming] = documents('finance_transactions');
+    const [savings, momo] = documents('finance_accounts');
+    expect(outgoing).toMatchObject({ accountId: savings.id, fromAccountId: savings.id, toAccountId: momo.id, linkedTransactionId: incoming.id });
+    expect(incoming).toMatchObject({ accountId: momo.id, fromAccountId: savings.id, toAccountId: momo.id, linkedTransactionId: outgoing.id });
+    expect([savings.balance, momo.balance]).toEqual([50, 50]);
+
+    // Nothing to restore when the pair already exists
+    const mergePlan = planRestore(transferBundle, existing, RESTORE_MODE.MERGE);
+    expect(mergePlan.financeTransactions.create).toEqual([]);
+  });
+});
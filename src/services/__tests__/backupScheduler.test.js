@@ -0,0 +1,156 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import backupScheduler, {
+  BACKUP_FREQUENCIES,
+  getBackupDirectory,
+  getBackupFileName,
+  getBackupsToDelete,
+  isBackupDue,
+} from '../backupScheduler';
+import dataExportService from '../dataExport';
+import exportPasswordStore from '../exportPassword';
+
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file:///documents/',
+  getInfoAsync: jest.fn(() => Promise.resolve({ exists: true, size: 2048 })),
+  makeDirectoryAsync: jest.fn(() => Promise.resolve()),
+  readDirectoryAsync: jest.fn(() => Promise.resolve([])),
+  deleteAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../backupRestore', () => ({
+  FULL_BACKUP_OPTIONS: {},
+  buildBundle: jest.fn(() => Promise.resolve({ format: 'healthyhome-backup', familyMembers: [] })),
+}));
+
+jest.mock('../dataExport', () => ({
+  getAvailableSpace: jest.fn(() => Promise.resolve({ available: 10 * 1024 * 1024, formatted: '10 MB' })),
+  writeExportFile: jest.fn((fileName, content, password) => Promise.resolve({
+    fileUri: `file:///documents/${fileName}${password ? '.hhenc' : ''}`,
+    fileName: `${fileName}${password ? '.hhenc' : ''}`,
+    encrypted: !!password,
+  })),
+}));
+
+jest.mock('../exportPassword', () => ({
+  get: jest.fn(() => Promise.resolve(null)),
+}));
+
+const DAY = BACKUP_FREQUENCIES.daily.intervalMs;
+
+describe('backupScheduler', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    AsyncStorage.getItem.mockImplementation((key) => Promise.resolve(stored[key] ?? null));
+    AsyncStorage.setItem.mockImplementation((key, value) => {
+      stored[key] = value;
+      return Promise.resolve();
+    });
+    AsyncStorage.removeItem.mockImplementation((key) => {
+      delete stored[key];
+      return Promise.resolve();
+    });
+  });
+
+  it('is due once the interval has passed, with a pause after a failure', () => {
+    const now = 10 * DAY;
+    const settings = { enabled: true, frequency: 'daily' };
+
+    expect(isBackupDue({ ...settings, enabled: false }, {}, now)).toBe(false);
+    expect(isBackupDue(settings, {}, now)).toBe(true);
+    expect(isBackupDue(settings, { lastBackupAt: now - DAY / 2 }, now)).toBe(false);
+    expect(isBackupDue(settings, { lastBackupAt: now - DAY }, now)).toBe(true);
+    expect(isBackupDue(settings, { lastBackupAt: now - 2 * DAY, lastAttemptAt: now - 60 * 1000 }, now)).toBe(false);
+    expect(isBackupDue({ ...settings, frequency: 'weekly' }, { lastBackupAt: now - 2 * DAY }, now)).toBe(false);
+  });
+
+  it('keeps the newest backups and never touches another user\'s', () => {
+    const names = [
+      getBackupFileName('u1', new Date('2025-01-03T10:00:00Z')),
+      'notes.txt',
+      getBackupFileName('u1', new Date('2025-01-01T10:00:00Z')),
+      getBackupFileName('u2', new Date('2024-01-01T10:00:00Z')),
+      `${getBackupFileName('u1', new Date('2025-01-02T10:00:00Z'))}.hhenc`,
+    ];
+
+    expect(getBackupsToDelete(names, 2, 'u1')).toEqual(['healthyhome_backup_u1_2025-01-01T10-00-00-000Z.json']);
+    expect(getBackupsToDelete(names, 5, 'u1')).toEqual([]);
+    expect(getBackupsToDelete(names, 0, 'u2')).toEqual(['healthyhome_backup_u2_2024-01-01T10-00-00-000Z.json']);
+  });
+
+  it('writes a backup, removes old ones and records the status', async () => {
+    stored.backup_settings_u1 = JSON.stringify({ enabled: true, keepCount: 1 });
+    FileSystem.readDirectoryAsync.mockResolvedValueOnce([
+      'healthyhome_backup_u1_2025-01-01T10-00-00-000Z.json',
+      'healthyhome_backup_u1_2099-01-01T10-00-00-000Z.json',
+    ]);
+    const listener = jest.fn();
+    const unsubscribe = backupScheduler.addListener(listener);
+
+    const status = await backupScheduler.runBackup('u1');
+    unsubscribe();
+
+    expect(dataExportService.writeExportFile).toHaveBeenCalledWith(
+      expect.stringMatching(/^backups\/u1\/healthyhome_backup_u1_.*\.json$/),
+      expect.any(String),
+      null
+    );
+    expect(FileSystem.readDirectoryAsync).toHaveBeenCalledWith('file:///documents/backups/u1/');
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith(
+      `${getBackupDirectory('u1')}healthyhome_backup_u1_2025-01-01T10-00-00-000Z.json`,
+      { idempotent: true }
+    );
+    expect(status).toMatchObject({ size: 2048, backupCount: 1, encrypted: false, lastError: null });
+    expect(status.fileName).toMatch(/^healthyhome_backup_u1_/);
+    expect(listener).toHaveBeenCalledWith(status, 'u1');
+    expect(JSON.parse(stored.backup_status_u1)).toEqual(status);
+  });
+
+  it('deletes a user\'s backups in the app on sign out and keeps their schedule', async () => {
+    stored.backup_settings_u1 = JSON.stringify({ enabled: true });
+    stored.backup_status_u1 = JSON.stringify({ lastBackupAt: 1 });
+    stored.backup_status_u2 = JSON.stringify({ lastBackupAt: 2 });
+
+    await backupScheduler.deleteLocalBackups('u1');
+
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith('file:///documents/backups/u1/', { idempotent: true });
+    expect(Object.keys(stored)).toEqual(['backup_settings_u1', 'backup_status_u2']);
+  });
+
+  it('encrypts backups when exports are password protected', async () => {
+    stored.privacy_preferences = JSON.stringify({ passwordProtectExports: true });
+    exportPasswordStore.get.mockResolvedValueOnce('secret123');
+
+    const status = await backupScheduler.runBackup('u1');
+
+    expect(dataExportService.writeExportFile).toHaveBeenCalledWith(expect.any(String), expect.any(String), 'secret123');
+    expect(status.encrypted).toBe(true);
+  });
+
+  it('records a failure instead of writing an unprotected backup', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stored.privacy_preferences = JSON.stringify({ passwordProtectExports: true });
+    stored.backup_status_u1 = JSON.stringify({ lastBackupAt: 1, size: 10 });
+
+    const status = await backupScheduler.runBackup('u1');
+    console.error.mockRestore();
+
+    expect(dataExportService.writeExportFile).not.toHaveBeenCalled();
+    expect(status).toMatchObject({ lastBackupAt: 1, size: 10, lastError: expect.stringMatching(/export password/) });
+    expect(status.lastAttemptAt).toBeGreaterThan(1);
+  });
+
+  it('refuses to fill up the device', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dataExportService.getAvailableSpace.mockResolvedValueOnce({ available: 10, formatted: '10 Bytes' });
+
+    const status = await backupScheduler.runBackup('u1');
+    console.error.mockRestore();
+
+    expect(status.lastError).toBe('Not enough free space for a backup (10 Bytes available)');
+    expect(dataExportService.writeExportFile).not.toHaveBeenCalled();
+  });
+});
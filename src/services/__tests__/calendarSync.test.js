@@ -0,0 +1,200 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Calendar from 'expo-calendar';
+import calendarSyncService, {
+  getAppointmentSnapshot,
+  getEventSnapshot,
+  getSyncAction,
+  SYNC_ACTION,
+} from '../calendarSync';
+import appointmentService from '../appointmentService';
+
+jest.mock('expo-calendar', () => ({
+  EntityTypes: { EVENT: 'event' },
+  CalendarAccessLevel: { OWNER: 'owner' },
+  getCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  requestCalendarPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  getCalendarsAsync: jest.fn(() => Promise.resolve([{ id: 'cal1', title: 'Healthy Home', allowsModifications: true }])),
+  createCalendarAsync: jest.fn(),
+  getEventAsync: jest.fn(),
+  createEventAsync: jest.fn(() => Promise.resolve('event-new')),
+  updateEventAsync: jest.fn(() => Promise.resolve()),
+  deleteEventAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../appointmentService', () => ({
+  __esModule: true,
+  DEFAULT_APPOINTMENT_DURATION: 30,
+  getAppointmentDate: (appointment) => new Date(appointment.date),
+  getAppointmentStatus: (appointment) => appointment.status || 'scheduled',
+  canReschedule: (appointment) => ['scheduled', 'confirmed', 'rescheduled'].includes(appointment.status || 'scheduled'),
+  default: {
+    updateAppointment: jest.fn((appointment, updates) => Promise.resolve({ ...appointment, ...updates })),
+    deleteAppointment: jest.fn(() => Promise.resolve()),
+  },
+}));
+
+const appointment = {
+  id: 'apt1',
+  userId: 'user1',
+  title: 'Checkup',
+  date: '2030-01-10T09:30:00.000Z',
+  duration: 30,
+  location: 'Ridge Hospital',
+  notes: '',
+  status: 'scheduled',
+};
+
+const toEvent = (snapshot) => ({
+  title: snapshot.title,
+  startDate: snapshot.start,
+  endDate: snapshot.end,
+  location: snapshot.location,
+  notes: snapshot.notes,
+});
+
+const snapshot = getAppointmentSnapshot(appointment);
+const mapping = { eventId: 'event1', appointmentSnapshot: snapshot, eventSnapshot: snapshot };
+
+const setState = (state) => {
+  AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+    enabled: true,
+    userId: 'user1',
+    calendarId: 'cal1',
+    events: {},
+    conflicts: [],
+    ...state,
+  }));
+};
+
+const savedState = () => JSON.parse(AsyncStorage.setItem.mock.calls[AsyncStorage.setItem.mock.calls.length - 1][1]);
+
+describe('calendarSync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getSyncAction', () => {
+    const moved = { ...snapshot, start: '2030-01-11T09:30:00.000Z', end: '2030-01-11T10:00:00.000Z' };
+
+    it('does nothing when neither side changed', () => {
+      expect(getSyncAction(mapping, snapshot, snapshot)).toBe(SYNC_ACTION.NONE);
+    });
+
+    it('pushes app changes and pulls calendar changes', () => {
+      expect(getSyncAction(mapping, moved, snapshot)).toBe(SYNC_ACTION.PUSH);
+      expect(getSyncAction(mapping, snapshot, moved)).toBe(SYNC_ACTION.PULL);
+    });
+
+    it('deletes the appointment when its event was deleted', () => {
+      expect(getSyncAction(mapping, snapshot, null)).toBe(SYNC_ACTION.DELETE_APPOINTMENT);
+    });
+
+    it('reports a conflict when both sides changed differently', () => {
+      const renamed = { ...snapshot, title: 'Dentist' };
+      expect(getSyncAction(mapping, moved, renamed)).toBe(SYNC_ACTION.CONFLICT);
+      expect(getSyncAction(mapping, moved, null)).toBe(SYNC_ACTION.CONFLICT);
+      expect(getSyncAction(mapping, moved, moved)).toBe(SYNC_ACTION.NONE);
+    });
+  });
+
+  it('compares event times to the minute', () => {
+    const event = toEvent({ ...snapshot, start: '2030-01-10T09:30:42.000Z' });
+    expect(getEventSnapshot(event)).toEqual(snapshot);
+  });
+
+  it('does nothing while sync is off', async () => {
+    AsyncStorage.getItem.mockResolvedValue(null);
+    expect(await calendarSyncService.syncAppointments('user1', [appointment])).toBeNull();
+    expect(Calendar.createEventAsync).not.toHaveBeenCalled();
+  });
+
+  it('creates events for new appointments but not cancelled ones', async () => {
+    setState({});
+    Calendar.getEventAsync.mockResolvedValue(toEvent(snapshot));
+
+    const result = await calendarSyncService.syncAppointments('user1', [
+      appointment,
+      { ...appointment, id: 'apt2', status: 'cancelled' },
+    ]);
+
+    expect(result.pushed).toBe(1);
+    expect(Calendar.createEventAsync).toHaveBeenCalledTimes(1);
+    expect(Calendar.createEventAsync).toHaveBeenCalledWith('cal1', expect.objectContaining({
+      title: 'Checkup',
+      location: 'Ridge Hospital',
+    }));
+    expect(Object.keys(savedState().events)).toEqual(['apt1']);
+  });
+
+  it('applies calendar edits to the appointment', async () => {
+    setState({ events: { apt1: mapping } });
+    Calendar.getEventAsync.mockResolvedValue(toEvent({
+      ...snapshot,
+      start: '2030-01-10T11:00:00.000Z',
+      end: '2030-01-10T12:00:00.000Z',
+    }));
+
+    const result = await calendarSyncService.syncAppointments('user1', [appointment]);
+
+    expect(result.pulled).toBe(1);
+    expect(appointmentService.updateAppointment).toHaveBeenCalledWith(appointment, expect.objectContaining({
+      date: new Date('2030-01-10T11:00:00.000Z'),
+      duration: 60,
+    }));
+    // The event is rewritten so both snapshots match again
+    expect(Calendar.updateEventAsync).toHaveBeenCalledWith('event1', expect.objectContaining({
+      startDate: new Date('2030-01-10T11:00:00.000Z'),
+    }));
+  });
+
+  it('puts back the event of a completed appointment and keeps syncing the rest', async () => {
+    const completed = { ...appointment, status: 'completed' };
+    const other = { ...appointment, id: 'apt2' };
+    setState({ events: { apt1: mapping, apt2: { ...mapping, eventId: 'event2' } } });
+    const moved = toEvent({ ...snapshot, start: '2030-01-11T09:30:00.000Z', end: '2030-01-11T10:00:00.000Z' });
+    Calendar.getEventAsync.mockResolvedValue(moved);
+    appointmentService.updateAppointment.mockRejectedValueOnce(new Error('offline'));
+
+    const result = await calendarSyncService.syncAppointments('user1', [completed, other, { ...other, id: 'apt3' }]);
+
+    expect(appointmentService.updateAppointment).toHaveBeenCalledTimes(1);
+    expect(appointmentService.updateAppointment).toHaveBeenCalledWith(other, expect.anything());
+    expect(Calendar.updateEventAsync).toHaveBeenCalledWith('event1', expect.objectContaining({
+      startDate: new Date(snapshot.start),
+    }));
+    // apt1 is put back and apt3, which had no event yet, is still created
+    expect(result).toMatchObject({ pushed: 2, pulled: 0 });
+  });
+
+  it('deletes appointments whose event was removed from the calendar', async () => {
+    setState({ events: { apt1: mapping } });
+    Calendar.getEventAsync.mockRejectedValue(new Error('Event not found'));
+
+    const result = await calendarSyncService.syncAppointments('user1', [appointment]);
+
+    expect(result.deleted).toBe(1);
+    expect(appointmentService.deleteAppointment).toHaveBeenCalledWith(appointment);
+  });
+
+  it('stores a conflict instead of overwriting either side', async () => {
+    setState({ events: { apt1: mapping } });
+    Calendar.getEventAsync.mockResolvedValue(toEvent({ ...snapshot, title: 'Dentist' }));
+
+    await calendarSyncService.syncAppointments('user1', [{ ...appointment, location: 'Korle Bu' }]);
+
+    expect(Calendar.updateEventAsync).not.toHaveBeenCalled();
+    expect(appointmentService.updateAppointment).not.toHaveBeenCalled();
+    expect(savedState().conflicts).toEqual([
+      expect.objectContaining({ appointmentId: 'apt1', eventSnapshot: expect.objectContaining({ title: 'Dentist' }) }),
+    ]);
+  });
+
+  it('removes events of appointments deleted elsewhere', async () => {
+    setState({ events: { gone: { ...mapping, eventId: 'event-gone' } } });
+
+    await calendarSyncService.syncAppointments('user1', []);
+
+    expect(Calendar.deleteEventAsync).toHaveBeenCalledWith('event-gone');
+    expect(savedState().events).toEqual({});
+  });
+});
@@ -0,0 +1,122 @@
+import * as FileSystem from 'expo-file-system';
+import dataExportService, { ENCRYPTED_EXPORT_FORMAT } from '../dataExport';
+
+jest.mock('expo-crypto', () => {
+  const nodeCrypto = jest.requireActual('crypto');
+  return {
+    CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+    digest: jest.fn((algorithm, data) => Promise.resolve(nodeCrypto.createHash('sha256').update(data).digest())),
+    getRandomBytes: jest.fn((count) => new Uint8Array(nodeCrypto.randomBytes(count))),
+  };
+});
+
+jest.mock('expo-file-system', () => {
+  const files = {};
+  return {
+    documentDirectory: 'file:///documents/',
+    cacheDirectory: 'file:///cache/',
+    files,
+    writeAsStringAsync: jest.fn((uri, content) => {
+      files[uri] = content;
+      return Promise.resolve();
+    }),
+    readAsStringAsync: jest.fn((uri) => Promise.resolve(files[uri])),
+  };
+});
+
+jest.mock('expo-sharing', () => ({}));
+jest.mock('expo-print', () => ({}));
+
+const records = [{ id: 'r1', type: 'diagnosis', title: 'Hypertension', date: '2025-03-01' }];
+
+describe('dataExport encrypted exports', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes a plain file without a password', async () => {
+    const result = await dataExportService.exportToJSON({ records }, 'family_medical_data');
+
+    expect(result.success).toBe(true);
+    expect(result.encrypted).toBe(false);
+    expect(result.fileName).toMatch(/^family_medical_data_\d{4}-\d{2}-\d{2}\.json$/);
+    expect(JSON.parse(FileSystem.files[result.fileUri])).toEqual({ records });
+  });
+
+  it('encrypts with the password and opens again with it', async () => {
+    const result = await dataExportService.exportToJSON({ records }, 'family_medical_data', { password: 'secret123' });
+
+    expect(result.fileName).toMatch(/\.json\.hhenc$/);
+    const bundle = JSON.parse(FileSystem.files[result.fileUri]);
+    expect(bundle.format).toBe(ENCRYPTED_EXPORT_FORMAT);
+    expect(bundle.mimeType).toBe('application/json');
+    expect(FileSystem.files[result.fileUri]).not.toContain('Hypertension');
+
+    const opened = await dataExportService.openEncryptedExport(result.fileUri, 'secret123');
+    expect(opened.success).toBe(true);
+    expect(opened.fileName).toBe(result.fileName.replace(/\.hhenc$/, ''));
+    expect(JSON.parse(opened.content)).toEqual({ records });
+    expect(opened.fileUri).toBe(`file:///cache/${opened.fileName}`);
+    expect(FileSystem.files[opened.fileUri]).toBe(opened.content);
+  });
+
+  it('encrypts CSV exports too', async () => {
+    const result = await dataExportService.exportMedicalRecordsToCSV(records, [], { password: 'secret123' });
+    const opened = await dataExportService.openEncryptedExport(result.fileUri, 'secret123');
+
+    expect(result.recordCount).toBe(1);
+    expect(opened.mimeType).toBe('text/csv');
+    expect(opened.content).toContain('Hypertension');
+  });
+
+  it('only opens a bundle as a file of an export type in the cache directory', async () => {
+    expect(dataExportService.getOpenedFileName('../../shared_prefs/settings.json')).toBe('settings.json');
+    expect(dataExportService.getOpenedFileName('backups/u1/healthyhome_backup.json')).toBe('healthyhome_backup.json');
+    expect(dataExportService.getOpenedFileName('..\\records 2025.csv')).toBe('records_2025.csv');
+    expect(() => dataExportService.getOpenedFileName('payload.js')).toThrow(/cannot open/);
+    expect(() => dataExportService.getOpenedFileName('.json')).toThrow(/cannot open/);
+  });
+
+  it('refuses the wrong password and files that are not bundles', async () => {
+    const result = await dataExportService.exportToJSON({ records }, 'family_medical_data', { password: 'secret123' });
+
+    const wrongPassword = await dataExportService.openEncryptedExport(result.fileUri, 'guess123');
+    expect(wrongPassword).toEqual({ success: false, error: 'The password is incorrect or the file is damaged' });
+
+    FileSystem.files['file:///documents/notes.txt'] = 'just some notes';
+    const notABundle = await dataExportService.openEncryptedExport('file:///documents/notes.txt', 'secret123');
+    expect(notABundle.success).toBe(false);
+    expect(notABundle.error).toMatch(/not an encrypted/);
+  });
+});
+
+describe('dataExport adherence report', () => {
+  it('escapes names in the adherence report', () => {
+    const html = dataExportService.generateAdherenceHTML([{
+      familyMemberName: 'Ama & <Kofi>',
+      percentage: 90,
+      medications: [{
+        medicationName: 'Amlo<dipine>',
+        strength: '5mg',
+        startDate: '2025-03-01',
+        endDate: null,
+        taken: 9,
+        due: 10,
+        skipped: 0,
+        missed: 1,
+        longestMissedStreak: 1,
+        percentage: 90,
+        weekly: [],
+      }],
+    }]);
+
+    expect(html).toContain('Ama &amp; &lt;Kofi&gt;');
+    expect(html).toContain('Amlo&lt;dipine&gt; 5mg');
+    expect(html).not.toContain('<Kofi>');
+  });
+});
@@ -0,0 +1,89 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDocs } from 'firebase/firestore';
+import documentExpiryService from '../documentExpiryService';
+import { cancelNotifications, scheduleDocumentExpiryReminders } from '../notifications';
+import offlineStorageService from '../offlineStorage';
+import networkService from '../networkService';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDocs: jest.fn(),
+  updateDoc: jest.fn(() => Promise.resolve()),
+  query: jest.fn(),
+  where: jest.fn(),
+}));
+
+jest.mock('../notifications', () => ({
+  cancelNotifications: jest.fn(() => Promise.resolve()),
+  getNotificationPreferences: jest.fn(() => Promise.resolve({ insuranceReminders: true })),
+  scheduleDocumentExpiryReminders: jest.fn(() => Promise.resolve(['new-alert'])),
+}));
+
+jest.mock('../offlineStorage', () => ({
+  getCachedMedicalRecords: jest.fn(),
+}));
+
+jest.mock('../networkService', () => ({
+  isOnline: jest.fn(() => true),
+}));
+
+const card = (id, extra = {}) => ({ id, type: 'insurance', expiryDate: '2030-06-30', ...extra });
+
+const scheduled = {
+  c1: { expiryDate: '2030-06-30', notificationIds: ['c1-alert'] },
+  c2: { expiryDate: '2030-06-30', notificationIds: ['c2-alert'] },
+};
+
+const savedSchedule = () => JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+
+describe('documentExpiryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AsyncStorage.getItem.mockResolvedValue(JSON.stringify(scheduled));
+    networkService.isOnline.mockReturnValue(true);
+  });
+
+  it('cancels the alerts of cards deleted or renewed', async () => {
+    getDocs.mockResolvedValue({
+      docs: [{ id: 'c1', data: () => card('c1', { renewedAt: '2030-06-01' }) }],
+    });
+
+    await documentExpiryService.scanAndSchedule('user1');
+
+    expect(cancelNotifications).toHaveBeenCalledWith(['c1-alert']);
+    expect(cancelNotifications).toHaveBeenCalledWith(['c2-alert']);
+    expect(savedSchedule()).toEqual({});
+  });
+
+  it('keeps the alerts of cards missing from the offline cache', async () => {
+    networkService.isOnline.mockReturnValue(false);
+    offlineStorageService.getCachedMedicalRecords.mockResolvedValue(null);
+
+    await documentExpiryService.scanAndSchedule('user1');
+
+    expect(cancelNotifications).not.toHaveBeenCalled();
+    expect(savedSchedule()).toEqual(scheduled);
+  });
+
+  it('only changes the cards it was given unless told they are all of them', async () => {
+    await documentExpiryService.scanAndSchedule('user1', [card('c1', { expiryDate: '2031-06-30' })]);
+
+    expect(cancelNotifications).toHaveBeenCalledTimes(1);
+    expect(cancelNotifications).toHaveBeenCalledWith(['c1-alert']);
+    expect(scheduleDocumentExpiryReminders).toHaveBeenCalledTimes(1);
+    expect(savedSchedule()).toEqual({
+      c1: { expiryDate: '2031-06-30', notificationIds: ['new-alert'] },
+      c2: scheduled.c2,
+    });
+  });
+
+  it('leaves the alerts alone when the cards cannot be loaded', async () => {
+    getDocs.mockRejectedValue(new Error('unavailable'));
+
+    await documentExpiryService.scanAndSchedule('user1');
+
+    expect(cancelNotifications).not.toHaveBeenCalled();
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+import { runTransaction } from 'firebase/firestore';
+import financeLedger, { TRANSACTION_EXISTS_MESSAGE } from '../financeLedger';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, name) => name),
+  // doc(collectionRef) gives a new document with a generated ID
+  doc: jest.fn((db, name, id) => (name === undefined ? { id: 'entry1', collection: db } : { id, collection: name })),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn(() => 'server-time'),
+}));
+
+const account = { id: 'acc1', collection: 'finance_accounts' };
+const occurrence = { id: 'rec1_3', collection: 'finance_transactions' };
+const income = { accountId: 'acc1', type: 'income', amount: 25 };
+
+// Runs the commit against the given documents, keyed by ID
+const runAgainst = (existing) => {
+  const firestoreTransaction = {
+    get: jest.fn((ref) => Promise.resolve({
+      id: ref.id,
+      exists: () => ref.id in existing,
+      data: () => existing[ref.id],
+    })),
+    set: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  };
+  runTransaction.mockImplementation((db, update) => update(firestoreTransaction));
+  return firestoreTransaction;
+};
+
+describe('financeLedger', () => {
+  it('writes a transaction with its ledger entry and the new balance', async () => {
+    const firestoreTransaction = runAgainst({ acc1: { balance: 100 } });
+
+    const balances = await financeLedger.commitTransactionChanges('u1', [{ ref: occurrence, data: income, create: true }]);
+
+    expect(balances).toEqual({ acc1: 125 });
+    expect(firestoreTransaction.set).toHaveBeenCalledWith(occurrence, income);
+    expect(firestoreTransaction.set).toHaveBeenCalledWith(expect.objectContaining({ collection: 'finance_ledger' }), {
+      accountId: 'acc1',
+      transactionId: 'rec1_3',
+      amount: 25,
+      reason: 'created',
+      createdBy: 'u1',
+      createdAt: 'server-time',
+    });
+    expect(firestoreTransaction.update).toHaveBeenCalledWith(account, { balance: 125, updatedAt: 'server-time' });
+  });
+
+  it('never creates over a transaction that already exists', async () => {
+    const firestoreTransaction = runAgainst({ acc1: { balance: 125 }, rec1_3: income });
+
+    await expect(financeLedger.commitTransactionChanges('u1', [{ ref: occurrence, data: income, create: true }]))
+      .rejects.toThrow(TRANSACTION_EXISTS_MESSAGE);
+    expect(firestoreTransaction.set).not.toHaveBeenCalled();
+    expect(firestoreTransaction.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import immunizationService from '../immunizationService';
+
+const typhoid = { name: 'Typhoid ', doses: [{ age: { years: 2 } }, { interval: { years: 3 } }] };
+
+describe('immunizationService', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {};
+    AsyncStorage.getItem.mockImplementation((key) => Promise.resolve(stored[key] ?? null));
+    AsyncStorage.setItem.mockImplementation((key, value) => {
+      stored[key] = value;
+      return Promise.resolve();
+    });
+    AsyncStorage.removeItem.mockImplementation((key) => {
+      delete stored[key];
+      return Promise.resolve();
+    });
+  });
+
+  it('moves the settings once kept for the whole device to the first user only', async () => {
+    stored.immunization_schedule_settings = JSON.stringify({ disabledVaccines: ['hpv'] });
+
+    expect((await immunizationService.getSettings('u1')).disabledVaccines).toEqual(['hpv']);
+    expect((await immunizationService.getSettings('u2')).disabledVaccines).toEqual([]);
+    expect(stored.immunization_schedule_settings).toBeUndefined();
+    expect(JSON.parse(stored.immunization_schedule_settings_u1)).toEqual({ disabledVaccines: ['hpv'] });
+  });
+
+  it('keeps each user their own schedule', async () => {
+    await immunizationService.setVaccineEnabled('u1', 'bcg', false);
+
+    expect((await immunizationService.getSchedule('u1')).map(vaccine => vaccine.id)).not.toContain('bcg');
+    expect((await immunizationService.getSchedule('u2')).map(vaccine => vaccine.id)).toContain('bcg');
+  });
+
+  it('adds, edits and removes vaccines', async () => {
+    const { vaccines } = await immunizationService.saveVaccine('u1', typhoid);
+    const [added] = Object.values(vaccines);
+    expect(added).toMatchObject({
+      name: 'Typhoid',
+      doses: [{ dose: 1, age: { years: 2 } }, { dose: 2, interval: { years: 3 } }],
+    });
+
+    await immunizationService.saveVaccine('u1', { id: 'bcg', name: 'BCG', doses: [{ age: { weeks: 1 } }] });
+    const schedule = await immunizationService.getSchedule('u1');
+    expect(schedule.find(vaccine => vaccine.id === 'bcg').doses).toEqual([{ dose: 1, age: { weeks: 1 } }]);
+    expect(schedule[schedule.length - 1].id).toBe(added.id);
+
+    await immunizationService.deleteVaccine('u1', added.id);
+    await immunizationService.deleteVaccine('u1', 'bcg');
+    const restored = await immunizationService.getVaccines('u1');
+    expect(restored.map(vaccine => vaccine.id)).not.toContain(added.id);
+    expect(restored.find(vaccine => vaccine.id === 'bcg').doses).toEqual([{ dose: 1, age: { weeks: 0 } }]);
+  });
+
+  it('does not save a vaccine with no doses', async () => {
+    await expect(immunizationService.saveVaccine('u1', { name: 'Typhoid', doses: [] }))
+      .rejects.toThrow('Add at least one dose');
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+});
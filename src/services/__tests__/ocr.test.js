@@ -0,0 +1,149 @@
+import {
+  processDocument,
+  extractTextFromImage,
+  setOcrEngine,
+  normalizeDocumentDate,
+  mapDocumentToRecordFields,
+} from '../ocr';
+import { FixtureOcrEngine, MlKitOcrEngine } from '../ocrEngines';
+
+const PRESCRIPTION_TEXT = `
+  Korle Bu Teaching Hospital
+  Patient: Ama Mensah
+  Date: 14/03/2025
+  Prescription:
+  Amoxicillin 500mg
+  Doctor: Dr. Kwame Asante
+`;
+
+describe('ocr service', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('extractTextFromImage', () => {
+    it('returns text, lines and confidence from the engine', async () => {
+      setOcrEngine(new FixtureOcrEngine({ 'file://rx.jpg': PRESCRIPTION_TEXT }));
+
+      const result = await extractTextFromImage('file://rx.jpg');
+
+      expect(result.success).toBe(true);
+      expect(result.engine).toBe('fixture');
+      expect(result.lines).toHaveLength(6);
+      expect(result.lines[1].text).toBe('Patient: Ama Mensah');
+      expect(result.lines[1].boundingBox).toEqual(expect.objectContaining({ x: 0, y: 20 }));
+      expect(result.confidence).toBe(1);
+    });
+
+    it('orders lines top-to-bottom and weights confidence by length', async () => {
+      setOcrEngine(new FixtureOcrEngine({
+        'file://card.jpg': {
+          lines: [
+            { text: 'ID: 123', confidence: 0.5, boundingBox: { x: 0, y: 40, width: 70, height: 20 } },
+            { text: 'Health Insurance', confidence: 0.9, boundingBox: { x: 0, y: 0, width: 160, height: 20 } },
+          ],
+        },
+      }));
+
+      const result = await extractTextFromImage('file://card.jpg');
+
+      expect(result.text).toBe('Health Insurance\nID: 123');
+      expect(result.confidence).toBeCloseTo((0.9 * 16 + 0.5 * 7) / 23);
+    });
+
+    it('fails gracefully when the engine is unavailable', async () => {
+      setOcrEngine(new MlKitOcrEngine({ nativeModule: null }));
+
+      const result = await extractTextFromImage('file://rx.jpg');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Document scanning is not available on this device');
+    });
+  });
+
+  describe('MlKitOcrEngine', () => {
+    it('converts recognized blocks into OCR lines', async () => {
+      const nativeModule = {
+        recognize: jest.fn(() => Promise.resolve({
+          text: 'Medical Bill\n~ } ~',
+          blocks: [
+            {
+              text: 'Medical Bill',
+              lines: [{ text: 'Medical Bill\n', frame: { left: 10, top: 5, width: 190, height: 25 } }],
+            },
+            {
+              text: '~ } ~',
+              lines: [{ text: '~ } ~', frame: { left: 10, top: 40, width: 20, height: 20 } }],
+            },
+          ],
+        })),
+      };
+      const engine = new MlKitOcrEngine({ nativeModule });
+
+      const result = await engine.recognize('file:///data/scan.jpg');
+
+      expect(nativeModule.recognize).toHaveBeenCalledWith('file:///data/scan.jpg', 'Latin');
+      expect(result.lines).toEqual([
+        { text: 'Medical Bill', confidence: 1, boundingBox: { x: 10, y: 5, width: 190, height: 25 } },
+      ]);
+    });
+  });
+
+  describe('processDocument', () => {
+    it('detects the document type and parses fields', async () => {
+      setOcrEngine(new FixtureOcrEngine({ 'file://rx.jpg': PRESCRIPTION_TEXT }));
+
+      const result = await processDocument('file://rx.jpg');
+
+      expect(result.documentType).toBe('prescription');
+      expect(result.extractedData).toEqual(expect.objectContaining({
+        patientName: 'Ama Mensah',
+        date: '14/03/2025',
+        doctor: 'Dr. Kwame Asante',
+        medicationName: 'Amoxicillin',
+        strength: '500mg',
+      }));
+      expect(result.fieldConfidence.patientName).toBe(1);
+    });
+  });
+
+  describe('normalizeDocumentDate', () => {
+    it('reads common printed date formats', () => {
+      expect(normalizeDocumentDate('14/03/2025')).toBe('2025-03-14');
+      expect(normalizeDocumentDate('03/14/2025')).toBe('2025-03-14');
+      expect(normalizeDocumentDate('2025-03-14')).toBe('2025-03-14');
+      expect(normalizeDocumentDate('31/02/2025')).toBeNull();
+      expect(normalizeDocumentDate('not a date')).toBeNull();
+    });
+  });
+
+  describe('mapDocumentToRecordFields', () => {
+    it('maps a scan to record form fields', () => {
+      const { fields, confidence } = mapDocumentToRecordFields(
+        {
+          documentType: 'prescription',
+          extractedData: {
+            patientName: 'Ama Mensah',
+            date: '14/03/2025',
+            doctor: 'Dr. Kwame Asante',
+            timesPerDay: 3,
+          },
+          fieldConfidence: { patientName: 0.9, date: 0.5, doctor: 0.8, timesPerDay: 0.85 },
+        },
+        [{ id: 'm1', name: 'Kofi Mensah' }, { id: 'm2', name: 'Ama Mensah' }]
+      );
+
+      expect(fields).toEqual({
+        type: 'prescription',
+        date: '2025-03-14',
+        doctor: 'Dr. Kwame Asante',
+        familyMemberId: 'm2',
+      });
+      expect(confidence).toEqual({ date: 0.5, doctor: 0.8, familyMemberId: 0.9 });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import { extractRecordFields, matchInsuranceProvider } from '../ocrFieldExtractors';
+
+const lines = (entries) => entries.map(([text, confidence = 0.9]) => ({ text, confidence }));
+
+const values = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, { value }]) => [key, value])
+);
+
+describe('ocrFieldExtractors', () => {
+  describe('prescription', () => {
+    it('extracts medication name, strength, frequency and duration', () => {
+      const fields = extractRecordFields(lines([
+        ['Ridge Hospital'],
+        ['Patient: Ama Mensah'],
+        ['Date: 14/03/2025'],
+        ['1. Amoxicillin 500 mg capsules'],
+        ['Take 1 capsule three times a day for 7 days'],
+        ['Doctor: Dr. Kwame Asante'],
+      ]), 'prescription');
+
+      expect(values(fields)).toEqual({
+        patientName: 'Ama Mensah',
+        date: '14/03/2025',
+        doctor: 'Dr. Kwame Asante',
+        medicationName: 'Amoxicillin',
+        strength: '500mg',
+        title: 'Amoxicillin 500mg',
+        frequency: 'three times a day',
+        timesPerDay: 3,
+        duration: '7 days',
+        durationDays: 7,
+      });
+    });
+
+    it('understands prescription abbreviations and hourly intervals', () => {
+      expect(values(extractRecordFields('Metformin 850mg BD x 2 weeks', 'prescription'))).toEqual(
+        expect.objectContaining({ frequency: 'bd', timesPerDay: 2, duration: '2 weeks', durationDays: 14 })
+      );
+      expect(values(extractRecordFields('Paracetamol 1g every 6 hours', 'prescription'))).toEqual(
+        expect.objectContaining({ strength: '1g', timesPerDay: 4 })
+      );
+    });
+  });
+
+  describe('insurance', () => {
+    it('matches a known provider and reads card fields', () => {
+      const fields = extractRecordFields(lines([
+        ['REPUBLIC OF GHANA'],
+        ['NATIONAL HEALTH INSURANCE SCHEME', 0.8],
+        ['Name: Kofi Mensah'],
+        ['Membership No: 12345678', 0.6],
+        ['Date of Issue: 01/02/2024'],
+        ['Expiry Date: 31/01/2026'],
+      ]), 'insurance');
+
+      expect(values(fields)).toEqual({
+        patientName: 'Kofi Mensah',
+        provider: 'nhis',
+        membershipNo: '12345678',
+        dateOfIssue: '01/02/2024',
+        expiryDate: '31/01/2026',
+      });
+      // Confidence follows the OCR line and how the value was found
+      expect(fields.membershipNo.confidence).toBe(0.6);
+      expect(fields.provider.confidence).toBe(0.68);
+    });
+
+    it('falls back to a custom provider name', () => {
+      const fields = extractRecordFields('Insurance Company: Acme Health\nMember ID: A-99812', 'insurance');
+
+      expect(values(fields)).toEqual(expect.objectContaining({
+        provider: 'other',
+        customProvider: 'Acme Health',
+        membershipNo: 'A-99812',
+      }));
+    });
+
+    it('matches providers by acronym or full name only', () => {
+      expect(matchInsuranceProvider('NHIS card')?.id).toBe('nhis');
+      expect(matchInsuranceProvider('Private insurer')).toBeNull();
+    });
+  });
+
+  describe('hospital_card', () => {
+    it('reads the hospital name and card number', () => {
+      const fields = extractRecordFields(lines([
+        ['Korle Bu Teaching Hospital', 0.9],
+        ['Folder No: KB/2231/19'],
+      ]), 'hospital_card');
+
+      expect(values(fields)).toEqual({ hospital: 'Korle Bu Teaching Hospital', cardNumber: 'KB/2231/19' });
+      // Unlabelled hospital names are only a guess
+      expect(fields.hospital.confidence).toBe(0.54);
+    });
+  });
+
+  describe('bill', () => {
+    it('extracts line items, total and amount due', () => {
+      const fields = extractRecordFields(lines([
+        ['37 Military Hospital'],
+        ['Consultation 50.00'],
+        ['Laboratory - Full Blood Count GHS 80.00', 0.7],
+        ['Sub-total 130.00'],
+        ['Total: 130.00'],
+        ['Amount Due: 30.00'],
+      ]), 'bill');
+
+      expect(values(fields)).toEqual({
+        hospital: '37 Military Hospital',
+        lineItems: [
+          { description: 'Consultation', amount: 50 },
+          { description: 'Laboratory - Full Blood Count', amount: 80 },
+        ],
+        billAmount: '130.00',
+        amountDue: 30,
+        totalPaid: 100,
+        billFor: 'Consultation, Laboratory - Full Blood Count',
+      });
+      expect(fields.lineItems.confidence).toBe(0.6);
+    });
+
+    it('sums line items when no total is printed', () => {
+      const fields = extractRecordFields('Bill For: Dental care\nScaling 120.50\nX-ray 60.00', 'bill');
+
+      expect(values(fields)).toEqual(expect.objectContaining({ billAmount: '180.50', billFor: 'Dental care' }));
+      expect(fields.billAmount.confidence).toBe(0.6);
+    });
+  });
+
+  describe('lab_result', () => {
+    it('reads analytes with their units, ranges and flags', () => {
+      const fields = extractRecordFields(lines([
+        ['Korle Bu Teaching Hospital Laboratory'],
+        ['Test: Lipid Profile'],
+        ['Total Cholesterol 212 mg/dL <200 H'],
+        ['HDL 45 mg/dL (>40)', 0.8],
+        ['HbA1c 6.8 % 4.0-5.6 H'],
+        ['Patient Age 45'],
+      ]), 'lab_result');
+
+      expect(values(fields)).toEqual({
+        analytes: [
+          { name: 'Total Cholesterol', value: '212', unit: 'mg/dL', referenceRange: '<200', flag: 'H' },
+          { name: 'HDL', value: '45', unit: 'mg/dL', referenceRange: '>40', flag: '' },
+          { name: 'HbA1c', value: '6.8', unit: '%', referenceRange: '4.0-5.6', flag: 'H' },
+        ],
+        title: 'Lipid Profile',
+        lab: 'Korle Bu Teaching Hospital Laboratory',
+      });
+      expect(fields.analytes.confidence).toBe(0.68);
+    });
+  });
+
+  describe('diagnosis', () => {
+    it('reads the diagnosis as the record title', () => {
+      const fields = extractRecordFields('Date: 2025-01-04\nDiagnosis: Malaria\nFindings: High fever for 3 days', 'diagnosis');
+
+      expect(values(fields)).toEqual({
+        date: '2025-01-04',
+        title: 'Malaria',
+        description: 'High fever for 3 days',
+      });
+    });
+  });
+});
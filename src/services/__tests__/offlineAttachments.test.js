@@ -0,0 +1,116 @@
+import * as FileSystem from 'expo-file-system';
+import { uploadBytesResumable, getDownloadURL } from 'firebase/storage';
+import offlineAttachments, { MAX_UPLOAD_ATTEMPTS } from '../offlineAttachments';
+
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file:///documents/',
+  getInfoAsync: jest.fn(() => Promise.resolve({ exists: false })),
+  makeDirectoryAsync: jest.fn(() => Promise.resolve()),
+  copyAsync: jest.fn(() => Promise.resolve()),
+  deleteAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('firebase/storage', () => ({
+  ref: jest.fn((storage, path) => ({ path })),
+  uploadBytesResumable: jest.fn(),
+  getDownloadURL: jest.fn((storageRef) => Promise.resolve(`https://storage.example/${storageRef.path}`)),
+}));
+
+// An upload task that reports its progress and then finishes, or fails
+const uploadTask = (error = null) => ({
+  on: (event, onProgress, onError, onComplete) => {
+    onProgress({ bytesTransferred: 50 });
+    if (error) {
+      onError(error);
+    } else {
+      onComplete();
+    }
+  },
+});
+
+const pending = [
+  { id: '1', name: 'scan.jpg', type: 'image', size: 100, localUri: 'file:///documents/pending_attachments/1_scan.jpg' },
+  { id: '2', name: 'lab report.pdf', type: 'document', size: 300, localUri: 'file:///documents/pending_attachments/2_lab_report.pdf' },
+];
+
+describe('offlineAttachments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn(() => Promise.resolve({ blob: () => Promise.resolve('blob') }));
+    uploadBytesResumable.mockImplementation(() => uploadTask());
+  });
+
+  it('copies picked files into the pending directory', async () => {
+    const saved = await offlineAttachments.saveForUpload([
+      { id: '2', uri: 'file:///cache/picker/report.pdf', name: 'lab report.pdf', type: 'document', size: 300 },
+    ]);
+
+    expect(FileSystem.makeDirectoryAsync).toHaveBeenCalledWith('file:///documents/pending_attachments/', { intermediates: true });
+    expect(FileSystem.copyAsync).toHaveBeenCalledWith({
+      from: 'file:///cache/picker/report.pdf',
+      to: 'file:///documents/pending_attachments/2_lab_report.pdf',
+    });
+    expect(saved).toEqual([pending[1]]);
+  });
+
+  it('uploads the remaining files and reports progress', async () => {
+    const progress = [];
+    const unsubscribe = offlineAttachments.addProgressListener(update => progress.push(update));
+    const onUploaded = jest.fn();
+    const alreadyUploaded = [{ id: '1', url: 'https://storage.example/1', name: 'scan.jpg', type: 'image', size: 100 }];
+
+    const uploaded = await offlineAttachments.uploadAll('user1', pending, { uploaded: alreadyUploaded, onUploaded });
+    unsubscribe();
+
+    expect(uploadBytesResumable).toHaveBeenCalledTimes(1);
+    expect(uploaded).toEqual([
+      alreadyUploaded[0],
+      {
+        id: '2',
+        url: 'https://storage.example/medical-records/user1/2_lab report.pdf',
+        name: 'lab report.pdf',
+        type: 'document',
+        size: 300,
+      },
+    ]);
+    expect(onUploaded).toHaveBeenCalledWith(uploaded);
+    expect(progress).toEqual([
+      { completed: 0, total: 1, name: 'lab report.pdf', fraction: 0 },
+      { completed: 0, total: 1, name: 'lab report.pdf', fraction: 50 / 300 },
+      null,
+    ]);
+  });
+
+  it('retries a failed upload before giving up', async () => {
+    jest.useFakeTimers();
+    uploadBytesResumable
+      .mockImplementationOnce(() => uploadTask(new Error('network')))
+      .mockImplementationOnce(() => uploadTask());
+
+    const upload = offlineAttachments.uploadAll('user1', [pending[0]]);
+    await jest.runAllTimersAsync();
+    const uploaded = await upload;
+    jest.useRealTimers();
+
+    expect(uploadBytesResumable).toHaveBeenCalledTimes(2);
+    expect(uploaded).toHaveLength(1);
+  });
+
+  it('stops after the last attempt', async () => {
+    jest.useFakeTimers();
+    uploadBytesResumable.mockImplementation(() => uploadTask(new Error('network')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onUploaded = jest.fn();
+
+    const upload = offlineAttachments.uploadAll('user1', [pending[0]], { onUploaded });
+    const assertion = expect(upload).rejects.toThrow('network');
+    await jest.runAllTimersAsync();
+    await assertion;
+    jest.useRealTimers();
+    console.error.mockRestore();
+
+    expect(uploadBytesResumable).toHaveBeenCalledTimes(MAX_UPLOAD_ATTEMPTS);
+    expect(onUploaded).not.toHaveBeenCalled();
+    expect(getDownloadURL).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import offlineStorage from '../offlineStorage';
+import cacheEncryption, { ENCRYPTED_VALUE_PREFIX } from '../cacheEncryption';
+
+jest.mock('../photoStorage', () => ({}));
+
+jest.mock('expo-crypto', () => {
+  const nodeCrypto = jest.requireActual('crypto');
+  return {
+    CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+    digest: jest.fn((algorithm, data) => Promise.resolve(nodeCrypto.createHash('sha256').update(data).digest())),
+    getRandomBytes: jest.fn((count) => new Uint8Array(nodeCrypto.randomBytes(count))),
+  };
+});
+
+jest.mock('expo-secure-store', () => {
+  const items = {};
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+    getItemAsync: jest.fn((key) => Promise.resolve(items[key] ?? null)),
+    setItemAsync: jest.fn((key, value) => {
+      items[key] = value;
+      return Promise.resolve();
+    }),
+  };
+});
+
+describe('offlineStorage', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {};
+    AsyncStorage.getItem.mockImplementation((key) => Promise.resolve(stored[key] ?? null));
+    AsyncStorage.setItem.mockImplementation((key, value) => {
+      stored[key] = value;
+      return Promise.resolve();
+    });
+    AsyncStorage.removeItem.mockImplementation((key) => {
+      delete stored[key];
+      return Promise.resolve();
+    });
+    AsyncStorage.getAllKeys = jest.fn(() => Promise.resolve(Object.keys(stored)));
+    AsyncStorage.multiRemove = jest.fn(() => Promise.resolve());
+  });
+
+  it('encrypts cached records with a key kept in secure storage', async () => {
+    const records = [{ id: 'r1', title: 'Sickle cell trait' }];
+    await offlineStorage.cacheMedicalRecords(records);
+
+    expect(stored.medical_records_cache.startsWith(ENCRYPTED_VALUE_PREFIX)).toBe(true);
+    expect(stored.medical_records_cache).not.toContain('Sickle cell');
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith('offline_cache_key', expect.any(String), {
+      keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+    });
+
+    const cached = await offlineStorage.getCachedMedicalRecords();
+    expect(cached.data).toEqual(records);
+  });
+
+  it('encrypts values saved with setItem', async () => {
+    await offlineStorage.setItem('finance_loans', JSON.stringify([{ id: 'l1', amount: 500 }]));
+
+    expect(cacheEncryption.isEncrypted(stored.finance_loans)).toBe(true);
+    expect(JSON.parse(await offlineStorage.getItem('finance_loans'))).toEqual([{ id: 'l1', amount: 500 }]);
+  });
+
+  it('reads plaintext entries from older versions and re-saves them encrypted', async () => {
+    stored.nuclear_family_members = JSON.stringify([{ id: 'm1', name: 'Ama' }]);
+
+    expect(JSON.parse(await offlineStorage.getItem('nuclear_family_members'))).toEqual([{ id: 'm1', name: 'Ama' }]);
+    expect(cacheEncryption.isEncrypted(stored.nuclear_family_members)).toBe(true);
+  });
+
+  it('encrypts every plaintext entry it owns on startup', async () => {
+    stored.appointments_cache = JSON.stringify({ data: [{ id: 'a1' }], timestamp: 1 });
+    stored.finance_transactions_offline = '[]';
+    stored.privacy_preferences = '{}';
+
+    expect(await offlineStorage.encryptExistingEntries()).toBe(true);
+
+    expect(cacheEncryption.isEncrypted(stored.appointments_cache)).toBe(true);
+    expect(cacheEncryption.isEncrypted(stored.finance_transactions_offline)).toBe(true);
+    expect(stored.privacy_preferences).toBe('{}');
+    expect((await offlineStorage.getCachedAppointments()).data).toEqual([{ id: 'a1' }]);
+  });
+
+  it('discards entries that no longer decrypt', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await offlineStorage.setItem('finance_loans', '[]');
+    // Moved to another key, so the signature no longer matches
+    stored.finance_welfare_accounts = stored.finance_loans;
+
+    expect(await offlineStorage.getItem('finance_welfare_accounts')).toBeNull();
+    expect(stored.finance_welfare_accounts).toBeUndefined();
+    console.error.mockRestore();
+  });
+
+  it('clears cached user data and pending offline changes', async () => {
+    AsyncStorage.getAllKeys = jest.fn(() => Promise.resolve([
+      'medical_records_cache',
+      'sync_queue',
+      'finance_accounts_personal',
+      'finance_transactions',
+      'finance_transactions_offline',
+      'nuclear_family_members',
+      'privacy_preferences',
+    ]));
+
+    expect(await offlineStorage.clearUserData()).toBe(true);
+
+    const removed = AsyncStorage.multiRemove.mock.calls[0][0];
+    expect(removed).toEqual(expect.arrayContaining([
+      'medical_records_cache',
+      'family_members_cache',
+      'user_profile_cache',
+      'sync_queue',
+      'finance_accounts_personal',
+      'finance_transactions',
+      'finance_transactions_offline',
+      'nuclear_family_members',
+    ]));
+    expect(removed).not.toContain('privacy_preferences');
+  });
+});
@@ -0,0 +1,31 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import privacyPreferences, { DEFAULT_PRIVACY_PREFERENCES, getAutoLogoutTimeout } from '../privacyPreferences';
+
+describe('privacyPreferences', () => {
+  it('works out the auto logout timeout', () => {
+    // Off until the user turns it on
+    expect(getAutoLogoutTimeout(DEFAULT_PRIVACY_PREFERENCES)).toBeNull();
+    expect(getAutoLogoutTimeout({ ...DEFAULT_PRIVACY_PREFERENCES, autoLogout: true })).toBe(15 * 60 * 1000);
+    expect(getAutoLogoutTimeout({ autoLogout: true, autoLogoutTime: 5 })).toBe(5 * 60 * 1000);
+    expect(getAutoLogoutTimeout({ autoLogout: false, autoLogoutTime: 5 })).toBeNull();
+  });
+
+  it('fills in defaults for preferences saved by older versions', async () => {
+    AsyncStorage.getItem.mockResolvedValueOnce(JSON.stringify({ biometricLogin: true }));
+
+    expect(await privacyPreferences.get()).toEqual({ ...DEFAULT_PRIVACY_PREFERENCES, biometricLogin: true });
+  });
+
+  it('tells listeners about saved preferences', async () => {
+    const listener = jest.fn();
+    const removeListener = privacyPreferences.addListener(listener);
+    const preferences = { ...DEFAULT_PRIVACY_PREFERENCES, autoLogoutTime: 30 };
+
+    await privacyPreferences.save(preferences);
+    removeListener();
+    await privacyPreferences.save(DEFAULT_PRIVACY_PREFERENCES);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(preferences);
+  });
+});
@@ -0,0 +1,80 @@
+// App lock
+// With biometricLogin switched on in PrivacySecurityScreen the app asks for Face ID or a
+// fingerprint, falling back to the device passcode, when it starts and when it comes back
+// from the background. AppLockGate shows the lock screen.
+
+import { Platform } from 'react-native';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as ScreenCapture from 'expo-screen-capture';
+import privacyPreferences from './privacyPreferences';
+
+// How long the app may stay in the background without locking, so that taking a photo
+// or picking a document for a record doesn't ask to unlock again on return
+export const LOCK_GRACE_PERIOD_MS = 30 * 1000;
+
+const SCREEN_CAPTURE_KEY = 'app-lock';
+
+/**
+ * Whether the app should lock when it returns to the foreground
+ * @param {number|null} backgroundedAt - when the app went to the background
+ */
+export const shouldLockOnResume = (backgroundedAt, now = Date.now()) =>
+  backgroundedAt !== null && backgroundedAt !== undefined && now - backgroundedAt >= LOCK_GRACE_PERIOD_MS;
+
+const appLock = {
+  async isEnabled() {
+    const preferences = await privacyPreferences.get();
+    return preferences.biometricLogin === true;
+  },
+
+  // Biometrics or at least a device passcode are needed, otherwise the lock could never be opened
+  async canAuthenticate() {
+    try {
+      const level = await LocalAuthentication.getEnrolledLevelAsync();
+      return level !== LocalAuthentication.SecurityLevel.NONE;
+    } catch (error) {
+      console.error('Error checking device security:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Ask for biometrics, or the device passcode as a fallback
+   * @returns {Promise<boolean>} true when the user was verified
+   */
+  async authenticate(promptMessage = 'Unlock Healthy Home') {
+    try {
+      const result = await LocalAuthentication.authenticateAsync({
+        promptMessage,
+        fallbackLabel: 'Use Passcode',
+        cancelLabel: 'Cancel',
+        disableDeviceFallback: false,
+      });
+      return result.success;
+    } catch (error) {
+      console.error('Error authenticating:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Sets FLAG_SECURE on Android while the lock is on, which blanks the app switcher
+   * thumbnail and blocks screenshots. iOS relies on the blurred cover in AppLockGate.
+   * @param {boolean} enabled - whether the app lock is on
+   */
+  async protectScreen(enabled) {
+    if (Platform.OS !== 'android') return;
+
+    try {
+      if (enabled) {
+        await ScreenCapture.preventScreenCaptureAsync(SCREEN_CAPTURE_KEY);
+      } else {
+        await ScreenCapture.allowScreenCaptureAsync(SCREEN_CAPTURE_KEY);
+      }
+    } catch (error) {
+      console.error('Error setting screen protection:', error);
+    }
+  }
+};
+
+export default appLock;
@@ -0,0 +1,273 @@
+import { db } from '../../firebaseConfig';
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { APPOINTMENT_STATUS } from '../constants';
+import { scheduleAppointmentReminders, cancelNotifications } from './notifications';
+import offlineStorageService from './offlineStorage';
+
+// Allowed status changes. Rescheduling is done with rescheduleAppointment() so the
+// reminder follows the new date; completed and cancelled appointments are final.
+export const APPOINTMENT_STATUS_TRANSITIONS = {
+  [APPOINTMENT_STATUS.SCHEDULED]: [APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED],
+  [APPOINTMENT_STATUS.CONFIRMED]: [APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED],
+  [APPOINTMENT_STATUS.RESCHEDULED]: [APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED],
+  [APPOINTMENT_STATUS.COMPLETED]: [],
+  [APPOINTMENT_STATUS.CANCELLED]: []
+};
+
+// Statuses that still need a reminder
+const ACTIVE_STATUSES = [
+  APPOINTMENT_STATUS.SCHEDULED,
+  APPOINTMENT_STATUS.CONFIRMED,
+  APPOINTMENT_STATUS.RESCHEDULED
+];
+
+export const DEFAULT_APPOINTMENT_DURATION = 30;
+
+// Appointments created before statuses existed have none
+export const getAppointmentStatus = (appointment) => appointment.status || APPOINTMENT_STATUS.SCHEDULED;
+
+// Firestore returns Timestamps; cached appointments hold ISO strings
+export const getAppointmentDate = (appointment) => {
+  const { date } = appointment;
+  if (!date) return null;
+  return date.toDate ? date.toDate() : new Date(date);
+};
+
+export const canChangeStatus = (appointment, status) => {
+  return (APPOINTMENT_STATUS_TRANSITIONS[getAppointmentStatus(appointment)] || []).includes(status);
+};
+
+export const canReschedule = (appointment) => {
+  return ACTIVE_STATUSES.includes(getAppointmentStatus(appointment));
+};
+
+const createHistoryEntry = (status, note = '', extra = {}) => ({
+  status,
+  note,
+  changedAt: new Date().toISOString(),
+  ...extra
+});
+
+const appointmentService = {
+  async getAppointments(userId) {
+    try {
+      const appointmentsQuery = query(
+        collection(db, 'appointments'),
+        where('userId', '==', userId)
+      );
+      const snapshot = await getDocs(appointmentsQuery);
+      const appointments = snapshot.docs
+        .map(appointmentDoc => ({ id: appointmentDoc.id, ...appointmentDoc.data() }))
+        .sort((a, b) => getAppointmentDate(a) - getAppointmentDate(b));
+
+      await offlineStorageService.cacheAppointments(appointments);
+      return appointments;
+    } catch (error) {
+      console.error('Error fetching appointments:', error);
+      throw error;
+    }
+  },
+
+  // Schedule the reminders for an appointment if it still needs them
+  async scheduleReminders(appointment) {
+    if (!ACTIVE_STATUSES.includes(getAppointmentStatus(appointment))) {
+      return [];
+    }
+    return scheduleAppointmentReminders(appointment);
+  },
+
+  async cancelReminders(appointment) {
+    const ids = [...(appointment.reminderNotificationIds || [])];
+    // Appointments saved before multiple reminders had a single id
+    if (appointment.reminderNotificationId) {
+      ids.push(appointment.reminderNotificationId);
+    }
+    await cancelNotifications(ids);
+  },
+
+  /**
+   * Re-create the reminders of every upcoming appointment
+   * Used when the default reminder times, quiet hours or the reminders toggle change.
+   */
+  async refreshAllReminders(userId) {
+    const now = new Date();
+    const appointments = await this.getAppointments(userId);
+    const upcoming = appointments.filter(appointment =>
+      ACTIVE_STATUSES.includes(getAppointmentStatus(appointment)) && getAppointmentDate(appointment) > now
+    );
+
+    for (const appointment of upcoming) {
+      await this.cancelReminders(appointment);
+      const reminderNotificationIds = await this.scheduleReminders(appointment);
+      await updateDoc(doc(db, 'appointments', appointment.id), { reminderNotificationIds });
+    }
+  },
+
+  async createAppointment(userId, appointmentData) {
+    try {
+      const appointment = {
+        duration: DEFAULT_APPOINTMENT_DURATION,
+        notes: '',
+        ...appointmentData,
+        userId,
+        status: APPOINTMENT_STATUS.SCHEDULED,
+        statusHistory: [createHistoryEntry(APPOINTMENT_STATUS.SCHEDULED)],
+        reminderNotificationIds: []
+      };
+
+      const docRef = await addDoc(collection(db, 'appointments'), {
+        ...appointment,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+
+      const reminderNotificationIds = await this.scheduleReminders({ ...appointment, id: docRef.id });
+      if (reminderNotificationIds.length > 0) {
+        await updateDoc(docRef, { reminderNotificationIds });
+      }
+
+      return { id: docRef.id, ...appointment, reminderNotificationIds };
+    } catch (error) {
+      console.error('Error creating appointment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update appointment details
+   * A change of date is recorded as a reschedule so the history and reminder stay in step.
+   */
+  async updateAppointment(appointment, updates) {
+    try {
+      const { date, ...details } = updates;
+      const currentDate = getAppointmentDate(appointment);
+
+      if (date && currentDate && date.getTime() !== currentDate.getTime()) {
+        return this.rescheduleAppointment({ ...appointment, ...details }, date, '', details);
+      }
+
+      await updateDoc(doc(db, 'appointments', appointment.id), {
+        ...details,
+        updatedAt: serverTimestamp()
+      });
+
+      const updated = { ...appointment, ...details };
+
+      // The reminder text names the doctor and member, and the offsets set when they fire
+      const reminderFields = ['doctor', 'familyMemberName', 'title', 'reminderOffsets'];
+      const remindersChanged = reminderFields.some(field =>
+        field in details && JSON.stringify(details[field]) !== JSON.stringify(appointment[field])
+      );
+      if (remindersChanged) {
+        await this.cancelReminders(appointment);
+        updated.reminderNotificationIds = await this.scheduleReminders(updated);
+        await updateDoc(doc(db, 'appointments', appointment.id), {
+          reminderNotificationIds: updated.reminderNotificationIds
+        });
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('Error updating appointment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move an appointment to a new date
+   * Cancels the old reminders and schedules new ones for the new date.
+   */
+  async rescheduleAppointment(appointment, newDate, note = '', extraUpdates = {}) {
+    try {
+      if (!canReschedule(appointment)) {
+        throw new Error(`A ${getAppointmentStatus(appointment)} appointment cannot be rescheduled`);
+      }
+
+      await this.cancelReminders(appointment);
+
+      const previousDate = getAppointmentDate(appointment);
+      const updated = {
+        ...appointment,
+        ...extraUpdates,
+        date: newDate,
+        status: APPOINTMENT_STATUS.RESCHEDULED,
+        statusHistory: [
+          ...(appointment.statusHistory || []),
+          createHistoryEntry(APPOINTMENT_STATUS.RESCHEDULED, note, {
+            previousDate: previousDate ? previousDate.toISOString() : null,
+            newDate: newDate.toISOString()
+          })
+        ]
+      };
+      updated.reminderNotificationIds = await this.scheduleReminders(updated);
+
+      await updateDoc(doc(db, 'appointments', appointment.id), {
+        ...extraUpdates,
+        date: newDate,
+        status: updated.status,
+        statusHistory: updated.statusHistory,
+        reminderNotificationIds: updated.reminderNotificationIds,
+        updatedAt: serverTimestamp()
+      });
+
+      return updated;
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      throw error;
+    }
+  },
+
+  async changeStatus(appointment, status, note = '') {
+    try {
+      if (!canChangeStatus(appointment, status)) {
+        throw new Error(`Cannot change a ${getAppointmentStatus(appointment)} appointment to ${status}`);
+      }
+
+      const updated = {
+        ...appointment,
+        status,
+        statusHistory: [...(appointment.statusHistory || []), createHistoryEntry(status, note)]
+      };
+
+      // Completed and cancelled appointments no longer need reminding
+      if (!ACTIVE_STATUSES.includes(status)) {
+        await this.cancelReminders(appointment);
+        updated.reminderNotificationIds = [];
+      }
+
+      await updateDoc(doc(db, 'appointments', appointment.id), {
+        status,
+        statusHistory: updated.statusHistory,
+        reminderNotificationIds: updated.reminderNotificationIds || [],
+        updatedAt: serverTimestamp()
+      });
+
+      return updated;
+    } catch (error) {
+      console.error('Error changing appointment status:', error);
+      throw error;
+    }
+  },
+
+  async deleteAppointment(appointment) {
+    try {
+      await this.cancelReminders(appointment);
+      await deleteDoc(doc(db, 'appointments', appointment.id));
+    } catch (error) {
+      console.error('Error deleting appointment:', error);
+      throw error;
+    }
+  }
+};
+
+export default appointmentService;
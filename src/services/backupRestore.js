@@ -0,0 +1,264 @@
+// Full-account backups: builds the bundle from Firestore, and restores one. The
+// restore plan comes from utils/backupBundle; this service loads what the account
+// already has and carries the plan out, section by section so references resolve
+// to the restored IDs. Finance accounts and transactions go through the ledger like
+// any other change to a balance (see services/financeLedger).
+
+import { db } from '../../firebaseConfig';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  deleteDoc,
+  query,
+  where,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+import appointmentService from './appointmentService';
+import financeLedger from './financeLedger';
+import medicationService from './medicationService';
+import {
+  BACKUP_SECTIONS,
+  RESTORE_MODE,
+  createBackupBundle,
+  prepareRestoredDocument,
+  reviveTimestamps,
+} from '../utils/backupBundle';
+import { getLedgerEntries, getLedgerTotals } from '../utils/ledger';
+import { redactData } from '../utils/redaction';
+
+// Firestore allows at most 10 values in an 'in' filter
+const IN_QUERY_LIMIT = 10;
+
+const toTimestamp = (seconds, nanoseconds) => new Timestamp(seconds, nanoseconds);
+
+const snapshotToItems = (snapshot) => snapshot.docs.map(itemDoc => ({ id: itemDoc.id, ...itemDoc.data() }));
+
+// What a restored account opens with. Backups from before the ledger have no initial
+// balance; theirs is what is left of the balance once the restored transactions are taken off.
+const getOpeningBalance = (account, transactions) => {
+  if (account.initialBalance !== undefined) return account.initialBalance;
+
+  const moved = getLedgerTotals(transactions.flatMap(transaction => getLedgerEntries(transaction.id, null, transaction)));
+  return (parseFloat(account.balance) || 0) - (moved[account.id] || 0);
+};
+
+const byUser = async (collectionName, userId, field = 'userId') => {
+  const snapshot = await getDocs(query(collection(db, collectionName), where(field, '==', userId)));
+  return snapshotToItems(snapshot);
+};
+
+// Everything a backup can hold
+export const FULL_BACKUP_OPTIONS = {
+  includeRecords: true,
+  includeFamilyMembers: true,
+  includeAppointments: true,
+  includeInsurance: true,
+  includeFinance: true,
+  anonymizeData: false,
+  redaction: undefined, // rules for anonymized exports, see utils/redaction
+};
+
+const backupRestore = {
+  /**
+   * Gather the account's data into a backup bundle
+   * @param {string} userId
+   * @param {Object} options - which sections to include, as DataExportScreen's export options
+   */
+  async buildBundle(userId, options = FULL_BACKUP_OPTIONS) {
+    const userDoc = await getDoc(doc(db, 'users', userId));
+    const data = {
+      userProfile: { ...(userDoc.exists() ? userDoc.data() : {}), uid: userId },
+    };
+
+    if (options.includeRecords) {
+      data.medicalRecords = await byUser('medicalRecords', userId);
+    }
+
+    if (options.includeFamilyMembers) {
+      data.familyMembers = await byUser('familyMembers', userId);
+    }
+
+    if (options.includeAppointments) {
+      data.appointments = await byUser('appointments', userId);
+    }
+
+    if (options.includeInsurance) {
+      data.insurance = await byUser('insurance', userId);
+    }
+
+    // Finance accounts the user owns, with their transactions
+    if (options.includeFinance) {
+      const accounts = await byUser('finance_accounts', userId, 'owner');
+      data.financeAccounts = accounts;
+      data.financeTransactions = await this.loadTransactions(accounts.map(account => account.id));
+    }
+
+    if (!options.anonymizeData) {
+      return createBackupBundle(data);
+    }
+
+    const { data: redacted, report } = redactData(data, options.redaction);
+    return {
+      ...createBackupBundle(redacted, { anonymized: true }),
+      redactionReport: report,
+    };
+  },
+
+  /**
+   * The account's current documents, keyed like a backup bundle
+   */
+  async loadExisting(userId) {
+    const [familyMembers, medicalRecords, appointments, financeAccounts] = await Promise.all([
+      byUser('familyMembers', userId),
+      byUser('medicalRecords', userId),
+      byUser('appointments', userId),
+      byUser('finance_accounts', userId, 'owner'),
+    ]);
+
+    return {
+      familyMembers,
+      medicalRecords,
+      appointments,
+      financeAccounts,
+      financeTransactions: await this.loadTransactions(financeAccounts.map(account => account.id)),
+    };
+  },
+
+  async loadTransactions(accountIds) {
+    const transactions = [];
+    for (let i = 0; i < accountIds.length; i += IN_QUERY_LIMIT) {
+      const snapshot = await getDocs(query(
+        collection(db, 'finance_transactions'),
+        where('accountId', 'in', accountIds.slice(i, i + IN_QUERY_LIMIT))
+      ));
+      transactions.push(...snapshotToItems(snapshot));
+    }
+    return transactions;
+  },
+
+  /**
+   * Carry out a plan from planRestore
+   * @param {string} userId
+   * @param {Object} plan
+   * @param {string} mode - RESTORE_MODE
+   * @param {Function} onProgress - called with { completed, total }
+   * @returns {Promise<Object>} created count per section key
+   */
+  async restore(userId, plan, mode, onProgress = () => {}) {
+    const total = BACKUP_SECTIONS.reduce(
+      (sum, { key }) => sum + plan[key].create.length + plan[key].remove.length,
+      0
+    );
+    let completed = 0;
+    const step = () => onProgress({ completed: ++completed, total });
+
+    if (mode === RESTORE_MODE.REPLACE) {
+      // Dependents first, so nothing is left pointing at a deleted document
+      for (const section of [...BACKUP_SECTIONS].reverse()) {
+        for (const item of plan[section.key].remove) {
+          if (section.key === 'appointments') {
+            await appointmentService.cancelReminders(item);
+          }
+          // As when a prescription is deleted: its regimens, dose history and reminders go with it
+          if (section.key === 'medicalRecords' && item.type === 'prescription') {
+            await medicationService.deleteRegimensForRecord(userId, item.id);
+          }
+          if (section.key === 'financeTransactions') {
+            // Recorded in the ledger, so the account's balance and history stay in step
+            await financeLedger.commitTransactionChanges(userId, [
+              { ref: doc(db, section.collection, item.id), data: null }
+            ]);
+          } else {
+            await deleteDoc(doc(db, section.collection, item.id));
+          }
+          step();
+        }
+      }
+    }
+
+    const idMaps = {};
+    const created = {};
+    for (const section of BACKUP_SECTIONS) {
+      const { create, skip } = plan[section.key];
+      idMaps[section.key] = Object.fromEntries(skip.map(({ item, existingId }) => [item.id, existingId]));
+      created[section.key] = 0;
+
+      const prepare = (item) => {
+        const document = reviveTimestamps(prepareRestoredDocument(item, section, idMaps, userId), toTimestamp);
+        if (section.key === 'appointments') {
+          // The old notification IDs belong to another install; reminders are rescheduled below
+          document.reminderNotificationIds = [];
+          delete document.reminderNotificationId;
+        }
+        return document;
+      };
+
+      if (section.key === 'financeAccounts') {
+        const transactions = plan.financeTransactions.create;
+        for (const item of create) {
+          // The balance starts at the opening entry and moves as the transactions are restored
+          const accountRef = doc(collection(db, section.collection));
+          const batch = writeBatch(db);
+          financeLedger.openAccount(batch, accountRef, prepare(item), getOpeningBalance(item, transactions), userId);
+          await batch.commit();
+
+          idMaps[section.key][item.id] = accountRef.id;
+          created[section.key]++;
+          step();
+        }
+        continue;
+      }
+
+      if (section.pairedBy) {
+        // Each side needs the other's new ID, so IDs are given out before anything is written
+        const refs = Object.fromEntries(create.map(item => [item.id, doc(collection(db, section.collection))]));
+        create.forEach(item => {
+          idMaps[section.key][item.id] = refs[item.id].id;
+        });
+
+        const written = new Set();
+        for (const item of create) {
+          if (written.has(item.id)) continue;
+
+          // Both sides of a pair land in one commit, with their ledger entries and balances
+          const items = [item, create.find(other => item[section.pairedBy] && other.id === item[section.pairedBy])]
+            .filter(Boolean);
+          await financeLedger.commitTransactionChanges(
+            userId,
+            items.map(pairItem => ({ ref: refs[pairItem.id], data: prepare(pairItem), create: true }))
+          );
+          items.forEach(pairItem => written.add(pairItem.id));
+
+          items.forEach(() => {
+            created[section.key]++;
+            step();
+          });
+        }
+        continue;
+      }
+
+      for (const item of create) {
+        const docRef = await addDoc(collection(db, section.collection), prepare(item));
+        idMaps[section.key][item.id] = docRef.id;
+        created[section.key]++;
+        step();
+      }
+    }
+
+    if (created.appointments > 0) {
+      try {
+        await appointmentService.refreshAllReminders(userId);
+      } catch (error) {
+        console.error('Error scheduling reminders for restored appointments:', error);
+      }
+    }
+
+    return created;
+  }
+};
+
+export default backupRestore;
@@ -0,0 +1,297 @@
+// Automatic backups to the device. When a backup is due it is written to the app's
+// document directory, and copied to a folder the user picked if there is one; only
+// the newest few are kept in each place. There is no background task runner in the
+// app, so a due backup runs on sign in and whenever the app comes to the foreground.
+// Settings, status and files are kept per user, and a user's backups in the app's
+// directory are deleted when they sign out.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { AppState, Platform } from 'react-native';
+import backupRestore, { FULL_BACKUP_OPTIONS } from './backupRestore';
+import dataExportService from './dataExport';
+import privacyPreferences from './privacyPreferences';
+import exportPasswordStore from './exportPassword';
+
+const BACKUP_SETTINGS_KEY = 'backup_settings';
+const BACKUP_STATUS_KEY = 'backup_status';
+
+const BACKUP_DIRECTORY_NAME = 'backups';
+export const BACKUP_FILE_PREFIX = 'healthyhome_backup_';
+
+const getSettingsKey = (userId) => `${BACKUP_SETTINGS_KEY}_${userId}`;
+const getStatusKey = (userId) => `${BACKUP_STATUS_KEY}_${userId}`;
+
+// Path of a user's backups relative to the document directory
+const getBackupPath = (userId) => `${BACKUP_DIRECTORY_NAME}/${userId}/`;
+
+export const getBackupDirectory = (userId) => `${FileSystem.documentDirectory}${getBackupPath(userId)}`;
+
+// The user is in the name too, as backups of several users may share the chosen folder
+const getBackupFilePrefix = (userId) => `${BACKUP_FILE_PREFIX}${userId}_`;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const BACKUP_FREQUENCIES = {
+  daily: { label: 'Daily', intervalMs: 24 * HOUR_MS },
+  weekly: { label: 'Weekly', intervalMs: 7 * 24 * HOUR_MS },
+};
+
+export const BACKUP_KEEP_OPTIONS = [3, 5, 10];
+
+// After a failed backup, wait this long before trying again
+const RETRY_INTERVAL_MS = HOUR_MS;
+
+// Leave room for the encrypted copy and the folder copy as well
+const FREE_SPACE_FACTOR = 3;
+
+export const DEFAULT_BACKUP_SETTINGS = {
+  enabled: false,
+  frequency: 'weekly',
+  keepCount: 5,
+  folderUri: null, // Android folder picked through the Storage Access Framework
+};
+
+/**
+ * Whether an automatic backup should run now
+ * @param {Object} settings
+ * @param {Object} status - { lastBackupAt, lastAttemptAt } in milliseconds
+ */
+export const isBackupDue = (settings, status, now = Date.now()) => {
+  if (!settings.enabled) return false;
+
+  const { intervalMs } = BACKUP_FREQUENCIES[settings.frequency] || BACKUP_FREQUENCIES.weekly;
+  if (status.lastBackupAt && now - status.lastBackupAt < intervalMs) return false;
+  if (status.lastAttemptAt && now - status.lastAttemptAt < RETRY_INTERVAL_MS) return false;
+  return true;
+};
+
+// File names carry the time, so they sort oldest to newest
+export const getBackupFileName = (userId, date = new Date()) =>
+  `${getBackupFilePrefix(userId)}${date.toISOString().replace(/[:.]/g, '-')}.json`;
+
+/**
+ * The user's backups beyond the newest keepCount
+ * @param {string[]} names - file names or URIs, only the user's backups are considered
+ */
+export const getBackupsToDelete = (names, keepCount, userId) =>
+  names
+    .filter(name => decodeURIComponent(name).includes(getBackupFilePrefix(userId)))
+    .sort((a, b) => decodeURIComponent(b).localeCompare(decodeURIComponent(a)))
+    .slice(keepCount);
+
+const readJSON = async (key, defaults) => {
+  try {
+    const saved = await AsyncStorage.getItem(key);
+    return { ...defaults, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return { ...defaults };
+  }
+};
+
+const backupScheduler = {
+  listeners: [],
+  running: false,
+
+  async getSettings(userId) {
+    return readJSON(getSettingsKey(userId), DEFAULT_BACKUP_SETTINGS);
+  },
+
+  async saveSettings(userId, settings) {
+    await AsyncStorage.setItem(getSettingsKey(userId), JSON.stringify(settings));
+  },
+
+  // { lastBackupAt, lastAttemptAt, size, fileName, backupCount, encrypted, lastError, folderError }
+  async getStatus(userId) {
+    return readJSON(getStatusKey(userId), {});
+  },
+
+  async saveStatus(userId, status) {
+    await AsyncStorage.setItem(getStatusKey(userId), JSON.stringify(status));
+    this.listeners.forEach(listener => listener(status, userId));
+  },
+
+  // Called with the new status and the user after every backup attempt
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  },
+
+  /**
+   * Run due backups for the signed-in user, now and whenever the app comes back
+   * @returns {Function} stops watching
+   */
+  start(userId) {
+    this.runIfDue(userId);
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.runIfDue(userId);
+      }
+    });
+    return () => subscription.remove();
+  },
+
+  async runIfDue(userId) {
+    const [settings, status] = await Promise.all([this.getSettings(userId), this.getStatus(userId)]);
+    if (!isBackupDue(settings, status)) return null;
+    return this.runBackup(userId);
+  },
+
+  /**
+   * Write a backup now, whatever the schedule
+   * @returns {Promise<Object|null>} the new status, or null if a backup is already running
+   */
+  async runBackup(userId) {
+    if (this.running) return null;
+    this.running = true;
+
+    const settings = await this.getSettings(userId);
+    const previous = await this.getStatus(userId);
+    const attemptedAt = Date.now();
+    let status;
+
+    try {
+      const file = await this.writeBackup(userId);
+      const backupCount = await this.rotateLocalBackups(userId, settings.keepCount);
+
+      let folderError = null;
+      if (settings.folderUri) {
+        try {
+          await this.copyToFolder(settings.folderUri, file);
+          await this.rotateFolderBackups(userId, settings.folderUri, settings.keepCount);
+        } catch (error) {
+          console.error('Error copying backup to folder:', error);
+          folderError = 'The backup could not be copied to your chosen folder';
+        }
+      }
+
+      status = {
+        lastBackupAt: attemptedAt,
+        lastAttemptAt: attemptedAt,
+        size: file.size,
+        fileName: file.fileName,
+        encrypted: file.encrypted,
+        backupCount,
+        lastError: null,
+        folderError,
+      };
+    } catch (error) {
+      console.error('Error creating automatic backup:', error);
+      status = { ...previous, lastAttemptAt: attemptedAt, lastError: error.message };
+    } finally {
+      this.running = false;
+    }
+
+    await this.saveStatus(userId, status);
+    return status;
+  },
+
+  async writeBackup(userId) {
+    // Backups follow the export password setting; never fall back to an unprotected copy
+    const { passwordProtectExports } = await privacyPreferences.get();
+    const password = passwordProtectExports ? await exportPasswordStore.get() : null;
+    if (passwordProtectExports && !password) {
+      throw new Error('Set an export password in Privacy & Security to protect your backups');
+    }
+
+    const bundle = await backupRestore.buildBundle(userId, FULL_BACKUP_OPTIONS);
+    const content = JSON.stringify(bundle);
+
+    const space = await dataExportService.getAvailableSpace();
+    if (space && space.available < content.length * FREE_SPACE_FACTOR) {
+      throw new Error(`Not enough free space for a backup (${space.formatted} available)`);
+    }
+
+    const directory = getBackupDirectory(userId);
+    const dirInfo = await FileSystem.getInfoAsync(directory);
+    if (!dirInfo.exists) {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    }
+
+    const file = await dataExportService.writeExportFile(
+      `${getBackupPath(userId)}${getBackupFileName(userId)}`,
+      content,
+      password
+    );
+    const info = await FileSystem.getInfoAsync(file.fileUri, { size: true });
+
+    return {
+      fileUri: file.fileUri,
+      fileName: file.fileName.split('/').pop(),
+      encrypted: file.encrypted,
+      size: info.size || 0,
+    };
+  },
+
+  // Returns how many backups are left
+  async rotateLocalBackups(userId, keepCount) {
+    const directory = getBackupDirectory(userId);
+    const names = await FileSystem.readDirectoryAsync(directory);
+    const toDelete = getBackupsToDelete(names, keepCount, userId);
+    for (const name of toDelete) {
+      await FileSystem.deleteAsync(`${directory}${name}`, { idempotent: true });
+    }
+    return names.filter(name => name.startsWith(getBackupFilePrefix(userId))).length - toDelete.length;
+  },
+
+  /**
+   * Delete the user's backups in the app's directory, on sign out. Automatic backups may not
+   * be encrypted, so they don't stay behind for whoever uses the device next. Copies in the
+   * folder the user chose are theirs to keep, and the schedule is kept for their next sign in.
+   */
+  async deleteLocalBackups(userId) {
+    try {
+      await FileSystem.deleteAsync(getBackupDirectory(userId), { idempotent: true });
+      await AsyncStorage.removeItem(getStatusKey(userId));
+    } catch (error) {
+      console.error('Error deleting backups:', error);
+    }
+  },
+
+  /**
+   * Let the user pick a folder to copy backups to. expo-document-picker only picks
+   * files, so this uses the Storage Access Framework folder picker, which only
+   * Android has.
+   * @returns {Promise<string|null>} the folder URI, or null if none was picked
+   */
+  async chooseFolder(userId) {
+    if (Platform.OS !== 'android') return null;
+
+    const permissions = await FileSystem.StorageAccessFramework.requestDirectoryPermissionsAsync();
+    if (!permissions.granted) return null;
+
+    const settings = await this.getSettings(userId);
+    await this.saveSettings(userId, { ...settings, folderUri: permissions.directoryUri });
+    return permissions.directoryUri;
+  },
+
+  async clearFolder(userId) {
+    const settings = await this.getSettings(userId);
+    await this.saveSettings(userId, { ...settings, folderUri: null });
+  },
+
+  async copyToFolder(folderUri, file) {
+    const { StorageAccessFramework } = FileSystem;
+    const content = await FileSystem.readAsStringAsync(file.fileUri);
+    const mimeType = file.encrypted ? 'application/octet-stream' : 'application/json';
+    // Android adds the extension for the MIME type itself
+    const name = file.encrypted ? file.fileName : file.fileName.replace(/\.json$/, '');
+
+    const targetUri = await StorageAccessFramework.createFileAsync(folderUri, name, mimeType);
+    await StorageAccessFramework.writeAsStringAsync(targetUri, content);
+  },
+
+  async rotateFolderBackups(userId, folderUri, keepCount) {
+    const { StorageAccessFramework } = FileSystem;
+    const uris = await StorageAccessFramework.readDirectoryAsync(folderUri);
+    for (const uri of getBackupsToDelete(uris, keepCount, userId)) {
+      await StorageAccessFramework.deleteAsync(uri, { idempotent: true });
+    }
+  }
+};
+
+export default backupScheduler;
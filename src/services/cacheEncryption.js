@@ -0,0 +1,68 @@
+// Encryption for the offline cache in AsyncStorage. Each install gets a random key,
+// kept in expo-secure-store so it never sits next to the data it protects.
+
+import * as SecureStore from 'expo-secure-store';
+import {
+  DECRYPTION_FAILED_MESSAGE,
+  bytesToBase64,
+  base64ToBytes,
+  decryptText,
+  encryptText,
+  generateKey,
+} from '../utils/encryption';
+
+const CACHE_KEY_NAME = 'offline_cache_key';
+
+// Marks values written by this module, so older plaintext entries can be told apart
+export const ENCRYPTED_VALUE_PREFIX = 'hhenc:1:';
+
+export const isDecryptionFailure = (error) => error?.message === DECRYPTION_FAILED_MESSAGE;
+
+const cacheEncryption = {
+  keyPromise: null,
+
+  // The key is read once per launch; a failed read is retried next time
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.loadOrCreateKey().catch(error => {
+        this.keyPromise = null;
+        throw error;
+      });
+    }
+    return this.keyPromise;
+  },
+
+  async loadOrCreateKey() {
+    const savedKey = await SecureStore.getItemAsync(CACHE_KEY_NAME);
+    if (savedKey) return base64ToBytes(savedKey);
+
+    const key = generateKey();
+    // Background sync reads the cache, so the key has to be available while the phone is locked
+    await SecureStore.setItemAsync(CACHE_KEY_NAME, bytesToBase64(key), {
+      keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+    });
+    return key;
+  },
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+  },
+
+  // The storage key is authenticated with the value, so entries can't be swapped between keys
+  async encrypt(storageKey, value) {
+    const encrypted = encryptText(value, await this.getKey(), storageKey);
+    return ENCRYPTED_VALUE_PREFIX + JSON.stringify(encrypted);
+  },
+
+  async decrypt(storageKey, storedValue) {
+    let encrypted;
+    try {
+      encrypted = JSON.parse(storedValue.slice(ENCRYPTED_VALUE_PREFIX.length));
+    } catch {
+      throw new Error(DECRYPTION_FAILED_MESSAGE);
+    }
+    return decryptText(encrypted, await this.getKey(), storageKey);
+  }
+};
+
+export default cacheEncryption;
@@ -0,0 +1,468 @@
+// Two-way sync between appointments and a "Healthy Home" calendar on the device.
+// Sync is opt-in and per device. For every appointment we keep the event id and a
+// snapshot of both sides as they were at the last sync. Comparing the current
+// appointment and event against those snapshots tells us which side changed:
+//   only the appointment changed - the event is updated
+//   only the event changed       - the appointment is updated in Firestore
+//   both changed                 - a conflict is stored and left for the user to resolve
+// Deleting the event on the device deletes the appointment, and deleting or
+// cancelling the appointment removes the event.
+
+import { Platform } from 'react-native';
+import * as Calendar from 'expo-calendar';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { APPOINTMENT_STATUS } from '../constants';
+import appointmentService, {
+  DEFAULT_APPOINTMENT_DURATION,
+  canReschedule,
+  getAppointmentDate,
+  getAppointmentStatus
+} from './appointmentService';
+
+const CALENDAR_SYNC_KEY = 'calendar_sync';
+export const CALENDAR_TITLE = 'Healthy Home';
+const CALENDAR_COLOR = '#6366f1';
+
+export const SYNC_ACTION = {
+  NONE: 'none',
+  PUSH: 'push',
+  PULL: 'pull',
+  DELETE_APPOINTMENT: 'delete_appointment',
+  CONFLICT: 'conflict'
+};
+
+export const CONFLICT_RESOLUTION = {
+  KEEP_APP: 'app',
+  KEEP_CALENDAR: 'calendar'
+};
+
+const DEFAULT_STATE = {
+  enabled: false,
+  userId: null,
+  calendarId: null,
+  events: {},
+  conflicts: []
+};
+
+// Calendars drop seconds, so compare times to the minute
+const toMinuteISO = (date) => {
+  const value = new Date(date);
+  value.setSeconds(0, 0);
+  return value.toISOString();
+};
+
+const snapshotsEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The fields of an appointment that are mirrored in the calendar
+ */
+export const getAppointmentSnapshot = (appointment) => {
+  const start = getAppointmentDate(appointment);
+  const duration = appointment.duration || DEFAULT_APPOINTMENT_DURATION;
+  return {
+    title: appointment.title || '',
+    start: toMinuteISO(start),
+    end: toMinuteISO(start.getTime() + duration * 60 * 1000),
+    location: appointment.location || '',
+    notes: appointment.notes || ''
+  };
+};
+
+export const getEventSnapshot = (event) => ({
+  title: event.title || '',
+  start: toMinuteISO(event.startDate),
+  end: toMinuteISO(event.endDate),
+  location: event.location || '',
+  notes: event.notes || ''
+});
+
+/**
+ * Decide what to do with a synced appointment
+ * @param {Object} mapping - { appointmentSnapshot, eventSnapshot } from the last sync
+ * @param {Object} appointmentSnapshot - current appointment
+ * @param {Object|null} eventSnapshot - current event, null if it was deleted on the device
+ */
+export const getSyncAction = (mapping, appointmentSnapshot, eventSnapshot) => {
+  const appointmentChanged = !snapshotsEqual(mapping.appointmentSnapshot, appointmentSnapshot);
+
+  if (!eventSnapshot) {
+    return appointmentChanged ? SYNC_ACTION.CONFLICT : SYNC_ACTION.DELETE_APPOINTMENT;
+  }
+
+  const eventChanged = !snapshotsEqual(mapping.eventSnapshot, eventSnapshot);
+
+  if (appointmentChanged && eventChanged) {
+    // Both sides were changed to the same thing
+    return snapshotsEqual(appointmentSnapshot, eventSnapshot) ? SYNC_ACTION.NONE : SYNC_ACTION.CONFLICT;
+  }
+  if (appointmentChanged) return SYNC_ACTION.PUSH;
+  if (eventChanged) return SYNC_ACTION.PULL;
+  return SYNC_ACTION.NONE;
+};
+
+// Appointment changes for an edited event
+const getAppointmentUpdates = (eventSnapshot) => {
+  const start = new Date(eventSnapshot.start);
+  const duration = Math.round((new Date(eventSnapshot.end) - start) / (60 * 1000));
+  return {
+    ...(eventSnapshot.title ? { title: eventSnapshot.title } : {}),
+    date: start,
+    duration: duration > 0 ? duration : DEFAULT_APPOINTMENT_DURATION,
+    location: eventSnapshot.location,
+    notes: eventSnapshot.notes
+  };
+};
+
+const getEventDetails = (appointment) => {
+  const snapshot = getAppointmentSnapshot(appointment);
+  return {
+    title: snapshot.title,
+    startDate: new Date(snapshot.start),
+    endDate: new Date(snapshot.end),
+    location: snapshot.location,
+    notes: snapshot.notes
+  };
+};
+
+const calendarSyncService = {
+  async getState() {
+    try {
+      const saved = await AsyncStorage.getItem(CALENDAR_SYNC_KEY);
+      return saved ? { ...DEFAULT_STATE, ...JSON.parse(saved) } : { ...DEFAULT_STATE };
+    } catch (error) {
+      console.error('Error loading calendar sync state:', error);
+      return { ...DEFAULT_STATE };
+    }
+  },
+
+  async saveState(state) {
+    await AsyncStorage.setItem(CALENDAR_SYNC_KEY, JSON.stringify(state));
+  },
+
+  async isEnabled(userId) {
+    const state = await this.getState();
+    return state.enabled && state.userId === userId;
+  },
+
+  async getConflicts(userId) {
+    const state = await this.getState();
+    return state.enabled && state.userId === userId ? state.conflicts : [];
+  },
+
+  async getCalendarSource() {
+    if (Platform.OS === 'ios') {
+      const defaultCalendar = await Calendar.getDefaultCalendarAsync();
+      return defaultCalendar.source;
+    }
+    return { isLocalAccount: true, name: CALENDAR_TITLE };
+  },
+
+  // Find the Healthy Home calendar, creating it if it was never made or was deleted
+  async ensureCalendar(state) {
+    const calendars = await Calendar.getCalendarsAsync(Calendar.EntityTypes.EVENT);
+    const existing = calendars.find(calendar => calendar.id === state.calendarId) ||
+      calendars.find(calendar => calendar.title === CALENDAR_TITLE && calendar.allowsModifications);
+
+    if (existing) {
+      if (existing.id !== state.calendarId) {
+        // A different calendar holds none of our events
+        state.events = {};
+        state.conflicts = [];
+      }
+      state.calendarId = existing.id;
+      return existing.id;
+    }
+
+    const source = await this.getCalendarSource();
+    state.calendarId = await Calendar.createCalendarAsync({
+      title: CALENDAR_TITLE,
+      color: CALENDAR_COLOR,
+      entityType: Calendar.EntityTypes.EVENT,
+      sourceId: source.id,
+      source,
+      name: 'healthyHome',
+      ownerAccount: 'personal',
+      accessLevel: Calendar.CalendarAccessLevel.OWNER
+    });
+    state.events = {};
+    state.conflicts = [];
+    return state.calendarId;
+  },
+
+  /**
+   * Turn sync on for this device
+   * @returns {Promise<boolean>} false if calendar permission was refused
+   */
+  async enableSync(userId) {
+    const { status } = await Calendar.requestCalendarPermissionsAsync();
+    if (status !== 'granted') {
+      return false;
+    }
+
+    const state = await this.getState();
+    if (state.userId !== userId) {
+      state.events = {};
+      state.conflicts = [];
+    }
+    state.enabled = true;
+    state.userId = userId;
+    await this.ensureCalendar(state);
+    await this.saveState(state);
+    return true;
+  },
+
+  async disableSync({ removeCalendar = false } = {}) {
+    const state = await this.getState();
+    if (!removeCalendar) {
+      // Keep the event links so turning sync back on does not duplicate events
+      await this.saveState({ ...state, enabled: false });
+      return;
+    }
+
+    if (state.calendarId) {
+      try {
+        await Calendar.deleteCalendarAsync(state.calendarId);
+      } catch (error) {
+        console.error('Error removing calendar:', error);
+      }
+    }
+    await this.saveState({ ...DEFAULT_STATE });
+  },
+
+  async getEvent(eventId) {
+    try {
+      return await Calendar.getEventAsync(eventId);
+    } catch (error) {
+      // Deleted on the device
+      return null;
+    }
+  },
+
+  // Create or update the event for an appointment and record both snapshots
+  async writeEvent(state, appointment) {
+    const mapping = state.events[appointment.id];
+    const details = getEventDetails(appointment);
+    let eventId = mapping?.eventId;
+
+    if (eventId && await this.getEvent(eventId)) {
+      await Calendar.updateEventAsync(eventId, details);
+    } else {
+      eventId = await Calendar.createEventAsync(state.calendarId, details);
+    }
+
+    // Read the event back so the snapshot matches what the calendar stored
+    const event = await this.getEvent(eventId);
+    state.events[appointment.id] = {
+      eventId,
+      appointmentSnapshot: getAppointmentSnapshot(appointment),
+      eventSnapshot: event ? getEventSnapshot(event) : getAppointmentSnapshot(appointment)
+    };
+  },
+
+  async removeEvent(state, appointmentId) {
+    const mapping = state.events[appointmentId];
+    if (mapping) {
+      try {
+        await Calendar.deleteEventAsync(mapping.eventId);
+      } catch (error) {
+        // Already gone
+      }
+    }
+    delete state.events[appointmentId];
+    state.conflicts = state.conflicts.filter(conflict => conflict.appointmentId !== appointmentId);
+  },
+
+  /**
+   * Push a saved appointment to the calendar. Call after every change made in the app.
+   */
+  async pushAppointment(appointment) {
+    const state = await this.getState();
+    if (!state.enabled || state.userId !== appointment.userId) return;
+
+    try {
+      // An unresolved conflict is settled by the user, not by the next save
+      if (state.conflicts.some(conflict => conflict.appointmentId === appointment.id)) return;
+
+      if (getAppointmentStatus(appointment) === APPOINTMENT_STATUS.CANCELLED) {
+        await this.removeEvent(state, appointment.id);
+      } else {
+        await this.writeEvent(state, appointment);
+      }
+      await this.saveState(state);
+    } catch (error) {
+      console.error('Error syncing appointment to calendar:', error);
+    }
+  },
+
+  async removeAppointment(appointment) {
+    const state = await this.getState();
+    if (!state.enabled || !state.events[appointment.id]) return;
+
+    try {
+      await this.removeEvent(state, appointment.id);
+      await this.saveState(state);
+    } catch (error) {
+      console.error('Error removing appointment from calendar:', error);
+    }
+  },
+
+  /**
+   * Full two-way sync of a user's appointments
+   * @param {Array} appointments - all appointments, as loaded from Firestore
+   * @returns {Promise<Object|null>} counts of the changes made on each side plus the
+   *   current conflicts, or null when sync is off
+   */
+  async syncAppointments(userId, appointments) {
+    let state = await this.getState();
+    if (!state.enabled || state.userId !== userId) return null;
+
+    const result = { pushed: 0, pulled: 0, deleted: 0, conflicts: state.conflicts };
+
+    try {
+      const { status } = await Calendar.getCalendarPermissionsAsync();
+      if (status !== 'granted') return result;
+
+      await this.ensureCalendar(state);
+
+      const appointmentsById = new Map(appointments.map(appointment => [appointment.id, appointment]));
+
+      // Appointments deleted in the app, possibly on another device
+      for (const appointmentId of Object.keys(state.events)) {
+        if (!appointmentsById.has(appointmentId)) {
+          await this.removeEvent(state, appointmentId);
+        }
+      }
+
+      const pulls = [];
+
+      for (const appointment of appointments) {
+        try {
+          if (state.conflicts.some(conflict => conflict.appointmentId === appointment.id)) continue;
+
+          const mapping = state.events[appointment.id];
+          const cancelled = getAppointmentStatus(appointment) === APPOINTMENT_STATUS.CANCELLED;
+
+          if (!mapping) {
+            if (!cancelled) {
+              await this.writeEvent(state, appointment);
+              result.pushed++;
+            }
+            continue;
+          }
+
+          const event = await this.getEvent(mapping.eventId);
+          const appointmentSnapshot = getAppointmentSnapshot(appointment);
+          const eventSnapshot = event ? getEventSnapshot(event) : null;
+
+          let action = getSyncAction(mapping, appointmentSnapshot, eventSnapshot);
+          // Calendar edits cannot move a completed or cancelled appointment; the app's version wins
+          if ((action === SYNC_ACTION.PULL || action === SYNC_ACTION.DELETE_APPOINTMENT) && !canReschedule(appointment)) {
+            action = SYNC_ACTION.PUSH;
+          }
+
+          switch (action) {
+            case SYNC_ACTION.PUSH:
+              if (cancelled) {
+                await this.removeEvent(state, appointment.id);
+              } else {
+                await this.writeEvent(state, appointment);
+              }
+              result.pushed++;
+              break;
+            case SYNC_ACTION.PULL:
+            case SYNC_ACTION.DELETE_APPOINTMENT:
+              pulls.push({ appointment, eventSnapshot });
+              break;
+            case SYNC_ACTION.CONFLICT:
+              state.conflicts.push({
+                appointmentId: appointment.id,
+                title: appointment.title,
+                appointmentSnapshot,
+                eventSnapshot,
+                detectedAt: new Date().toISOString()
+              });
+              break;
+            case SYNC_ACTION.NONE:
+              // Refresh the snapshots when both sides made the same change
+              if (!snapshotsEqual(mapping.appointmentSnapshot, appointmentSnapshot)) {
+                state.events[appointment.id] = { ...mapping, appointmentSnapshot, eventSnapshot };
+              }
+              break;
+            default:
+              break;
+          }
+        } catch (error) {
+          // One appointment failing to sync should not hold up the rest
+          console.error(`Error syncing appointment ${appointment.id} with calendar:`, error);
+        }
+      }
+
+      await this.saveState(state);
+
+      for (const { appointment, eventSnapshot } of pulls) {
+        try {
+          await this.applyEvent(appointment, eventSnapshot);
+          if (eventSnapshot) {
+            result.pulled++;
+          } else {
+            result.deleted++;
+          }
+        } catch (error) {
+          console.error(`Error applying calendar changes to appointment ${appointment.id}:`, error);
+        }
+      }
+
+      state = await this.getState();
+      result.conflicts = state.conflicts;
+      return result;
+    } catch (error) {
+      console.error('Error syncing calendar:', error);
+      return result;
+    }
+  },
+
+  // Bring the appointment in line with its event, or delete it if the event is gone.
+  // Completed and cancelled appointments are history and cannot be moved, so their
+  // event is put back the way the app has it instead.
+  async applyEvent(appointment, eventSnapshot) {
+    if (!canReschedule(appointment)) {
+      await this.pushAppointment(appointment);
+      return;
+    }
+
+    if (eventSnapshot) {
+      const updated = await appointmentService.updateAppointment(appointment, getAppointmentUpdates(eventSnapshot));
+      // Rewriting the event records the new snapshots
+      await this.pushAppointment(updated);
+    } else {
+      await appointmentService.deleteAppointment(appointment);
+      await this.removeAppointment(appointment);
+    }
+  },
+
+  /**
+   * Settle a conflict by keeping one side
+   * @param {Object} appointment - the current appointment
+   * @param {string} resolution - CONFLICT_RESOLUTION value
+   */
+  async resolveConflict(appointment, resolution) {
+    const state = await this.getState();
+    const conflict = state.conflicts.find(item => item.appointmentId === appointment.id);
+    if (!conflict) return;
+
+    state.conflicts = state.conflicts.filter(item => item !== conflict);
+    await this.saveState(state);
+
+    if (resolution === CONFLICT_RESOLUTION.KEEP_APP) {
+      await this.pushAppointment(appointment);
+      return;
+    }
+
+    // The event may have changed again since the conflict was found
+    const mapping = state.events[appointment.id];
+    const event = mapping ? await this.getEvent(mapping.eventId) : null;
+    await this.applyEvent(appointment, event ? getEventSnapshot(event) : null);
+  }
+};
+
+export default calendarSyncService;
@@ -2,10 +2,36 @@ import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import * as Print from 'expo-print';
 import { Alert } from 'react-native';
+import * as Crypto from 'expo-crypto';
+import { DOSE_GRACE_MINUTES } from '../utils/medicationAdherence';
+import { buildFhirBundle, countFhirResources } from '../utils/fhir';
+import { buildHealthReport, escapeHTML, getReportImages, renderHealthReportHTML } from '../utils/healthReport';
+import { formatRedactionReport } from '../utils/redaction';
+import {
+  SALT_LENGTH,
+  PBKDF2_ITERATIONS,
+  bytesToBase64,
+  base64ToBytes,
+  deriveKeyFromPassword,
+  encryptText,
+  decryptText,
+} from '../utils/encryption';
+
+// Password protected exports are written as a JSON bundle with this extension
+export const ENCRYPTED_EXPORT_FORMAT = 'healthyhome-encrypted-export';
+export const ENCRYPTED_EXPORT_VERSION = 1;
+export const ENCRYPTED_EXPORT_EXTENSION = 'hhenc';
+
+// The kinds of file an encrypted export may hold, and so the only ones it is opened as
+const OPENED_EXPORT_EXTENSIONS = ['csv', 'json', 'pdf', 'txt'];
+
+// Larger attachments are left out of the health report rather than held in memory
+const MAX_REPORT_IMAGE_SIZE = 5 * 1024 * 1024;
 
 class DataExportService {
   // Export medical records to CSV
-  async exportMedicalRecordsToCSV(records, familyMembers = []) {
+  // Pass options.password to write an encrypted bundle instead of a plain file
+  async exportMedicalRecordsToCSV(records, familyMembers = [], options = {}) {
     try {
       const csvHeader = [
         'Date',
@@ -38,15 +64,15 @@ class DataExportService {
 
       const csvContent = [csvHeader, ...csvRows].join('\n');
       
-      const fileName = `medical_records_${this.getDateString()}.csv`;
-      const fileUri = `${FileSystem.documentDirectory}${fileName}`;
-      
-      await FileSystem.writeAsStringAsync(fileUri, csvContent);
+      const file = await this.writeExportFile(
+        `medical_records_${this.getDateString()}.csv`,
+        csvContent,
+        options.password
+      );
       
       return {
         success: true,
-        fileUri,
-        fileName,
+        ...file,
         recordCount: records.length
       };
     } catch (error) {
@@ -59,18 +85,18 @@ class DataExportService {
   }
 
   // Export data to JSON format
-  async exportToJSON(data, fileName = 'medical_data') {
+  async exportToJSON(data, fileName = 'medical_data', options = {}) {
     try {
       const jsonContent = JSON.stringify(data, null, 2);
-      const fullFileName = `${fileName}_${this.getDateString()}.json`;
-      const fileUri = `${FileSystem.documentDirectory}${fullFileName}`;
-      
-      await FileSystem.writeAsStringAsync(fileUri, jsonContent);
+      const file = await this.writeExportFile(
+        `${fileName}_${this.getDateString()}.json`,
+        jsonContent,
+        options.password
+      );
       
       return {
         success: true,
-        fileUri,
-        fileName: fullFileName
+        ...file
       };
     } catch (error) {
       console.error('Error exporting to JSON:', error);
@@ -81,6 +107,144 @@ class DataExportService {
     }
   }
 
+  // Export family medical data as a FHIR R4 Bundle, for handing to a clinic
+  async exportToFHIR(data, options = {}) {
+    try {
+      const bundle = buildFhirBundle(data);
+      const file = await this.writeExportFile(
+        `fhir_bundle_${this.getDateString()}.json`,
+        JSON.stringify(bundle, null, 2),
+        options.password
+      );
+
+      return {
+        success: true,
+        ...file,
+        resourceCounts: countFhirResources(bundle)
+      };
+    } catch (error) {
+      console.error('Error exporting to FHIR:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Write the redaction report that goes with an anonymized export
+  async writeRedactionReport(report, password = null) {
+    return this.writeExportFile(
+      `redaction_report_${this.getDateString()}.txt`,
+      formatRedactionReport(report),
+      password
+    );
+  }
+
+  // Write an export to the document directory, encrypted when a password is given
+  async writeExportFile(fileName, content, password = null) {
+    if (!password) {
+      const fileUri = `${FileSystem.documentDirectory}${fileName}`;
+      await FileSystem.writeAsStringAsync(fileUri, content);
+      return { fileUri, fileName, encrypted: false };
+    }
+
+    const bundle = await this.encryptExport(content, fileName, password);
+    const encryptedFileName = `${fileName}.${ENCRYPTED_EXPORT_EXTENSION}`;
+    const fileUri = `${FileSystem.documentDirectory}${encryptedFileName}`;
+    await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(bundle));
+    return { fileUri, fileName: encryptedFileName, encrypted: true };
+  }
+
+  async encryptExport(content, fileName, password) {
+    const salt = Crypto.getRandomBytes(SALT_LENGTH);
+    const header = {
+      format: ENCRYPTED_EXPORT_FORMAT,
+      version: ENCRYPTED_EXPORT_VERSION,
+      fileName,
+      mimeType: this.getMimeType(fileName),
+      kdf: {
+        algorithm: 'PBKDF2-HMAC-SHA256',
+        salt: bytesToBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+      },
+    };
+    const key = await deriveKeyFromPassword(password, salt, PBKDF2_ITERATIONS);
+
+    return {
+      ...header,
+      cipher: encryptText(content, key, this.getBundleHeaderText(header)),
+    };
+  }
+
+  // Returns { content, fileName, mimeType }; throws when the password is wrong
+  async decryptExport(bundle, password) {
+    if (!bundle || bundle.format !== ENCRYPTED_EXPORT_FORMAT || !bundle.cipher || !bundle.kdf) {
+      throw new Error('This file is not an encrypted Healthy Home export');
+    }
+    if (bundle.version > ENCRYPTED_EXPORT_VERSION) {
+      throw new Error('This export was made by a newer version of the app. Please update to open it.');
+    }
+
+    const key = await deriveKeyFromPassword(password, base64ToBytes(bundle.kdf.salt), bundle.kdf.iterations);
+    const content = decryptText(bundle.cipher, key, this.getBundleHeaderText(bundle));
+
+    return {
+      content,
+      fileName: bundle.fileName,
+      mimeType: bundle.mimeType,
+    };
+  }
+
+  // The bundle fields signed along with the ciphertext, so they can't be swapped
+  getBundleHeaderText({ format, version, fileName, mimeType, kdf }) {
+    return JSON.stringify([format, version, fileName, mimeType, kdf.algorithm, kdf.salt, kdf.iterations]);
+  }
+
+  // Decrypt an encrypted export picked by the user and save the original file next to the app's exports
+  async openEncryptedExport(fileUri, password) {
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await FileSystem.readAsStringAsync(fileUri));
+      } catch {
+        bundle = null;
+      }
+
+      const decrypted = await this.decryptExport(bundle, password);
+      const { content, mimeType } = decrypted;
+      const fileName = this.getOpenedFileName(decrypted.fileName);
+      // Kept in the cache only while it is shared; the caller deletes it with deleteFile
+      const decryptedUri = `${FileSystem.cacheDirectory}${fileName}`;
+      await FileSystem.writeAsStringAsync(decryptedUri, content);
+
+      return {
+        success: true,
+        fileUri: decryptedUri,
+        fileName,
+        mimeType,
+        content
+      };
+    } catch (error) {
+      console.error('Error opening encrypted export:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // The name inside a bundle comes from whoever made the file. Only its last part is used,
+  // so it can't point outside the cache directory, and only as one of the export types.
+  getOpenedFileName(fileName) {
+    const baseName = String(fileName || '').split(/[\\/]/).pop().replace(/[^\w.-]/g, '_').replace(/^\.+/, '');
+    const extension = baseName.includes('.') ? baseName.split('.').pop().toLowerCase() : '';
+
+    if (!OPENED_EXPORT_EXTENSIONS.includes(extension)) {
+      throw new Error('This export holds a type of file the app cannot open');
+    }
+    return baseName;
+  }
+
   // Export appointment schedule
   async exportAppointmentsToCSV(appointments) {
     try {
@@ -131,58 +295,12 @@ class DataExportService {
   // Create comprehensive health report
   async createHealthReport(userData) {
     try {
-      const {
-        userProfile,
-        familyMembers = [],
-        medicalRecords = [],
-        appointments = [],
-        insuranceInfo = {}
-      } = userData;
-
       // Generate HTML for the PDF report
       const html = this.generateHealthReportHTML(userData);
-      
-      // Generate PDF from HTML with proper options to ensure PDF creation
-      const { uri } = await Print.printToFileAsync({
-        html,
-        width: 612, // Standard US Letter width in points (8.5 inches)
-        height: 792, // Standard US Letter height in points (11 inches)
-        base64: false
-      });
-      
-      // Ensure the file extension is correct (.pdf)
-      if (!uri.toLowerCase().endsWith('.pdf')) {
-        // Move the file to app's document directory with correct filename and extension
-        const fileName = `health_report_${this.getDateString()}.pdf`;
-        const fileUri = `${FileSystem.documentDirectory}${fileName}`;
-        
-        await FileSystem.moveAsync({
-          from: uri,
-          to: fileUri
-        });
-        
-        // Verify the file exists and is accessible
-        const fileInfo = await FileSystem.getInfoAsync(fileUri);
-        if (!fileInfo.exists) {
-          throw new Error('Failed to save PDF file.');
-        }
-        
-        return {
-          success: true,
-          fileUri,
-          fileName
-        };
-      } else {
-        // File already has .pdf extension, just use it
-        const pathParts = uri.split('/');
-        const fileName = pathParts[pathParts.length - 1];
-        
-        return {
-          success: true,
-          fileUri: uri,
-          fileName
-        };
-      }
+      return {
+        success: true,
+        ...(await this.printToPDF(html, `health_report_${this.getDateString()}.pdf`))
+      };
     } catch (error) {
       console.error('Error creating health report:', error);
       return {
@@ -192,6 +310,103 @@ class DataExportService {
     }
   }
 
+  // Create the family health report with the chosen members, sections and date range
+  // data and options are as buildHealthReport in utils/healthReport
+  async createFamilyHealthReport(data, options = {}) {
+    try {
+      const report = buildHealthReport(data, options);
+      const thumbnails = await this.loadReportThumbnails(getReportImages(report));
+      const html = renderHealthReportHTML(report, { thumbnails });
+
+      return {
+        success: true,
+        ...(await this.printToPDF(html, `health_report_${this.getDateString()}.pdf`)),
+        memberCount: report.members.length
+      };
+    } catch (error) {
+      console.error('Error creating family health report:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Load report images as data URIs; ones that can't be loaded are left out
+  async loadReportThumbnails(images) {
+    const thumbnails = {};
+
+    for (const image of images) {
+      if (thumbnails[image.url] || image.size > MAX_REPORT_IMAGE_SIZE) continue;
+
+      try {
+        let localUri = image.url;
+        if (/^https?:\/\//.test(image.url)) {
+          localUri = `${FileSystem.cacheDirectory}report_image_${Object.keys(thumbnails).length}`;
+          const download = await FileSystem.downloadAsync(image.url, localUri);
+          if (download.status !== 200) continue;
+        }
+
+        const base64 = await FileSystem.readAsStringAsync(localUri, { encoding: FileSystem.EncodingType.Base64 });
+        thumbnails[image.url] = `data:${this.getImageMimeType(image.name)};base64,${base64}`;
+
+        if (localUri !== image.url) {
+          await FileSystem.deleteAsync(localUri, { idempotent: true });
+        }
+      } catch (error) {
+        console.error('Error loading report image:', error);
+      }
+    }
+
+    return thumbnails;
+  }
+
+  getImageMimeType(fileName = '') {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'png') return 'image/png';
+    if (extension === 'gif') return 'image/gif';
+    if (extension === 'webp') return 'image/webp';
+    if (extension === 'heic') return 'image/heic';
+    return 'image/jpeg';
+  }
+
+  // Print HTML to a PDF in the document directory
+  async printToPDF(html, fileName) {
+    // Generate PDF from HTML with proper options to ensure PDF creation
+    const { uri } = await Print.printToFileAsync({
+      html,
+      width: 612, // Standard US Letter width in points (8.5 inches)
+      height: 792, // Standard US Letter height in points (11 inches)
+      base64: false
+    });
+
+    // Ensure the file extension is correct (.pdf)
+    if (!uri.toLowerCase().endsWith('.pdf')) {
+      // Move the file to app's document directory with correct filename and extension
+      const fileUri = `${FileSystem.documentDirectory}${fileName}`;
+
+      await FileSystem.moveAsync({
+        from: uri,
+        to: fileUri
+      });
+
+      // Verify the file exists and is accessible
+      const fileInfo = await FileSystem.getInfoAsync(fileUri);
+      if (!fileInfo.exists) {
+        throw new Error('Failed to save PDF file.');
+      }
+
+      return { fileUri, fileName };
+    }
+
+    // File already has .pdf extension, just use it
+    const pathParts = uri.split('/');
+    return {
+      fileUri: uri,
+      fileName: pathParts[pathParts.length - 1]
+    };
+  }
+
   // Share exported file
   async shareFile(fileUri, message = 'Sharing medical data') {
     try {
@@ -369,7 +584,9 @@ class DataExportService {
       familyMembers = [],
       medicalRecords = [],
       appointments = [],
-      insuranceInfo = {}
+      insuranceInfo = {},
+      medicationAdherence = [],
+      reportTitle = 'Family Health Report'
     } = userData;
 
     // Count of upcoming appointments
@@ -465,6 +682,8 @@ class DataExportService {
       appointmentsHTML += '</table>';
     }
     
+    const adherenceHTML = this.generateAdherenceHTML(medicationAdherence);
+
     // Generate record types summary
     let recordTypesSummaryHTML = '<h3>Records by Type</h3><ul>';
     for (const [type, count] of Object.entries(recordsByType)) {
@@ -478,7 +697,7 @@ class DataExportService {
       <html>
         <head>
           <meta charset="utf-8">
-          <title>Family Health Report</title>
+          <title>${reportTitle}</title>
           <style>
             body {
               font-family: Arial, sans-serif;
@@ -539,6 +758,18 @@ class DataExportService {
             th {
               background-color: #f2f2f2;
             }
+            .adherence-good {
+              color: #10b981;
+              font-weight: bold;
+            }
+            .adherence-fair {
+              color: #f59e0b;
+              font-weight: bold;
+            }
+            .adherence-poor {
+              color: #ef4444;
+              font-weight: bold;
+            }
             .footer {
               text-align: center;
               margin-top: 50px;
@@ -548,7 +779,7 @@ class DataExportService {
           </style>
         </head>
         <body>
-          <h1>Family Health Report</h1>
+          <h1>${reportTitle}</h1>
           
           <p>Generated on: ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
           
@@ -577,6 +808,8 @@ class DataExportService {
           
           ${appointmentsHTML}
           
+          ${adherenceHTML}
+          
           <div class="footer">
             <p>This report was generated by Family Medical App</p>
           </div>
@@ -585,6 +818,72 @@ class DataExportService {
     `;
   }
 
+  // Generate the medication adherence section of the health report
+  // medicationAdherence: [{ familyMemberName, ...summarizeMemberAdherence() }]
+  generateAdherenceHTML(medicationAdherence = []) {
+    const members = medicationAdherence.filter(member => member.medications.length > 0);
+    if (members.length === 0) {
+      return '';
+    }
+
+    const getAdherenceClass = (percentage) => {
+      if (percentage === null) return '';
+      if (percentage >= 90) return 'adherence-good';
+      if (percentage >= 70) return 'adherence-fair';
+      return 'adherence-poor';
+    };
+    const formatPercentage = (percentage) => (percentage === null ? 'N/A' : `${percentage}%`);
+
+    let html = '<h2>Medication Adherence</h2>';
+    html += `<p>A dose counts as missed if it was not logged within ${DOSE_GRACE_MINUTES / 60} hours of its scheduled time. Skipped doses count as not taken.</p>`;
+
+    members.forEach(member => {
+      html += `<h3>${escapeHTML(member.familyMemberName || 'Family Member')} - <span class="${getAdherenceClass(member.percentage)}">${formatPercentage(member.percentage)}</span> overall</h3>`;
+      html += '<table>';
+      html += '<tr>';
+      html += '<th>Medication</th>';
+      html += '<th>Course</th>';
+      html += '<th>Taken / Due</th>';
+      html += '<th>Skipped</th>';
+      html += '<th>Missed</th>';
+      html += '<th>Longest Missed Streak</th>';
+      html += '<th>Adherence</th>';
+      html += '</tr>';
+
+      member.medications.forEach(medication => {
+        const course = `${this.formatDateForDisplay(medication.startDate)} - ${medication.endDate ? this.formatDateForDisplay(medication.endDate) : 'ongoing'}`;
+        html += '<tr>';
+        html += `<td>${escapeHTML([medication.medicationName, medication.strength].filter(Boolean).join(' '))}</td>`;
+        html += `<td>${course}</td>`;
+        if (medication.asNeeded) {
+          html += '<td colspan="5">Taken as needed - no fixed schedule</td>';
+        } else {
+          html += `<td>${medication.taken} / ${medication.due}</td>`;
+          html += `<td>${medication.skipped}</td>`;
+          html += `<td>${medication.missed}</td>`;
+          html += `<td>${medication.longestMissedStreak} doses</td>`;
+          html += `<td class="${getAdherenceClass(medication.percentage)}">${formatPercentage(medication.percentage)}</td>`;
+        }
+        html += '</tr>';
+      });
+
+      html += '</table>';
+
+      // Week-by-week breakdown of each scheduled medication
+      member.medications
+        .filter(medication => medication.weekly.length > 0)
+        .forEach(medication => {
+          html += `<p><strong>${escapeHTML(medication.medicationName)}</strong> by week: `;
+          html += medication.weekly
+            .map(week => `w/c ${this.formatDateForDisplay(week.weekStart)} <span class="${getAdherenceClass(week.percentage)}">${formatPercentage(week.percentage)}</span>`)
+            .join(' &middot; ');
+          html += '</p>';
+        });
+    });
+
+    return html;
+  }
+
   // Format date for display in the PDF
   formatDateForDisplay(dateString) {
     if (!dateString) return 'N/A';
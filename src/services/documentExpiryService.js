@@ -0,0 +1,155 @@
+import { db } from '../../firebaseConfig';
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where
+} from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  cancelNotifications,
+  getNotificationPreferences,
+  scheduleDocumentExpiryReminders
+} from './notifications';
+import offlineStorageService from './offlineStorage';
+import networkService from './networkService';
+import {
+  EXPIRY_TRACKED_TYPES,
+  buildExpiryAlerts,
+  isExpiryTracked
+} from '../utils/documentExpiry';
+
+// Scheduled expiry alerts on this device: { [recordId]: { expiryDate, notificationIds } }
+const EXPIRY_NOTIFICATIONS_KEY = 'document_expiry_notifications';
+
+const documentExpiryService = {
+  /**
+   * Insurance and hospital cards of a user, from the cache when offline
+   * @returns {Promise<{ records: Array, complete: boolean }>} complete when loaded from
+   *   Firestore; the cache may be empty or out of date
+   */
+  async loadTrackedRecords(userId) {
+    if (!networkService.isOnline()) {
+      const cachedRecords = await offlineStorageService.getCachedMedicalRecords();
+      return {
+        records: (cachedRecords?.data || []).filter(record => EXPIRY_TRACKED_TYPES.includes(record.type)),
+        complete: false
+      };
+    }
+
+    const recordsQuery = query(
+      collection(db, 'medicalRecords'),
+      where('userId', '==', userId),
+      where('type', 'in', EXPIRY_TRACKED_TYPES)
+    );
+    const snapshot = await getDocs(recordsQuery);
+    return {
+      records: snapshot.docs.map(recordDoc => ({ id: recordDoc.id, ...recordDoc.data() })),
+      complete: true
+    };
+  },
+
+  async getTrackedRecords(userId) {
+    const { records } = await this.loadTrackedRecords(userId);
+    return records;
+  },
+
+  async getScheduled() {
+    try {
+      const saved = await AsyncStorage.getItem(EXPIRY_NOTIFICATIONS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error('Error loading expiry notifications:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Bring the scheduled expiry alerts in line with the user's cards
+   * Alerts are only rescheduled for cards whose expiry date changed, so this is cheap
+   * to run on every launch and whenever the app returns to the foreground. Alerts of
+   * cards missing from the records are only cancelled when the records are complete;
+   * a card left out of the offline cache may still exist.
+   * @param {Array} records - tracked records, loaded if not given
+   * @param {Object} options - { complete: whether the given records are all of the user's cards }
+   */
+  async scanAndSchedule(userId, records = null, { complete = false } = {}) {
+    try {
+      const loaded = records
+        ? { records, complete }
+        : await this.loadTrackedRecords(userId);
+      const preferences = await getNotificationPreferences();
+      const scheduled = await this.getScheduled();
+      const next = {};
+      const remindersOff = preferences.insuranceReminders === false;
+
+      const wanted = remindersOff
+        ? []
+        : loaded.records.filter(record => !record.isLocal && isExpiryTracked(record));
+
+      for (const record of wanted) {
+        const existing = scheduled[record.id];
+        if (existing && existing.expiryDate === record.expiryDate) {
+          next[record.id] = existing;
+          continue;
+        }
+
+        if (existing) {
+          await cancelNotifications(existing.notificationIds);
+        }
+        const notificationIds = await scheduleDocumentExpiryReminders(record, buildExpiryAlerts(record));
+        next[record.id] = { expiryDate: record.expiryDate, notificationIds };
+      }
+
+      // Cards that were renewed, deleted or no longer have an expiry date
+      const loadedIds = new Set(loaded.records.map(record => record.id));
+      for (const [recordId, entry] of Object.entries(scheduled)) {
+        if (next[recordId]) continue;
+
+        if (!remindersOff && !loaded.complete && !loadedIds.has(recordId)) {
+          next[recordId] = entry;
+          continue;
+        }
+        await cancelNotifications(entry.notificationIds);
+      }
+
+      await AsyncStorage.setItem(EXPIRY_NOTIFICATIONS_KEY, JSON.stringify(next));
+    } catch (error) {
+      // Nothing is cancelled when the cards can't be loaded
+      console.error('Error scheduling expiry alerts:', error);
+    }
+  },
+
+  /**
+   * Mark a card as renewed once its replacement has been saved
+   * @param {string|null} renewedById - id of the new record, unknown when saved offline
+   */
+  async markRenewed(record, renewedById = null) {
+    const updates = {
+      renewedAt: new Date().toISOString(),
+      renewedById,
+      updatedAt: new Date()
+    };
+
+    if (networkService.isOnline()) {
+      await updateDoc(doc(db, 'medicalRecords', record.id), updates);
+    } else {
+      await offlineStorageService.addToSyncQueue({
+        type: 'UPDATE_RECORD',
+        data: { id: record.id, updates }
+      });
+    }
+
+    // Keep the cached copy in step so the card leaves the expiring lists right away
+    const cachedRecords = await offlineStorageService.getCachedMedicalRecords();
+    if (cachedRecords?.data) {
+      await offlineStorageService.cacheMedicalRecords(
+        cachedRecords.data.map(cached => (cached.id === record.id ? { ...cached, ...updates } : cached))
+      );
+    }
+  }
+};
+
+export default documentExpiryService;
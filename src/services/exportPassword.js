@@ -0,0 +1,40 @@
+// The password used to encrypt exports, kept in the device keychain/keystore.
+// Older versions saved it in the privacy preferences in AsyncStorage; it's moved
+// out of there the first time it's read.
+
+import * as SecureStore from 'expo-secure-store';
+import privacyPreferences from './privacyPreferences';
+
+const EXPORT_PASSWORD_KEY = 'export_password';
+
+export const MIN_EXPORT_PASSWORD_LENGTH = 6;
+
+const exportPassword = {
+  async get() {
+    const password = await SecureStore.getItemAsync(EXPORT_PASSWORD_KEY);
+    if (password) return password;
+
+    return this.migrateFromPreferences();
+  },
+
+  async save(password) {
+    await SecureStore.setItemAsync(EXPORT_PASSWORD_KEY, password);
+  },
+
+  async clear() {
+    await SecureStore.deleteItemAsync(EXPORT_PASSWORD_KEY);
+  },
+
+  async migrateFromPreferences() {
+    const { exportPassword: legacyPassword, ...preferences } = await privacyPreferences.get();
+    if (legacyPassword === undefined) return null;
+
+    if (legacyPassword) {
+      await this.save(legacyPassword);
+    }
+    await privacyPreferences.save(preferences);
+    return legacyPassword || null;
+  }
+};
+
+export default exportPassword;
@@ -0,0 +1,137 @@
+// Writes to the account ledger in finance_ledger. Balances only move through here:
+// transactions are written together with their ledger entries and the new balances of
+// the accounts they touch, so the stored balance always matches the ledger. See utils/ledger.
+
+import { db } from '../../firebaseConfig';
+import {
+  collection,
+  doc,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import {
+  LEDGER_REASONS,
+  getLedgerEntries,
+  getLedgerTotals,
+  roundLedgerAmount
+} from '../utils/ledger';
+
+export const TRANSACTION_EXISTS_MESSAGE = 'Transaction already exists';
+
+const financeLedger = {
+  /**
+   * Adds a ledger entry to a write batch or Firestore transaction
+   * @param {Object} writer - WriteBatch or Transaction
+   * @param {{ accountId: string, transactionId: string|null, amount: number, reason: string }} entry
+   */
+  addEntry(writer, entry, userId) {
+    writer.set(doc(collection(db, 'finance_ledger')), {
+      ...entry,
+      createdBy: userId,
+      createdAt: serverTimestamp()
+    });
+  },
+
+  /**
+   * Adds a new account and its opening entry to a write batch or Firestore transaction.
+   * The account's balance and initialBalance are both set to the opening balance.
+   */
+  openAccount(writer, accountRef, account, openingBalance, userId) {
+    const balance = roundLedgerAmount(openingBalance);
+    writer.set(accountRef, { ...account, balance, initialBalance: balance });
+    if (balance !== 0) {
+      this.addEntry(writer, {
+        accountId: accountRef.id,
+        transactionId: null,
+        amount: balance,
+        reason: LEDGER_REASONS.OPENING
+      }, userId);
+    }
+  },
+
+  /**
+   * Writes changes to transactions together with their ledger entries and the balances of the
+   * accounts they touch, all in one Firestore transaction
+   * @param {string} userId - who the ledger entries are recorded for
+   * @param {Array<{ ref: Object, data: Object|null, create?: boolean }>} changes - data is the whole
+   *   transaction when create is set, the changed fields for an update and null for a delete
+   * @param {Function} [writeMore] - adds other writes to the same commit
+   * @returns {Promise<Object<string, number>>} the new balance of each account that moved
+   */
+  commitTransactionChanges(userId, changes, writeMore) {
+    return runTransaction(db, async (firestoreTransaction) => {
+      // Firestore needs every read before the first write. Created transactions are read too:
+      // a create never overwrites, so a transaction given a known ID is only written once.
+      const snapshots = await Promise.all(changes.map(change => firestoreTransaction.get(change.ref)));
+
+      const resolvedChanges = changes.map((change, index) => {
+        const snapshot = snapshots[index];
+        if (change.create && snapshot.exists()) {
+          throw new Error(TRANSACTION_EXISTS_MESSAGE);
+        }
+        if (!change.create && !snapshot.exists()) {
+          throw new Error('Transaction not found');
+        }
+
+        const before = change.create ? null : snapshot.data();
+        let after = null;
+        if (change.create) {
+          after = change.data;
+        } else if (change.data) {
+          after = { ...before, ...change.data };
+        }
+
+        return { ...change, before, after };
+      });
+
+      const entries = resolvedChanges.flatMap(({ ref, before, after }) => getLedgerEntries(ref.id, before, after));
+      const totals = getLedgerTotals(entries);
+
+      // The account a transaction ends up on must exist even when its balance does not move
+      const accountIds = [...new Set([
+        ...resolvedChanges.map(({ after }) => after?.accountId),
+        ...Object.keys(totals)
+      ].filter(Boolean))];
+      const accountSnapshots = await Promise.all(
+        accountIds.map(accountId => firestoreTransaction.get(doc(db, 'finance_accounts', accountId)))
+      );
+
+      const balances = {};
+      accountSnapshots.forEach(snapshot => {
+        if (!snapshot.exists()) {
+          throw new Error(`Account with ID ${snapshot.id} not found`);
+        }
+        if (totals[snapshot.id] !== undefined) {
+          balances[snapshot.id] = roundLedgerAmount(roundLedgerAmount(snapshot.data().balance) + totals[snapshot.id]);
+        }
+      });
+
+      resolvedChanges.forEach(({ ref, data, create }) => {
+        if (create) {
+          firestoreTransaction.set(ref, data);
+        } else if (data) {
+          firestoreTransaction.update(ref, data);
+        } else {
+          firestoreTransaction.delete(ref);
+        }
+      });
+
+      entries.forEach(entry => this.addEntry(firestoreTransaction, entry, userId));
+
+      Object.entries(balances).forEach(([accountId, balance]) => {
+        firestoreTransaction.update(doc(db, 'finance_accounts', accountId), {
+          balance,
+          updatedAt: serverTimestamp()
+        });
+      });
+
+      if (writeMore) {
+        writeMore(firestoreTransaction);
+      }
+
+      return balances;
+    });
+  }
+};
+
+export default financeLedger;
@@ -0,0 +1,125 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_IMMUNIZATION_SCHEDULE,
+  applyScheduleChanges,
+  getVaccine,
+  validateVaccine
+} from '../utils/immunizationSchedule';
+
+// Each user's immunization schedule: { disabledVaccines: [vaccineId], vaccines: { [vaccineId]: vaccine } }
+// vaccines holds the default vaccines the user edited and the ones they added
+const getSettingsKey = (userId) => `immunization_schedule_settings_${userId}`;
+
+// Where the vaccines switched off were kept for the whole device, before schedules were per user
+const LEGACY_SETTINGS_KEY = 'immunization_schedule_settings';
+
+const immunizationService = {
+  async getSettings(userId) {
+    try {
+      let saved = await AsyncStorage.getItem(getSettingsKey(userId));
+      if (!saved) {
+        saved = await this.migrateLegacySettings(userId);
+      }
+      return { disabledVaccines: [], vaccines: {}, ...(saved ? JSON.parse(saved) : {}) };
+    } catch (error) {
+      console.error('Error loading immunization settings:', error);
+      return { disabledVaccines: [], vaccines: {} };
+    }
+  },
+
+  // The device-wide settings go to the first user to load theirs and are then removed,
+  // so they never apply to anyone else on the device
+  async migrateLegacySettings(userId) {
+    const legacy = await AsyncStorage.getItem(LEGACY_SETTINGS_KEY);
+    if (!legacy) return null;
+
+    await AsyncStorage.setItem(getSettingsKey(userId), legacy);
+    await AsyncStorage.removeItem(LEGACY_SETTINGS_KEY);
+    return legacy;
+  },
+
+  async saveSettings(userId, settings) {
+    await AsyncStorage.setItem(getSettingsKey(userId), JSON.stringify(settings));
+  },
+
+  /**
+   * Every vaccine on the user's schedule, including the ones switched off
+   */
+  async getVaccines(userId) {
+    const { vaccines } = await this.getSettings(userId);
+    return applyScheduleChanges(vaccines);
+  },
+
+  /**
+   * The schedule to track, without the vaccines the user has switched off
+   */
+  async getSchedule(userId) {
+    const { disabledVaccines, vaccines } = await this.getSettings(userId);
+    return applyScheduleChanges(vaccines).filter(vaccine => !disabledVaccines.includes(vaccine.id));
+  },
+
+  async setVaccineEnabled(userId, vaccineId, enabled) {
+    const settings = await this.getSettings(userId);
+    const disabledVaccines = settings.disabledVaccines.filter(id => id !== vaccineId);
+    if (!enabled) {
+      disabledVaccines.push(vaccineId);
+    }
+
+    const updated = { ...settings, disabledVaccines };
+    await this.saveSettings(userId, updated);
+    return updated;
+  },
+
+  /**
+   * Save a vaccine the user edited, or added when it has no ID yet
+   * Doses are numbered in the order given.
+   * @returns {Promise<Object>} the updated settings
+   */
+  async saveVaccine(userId, vaccine) {
+    const errors = validateVaccine(vaccine);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const id = vaccine.id || `custom_${Date.now()}`;
+    const settings = await this.getSettings(userId);
+    const updated = {
+      ...settings,
+      vaccines: {
+        ...settings.vaccines,
+        [id]: {
+          ...vaccine,
+          id,
+          name: vaccine.name.trim(),
+          doses: vaccine.doses.map((dose, index) => ({ ...dose, dose: index + 1 }))
+        }
+      }
+    };
+
+    await this.saveSettings(userId, updated);
+    return updated;
+  },
+
+  /**
+   * Remove a vaccine the user added, or put a default one they edited back as it was
+   * @returns {Promise<Object>} the updated settings
+   */
+  async deleteVaccine(userId, vaccineId) {
+    const settings = await this.getSettings(userId);
+    const vaccines = { ...settings.vaccines };
+    delete vaccines[vaccineId];
+    const isDefault = !!getVaccine(vaccineId, DEFAULT_IMMUNIZATION_SCHEDULE);
+
+    const updated = {
+      ...settings,
+      vaccines,
+      disabledVaccines: isDefault
+        ? settings.disabledVaccines
+        : settings.disabledVaccines.filter(id => id !== vaccineId)
+    };
+    await this.saveSettings(userId, updated);
+    return updated;
+  }
+};
+
+export default immunizationService;
@@ -0,0 +1,302 @@
+import { db } from '../../firebaseConfig';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import {
+  scheduleMedicationReminder,
+  cancelNotifications
+} from './notifications';
+import {
+  buildReminderSchedule,
+  formatLocalDate,
+  isRegimenFinished
+} from '../utils/medicationSchedule';
+
+// Medication regimens are linked to prescription records in medicalRecords.
+// Each regimen keeps the ids of the notifications scheduled for it so they can be
+// cancelled when the course ends, the schedule changes or the record is deleted.
+
+export const REGIMEN_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+export const DOSE_STATUS = {
+  TAKEN: 'taken',
+  SKIPPED: 'skipped'
+};
+
+const REGIMENS_COLLECTION = 'medicationRegimens';
+const DOSE_LOGS_COLLECTION = 'medicationDoseLogs';
+
+const getDoseLogId = (regimenId, date, time) => `${regimenId}_${date}_${time.replace(':', '')}`;
+
+const medicationService = {
+  async getRegimens(userId, { includeInactive = false } = {}) {
+    try {
+      const regimensQuery = query(
+        collection(db, REGIMENS_COLLECTION),
+        where('userId', '==', userId)
+      );
+      const snapshot = await getDocs(regimensQuery);
+      const regimens = snapshot.docs.map(regimenDoc => ({
+        id: regimenDoc.id,
+        ...regimenDoc.data()
+      }));
+
+      return includeInactive
+        ? regimens
+        : regimens.filter(regimen => regimen.status === REGIMEN_STATUS.ACTIVE);
+    } catch (error) {
+      console.error('Error fetching medication regimens:', error);
+      throw error;
+    }
+  },
+
+  async getRegimenForRecord(userId, recordId) {
+    try {
+      const regimensQuery = query(
+        collection(db, REGIMENS_COLLECTION),
+        where('userId', '==', userId),
+        where('recordId', '==', recordId)
+      );
+      const snapshot = await getDocs(regimensQuery);
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const regimens = snapshot.docs.map(regimenDoc => ({
+        id: regimenDoc.id,
+        ...regimenDoc.data()
+      }));
+
+      // Prefer the active regimen if an older one was ended
+      return regimens.find(regimen => regimen.status === REGIMEN_STATUS.ACTIVE) || regimens[0];
+    } catch (error) {
+      console.error('Error fetching regimen for record:', error);
+      throw error;
+    }
+  },
+
+  // Schedule reminders for a regimen and return the fields to store with it
+  async scheduleReminders(regimen) {
+    const { mode, reminders } = buildReminderSchedule(regimen);
+    const notificationIds = await scheduleMedicationReminder(regimen, reminders);
+    return { notificationIds, reminderMode: mode };
+  },
+
+  async createRegimen(userId, regimenData) {
+    try {
+      const regimen = {
+        asNeeded: false,
+        daysOfWeek: [],
+        doseTimes: [],
+        taperSteps: [],
+        endDate: null,
+        endedOn: null,
+        ...regimenData,
+        userId,
+        status: REGIMEN_STATUS.ACTIVE,
+        notificationIds: [],
+        reminderMode: 'none'
+      };
+
+      const docRef = await addDoc(collection(db, REGIMENS_COLLECTION), {
+        ...regimen,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+
+      const reminderFields = await this.scheduleReminders({ ...regimen, id: docRef.id });
+      await updateDoc(docRef, reminderFields);
+
+      return { id: docRef.id, ...regimen, ...reminderFields };
+    } catch (error) {
+      console.error('Error creating medication regimen:', error);
+      throw error;
+    }
+  },
+
+  async updateRegimen(regimenId, updates) {
+    try {
+      const regimenRef = doc(db, REGIMENS_COLLECTION, regimenId);
+      const regimenDoc = await getDoc(regimenRef);
+      if (!regimenDoc.exists()) {
+        throw new Error('Medication schedule not found');
+      }
+
+      const existing = { id: regimenId, ...regimenDoc.data() };
+      await cancelNotifications(existing.notificationIds);
+
+      const regimen = { ...existing, ...updates, status: REGIMEN_STATUS.ACTIVE, endedOn: null };
+      const reminderFields = isRegimenFinished(regimen)
+        ? { notificationIds: [], reminderMode: 'none', status: REGIMEN_STATUS.COMPLETED }
+        : await this.scheduleReminders(regimen);
+
+      await updateDoc(regimenRef, {
+        ...updates,
+        status: REGIMEN_STATUS.ACTIVE,
+        endedOn: null,
+        ...reminderFields,
+        updatedAt: serverTimestamp()
+      });
+
+      return { ...regimen, ...reminderFields };
+    } catch (error) {
+      console.error('Error updating medication regimen:', error);
+      throw error;
+    }
+  },
+
+  // Stop a regimen early (or mark it completed once the course has ended)
+  async endRegimen(regimen, status = REGIMEN_STATUS.CANCELLED) {
+    try {
+      await cancelNotifications(regimen.notificationIds);
+      const endFields = {
+        status,
+        notificationIds: [],
+        reminderMode: 'none',
+        // Day the regimen stopped; adherence isn't counted after it
+        endedOn: regimen.endedOn || formatLocalDate(new Date())
+      };
+      await updateDoc(doc(db, REGIMENS_COLLECTION, regimen.id), {
+        ...endFields,
+        updatedAt: serverTimestamp()
+      });
+      return { ...regimen, ...endFields };
+    } catch (error) {
+      console.error('Error ending medication regimen:', error);
+      throw error;
+    }
+  },
+
+  // Remove every regimen and dose log for a deleted prescription record
+  async deleteRegimensForRecord(userId, recordId) {
+    try {
+      const regimensQuery = query(
+        collection(db, REGIMENS_COLLECTION),
+        where('userId', '==', userId),
+        where('recordId', '==', recordId)
+      );
+      const regimensSnapshot = await getDocs(regimensQuery);
+
+      for (const regimenDoc of regimensSnapshot.docs) {
+        await cancelNotifications(regimenDoc.data().notificationIds);
+        await deleteDoc(doc(db, REGIMENS_COLLECTION, regimenDoc.id));
+      }
+
+      const logsQuery = query(
+        collection(db, DOSE_LOGS_COLLECTION),
+        where('userId', '==', userId),
+        where('recordId', '==', recordId)
+      );
+      const logsSnapshot = await getDocs(logsQuery);
+      await Promise.all(logsSnapshot.docs.map(logDoc => deleteDoc(doc(db, DOSE_LOGS_COLLECTION, logDoc.id))));
+
+      return regimensSnapshot.size;
+    } catch (error) {
+      console.error('Error deleting medication regimens:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Bring reminders up to date, typically when the app starts
+   * Completes regimens whose course has ended and tops up the one-off reminders of
+   * fixed-length courses.
+   */
+  async reconcileRegimens(userId) {
+    try {
+      const regimens = await this.getRegimens(userId);
+      let updated = 0;
+
+      for (const regimen of regimens) {
+        if (isRegimenFinished(regimen)) {
+          await this.endRegimen(regimen, REGIMEN_STATUS.COMPLETED);
+          updated++;
+        } else if (regimen.reminderMode !== 'repeating' && !regimen.asNeeded) {
+          // Reschedule from scratch; ongoing courses that have just started switch
+          // from one-off to repeating reminders here
+          await cancelNotifications(regimen.notificationIds);
+          const reminderFields = await this.scheduleReminders(regimen);
+          await updateDoc(doc(db, REGIMENS_COLLECTION, regimen.id), reminderFields);
+          updated++;
+        }
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('Error reconciling medication regimens:', error);
+      return 0;
+    }
+  },
+
+  /**
+   * Record that a scheduled dose was taken or skipped
+   * Logging the same dose again replaces the earlier entry.
+   */
+  async logDose(userId, regimen, { date, time, status, dosage, note = '', loggedByName = '' }) {
+    try {
+      const logId = getDoseLogId(regimen.id, date, time);
+      const log = {
+        userId,
+        regimenId: regimen.id,
+        recordId: regimen.recordId,
+        familyMemberId: regimen.familyMemberId || null,
+        medicationName: regimen.medicationName,
+        date,
+        time,
+        status,
+        dosage: dosage || regimen.dosage || '',
+        note,
+        loggedBy: userId,
+        loggedByName,
+        loggedAt: new Date().toISOString()
+      };
+
+      await setDoc(doc(db, DOSE_LOGS_COLLECTION, logId), log);
+      return { id: logId, ...log };
+    } catch (error) {
+      console.error('Error logging dose:', error);
+      throw error;
+    }
+  },
+
+  async undoDoseLog(regimenId, date, time) {
+    try {
+      await deleteDoc(doc(db, DOSE_LOGS_COLLECTION, getDoseLogId(regimenId, date, time)));
+    } catch (error) {
+      console.error('Error removing dose log:', error);
+      throw error;
+    }
+  },
+
+  async getDoseLogs(userId, { regimenId, familyMemberId } = {}) {
+    try {
+      const constraints = [where('userId', '==', userId)];
+      if (regimenId) constraints.push(where('regimenId', '==', regimenId));
+      if (familyMemberId) constraints.push(where('familyMemberId', '==', familyMemberId));
+
+      const snapshot = await getDocs(query(collection(db, DOSE_LOGS_COLLECTION), ...constraints));
+      return snapshot.docs
+        .map(logDoc => ({ id: logDoc.id, ...logDoc.data() }))
+        .sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`));
+    } catch (error) {
+      console.error('Error fetching dose logs:', error);
+      throw error;
+    }
+  }
+};
+
+export default medicationService;
@@ -5,6 +5,7 @@ class NetworkService {
   constructor() {
     this.isConnected = true;
     this.listeners = [];
+    this.isSyncing = false;
     this.init();
   }
 
@@ -115,6 +116,12 @@ class NetworkService {
 
   // Sync offline data when reconnected
   async syncOfflineData() {
+    // Attachment uploads can outlast a flaky connection; don't start a second pass alongside
+    if (this.isSyncing) {
+      return;
+    }
+    this.isSyncing = true;
+
     try {
       const { default: offlineStorage } = await import('./offlineStorage');
       const syncQueue = await offlineStorage.getSyncQueue();
@@ -142,6 +149,8 @@ class NetworkService {
       console.log('Offline sync completed');
     } catch (error) {
       console.error('Error during offline sync:', error);
+    } finally {
+      this.isSyncing = false;
     }
   }
 
@@ -151,7 +160,9 @@ class NetworkService {
     
     switch (operation.type) {
       case 'CREATE_RECORD':
-        return this.syncCreateRecord(operation.data);
+        return this.syncCreateRecord(operation, item.id);
+      case 'UPLOAD_RECORD_ATTACHMENTS':
+        return this.syncRecordAttachments(operation.data, item.id);
       case 'UPDATE_RECORD':
         return this.syncUpdateRecord(operation.data);
       case 'DELETE_RECORD':
@@ -168,11 +179,50 @@ class NetworkService {
   }
 
   // Sync operations (these would integrate with your Firebase service)
-  async syncCreateRecord(data) {
+  async syncCreateRecord(operation, queueItemId) {
     const { addDoc, collection } = await import('firebase/firestore');
     const { db } = await import('../../firebaseConfig');
     
-    return addDoc(collection(db, 'medicalRecords'), data);
+    const docRef = await addDoc(collection(db, 'medicalRecords'), operation.data);
+
+    // Attachments saved offline are uploaded once the record exists. The queue item becomes
+    // an upload step first, so a failed upload is retried without creating the record again.
+    if (operation.attachments?.length > 0) {
+      const { default: offlineStorage } = await import('./offlineStorage');
+      const uploadData = {
+        recordId: docRef.id,
+        userId: operation.data.userId,
+        attachments: operation.attachments,
+        uploaded: [],
+      };
+      await offlineStorage.updateSyncQueueItem(queueItemId, {
+        operation: { type: 'UPLOAD_RECORD_ATTACHMENTS', data: uploadData },
+      });
+      await this.syncRecordAttachments(uploadData, queueItemId);
+    }
+
+    return docRef;
+  }
+
+  async syncRecordAttachments(data, queueItemId) {
+    const { updateDoc, doc } = await import('firebase/firestore');
+    const { db } = await import('../../firebaseConfig');
+    const { default: offlineStorage } = await import('./offlineStorage');
+    const { default: offlineAttachments, toRecordAttachment } = await import('./offlineAttachments');
+
+    const uploaded = await offlineAttachments.uploadAll(data.userId, data.attachments, {
+      uploaded: data.uploaded,
+      // Remember finished files in case a later one fails
+      onUploaded: (results) => offlineStorage.updateSyncQueueItem(queueItemId, {
+        operation: { type: 'UPLOAD_RECORD_ATTACHMENTS', data: { ...data, uploaded: results } },
+      }),
+    });
+
+    await updateDoc(doc(db, 'medicalRecords', data.recordId), {
+      attachments: uploaded.map(toRecordAttachment),
+      updatedAt: new Date(),
+    });
+    await offlineAttachments.removeLocalFiles(data.attachments);
   }
 
   async syncUpdateRecord(data) {
@@ -186,7 +236,13 @@ class NetworkService {
     const { deleteDoc, doc } = await import('firebase/firestore');
     const { db } = await import('../../firebaseConfig');
     
-    return deleteDoc(doc(db, 'medicalRecords', data.id));
+    await deleteDoc(doc(db, 'medicalRecords', data.id));
+
+    // Remove the medication schedule of a deleted prescription
+    if (data.type === 'prescription' && data.userId) {
+      const { default: medicationService } = await import('./medicationService');
+      await medicationService.deleteRegimensForRecord(data.userId, data.id);
+    }
   }
 
   async syncCreateFamilyMember(data) {
@@ -1,6 +1,18 @@
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  buildAppointmentReminders,
+  describeAppointmentTime,
+  getReminderOffsets
+} from '../utils/appointmentReminders';
+import { getProviderDisplayName, getRecordTypeDisplayName } from '../utils/recordTypes';
+import { BUDGET_PERIODS, getBudgetCategoryLabel } from '../utils/budgets';
+import { NOTIFICATION_TYPES } from '../constants';
+
+// Saved by NotificationsScreen
+export const NOTIFICATION_PREFERENCES_KEY = 'notification_preferences';
 
 // Configure notifications
 Notifications.setNotificationHandler({
@@ -41,13 +53,24 @@ export const requestNotificationPermissions = async () => {
   return false;
 };
 
-export const scheduleNotification = async (title, body, trigger) => {
+export const getNotificationPreferences = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(NOTIFICATION_PREFERENCES_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading notification preferences:', error);
+    return {};
+  }
+};
+
+export const scheduleNotification = async (title, body, trigger, data = {}) => {
   try {
     const id = await Notifications.scheduleNotificationAsync({
       content: {
         title,
         body,
         sound: 'default',
+        data,
       },
       trigger,
     });
@@ -58,42 +81,166 @@ export const scheduleNotification = async (title, body, trigger) => {
   }
 };
 
-export const scheduleAppointmentReminder = async (appointment) => {
-  const appointmentDate = new Date(appointment.date);
-  const reminderDate = new Date(appointmentDate.getTime() - 24 * 60 * 60 * 1000); // 24 hours before
-  
-  if (reminderDate > new Date()) {
-    return await scheduleNotification(
+/**
+ * Schedule the reminders for an appointment
+ * Honors the appointmentReminders preference, the appointment's own reminder offsets
+ * (or the default ones) and quiet hours.
+ * @returns {Promise<string[]>} Scheduled notification ids
+ */
+export const scheduleAppointmentReminders = async (appointment) => {
+  const preferences = await getNotificationPreferences();
+  if (preferences.appointmentReminders === false) {
+    return [];
+  }
+
+  const appointmentDate = appointment.date?.toDate ? appointment.date.toDate() : new Date(appointment.date);
+  const reminders = buildAppointmentReminders(
+    appointmentDate,
+    getReminderOffsets(appointment, preferences),
+    { quietHours: preferences.quietHours }
+  );
+
+  const who = appointment.familyMemberName ? `${appointment.familyMemberName} has` : 'You have';
+  const withWhom = appointment.doctor ? `with ${appointment.doctor}` : `for ${appointment.title}`;
+  const ids = [];
+
+  for (const reminder of reminders) {
+    const id = await scheduleNotification(
       'Appointment Reminder',
-      `You have an appointment with ${appointment.doctor} tomorrow at ${appointment.time}`,
-      { date: reminderDate }
+      `${who} an appointment ${withWhom} ${describeAppointmentTime(appointmentDate, reminder.date)}`,
+      {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: reminder.date,
+      },
+      { type: 'appointment', appointmentId: appointment.id }
     );
+
+    if (id) ids.push(id);
   }
-  
-  return null;
+
+  return ids;
 };
 
-export const scheduleMedicationReminder = async (medication) => {
-  const reminders = [];
-  
-  // Schedule daily reminders based on frequency
-  for (let i = 0; i < medication.frequency; i++) {
-    const hour = 8 + (i * 8); // 8 AM, 4 PM, 12 AM for 3 times a day
-    
+// Convert a reminder from buildReminderSchedule() into an expo-notifications trigger
+const toNotificationTrigger = (reminder) => {
+  switch (reminder.kind) {
+    case 'daily':
+      return {
+        type: Notifications.SchedulableTriggerInputTypes.DAILY,
+        hour: reminder.hour,
+        minute: reminder.minute,
+      };
+    case 'weekly':
+      return {
+        type: Notifications.SchedulableTriggerInputTypes.WEEKLY,
+        // expo-notifications numbers weekdays from 1 (Sunday)
+        weekday: reminder.weekday + 1,
+        hour: reminder.hour,
+        minute: reminder.minute,
+      };
+    default:
+      return {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: reminder.date,
+      };
+  }
+};
+
+/**
+ * Schedule the reminders for a medication regimen
+ * @param {Object} regimen - Regimen from medicationService
+ * @param {Array} reminders - Reminders from buildReminderSchedule()
+ * @returns {Promise<string[]>} Scheduled notification ids
+ */
+export const scheduleMedicationReminder = async (regimen, reminders) => {
+  const preferences = await getNotificationPreferences();
+  if (preferences.medicationReminders === false) {
+    return [];
+  }
+
+  const ids = [];
+  const who = regimen.familyMemberName ? ` for ${regimen.familyMemberName}` : '';
+
+  for (const reminder of reminders) {
+    const dosage = reminder.dosage ? `${reminder.dosage} of ` : '';
     const id = await scheduleNotification(
       'Medication Reminder',
-      `Time to take your ${medication.name}`,
+      `Time to take ${dosage}${regimen.medicationName}${who}`,
+      toNotificationTrigger(reminder),
+      { type: 'medication', regimenId: regimen.id, recordId: regimen.recordId }
+    );
+
+    if (id) ids.push(id);
+  }
+
+  return ids;
+};
+
+/**
+ * Schedule expiry alerts for an insurance or hospital card
+ * @param {Object} record - Medical record of a tracked type
+ * @param {Array} alerts - Alerts from buildExpiryAlerts()
+ * @returns {Promise<string[]>} Scheduled notification ids
+ */
+export const scheduleDocumentExpiryReminders = async (record, alerts) => {
+  const preferences = await getNotificationPreferences();
+  if (preferences.insuranceReminders === false) {
+    return [];
+  }
+
+  const cardName = record.type === 'insurance'
+    ? `${getProviderDisplayName(record.provider, record.customProvider)} insurance card`
+    : `${record.hospital || 'hospital'} card`;
+  const owner = record.familyMemberName ? `${record.familyMemberName}'s ` : 'Your ';
+  const ids = [];
+
+  for (const alert of alerts) {
+    const when = alert.daysBefore === 1 ? 'tomorrow' : `in ${alert.daysBefore} days`;
+    const id = await scheduleNotification(
+      `${getRecordTypeDisplayName(record.type)} Expiring`,
+      `${owner}${cardName} expires ${when}. Renew it to stay covered.`,
       {
-        hour,
-        minute: 0,
-        repeats: true,
-      }
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: alert.date,
+      },
+      { type: NOTIFICATION_TYPES.DOCUMENT_EXPIRY, recordId: record.id }
     );
-    
-    if (id) reminders.push(id);
+
+    if (id) ids.push(id);
   }
-  
-  return reminders;
+
+  return ids;
+};
+
+/**
+ * Tell the user, right away, that a budget has reached a threshold
+ * @param {Object} budget - Budget from FinanceContext
+ * @param {Object} progress - Progress from getBudgetProgress()
+ * @param {number} threshold - One of BUDGET_ALERT_THRESHOLDS
+ * @returns {Promise<string|null>} Notification id
+ */
+export const sendBudgetAlert = async (budget, progress, threshold) => {
+  const preferences = await getNotificationPreferences();
+  if (preferences.budgetAlerts === false) {
+    return null;
+  }
+
+  const category = getBudgetCategoryLabel(budget.category);
+  const period = budget.period === BUDGET_PERIODS.WEEKLY ? 'week' : 'month';
+  const body = threshold >= 100
+    ? `You have spent ${progress.percentage}% of your ${category} budget this ${period}.`
+    : `You have used ${progress.percentage}% of your ${category} budget this ${period}. Spend carefully.`;
+
+  return scheduleNotification(
+    threshold >= 100 ? 'Budget Exceeded' : 'Budget Almost Used',
+    body,
+    null,
+    { type: NOTIFICATION_TYPES.BUDGET_ALERT, budgetId: budget.id }
+  );
+};
+
+export const cancelNotifications = async (notificationIds = []) => {
+  await Promise.all(notificationIds.map(id => cancelNotification(id)));
 };
 
 export const cancelNotification = async (notificationId) => {
@@ -1,102 +1,69 @@
 // OCR (Optical Character Recognition) service
-// This is a placeholder implementation. In production, you would integrate with:
-// - Google Cloud Vision API
-// - AWS Textract
-// - Azure Computer Vision
-// - Or a similar OCR service
+// Text recognition is delegated to a pluggable engine (see ocrEngines.js). The
+// default engine runs ML Kit on-device so scanned documents never leave the phone;
+// tests swap in a FixtureOcrEngine with setOcrEngine().
+
+import { MlKitOcrEngine } from './ocrEngines';
+import { extractRecordFields } from './ocrFieldExtractors';
+
+export { LOW_CONFIDENCE_THRESHOLD } from './ocrFieldExtractors';
+
+let ocrEngine = new MlKitOcrEngine();
+
+export const setOcrEngine = (engine) => {
+  ocrEngine = engine;
+};
+
+export const getOcrEngine = () => ocrEngine;
+
+export const isOcrAvailable = async () => {
+  try {
+    return await ocrEngine.isAvailable();
+  } catch (error) {
+    return false;
+  }
+};
+
+// Map detected document types to the record types used by AddRecordScreen
+export const DOCUMENT_TYPE_TO_RECORD_TYPE = {
+  prescription: 'prescription',
+  diagnosis: 'diagnosis',
+  insurance: 'insurance',
+  hospital: 'hospital_card',
+  bill: 'bill',
+  labResult: 'lab_result',
+};
 
 export const extractTextFromImage = async (imageUri) => {
   try {
-    // Placeholder implementation
-    // In a real app, you would send the image to an OCR service
-    
-    console.log('Processing image for OCR:', imageUri);
-    
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Return mock extracted text based on document type
-    const mockExtractedText = {
-      prescription: {
-        text: `
-          Dr. Smith Medical Center
-          Patient: John Doe
-          Date: ${new Date().toLocaleDateString()}
-          
-          Prescription:
-          - Amoxicillin 500mg
-          - Take 3 times daily
-          - Duration: 7 days
-          
-          Doctor: Dr. Sarah Smith
-          License: MD123456
-        `,
-        confidence: 0.95,
-        fields: {
-          patientName: 'John Doe',
-          medication: 'Amoxicillin 500mg',
-          dosage: '3 times daily',
-          duration: '7 days',
-          doctor: 'Dr. Sarah Smith',
-          date: new Date().toLocaleDateString()
-        }
-      },
-      labResult: {
-        text: `
-          Lab Results
-          Patient: John Doe
-          Date: ${new Date().toLocaleDateString()}
-          
-          Test Results:
-          - Cholesterol: 180 mg/dL (Normal)
-          - Blood Sugar: 95 mg/dL (Normal)
-          - Blood Pressure: 120/80 mmHg (Normal)
-          
-          Lab: City Medical Labs
-        `,
-        confidence: 0.92,
-        fields: {
-          patientName: 'John Doe',
-          cholesterol: '180 mg/dL',
-          bloodSugar: '95 mg/dL',
-          bloodPressure: '120/80 mmHg',
-          date: new Date().toLocaleDateString()
-        }
-      },
-      insurance: {
-        text: `
-          Health Insurance Card
-          Member: John Doe
-          ID: 123456789
-          Group: ABC Company
-          
-          Primary Care: Dr. Smith
-          Copay: $25
-          Deductible: $1,000
-          
-          Insurance Company: HealthCare Plus
-        `,
-        confidence: 0.88,
-        fields: {
-          memberName: 'John Doe',
-          memberId: '123456789',
-          group: 'ABC Company',
-          primaryCare: 'Dr. Smith',
-          copay: '$25',
-          deductible: '$1,000'
-        }
-      }
-    };
-    
-    // Return random mock data for demo purposes
-    const types = Object.keys(mockExtractedText);
-    const randomType = types[Math.floor(Math.random() * types.length)];
-    
+    if (!(await ocrEngine.isAvailable())) {
+      return {
+        success: false,
+        error: 'Document scanning is not available on this device',
+        text: '',
+        confidence: 0,
+        lines: []
+      };
+    }
+
+    const result = await ocrEngine.recognize(imageUri);
+
+    if (!result.text.trim()) {
+      return {
+        success: false,
+        error: 'No text was found in the image',
+        text: '',
+        confidence: 0,
+        lines: []
+      };
+    }
+
     return {
       success: true,
-      ...mockExtractedText[randomType]
+      engine: ocrEngine.name,
+      ...result
     };
-    
+
   } catch (error) {
     console.error('OCR Error:', error);
     return {
@@ -104,7 +71,7 @@ export const extractTextFromImage = async (imageUri) => {
       error: 'Failed to extract text from image',
       text: '',
       confidence: 0,
-      fields: {}
+      lines: []
     };
   }
 };
@@ -112,20 +79,23 @@ export const extractTextFromImage = async (imageUri) => {
 export const processDocument = async (imageUri, documentType = 'auto') => {
   try {
     const result = await extractTextFromImage(imageUri);
-    
+
     if (!result.success) {
       return result;
     }
-    
-    // Process the extracted text based on document type
+
+    // Process the extracted lines based on document type
+    const resolvedType = documentType === 'auto' ? detectDocumentType(result.text) : documentType;
+    const fields = extractRecordFields(result.lines, DOCUMENT_TYPE_TO_RECORD_TYPE[resolvedType] || resolvedType);
     const processedResult = {
       ...result,
-      documentType: documentType === 'auto' ? detectDocumentType(result.text) : documentType,
-      extractedData: parseDocumentFields(result.text, documentType)
+      documentType: resolvedType,
+      extractedData: getFieldValues(fields),
+      fieldConfidence: getFieldConfidence(fields)
     };
-    
+
     return processedResult;
-    
+
   } catch (error) {
     console.error('Document processing error:', error);
     return {
@@ -135,9 +105,9 @@ export const processDocument = async (imageUri, documentType = 'auto') => {
   }
 };
 
-const detectDocumentType = (text) => {
+export const detectDocumentType = (text) => {
   const lowerText = text.toLowerCase();
-  
+
   if (lowerText.includes('prescription') || lowerText.includes('rx') || lowerText.includes('medication')) {
     return 'prescription';
   } else if (lowerText.includes('lab result') || lowerText.includes('test result') || lowerText.includes('blood test')) {
@@ -149,29 +119,111 @@ const detectDocumentType = (text) => {
   } else if (lowerText.includes('invoice') || lowerText.includes('bill') || lowerText.includes('amount due')) {
     return 'bill';
   }
-  
+
   return 'other';
 };
 
-const parseDocumentFields = (text, documentType) => {
-  // This would contain more sophisticated parsing logic
-  // For now, return basic extracted fields
-  
+const getFieldValues = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, { value }]) => [key, value])
+);
+
+const getFieldConfidence = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, { confidence }]) => [key, confidence])
+);
+
+// Plain-text field extraction; documentType may be a detected type or a record type
+export const parseDocumentFields = (text, documentType) => {
+  const fields = extractRecordFields(text, DOCUMENT_TYPE_TO_RECORD_TYPE[documentType] || documentType);
+  return getFieldValues(fields);
+};
+
+// Convert dates printed on documents (31/12/2025, 2025-12-31, 31 Dec 2025) to YYYY-MM-DD.
+// Slash-separated dates are read day-first unless that is impossible.
+export const normalizeDocumentDate = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+
+  const pad = (n) => n.toString().padStart(2, '0');
+  const toIso = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+  };
+
+  let match = trimmed.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) {
+    return toIso(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  match = trimmed.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) {
+    let first = Number(match[1]);
+    let second = Number(match[2]);
+    let year = Number(match[3]);
+    if (year < 100) year += 2000;
+    if (second > 12 && first <= 12) {
+      [first, second] = [second, first];
+    }
+    return toIso(year, second, first);
+  }
+
+  const parsed = new Date(trimmed);
+  if (!isNaN(parsed.getTime())) {
+    return toIso(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+
+  return null;
+};
+
+// Form fields that hold dates in YYYY-MM-DD format
+const DATE_FIELDS = ['date', 'dateOfIssue', 'expiryDate'];
+
+// Values that are not form fields themselves
+const NON_FORM_FIELDS = ['patientName', 'amountDue', 'timesPerDay', 'durationDays'];
+
+/**
+ * Turn a processDocument result into AddRecordScreen form values
+ * @returns {{ fields: Object, confidence: Object }} Form values and the confidence of each
+ */
+export const mapDocumentToRecordFields = (result, familyMembers = []) => {
+  const data = result.extractedData || {};
+  const fieldConfidence = result.fieldConfidence || {};
   const fields = {};
-  const lines = text.split('\n').map(line => line.trim()).filter(line => line);
-  
-  // Simple field extraction based on common patterns
-  lines.forEach(line => {
-    if (line.toLowerCase().includes('patient:')) {
-      fields.patientName = line.split(':')[1]?.trim();
-    } else if (line.toLowerCase().includes('date:')) {
-      fields.date = line.split(':')[1]?.trim();
-    } else if (line.toLowerCase().includes('doctor:')) {
-      fields.doctor = line.split(':')[1]?.trim();
+  const confidence = {};
+
+  const recordType = DOCUMENT_TYPE_TO_RECORD_TYPE[result.documentType];
+  if (recordType) {
+    fields.type = recordType;
+  }
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (NON_FORM_FIELDS.includes(key)) return;
+
+    if (DATE_FIELDS.includes(key)) {
+      const date = normalizeDocumentDate(value);
+      if (!date) return;
+      fields[key] = date;
+    } else {
+      fields[key] = value;
     }
+    confidence[key] = fieldConfidence[key] ?? result.confidence ?? 1;
   });
-  
-  return fields;
+
+  if (data.patientName) {
+    const patientName = data.patientName.toLowerCase();
+    const member = familyMembers.find(m => {
+      const name = (m.name || '').toLowerCase();
+      return name && (patientName.includes(name) || name.includes(patientName));
+    });
+    if (member) {
+      fields.familyMemberId = member.id;
+      confidence.familyMemberId = fieldConfidence.patientName ?? result.confidence ?? 1;
+    }
+  }
+
+  return { fields, confidence };
 };
 
 // Example usage:
@@ -184,5 +236,6 @@ if (result.success) {
   console.log('Document type:', result.documentType);
   console.log('Extracted fields:', result.extractedData);
   console.log('Confidence:', result.confidence);
+  console.log('Lines with bounding boxes:', result.lines);
 }
 */
@@ -0,0 +1,140 @@
+import { NativeModules } from 'react-native';
+import { TextRecognitionScript } from '@react-native-ml-kit/text-recognition';
+
+// OCR engines used by the OCR service (see ocr.js)
+//
+// Every engine implements the same interface:
+//   isAvailable() -> Promise<boolean>
+//   recognize(imageUri) -> Promise<{ text, confidence, lines }>
+//
+// where `lines` is an array of { text, confidence, boundingBox: { x, y, width, height } }
+// ordered top-to-bottom, and every confidence is a number between 0 and 1.
+
+// Build the page text and overall confidence from recognized lines
+export const buildOcrResult = (lines) => {
+  const sortedLines = [...lines].sort((a, b) => {
+    // Treat lines whose tops are within half a line height as the same row
+    const rowTolerance = Math.max(a.boundingBox.height, b.boundingBox.height) / 2;
+    if (Math.abs(a.boundingBox.y - b.boundingBox.y) > rowTolerance) {
+      return a.boundingBox.y - b.boundingBox.y;
+    }
+    return a.boundingBox.x - b.boundingBox.x;
+  });
+
+  // Weight confidence by line length so short noisy tokens don't dominate
+  const totalChars = sortedLines.reduce((sum, line) => sum + line.text.length, 0);
+  const confidence = totalChars > 0
+    ? sortedLines.reduce((sum, line) => sum + line.confidence * line.text.length, 0) / totalChars
+    : 0;
+
+  return {
+    text: sortedLines.map(line => line.text).join('\n'),
+    confidence,
+    lines: sortedLines,
+  };
+};
+
+// ML Kit does not report how sure it is of a line, so confidence is estimated from the
+// text itself: misread lines are typically full of stray symbols and lone characters.
+export const estimateLineConfidence = (text) => {
+  const chars = text.replace(/\s/g, '');
+  if (!chars) return 0;
+
+  const expected = chars.match(/[\p{L}\p{N}.,:;/\-()%#&'+]/gu) || [];
+  const words = text.split(/\s+/).filter(Boolean);
+  const singleChars = words.filter(word => word.length === 1 && !/[\p{N}aAI&]/u.test(word)).length;
+
+  const charScore = expected.length / chars.length;
+  const wordScore = 1 - singleChars / words.length;
+  return Math.max(0, Math.min(1, charScore * wordScore));
+};
+
+/**
+ * On-device ML Kit engine
+ * Uses Google ML Kit text recognition (@react-native-ml-kit/text-recognition), which is
+ * linked into development and production builds - not available in Expo Go.
+ */
+export class MlKitOcrEngine {
+  constructor(options = {}) {
+    this.name = 'mlkit';
+    this.script = options.script || TextRecognitionScript.LATIN;
+    this.minConfidence = options.minConfidence ?? 0.3;
+    this.nativeModule = options.nativeModule !== undefined ? options.nativeModule : NativeModules.TextRecognition;
+  }
+
+  async isAvailable() {
+    return !!(this.nativeModule && typeof this.nativeModule.recognize === 'function');
+  }
+
+  async recognize(imageUri) {
+    if (!(await this.isAvailable())) {
+      throw new Error('ML Kit text recognition is not available in this build');
+    }
+
+    const result = await this.nativeModule.recognize(imageUri, this.script);
+
+    const lines = (result?.blocks || [])
+      .flatMap(block => block.lines || [])
+      .filter(line => line.frame)
+      .map(line => {
+        const text = (line.text || '').trim();
+        return {
+          text,
+          confidence: estimateLineConfidence(text),
+          boundingBox: {
+            x: line.frame.left,
+            y: line.frame.top,
+            width: line.frame.width,
+            height: line.frame.height,
+          },
+        };
+      })
+      .filter(line => line.text && line.confidence >= this.minConfidence);
+
+    return buildOcrResult(lines);
+  }
+}
+
+/**
+ * Fixture engine for tests and demos
+ * Returns pre-recorded results keyed by image URI. A fixture can be plain text,
+ * in which case each line gets a synthetic bounding box and full confidence.
+ */
+export class FixtureOcrEngine {
+  constructor(fixtures = {}, options = {}) {
+    this.name = 'fixture';
+    this.fixtures = fixtures;
+    this.defaultFixture = options.defaultFixture || null;
+    this.lineHeight = options.lineHeight || 20;
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  addFixture(imageUri, fixture) {
+    this.fixtures[imageUri] = fixture;
+  }
+
+  async recognize(imageUri) {
+    const fixture = this.fixtures[imageUri] || this.defaultFixture;
+    if (!fixture) {
+      throw new Error(`No OCR fixture registered for ${imageUri}`);
+    }
+
+    if (typeof fixture === 'string') {
+      const lines = fixture
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line)
+        .map((text, index) => ({
+          text,
+          confidence: 1,
+          boundingBox: { x: 0, y: index * this.lineHeight, width: text.length * 10, height: this.lineHeight },
+        }));
+      return buildOcrResult(lines);
+    }
+
+    return buildOcrResult(fixture.lines || []);
+  }
+}
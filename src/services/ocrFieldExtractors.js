@@ -0,0 +1,385 @@
+// Structured field extraction for scanned documents
+// Each record type has an extractor that turns OCR lines into form fields. Every
+// extracted field carries a confidence between 0 and 1: the OCR confidence of the
+// line it came from, reduced when the value was guessed rather than labelled.
+
+import { INSURANCE_PROVIDERS } from '../data/locationData';
+import { findAnalyte } from '../utils/labResults';
+
+// How much we trust a value depending on how it was found
+const MATCH_CONFIDENCE = {
+  LABELLED: 1, // "Membership No: 12345"
+  PATTERN: 0.85, // "Amoxicillin 500mg"
+  HEURISTIC: 0.6, // first line mentioning "hospital"
+};
+
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+const field = (value, lineConfidence, matchConfidence) => ({
+  value,
+  confidence: Math.round(lineConfidence * matchConfidence * 100) / 100,
+});
+
+// Accept either OCR lines or plain text
+export const toOcrLines = (input) => {
+  if (Array.isArray(input)) return input;
+  return (input || '')
+    .split('\n')
+    .map(text => text.trim())
+    .filter(text => text)
+    .map(text => ({ text, confidence: 1 }));
+};
+
+// Find the first line starting with one of the label patterns and return what follows it
+const findLabelledValue = (lines, labelPattern) => {
+  for (const line of lines) {
+    const match = line.text.match(labelPattern);
+    if (match) {
+      const value = line.text.slice(match[0].length).replace(/^[\s:#.\-]+/, '').trim();
+      if (value) {
+        return field(value, line.confidence, MATCH_CONFIDENCE.LABELLED);
+      }
+    }
+  }
+  return null;
+};
+
+const findPatternValue = (lines, pattern, group = 0) => {
+  for (const line of lines) {
+    const match = line.text.match(pattern);
+    if (match && match[group]) {
+      return field(match[group].trim(), line.confidence, MATCH_CONFIDENCE.PATTERN);
+    }
+  }
+  return null;
+};
+
+const setField = (fields, key, extracted) => {
+  if (extracted && extracted.value !== undefined && extracted.value !== '') {
+    fields[key] = extracted;
+  }
+};
+
+const parseAmount = (value) => {
+  const amount = parseFloat(value.replace(/,/g, ''));
+  return isNaN(amount) ? null : amount;
+};
+
+const PATIENT_LABEL = /^(patient(\s+name)?|member\s+name|name)(?=\s*:)/i;
+// "Date" on its own, but not date of birth / issue / expiry
+const DATE_LABEL = /^((visit|invoice|bill|prescription|report)\s+)?date(\s+of\s+(visit|service|consultation))?(?!\s+of\s+(birth|issue))(?=\s*[:\d])/i;
+const DOCTOR_LABEL = /^(doctor|physician|prescriber|prescribed\s+by|attending(\s+physician)?|consultant)\b/i;
+const HOSPITAL_PATTERN = /\b(hospital|clinic|polyclinic|medical\s+cent(er|re)|health\s+cent(er|re)|infirmary)\b/i;
+
+const extractCommonFields = (lines) => {
+  const fields = {};
+  setField(fields, 'patientName', findLabelledValue(lines, PATIENT_LABEL));
+  setField(fields, 'date', findLabelledValue(lines, DATE_LABEL));
+
+  const doctor = findLabelledValue(lines, DOCTOR_LABEL)
+    || findPatternValue(lines, /^(dr\.?\s+[a-z][a-z.'\- ]+)$/i, 1);
+  setField(fields, 'doctor', doctor);
+
+  return fields;
+};
+
+// Prescription helpers
+
+const STRENGTH_UNITS = 'mg|mcg|µg|g|ml|iu|units?|%';
+const MEDICATION_PATTERN = new RegExp(
+  `^(?:[-•*\\d.)\\s]*)?([a-z][a-z\\-]+(?:\\s+[a-z][a-z\\-]+)?)\\s+(\\d+(?:\\.\\d+)?\\s?(?:${STRENGTH_UNITS})(?:\\/\\d+(?:\\.\\d+)?\\s?(?:${STRENGTH_UNITS}))?)\\b`,
+  'i'
+);
+
+// Latin abbreviations and plain-English frequencies -> doses per day
+const FREQUENCY_PATTERNS = [
+  { pattern: /\b(once\s+(a\s+)?daily|once\s+a\s+day|od|qd|daily)\b/i, timesPerDay: 1 },
+  { pattern: /\b(twice\s+(a\s+)?daily|twice\s+a\s+day|bd|bid|2\s*(x|times)\s*(a\s+)?(day|daily))\b/i, timesPerDay: 2 },
+  { pattern: /\b(three\s+times\s+(a\s+)?(day|daily)|tds|tid|3\s*(x|times)\s*(a\s+)?(day|daily))\b/i, timesPerDay: 3 },
+  { pattern: /\b(four\s+times\s+(a\s+)?(day|daily)|qds|qid|4\s*(x|times)\s*(a\s+)?(day|daily))\b/i, timesPerDay: 4 },
+  { pattern: /\b(at\s+night|nocte|at\s+bedtime|hs)\b/i, timesPerDay: 1 },
+  { pattern: /\b(as\s+needed|when\s+required|prn)\b/i, timesPerDay: 0 },
+];
+
+const DURATION_PATTERN = /\b(?:for|x|duration[:\s]*)\s*(\d+)\s*(day|week|month)s?\b/i;
+const DURATION_UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+const extractPrescriptionFields = (lines) => {
+  const fields = {};
+
+  const medication = findPatternValue(lines, MEDICATION_PATTERN, 0);
+  if (medication) {
+    const match = medication.value.match(MEDICATION_PATTERN);
+    const name = match[1].replace(/\b\w/g, c => c.toUpperCase());
+    const strength = match[2].replace(/\s+/g, '');
+    setField(fields, 'medicationName', { value: name, confidence: medication.confidence });
+    setField(fields, 'strength', { value: strength, confidence: medication.confidence });
+    setField(fields, 'title', { value: `${name} ${strength}`, confidence: medication.confidence });
+  }
+
+  for (const line of lines) {
+    const frequency = FREQUENCY_PATTERNS.find(({ pattern }) => pattern.test(line.text));
+    if (frequency) {
+      const text = line.text.match(frequency.pattern)[0];
+      setField(fields, 'frequency', field(text.toLowerCase(), line.confidence, MATCH_CONFIDENCE.PATTERN));
+      setField(fields, 'timesPerDay', field(frequency.timesPerDay, line.confidence, MATCH_CONFIDENCE.PATTERN));
+      break;
+    }
+
+    // "every 8 hours"
+    const interval = line.text.match(/\bevery\s+(\d+)\s*(hours?|hrs?)\b/i);
+    if (interval) {
+      const hours = Number(interval[1]);
+      setField(fields, 'frequency', field(interval[0].toLowerCase(), line.confidence, MATCH_CONFIDENCE.PATTERN));
+      setField(fields, 'timesPerDay', field(Math.max(1, Math.round(24 / hours)), line.confidence, MATCH_CONFIDENCE.PATTERN));
+      break;
+    }
+  }
+
+  for (const line of lines) {
+    const match = line.text.match(DURATION_PATTERN);
+    if (match) {
+      const count = Number(match[1]);
+      const unit = match[2].toLowerCase();
+      const label = `${count} ${unit}${count === 1 ? '' : 's'}`;
+      setField(fields, 'duration', field(label, line.confidence, MATCH_CONFIDENCE.PATTERN));
+      setField(fields, 'durationDays', field(count * DURATION_UNIT_DAYS[unit], line.confidence, MATCH_CONFIDENCE.PATTERN));
+      break;
+    }
+  }
+
+  return fields;
+};
+
+const extractDiagnosisFields = (lines) => {
+  const fields = {};
+  const diagnosis = findLabelledValue(lines, /^(diagnosis|diagnoses|impression|assessment|dx)\b/i);
+  setField(fields, 'title', diagnosis);
+  setField(fields, 'description', findLabelledValue(lines, /^(findings|history|complaints?|notes)\b/i));
+  return fields;
+};
+
+// Insurance helpers
+
+const normalizeProviderText = (text) => text.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Match a provider by its id, acronym or full name; returns null if nothing matches
+export const matchInsuranceProvider = (text) => {
+  const normalized = ` ${normalizeProviderText(text)} `;
+  return INSURANCE_PROVIDERS.find(provider => {
+    if (provider.id === 'other') return false;
+    if (normalized.includes(` ${provider.id.replace(/_/g, ' ')} `)) return true;
+    // "NHIS (National Health Insurance Scheme)" -> also match the bracketed full name
+    const names = provider.name.split(/[()]/).map(normalizeProviderText).filter(name => name.length > 3);
+    return names.some(name => normalized.includes(name));
+  }) || null;
+};
+
+const extractInsuranceFields = (lines) => {
+  const fields = {};
+
+  let provider = null;
+  for (const line of lines) {
+    const match = matchInsuranceProvider(line.text);
+    if (match) {
+      provider = field(match.id, line.confidence, MATCH_CONFIDENCE.PATTERN);
+      break;
+    }
+  }
+
+  if (provider) {
+    setField(fields, 'provider', provider);
+  } else {
+    const customProvider = findLabelledValue(lines, /^(insurer|insurance(\s+company|\s+provider)?|provider|scheme)\b/i);
+    if (customProvider) {
+      setField(fields, 'provider', { value: 'other', confidence: customProvider.confidence });
+      setField(fields, 'customProvider', customProvider);
+    }
+  }
+
+  setField(fields, 'membershipNo', findLabelledValue(
+    lines,
+    /^(membership|member|policy|card|id)\s*(no\.?|number|id|#)?(?=[\s:#.\-]*[a-z0-9\-/]*\d)/i
+  ));
+  setField(fields, 'dateOfIssue', findLabelledValue(lines, /^(date\s+of\s+issue|issue\s+date|issued(\s+on)?|valid\s+from|effective(\s+date)?)\b/i));
+  setField(fields, 'expiryDate', findLabelledValue(lines, /^(expiry(\s+date)?|expiration(\s+date)?|expires(\s+on)?|exp\.?|valid\s+(until|thru|through|to))(?=[\s:]|$)/i));
+
+  return fields;
+};
+
+const findHospitalName = (lines) => {
+  const labelled = findLabelledValue(lines, /^(hospital|clinic|facility|health\s+facility)(\s+name)?(?=\s*:)/i);
+  if (labelled) return labelled;
+
+  const line = lines.find(l => HOSPITAL_PATTERN.test(l.text) && !/:/.test(l.text));
+  return line ? field(line.text, line.confidence, MATCH_CONFIDENCE.HEURISTIC) : null;
+};
+
+const extractHospitalCardFields = (lines) => {
+  const fields = {};
+  setField(fields, 'hospital', findHospitalName(lines));
+  setField(fields, 'cardNumber', findLabelledValue(
+    lines,
+    /^(card|folder|patient|hospital|opd|file|registration|reg\.?)\s*(no\.?|number|#)|^mrn\b/i
+  ));
+  return fields;
+};
+
+// Bill helpers
+
+const AMOUNT_PATTERN = /^(.*?)[\s.:]*(?:gh[s₵¢]|₵|\$|usd|ngn|₦|£|€)?\s*(-?[\d,]+\.\d{2})$/i;
+const TOTAL_LABEL = /^(grand\s+total|total(\s+amount|\s+charges|\s+bill)?)\b/i;
+const AMOUNT_DUE_LABEL = /^(amount\s+due|balance(\s+due)?|amount\s+payable|outstanding)\b/i;
+const AMOUNT_PAID_LABEL = /^(amount\s+paid|paid|payment(s)?(\s+received)?|deposit)\b/i;
+const SUMMARY_LABEL = /^(sub\s*-?total|tax|vat|nhil|discount)\b/i;
+
+const extractBillFields = (lines) => {
+  const fields = {};
+  const lineItems = [];
+  let lineItemConfidence = 1;
+  let total = null;
+  let amountDue = null;
+  let amountPaid = null;
+
+  lines.forEach(line => {
+    const match = line.text.match(AMOUNT_PATTERN);
+    if (!match) return;
+
+    const label = match[1].trim();
+    const amount = parseAmount(match[2]);
+    if (amount === null) return;
+
+    if (TOTAL_LABEL.test(label)) {
+      total = total || field(amount, line.confidence, MATCH_CONFIDENCE.LABELLED);
+    } else if (AMOUNT_DUE_LABEL.test(label)) {
+      amountDue = amountDue || field(amount, line.confidence, MATCH_CONFIDENCE.LABELLED);
+    } else if (AMOUNT_PAID_LABEL.test(label)) {
+      amountPaid = amountPaid || field(amount, line.confidence, MATCH_CONFIDENCE.LABELLED);
+    } else if (label && !SUMMARY_LABEL.test(label)) {
+      lineItems.push({ description: label.replace(/^[-•*\d.)\s]+/, ''), amount });
+      lineItemConfidence = Math.min(lineItemConfidence, line.confidence);
+    }
+  });
+
+  if (lineItems.length > 0) {
+    setField(fields, 'lineItems', field(lineItems, lineItemConfidence, MATCH_CONFIDENCE.PATTERN));
+  }
+
+  // Fall back to summing line items when no total is printed
+  if (!total && lineItems.length > 0) {
+    const sum = lineItems.reduce((acc, item) => acc + item.amount, 0);
+    total = field(Math.round(sum * 100) / 100, lineItemConfidence, MATCH_CONFIDENCE.HEURISTIC);
+  }
+
+  if (total) {
+    setField(fields, 'billAmount', { value: total.value.toFixed(2), confidence: total.confidence });
+  }
+  if (amountDue) {
+    setField(fields, 'amountDue', amountDue);
+  }
+
+  if (amountPaid) {
+    setField(fields, 'totalPaid', amountPaid);
+  } else if (total && amountDue) {
+    const paid = Math.max(0, Math.round((total.value - amountDue.value) * 100) / 100);
+    setField(fields, 'totalPaid', {
+      value: paid,
+      confidence: Math.min(total.confidence, amountDue.confidence),
+    });
+  }
+
+  setField(fields, 'hospital', findHospitalName(lines));
+
+  const billFor = findLabelledValue(lines, /^(bill\s+for|for|service(s)?|description|reason)(?=\s*:)/i);
+  if (billFor) {
+    setField(fields, 'billFor', billFor);
+  } else if (lineItems.length > 0) {
+    setField(fields, 'billFor', field(
+      lineItems.slice(0, 3).map(item => item.description).join(', '),
+      lineItemConfidence,
+      MATCH_CONFIDENCE.HEURISTIC
+    ));
+  }
+
+  return fields;
+};
+
+// Lab result helpers
+
+// "HbA1c  6.8 %  4.0-5.6  H" - name, value, then optional unit, reference range and flag
+const ANALYTE_PATTERN = /^([a-z][a-z0-9 .\-]*?)[\s:]+(\d+(?:\.\d+)?)\s*([^\s\d(<>≤≥][^\s(]*)?\s*(?:\(?\s*(\d+(?:\.\d+)?\s*[-–]\s*\d+(?:\.\d+)?|[<>≤≥]\s*\d+(?:\.\d+)?)\s*\)?)?\s*(h|l|high|low)?$/i;
+const FLAG_PATTERN = /^(h|l|high|low)$/i;
+const LAB_PATTERN = /\b(laborator(y|ies)|lab|diagnostics?)\b/i;
+
+const extractLabResultFields = (lines) => {
+  const fields = {};
+  const analytes = [];
+  let analyteConfidence = 1;
+
+  lines.forEach(line => {
+    const match = line.text.match(ANALYTE_PATTERN);
+    // Only rows naming a known analyte, to keep headers and addresses out
+    if (!match || !findAnalyte(match[1])) return;
+
+    let unit = match[3] || '';
+    let flag = match[5] || '';
+    // A lone flag with no unit before it
+    if (!flag && FLAG_PATTERN.test(unit)) {
+      flag = unit;
+      unit = '';
+    }
+
+    analytes.push({
+      name: match[1].trim(),
+      value: match[2],
+      unit,
+      referenceRange: match[4] ? match[4].replace(/\s+/g, '') : '',
+      flag,
+    });
+    analyteConfidence = Math.min(analyteConfidence, line.confidence);
+  });
+
+  if (analytes.length > 0) {
+    setField(fields, 'analytes', field(analytes, analyteConfidence, MATCH_CONFIDENCE.PATTERN));
+  }
+
+  setField(fields, 'title', findLabelledValue(lines, /^(test|tests|panel|investigation|examination)(\s+name)?(?=\s*:)/i));
+
+  const lab = findLabelledValue(lines, /^(laboratory|lab)(\s+name)?(?=\s*:)/i);
+  if (lab) {
+    setField(fields, 'lab', lab);
+  } else {
+    const line = lines.find(l => LAB_PATTERN.test(l.text) && !/:/.test(l.text) && !ANALYTE_PATTERN.test(l.text));
+    if (line) {
+      setField(fields, 'lab', field(line.text, line.confidence, MATCH_CONFIDENCE.HEURISTIC));
+    }
+  }
+
+  return fields;
+};
+
+// Keyed by the record types in RECORD_TYPE_DISPLAY_NAMES
+export const FIELD_EXTRACTORS = {
+  prescription: extractPrescriptionFields,
+  diagnosis: extractDiagnosisFields,
+  hospital_card: extractHospitalCardFields,
+  bill: extractBillFields,
+  insurance: extractInsuranceFields,
+  lab_result: extractLabResultFields,
+};
+
+/**
+ * Extract structured fields for a record type
+ * @param {Array|string} input - OCR lines ({ text, confidence }) or plain text
+ * @param {string} recordType - One of the FIELD_EXTRACTORS keys; other types get common fields only
+ * @returns {Object} Map of field name -> { value, confidence }
+ */
+export const extractRecordFields = (input, recordType) => {
+  const lines = toOcrLines(input);
+  const extractor = FIELD_EXTRACTORS[recordType];
+
+  return {
+    ...extractCommonFields(lines),
+    ...(extractor ? extractor(lines) : {}),
+  };
+};
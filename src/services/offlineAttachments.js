@@ -0,0 +1,158 @@
+// Attachments for records saved while offline.
+// The picked files are copied into the app's document directory, since picker and
+// camera URIs point at caches the OS may clear, and their details travel with the
+// queued record. networkService uploads them once the record has been created and
+// patches the record with the download URLs.
+
+import * as FileSystem from 'expo-file-system';
+import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
+import { storage } from '../../firebaseConfig';
+
+const PENDING_DIRECTORY = FileSystem.documentDirectory + 'pending_attachments/';
+
+// Each file is tried this many times per sync, waiting longer between attempts
+export const MAX_UPLOAD_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Names are used in file paths; keep them to safe characters
+const safeFileName = (name) => String(name || 'attachment').replace(/[^a-zA-Z0-9._-]/g, '_');
+
+/**
+ * The attachment details stored on a record, as AddRecordScreen saves them when online
+ */
+export const toRecordAttachment = ({ url, name, type, size }) => ({ url, name, type, size });
+
+const offlineAttachments = {
+  listeners: [],
+
+  /**
+   * Copy picked attachments somewhere they survive until the next sync
+   * @returns {Promise<Array<{ id, name, type, size, localUri }>>}
+   */
+  async saveForUpload(attachments) {
+    if (attachments.length === 0) return [];
+
+    const dirInfo = await FileSystem.getInfoAsync(PENDING_DIRECTORY);
+    if (!dirInfo.exists) {
+      await FileSystem.makeDirectoryAsync(PENDING_DIRECTORY, { intermediates: true });
+    }
+
+    const saved = [];
+    for (const attachment of attachments) {
+      const localUri = `${PENDING_DIRECTORY}${attachment.id}_${safeFileName(attachment.name)}`;
+      await FileSystem.copyAsync({ from: attachment.uri, to: localUri });
+      saved.push({
+        id: attachment.id,
+        name: attachment.name,
+        type: attachment.type,
+        size: attachment.size,
+        localUri,
+      });
+    }
+    return saved;
+  },
+
+  /**
+   * Upload saved attachments, skipping any already uploaded on an earlier sync
+   * @param {string} userId
+   * @param {Array} attachments - from saveForUpload
+   * @param {Object} options
+   * @param {Array} options.uploaded - attachments uploaded so far: { id, url, name, type, size }
+   * @param {Function} options.onUploaded - called with the uploaded list after each file, so it can be saved
+   * @returns {Promise<Array>} every uploaded attachment
+   */
+  async uploadAll(userId, attachments, { uploaded = [], onUploaded } = {}) {
+    const results = [...uploaded];
+    const remaining = attachments.filter(attachment => !results.some(result => result.id === attachment.id));
+    const totalBytes = remaining.reduce((sum, attachment) => sum + (attachment.size || 0), 0);
+    let completedBytes = 0;
+
+    try {
+      for (const [index, attachment] of remaining.entries()) {
+        const progress = { completed: index, total: remaining.length, name: attachment.name };
+        this.notifyProgress({ ...progress, fraction: totalBytes ? completedBytes / totalBytes : 0 });
+
+        const url = await this.uploadWithRetry(userId, attachment, (bytesTransferred) => {
+          if (!totalBytes) return;
+          this.notifyProgress({ ...progress, fraction: (completedBytes + bytesTransferred) / totalBytes });
+        });
+
+        completedBytes += attachment.size || 0;
+        results.push({ id: attachment.id, url, name: attachment.name, type: attachment.type, size: attachment.size });
+        if (onUploaded) {
+          await onUploaded(results);
+        }
+      }
+    } finally {
+      this.notifyProgress(null);
+    }
+
+    return results;
+  },
+
+  async uploadWithRetry(userId, attachment, onBytes) {
+    let lastError;
+    for (let attempt = 1; attempt <= MAX_UPLOAD_ATTEMPTS; attempt++) {
+      try {
+        return await this.uploadFile(userId, attachment, onBytes);
+      } catch (error) {
+        lastError = error;
+        console.error(`Error uploading ${attachment.name} (attempt ${attempt}):`, error);
+        if (attempt < MAX_UPLOAD_ATTEMPTS) {
+          await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+        }
+      }
+    }
+    throw lastError;
+  },
+
+  async uploadFile(userId, attachment, onBytes) {
+    const response = await fetch(attachment.localUri);
+    const blob = await response.blob();
+    const storageRef = ref(storage, `medical-records/${userId}/${attachment.id}_${attachment.name}`);
+
+    await new Promise((resolve, reject) => {
+      const task = uploadBytesResumable(storageRef, blob);
+      task.on(
+        'state_changed',
+        snapshot => onBytes(snapshot.bytesTransferred),
+        reject,
+        resolve
+      );
+    });
+
+    return getDownloadURL(storageRef);
+  },
+
+  async removeLocalFiles(attachments) {
+    for (const attachment of attachments) {
+      try {
+        await FileSystem.deleteAsync(attachment.localUri, { idempotent: true });
+      } catch (error) {
+        console.error('Error removing pending attachment:', error);
+      }
+    }
+  },
+
+  // Upload progress: { completed, total, name, fraction }, or null when no upload is running
+  addProgressListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  },
+
+  notifyProgress(progress) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(progress);
+      } catch (error) {
+        console.error('Error notifying attachment progress listener:', error);
+      }
+    });
+  }
+};
+
+export default offlineAttachments;
@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import photoStorage from './photoStorage';
+import cacheEncryption, { isDecryptionFailure } from './cacheEncryption';
 
 // Offline storage service for caching data when network is unavailable
 const CACHE_KEYS = {
@@ -13,7 +14,65 @@ const CACHE_KEYS = {
   FAMILY_INVITATIONS: 'family_invitations_cache',
 };
 
+// Keys other services cache user data under through getItem/setItem,
+// e.g. finance_accounts_personal or nuclear_family_members
+const USER_DATA_KEY_PREFIXES = ['finance_', 'nuclear_family_members', 'extended_family_members'];
+
 class OfflineStorageService {
+  // Everything this service stores is encrypted with the install's cache key.
+  // Entries saved before encryption was added are read as they are and re-saved encrypted.
+  async readValue(key) {
+    const storedValue = await AsyncStorage.getItem(key);
+    if (storedValue === null || storedValue === undefined) return null;
+
+    if (!cacheEncryption.isEncrypted(storedValue)) {
+      try {
+        await this.writeValue(key, storedValue);
+      } catch (error) {
+        console.error('Error encrypting cached entry:', error);
+      }
+      return storedValue;
+    }
+
+    try {
+      return await cacheEncryption.decrypt(key, storedValue);
+    } catch (error) {
+      if (!isDecryptionFailure(error)) throw error;
+
+      // Written with a key this install no longer has, or damaged; it can't be recovered
+      console.error(`Discarding unreadable cache entry ${key}`);
+      await AsyncStorage.removeItem(key);
+      return null;
+    }
+  }
+
+  async writeValue(key, value) {
+    await AsyncStorage.setItem(key, await cacheEncryption.encrypt(key, value));
+  }
+
+  // Encrypt plaintext entries left by older versions, including ones that
+  // haven't been read since
+  async encryptExistingEntries() {
+    try {
+      const allKeys = await AsyncStorage.getAllKeys();
+      const keys = allKeys.filter(key =>
+        Object.values(CACHE_KEYS).includes(key) ||
+        USER_DATA_KEY_PREFIXES.some(prefix => key.startsWith(prefix))
+      );
+
+      for (const key of keys) {
+        const storedValue = await AsyncStorage.getItem(key);
+        if (storedValue !== null && storedValue !== undefined && !cacheEncryption.isEncrypted(storedValue)) {
+          await this.writeValue(key, storedValue);
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error('Error encrypting cached data:', error);
+      return false;
+    }
+  }
+
   // Save data to local storage
   async saveToCache(key, data) {
     try {
@@ -22,7 +81,7 @@ class OfflineStorageService {
         timestamp: Date.now(),
         version: '1.0',
       });
-      await AsyncStorage.setItem(key, jsonData);
+      await this.writeValue(key, jsonData);
       return true;
     } catch (error) {
       console.error('Error saving to cache:', error);
@@ -33,7 +92,7 @@ class OfflineStorageService {
   // Retrieve data from local storage
   async getFromCache(key) {
     try {
-      const jsonData = await AsyncStorage.getItem(key);
+      const jsonData = await this.readValue(key);
       if (jsonData) {
         const parsed = JSON.parse(jsonData);
         return {
@@ -58,7 +117,7 @@ class OfflineStorageService {
   // Generic getItem and setItem methods for compatibility
   async getItem(key) {
     try {
-      return await AsyncStorage.getItem(key);
+      return await this.readValue(key);
     } catch (error) {
       console.error('Error getting item from storage:', error);
       return null;
@@ -67,7 +126,7 @@ class OfflineStorageService {
 
   async setItem(key, value) {
     try {
-      await AsyncStorage.setItem(key, value);
+      await this.writeValue(key, value);
       return true;
     } catch (error) {
       console.error('Error setting item in storage:', error);
@@ -212,6 +271,25 @@ class OfflineStorageService {
     }
   }
 
+  // Remove everything stored for the signed-in user: records, family members, profile and
+  // finance data. Pending offline changes go too, so they are neither left on the device
+  // nor synced into the account of whoever signs in next.
+  async clearUserData() {
+    try {
+      const cacheKeys = Object.values(CACHE_KEYS);
+      const allKeys = await AsyncStorage.getAllKeys();
+      const otherKeys = allKeys.filter(key =>
+        USER_DATA_KEY_PREFIXES.some(prefix => key.startsWith(prefix))
+      );
+
+      await AsyncStorage.multiRemove([...cacheKeys, ...otherKeys]);
+      return true;
+    } catch (error) {
+      console.error('Error clearing user data:', error);
+      return false;
+    }
+  }
+
   // Clear specific cache
   async clearCache(key) {
     try {
@@ -233,10 +311,11 @@ class OfflineStorageService {
       for (const key of keys) {
         const data = await AsyncStorage.getItem(key);
         const size = data ? JSON.stringify(data).length : 0;
+        const cached = data ? await this.getFromCache(key) : null;
         cacheInfo[key] = {
           size,
           exists: !!data,
-          lastModified: data ? JSON.parse(data).timestamp : null,
+          lastModified: cached ? cached.timestamp : null,
         };
         totalSize += size;
       }
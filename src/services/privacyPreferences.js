@@ -0,0 +1,54 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Preferences set in PrivacySecurityScreen
+export const PRIVACY_PREFERENCES_KEY = 'privacy_preferences';
+
+export const DEFAULT_PRIVACY_PREFERENCES = {
+  biometricLogin: false,
+  screenLock: false,
+  dataEncryption: true,
+  anonymizeData: false,
+  passwordProtectExports: false,
+  autoLogout: false,
+  autoLogoutTime: 15, // minutes
+  rememberLoginInfo: true,
+};
+
+/**
+ * Inactivity time before an automatic logout, or null when auto logout is off
+ * @returns {number|null} milliseconds
+ */
+export const getAutoLogoutTimeout = (preferences) => {
+  const minutes = Number(preferences.autoLogoutTime);
+  if (!preferences.autoLogout || !minutes) return null;
+  return minutes * 60 * 1000;
+};
+
+const privacyPreferences = {
+  listeners: [],
+
+  async get() {
+    try {
+      const saved = await AsyncStorage.getItem(PRIVACY_PREFERENCES_KEY);
+      return { ...DEFAULT_PRIVACY_PREFERENCES, ...(saved ? JSON.parse(saved) : {}) };
+    } catch (error) {
+      console.error('Error loading privacy preferences:', error);
+      return { ...DEFAULT_PRIVACY_PREFERENCES };
+    }
+  },
+
+  async save(preferences) {
+    await AsyncStorage.setItem(PRIVACY_PREFERENCES_KEY, JSON.stringify(preferences));
+    this.listeners.forEach(listener => listener(preferences));
+  },
+
+  // Called with the new preferences whenever they are saved
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+};
+
+export default privacyPreferences;
@@ -105,6 +105,9 @@ jest.mock('@react-native-community/netinfo', () => ({
 // Mock DateTimePicker
 jest.mock('@react-native-community/datetimepicker', () => 'DateTimePicker');
 
+// Mock Quick Crypto with Node's crypto, whose API it follows
+jest.mock('react-native-quick-crypto', () => jest.requireActual('crypto'));
+
 // Mock Vector Icons
 jest.mock('@expo/vector-icons', () => ({
   Ionicons: 'Ionicons',
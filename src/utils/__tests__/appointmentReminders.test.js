@@ -0,0 +1,62 @@
+import {
+  adjustForQuietHours,
+  buildAppointmentReminders,
+  describeAppointmentTime,
+  getReminderOffsets,
+  isInQuietHours,
+  DEFAULT_REMINDER_OFFSETS,
+} from '../appointmentReminders';
+
+const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+describe('appointmentReminders', () => {
+  it('uses the appointment offsets, then the default ones', () => {
+    expect(getReminderOffsets({ reminderOffsets: [60] }, { appointmentReminderOffsets: [1440] })).toEqual([60]);
+    expect(getReminderOffsets({ reminderOffsets: [] }, {})).toEqual([]);
+    expect(getReminderOffsets({ reminderOffsets: null }, { appointmentReminderOffsets: [120] })).toEqual([120]);
+    expect(getReminderOffsets({}, {})).toEqual(DEFAULT_REMINDER_OFFSETS);
+  });
+
+  it('detects quiet hours that run overnight', () => {
+    expect(isInQuietHours(at(10, 23), quietHours)).toBe(true);
+    expect(isInQuietHours(at(10, 6, 59), quietHours)).toBe(true);
+    expect(isInQuietHours(at(10, 7), quietHours)).toBe(false);
+    expect(isInQuietHours(at(10, 23), { ...quietHours, enabled: false })).toBe(false);
+  });
+
+  it('moves reminders to the end of quiet hours', () => {
+    expect(adjustForQuietHours(at(9, 23, 30), at(10, 23, 30), quietHours)).toEqual(at(10, 7));
+    expect(adjustForQuietHours(at(10, 2), at(10, 9), quietHours)).toEqual(at(10, 7));
+  });
+
+  it('moves reminders before quiet hours when the appointment starts first', () => {
+    // 2 hours before a 06:30 appointment
+    expect(adjustForQuietHours(at(10, 4, 30), at(10, 6, 30), quietHours)).toEqual(at(9, 21, 59));
+  });
+
+  it('builds future reminders, earliest first', () => {
+    const appointmentDate = at(10, 9, 30);
+    const reminders = buildAppointmentReminders(appointmentDate, [120, 10080, 1440, 1440], {
+      now: at(5, 12),
+    });
+
+    // The week-before reminder is already past
+    expect(reminders).toEqual([
+      { offset: 1440, date: at(9, 9, 30) },
+      { offset: 120, date: at(10, 7, 30) },
+    ]);
+  });
+
+  it('drops reminders that quiet hours move onto the same time', () => {
+    const reminders = buildAppointmentReminders(at(10, 8, 0), [120, 60], { quietHours, now: at(1, 0) });
+
+    expect(reminders).toEqual([{ offset: 120, date: at(10, 7) }]);
+  });
+
+  it('describes the appointment time relative to the reminder', () => {
+    expect(describeAppointmentTime(at(10, 9, 30), at(10, 7, 30))).toMatch(/^today at 09:30/);
+    expect(describeAppointmentTime(at(10, 9, 30), at(9, 9, 30))).toMatch(/^tomorrow at 09:30/);
+    expect(describeAppointmentTime(at(10, 9, 30), at(3, 9, 30))).toMatch(/^on Thu, Jan 10 at 09:30/);
+  });
+});
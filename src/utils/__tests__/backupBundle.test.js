@@ -0,0 +1,116 @@
+import {
+  BACKUP_FORMAT,
+  BACKUP_SECTIONS,
+  RESTORE_MODE,
+  createBackupBundle,
+  planRestore,
+  prepareRestoredDocument,
+  reviveTimestamps,
+  summarizeRestorePlan,
+  validateBackupBundle,
+} from '../backupBundle';
+
+const backup = () => createBackupBundle({
+  userProfile: { name: 'Kwame' },
+  familyMembers: [{ id: 'm1', name: 'Ama' }, { id: 'm2', name: 'Kofi' }],
+  medicalRecords: [{ id: 'r1', familyMemberId: 'm1', title: 'Malaria' }],
+  appointments: [{ id: 'a1', familyMemberId: 'm2', reminderNotificationIds: ['n1'] }],
+  financeAccounts: [{ id: 'acc1', name: 'Savings', balance: 100 }],
+  financeTransactions: [
+    { id: 't1', accountId: 'acc1', amount: 20 },
+    { id: 't2', accountId: 'gone', amount: 5 },
+  ],
+});
+
+const section = (key) => BACKUP_SECTIONS.find(s => s.key === key);
+
+describe('backupBundle', () => {
+  it('accepts current and unversioned backups', () => {
+    const result = validateBackupBundle(backup());
+    expect(result).toMatchObject({ valid: true, version: 1, errors: [] });
+    expect(result.warnings).toEqual(['Finance transactions: t2 refers to a missing entry and will be skipped']);
+
+    expect(validateBackupBundle({ exportDate: '2025-01-01', familyMembers: [{ id: 'm1' }] }))
+      .toMatchObject({ valid: true, version: 0 });
+  });
+
+  it('rejects files it cannot restore', () => {
+    expect(validateBackupBundle(null).valid).toBe(false);
+    expect(validateBackupBundle({ format: 'other', version: 1 }).errors).toContain('The file is not a Healthy Home backup');
+    expect(validateBackupBundle({ ...backup(), version: 2 }).errors[0]).toMatch(/newer version/);
+    expect(validateBackupBundle({ ...backup(), anonymized: true }).errors).toContain('Anonymized exports cannot be restored');
+    expect(validateBackupBundle({ ...backup(), medicalRecords: [{ title: 'No id' }] }).errors)
+      .toContain('Every entry in medical records needs an ID');
+    expect(validateBackupBundle({ format: BACKUP_FORMAT, version: 1 }).errors).toContain('The backup has nothing to restore');
+  });
+
+  it('skips what already exists when merging', () => {
+    const existing = {
+      familyMembers: [{ id: 'm1', name: 'Ama' }, { id: 'x9', restoredFrom: 'm2' }],
+      medicalRecords: [{ id: 'other' }],
+    };
+
+    const plan = planRestore(backup(), existing, RESTORE_MODE.MERGE);
+
+    expect(plan.familyMembers.create).toEqual([]);
+    expect(plan.familyMembers.skip.map(({ existingId }) => existingId)).toEqual(['m1', 'x9']);
+    expect(plan.medicalRecords.remove).toEqual([]);
+    expect(plan.financeTransactions.create.map(t => t.id)).toEqual(['t1']);
+    expect(summarizeRestorePlan(plan)).toEqual([
+      { key: 'familyMembers', label: 'Family members', create: 0, skip: 2, remove: 0 },
+      { key: 'financeAccounts', label: 'Finance accounts', create: 1, skip: 0, remove: 0 },
+      { key: 'medicalRecords', label: 'Medical records', create: 1, skip: 0, remove: 0 },
+      { key: 'appointments', label: 'Appointments', create: 1, skip: 0, remove: 0 },
+      { key: 'financeTransactions', label: 'Finance transactions', create: 1, skip: 0, remove: 0 },
+    ]);
+  });
+
+  it('removes existing data and re-creates everything when replacing', () => {
+    const existing = { familyMembers: [{ id: 'm1' }], financeAccounts: [{ id: 'old' }] };
+
+    const plan = planRestore(backup(), existing, RESTORE_MODE.REPLACE);
+
+    expect(plan.familyMembers.remove).toEqual([{ id: 'm1' }]);
+    expect(plan.familyMembers.create).toHaveLength(2);
+    expect(plan.financeAccounts.remove).toEqual([{ id: 'old' }]);
+  });
+
+  it('leaves out half a transfer', () => {
+    const bundle = {
+      ...backup(),
+      financeTransactions: [
+        { id: 'out1', accountId: 'acc1', type: 'transfer', linkedTransactionId: 'in1' },
+        { id: 'in1', accountId: 'gone', type: 'transfer', linkedTransactionId: 'out1' },
+      ],
+    };
+
+    const plan = planRestore(bundle, {}, RESTORE_MODE.REPLACE);
+
+    expect(plan.financeTransactions.create).toEqual([]);
+  });
+
+  it('points restored documents at the new IDs and the restoring account', () => {
+    const idMaps = { familyMembers: { m1: 'new-m1' }, financeAccounts: { acc1: 'new-acc1' } };
+
+    expect(prepareRestoredDocument({ id: 'r1', familyMemberId: 'm1', userId: 'old-user' }, section('medicalRecords'), idMaps, 'u1'))
+      .toEqual({ familyMemberId: 'new-m1', userId: 'u1', restoredFrom: 'r1' });
+    expect(prepareRestoredDocument({ id: 't1', accountId: 'acc1' }, section('financeTransactions'), idMaps, 'u1'))
+      .toEqual({ accountId: 'new-acc1', createdBy: 'u1', restoredFrom: 't1' });
+    expect(prepareRestoredDocument({ id: 'acc1', owner: 'old-user' }, section('financeAccounts'), idMaps, 'u1'))
+      .toEqual({ owner: 'u1', restoredFrom: 'acc1' });
+  });
+
+  it('turns exported timestamps back into timestamps', () => {
+    const toTimestamp = (seconds, nanoseconds) => ({ timestamp: seconds * 1000 + nanoseconds / 1e6 });
+
+    expect(reviveTimestamps({
+      date: { seconds: 10, nanoseconds: 0 },
+      history: [{ at: { seconds: 1, nanoseconds: 5e8, type: 'firestore/timestamp/1.0' } }],
+      dose: { amount: 2, unit: 'mg' },
+    }, toTimestamp)).toEqual({
+      date: { timestamp: 10000 },
+      history: [{ at: { timestamp: 1500 } }],
+      dose: { amount: 2, unit: 'mg' },
+    });
+  });
+});
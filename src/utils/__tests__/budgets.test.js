@@ -0,0 +1,93 @@
+import {
+  BUDGET_PERIODS,
+  BUDGET_ROLLOVER,
+  BUDGET_STATUS,
+  getBudgetPeriod,
+  getBudgetProgress,
+  getCategorySpending,
+  getDueBudgetAlerts,
+} from '../budgets';
+
+// A Wednesday
+const now = new Date(2024, 5, 12, 12, 0);
+
+const expense = (amount, date, category = 'food') => ({ type: 'expense', category, amount, date });
+
+const budget = (overrides = {}) => ({
+  id: 'b1',
+  category: 'food',
+  amount: 500,
+  period: BUDGET_PERIODS.MONTHLY,
+  rollover: BUDGET_ROLLOVER.NONE,
+  startDate: '2024-04-01',
+  ...overrides,
+});
+
+describe('budgets', () => {
+  it('works out monthly and weekly periods', () => {
+    const month = getBudgetPeriod(BUDGET_PERIODS.MONTHLY, now);
+    expect(month.start).toEqual(new Date(2024, 5, 1));
+    expect(month.end).toEqual(new Date(2024, 6, 1));
+
+    const week = getBudgetPeriod(BUDGET_PERIODS.WEEKLY, now);
+    expect(week.start).toEqual(new Date(2024, 5, 10));
+    expect(week.end).toEqual(new Date(2024, 5, 17));
+    expect(getBudgetPeriod(BUDGET_PERIODS.WEEKLY, new Date(2024, 5, 16)).start).toEqual(new Date(2024, 5, 10));
+  });
+
+  it('adds up expenses in the category and period only', () => {
+    const transactions = [
+      expense(100, '2024-06-02'),
+      expense('50.5', { toDate: () => new Date(2024, 5, 11) }),
+      expense(70, '2024-06-03', 'utilities'),
+      { type: 'income', category: 'food', amount: 30, date: '2024-06-04' },
+      expense(200, '2024-05-31'),
+    ];
+
+    expect(getCategorySpending(transactions, 'food', new Date(2024, 5, 1), new Date(2024, 6, 1))).toBe(150.5);
+  });
+
+  it('reports progress and status for the current period', () => {
+    expect(getBudgetProgress(budget(), [expense(100, '2024-06-02')], now)).toMatchObject({
+      spent: 100, limit: 500, remaining: 400, percentage: 20, status: BUDGET_STATUS.OK,
+    });
+    expect(getBudgetProgress(budget(), [expense(420, '2024-06-02')], now).status).toBe(BUDGET_STATUS.WARNING);
+    expect(getBudgetProgress(budget(), [expense(600, '2024-06-02')], now)).toMatchObject({
+      remaining: -100, percentage: 120, status: BUDGET_STATUS.OVER,
+    });
+  });
+
+  it('rolls over unspent money, and overspending when asked', () => {
+    // April: 300 of 500, May: 700 of 500
+    const transactions = [expense(300, '2024-04-10'), expense(700, '2024-05-10')];
+
+    // The 200 left in April covers what May went over by
+    expect(getBudgetProgress(budget({ rollover: BUDGET_ROLLOVER.UNSPENT }), transactions, now).carriedOver).toBe(0);
+    expect(getBudgetProgress(budget({ rollover: BUDGET_ROLLOVER.ALL }), transactions, now).carriedOver).toBe(0);
+
+    const underspent = [expense(300, '2024-04-10'), expense(100, '2024-05-10')];
+    expect(getBudgetProgress(budget({ rollover: BUDGET_ROLLOVER.UNSPENT }), underspent, now)).toMatchObject({
+      carriedOver: 600, limit: 1100,
+    });
+    expect(getBudgetProgress(budget(), underspent, now).carriedOver).toBe(0);
+
+    const overspent = [expense(800, '2024-05-10')];
+    expect(getBudgetProgress(budget({ rollover: BUDGET_ROLLOVER.ALL, startDate: '2024-05-01' }), overspent, now))
+      .toMatchObject({ carriedOver: -300, limit: 200 });
+  });
+
+  it('sends each threshold once per period', () => {
+    const budgets = [budget(), budget({ id: 'b2', category: 'utilities' })];
+    const transactions = [expense(450, '2024-06-02'), expense(600, '2024-06-02', 'utilities')];
+
+    const due = getDueBudgetAlerts(budgets, transactions, {}, now);
+    expect(due.map(({ key, threshold }) => [key, threshold])).toEqual([
+      ['b1_2024-06-01', 80],
+      ['b2_2024-06-01', 100],
+    ]);
+
+    expect(getDueBudgetAlerts(budgets, transactions, { 'b1_2024-06-01': 80, 'b2_2024-06-01': 100 }, now)).toEqual([]);
+    expect(getDueBudgetAlerts(budgets, [expense(500, '2024-06-02')], { 'b1_2024-06-01': 80 }, now)
+      .map(({ threshold }) => threshold)).toEqual([100]);
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  buildExpiryAlerts,
+  describeExpiry,
+  getDaysUntilExpiry,
+  getExpiringRecords,
+  getExpiryStatus,
+  getRenewalDates,
+  isExpiryTracked,
+  EXPIRY_STATUS,
+} from '../documentExpiry';
+
+const now = new Date(2030, 0, 10, 12, 0);
+const card = (expiryDate, extra = {}) => ({ id: expiryDate, type: 'insurance', expiryDate, ...extra });
+
+describe('documentExpiry', () => {
+  it('tracks insurance and hospital cards with an expiry date', () => {
+    expect(isExpiryTracked(card('2030-02-01'))).toBe(true);
+    expect(isExpiryTracked(card('2030-02-01', { type: 'hospital_card' }))).toBe(true);
+    expect(isExpiryTracked(card('2030-02-01', { type: 'prescription' }))).toBe(false);
+    expect(isExpiryTracked(card(''))).toBe(false);
+    expect(isExpiryTracked(card('2030-02-01', { renewedAt: '2030-01-05' }))).toBe(false);
+  });
+
+  it('counts whole days until expiry', () => {
+    expect(getDaysUntilExpiry(card('2030-01-10'), now)).toBe(0);
+    expect(getDaysUntilExpiry(card('2030-01-17'), now)).toBe(7);
+    expect(getDaysUntilExpiry(card('2030-01-08'), now)).toBe(-2);
+    expect(getExpiryStatus(card('2030-01-08'), now)).toBe(EXPIRY_STATUS.EXPIRED);
+    expect(getExpiryStatus(card('2030-02-09'), now)).toBe(EXPIRY_STATUS.EXPIRING_SOON);
+    expect(getExpiryStatus(card('2030-02-10'), now)).toBe(EXPIRY_STATUS.VALID);
+  });
+
+  it('lists expired and expiring cards, soonest first', () => {
+    const records = [
+      card('2030-01-25'),
+      card('2030-06-01'),
+      card('2030-01-05'),
+      card('2030-01-12', { renewedAt: '2030-01-01' }),
+    ];
+
+    expect(getExpiringRecords(records, now).map(record => record.id)).toEqual(['2030-01-05', '2030-01-25']);
+  });
+
+  it('builds the alerts that are still to come', () => {
+    const alerts = buildExpiryAlerts(card('2030-01-20'), now);
+
+    // The 30 day alert has already passed
+    expect(alerts).toEqual([
+      { daysBefore: 7, date: new Date(2030, 0, 13, 9, 0) },
+      { daysBefore: 1, date: new Date(2030, 0, 19, 9, 0) },
+    ]);
+    expect(buildExpiryAlerts(card('2030-01-20', { renewedAt: '2030-01-09' }), now)).toEqual([]);
+  });
+
+  it('describes the time to expiry', () => {
+    expect(describeExpiry(-3)).toBe('Expired 3 days ago');
+    expect(describeExpiry(0)).toBe('Expires today');
+    expect(describeExpiry(1)).toBe('Expires tomorrow');
+    expect(describeExpiry(12)).toBe('Expires in 12 days');
+  });
+
+  it('starts the renewed card after the old one, for the same term', () => {
+    expect(getRenewalDates(card('2030-01-31', { dateOfIssue: '2029-02-01' }), now)).toEqual({
+      dateOfIssue: '2030-02-01',
+      expiryDate: '2031-01-31',
+    });
+    // Expired cards are renewed from today; a year when the term is unknown
+    expect(getRenewalDates(card('2029-12-01'), now)).toEqual({
+      dateOfIssue: '2030-01-10',
+      expiryDate: '2031-01-09',
+    });
+  });
+});
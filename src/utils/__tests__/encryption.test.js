@@ -0,0 +1,76 @@
+import { createDecipheriv, pbkdf2Sync } from 'crypto';
+import {
+  DECRYPTION_FAILED_MESSAGE,
+  bytesToBase64,
+  base64ToBytes,
+  decryptText,
+  deriveKeyFromPassword,
+  encryptText,
+  generateKey,
+  utf8Decode,
+  utf8Encode,
+} from '../encryption';
+
+jest.mock('expo-crypto', () => {
+  const nodeCrypto = jest.requireActual('crypto');
+  return {
+    CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+    digest: jest.fn((algorithm, data) => Promise.resolve(nodeCrypto.createHash('sha256').update(data).digest())),
+    getRandomBytes: jest.fn((count) => new Uint8Array(nodeCrypto.randomBytes(count))),
+  };
+});
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+describe('encryption', () => {
+  it('encodes text as UTF-8 and base64', () => {
+    const text = 'Kofi Mensah – café 🩺';
+    const bytes = utf8Encode(text);
+
+    expect(Buffer.from(bytes).equals(Buffer.from(text, 'utf8'))).toBe(true);
+    expect(utf8Decode(bytes)).toBe(text);
+    expect(bytesToBase64(bytes)).toBe(Buffer.from(text, 'utf8').toString('base64'));
+    expect(utf8Decode(base64ToBytes(bytesToBase64(bytes)))).toBe(text);
+  });
+
+  it('derives the same key as PBKDF2-HMAC-SHA256', async () => {
+    const salt = utf8Encode('family-salt');
+    const key = await deriveKeyFromPassword('correct horse', salt, 1000);
+
+    expect(toHex(key)).toBe(pbkdf2Sync('correct horse', Buffer.from(salt), 1000, 32, 'sha256').toString('hex'));
+  });
+
+  it('decrypts what it encrypted', () => {
+    const key = generateKey();
+    const text = JSON.stringify({ diagnosis: 'Malaria', notes: 'Ẹ ku àbọ̀' }).repeat(5);
+
+    const encrypted = encryptText(text, key, 'header');
+    expect(base64ToBytes(encrypted.ciphertext)).toHaveLength(utf8Encode(text).length);
+    expect(encrypted.ciphertext).not.toContain('Malaria');
+    expect(decryptText(encrypted, key, 'header')).toBe(text);
+  });
+
+  it('encrypts with AES-256-GCM', () => {
+    const key = generateKey();
+    const encrypted = encryptText('Blood type O+', key, 'header');
+
+    const decipher = createDecipheriv('aes-256-gcm', key, base64ToBytes(encrypted.iv));
+    decipher.setAAD(Buffer.from('header'));
+    decipher.setAuthTag(base64ToBytes(encrypted.tag));
+    const text = Buffer.concat([decipher.update(base64ToBytes(encrypted.ciphertext)), decipher.final()]);
+    expect(text.toString('utf8')).toBe('Blood type O+');
+  });
+
+  it('rejects the wrong key, a changed ciphertext or a changed header', () => {
+    const key = generateKey();
+    const encrypted = encryptText('Blood type O+', key, 'header');
+    const ciphertext = base64ToBytes(encrypted.ciphertext);
+    ciphertext[0] ^= 1;
+
+    expect(() => decryptText(encrypted, generateKey(), 'header')).toThrow(DECRYPTION_FAILED_MESSAGE);
+    expect(() => decryptText({ ...encrypted, ciphertext: bytesToBase64(ciphertext) }, key, 'header'))
+      .toThrow(DECRYPTION_FAILED_MESSAGE);
+    expect(() => decryptText(encrypted, key, 'other header')).toThrow(DECRYPTION_FAILED_MESSAGE);
+    expect(() => decryptText({ ...encrypted, tag: 'AAAA' }, key, 'header')).toThrow(DECRYPTION_FAILED_MESSAGE);
+  });
+});
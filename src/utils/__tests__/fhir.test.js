@@ -0,0 +1,122 @@
+import { buildFhirBundle, countFhirResources, toFhirDate } from '../fhir';
+
+jest.mock('expo-crypto', () => ({
+  randomUUID: jest.fn(() => 'unused'),
+}));
+
+const sequentialIds = () => {
+  let next = 0;
+  return () => `00000000-0000-4000-8000-${String(++next).padStart(12, '0')}`;
+};
+
+const data = () => ({
+  userProfile: { uid: 'u1', displayName: 'Kwame Mensah', email: 'kwame@example.com' },
+  familyMembers: [
+    { id: 'm1', title: 'Mrs.', name: 'Ama Mensah', gender: 'Female', dateOfBirth: '03/07/1990' },
+  ],
+  medicalRecords: [
+    {
+      id: 'r1',
+      type: 'prescription',
+      familyMemberId: 'm1',
+      medicationName: 'Amoxicillin',
+      strength: '500mg',
+      frequency: 'Three times daily',
+      duration: '7 days',
+      doctor: 'Dr. Owusu',
+      date: '2024-05-02',
+      attachments: [
+        { url: 'https://files.example.com/rx.pdf', name: 'rx.pdf', type: 'document', size: 2048 },
+        { url: 'file:///data/offline.jpg', name: 'offline.jpg', type: 'image', size: 10 },
+      ],
+    },
+    { id: 'r2', type: 'diagnosis', familyMemberId: '', title: 'Malaria', date: '2024-04-01' },
+    { id: 'r3', type: 'bill', familyMemberId: 'm1', title: 'Clinic bill' },
+  ],
+  appointments: [
+    { id: 'a1', familyMemberId: 'm1', date: '2024-06-01T09:00:00.000Z', duration: 30, doctor: 'Dr. Owusu', status: 'completed' },
+    { id: 'a2', familyMemberId: 'm1' },
+  ],
+});
+
+const resources = (bundle, type) =>
+  bundle.entry.filter(({ resource }) => resource.resourceType === type).map(({ resource }) => resource);
+
+describe('fhir', () => {
+  it('reads the date formats the app stores', () => {
+    expect(toFhirDate('2024-05-02')).toBe('2024-05-02');
+    expect(toFhirDate('03/07/1990')).toBe('1990-03-07');
+    expect(toFhirDate({ toDate: () => new Date(2020, 0, 15) })).toBe('2020-01-15');
+    expect(toFhirDate('not a date')).toBeUndefined();
+  });
+
+  it('builds a collection bundle with the mapped resources', () => {
+    const bundle = buildFhirBundle(data(), { createId: sequentialIds() });
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+    expect(countFhirResources(bundle)).toEqual({
+      Patient: 2,
+      MedicationRequest: 1,
+      DocumentReference: 1,
+      Condition: 1,
+      Appointment: 2,
+    });
+    bundle.entry.forEach(({ fullUrl }) => expect(fullUrl).toMatch(/^urn:uuid:/));
+  });
+
+  it('maps family members and links resources to them', () => {
+    const bundle = buildFhirBundle(data(), { createId: sequentialIds() });
+    const [ama, kwame] = bundle.entry.filter(({ resource }) => resource.resourceType === 'Patient');
+
+    expect(ama.resource).toMatchObject({
+      gender: 'female',
+      birthDate: '1990-03-07',
+      name: [{ text: 'Mrs. Ama Mensah', family: 'Mensah', given: ['Ama'], prefix: ['Mrs.'] }],
+    });
+    expect(kwame.resource.telecom).toEqual([{ system: 'email', value: 'kwame@example.com' }]);
+
+    const [medication] = resources(bundle, 'MedicationRequest');
+    expect(medication).toMatchObject({
+      status: 'unknown',
+      intent: 'order',
+      medicationCodeableConcept: { text: 'Amoxicillin' },
+      subject: { reference: ama.fullUrl },
+      authoredOn: '2024-05-02',
+      dosageInstruction: [{ text: '500mg, Three times daily, for 7 days' }],
+    });
+
+    // Records without a family member belong to the account holder
+    expect(resources(bundle, 'Condition')[0]).toMatchObject({
+      code: { text: 'Malaria' },
+      subject: { reference: kwame.fullUrl },
+      recordedDate: '2024-04-01',
+    });
+  });
+
+  it('carries shared attachments as document references', () => {
+    const bundle = buildFhirBundle(data(), { createId: sequentialIds() });
+    const medicationEntry = bundle.entry.find(({ resource }) => resource.resourceType === 'MedicationRequest');
+    const [document] = resources(bundle, 'DocumentReference');
+
+    expect(document).toMatchObject({
+      status: 'current',
+      content: [{ attachment: { url: 'https://files.example.com/rx.pdf', contentType: 'application/pdf', size: 2048 } }],
+      context: { related: [{ reference: medicationEntry.fullUrl }] },
+    });
+  });
+
+  it('maps appointment times and statuses', () => {
+    const bundle = buildFhirBundle(data(), { createId: sequentialIds() });
+    const [completed, undated] = resources(bundle, 'Appointment');
+
+    expect(completed).toMatchObject({
+      status: 'fulfilled',
+      start: '2024-06-01T09:00:00.000Z',
+      end: '2024-06-01T09:30:00.000Z',
+      minutesDuration: 30,
+    });
+    expect(completed.participant).toHaveLength(2);
+    expect(undated.status).toBe('proposed');
+    expect(undated.start).toBeUndefined();
+  });
+});
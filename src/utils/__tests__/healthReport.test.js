@@ -0,0 +1,110 @@
+import {
+  DEFAULT_REPORT_OPTIONS,
+  SELF_MEMBER_ID,
+  barcodeSVG,
+  buildHealthReport,
+  getDateRangeStart,
+  getReportImages,
+  getReportMembers,
+  renderHealthReportHTML,
+} from '../healthReport';
+
+const now = new Date(2024, 5, 15, 12, 0);
+
+const data = () => ({
+  userProfile: { displayName: 'Kwame' },
+  familyMembers: [
+    { id: 'm1', name: 'Ama', bloodType: 'O+', allergies: 'Penicillin' },
+    { id: 'm2', name: 'Kofi' },
+  ],
+  medicalRecords: [
+    { id: 'r1', type: 'prescription', familyMemberId: 'm1', medicationName: 'Amoxicillin', date: '2024-06-01' },
+    { id: 'r2', type: 'prescription', familyMemberId: 'm1', medicationName: 'Metformin', date: '2020-01-01' },
+    { id: 'r3', type: 'prescription', familyMemberId: 'm1', medicationName: 'Old course', date: '2024-05-01' },
+    { id: 'r4', type: 'diagnosis', familyMemberId: 'm1', title: 'Malaria', date: '2024-04-01' },
+    { id: 'r5', type: 'diagnosis', familyMemberId: 'm1', title: 'Flu', date: '2022-04-01' },
+    { id: 'r6', type: 'insurance', familyMemberId: 'm1', provider: 'NHIS', membershipNo: 'NH-1234' },
+    {
+      id: 'r7',
+      type: 'lab_result',
+      familyMemberId: 'm1',
+      title: 'Blood test <b>',
+      date: '2024-03-01',
+      attachments: [
+        { url: 'https://files.example.com/scan.jpg', name: 'scan.jpg', type: 'image' },
+        { url: 'https://files.example.com/report.pdf', name: 'report.pdf', type: 'document' },
+      ],
+    },
+    { id: 'r8', type: 'diagnosis', title: 'Sprain', date: '2024-06-10' },
+  ],
+  appointments: [
+    { id: 'a1', familyMemberId: 'm1', date: '2024-07-01T09:00:00.000Z', doctor: 'Dr. Owusu' },
+    { id: 'a2', familyMemberId: 'm1', date: '2024-07-02T09:00:00.000Z', status: 'cancelled' },
+    { id: 'a3', familyMemberId: 'm1', date: '2024-01-01T09:00:00.000Z' },
+  ],
+  regimens: [
+    { id: 'g2', recordId: 'r2', startDate: '2020-01-01', endDate: null, dosage: '1 tablet', doseTimes: ['08:00'] },
+    { id: 'g3', recordId: 'r3', startDate: '2024-05-01', endDate: '2024-05-07' },
+  ],
+  medicationAdherence: [{ familyMemberId: 'm1', medications: [], percentage: null }],
+});
+
+describe('healthReport', () => {
+  it('adds the account holder when something has no family member', () => {
+    const members = getReportMembers(data());
+    expect(members.map(member => member.id)).toEqual(['m1', 'm2', SELF_MEMBER_ID]);
+    expect(members[2].name).toBe('Kwame');
+
+    expect(getReportMembers({ familyMembers: [{ id: 'm1' }] })).toHaveLength(1);
+  });
+
+  it('works out the start of a date range', () => {
+    expect(getDateRangeStart('3m', now)).toBe('2024-03-15');
+    expect(getDateRangeStart('all', now)).toBeNull();
+  });
+
+  it('picks each section for the chosen members', () => {
+    const report = buildHealthReport(data(), { memberIds: ['m1'], dateRange: '6m' }, now);
+    const [ama] = report.members;
+
+    expect(report.members).toHaveLength(1);
+    expect(ama.bloodType).toBe('O+');
+    expect(ama.allergies).toBe('Penicillin');
+    // Ongoing schedules count however old the prescription is; finished ones don't
+    expect(ama.prescriptions.map(({ record }) => record.id)).toEqual(['r1', 'r2']);
+    expect(ama.diagnoses.map(record => record.id)).toEqual(['r4']);
+    expect(ama.appointments.map(appointment => appointment.id)).toEqual(['a1']);
+    expect(ama.insuranceCards.map(record => record.id)).toEqual(['r6']);
+    expect(ama.images.map(image => image.name)).toEqual(['scan.jpg']);
+    expect(getReportImages(report)).toHaveLength(1);
+  });
+
+  it('leaves out sections that were not chosen', () => {
+    const report = buildHealthReport(data(), { sections: ['diagnoses'], dateRange: 'all' }, now);
+    const self = report.members.find(({ member }) => member.id === SELF_MEMBER_ID);
+
+    expect(report.members[0].prescriptions).toBeUndefined();
+    expect(report.members[0].diagnoses).toHaveLength(2);
+    expect(self.diagnoses.map(record => record.id)).toEqual(['r8']);
+  });
+
+  it('encodes card numbers as Code 128 barcodes', () => {
+    expect(barcodeSVG('NH-1234')).toMatch(/^<svg class="barcode".*<rect /);
+    expect(barcodeSVG('')).toBe('');
+    expect(barcodeSVG('é')).toBe('');
+  });
+
+  it('renders escaped HTML with repeating header and footer', () => {
+    const report = buildHealthReport(data(), { ...DEFAULT_REPORT_OPTIONS, memberIds: ['m1'] }, now);
+    const html = renderHealthReportHTML(report, {
+      thumbnails: { 'https://files.example.com/scan.jpg': 'data:image/jpeg;base64,AAAA' },
+    });
+
+    expect(html).toContain('<thead>');
+    expect(html).toContain('<tfoot>');
+    expect(html).toContain('Blood test &lt;b&gt;');
+    expect(html).toContain('src="data:image/jpeg;base64,AAAA"');
+    expect(html).toContain('Membership No: NH-1234');
+    expect(html).not.toContain('Kofi');
+  });
+});
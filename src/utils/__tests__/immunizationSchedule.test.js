@@ -0,0 +1,136 @@
+import {
+  addAge,
+  applyScheduleChanges,
+  buildImmunizationChecklist,
+  formatDoseTiming,
+  getVaccinationTitle,
+  parseDate,
+  validateVaccine,
+  IMMUNIZATION_STATUS,
+} from '../immunizationSchedule';
+
+const schedule = [
+  {
+    id: 'penta',
+    name: 'Pentavalent',
+    catchUpUntil: { years: 5 },
+    doses: [
+      { dose: 1, age: { weeks: 6 } },
+      { dose: 2, age: { weeks: 10 } },
+      { dose: 3, age: { weeks: 14 } },
+    ],
+  },
+  {
+    id: 'hpv',
+    name: 'HPV',
+    gender: 'female',
+    doses: [{ dose: 1, age: { years: 9 } }],
+  },
+];
+
+const vaccination = (vaccine, date, doseNumber) => ({ type: 'vaccination', vaccine, date, doseNumber });
+const statuses = (checklist, vaccineId) =>
+  checklist.vaccines.find(vaccine => vaccine.id === vaccineId).doses.map(dose => dose.status);
+
+describe('immunizationSchedule', () => {
+  it('parses both date of birth formats', () => {
+    expect(parseDate('03/15/2024')).toEqual(new Date(2024, 2, 15));
+    expect(parseDate('2024-03-15')).toEqual(new Date(2024, 2, 15));
+    expect(parseDate('')).toBeNull();
+  });
+
+  it('adds ages to a date of birth', () => {
+    const dateOfBirth = new Date(2024, 0, 1);
+    expect(addAge(dateOfBirth, { weeks: 6 })).toEqual(new Date(2024, 1, 12));
+    expect(addAge(dateOfBirth, { months: 9 })).toEqual(new Date(2024, 9, 1));
+    expect(addAge(dateOfBirth, { years: 9 })).toEqual(new Date(2033, 0, 1));
+  });
+
+  it('returns nothing without a date of birth', () => {
+    expect(buildImmunizationChecklist({ name: 'Ama' }, [], { schedule })).toBeNull();
+  });
+
+  it('works out given, overdue, due and upcoming doses', () => {
+    const member = { dateOfBirth: '2024-01-01', gender: 'Male' };
+    const records = [vaccination('penta', '2024-02-12', '1')];
+    // Dose 2 was due Mar 11, dose 3 is due Apr 8
+    const checklist = buildImmunizationChecklist(member, records, { schedule, now: new Date(2024, 2, 20) });
+
+    expect(statuses(checklist, 'penta')).toEqual([
+      IMMUNIZATION_STATUS.COMPLETED,
+      IMMUNIZATION_STATUS.OVERDUE,
+      IMMUNIZATION_STATUS.DUE,
+    ]);
+    expect(checklist.summary).toMatchObject({ completed: 1, overdue: 1, due: 1 });
+    // HPV only applies to girls
+    expect(checklist.vaccines.map(vaccine => vaccine.id)).toEqual(['penta']);
+  });
+
+  it('fills unnumbered records into the earliest open doses', () => {
+    const member = { dateOfBirth: '2024-01-01' };
+    const records = [
+      vaccination('penta', '2024-04-10', '3'),
+      vaccination('penta', '2024-02-12'),
+    ];
+    const checklist = buildImmunizationChecklist(member, records, { schedule, now: new Date(2024, 4, 1) });
+
+    expect(statuses(checklist, 'penta')).toEqual([
+      IMMUNIZATION_STATUS.COMPLETED,
+      IMMUNIZATION_STATUS.OVERDUE,
+      IMMUNIZATION_STATUS.COMPLETED,
+    ]);
+  });
+
+  it('stops flagging doses past the catch-up age', () => {
+    const member = { dateOfBirth: '1990-06-01', gender: 'female' };
+    const checklist = buildImmunizationChecklist(member, [], { schedule, now: new Date(2024, 0, 1) });
+
+    expect(statuses(checklist, 'penta')).toEqual(Array(3).fill(IMMUNIZATION_STATUS.NOT_RECORDED));
+    // No catch-up limit set
+    expect(statuses(checklist, 'hpv')).toEqual([IMMUNIZATION_STATUS.OVERDUE]);
+  });
+
+  it('titles vaccination records after the vaccine and dose', () => {
+    expect(getVaccinationTitle({ vaccine: 'yellow_fever', doseNumber: '1' })).toBe('Yellow Fever - Dose 1');
+    expect(getVaccinationTitle({ vaccine: 'other', customVaccine: 'Typhoid' })).toBe('Typhoid');
+  });
+
+  it('times interval doses from when the dose before was given', () => {
+    const typhoid = {
+      id: 'custom_1',
+      name: 'Typhoid',
+      doses: [
+        { dose: 1, age: { years: 2 } },
+        { dose: 2, interval: { months: 6 } },
+      ],
+    };
+    const member = { dateOfBirth: '2020-01-01' };
+
+    const given = buildImmunizationChecklist(member, [vaccination('custom_1', '2022-03-01', '1')], {
+      schedule: [typhoid],
+      now: new Date(2022, 3, 1),
+    });
+    expect(given.vaccines[0].doses[1].dueDate).toEqual(new Date(2022, 8, 1));
+    expect(formatDoseTiming(typhoid.doses[1])).toBe('6 months after dose 1');
+
+    // Not given yet: counted from when the first dose was due
+    const missed = buildImmunizationChecklist(member, [], { schedule: [typhoid], now: new Date(2022, 3, 1) });
+    expect(missed.vaccines[0].doses[1].dueDate).toEqual(new Date(2022, 6, 1));
+  });
+
+  it('puts edited vaccines in place of the defaults and added ones after them', () => {
+    const edited = { ...schedule[0], doses: [{ dose: 1, age: { weeks: 8 } }] };
+    const added = { id: 'custom_1', name: 'Typhoid', doses: [{ dose: 1, age: { years: 2 } }] };
+
+    expect(applyScheduleChanges({ custom_1: added, penta: edited }, schedule)).toEqual([edited, schedule[1], added]);
+  });
+
+  it('checks vaccines before they are saved', () => {
+    expect(validateVaccine({ name: 'Typhoid', doses: [{ age: { years: 2 } }, { interval: { months: 6 } }] })).toEqual([]);
+    expect(validateVaccine({ name: ' ', doses: [] })).toEqual(['Enter the vaccine name', 'Add at least one dose']);
+    expect(validateVaccine({ name: 'Typhoid', doses: [{ interval: { weeks: 4 } }] }))
+      .toEqual(['The first dose must be due at an age']);
+    expect(validateVaccine({ name: 'Typhoid', doses: [{ age: { weeks: 0 } }, { interval: { days: 3 } }] }))
+      .toEqual(['Enter when dose 2 is due']);
+  });
+});
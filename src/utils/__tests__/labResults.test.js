@@ -0,0 +1,98 @@
+import {
+  buildAnalyteTrend,
+  findAnalyte,
+  getRecordedAnalytes,
+  normalizeAnalyte,
+  normalizeUnit,
+  parseReferenceRange,
+  LAB_FLAG,
+} from '../labResults';
+
+const labResult = (id, date, analytes) => ({ id, type: 'lab_result', date, analytes });
+
+describe('labResults', () => {
+  it('recognises analytes by their aliases', () => {
+    expect(findAnalyte('Glycated Haemoglobin').id).toBe('hba1c');
+    expect(findAnalyte('FBS:').id).toBe('glucose');
+    expect(findAnalyte('Vitamin D')).toBeNull();
+  });
+
+  it('standardises unit spellings', () => {
+    expect(normalizeUnit('mg/dl')).toBe('mg/dL');
+    expect(normalizeUnit('umol/L')).toBe('µmol/L');
+    expect(normalizeUnit('x10^9/l')).toBe('10^9/L');
+    expect(normalizeUnit('ng/mL')).toBe('ng/mL');
+  });
+
+  it('parses printed reference ranges', () => {
+    expect(parseReferenceRange('4.0 - 5.6')).toEqual({ low: 4, high: 5.6 });
+    expect(parseReferenceRange('<5.2')).toEqual({ low: null, high: 5.2 });
+    expect(parseReferenceRange('> 1.0')).toEqual({ low: 1, high: null });
+    expect(parseReferenceRange('negative')).toBeNull();
+  });
+
+  it('converts known analytes to their canonical unit', () => {
+    const analyte = normalizeAnalyte({ name: 'fasting blood sugar', value: '126', unit: 'mg/dl', referenceRange: '70-99' });
+
+    expect(analyte).toEqual({
+      name: 'Fasting Glucose',
+      analyteId: 'glucose',
+      value: 7,
+      unit: 'mmol/L',
+      referenceRange: '3.9-5.5',
+      flag: LAB_FLAG.HIGH,
+      originalValue: 126,
+      originalUnit: 'mg/dL',
+    });
+    // Saving again keeps the reported value
+    expect(normalizeAnalyte(analyte)).toEqual(analyte);
+  });
+
+  it('falls back to the default range, then the reported flag', () => {
+    expect(normalizeAnalyte({ name: 'HbA1c', value: '5.2', unit: '%' })).toMatchObject({
+      referenceRange: '4-5.6',
+      flag: LAB_FLAG.NORMAL,
+    });
+    expect(normalizeAnalyte({ name: 'Ferritin', value: '8', unit: 'ng/mL', flag: 'L' })).toMatchObject({
+      analyteId: null,
+      referenceRange: '',
+      flag: LAB_FLAG.LOW,
+    });
+  });
+
+  it('skips analytes without a numeric value', () => {
+    expect(normalizeAnalyte({ name: 'HIV', value: 'Non-reactive' })).toBeNull();
+    expect(normalizeAnalyte({ name: '', value: '5' })).toBeNull();
+  });
+
+  it('builds a trend oldest first in the latest unit', () => {
+    const records = [
+      labResult('b', '2025-06-01', [normalizeAnalyte({ name: 'HbA1c', value: '6.1', unit: '%' })]),
+      labResult('a', '2025-01-10', [normalizeAnalyte({ name: 'HbA1c', value: '7.2', unit: '%' })]),
+      labResult('c', '2024-05-01', [{ name: 'HbA1c', analyteId: 'hba1c', value: 60, unit: 'mmol/mol' }]),
+      { id: 'd', type: 'diagnosis', date: '2025-02-01' },
+    ];
+
+    const points = buildAnalyteTrend(records, 'hba1c');
+    expect(points.map(point => [point.recordId, point.value, point.flag])).toEqual([
+      ['a', 7.2, LAB_FLAG.HIGH],
+      ['b', 6.1, LAB_FLAG.HIGH],
+    ]);
+    expect(points[0].referenceRange).toEqual({ low: 4, high: 5.6 });
+  });
+
+  it('lists recorded analytes with their latest reading', () => {
+    const records = [
+      labResult('a', '2025-01-10', [{ name: 'HbA1c', analyteId: 'hba1c', value: 7.2, unit: '%' }]),
+      labResult('b', '2025-06-01', [
+        { name: 'HbA1c', analyteId: 'hba1c', value: 6.1, unit: '%' },
+        { name: 'Ferritin', analyteId: null, value: 30, unit: 'ng/mL' },
+      ]),
+    ];
+
+    expect(getRecordedAnalytes(records)).toEqual([
+      { key: 'ferritin', name: 'Ferritin', count: 1, latest: expect.objectContaining({ value: 30 }) },
+      { key: 'hba1c', name: 'HbA1c', count: 2, latest: expect.objectContaining({ value: 6.1 }) },
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  DISCREPANCY_TYPES,
+  LEDGER_REASONS,
+  checkAccountLedger,
+  getLedgerEntries,
+  getLedgerTotals,
+  getMissingLedgerEntries,
+} from '../ledger';
+
+const account = { id: 'a1', balance: 130, initialBalance: 100 };
+const salary = { id: 't1', accountId: 'a1', type: 'income', amount: 50 };
+const lunch = { id: 't2', accountId: 'a1', type: 'expense', amount: 20 };
+
+const opening = { accountId: 'a1', transactionId: null, amount: 100, reason: LEDGER_REASONS.OPENING };
+const entriesFor = (...transactions) => [
+  opening,
+  ...transactions.flatMap(transaction => getLedgerEntries(transaction.id, null, transaction)),
+];
+
+describe('ledger', () => {
+  it('records what creating, changing and deleting a transaction does to the balance', () => {
+    expect(getLedgerEntries('t1', null, salary)).toEqual([
+      { accountId: 'a1', transactionId: 't1', amount: 50, reason: LEDGER_REASONS.CREATED },
+    ]);
+    expect(getLedgerEntries('t2', lunch, { ...lunch, amount: '25.5' })).toEqual([
+      { accountId: 'a1', transactionId: 't2', amount: -5.5, reason: LEDGER_REASONS.UPDATED },
+    ]);
+    expect(getLedgerEntries('t2', lunch, null)).toEqual([
+      { accountId: 'a1', transactionId: 't2', amount: 20, reason: LEDGER_REASONS.DELETED },
+    ]);
+    // Only the description changed
+    expect(getLedgerEntries('t2', lunch, { ...lunch, description: 'Lunch' })).toEqual([]);
+  });
+
+  it('moves the amount when a transaction changes account', () => {
+    const entries = getLedgerEntries('t1', salary, { ...salary, accountId: 'a2' });
+
+    expect(entries).toEqual([
+      { accountId: 'a1', transactionId: 't1', amount: -50, reason: LEDGER_REASONS.UPDATED },
+      { accountId: 'a2', transactionId: 't1', amount: 50, reason: LEDGER_REASONS.UPDATED },
+    ]);
+    expect(getLedgerTotals([...entries, { accountId: 'a1', amount: 0.1 }, { accountId: 'a1', amount: 0.2 }]))
+      .toEqual({ a1: -49.7, a2: 50 });
+  });
+
+  it('finds nothing wrong with an account that adds up', () => {
+    expect(checkAccountLedger(account, entriesFor(salary, lunch), [salary, lunch])).toEqual({
+      accountId: 'a1',
+      storedBalance: 130,
+      ledgerBalance: 130,
+      transactionBalance: 130,
+      hasLedger: true,
+      discrepancies: [],
+    });
+  });
+
+  it('reports each discrepancy without fixing it', () => {
+    const entries = [
+      ...entriesFor(salary),
+      { accountId: 'a1', transactionId: 't9', amount: -15, reason: LEDGER_REASONS.CREATED },
+    ];
+    const report = checkAccountLedger(
+      { ...account, balance: 200, initialBalance: 90 },
+      entries,
+      [{ ...salary, amount: 60 }, lunch]
+    );
+
+    expect(report.ledgerBalance).toBe(135);
+    expect(report.transactionBalance).toBe(130);
+    expect(report.discrepancies).toEqual([
+      { type: DISCREPANCY_TYPES.BALANCE, expected: 135, actual: 200 },
+      { type: DISCREPANCY_TYPES.OPENING, expected: 90, actual: 100 },
+      { type: DISCREPANCY_TYPES.MISMATCH, transactionId: 't1', expected: 60, actual: 50 },
+      { type: DISCREPANCY_TYPES.MISSING, transactionId: 't2', expected: -20, actual: 0 },
+      { type: DISCREPANCY_TYPES.ORPHANED, transactionId: 't9', expected: 0, actual: -15 },
+    ]);
+  });
+
+  it('fills in the history of an account from before the ledger', () => {
+    expect(getMissingLedgerEntries(account, [], [salary, lunch])).toEqual([
+      opening,
+      { accountId: 'a1', transactionId: 't1', amount: 50, reason: LEDGER_REASONS.CREATED },
+      { accountId: 'a1', transactionId: 't2', amount: -20, reason: LEDGER_REASONS.CREATED },
+    ]);
+    expect(getMissingLedgerEntries(account, entriesFor(salary), [salary, lunch])).toEqual([
+      { accountId: 'a1', transactionId: 't2', amount: -20, reason: LEDGER_REASONS.CREATED },
+    ]);
+  });
+});
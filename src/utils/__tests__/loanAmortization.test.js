@@ -0,0 +1,99 @@
+import {
+  INSTALLMENT_STATUS,
+  INTEREST_METHODS,
+  LATE_FEE_TYPES,
+  buildAmortizationSchedule,
+  compareScheduleWithPayments,
+  getInstallmentDueDate,
+  getInterestMethod,
+  getLoanSchedule,
+  getScheduleTotals,
+} from '../loanAmortization';
+
+const terms = {
+  amount: 1200,
+  interestRate: 12,
+  term: 12,
+  paymentFrequency: 'monthly',
+  startDate: new Date(2024, 0, 31),
+};
+
+describe('loanAmortization', () => {
+  it('charges flat interest for the length of the term', () => {
+    const schedule = buildAmortizationSchedule({ ...terms, interestMethod: INTEREST_METHODS.FLAT });
+
+    expect(schedule).toHaveLength(12);
+    expect(schedule[0]).toMatchObject({ paymentNumber: 1, amount: 112, principal: 100, interest: 12, balance: 1100 });
+    expect(getScheduleTotals(schedule)).toEqual({ principal: 1200, interest: 144, total: 1344 });
+
+    // Half the term, half the interest
+    const short = buildAmortizationSchedule({ ...terms, term: 6 });
+    expect(getScheduleTotals(short).interest).toBe(72);
+  });
+
+  it('charges reducing balance interest on what is still owed', () => {
+    const schedule = buildAmortizationSchedule({ ...terms, interestMethod: INTEREST_METHODS.REDUCING });
+
+    expect(schedule[0]).toMatchObject({ amount: 106.62, principal: 94.62, interest: 12 });
+    expect(schedule[1].interest).toBe(11.05);
+    expect(schedule[11].balance).toBe(0);
+
+    const totals = getScheduleTotals(schedule);
+    expect(totals.principal).toBe(1200);
+    expect(totals.interest).toBeCloseTo(79.44, 1);
+  });
+
+  it('compounds interest each period over the term', () => {
+    const schedule = buildAmortizationSchedule({ ...terms, interestMethod: INTEREST_METHODS.COMPOUND });
+
+    expect(getScheduleTotals(schedule)).toEqual({ principal: 1200, interest: 152.19, total: 1352.19 });
+    expect(schedule[11].principal + schedule[11].interest).toBeCloseTo(schedule[11].amount, 2);
+  });
+
+  it('keeps charging loans saved without an interest method the rate once over the whole loan', () => {
+    const oldLoan = { ...terms, term: 6 };
+    expect(getInterestMethod(oldLoan)).toBe(INTEREST_METHODS.LEGACY_FLAT);
+    expect(getScheduleTotals(getLoanSchedule(oldLoan))).toEqual({ principal: 1200, interest: 144, total: 1344 });
+
+    // A stored schedule is never rebuilt
+    const stored = [{ paymentNumber: 1, amount: 1344, status: 'pending' }];
+    expect(getLoanSchedule({ ...oldLoan, paymentSchedule: stored })).toBe(stored);
+  });
+
+  it('keeps monthly due dates on the start day or the end of shorter months', () => {
+    expect(getInstallmentDueDate(terms.startDate, 'monthly', 1)).toEqual(new Date(2024, 1, 29));
+    expect(getInstallmentDueDate(terms.startDate, 'monthly', 2)).toEqual(new Date(2024, 2, 31));
+    expect(getInstallmentDueDate(terms.startDate, 'bi-weekly', 1)).toEqual(new Date(2024, 1, 14));
+  });
+
+  it('compares payments with the schedule and charges late fees after the grace period', () => {
+    const loan = {
+      ...terms,
+      paymentSchedule: buildAmortizationSchedule(terms),
+      lateFeeType: LATE_FEE_TYPES.FIXED,
+      lateFee: 10,
+      gracePeriodDays: 5,
+      payments: [
+        { amount: 112, date: new Date(2024, 1, 28) },
+        { amount: 50, date: new Date(2024, 3, 1) },
+      ],
+    };
+
+    const comparison = compareScheduleWithPayments(loan, new Date(2024, 3, 10));
+    const [first, second, third] = comparison.installments;
+
+    expect(first).toMatchObject({ status: INSTALLMENT_STATUS.PAID, paid: 112, lateFee: 0 });
+    expect(second).toMatchObject({ status: INSTALLMENT_STATUS.OVERDUE, paid: 50, lateFee: 10, daysLate: 10 });
+    expect(third).toMatchObject({ status: INSTALLMENT_STATUS.PENDING, paid: 0, lateFee: 0 });
+    expect(comparison).toMatchObject({
+      totalPaid: 162,
+      lateFees: 10,
+      totalDue: 1354,
+      remaining: 1192,
+      dueToDate: 224,
+      arrears: 72,
+      overdueCount: 1,
+    });
+    expect(comparison.nextInstallment.paymentNumber).toBe(2);
+  });
+});
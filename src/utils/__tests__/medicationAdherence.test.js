@@ -0,0 +1,94 @@
+import {
+  calculateAdherence,
+  getDoseOutcomes,
+  getWeekStart,
+  summarizeMemberAdherence,
+  DOSE_OUTCOME,
+} from '../medicationAdherence';
+
+const regimen = {
+  id: 'reg1',
+  recordId: 'rec1',
+  medicationName: 'Amoxicillin',
+  status: 'active',
+  dosage: '1 capsule',
+  startDate: '2025-03-10', // Monday
+  endDate: '2025-03-23',
+  doseTimes: ['08:00', '20:00'],
+  daysOfWeek: [],
+  asNeeded: false,
+  taperSteps: [],
+};
+
+const log = (date, time, status = 'taken', regimenId = 'reg1') => ({ regimenId, date, time, status });
+
+describe('medicationAdherence', () => {
+  it('finds the Monday of a week', () => {
+    expect(getWeekStart('2025-03-12')).toBe('2025-03-10');
+    expect(getWeekStart('2025-03-16')).toBe('2025-03-10'); // Sunday
+    expect(getWeekStart('2025-03-17')).toBe('2025-03-17');
+  });
+
+  it('classifies doses as taken, skipped, missed or pending', () => {
+    const outcomes = getDoseOutcomes(
+      regimen,
+      [log('2025-03-10', '08:00'), log('2025-03-10', '20:00', 'skipped')],
+      new Date(2025, 2, 11, 9, 0)
+    );
+
+    expect(outcomes.map(dose => dose.outcome)).toEqual([
+      DOSE_OUTCOME.TAKEN,
+      DOSE_OUTCOME.SKIPPED,
+      DOSE_OUTCOME.PENDING, // 08:00 today is still within the grace period
+      DOSE_OUTCOME.PENDING,
+    ]);
+  });
+
+  it('calculates adherence, missed-dose streaks and weekly figures', () => {
+    const logs = [
+      log('2025-03-10', '08:00'),
+      log('2025-03-10', '20:00'),
+      log('2025-03-11', '08:00'),
+      // 11th 20:00 to 12th 20:00 missed
+      log('2025-03-13', '08:00'),
+      log('2025-03-17', '08:00'),
+      log('2025-03-17', '08:00', 'taken', 'other-regimen'),
+    ];
+
+    const result = calculateAdherence(regimen, logs, { now: new Date(2025, 2, 17, 23, 0) });
+
+    // 8 days x 2 doses, all due
+    expect(result.due).toBe(16);
+    expect(result.taken).toBe(5);
+    expect(result.missed).toBe(11);
+    expect(result.percentage).toBe(31);
+    expect(result.longestMissedStreak).toBe(7);
+    expect(result.currentMissedStreak).toBe(1);
+    expect(result.weekly).toEqual([
+      { weekStart: '2025-03-17', due: 2, taken: 1, percentage: 50 },
+      { weekStart: '2025-03-10', due: 14, taken: 4, percentage: 29 },
+    ]);
+  });
+
+  it('stops counting on the day a regimen was stopped', () => {
+    const stopped = { ...regimen, status: 'cancelled', endedOn: '2025-03-11' };
+    const result = calculateAdherence(stopped, [], { now: new Date(2025, 2, 20) });
+
+    expect(result.due).toBe(4);
+    expect(result.endDate).toBe('2025-03-11');
+  });
+
+  it('summarizes all medications of a member', () => {
+    const asNeeded = { ...regimen, id: 'reg2', asNeeded: true, startDate: '2025-03-12' };
+    const summary = summarizeMemberAdherence(
+      [regimen, asNeeded],
+      [log('2025-03-10', '08:00')],
+      { now: new Date(2025, 2, 11, 0, 0) }
+    );
+
+    expect(summary.medications.map(medication => medication.regimenId)).toEqual(['reg2', 'reg1']);
+    expect(summary.medications[0].due).toBe(0);
+    expect(summary.due).toBe(2);
+    expect(summary.percentage).toBe(50);
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  getDoseForDate,
+  getRegimenEndDate,
+  getScheduledDoses,
+  buildReminderSchedule,
+  isRegimenFinished,
+  describeRegimen,
+  MAX_UPCOMING_REMINDERS,
+} from '../medicationSchedule';
+
+const baseRegimen = {
+  dosage: '1 tablet',
+  startDate: '2025-03-10', // Monday
+  endDate: '2025-03-16',
+  doseTimes: ['08:00', '20:00'],
+  daysOfWeek: [],
+  asNeeded: false,
+  taperSteps: [],
+};
+
+describe('medicationSchedule', () => {
+  describe('getDoseForDate', () => {
+    it('returns doses only within the course', () => {
+      expect(getDoseForDate(baseRegimen, '2025-03-09')).toBeNull();
+      expect(getDoseForDate(baseRegimen, '2025-03-10')).toEqual({ dosage: '1 tablet', doseTimes: ['08:00', '20:00'] });
+      expect(getDoseForDate(baseRegimen, '2025-03-17')).toBeNull();
+    });
+
+    it('honours the days of the week', () => {
+      const regimen = { ...baseRegimen, daysOfWeek: [1, 3, 5] };
+      expect(getDoseForDate(regimen, '2025-03-10')).not.toBeNull(); // Monday
+      expect(getDoseForDate(regimen, '2025-03-11')).toBeNull(); // Tuesday
+    });
+
+    it('follows taper steps', () => {
+      const regimen = {
+        ...baseRegimen,
+        endDate: null,
+        doseTimes: ['08:00'],
+        taperSteps: [
+          { dosage: '40 mg', durationDays: 3 },
+          { dosage: '20 mg', durationDays: 2, doseTimes: ['09:00'] },
+        ],
+      };
+
+      expect(getRegimenEndDate(regimen)).toBe('2025-03-14');
+      expect(getDoseForDate(regimen, '2025-03-12')).toEqual({ dosage: '40 mg', doseTimes: ['08:00'] });
+      expect(getDoseForDate(regimen, '2025-03-13')).toEqual({ dosage: '20 mg', doseTimes: ['09:00'] });
+      expect(getDoseForDate(regimen, '2025-03-15')).toBeNull();
+    });
+
+    it('has no scheduled doses for as-needed medication', () => {
+      expect(getDoseForDate({ ...baseRegimen, asNeeded: true }, '2025-03-10')).toBeNull();
+    });
+  });
+
+  it('lists scheduled doses in a time range', () => {
+    const doses = getScheduledDoses(
+      baseRegimen,
+      new Date(2025, 2, 10, 12, 0),
+      new Date(2025, 2, 11, 12, 0)
+    );
+
+    expect(doses.map(dose => `${dose.date} ${dose.time}`)).toEqual([
+      '2025-03-10 20:00',
+      '2025-03-11 08:00',
+    ]);
+  });
+
+  describe('buildReminderSchedule', () => {
+    it('uses repeating reminders for ongoing medication', () => {
+      const regimen = { ...baseRegimen, endDate: null, daysOfWeek: [1, 4] };
+      const { mode, reminders } = buildReminderSchedule(regimen, new Date(2025, 2, 12));
+
+      expect(mode).toBe('repeating');
+      expect(reminders).toHaveLength(4);
+      expect(reminders[0]).toEqual({ kind: 'weekly', weekday: 1, hour: 8, minute: 0, dosage: '1 tablet' });
+    });
+
+    it('uses one-off reminders that stop when the course ends', () => {
+      const { mode, reminders } = buildReminderSchedule(baseRegimen, new Date(2025, 2, 15, 9, 0));
+
+      expect(mode).toBe('upcoming');
+      expect(reminders.map(reminder => reminder.date)).toEqual([
+        new Date(2025, 2, 15, 20, 0),
+        new Date(2025, 2, 16, 8, 0),
+        new Date(2025, 2, 16, 20, 0),
+      ]);
+    });
+
+    it('caps the number of one-off reminders', () => {
+      const regimen = { ...baseRegimen, endDate: '2025-06-30' };
+      const { reminders } = buildReminderSchedule(regimen, new Date(2025, 2, 10, 0, 0));
+
+      expect(reminders).toHaveLength(MAX_UPCOMING_REMINDERS);
+    });
+
+    it('schedules nothing for finished or as-needed courses', () => {
+      expect(isRegimenFinished(baseRegimen, new Date(2025, 2, 17))).toBe(true);
+      expect(buildReminderSchedule(baseRegimen, new Date(2025, 2, 17)).reminders).toEqual([]);
+      expect(buildReminderSchedule({ ...baseRegimen, asNeeded: true }, new Date(2025, 2, 12)).mode).toBe('none');
+    });
+  });
+
+  it('describes a regimen', () => {
+    expect(describeRegimen({ ...baseRegimen, daysOfWeek: [5, 1] })).toBe('1 tablet at 08:00, 20:00 · Mon, Fri');
+    expect(describeRegimen({ ...baseRegimen, asNeeded: true })).toBe('1 tablet as needed');
+  });
+});
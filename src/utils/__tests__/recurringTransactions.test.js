@@ -0,0 +1,103 @@
+import {
+  RECURRENCE_FREQUENCIES,
+  buildOccurrenceTransaction,
+  describeRecurrence,
+  getDueOccurrences,
+  getNextOccurrenceDate,
+  getOccurrenceDate,
+  getUpcomingOccurrences,
+} from '../recurringTransactions';
+
+const now = new Date(2024, 5, 15, 12, 0);
+
+const template = (overrides = {}) => ({
+  id: 't1',
+  accountId: 'a1',
+  type: 'expense',
+  category: 'housing',
+  amount: 1200,
+  description: 'Rent',
+  frequency: RECURRENCE_FREQUENCIES.MONTHLY,
+  interval: 1,
+  startDate: '2024-01-31',
+  processedCount: 0,
+  ...overrides,
+});
+
+const dates = (occurrences) => occurrences.map(({ date }) => date);
+
+describe('recurringTransactions', () => {
+  it('schedules daily, weekly and monthly occurrences', () => {
+    const format = (date) => date.toDateString();
+
+    expect(format(getOccurrenceDate(template({ frequency: 'daily', interval: 3 }), 2)))
+      .toBe(new Date(2024, 1, 6).toDateString());
+    expect(format(getOccurrenceDate(template({ frequency: 'weekly', interval: 2 }), 1)))
+      .toBe(new Date(2024, 1, 14).toDateString());
+    // Months without a 31st use their last day
+    expect(format(getOccurrenceDate(template(), 1))).toBe(new Date(2024, 1, 29).toDateString());
+    expect(format(getOccurrenceDate(template(), 2))).toBe(new Date(2024, 2, 31).toDateString());
+  });
+
+  it('catches up on everything due since the last run', () => {
+    expect(dates(getDueOccurrences(template(), now))).toEqual([
+      '2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31',
+    ]);
+    expect(dates(getDueOccurrences(template({ processedCount: 4 }), now))).toEqual(['2024-05-31']);
+    expect(getDueOccurrences(template({ processedCount: 5 }), now)).toEqual([]);
+    expect(getDueOccurrences(template({ active: false }), now)).toEqual([]);
+  });
+
+  it('stops at the end date or after the number of occurrences', () => {
+    expect(dates(getDueOccurrences(template({ endDate: '2024-03-31' }), now))).toHaveLength(3);
+    expect(dates(getDueOccurrences(template({ occurrenceCount: 2 }), now))).toEqual(['2024-01-31', '2024-02-29']);
+    expect(getNextOccurrenceDate(template({ occurrenceCount: 2, processedCount: 2 }))).toBeNull();
+    expect(getNextOccurrenceDate(template({ processedCount: 5 }))).toBe('2024-06-30');
+  });
+
+  it('lists upcoming occurrences with skips and changes', () => {
+    const weekly = template({
+      id: 't2',
+      frequency: 'weekly',
+      startDate: '2024-06-10',
+      processedCount: 1,
+      skippedDates: ['2024-06-24'],
+      overrides: { '2024-06-17': { amount: 80 } },
+    });
+    const upcoming = getUpcomingOccurrences([template({ processedCount: 5 }), weekly], 20, now);
+
+    expect(upcoming.map(({ template: { id }, date, skipped }) => [id, date, skipped])).toEqual([
+      ['t2', '2024-06-17', false],
+      ['t2', '2024-06-24', true],
+      ['t1', '2024-06-30', false],
+      ['t2', '2024-07-01', false],
+    ]);
+    expect(upcoming[0].override).toEqual({ amount: 80 });
+  });
+
+  it('builds the transaction for an occurrence', () => {
+    const transaction = buildOccurrenceTransaction(
+      template({ owner: 'u1', processedCount: 3 }),
+      { date: '2024-04-30', override: { amount: 1300 } }
+    );
+
+    expect(transaction).toEqual({
+      accountId: 'a1',
+      type: 'expense',
+      category: 'housing',
+      amount: 1300,
+      description: 'Rent',
+      date: new Date(2024, 3, 30),
+      recurringId: 't1',
+      occurrenceDate: '2024-04-30',
+    });
+  });
+
+  it('describes the schedule', () => {
+    expect(describeRecurrence(template())).toBe('Every month');
+    expect(describeRecurrence(template({ frequency: 'weekly', interval: 2, occurrenceCount: 6 })))
+      .toBe('Every 2 weeks, 6 times');
+    expect(describeRecurrence(template({ frequency: 'daily', endDate: '2024-12-31' })))
+      .toBe('Every day until 2024-12-31');
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  DEFAULT_REDACTION_OPTIONS,
+  REDACTION_ACTIONS,
+  formatRedactionReport,
+  getAgeBand,
+  maskIdentifier,
+  redactData,
+} from '../redaction';
+
+const now = new Date(2024, 5, 15, 12, 0);
+
+const data = () => ({
+  userProfile: { displayName: 'Kwame', email: 'kwame@example.com' },
+  familyMembers: [
+    { id: 'm1', name: 'Ama', dateOfBirth: '07/01/1990', phone: '0244000000', userId: 'u1' },
+    { id: 'm2', name: 'Kofi', dateOfBirth: '01/01/1930' },
+  ],
+  medicalRecords: [
+    {
+      id: 'r1',
+      type: 'insurance',
+      familyMemberId: 'm2',
+      familyMemberName: 'Kofi',
+      provider: 'NHIS',
+      membershipNo: 'NH-123456',
+      notes: 'Renew in March',
+      attachments: [{ url: 'https://files.example.com/card.jpg', name: 'card.jpg', type: 'image', size: 10 }],
+    },
+    { id: 'r2', type: 'prescription', name: 'Amoxicillin', doctor: 'Dr. Owusu', userId: 'u1' },
+  ],
+});
+
+describe('redaction', () => {
+  it('masks identifiers down to their last characters', () => {
+    expect(maskIdentifier('NH-123456')).toBe('*******56');
+    expect(maskIdentifier('1234')).toBe('****');
+  });
+
+  it('generalizes dates of birth to age bands', () => {
+    expect(getAgeBand('07/01/1990', now)).toBe('30-39');
+    expect(getAgeBand('1990-06-15', now)).toBe('30-39');
+    expect(getAgeBand('06/16/2014', now)).toBe('0-9');
+    expect(getAgeBand('01/01/1930', now)).toBe('90+');
+    expect(getAgeBand('not a date', now)).toBeNull();
+  });
+
+  it('redacts every rule and the account fields', () => {
+    const { data: redacted } = redactData(data(), DEFAULT_REDACTION_OPTIONS, now);
+    const [ama, kofi] = redacted.familyMembers;
+    const [insurance, prescription] = redacted.medicalRecords;
+
+    expect(redacted.userProfile).toEqual({ anonymized: true });
+    expect(ama).toEqual({ id: 'm1', name: 'Family Member 1', ageBand: '30-39' });
+    expect(kofi.ageBand).toBe('90+');
+
+    expect(insurance.familyMemberName).toBe('Family Member 2');
+    expect(insurance.membershipNo).toBe('*******56');
+    expect(insurance.provider).toBe('NHIS');
+    expect(insurance).not.toHaveProperty('notes');
+    expect(insurance.attachments).toEqual([{ type: 'image', size: 10 }]);
+
+    // Only a family member's name is a person's name
+    expect(prescription.name).toBe('Amoxicillin');
+    expect(prescription).not.toHaveProperty('doctor');
+    expect(prescription).not.toHaveProperty('userId');
+  });
+
+  it('leaves fields alone when their rule is turned off', () => {
+    const { data: redacted, report } = redactData(data(), { names: false, freeText: false }, now);
+
+    expect(redacted.familyMembers[0].name).toBe('Ama');
+    expect(redacted.medicalRecords[0].notes).toBe('Renew in March');
+    expect(redacted.familyMembers[0]).not.toHaveProperty('userId');
+    expect(report.rules.map(({ key }) => key)).not.toContain('names');
+  });
+
+  it('reports what was changed', () => {
+    const { report } = redactData(data(), DEFAULT_REDACTION_OPTIONS, now);
+    const change = (section, field) => report.changes.find(c => c.section === section && c.field === field);
+
+    expect(change('familyMembers', 'name')).toEqual({
+      section: 'familyMembers', field: 'name', action: REDACTION_ACTIONS.PSEUDONYMIZED, count: 2,
+    });
+    expect(change('familyMembers', 'dateOfBirth').action).toBe(REDACTION_ACTIONS.GENERALIZED);
+    expect(change('medicalRecords', 'membershipNo').action).toBe(REDACTION_ACTIONS.MASKED);
+    expect(report.totalChanges).toBe(report.changes.reduce((sum, { count }) => sum + count, 0));
+
+    const text = formatRedactionReport(report);
+    expect(text).toContain('- Mask ID numbers');
+    expect(text).toContain('- familyMembers.name: pseudonymized 2 times');
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  TRANSFER_DIRECTIONS,
+  buildTransferEntries,
+  getBalanceEffect,
+  getCounterpartAccountId,
+  getTransferUpdates,
+} from '../transfers';
+
+const savings = { id: 'savings', currency: 'GHS' };
+const momo = { id: 'momo', currency: 'GHS' };
+const dollars = { id: 'dollars', currency: 'USD' };
+const date = new Date(2024, 5, 1);
+
+describe('transfers', () => {
+  it('builds both sides of a transfer in the same currency', () => {
+    const { outgoing, incoming } = buildTransferEntries({
+      fromAccount: savings,
+      toAccount: momo,
+      amount: '250.005',
+      date,
+      description: 'Top up',
+    });
+
+    expect(outgoing).toMatchObject({
+      type: 'transfer',
+      accountId: 'savings',
+      transferDirection: TRANSFER_DIRECTIONS.OUT,
+      amount: 250.01,
+      fromAccountId: 'savings',
+      toAccountId: 'momo',
+      exchangeRate: 1,
+      description: 'Top up',
+    });
+    expect(incoming).toMatchObject({
+      accountId: 'momo',
+      transferDirection: TRANSFER_DIRECTIONS.IN,
+      amount: 250.01,
+      date,
+    });
+    expect(getCounterpartAccountId(outgoing)).toBe('momo');
+    expect(getCounterpartAccountId(incoming)).toBe('savings');
+  });
+
+  it('stores the rate applied across currencies', () => {
+    const { outgoing, incoming } = buildTransferEntries({
+      fromAccount: savings,
+      toAccount: dollars,
+      amount: 1200,
+      convertedAmount: 100,
+      date,
+    });
+
+    expect(outgoing).toMatchObject({ amount: 1200, fromCurrency: 'GHS', toCurrency: 'USD' });
+    expect(incoming.amount).toBe(100);
+    expect(incoming.exchangeRate).toBe(0.083333);
+  });
+
+  it('moves the balance out of one account and into the other', () => {
+    const { outgoing, incoming } = buildTransferEntries({ fromAccount: savings, toAccount: momo, amount: 80, date });
+
+    expect(getBalanceEffect(outgoing)).toBe(-80);
+    expect(getBalanceEffect(incoming)).toBe(80);
+    expect(getBalanceEffect({ type: 'income', amount: '5' })).toBe(5);
+    expect(getBalanceEffect({ type: 'expense', amount: 5 })).toBe(-5);
+    expect(getBalanceEffect({ type: 'unknown', amount: 5 })).toBeNull();
+  });
+
+  it('keeps the other side in step when one side is edited', () => {
+    const { outgoing, incoming } = buildTransferEntries({
+      fromAccount: dollars,
+      toAccount: savings,
+      amount: 100,
+      convertedAmount: 1200,
+      date,
+    });
+
+    expect(getTransferUpdates(outgoing, { amount: '50', description: 'Rent share' })).toEqual({
+      own: { amount: 50, description: 'Rent share' },
+      linked: { amount: 600, description: 'Rent share' },
+    });
+    expect(getTransferUpdates(incoming, { amount: 2400 }).linked).toEqual({ amount: 200 });
+    expect(getTransferUpdates(incoming, { category: 'food', accountId: 'other' })).toEqual({ own: {}, linked: {} });
+  });
+});
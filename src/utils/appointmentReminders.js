@@ -0,0 +1,148 @@
+// Appointment reminder planning
+// An appointment can have several reminders, each a number of minutes before it starts.
+// Appointments without their own list use the default saved in NotificationsScreen.
+// Reminders that would fire during quiet hours are moved to the end of quiet hours,
+// or to just before quiet hours start if the appointment begins first.
+
+export const REMINDER_OFFSET_OPTIONS = [
+  { minutes: 7 * 24 * 60, label: '1 week before' },
+  { minutes: 2 * 24 * 60, label: '2 days before' },
+  { minutes: 24 * 60, label: '1 day before' },
+  { minutes: 2 * 60, label: '2 hours before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 30, label: '30 minutes before' },
+];
+
+export const DEFAULT_REMINDER_OFFSETS = [24 * 60];
+
+export const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+};
+
+const MINUTE = 60 * 1000;
+
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const formatOffset = (minutes) => {
+  const option = REMINDER_OFFSET_OPTIONS.find(item => item.minutes === minutes);
+  if (option) return option.label;
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} days before`;
+  if (minutes % 60 === 0) return `${minutes / 60} hours before`;
+  return `${minutes} minutes before`;
+};
+
+/**
+ * The reminder offsets for an appointment, in minutes before it starts
+ * An empty list on the appointment means it should have no reminders.
+ */
+export const getReminderOffsets = (appointment, preferences = {}) => {
+  if (Array.isArray(appointment.reminderOffsets)) {
+    return appointment.reminderOffsets;
+  }
+  if (Array.isArray(preferences.appointmentReminderOffsets)) {
+    return preferences.appointmentReminderOffsets;
+  }
+  return DEFAULT_REMINDER_OFFSETS;
+};
+
+export const isInQuietHours = (date, quietHours = DEFAULT_QUIET_HOURS) => {
+  if (!quietHours?.enabled) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+
+  if (start === end) return false;
+  // Quiet hours usually run overnight, e.g. 22:00 to 07:00
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Move a reminder out of quiet hours
+ * @returns {Date} the reminder time, unchanged when outside quiet hours
+ */
+export const adjustForQuietHours = (reminderDate, appointmentDate, quietHours = DEFAULT_QUIET_HOURS) => {
+  if (!isInQuietHours(reminderDate, quietHours)) {
+    return reminderDate;
+  }
+
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  const minutes = reminderDate.getHours() * 60 + reminderDate.getMinutes();
+
+  // End of this quiet period
+  const quietEnd = new Date(reminderDate);
+  quietEnd.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (minutes >= end && start > end) {
+    quietEnd.setDate(quietEnd.getDate() + 1);
+  }
+
+  if (quietEnd < appointmentDate) {
+    return quietEnd;
+  }
+
+  // Otherwise the minute before this quiet period began
+  const quietStart = new Date(reminderDate);
+  quietStart.setHours(Math.floor(start / 60), start % 60, 0, 0);
+  if (minutes < start) {
+    quietStart.setDate(quietStart.getDate() - 1);
+  }
+  return new Date(quietStart.getTime() - MINUTE);
+};
+
+/**
+ * Work out when to remind about an appointment
+ * @param {Date} appointmentDate
+ * @param {number[]} offsets - minutes before the appointment
+ * @param {Object} options - { quietHours, now }
+ * @returns {Array<{ offset: number, date: Date }>} future reminders, earliest first
+ */
+export const buildAppointmentReminders = (appointmentDate, offsets, { quietHours, now = new Date() } = {}) => {
+  const reminders = [];
+
+  [...new Set(offsets)]
+    .sort((a, b) => b - a)
+    .forEach(offset => {
+      const date = adjustForQuietHours(
+        new Date(appointmentDate.getTime() - offset * MINUTE),
+        appointmentDate,
+        quietHours
+      );
+      // Two reminders moved out of quiet hours can land on the same time
+      if (date > now && !reminders.some(reminder => reminder.date.getTime() === date.getTime())) {
+        reminders.push({ offset, date });
+      }
+    });
+
+  return reminders;
+};
+
+const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+/**
+ * When the appointment is, as read at the time the reminder fires
+ * e.g. "today at 09:30 AM", "tomorrow at 09:30 AM", "on Mon, Jan 12 at 09:30 AM"
+ */
+export const describeAppointmentTime = (appointmentDate, reminderDate) => {
+  const time = appointmentDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+  if (isSameDay(appointmentDate, reminderDate)) {
+    return `today at ${time}`;
+  }
+
+  const nextDay = new Date(reminderDate);
+  nextDay.setDate(nextDay.getDate() + 1);
+  if (isSameDay(appointmentDate, nextDay)) {
+    return `tomorrow at ${time}`;
+  }
+
+  const day = appointmentDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  return `on ${day} at ${time}`;
+};
@@ -0,0 +1,260 @@
+// Full-account backups: the JSON bundle DataExportScreen exports and the plan for
+// restoring one. Restored documents get new IDs, so references between them
+// (familyMemberId, accountId) are rewritten to the new IDs as they are created.
+
+export const BACKUP_FORMAT = 'healthyhome-backup';
+export const BACKUP_VERSION = 1;
+
+export const RESTORE_MODE = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+// In restore order: a section comes after the sections its references point to
+export const BACKUP_SECTIONS = [
+  {
+    key: 'familyMembers',
+    collection: 'familyMembers',
+    label: 'Family members',
+    ownerField: 'userId',
+    references: {},
+  },
+  {
+    key: 'financeAccounts',
+    collection: 'finance_accounts',
+    label: 'Finance accounts',
+    ownerField: 'owner',
+    references: {},
+  },
+  {
+    key: 'medicalRecords',
+    collection: 'medicalRecords',
+    label: 'Medical records',
+    ownerField: 'userId',
+    references: { familyMemberId: 'familyMembers' },
+  },
+  {
+    key: 'appointments',
+    collection: 'appointments',
+    label: 'Appointments',
+    ownerField: 'userId',
+    references: { familyMemberId: 'familyMembers' },
+  },
+  {
+    key: 'financeTransactions',
+    collection: 'finance_transactions',
+    label: 'Finance transactions',
+    ownerField: 'createdBy',
+    references: {
+      accountId: 'financeAccounts',
+      fromAccountId: 'financeAccounts',
+      toAccountId: 'financeAccounts',
+      linkedTransactionId: 'financeTransactions',
+    },
+    // A transaction without its account has nothing to belong to
+    requiredReferences: ['accountId'],
+    // The two sides of a transfer point at each other and are restored together
+    pairedBy: 'linkedTransactionId',
+  },
+];
+
+/**
+ * Wrap exported data in the versioned backup format
+ * @param {Object} data - userProfile and arrays keyed by BACKUP_SECTIONS keys
+ */
+export const createBackupBundle = (data, { anonymized = false } = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportDate: new Date().toISOString(),
+  anonymized,
+  ...data,
+});
+
+// Exports made before the format was versioned have no format field
+const getBundleVersion = (bundle) => {
+  if (bundle.format === undefined && bundle.exportDate) return 0;
+  if (bundle.format !== BACKUP_FORMAT) return null;
+  return bundle.version;
+};
+
+/**
+ * Check that a parsed file is a backup this version can restore
+ * @returns {{ valid: boolean, version: number|null, errors: string[], warnings: string[] }}
+ */
+export const validateBackupBundle = (bundle) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return { valid: false, version: null, errors: ['The file is not a Healthy Home backup'], warnings };
+  }
+
+  const version = getBundleVersion(bundle);
+  if (version === null) {
+    errors.push('The file is not a Healthy Home backup');
+  } else if (!Number.isInteger(version) || version < 0) {
+    errors.push('The backup version is not recognised');
+  } else if (version > BACKUP_VERSION) {
+    errors.push('This backup was made by a newer version of the app. Please update to restore it.');
+  }
+
+  if (bundle.anonymized || bundle.userProfile?.anonymized) {
+    errors.push('Anonymized exports cannot be restored');
+  }
+
+  const ids = {};
+  BACKUP_SECTIONS.forEach(({ key, label }) => {
+    const items = bundle[key];
+    if (items === undefined) return;
+
+    if (!Array.isArray(items)) {
+      errors.push(`${label} must be a list`);
+      return;
+    }
+    if (items.some(item => !item || typeof item !== 'object' || typeof item.id !== 'string' || !item.id)) {
+      errors.push(`Every entry in ${label.toLowerCase()} needs an ID`);
+      return;
+    }
+    ids[key] = new Set(items.map(item => item.id));
+  });
+
+  if (errors.length === 0) {
+    BACKUP_SECTIONS.forEach(({ key, label, references, requiredReferences = [] }) => {
+      (bundle[key] || []).forEach(item => {
+        Object.entries(references).forEach(([field, target]) => {
+          const value = item[field];
+          if (!value || ids[target]?.has(value)) return;
+
+          if (requiredReferences.includes(field)) {
+            warnings.push(`${label}: ${item.id} refers to a missing entry and will be skipped`);
+          } else {
+            warnings.push(`${label}: ${item.id} refers to a ${field} that isn't in the backup`);
+          }
+        });
+      });
+    });
+  }
+
+  if (errors.length === 0 && !BACKUP_SECTIONS.some(({ key }) => bundle[key]?.length)) {
+    errors.push('The backup has nothing to restore');
+  }
+
+  return { valid: errors.length === 0, version, errors, warnings };
+};
+
+// An existing document matches a backed up one if it is the same document, or was
+// restored from it before
+const findExisting = (existingItems, item) =>
+  existingItems.find(existing => existing.id === item.id || existing.restoredFrom === item.id);
+
+/**
+ * Work out what a restore will do, without changing anything
+ * @param {Object} bundle - a valid backup bundle
+ * @param {Object} existing - the account's current documents, keyed like the bundle
+ * @param {string} mode - RESTORE_MODE
+ * @returns {Object} per section key: { create: [], skip: [{ item, existingId }], remove: [] }
+ */
+export const planRestore = (bundle, existing, mode) => {
+  const plan = {};
+  const restorable = {};
+
+  BACKUP_SECTIONS.forEach(({ key, references, requiredReferences = [], pairedBy }) => {
+    const existingItems = existing[key] || [];
+    const sectionPlan = { create: [], skip: [], remove: [] };
+    restorable[key] = new Set();
+
+    if (mode === RESTORE_MODE.REPLACE) {
+      sectionPlan.remove = existingItems;
+    }
+
+    (bundle[key] || []).forEach(item => {
+      const missingReference = requiredReferences.some(field => {
+        const target = references[field];
+        return !item[field] || !restorable[target].has(item[field]);
+      });
+      if (missingReference) return;
+
+      restorable[key].add(item.id);
+      const match = mode === RESTORE_MODE.MERGE ? findExisting(existingItems, item) : null;
+      if (match) {
+        sectionPlan.skip.push({ item, existingId: match.id });
+      } else {
+        sectionPlan.create.push(item);
+      }
+    });
+
+    // Half a pair is not restored: its other side is missing from the backup, could not be
+    // restored, or already exists with a counterpart of its own
+    if (pairedBy) {
+      const creating = new Set(sectionPlan.create.map(item => item.id));
+      sectionPlan.create = sectionPlan.create.filter(item => {
+        if (!item[pairedBy] || creating.has(item[pairedBy])) return true;
+        restorable[key].delete(item.id);
+        return false;
+      });
+    }
+
+    plan[key] = sectionPlan;
+  });
+
+  return plan;
+};
+
+/**
+ * Counts for the restore preview
+ * @returns {Array<{ key, label, create, skip, remove }>}
+ */
+export const summarizeRestorePlan = (plan) =>
+  BACKUP_SECTIONS.map(({ key, label }) => ({
+    key,
+    label,
+    create: plan[key]?.create.length || 0,
+    skip: plan[key]?.skip.length || 0,
+    remove: plan[key]?.remove.length || 0,
+  })).filter(({ create, skip, remove }) => create || skip || remove);
+
+const isSerializedTimestamp = (value) =>
+  value && typeof value === 'object' &&
+  typeof value.seconds === 'number' && typeof value.nanoseconds === 'number' &&
+  Object.keys(value).every(field => ['seconds', 'nanoseconds', 'type'].includes(field));
+
+/**
+ * Turn Firestore timestamps, which export as { seconds, nanoseconds }, back into timestamps
+ * @param {*} value
+ * @param {Function} toTimestamp - (seconds, nanoseconds) => Timestamp
+ */
+export const reviveTimestamps = (value, toTimestamp) => {
+  if (Array.isArray(value)) {
+    return value.map(item => reviveTimestamps(item, toTimestamp));
+  }
+  if (isSerializedTimestamp(value)) {
+    return toTimestamp(value.seconds, value.nanoseconds);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([field, fieldValue]) => [field, reviveTimestamps(fieldValue, toTimestamp)])
+    );
+  }
+  return value;
+};
+
+/**
+ * The document to create for a backed up item
+ * @param {Object} item - from the bundle
+ * @param {Object} section - from BACKUP_SECTIONS
+ * @param {Object} idMaps - backed up ID to restored ID, per section key
+ * @param {string} userId - the account being restored into
+ */
+export const prepareRestoredDocument = (item, section, idMaps, userId) => {
+  const { id, ...data } = item;
+  const document = { ...data, [section.ownerField]: userId, restoredFrom: id };
+
+  Object.entries(section.references).forEach(([field, target]) => {
+    const restoredId = idMaps[target]?.[item[field]];
+    if (restoredId) {
+      document[field] = restoredId;
+    }
+  });
+
+  return document;
+};
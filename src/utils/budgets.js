@@ -0,0 +1,178 @@
+// Category budgets for expenses
+// A budget caps spending in one expense category over a week or a month, for the
+// finance scope it was created in. Spending comes from that scope's transactions.
+// With rollover, what is left at the end of a period (and, if chosen, what was
+// overspent) moves into the next one.
+
+export const BUDGET_CATEGORIES = [
+  { value: 'food', label: 'Food & Dining' },
+  { value: 'shopping', label: 'Shopping' },
+  { value: 'transportation', label: 'Transportation' },
+  { value: 'housing', label: 'Housing' },
+  { value: 'utilities', label: 'Utilities' },
+  { value: 'healthcare', label: 'Healthcare' },
+  { value: 'education', label: 'Education' },
+  { value: 'entertainment', label: 'Entertainment' },
+  { value: 'debt', label: 'Debt Payment' },
+  { value: 'savings', label: 'Savings' },
+  { value: 'other_expense', label: 'Other Expense' },
+];
+
+export const BUDGET_PERIODS = {
+  MONTHLY: 'monthly',
+  WEEKLY: 'weekly'
+};
+
+export const BUDGET_ROLLOVER = {
+  NONE: 'none',
+  UNSPENT: 'unspent', // carry what was left over
+  ALL: 'all' // carry what was left over and take off what was overspent
+};
+
+export const BUDGET_STATUS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  OVER: 'over'
+};
+
+// Percentages of a budget at which an alert goes out
+export const BUDGET_ALERT_THRESHOLDS = [80, 100];
+
+// Rollover looks back at most this many periods
+const MAX_ROLLOVER_PERIODS = 24;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value instanceof Date) return value;
+
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const formatBudgetDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export const getBudgetCategoryLabel = (category) => (
+  BUDGET_CATEGORIES.find(({ value }) => value === category)?.label || category
+);
+
+/**
+ * The period containing a date; weeks start on Monday
+ * @returns {{ start: Date, end: Date }} end is the start of the next period
+ */
+export const getBudgetPeriod = (period, date = new Date()) => {
+  if (period === BUDGET_PERIODS.WEEKLY) {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+    return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+  }
+
+  return {
+    start: new Date(date.getFullYear(), date.getMonth(), 1),
+    end: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+  };
+};
+
+/**
+ * Total of a category's expenses from start up to (not including) end
+ */
+export const getCategorySpending = (transactions, category, start, end) => round(
+  (transactions || []).reduce((total, transaction) => {
+    if (!transaction || transaction.type !== 'expense' || transaction.category !== category) {
+      return total;
+    }
+    const date = toDate(transaction.date);
+    if (!date || date < start || date >= end) return total;
+
+    const amount = parseFloat(transaction.amount);
+    return isNaN(amount) ? total : total + amount;
+  }, 0)
+);
+
+// What earlier periods carry into the current one
+const getCarriedOver = (budget, transactions, currentStart) => {
+  const budgetStart = toDate(budget.startDate);
+  if (!budget.rollover || budget.rollover === BUDGET_ROLLOVER.NONE || !budgetStart) {
+    return 0;
+  }
+
+  const periods = [];
+  let { start } = getBudgetPeriod(budget.period, new Date(currentStart - DAY));
+  while (start >= getBudgetPeriod(budget.period, budgetStart).start && periods.length < MAX_ROLLOVER_PERIODS) {
+    periods.unshift(getBudgetPeriod(budget.period, start));
+    start = getBudgetPeriod(budget.period, new Date(start - DAY)).start;
+  }
+
+  return round(periods.reduce((carried, period) => {
+    const left = carried + budget.amount - getCategorySpending(transactions, budget.category, period.start, period.end);
+    return budget.rollover === BUDGET_ROLLOVER.ALL ? left : Math.max(0, left);
+  }, 0));
+};
+
+/**
+ * How much of a budget has been spent in the period containing now
+ * @returns {Object} period, spent, carriedOver, limit, remaining, percentage and status
+ */
+export const getBudgetProgress = (budget, transactions, now = new Date()) => {
+  const period = getBudgetPeriod(budget.period, now);
+  const spent = getCategorySpending(transactions, budget.category, period.start, period.end);
+  const carriedOver = getCarriedOver(budget, transactions, period.start);
+  const limit = round(budget.amount + carriedOver);
+
+  let percentage;
+  if (limit > 0) {
+    percentage = Math.round((spent / limit) * 100);
+  } else {
+    // Overspending carried over can leave nothing to spend
+    percentage = spent > 0 || limit < 0 ? 100 : 0;
+  }
+
+  let status = BUDGET_STATUS.OK;
+  if (percentage >= 100) {
+    status = BUDGET_STATUS.OVER;
+  } else if (percentage >= BUDGET_ALERT_THRESHOLDS[0]) {
+    status = BUDGET_STATUS.WARNING;
+  }
+
+  return {
+    periodStart: period.start,
+    periodEnd: period.end,
+    spent,
+    carriedOver,
+    limit,
+    remaining: round(limit - spent),
+    percentage,
+    status
+  };
+};
+
+/**
+ * Alerts that are due and have not been sent yet
+ * @param {Object} sentAlerts - alert key -> highest threshold already sent
+ * @returns {Array<{ key: string, budget: Object, progress: Object, threshold: number }>}
+ */
+export const getDueBudgetAlerts = (budgets, transactions, sentAlerts = {}, now = new Date()) => (
+  (budgets || []).reduce((due, budget) => {
+    const progress = getBudgetProgress(budget, transactions, now);
+    const threshold = [...BUDGET_ALERT_THRESHOLDS].reverse().find(value => progress.percentage >= value);
+    const key = `${budget.id}_${formatBudgetDate(progress.periodStart)}`;
+
+    if (threshold && threshold > (sentAlerts[key] || 0)) {
+      due.push({ key, budget, progress, threshold });
+    }
+    return due;
+  }, [])
+);
@@ -111,3 +111,30 @@ export const calculateAge = (birthDate) => {
   
   return age;
 };
+
+// 'YYYY-MM-DD' from a record date, an en-US date of birth (MM/DD/YYYY),
+// a Firestore timestamp or a Date; undefined when it can't be read
+export const toISODate = (value) => {
+  if (!value) return undefined;
+
+  if (typeof value === 'string') {
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  }
+
+  let date;
+  if (typeof value.toDate === 'function') {
+    date = value.toDate();
+  } else if (typeof value === 'object' && typeof value.seconds === 'number' && !(value instanceof Date)) {
+    date = new Date(value.seconds * 1000);
+  } else {
+    date = new Date(value);
+  }
+  if (isNaN(date.getTime())) return undefined;
+
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
@@ -0,0 +1,139 @@
+// Expiry tracking for insurance and hospital cards
+// Records of these types carry an expiryDate (YYYY-MM-DD, as saved by AddRecordScreen).
+// A card that has been renewed is marked with renewedAt and is no longer tracked.
+
+export const EXPIRY_TRACKED_TYPES = ['insurance', 'hospital_card'];
+
+// Days before expiry to send an alert
+export const EXPIRY_ALERT_DAYS = [30, 7, 1];
+
+// Cards expiring within this many days are shown as "Expiring soon"
+export const EXPIRING_SOON_DAYS = 30;
+
+// Alerts go out in the morning
+export const EXPIRY_ALERT_HOUR = 9;
+
+export const EXPIRY_STATUS = {
+  EXPIRED: 'expired',
+  EXPIRING_SOON: 'expiring_soon',
+  VALID: 'valid'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Parse an expiry date to local midnight
+ * @returns {Date|null}
+ */
+export const parseExpiryDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return startOfDay(value.toDate());
+  if (value instanceof Date) return startOfDay(value);
+
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed) ? null : startOfDay(parsed);
+};
+
+export const formatExpiryDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export const isExpiryTracked = (record) => (
+  EXPIRY_TRACKED_TYPES.includes(record.type) && !record.renewedAt && !!parseExpiryDate(record.expiryDate)
+);
+
+/**
+ * Whole days from today until the card expires; negative once expired
+ */
+export const getDaysUntilExpiry = (record, now = new Date()) => {
+  const expiry = parseExpiryDate(record.expiryDate);
+  if (!expiry) return null;
+  return Math.round((expiry - startOfDay(now)) / DAY);
+};
+
+export const getExpiryStatus = (record, now = new Date()) => {
+  const days = getDaysUntilExpiry(record, now);
+  if (days === null) return null;
+  if (days < 0) return EXPIRY_STATUS.EXPIRED;
+  if (days <= EXPIRING_SOON_DAYS) return EXPIRY_STATUS.EXPIRING_SOON;
+  return EXPIRY_STATUS.VALID;
+};
+
+/**
+ * Tracked cards that have expired or expire soon, soonest first
+ */
+export const getExpiringRecords = (records, now = new Date()) => {
+  return records
+    .filter(record => isExpiryTracked(record) && getExpiryStatus(record, now) !== EXPIRY_STATUS.VALID)
+    .sort((a, b) => parseExpiryDate(a.expiryDate) - parseExpiryDate(b.expiryDate));
+};
+
+/**
+ * The alerts still to come for a card
+ * @returns {Array<{ daysBefore: number, date: Date }>}
+ */
+export const buildExpiryAlerts = (record, now = new Date()) => {
+  if (!isExpiryTracked(record)) return [];
+
+  const expiry = parseExpiryDate(record.expiryDate);
+  return EXPIRY_ALERT_DAYS
+    .map(daysBefore => {
+      const date = new Date(expiry);
+      date.setDate(date.getDate() - daysBefore);
+      date.setHours(EXPIRY_ALERT_HOUR, 0, 0, 0);
+      return { daysBefore, date };
+    })
+    .filter(alert => alert.date > now);
+};
+
+export const describeExpiry = (days) => {
+  if (days === null) return '';
+  if (days < -1) return `Expired ${-days} days ago`;
+  if (days === -1) return 'Expired yesterday';
+  if (days === 0) return 'Expires today';
+  if (days === 1) return 'Expires tomorrow';
+  return `Expires in ${days} days`;
+};
+
+/**
+ * Dates for the renewed card
+ * The new card starts the day after the old one expires (or today, if that has passed)
+ * and runs for the same term as the old card, or a year when that is unknown.
+ */
+export const getRenewalDates = (record, now = new Date()) => {
+  const oldExpiry = parseExpiryDate(record.expiryDate);
+  const oldIssue = parseExpiryDate(record.dateOfIssue);
+
+  let issue = startOfDay(now);
+  if (oldExpiry) {
+    const dayAfterExpiry = new Date(oldExpiry);
+    dayAfterExpiry.setDate(dayAfterExpiry.getDate() + 1);
+    if (dayAfterExpiry > issue) issue = dayAfterExpiry;
+  }
+
+  const expiry = new Date(issue);
+  const termDays = oldIssue && oldExpiry && oldExpiry > oldIssue
+    ? Math.round((oldExpiry - oldIssue) / DAY)
+    : null;
+
+  if (termDays) {
+    expiry.setDate(expiry.getDate() + termDays);
+  } else {
+    expiry.setFullYear(expiry.getFullYear() + 1);
+    expiry.setDate(expiry.getDate() - 1);
+  }
+
+  return {
+    dateOfIssue: formatExpiryDate(issue),
+    expiryDate: formatExpiryDate(expiry)
+  };
+};
@@ -0,0 +1,166 @@
+// Authenticated encryption with AES-256-GCM from react-native-quick-crypto, which runs
+// the cipher natively and synchronously. Keys can come from a password through
+// PBKDF2-HMAC-SHA256, also run natively, or be random bytes kept by the caller.
+
+import * as Crypto from 'expo-crypto';
+import QuickCrypto from 'react-native-quick-crypto';
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+
+export const KEY_LENGTH = 32;
+export const IV_LENGTH = 12;
+export const AUTH_TAG_LENGTH = 16;
+export const SALT_LENGTH = 16;
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 600000;
+
+const BASE64_CHUNK_SIZE = 0x8000;
+
+export const DECRYPTION_FAILED_MESSAGE = 'The password is incorrect or the file is damaged';
+
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+export const utf8Encode = (text) => {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+export const utf8Decode = (bytes) => {
+  const codes = [];
+  let text = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+      i += 1;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      code = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) |
+        ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      i += 4;
+    }
+    codes.push(code);
+    if (codes.length >= BASE64_CHUNK_SIZE) {
+      text += String.fromCodePoint(...codes);
+      codes.length = 0;
+    }
+  }
+  return text + String.fromCodePoint(...codes);
+};
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * PBKDF2-HMAC-SHA256 producing a KEY_LENGTH key
+ */
+export const deriveKeyFromPassword = (password, salt, iterations = PBKDF2_ITERATIONS) => new Promise((resolve, reject) => {
+  QuickCrypto.pbkdf2(utf8Encode(password), salt, iterations, KEY_LENGTH, 'sha256', (error, key) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(new Uint8Array(key));
+    }
+  });
+});
+
+export const generateKey = () => Crypto.getRandomBytes(KEY_LENGTH);
+
+/**
+ * Encrypt text with a KEY_LENGTH key
+ * @param {string} text
+ * @param {Uint8Array} key
+ * @param {string} associatedData - authenticated with the ciphertext but not encrypted, e.g. a header
+ * @returns {{ iv: string, ciphertext: string, tag: string }} base64 fields
+ */
+export const encryptText = (text, key, associatedData = '') => {
+  const iv = Crypto.getRandomBytes(IV_LENGTH);
+  const cipher = QuickCrypto.createCipheriv(CIPHER_ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  cipher.setAAD(utf8Encode(associatedData));
+  const ciphertext = concatBytes(cipher.update(utf8Encode(text)), cipher.final());
+
+  return {
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(ciphertext),
+    tag: bytesToBase64(cipher.getAuthTag()),
+  };
+};
+
+/**
+ * Reverse encryptText. Throws DECRYPTION_FAILED_MESSAGE when the key is wrong or
+ * anything authenticated has been changed.
+ */
+export const decryptText = ({ iv, ciphertext, tag }, key, associatedData = '') => {
+  let ivBytes;
+  let tagBytes;
+  let ciphertextBytes;
+  try {
+    ivBytes = base64ToBytes(iv);
+    tagBytes = base64ToBytes(tag);
+    ciphertextBytes = base64ToBytes(ciphertext);
+  } catch {
+    throw new Error(DECRYPTION_FAILED_MESSAGE);
+  }
+  if (ivBytes.length !== IV_LENGTH || tagBytes.length !== AUTH_TAG_LENGTH) {
+    throw new Error(DECRYPTION_FAILED_MESSAGE);
+  }
+
+  // A cipher that can't be set up is a broken install, not damaged data, so its errors pass through
+  const decipher = QuickCrypto.createDecipheriv(CIPHER_ALGORITHM, key, ivBytes, { authTagLength: AUTH_TAG_LENGTH });
+  decipher.setAAD(utf8Encode(associatedData));
+  decipher.setAuthTag(tagBytes);
+
+  let plaintext;
+  try {
+    // final() throws when the tag doesn't match
+    plaintext = concatBytes(decipher.update(ciphertextBytes), decipher.final());
+  } catch {
+    throw new Error(DECRYPTION_FAILED_MESSAGE);
+  }
+  return utf8Decode(plaintext);
+};
@@ -0,0 +1,269 @@
+// FHIR R4 export of family medical records
+// Family members become Patient resources, prescriptions MedicationRequest, diagnoses
+// Condition and appointments Appointment. Record attachments are carried as
+// DocumentReference, linked to the resource made from their record. Resources point
+// at each other through urn:uuid full URLs, so the bundle stands on its own.
+
+import * as Crypto from 'expo-crypto';
+import { APPOINTMENT_STATUS, MEDICAL_RECORD_TYPES } from '../constants';
+import { toISODate } from './date';
+
+// Identifiers keep the app's document IDs, so a clinic can match a later export
+const IDENTIFIER_SYSTEM = 'https://familymedical.app/fhir/id';
+
+// The account holder's own records have no family member
+const ACCOUNT_HOLDER_KEY = 'self';
+
+const FHIR_GENDERS = {
+  male: 'male',
+  female: 'female',
+  other: 'other',
+};
+
+const FHIR_APPOINTMENT_STATUS = {
+  [APPOINTMENT_STATUS.SCHEDULED]: 'booked',
+  [APPOINTMENT_STATUS.CONFIRMED]: 'booked',
+  [APPOINTMENT_STATUS.RESCHEDULED]: 'booked',
+  [APPOINTMENT_STATUS.COMPLETED]: 'fulfilled',
+  [APPOINTMENT_STATUS.CANCELLED]: 'cancelled',
+};
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  heic: 'image/heic',
+  gif: 'image/gif',
+  txt: 'text/plain',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+const toDateObject = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value instanceof Date) return value;
+  if (typeof value === 'object' && typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+  return new Date(value);
+};
+
+// A FHIR date (YYYY-MM-DD) from any date the app stores
+export const toFhirDate = toISODate;
+
+// A FHIR instant, which must carry a time zone
+export const toFhirInstant = (value) => {
+  const date = toDateObject(value);
+  if (!date || isNaN(date.getTime())) return undefined;
+  return date.toISOString();
+};
+
+export const getAttachmentContentType = (attachment) => {
+  const extension = (attachment.name || '').split('.').pop().toLowerCase();
+  return CONTENT_TYPES[extension];
+};
+
+// Leave out empty fields rather than writing empty strings, which FHIR doesn't allow
+const compact = (resource) => Object.fromEntries(
+  Object.entries(resource).filter(([, value]) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  )
+);
+
+const identifier = (id) => (id ? [{ system: IDENTIFIER_SYSTEM, value: id }] : undefined);
+
+const notes = (...texts) => texts.filter(Boolean).map(text => ({ text }));
+
+const buildPatient = (member) => {
+  const nameParts = (member.name || '').trim().split(/\s+/).filter(Boolean);
+  const family = nameParts.length > 1 ? nameParts.pop() : undefined;
+  const telecom = [];
+  if (member.email) telecom.push({ system: 'email', value: member.email });
+  if (member.phone) telecom.push({ system: 'phone', value: member.phone });
+
+  return compact({
+    resourceType: 'Patient',
+    identifier: identifier(member.id),
+    name: member.name ? [compact({
+      text: member.title ? `${member.title} ${member.name}` : member.name,
+      family,
+      given: nameParts.length ? nameParts : undefined,
+      prefix: member.title && member.title !== 'Other' ? [member.title] : undefined,
+    })] : undefined,
+    gender: FHIR_GENDERS[(member.gender || '').toLowerCase()] || (member.gender ? 'unknown' : undefined),
+    birthDate: toFhirDate(member.dateOfBirth),
+    telecom,
+  });
+};
+
+const buildMedicationRequest = (record, subject) => {
+  const dosage = [
+    record.strength,
+    record.frequency,
+    record.duration ? `for ${record.duration}` : '',
+  ].filter(Boolean).join(', ');
+
+  return compact({
+    resourceType: 'MedicationRequest',
+    identifier: identifier(record.id),
+    // The app doesn't track whether a prescription is still being taken
+    status: 'unknown',
+    intent: 'order',
+    medicationCodeableConcept: { text: record.medicationName || record.title || 'Unnamed medication' },
+    subject,
+    authoredOn: toFhirDate(record.date),
+    requester: record.doctor ? { display: record.doctor } : undefined,
+    dosageInstruction: dosage ? [{ text: dosage }] : undefined,
+    note: notes(record.description, record.notes),
+  });
+};
+
+const buildCondition = (record, subject) => compact({
+  resourceType: 'Condition',
+  identifier: identifier(record.id),
+  category: [{
+    coding: [{
+      system: 'http://terminology.hl7.org/CodeSystem/condition-category',
+      code: 'encounter-diagnosis',
+      display: 'Encounter Diagnosis',
+    }],
+  }],
+  code: { text: record.title || record.description || 'Unnamed diagnosis' },
+  subject,
+  recordedDate: toFhirDate(record.date),
+  recorder: record.doctor ? { display: record.doctor } : undefined,
+  note: notes(record.title ? record.description : '', record.notes),
+});
+
+const buildAppointment = (appointment, subject) => {
+  const start = toDateObject(appointment.date);
+  const hasStart = start && !isNaN(start.getTime());
+  const minutes = Number(appointment.duration) || undefined;
+  // Appointments created before statuses existed have none. FHIR only allows
+  // proposed or cancelled appointments without a start.
+  const status = FHIR_APPOINTMENT_STATUS[appointment.status] || 'booked';
+  const participant = [{ actor: subject, status: 'accepted' }];
+  if (appointment.doctor) {
+    participant.push({ actor: { display: appointment.doctor }, status: 'accepted' });
+  }
+  if (appointment.location) {
+    participant.push({ actor: { display: appointment.location }, status: 'accepted' });
+  }
+
+  return compact({
+    resourceType: 'Appointment',
+    identifier: identifier(appointment.id),
+    status: hasStart || status === 'cancelled' ? status : 'proposed',
+    specialty: appointment.specialty ? [{ text: appointment.specialty }] : undefined,
+    description: appointment.title || appointment.purpose,
+    start: hasStart ? start.toISOString() : undefined,
+    end: hasStart && minutes ? new Date(start.getTime() + minutes * 60000).toISOString() : undefined,
+    minutesDuration: minutes,
+    comment: appointment.notes,
+    participant,
+  });
+};
+
+const buildDocumentReference = (attachment, record, subject, related) => compact({
+  resourceType: 'DocumentReference',
+  status: 'current',
+  type: { text: record.title || record.type || 'Medical record' },
+  subject,
+  date: toFhirInstant(record.createdAt),
+  description: attachment.name,
+  content: [{
+    attachment: compact({
+      contentType: getAttachmentContentType(attachment),
+      url: attachment.url,
+      title: attachment.name,
+      size: Number.isInteger(attachment.size) && attachment.size > 0 ? attachment.size : undefined,
+    }),
+  }],
+  context: related ? { related: [related] } : undefined,
+});
+
+// Attachments saved offline only have a path on this device, which is no use to anyone else
+const isSharedAttachment = (attachment) => /^https?:\/\//.test(attachment?.url || '');
+
+/**
+ * Build a FHIR R4 collection Bundle
+ * @param {Object} data - { familyMembers, medicalRecords, appointments, userProfile, redactionReport }
+ * @param {Object} options - { createId } returns a UUID for each resource
+ * @returns {Object} the Bundle resource
+ */
+export const buildFhirBundle = (
+  { familyMembers = [], medicalRecords = [], appointments = [], userProfile = {}, redactionReport = null },
+  { createId = Crypto.randomUUID } = {}
+) => {
+  const entries = [];
+  const addEntry = (resource) => {
+    const fullUrl = `urn:uuid:${createId()}`;
+    entries.push({ fullUrl, resource });
+    return { reference: fullUrl, display: resource.name?.[0]?.text };
+  };
+
+  const patients = {};
+  familyMembers.forEach(member => {
+    patients[member.id] = addEntry(buildPatient(member));
+  });
+
+  // Only added when something belongs to the account holder
+  const getSubject = (item) => {
+    const key = patients[item.familyMemberId] ? item.familyMemberId : ACCOUNT_HOLDER_KEY;
+    if (!patients[key]) {
+      patients[key] = addEntry(buildPatient({
+        id: userProfile.uid,
+        name: userProfile.displayName || userProfile.name || item.familyMemberName,
+        email: userProfile.email,
+        phone: userProfile.phone,
+      }));
+    }
+    return patients[key];
+  };
+
+  const reference = ({ reference: ref, display }) => compact({ reference: ref, display });
+
+  medicalRecords.forEach(record => {
+    const subject = reference(getSubject(record));
+    let related = null;
+
+    if (record.type === MEDICAL_RECORD_TYPES.PRESCRIPTION) {
+      related = { reference: addEntry(buildMedicationRequest(record, subject)).reference };
+    } else if (record.type === MEDICAL_RECORD_TYPES.DIAGNOSIS) {
+      related = { reference: addEntry(buildCondition(record, subject)).reference };
+    }
+
+    (record.attachments || []).filter(isSharedAttachment).forEach(attachment => {
+      addEntry(buildDocumentReference(attachment, record, subject, related));
+    });
+  });
+
+  appointments.forEach(appointment => {
+    addEntry(buildAppointment(appointment, reference(getSubject(appointment))));
+  });
+
+  return compact({
+    resourceType: 'Bundle',
+    // Anonymized exports are labelled so receiving systems know details were left out
+    meta: redactionReport ? {
+      security: [{
+        system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+        code: 'REDACTED',
+        display: 'redacted',
+      }],
+    } : undefined,
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: entries,
+  });
+};
+
+/**
+ * How many of each resource type a bundle holds, e.g. for the export summary
+ * @returns {Object} resourceType -> count
+ */
+export const countFhirResources = (bundle) =>
+  (bundle.entry || []).reduce((counts, { resource }) => {
+    counts[resource.resourceType] = (counts[resource.resourceType] || 0) + 1;
+    return counts;
+  }, {});
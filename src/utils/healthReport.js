@@ -0,0 +1,392 @@
+// Family health report
+// buildHealthReport picks what goes in the report: the chosen family members, and for
+// each one the chosen sections, with history limited to the chosen date range.
+// renderHealthReportHTML lays it out for expo-print, one member per page, with a page
+// header and footer that repeat on every printed page. Images are passed in as data
+// URIs, since the print view can't be relied on to load remote files.
+
+import { CODE128 } from 'jsbarcode/bin/barcodes/CODE128';
+import { APPOINTMENT_STATUS, MEDICAL_RECORD_TYPES } from '../constants';
+import { formatDate } from './date';
+import { describeRegimen, formatLocalDate, isRegimenFinished, parseLocalDate } from './medicationSchedule';
+
+export const REPORT_SECTIONS = [
+  { key: 'allergies', label: 'Allergies' },
+  { key: 'bloodType', label: 'Blood type' },
+  { key: 'prescriptions', label: 'Active prescriptions' },
+  { key: 'diagnoses', label: 'Recent diagnoses' },
+  { key: 'appointments', label: 'Upcoming appointments' },
+  { key: 'insurance', label: 'Insurance cards' },
+  { key: 'adherence', label: 'Medication adherence' },
+  { key: 'attachments', label: 'Attachment images' },
+];
+
+export const REPORT_DATE_RANGES = [
+  { key: '3m', label: '3 months', months: 3 },
+  { key: '6m', label: '6 months', months: 6 },
+  { key: '12m', label: '12 months', months: 12 },
+  { key: 'all', label: 'All time', months: null },
+];
+
+export const DEFAULT_REPORT_OPTIONS = {
+  title: 'Family Health Report',
+  sections: REPORT_SECTIONS.map(({ key }) => key),
+  memberIds: null, // null includes everyone
+  dateRange: '12m',
+};
+
+// Records and appointments with no family member belong to the account holder
+export const SELF_MEMBER_ID = 'self';
+
+// Keeps the print view's memory in check on large accounts
+export const MAX_IMAGES_PER_MEMBER = 6;
+
+const CARD_TYPES = [MEDICAL_RECORD_TYPES.INSURANCE, MEDICAL_RECORD_TYPES.HOSPITAL_CARD];
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'heic', 'webp'];
+const FINISHED_APPOINTMENT_STATUSES = [APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED];
+
+export const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// 'YYYY-MM-DD' in local time, from a record date, Firestore timestamp, Date or ISO string
+const toDay = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : formatLocalDate(date);
+};
+
+const toDateTime = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const displayDay = (day) => (day ? formatDate(parseLocalDate(day)) : '');
+
+/**
+ * First day of a REPORT_DATE_RANGES range, or null for all time
+ */
+export const getDateRangeStart = (rangeKey, now = new Date()) => {
+  const range = REPORT_DATE_RANGES.find(({ key }) => key === rangeKey);
+  if (!range || !range.months) return null;
+  const start = new Date(now.getFullYear(), now.getMonth() - range.months, now.getDate());
+  return formatLocalDate(start);
+};
+
+const getMemberKey = (item, memberIds) =>
+  (item.familyMemberId && memberIds.has(item.familyMemberId) ? item.familyMemberId : SELF_MEMBER_ID);
+
+/**
+ * Everyone the report can cover: the family members, and the account holder when
+ * something isn't assigned to a family member
+ * @param {Object} data - { userProfile, familyMembers, medicalRecords, appointments }
+ */
+export const getReportMembers = ({ userProfile = {}, familyMembers = [], medicalRecords = [], appointments = [] }) => {
+  const memberIds = new Set(familyMembers.map(member => member.id));
+  const hasUnassigned = [...medicalRecords, ...appointments]
+    .some(item => getMemberKey(item, memberIds) === SELF_MEMBER_ID);
+
+  return hasUnassigned ?
+    [...familyMembers, { id: SELF_MEMBER_ID, name: userProfile.displayName || userProfile.name || 'Self', relationship: 'Self' }] :
+    familyMembers;
+};
+
+const isImageAttachment = (attachment) => {
+  if (!attachment?.url) return false;
+  if (attachment.type === 'image') return true;
+  return IMAGE_EXTENSIONS.includes((attachment.name || '').split('.').pop().toLowerCase());
+};
+
+/**
+ * Choose what goes in the report
+ * @param {Object} data - { userProfile, familyMembers, medicalRecords, appointments,
+ *   regimens (active medication regimens), medicationAdherence ({ familyMemberId, ...summarizeMemberAdherence }) }
+ * @param {Object} options - see DEFAULT_REPORT_OPTIONS
+ * @returns {Object} { title, generatedAt, from, to, sections, members: [...] }
+ */
+export const buildHealthReport = (data, options = {}, now = new Date()) => {
+  const { title, sections, memberIds, dateRange } = { ...DEFAULT_REPORT_OPTIONS, ...options };
+  const { medicalRecords = [], appointments = [], regimens = [], medicationAdherence = [] } = data;
+  const include = new Set(sections);
+  const from = getDateRangeStart(dateRange, now);
+  const today = formatLocalDate(now);
+  const inRange = (day) => !from || (!!day && day >= from);
+
+  const familyMemberIds = new Set((data.familyMembers || []).map(member => member.id));
+  const belongsTo = (member) => (item) => getMemberKey(item, familyMemberIds) === member.id;
+
+  const members = getReportMembers(data)
+    .filter(member => !memberIds || memberIds.includes(member.id))
+    .map(member => {
+      const records = medicalRecords.filter(belongsTo(member));
+      const recentRecords = records.filter(record => inRange(toDay(record.date)));
+
+      // A prescription is active while its medication schedule runs. Ones without a
+      // schedule can't be told apart, so those prescribed in the range are listed.
+      const prescriptions = records
+        .filter(record => record.type === MEDICAL_RECORD_TYPES.PRESCRIPTION)
+        .map(record => ({ record, regimen: regimens.find(regimen => regimen.recordId === record.id) || null }))
+        .filter(({ record, regimen }) => (regimen ? !isRegimenFinished(regimen, now) : inRange(toDay(record.date))));
+
+      const upcomingAppointments = appointments
+        .filter(belongsTo(member))
+        .filter(appointment => !FINISHED_APPOINTMENT_STATUSES.includes(appointment.status))
+        .map(appointment => ({ ...appointment, start: toDateTime(appointment.date) }))
+        .filter(appointment => appointment.start && toDay(appointment.start) >= today)
+        .sort((a, b) => a.start - b.start);
+
+      const byNewest = (a, b) => (toDay(b.date) || '').localeCompare(toDay(a.date) || '');
+
+      return {
+        member,
+        allergies: include.has('allergies') ? (member.allergies || '').trim() || null : undefined,
+        bloodType: include.has('bloodType') ? member.bloodType || null : undefined,
+        prescriptions: include.has('prescriptions') ?
+          prescriptions.sort((a, b) => byNewest(a.record, b.record)) : undefined,
+        diagnoses: include.has('diagnoses') ?
+          recentRecords.filter(record => record.type === MEDICAL_RECORD_TYPES.DIAGNOSIS).sort(byNewest) : undefined,
+        appointments: include.has('appointments') ? upcomingAppointments : undefined,
+        insuranceCards: include.has('insurance') ?
+          records.filter(record => CARD_TYPES.includes(record.type)) : undefined,
+        adherence: include.has('adherence') ?
+          medicationAdherence.find(summary => (summary.familyMemberId || SELF_MEMBER_ID) === member.id) || null :
+          undefined,
+        images: include.has('attachments') ?
+          recentRecords
+            .sort(byNewest)
+            .flatMap(record => (record.attachments || [])
+              .filter(isImageAttachment)
+              .map(attachment => ({ ...attachment, recordTitle: record.title || '', recordDate: toDay(record.date) })))
+            .slice(0, MAX_IMAGES_PER_MEMBER) :
+          undefined,
+      };
+    });
+
+  return {
+    title,
+    generatedAt: now,
+    from,
+    to: today,
+    sections: REPORT_SECTIONS.filter(({ key }) => include.has(key)),
+    members,
+  };
+};
+
+// Every image the report shows, for the caller to load as data URIs
+export const getReportImages = (report) => report.members.flatMap(({ images }) => images || []);
+
+/**
+ * A Code 128 barcode as inline SVG, or '' when the value can't be encoded
+ */
+export const barcodeSVG = (value, { height = 48, moduleWidth = 1.5 } = {}) => {
+  if (!value) return '';
+  const barcode = new CODE128(String(value), {});
+  if (!barcode.valid()) return '';
+
+  const { data } = barcode.encode();
+  const rects = [];
+  for (let start = 0; start < data.length;) {
+    let end = start;
+    while (end < data.length && data[end] === data[start]) end++;
+    if (data[start] === '1') {
+      rects.push(`<rect x="${start * moduleWidth}" y="0" width="${(end - start) * moduleWidth}" height="${height}"/>`);
+    }
+    start = end;
+  }
+
+  const width = data.length * moduleWidth;
+  return `<svg class="barcode" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><g fill="#000">${rects.join('')}</g></svg>`;
+};
+
+const table = (headers, rows) => `
+  <table>
+    <tr>${headers.map(header => `<th>${escapeHTML(header)}</th>`).join('')}</tr>
+    ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+  </table>`;
+
+const section = (label, body) => `<section><h3>${escapeHTML(label)}</h3>${body}</section>`;
+
+const empty = (text) => `<p class="empty">${escapeHTML(text)}</p>`;
+
+const renderPrescriptions = (prescriptions) => (prescriptions.length === 0 ? empty('No active prescriptions') : table(
+  ['Medication', 'Dosage', 'Prescribed', 'Doctor'],
+  prescriptions.map(({ record, regimen }) => [
+    escapeHTML([record.medicationName || record.title, record.strength].filter(Boolean).join(' ')),
+    escapeHTML(regimen ? describeRegimen(regimen) : [record.frequency, record.duration].filter(Boolean).join(', ')),
+    escapeHTML(displayDay(toDay(record.date))),
+    escapeHTML(record.doctor || ''),
+  ])
+));
+
+const renderDiagnoses = (diagnoses) => (diagnoses.length === 0 ? empty('No diagnoses in this period') : table(
+  ['Date', 'Diagnosis', 'Doctor', 'Notes'],
+  diagnoses.map(record => [
+    escapeHTML(displayDay(toDay(record.date))),
+    escapeHTML(record.title || ''),
+    escapeHTML(record.doctor || ''),
+    escapeHTML(record.description || record.notes || ''),
+  ])
+));
+
+const renderAppointments = (appointments) => (appointments.length === 0 ? empty('No upcoming appointments') : table(
+  ['Date', 'Time', 'Doctor', 'Purpose', 'Location'],
+  appointments.map(appointment => [
+    escapeHTML(formatDate(appointment.start)),
+    escapeHTML(appointment.start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })),
+    escapeHTML(appointment.doctor || ''),
+    escapeHTML(appointment.title || appointment.purpose || ''),
+    escapeHTML(appointment.location || ''),
+  ])
+));
+
+const renderInsuranceCards = (cards) => (cards.length === 0 ? empty('No insurance or hospital cards') : cards.map(card => {
+  const isInsurance = card.type === MEDICAL_RECORD_TYPES.INSURANCE;
+  const name = isInsurance ? card.provider || card.customProvider || 'Insurance' : card.hospital || 'Hospital card';
+  const number = isInsurance ? card.membershipNo : card.cardNumber;
+  const expiry = toDay(card.expiryDate);
+
+  return `
+    <div class="card">
+      <div class="card-name">${escapeHTML(name)}</div>
+      ${number ? `<div>${isInsurance ? 'Membership No' : 'Card No'}: ${escapeHTML(number)}</div>` : ''}
+      ${expiry ? `<div>Expires: ${escapeHTML(displayDay(expiry))}</div>` : ''}
+      ${barcodeSVG(number)}
+    </div>`;
+}).join(''));
+
+const formatPercentage = (percentage) => (percentage === null || percentage === undefined ? 'N/A' : `${percentage}%`);
+
+const renderAdherence = (adherence) => (!adherence || adherence.medications.length === 0 ?
+  empty('No medication schedules') :
+  `<p>Overall: <strong>${formatPercentage(adherence.percentage)}</strong></p>` + table(
+    ['Medication', 'Taken / Due', 'Missed', 'Adherence'],
+    adherence.medications.map(medication => (medication.asNeeded ?
+      [escapeHTML(medication.medicationName), 'As needed', '', ''] :
+      [
+        escapeHTML(medication.medicationName),
+        `${medication.taken} / ${medication.due}`,
+        String(medication.missed),
+        formatPercentage(medication.percentage),
+      ]))
+  ));
+
+const renderImages = (images, thumbnails) => (images.length === 0 ? empty('No images in this period') : `
+  <div class="images">
+    ${images.map(image => `
+      <figure>
+        ${thumbnails[image.url] ? `<img src="${thumbnails[image.url]}" alt="${escapeHTML(image.name)}"/>` : '<div class="missing-image">Image unavailable</div>'}
+        <figcaption>${escapeHTML(image.recordTitle || image.name)}${image.recordDate ? ` &middot; ${escapeHTML(displayDay(image.recordDate))}` : ''}</figcaption>
+      </figure>`).join('')}
+  </div>`);
+
+const renderMember = (memberReport, thumbnails) => {
+  const { member } = memberReport;
+  const details = [
+    member.relationship,
+    member.gender,
+    member.dateOfBirth ? `Born ${member.dateOfBirth}` : '',
+    // Anonymized exports carry an age band instead of the date of birth
+    member.ageBand ? `Age ${member.ageBand}` : '',
+  ].filter(Boolean).map(escapeHTML).join(' &middot; ');
+
+  const parts = [];
+  if (memberReport.bloodType !== undefined || memberReport.allergies !== undefined) {
+    const facts = [];
+    if (memberReport.bloodType !== undefined) {
+      facts.push(`<div><span class="label">Blood type</span> ${escapeHTML(memberReport.bloodType || 'Not recorded')}</div>`);
+    }
+    if (memberReport.allergies !== undefined) {
+      facts.push(`<div><span class="label">Allergies</span> ${escapeHTML(memberReport.allergies || 'None recorded')}</div>`);
+    }
+    parts.push(`<div class="facts">${facts.join('')}</div>`);
+  }
+  if (memberReport.prescriptions) parts.push(section('Active Prescriptions', renderPrescriptions(memberReport.prescriptions)));
+  if (memberReport.diagnoses) parts.push(section('Recent Diagnoses', renderDiagnoses(memberReport.diagnoses)));
+  if (memberReport.appointments) parts.push(section('Upcoming Appointments', renderAppointments(memberReport.appointments)));
+  if (memberReport.insuranceCards) parts.push(section('Insurance Cards', renderInsuranceCards(memberReport.insuranceCards)));
+  if (memberReport.adherence !== undefined) parts.push(section('Medication Adherence', renderAdherence(memberReport.adherence)));
+  if (memberReport.images) parts.push(section('Attachments', renderImages(memberReport.images, thumbnails)));
+
+  const name = member.title ? `${member.title} ${member.name}` : member.name;
+  return `
+    <div class="member">
+      <h2>${escapeHTML(name || 'Family Member')}</h2>
+      ${details ? `<p class="member-details">${details}</p>` : ''}
+      ${parts.join('')}
+    </div>`;
+};
+
+/**
+ * HTML for expo-print
+ * @param {Object} report - from buildHealthReport
+ * @param {Object} options - { thumbnails: image URL -> data URI }
+ */
+export const renderHealthReportHTML = (report, { thumbnails = {} } = {}) => {
+  const period = report.from ? `${displayDay(report.from)} – ${displayDay(report.to)}` : 'All records';
+  const generated = `${formatDate(report.generatedAt)} ${report.generatedAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`;
+  const members = report.members.length > 0 ?
+    report.members.map(memberReport => renderMember(memberReport, thumbnails)).join('') :
+    empty('No family members selected');
+
+  // The header and footer sit in the thead and tfoot of a table around the whole
+  // report; print engines repeat those on every page
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHTML(report.title)}</title>
+    <style>
+      @page { margin: 12mm; }
+      body { font-family: -apple-system, Roboto, Arial, sans-serif; color: #1f2937; font-size: 12px; margin: 0; }
+      .page { width: 100%; border-collapse: collapse; }
+      .page > thead td, .page > tfoot td { padding: 0; border: none; }
+      .page-header { display: flex; justify-content: space-between; border-bottom: 2px solid #6366f1; padding-bottom: 6px; margin-bottom: 12px; }
+      .page-header .title { color: #6366f1; font-weight: bold; font-size: 14px; }
+      .page-header .period { color: #6b7280; }
+      .page-footer { border-top: 1px solid #e5e7eb; margin-top: 12px; padding-top: 6px; color: #9ca3af; font-size: 10px; display: flex; justify-content: space-between; }
+      .member { page-break-before: always; }
+      .member:first-child { page-break-before: auto; }
+      h2 { color: #111827; margin: 0 0 4px; font-size: 18px; }
+      h3 { color: #6366f1; font-size: 13px; margin: 16px 0 6px; border-bottom: 1px solid #eef2ff; padding-bottom: 3px; }
+      section { page-break-inside: avoid; }
+      .member-details { color: #6b7280; margin: 0 0 8px; }
+      .facts { display: flex; gap: 24px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 12px; }
+      .label { color: #6b7280; margin-right: 4px; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { text-align: left; padding: 5px 6px; border: 1px solid #e5e7eb; vertical-align: top; }
+      th { background: #f3f4f6; }
+      .empty { color: #9ca3af; font-style: italic; margin: 4px 0; }
+      .card { display: inline-block; border: 1px solid #d1d5db; border-radius: 8px; padding: 8px 12px; margin: 0 8px 8px 0; page-break-inside: avoid; }
+      .card-name { font-weight: bold; margin-bottom: 2px; }
+      .barcode { display: block; margin-top: 6px; }
+      .images { display: flex; flex-wrap: wrap; gap: 8px; }
+      figure { margin: 0; width: 31%; page-break-inside: avoid; }
+      figure img { width: 100%; height: 140px; object-fit: cover; border-radius: 4px; border: 1px solid #e5e7eb; }
+      .missing-image { height: 140px; display: flex; align-items: center; justify-content: center; background: #f3f4f6; color: #9ca3af; border-radius: 4px; }
+      figcaption { color: #6b7280; font-size: 10px; margin-top: 2px; }
+    </style>
+  </head>
+  <body>
+    <table class="page">
+      <thead><tr><td>
+        <div class="page-header">
+          <span class="title">${escapeHTML(report.title)}</span>
+          <span class="period">${escapeHTML(period)}</span>
+        </div>
+      </td></tr></thead>
+      <tfoot><tr><td>
+        <div class="page-footer">
+          <span>Confidential health information</span>
+          <span>Generated ${escapeHTML(generated)}</span>
+        </div>
+      </td></tr></tfoot>
+      <tbody><tr><td>${members}</td></tr></tbody>
+    </table>
+  </body>
+</html>`;
+};
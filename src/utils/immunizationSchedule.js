@@ -0,0 +1,339 @@
+// Immunization schedules
+// A schedule lists vaccines and when each dose is due: at an age, or an interval after the
+// previous dose. Due dates are worked out from a family member's dateOfBirth and matched
+// against their vaccination records. Users can edit the default vaccines and add their own.
+// Doses missed past a vaccine's catch-up age are reported as not recorded rather than overdue,
+// so adults are not flagged for every childhood vaccine.
+
+// Routine schedule based on the Ghana Expanded Programme on Immunization
+export const DEFAULT_IMMUNIZATION_SCHEDULE = [
+  {
+    id: 'bcg',
+    name: 'BCG',
+    catchUpUntil: { years: 5 },
+    doses: [{ dose: 1, age: { weeks: 0 } }],
+  },
+  {
+    id: 'hepb_birth',
+    name: 'Hepatitis B (birth dose)',
+    catchUpUntil: { weeks: 2 },
+    doses: [{ dose: 1, age: { weeks: 0 } }],
+  },
+  {
+    id: 'opv',
+    name: 'Oral Polio (OPV)',
+    catchUpUntil: { years: 5 },
+    doses: [
+      { dose: 1, age: { weeks: 0 } },
+      { dose: 2, age: { weeks: 6 } },
+      { dose: 3, age: { weeks: 10 } },
+      { dose: 4, age: { weeks: 14 } },
+    ],
+  },
+  {
+    id: 'penta',
+    name: 'Pentavalent (DTP-HepB-Hib)',
+    catchUpUntil: { years: 5 },
+    doses: [
+      { dose: 1, age: { weeks: 6 } },
+      { dose: 2, age: { weeks: 10 } },
+      { dose: 3, age: { weeks: 14 } },
+    ],
+  },
+  {
+    id: 'pcv',
+    name: 'Pneumococcal (PCV)',
+    catchUpUntil: { years: 5 },
+    doses: [
+      { dose: 1, age: { weeks: 6 } },
+      { dose: 2, age: { weeks: 10 } },
+      { dose: 3, age: { weeks: 14 } },
+    ],
+  },
+  {
+    id: 'rotavirus',
+    name: 'Rotavirus',
+    catchUpUntil: { months: 24 },
+    doses: [
+      { dose: 1, age: { weeks: 6 } },
+      { dose: 2, age: { weeks: 10 } },
+      { dose: 3, age: { weeks: 14 } },
+    ],
+  },
+  {
+    id: 'ipv',
+    name: 'Inactivated Polio (IPV)',
+    catchUpUntil: { years: 5 },
+    doses: [{ dose: 1, age: { weeks: 14 } }],
+  },
+  {
+    id: 'malaria',
+    name: 'Malaria (RTS,S)',
+    catchUpUntil: { years: 5 },
+    doses: [
+      { dose: 1, age: { months: 6 } },
+      { dose: 2, age: { months: 7 } },
+      { dose: 3, age: { months: 9 } },
+      { dose: 4, age: { months: 24 } },
+    ],
+  },
+  {
+    id: 'measles_rubella',
+    name: 'Measles-Rubella',
+    catchUpUntil: { years: 15 },
+    doses: [
+      { dose: 1, age: { months: 9 } },
+      { dose: 2, age: { months: 18 } },
+    ],
+  },
+  {
+    id: 'yellow_fever',
+    name: 'Yellow Fever',
+    catchUpUntil: { years: 5 },
+    doses: [{ dose: 1, age: { months: 9 } }],
+  },
+  {
+    id: 'men_a',
+    name: 'Meningococcal A',
+    catchUpUntil: { years: 5 },
+    doses: [{ dose: 1, age: { months: 18 } }],
+  },
+  {
+    id: 'hpv',
+    name: 'HPV',
+    gender: 'female',
+    catchUpUntil: { years: 15 },
+    doses: [{ dose: 1, age: { years: 9 } }],
+  },
+];
+
+export const IMMUNIZATION_STATUS = {
+  COMPLETED: 'completed',
+  OVERDUE: 'overdue',
+  DUE: 'due',
+  UPCOMING: 'upcoming',
+  NOT_RECORDED: 'not_recorded',
+};
+
+// Doses due within this many days are shown as due
+export const DUE_SOON_DAYS = 30;
+
+// Units an age or interval can be given in
+export const AGE_UNITS = ['weeks', 'months', 'years'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Parse a date saved as YYYY-MM-DD, or as MM/DD/YYYY (dates of birth from FamilyMemberScreen)
+ * @returns {Date|null}
+ */
+export const parseDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return startOfDay(value.toDate());
+  if (value instanceof Date) return startOfDay(value);
+
+  const text = String(value);
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed) ? null : startOfDay(parsed);
+};
+
+/**
+ * The date a child reaches an age
+ * @param {Object} age - { weeks } | { months } | { years }
+ */
+export const addAge = (dateOfBirth, age = {}) => {
+  const date = new Date(dateOfBirth);
+  if (age.years) date.setFullYear(date.getFullYear() + age.years);
+  if (age.months) date.setMonth(date.getMonth() + age.months);
+  if (age.weeks) date.setDate(date.getDate() + age.weeks * 7);
+  return date;
+};
+
+export const formatAge = (age = {}) => {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (age.years) return plural(age.years, 'year');
+  if (age.months) return plural(age.months, 'month');
+  if (age.weeks) return plural(age.weeks, 'week');
+  return 'Birth';
+};
+
+/**
+ * When a dose is due, e.g. "6 weeks" or "4 weeks after dose 1"
+ */
+export const formatDoseTiming = (dose) => (
+  dose.interval ? `${formatAge(dose.interval)} after dose ${dose.dose - 1}` : formatAge(dose.age)
+);
+
+/**
+ * The default schedule with a user's changes: vaccines they edited replace the default ones
+ * and vaccines they added come after them
+ * @param {Object} vaccines - { [vaccineId]: vaccine } edited or added by the user
+ */
+export const applyScheduleChanges = (vaccines = {}, schedule = DEFAULT_IMMUNIZATION_SCHEDULE) => {
+  const defaultIds = schedule.map(vaccine => vaccine.id);
+  return [
+    ...schedule.map(vaccine => vaccines[vaccine.id] || vaccine),
+    ...Object.values(vaccines).filter(vaccine => !defaultIds.includes(vaccine.id)),
+  ];
+};
+
+const isValidAge = (age, { allowZero }) => {
+  const units = Object.keys(age || {});
+  if (units.length !== 1 || !AGE_UNITS.includes(units[0])) return false;
+  const value = age[units[0]];
+  return Number.isInteger(value) && (allowZero ? value >= 0 : value > 0);
+};
+
+/**
+ * Problems with a vaccine a user added or edited
+ * The first dose is due at an age; later doses at an age or an interval after the dose before.
+ * @returns {string[]} empty when the vaccine can be saved
+ */
+export const validateVaccine = (vaccine) => {
+  const errors = [];
+  if (!vaccine.name || !vaccine.name.trim()) {
+    errors.push('Enter the vaccine name');
+  }
+  if (!vaccine.doses || vaccine.doses.length === 0) {
+    errors.push('Add at least one dose');
+  }
+
+  (vaccine.doses || []).forEach((dose, index) => {
+    const valid = dose.interval
+      ? index > 0 && isValidAge(dose.interval, { allowZero: false })
+      : isValidAge(dose.age, { allowZero: true });
+    if (!valid) {
+      errors.push(index === 0 && dose.interval
+        ? 'The first dose must be due at an age'
+        : `Enter when dose ${index + 1} is due`);
+    }
+  });
+
+  if (vaccine.catchUpUntil && !isValidAge(vaccine.catchUpUntil, { allowZero: false })) {
+    errors.push('Enter a valid catch-up age');
+  }
+
+  return errors;
+};
+
+export const getVaccine = (vaccineId, schedule = DEFAULT_IMMUNIZATION_SCHEDULE) => {
+  return schedule.find(vaccine => vaccine.id === vaccineId) || null;
+};
+
+/**
+ * Display name of the vaccine on a vaccination record
+ */
+export const getVaccineDisplayName = (record, schedule = DEFAULT_IMMUNIZATION_SCHEDULE) => {
+  if (record.vaccine === 'other') return record.customVaccine || 'Other vaccine';
+  return getVaccine(record.vaccine, schedule)?.name || record.vaccine || '';
+};
+
+/**
+ * Title for a vaccination record, e.g. "Pentavalent (DTP-HepB-Hib) - Dose 2"
+ */
+export const getVaccinationTitle = (record, schedule = DEFAULT_IMMUNIZATION_SCHEDULE) => {
+  const name = getVaccineDisplayName(record, schedule);
+  return record.doseNumber ? `${name} - Dose ${record.doseNumber}` : name;
+};
+
+const appliesTo = (vaccine, member) => {
+  if (!vaccine.gender) return true;
+  return (member.gender || '').toLowerCase() === vaccine.gender;
+};
+
+/**
+ * Assign a member's vaccination records to the doses of a vaccine
+ * Records with a dose number fill that dose; the rest fill the earliest open doses in date order.
+ * @returns {Object} { [dose]: record }
+ */
+const matchDoses = (vaccine, records) => {
+  const matched = {};
+  const unnumbered = [];
+
+  records
+    .filter(record => record.vaccine === vaccine.id)
+    .sort((a, b) => (parseDate(a.date) || 0) - (parseDate(b.date) || 0))
+    .forEach(record => {
+      const doseNumber = Number(record.doseNumber);
+      if (doseNumber && vaccine.doses.some(dose => dose.dose === doseNumber) && !matched[doseNumber]) {
+        matched[doseNumber] = record;
+      } else {
+        unnumbered.push(record);
+      }
+    });
+
+  vaccine.doses.forEach(dose => {
+    if (!matched[dose.dose] && unnumbered.length > 0) {
+      matched[dose.dose] = unnumbered.shift();
+    }
+  });
+
+  return matched;
+};
+
+/**
+ * Work out the immunization checklist for a family member
+ * @param {Object} member - family member with dateOfBirth (and gender)
+ * @param {Array} records - the member's medical records; only vaccinations are used
+ * @param {Object} options - { schedule, now }
+ * @returns {{ vaccines: Array, summary: Object }|null} null when the date of birth is unknown
+ */
+export const buildImmunizationChecklist = (member, records = [], { schedule = DEFAULT_IMMUNIZATION_SCHEDULE, now = new Date() } = {}) => {
+  const dateOfBirth = parseDate(member.dateOfBirth);
+  if (!dateOfBirth) return null;
+
+  const today = startOfDay(now);
+  const vaccinations = records.filter(record => record.type === 'vaccination');
+  const summary = { completed: 0, overdue: 0, due: 0, upcoming: 0, notRecorded: 0 };
+
+  const vaccines = schedule
+    .filter(vaccine => appliesTo(vaccine, member))
+    .map(vaccine => {
+      const matched = matchDoses(vaccine, vaccinations);
+      const catchUpEnd = vaccine.catchUpUntil ? addAge(dateOfBirth, vaccine.catchUpUntil) : null;
+
+      // Doses given as an interval count from when the dose before was given, or was due
+      let previousDate = null;
+      const doses = vaccine.doses.map(dose => {
+        const dueDate = dose.interval && previousDate
+          ? addAge(previousDate, dose.interval)
+          : addAge(dateOfBirth, dose.age);
+        const record = matched[dose.dose] || null;
+        const daysUntilDue = Math.round((dueDate - today) / DAY);
+        previousDate = (record && parseDate(record.date)) || dueDate;
+
+        let status;
+        if (record) {
+          status = IMMUNIZATION_STATUS.COMPLETED;
+        } else if (catchUpEnd && catchUpEnd <= today) {
+          status = IMMUNIZATION_STATUS.NOT_RECORDED;
+        } else if (daysUntilDue < 0) {
+          status = IMMUNIZATION_STATUS.OVERDUE;
+        } else if (daysUntilDue <= DUE_SOON_DAYS) {
+          status = IMMUNIZATION_STATUS.DUE;
+        } else {
+          status = IMMUNIZATION_STATUS.UPCOMING;
+        }
+
+        const summaryKey = status === IMMUNIZATION_STATUS.NOT_RECORDED ? 'notRecorded' : status;
+        summary[summaryKey] += 1;
+
+        return { dose: dose.dose, age: dose.age, interval: dose.interval, dueDate, status, record };
+      });
+
+      return { id: vaccine.id, name: vaccine.name, doses };
+    });
+
+  return { vaccines, summary };
+};
@@ -0,0 +1,374 @@
+// Lab result analytes
+// A lab_result record holds a list of analytes: { name, value, unit, referenceRange, flag }.
+// Common analytes are recognised by name and stored in one canonical unit, so results
+// from labs that report in different units can be charted together.
+
+export const LAB_FLAG = {
+  LOW: 'low',
+  HIGH: 'high',
+  NORMAL: 'normal',
+};
+
+// Canonical unit, default adult reference range and conversions into the canonical unit
+export const ANALYTE_DEFINITIONS = [
+  {
+    id: 'hba1c',
+    name: 'HbA1c',
+    aliases: ['hba1c', 'a1c', 'glycated hemoglobin', 'glycated haemoglobin', 'glycosylated hemoglobin'],
+    unit: '%',
+    decimals: 1,
+    range: { low: 4.0, high: 5.6 },
+    conversions: { 'mmol/mol': value => 0.0915 * value + 2.15 },
+  },
+  {
+    id: 'glucose',
+    name: 'Fasting Glucose',
+    aliases: ['glucose', 'fasting glucose', 'fasting blood sugar', 'fbs', 'blood glucose', 'fasting blood glucose'],
+    unit: 'mmol/L',
+    decimals: 1,
+    range: { low: 3.9, high: 5.5 },
+    conversions: { 'mg/dL': value => value / 18.016 },
+  },
+  {
+    id: 'total_cholesterol',
+    name: 'Total Cholesterol',
+    aliases: ['total cholesterol', 'cholesterol', 'chol', 'tc'],
+    unit: 'mmol/L',
+    decimals: 2,
+    range: { low: null, high: 5.2 },
+    conversions: { 'mg/dL': value => value / 38.67 },
+  },
+  {
+    id: 'ldl',
+    name: 'LDL Cholesterol',
+    aliases: ['ldl', 'ldl cholesterol', 'ldl-c', 'ldl-cholesterol'],
+    unit: 'mmol/L',
+    decimals: 2,
+    range: { low: null, high: 3.4 },
+    conversions: { 'mg/dL': value => value / 38.67 },
+  },
+  {
+    id: 'hdl',
+    name: 'HDL Cholesterol',
+    aliases: ['hdl', 'hdl cholesterol', 'hdl-c', 'hdl-cholesterol'],
+    unit: 'mmol/L',
+    decimals: 2,
+    range: { low: 1.0, high: null },
+    conversions: { 'mg/dL': value => value / 38.67 },
+  },
+  {
+    id: 'triglycerides',
+    name: 'Triglycerides',
+    aliases: ['triglycerides', 'triglyceride', 'tg', 'trig'],
+    unit: 'mmol/L',
+    decimals: 2,
+    range: { low: null, high: 1.7 },
+    conversions: { 'mg/dL': value => value / 88.57 },
+  },
+  {
+    id: 'creatinine',
+    name: 'Creatinine',
+    aliases: ['creatinine', 'serum creatinine', 'creat'],
+    unit: 'µmol/L',
+    decimals: 0,
+    range: { low: 60, high: 110 },
+    conversions: { 'mg/dL': value => value * 88.4 },
+  },
+  {
+    id: 'hemoglobin',
+    name: 'Hemoglobin',
+    aliases: ['hemoglobin', 'haemoglobin', 'hb', 'hgb'],
+    unit: 'g/dL',
+    decimals: 1,
+    range: { low: 12.0, high: 17.5 },
+    conversions: { 'g/L': value => value / 10, 'mmol/L': value => value * 1.611 },
+  },
+  {
+    id: 'wbc',
+    name: 'White Blood Cells',
+    aliases: ['wbc', 'white blood cells', 'white blood cell count', 'white cell count', 'total wbc'],
+    unit: '10^9/L',
+    decimals: 1,
+    range: { low: 4.0, high: 11.0 },
+    conversions: { '10^3/µL': value => value, 'cells/µL': value => value / 1000 },
+  },
+  {
+    id: 'platelets',
+    name: 'Platelets',
+    aliases: ['platelets', 'platelet count', 'plt'],
+    unit: '10^9/L',
+    decimals: 0,
+    range: { low: 150, high: 400 },
+    conversions: { '10^3/µL': value => value },
+  },
+  {
+    id: 'alt',
+    name: 'ALT',
+    aliases: ['alt', 'sgpt', 'alanine aminotransferase'],
+    unit: 'U/L',
+    decimals: 0,
+    range: { low: 7, high: 56 },
+    conversions: {},
+  },
+  {
+    id: 'ast',
+    name: 'AST',
+    aliases: ['ast', 'sgot', 'aspartate aminotransferase'],
+    unit: 'U/L',
+    decimals: 0,
+    range: { low: 10, high: 40 },
+    conversions: {},
+  },
+  {
+    id: 'tsh',
+    name: 'TSH',
+    aliases: ['tsh', 'thyroid stimulating hormone'],
+    unit: 'mIU/L',
+    decimals: 2,
+    range: { low: 0.4, high: 4.0 },
+    conversions: { 'µIU/mL': value => value },
+  },
+];
+
+// Spellings labs use for the same unit, keyed by the lower-case unit without spaces
+const UNIT_SPELLINGS = {
+  '%': '%',
+  'mg/dl': 'mg/dL',
+  'mmol/l': 'mmol/L',
+  'mmol/mol': 'mmol/mol',
+  'µmol/l': 'µmol/L',
+  'umol/l': 'µmol/L',
+  'g/dl': 'g/dL',
+  'g/l': 'g/L',
+  'u/l': 'U/L',
+  'iu/l': 'U/L',
+  'miu/l': 'mIU/L',
+  'µiu/ml': 'µIU/mL',
+  'uiu/ml': 'µIU/mL',
+  '10^9/l': '10^9/L',
+  'x10^9/l': '10^9/L',
+  '10^3/µl': '10^3/µL',
+  '10^3/ul': '10^3/µL',
+  'x10^3/µl': '10^3/µL',
+  'x10^3/ul': '10^3/µL',
+  'k/µl': '10^3/µL',
+  'k/ul': '10^3/µL',
+  'cells/µl': 'cells/µL',
+  'cells/ul': 'cells/µL',
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[:*]/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * The known analyte a name refers to, if any
+ */
+export const findAnalyte = (name) => {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+  return ANALYTE_DEFINITIONS.find(definition =>
+    definition.id === normalized || definition.aliases.includes(normalized)
+  ) || null;
+};
+
+/**
+ * Standard spelling of a unit, e.g. "mg/dl" -> "mg/dL", "umol/L" -> "µmol/L"
+ */
+export const normalizeUnit = (unit) => {
+  if (!unit) return '';
+  // Greek mu and the micro sign look alike but differ
+  const key = String(unit).replace(/\s+/g, '').replace(/μ/g, 'µ').replace(/×/g, 'x').toLowerCase();
+  return UNIT_SPELLINGS[key] || String(unit).trim();
+};
+
+const parseNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Parse a printed reference range: "4.0-5.6", "4.0 – 5.6", "<5.2", "> 1.0"
+ * @returns {{ low: number|null, high: number|null }|null}
+ */
+export const parseReferenceRange = (text) => {
+  if (!text) return null;
+  const value = String(text).trim();
+
+  let match = value.match(/^(-?\d+(?:\.\d+)?)\s*(?:-|–|—|to)\s*(-?\d+(?:\.\d+)?)/i);
+  if (match) {
+    return { low: Number(match[1]), high: Number(match[2]) };
+  }
+  match = value.match(/^(?:<|≤|<=|up to)\s*(\d+(?:\.\d+)?)/i);
+  if (match) {
+    return { low: null, high: Number(match[1]) };
+  }
+  match = value.match(/^(?:>|≥|>=)\s*(\d+(?:\.\d+)?)/);
+  if (match) {
+    return { low: Number(match[1]), high: null };
+  }
+  return null;
+};
+
+export const formatReferenceRange = (range) => {
+  if (!range) return '';
+  const { low, high } = range;
+  if (low !== null && low !== undefined && high !== null && high !== undefined) return `${low}-${high}`;
+  if (high !== null && high !== undefined) return `<${high}`;
+  if (low !== null && low !== undefined) return `>${low}`;
+  return '';
+};
+
+export const getAnalyteFlag = (value, low, high) => {
+  if (value === null || value === undefined) return null;
+  if (low !== null && low !== undefined && value < low) return LAB_FLAG.LOW;
+  if (high !== null && high !== undefined && value > high) return LAB_FLAG.HIGH;
+  if ((low === null || low === undefined) && (high === null || high === undefined)) return null;
+  return LAB_FLAG.NORMAL;
+};
+
+// Flags printed next to results: "H", "L", "High", "Low"
+const parseReportedFlag = (flag) => {
+  const value = normalizeName(flag);
+  if (['h', 'high', LAB_FLAG.HIGH].includes(value)) return LAB_FLAG.HIGH;
+  if (['l', 'low', LAB_FLAG.LOW].includes(value)) return LAB_FLAG.LOW;
+  if (['n', LAB_FLAG.NORMAL].includes(value)) return LAB_FLAG.NORMAL;
+  return null;
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Normalize an analyte as entered or scanned
+ * Known analytes are renamed to their standard name and converted to the canonical unit,
+ * along with their reference range; the reported value and unit are kept alongside.
+ * The flag is worked out from the reference range, falling back to the reported flag.
+ * @returns {Object|null} null when the analyte has no name or no numeric value
+ */
+export const normalizeAnalyte = (analyte) => {
+  const name = String(analyte.name || '').trim();
+  let value = parseNumber(analyte.value);
+  if (!name || value === null) return null;
+
+  const definition = findAnalyte(name);
+  let unit = normalizeUnit(analyte.unit) || definition?.unit || '';
+  let range = parseReferenceRange(analyte.referenceRange);
+  const normalized = {
+    name: definition ? definition.name : name,
+    analyteId: definition ? definition.id : null,
+  };
+
+  if (definition && unit !== definition.unit) {
+    const convert = definition.conversions[unit];
+    if (convert) {
+      normalized.originalValue = value;
+      normalized.originalUnit = unit;
+      value = round(convert(value), definition.decimals);
+      if (range) {
+        range = {
+          low: range.low === null ? null : round(convert(range.low), definition.decimals),
+          high: range.high === null ? null : round(convert(range.high), definition.decimals),
+        };
+      }
+      unit = definition.unit;
+    }
+  } else if (analyte.originalUnit) {
+    // Already normalized when it was first saved
+    normalized.originalValue = analyte.originalValue;
+    normalized.originalUnit = analyte.originalUnit;
+  }
+
+  if (!range && definition && unit === definition.unit) {
+    range = definition.range;
+  }
+
+  const computedFlag = range ? getAnalyteFlag(value, range.low, range.high) : null;
+
+  return {
+    ...normalized,
+    value,
+    unit,
+    referenceRange: formatReferenceRange(range),
+    flag: computedFlag || parseReportedFlag(analyte.flag),
+  };
+};
+
+export const normalizeAnalytes = (analytes = []) => analytes.map(normalizeAnalyte).filter(Boolean);
+
+export const isOutOfRange = (analyte) => analyte.flag === LAB_FLAG.LOW || analyte.flag === LAB_FLAG.HIGH;
+
+// Known analytes are grouped by id, others by name
+export const getAnalyteKey = (analyte) => analyte.analyteId || normalizeName(analyte.name);
+
+const parseRecordDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const parsed = new Date(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Readings of one analyte across lab result records, oldest first
+ * Readings in a different unit from the latest one are left out, as they cannot share an axis.
+ * @returns {Array<{ date, value, unit, flag, referenceRange, recordId }>}
+ */
+export const buildAnalyteTrend = (records, analyteKey) => {
+  const points = [];
+
+  records
+    .filter(record => record.type === 'lab_result')
+    .forEach(record => {
+      const date = parseRecordDate(record.date);
+      if (!date) return;
+
+      (record.analytes || [])
+        .filter(analyte => getAnalyteKey(analyte) === analyteKey && typeof analyte.value === 'number')
+        .forEach(analyte => {
+          points.push({
+            date,
+            value: analyte.value,
+            unit: analyte.unit,
+            flag: analyte.flag,
+            referenceRange: parseReferenceRange(analyte.referenceRange),
+            recordId: record.id,
+          });
+        });
+    });
+
+  points.sort((a, b) => a.date - b.date);
+  const latestUnit = points.length > 0 ? points[points.length - 1].unit : null;
+  return points.filter(point => point.unit === latestUnit);
+};
+
+/**
+ * Every analyte recorded for a member, with its latest reading
+ * @returns {Array<{ key, name, count, latest }>} sorted by name
+ */
+export const getRecordedAnalytes = (records) => {
+  const byKey = {};
+
+  records
+    .filter(record => record.type === 'lab_result')
+    .forEach(record => {
+      const date = parseRecordDate(record.date);
+      (record.analytes || []).forEach(analyte => {
+        const key = getAnalyteKey(analyte);
+        const entry = byKey[key] || { key, name: analyte.name, count: 0, latest: null, latestDate: null };
+        entry.count += 1;
+        if (!entry.latestDate || (date && date > entry.latestDate)) {
+          entry.latest = analyte;
+          entry.latestDate = date;
+        }
+        byKey[key] = entry;
+      });
+    });
+
+  return Object.values(byKey)
+    .map(({ latestDate, ...entry }) => entry)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -0,0 +1,162 @@
+// Account ledger
+// Every change to an account's balance is recorded in an append-only ledger: an 'opening'
+// entry for the initial balance (and for any later change to it), and an entry whenever a
+// transaction is created, changed or deleted holding the amount it moved the balance by.
+// Entries are never edited or removed, so an account's balance is the sum of its entries;
+// the balance stored on the account is a copy written in the same commit as the entries.
+import { getBalanceEffect } from './transfers';
+
+export const LEDGER_REASONS = {
+  OPENING: 'opening',
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted'
+};
+
+export const DISCREPANCY_TYPES = {
+  // The stored balance differs from the sum of the ledger
+  BALANCE: 'balance',
+  // The opening entries differ from the account's initial balance
+  OPENING: 'opening',
+  // A transaction has no ledger entries
+  MISSING: 'missing',
+  // A transaction's ledger entries add up to a different amount than it moves
+  MISMATCH: 'mismatch',
+  // Ledger entries remain for a transaction that no longer exists
+  ORPHANED: 'orphaned'
+};
+
+export const roundLedgerAmount = (amount) => Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+// Unknown transaction types leave the balance alone
+const getEffect = (transaction) => (transaction ? getBalanceEffect(transaction) || 0 : 0);
+
+/**
+ * Ledger entries for a change to a transaction
+ * @param {string} transactionId
+ * @param {Object|null} before - the transaction before the change, null when it is created
+ * @param {Object|null} after - the transaction after the change, null when it is deleted
+ * @returns {Array<{ accountId: string, transactionId: string, amount: number, reason: string }>}
+ */
+export const getLedgerEntries = (transactionId, before, after) => {
+  let reason = LEDGER_REASONS.UPDATED;
+  if (!before) reason = LEDGER_REASONS.CREATED;
+  if (!after) reason = LEDGER_REASONS.DELETED;
+
+  const amounts = {};
+  if (before?.accountId) {
+    amounts[before.accountId] = (amounts[before.accountId] || 0) - getEffect(before);
+  }
+  if (after?.accountId) {
+    amounts[after.accountId] = (amounts[after.accountId] || 0) + getEffect(after);
+  }
+
+  return Object.entries(amounts)
+    .map(([accountId, amount]) => ({ accountId, transactionId, amount: roundLedgerAmount(amount), reason }))
+    .filter(entry => entry.amount !== 0);
+};
+
+/**
+ * Sum of the entries for each account
+ * @returns {Object<string, number>}
+ */
+export const getLedgerTotals = (entries) => entries.reduce((totals, entry) => ({
+  ...totals,
+  [entry.accountId]: roundLedgerAmount((totals[entry.accountId] || 0) + roundLedgerAmount(entry.amount))
+}), {});
+
+// Net ledger amount for each transaction, and the sum of the opening entries
+const summarizeEntries = (entries) => entries.reduce((summary, entry) => {
+  const amount = roundLedgerAmount(entry.amount);
+  if (entry.reason === LEDGER_REASONS.OPENING) {
+    return { ...summary, opening: roundLedgerAmount(summary.opening + amount) };
+  }
+  return {
+    ...summary,
+    byTransaction: {
+      ...summary.byTransaction,
+      [entry.transactionId]: roundLedgerAmount((summary.byTransaction[entry.transactionId] || 0) + amount)
+    }
+  };
+}, { opening: 0, byTransaction: {} });
+
+/**
+ * Compares an account with its ledger and its transactions. Nothing is changed; anything
+ * that does not add up is listed for the user to look into.
+ * @param {Object} account
+ * @param {Array} entries - the account's ledger entries
+ * @param {Array} transactions - the account's transactions
+ * @returns {{ accountId: string, storedBalance: number, ledgerBalance: number, transactionBalance: number,
+ *   hasLedger: boolean, discrepancies: Array<{ type: string, transactionId?: string, expected: number, actual: number }> }}
+ */
+export const checkAccountLedger = (account, entries, transactions) => {
+  const storedBalance = roundLedgerAmount(account.balance);
+  const initialBalance = roundLedgerAmount(account.initialBalance);
+  const ledgerBalance = getLedgerTotals(entries)[account.id] || 0;
+  const { opening, byTransaction } = summarizeEntries(entries);
+  const discrepancies = [];
+
+  if (storedBalance !== ledgerBalance) {
+    discrepancies.push({ type: DISCREPANCY_TYPES.BALANCE, expected: ledgerBalance, actual: storedBalance });
+  }
+
+  if (opening !== initialBalance) {
+    discrepancies.push({ type: DISCREPANCY_TYPES.OPENING, expected: initialBalance, actual: opening });
+  }
+
+  let transactionBalance = initialBalance;
+  transactions.forEach(transaction => {
+    const expected = roundLedgerAmount(getEffect(transaction));
+    transactionBalance = roundLedgerAmount(transactionBalance + expected);
+
+    const recorded = byTransaction[transaction.id];
+    if (recorded === undefined) {
+      if (expected !== 0) {
+        discrepancies.push({ type: DISCREPANCY_TYPES.MISSING, transactionId: transaction.id, expected, actual: 0 });
+      }
+    } else if (recorded !== expected) {
+      discrepancies.push({ type: DISCREPANCY_TYPES.MISMATCH, transactionId: transaction.id, expected, actual: recorded });
+    }
+  });
+
+  const transactionIds = new Set(transactions.map(transaction => transaction.id));
+  Object.entries(byTransaction).forEach(([transactionId, recorded]) => {
+    if (!transactionIds.has(transactionId) && recorded !== 0) {
+      discrepancies.push({ type: DISCREPANCY_TYPES.ORPHANED, transactionId, expected: 0, actual: recorded });
+    }
+  });
+
+  return {
+    accountId: account.id,
+    storedBalance,
+    ledgerBalance,
+    transactionBalance,
+    hasLedger: entries.length > 0,
+    discrepancies
+  };
+};
+
+/**
+ * Entries that record the history of an account from before it had a ledger: an opening
+ * entry if there is none, and an entry for each transaction that has none. Entries that
+ * exist already are left as they are.
+ * @returns {Array<{ accountId: string, transactionId: string|null, amount: number, reason: string }>}
+ */
+export const getMissingLedgerEntries = (account, entries, transactions) => {
+  const missing = [];
+  const hasOpening = entries.some(entry => entry.reason === LEDGER_REASONS.OPENING);
+  const initialBalance = roundLedgerAmount(account.initialBalance);
+
+  if (!hasOpening && initialBalance !== 0) {
+    missing.push({ accountId: account.id, transactionId: null, amount: initialBalance, reason: LEDGER_REASONS.OPENING });
+  }
+
+  const recordedIds = new Set(entries.map(entry => entry.transactionId).filter(Boolean));
+  transactions
+    .filter(transaction => !recordedIds.has(transaction.id))
+    .forEach(transaction => {
+      missing.push(...getLedgerEntries(transaction.id, null, transaction));
+    });
+
+  return missing;
+};
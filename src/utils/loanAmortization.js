@@ -0,0 +1,279 @@
+// Loan amortization
+// A loan is repaid in `term` installments, one every payment period from startDate.
+// interestRate is a yearly percentage and is turned into a rate per period, so the
+// interest owed depends on how long the loan runs. Each installment in the schedule is
+// split into principal and interest; payments are matched against the schedule in
+// order, and an installment not covered by the end of its grace period owes a late fee.
+
+export const INTEREST_METHODS = {
+  FLAT: 'flat', // simple interest on the full amount for the whole term
+  REDUCING: 'reducing', // interest on what is still owed, equal installments
+  COMPOUND: 'compound', // interest compounded each period on the full amount for the whole term
+  LEGACY_FLAT: 'legacy_flat' // interestRate charged once on the full amount, whatever the term
+};
+
+export const INTEREST_METHOD_LABELS = {
+  [INTEREST_METHODS.FLAT]: 'Flat',
+  [INTEREST_METHODS.REDUCING]: 'Reducing Balance',
+  [INTEREST_METHODS.COMPOUND]: 'Compound',
+  [INTEREST_METHODS.LEGACY_FLAT]: 'Flat (Whole Loan)'
+};
+
+export const LATE_FEE_TYPES = {
+  NONE: 'none',
+  FIXED: 'fixed', // lateFee is an amount per late installment
+  PERCENTAGE: 'percentage' // lateFee is a percentage of the late installment
+};
+
+export const INSTALLMENT_STATUS = {
+  PAID: 'paid',
+  PARTIAL: 'partial',
+  OVERDUE: 'overdue',
+  PENDING: 'pending'
+};
+
+export const PERIODS_PER_YEAR = {
+  monthly: 12,
+  'bi-weekly': 26,
+  weekly: 52
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The loan's interest method. Loans saved before there was a choice charged interestRate
+ * once on the full amount, and keep doing so until their terms are edited.
+ */
+export const getInterestMethod = (loan) => loan.interestMethod || INTEREST_METHODS.LEGACY_FLAT;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Due date of an installment, numbered from 1
+ * Monthly installments keep the start day, or use the last day of shorter months.
+ */
+export const getInstallmentDueDate = (startDate, paymentFrequency, number) => {
+  const start = toDate(startDate);
+  if (paymentFrequency === 'monthly') {
+    const dueDate = new Date(start.getFullYear(), start.getMonth() + number, 1);
+    const lastDay = new Date(dueDate.getFullYear(), dueDate.getMonth() + 1, 0).getDate();
+    dueDate.setDate(Math.min(start.getDate(), lastDay));
+    return dueDate;
+  }
+
+  const dueDate = new Date(start);
+  dueDate.setDate(dueDate.getDate() + number * (paymentFrequency === 'bi-weekly' ? 14 : 7));
+  return dueDate;
+};
+
+// Principal and a fixed total of interest shared evenly; the last installment takes the rounding
+const spreadEvenly = (amount, totalInterest, term) => {
+  const principal = roundAmount(amount / term);
+  const interest = roundAmount(totalInterest / term);
+
+  return Array.from({ length: term }, (_, index) => (
+    index === term - 1
+      ? { principal: roundAmount(amount - principal * (term - 1)), interest: roundAmount(totalInterest - interest * (term - 1)) }
+      : { principal, interest }
+  ));
+};
+
+// Equal installments; each pays the period's interest on what is still owed and the rest off the principal
+const spreadReducing = (amount, rate, term) => {
+  const installment = rate === 0
+    ? amount / term
+    : roundAmount((amount * rate) / (1 - Math.pow(1 + rate, -term)));
+
+  let balance = amount;
+  return Array.from({ length: term }, (_, index) => {
+    const interest = roundAmount(balance * rate);
+    const principal = index === term - 1 ? balance : roundAmount(Math.min(balance, installment - interest));
+    balance = roundAmount(balance - principal);
+    return { principal, interest };
+  });
+};
+
+/**
+ * Installments for a loan
+ * @param {Object} loan - { amount, interestRate, term, paymentFrequency, startDate, interestMethod }
+ * @returns {Array<{ paymentNumber: number, dueDate: Date, amount: number, principal: number,
+ *   interest: number, balance: number, status: string }>} balance is the principal still owed after it
+ */
+export const buildAmortizationSchedule = ({
+  amount,
+  interestRate,
+  term,
+  paymentFrequency = 'monthly',
+  startDate,
+  interestMethod = INTEREST_METHODS.FLAT
+}) => {
+  const principal = roundAmount(parseFloat(amount) || 0);
+  const installments = parseInt(term, 10) || 0;
+  const start = toDate(startDate);
+
+  if (principal <= 0 || installments <= 0 || !start) {
+    return [];
+  }
+
+  const periodsPerYear = PERIODS_PER_YEAR[paymentFrequency] || PERIODS_PER_YEAR.monthly;
+  const rate = (parseFloat(interestRate) || 0) / 100 / periodsPerYear;
+
+  let splits;
+  if (interestMethod === INTEREST_METHODS.REDUCING) {
+    splits = spreadReducing(principal, rate, installments);
+  } else if (interestMethod === INTEREST_METHODS.COMPOUND) {
+    splits = spreadEvenly(principal, roundAmount(principal * (Math.pow(1 + rate, installments) - 1)), installments);
+  } else if (interestMethod === INTEREST_METHODS.LEGACY_FLAT) {
+    splits = spreadEvenly(principal, roundAmount(principal * (parseFloat(interestRate) || 0) / 100), installments);
+  } else {
+    splits = spreadEvenly(principal, roundAmount(principal * rate * installments), installments);
+  }
+
+  let balance = principal;
+  return splits.map((split, index) => {
+    balance = roundAmount(balance - split.principal);
+    return {
+      paymentNumber: index + 1,
+      dueDate: getInstallmentDueDate(start, paymentFrequency, index + 1),
+      amount: roundAmount(split.principal + split.interest),
+      principal: split.principal,
+      interest: split.interest,
+      balance,
+      status: 'pending'
+    };
+  });
+};
+
+/**
+ * The loan's schedule: the stored one, or one built from its terms for loans saved without
+ */
+export const getLoanSchedule = (loan) => (
+  loan.paymentSchedule && loan.paymentSchedule.length > 0
+    ? loan.paymentSchedule
+    : buildAmortizationSchedule({ ...loan, interestMethod: getInterestMethod(loan) })
+);
+
+/**
+ * Principal, interest and total repayable over a schedule
+ * Schedules from before the split only have amounts; their interest is what they add to the principal.
+ */
+export const getScheduleTotals = (schedule, loanAmount = 0) => {
+  const total = roundAmount(schedule.reduce((sum, installment) => sum + (parseFloat(installment.amount) || 0), 0));
+  const hasSplit = schedule.length > 0 && schedule.every(installment => installment.principal !== undefined);
+  const principal = hasSplit
+    ? roundAmount(schedule.reduce((sum, installment) => sum + installment.principal, 0))
+    : roundAmount(Math.min(parseFloat(loanAmount) || 0, total));
+
+  return { principal, interest: roundAmount(total - principal), total };
+};
+
+/**
+ * Late fee owed on one installment
+ */
+export const getLateFee = (loan, installment) => {
+  const fee = parseFloat(loan.lateFee) || 0;
+  switch (loan.lateFeeType) {
+    case LATE_FEE_TYPES.FIXED:
+      return roundAmount(fee);
+    case LATE_FEE_TYPES.PERCENTAGE:
+      return roundAmount((parseFloat(installment.amount) || 0) * fee / 100);
+    default:
+      return 0;
+  }
+};
+
+// Payments made so far; loans from before the payments list have paid installments instead
+const getLoanPayments = (loan) => {
+  if (Array.isArray(loan.payments)) {
+    return loan.payments;
+  }
+  return (loan.paymentSchedule || [])
+    .filter(installment => installment.status === 'paid')
+    .map(installment => ({ amount: installment.amount, date: installment.dueDate }));
+};
+
+/**
+ * Compares the schedule with the payments made, as of a date. Payments cover installments
+ * in order. An installment not covered by payments made up to the end of its grace period
+ * owes a late fee once that period is over; late fees are owed on top of the installments.
+ * @param {Object} loan
+ * @param {Date} asOf
+ * @returns {{ installments: Array, totalPaid: number, scheduledTotal: number, lateFees: number,
+ *   totalDue: number, remaining: number, dueToDate: number, arrears: number, overdueCount: number,
+ *   nextInstallment: Object|null }}
+ */
+export const compareScheduleWithPayments = (loan, asOf = new Date()) => {
+  const schedule = getLoanSchedule(loan);
+  const payments = getLoanPayments(loan).map(payment => ({
+    amount: parseFloat(payment.amount) || 0,
+    date: toDate(payment.date)
+  }));
+  const totalPaid = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  const graceDays = parseInt(loan.gracePeriodDays, 10) || 0;
+
+  const paidBy = (date) => roundAmount(payments
+    .filter(payment => payment.date && payment.date <= date)
+    .reduce((sum, payment) => sum + payment.amount, 0));
+
+  let scheduledTotal = 0;
+  const installments = schedule.map(installment => {
+    const amount = parseFloat(installment.amount) || 0;
+    const coveredBefore = scheduledTotal;
+    scheduledTotal = roundAmount(scheduledTotal + amount);
+
+    const dueDate = toDate(installment.dueDate);
+    const paid = roundAmount(Math.min(amount, Math.max(0, totalPaid - coveredBefore)));
+    const graceEnd = new Date(dueDate.getTime() + graceDays * DAY_MS);
+    const isLate = graceEnd < asOf && paidBy(graceEnd) < scheduledTotal;
+
+    let status = INSTALLMENT_STATUS.PENDING;
+    if (paid >= amount) {
+      status = INSTALLMENT_STATUS.PAID;
+    } else if (dueDate < asOf) {
+      status = INSTALLMENT_STATUS.OVERDUE;
+    } else if (paid > 0) {
+      status = INSTALLMENT_STATUS.PARTIAL;
+    }
+
+    return {
+      ...installment,
+      dueDate,
+      amount,
+      paid,
+      status,
+      lateFee: isLate ? getLateFee(loan, installment) : 0,
+      daysLate: status === INSTALLMENT_STATUS.OVERDUE ? Math.floor((asOf - dueDate) / DAY_MS) : 0
+    };
+  });
+
+  // A loan without a schedule is owed its amount
+  if (installments.length === 0) {
+    scheduledTotal = roundAmount(parseFloat(loan.amount) || 0);
+  }
+
+  const lateFees = roundAmount(installments.reduce((sum, installment) => sum + installment.lateFee, 0));
+  const totalDue = roundAmount(scheduledTotal + lateFees);
+  const dueToDate = roundAmount(installments
+    .filter(installment => installment.dueDate <= asOf)
+    .reduce((sum, installment) => sum + installment.amount, 0));
+
+  return {
+    installments,
+    totalPaid,
+    scheduledTotal,
+    lateFees,
+    totalDue,
+    remaining: roundAmount(Math.max(0, totalDue - totalPaid)),
+    dueToDate,
+    arrears: roundAmount(Math.max(0, dueToDate + lateFees - totalPaid)),
+    overdueCount: installments.filter(installment => installment.status === INSTALLMENT_STATUS.OVERDUE).length,
+    nextInstallment: installments.find(installment => installment.status !== INSTALLMENT_STATUS.PAID) || null
+  };
+};
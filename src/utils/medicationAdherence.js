@@ -0,0 +1,150 @@
+// Medication adherence calculations
+// Compares the doses a regimen scheduled (see medicationSchedule.js) with the dose log
+// kept by medicationService. A scheduled dose is:
+//   taken   - logged as taken
+//   skipped - logged as skipped
+//   missed  - not logged within DOSE_GRACE_MINUTES of its time
+//   pending - not due yet, and not counted
+// Skipped and missed doses both count against adherence, and a run of them is a missed-dose streak.
+
+import {
+  addDays,
+  formatLocalDate,
+  getRegimenEndDate,
+  getScheduledDoses,
+  parseLocalDate
+} from './medicationSchedule';
+
+export const DOSE_GRACE_MINUTES = 120;
+
+export const DOSE_OUTCOME = {
+  TAKEN: 'taken',
+  SKIPPED: 'skipped',
+  MISSED: 'missed',
+  PENDING: 'pending'
+};
+
+const toPercentage = (taken, due) => (due > 0 ? Math.round((taken / due) * 100) : null);
+
+// Monday of the week containing the given day
+export const getWeekStart = (dateString) => {
+  const day = parseLocalDate(dateString).getDay();
+  return addDays(dateString, day === 0 ? -6 : 1 - day);
+};
+
+// Doses are counted up to today, the end of the course or the day it was stopped
+const getLastCountedDate = (regimen, now) => {
+  const candidates = [formatLocalDate(now), getRegimenEndDate(regimen), regimen.endedOn].filter(Boolean);
+  return candidates.sort()[0];
+};
+
+/**
+ * Classify every scheduled dose of a regimen up to now
+ * @returns {Array<{ date, time, dosage, scheduledFor, outcome, log }>}
+ */
+export const getDoseOutcomes = (regimen, logs = [], now = new Date()) => {
+  if (regimen.asNeeded) {
+    return [];
+  }
+
+  const logsByDose = new Map(
+    logs
+      .filter(log => log.regimenId === regimen.id)
+      .map(log => [`${log.date} ${log.time}`, log])
+  );
+
+  const to = parseLocalDate(getLastCountedDate(regimen, now));
+  to.setHours(23, 59, 59, 999);
+
+  const dueBefore = new Date(now.getTime() - DOSE_GRACE_MINUTES * 60 * 1000);
+
+  return getScheduledDoses(regimen, parseLocalDate(regimen.startDate), to).map(dose => {
+    const log = logsByDose.get(`${dose.date} ${dose.time}`) || null;
+    let outcome;
+    if (log) {
+      outcome = log.status === DOSE_OUTCOME.TAKEN ? DOSE_OUTCOME.TAKEN : DOSE_OUTCOME.SKIPPED;
+    } else {
+      outcome = dose.scheduledFor <= dueBefore ? DOSE_OUTCOME.MISSED : DOSE_OUTCOME.PENDING;
+    }
+    return { ...dose, outcome, log };
+  });
+};
+
+/**
+ * Adherence summary for one regimen
+ * @param {Object} options - { now, weeks: number of recent weeks to break down }
+ */
+export const calculateAdherence = (regimen, logs = [], { now = new Date(), weeks = 8 } = {}) => {
+  const outcomes = getDoseOutcomes(regimen, logs, now)
+    .filter(dose => dose.outcome !== DOSE_OUTCOME.PENDING);
+
+  const counts = { taken: 0, skipped: 0, missed: 0 };
+  let currentMissedStreak = 0;
+  let longestMissedStreak = 0;
+
+  outcomes.forEach(dose => {
+    counts[dose.outcome] += 1;
+    if (dose.outcome === DOSE_OUTCOME.TAKEN) {
+      currentMissedStreak = 0;
+    } else {
+      currentMissedStreak += 1;
+      longestMissedStreak = Math.max(longestMissedStreak, currentMissedStreak);
+    }
+  });
+
+  // Recent weeks of the course, most recent first
+  const weekly = [];
+  let weekStart = getWeekStart(getLastCountedDate(regimen, now));
+  for (let i = 0; i < weeks && weekStart >= getWeekStart(regimen.startDate); i++) {
+    const weekEnd = addDays(weekStart, 6);
+    const weekDoses = outcomes.filter(dose => dose.date >= weekStart && dose.date <= weekEnd);
+    if (weekDoses.length > 0) {
+      const taken = weekDoses.filter(dose => dose.outcome === DOSE_OUTCOME.TAKEN).length;
+      weekly.push({
+        weekStart,
+        due: weekDoses.length,
+        taken,
+        percentage: toPercentage(taken, weekDoses.length)
+      });
+    }
+    weekStart = addDays(weekStart, -7);
+  }
+
+  const due = outcomes.length;
+
+  return {
+    regimenId: regimen.id,
+    recordId: regimen.recordId,
+    medicationName: regimen.medicationName,
+    strength: regimen.strength || '',
+    status: regimen.status,
+    startDate: regimen.startDate,
+    endDate: [getRegimenEndDate(regimen), regimen.endedOn].filter(Boolean).sort()[0] || null,
+    asNeeded: !!regimen.asNeeded,
+    due,
+    ...counts,
+    percentage: toPercentage(counts.taken, due),
+    currentMissedStreak,
+    longestMissedStreak,
+    weekly
+  };
+};
+
+/**
+ * Adherence for every regimen of a family member, plus the overall figure
+ */
+export const summarizeMemberAdherence = (regimens, logs = [], options = {}) => {
+  const medications = regimens
+    .map(regimen => calculateAdherence(regimen, logs, options))
+    .sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+  const due = medications.reduce((sum, medication) => sum + medication.due, 0);
+  const taken = medications.reduce((sum, medication) => sum + medication.taken, 0);
+
+  return {
+    medications,
+    due,
+    taken,
+    percentage: toPercentage(taken, due)
+  };
+};
@@ -0,0 +1,194 @@
+// Medication regimen scheduling utilities
+//
+// A regimen describes when a prescribed medication should be taken:
+//   startDate / endDate  - 'YYYY-MM-DD'; endDate null means the course is ongoing
+//   doseTimes            - ['08:00', '20:00']
+//   daysOfWeek           - [0-6] with Sunday = 0; empty means every day
+//   dosage               - '1 tablet'
+//   asNeeded             - true for "PRN" medication with no fixed schedule
+//   taperSteps           - [{ dosage, durationDays, doseTimes? }] taken one after another from startDate
+
+export const DEFAULT_DOSE_TIMES = {
+  1: ['08:00'],
+  2: ['08:00', '20:00'],
+  3: ['08:00', '14:00', '20:00'],
+  4: ['06:00', '12:00', '18:00', '22:00'],
+};
+
+// Reminders we keep scheduled ahead of time for courses with a fixed end
+export const MAX_UPCOMING_REMINDERS = 20;
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const getDefaultDoseTimes = (timesPerDay) => {
+  return DEFAULT_DOSE_TIMES[timesPerDay] || DEFAULT_DOSE_TIMES[1];
+};
+
+// Dates are handled in local time so a dose at 08:00 means 08:00 on the phone
+export const parseLocalDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const formatLocalDate = (date) => {
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const addDays = (dateString, days) => {
+  const date = parseLocalDate(dateString);
+  date.setDate(date.getDate() + days);
+  return formatLocalDate(date);
+};
+
+export const daysBetween = (fromDateString, toDateString) => {
+  const from = parseLocalDate(fromDateString);
+  const to = parseLocalDate(toDateString);
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+};
+
+export const parseTime = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return { hour, minute };
+};
+
+export const isTaperRegimen = (regimen) => Array.isArray(regimen.taperSteps) && regimen.taperSteps.length > 0;
+
+// Last day of the course, or null for ongoing medication
+export const getRegimenEndDate = (regimen) => {
+  if (isTaperRegimen(regimen)) {
+    const totalDays = regimen.taperSteps.reduce((sum, step) => sum + (Number(step.durationDays) || 0), 0);
+    return totalDays > 0 ? addDays(regimen.startDate, totalDays - 1) : regimen.startDate;
+  }
+  return regimen.endDate || null;
+};
+
+export const isRegimenFinished = (regimen, now = new Date()) => {
+  const endDate = getRegimenEndDate(regimen);
+  return !!endDate && formatLocalDate(now) > endDate;
+};
+
+/**
+ * Get the dose taken on a given day
+ * @returns {{ dosage: string, doseTimes: string[] } | null} null when no dose is due that day
+ */
+export const getDoseForDate = (regimen, dateString) => {
+  if (regimen.asNeeded || dateString < regimen.startDate) {
+    return null;
+  }
+
+  const endDate = getRegimenEndDate(regimen);
+  if (endDate && dateString > endDate) {
+    return null;
+  }
+
+  const daysOfWeek = regimen.daysOfWeek || [];
+  if (daysOfWeek.length > 0 && !daysOfWeek.includes(parseLocalDate(dateString).getDay())) {
+    return null;
+  }
+
+  if (isTaperRegimen(regimen)) {
+    let dayOffset = daysBetween(regimen.startDate, dateString);
+    for (const step of regimen.taperSteps) {
+      const stepDays = Number(step.durationDays) || 0;
+      if (dayOffset < stepDays) {
+        return {
+          dosage: step.dosage || regimen.dosage,
+          doseTimes: step.doseTimes?.length ? step.doseTimes : regimen.doseTimes,
+        };
+      }
+      dayOffset -= stepDays;
+    }
+    return null;
+  }
+
+  return { dosage: regimen.dosage, doseTimes: regimen.doseTimes };
+};
+
+/**
+ * List every scheduled dose between two moments
+ * @returns {Array<{ date: string, time: string, dosage: string, scheduledFor: Date }>}
+ */
+export const getScheduledDoses = (regimen, from, to) => {
+  const doses = [];
+  let dateString = formatLocalDate(from);
+  const lastDate = formatLocalDate(to);
+
+  while (dateString <= lastDate) {
+    const dose = getDoseForDate(regimen, dateString);
+    if (dose) {
+      [...(dose.doseTimes || [])].sort().forEach(time => {
+        const { hour, minute } = parseTime(time);
+        const scheduledFor = parseLocalDate(dateString);
+        scheduledFor.setHours(hour, minute, 0, 0);
+        if (scheduledFor >= from && scheduledFor <= to) {
+          doses.push({ date: dateString, time, dosage: dose.dosage, scheduledFor });
+        }
+      });
+    }
+    dateString = addDays(dateString, 1);
+  }
+
+  return doses;
+};
+
+/**
+ * Work out which reminders a regimen needs
+ * Ongoing courses that have started use repeating daily/weekly reminders. Courses with an
+ * end date (including tapers) get one-off reminders for their next doses, so nothing fires
+ * after the course ends even if the app is never opened again; these are topped up each
+ * time regimens are reconciled.
+ * @returns {{ mode: 'none'|'repeating'|'upcoming', reminders: Array }}
+ */
+export const buildReminderSchedule = (regimen, now = new Date()) => {
+  if (regimen.asNeeded || isRegimenFinished(regimen, now)) {
+    return { mode: 'none', reminders: [] };
+  }
+
+  const endDate = getRegimenEndDate(regimen);
+  const hasStarted = regimen.startDate <= formatLocalDate(now);
+
+  if (!endDate && hasStarted) {
+    const daysOfWeek = regimen.daysOfWeek || [];
+    const reminders = [];
+    (regimen.doseTimes || []).forEach(time => {
+      const { hour, minute } = parseTime(time);
+      if (daysOfWeek.length === 0) {
+        reminders.push({ kind: 'daily', hour, minute, dosage: regimen.dosage });
+      } else {
+        daysOfWeek.forEach(day => {
+          reminders.push({ kind: 'weekly', weekday: day, hour, minute, dosage: regimen.dosage });
+        });
+      }
+    });
+    return { mode: 'repeating', reminders };
+  }
+
+  // Look far enough ahead to find the next MAX_UPCOMING_REMINDERS doses
+  const horizon = new Date(now);
+  horizon.setDate(horizon.getDate() + 60);
+  const reminders = getScheduledDoses(regimen, now, horizon)
+    .filter(dose => dose.scheduledFor > now)
+    .slice(0, MAX_UPCOMING_REMINDERS)
+    .map(dose => ({ kind: 'date', date: dose.scheduledFor, dosage: dose.dosage }));
+
+  return { mode: 'upcoming', reminders };
+};
+
+// Describe a regimen in one line, e.g. "1 tablet at 08:00, 20:00 · Mon, Wed, Fri"
+export const describeRegimen = (regimen) => {
+  if (regimen.asNeeded) {
+    return `${regimen.dosage || 'Dose'} as needed`;
+  }
+
+  if (isTaperRegimen(regimen)) {
+    const steps = regimen.taperSteps.map(step => `${step.dosage} × ${step.durationDays}d`).join(' → ');
+    return `Taper: ${steps}`;
+  }
+
+  const times = (regimen.doseTimes || []).join(', ');
+  const days = (regimen.daysOfWeek || []).length > 0
+    ? ` · ${[...regimen.daysOfWeek].sort().map(day => DAY_NAMES[day]).join(', ')}`
+    : '';
+  return `${regimen.dosage || 'Dose'} at ${times}${days}`;
+};
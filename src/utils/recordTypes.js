@@ -7,7 +7,9 @@ export const RECORD_TYPE_DISPLAY_NAMES = {
   diagnosis: 'Diagnosis',
   hospital_card: 'Hospital Card',
   bill: 'Medical Bill',
-  insurance: 'Insurance'
+  insurance: 'Insurance',
+  vaccination: 'Vaccination',
+  lab_result: 'Lab Result'
 };
 
 export const RECORD_TYPE_COLORS = {
@@ -15,7 +17,9 @@ export const RECORD_TYPE_COLORS = {
   diagnosis: '#f59e0b',
   hospital_card: '#6366f1',
   bill: '#ef4444',
-  insurance: '#8b5cf6'
+  insurance: '#8b5cf6',
+  vaccination: '#0ea5e9',
+  lab_result: '#14b8a6'
 };
 
 export const RECORD_TYPE_ICONS = {
@@ -23,7 +27,9 @@ export const RECORD_TYPE_ICONS = {
   diagnosis: 'pulse',
   hospital_card: 'card',
   bill: 'receipt',
-  insurance: 'shield-checkmark'
+  insurance: 'shield-checkmark',
+  vaccination: 'bandage',
+  lab_result: 'flask'
 };
 
 export const getRecordTypeDisplayName = (type) => {
@@ -0,0 +1,166 @@
+// Recurring transactions
+// A recurring transaction is a template (account, type, category, amount, ...) with a
+// schedule. Its occurrences are numbered from 0 at startDate; processedCount is how
+// many have been dealt with so far, either turned into a real transaction or skipped.
+// Dates are 'YYYY-MM-DD' in local time. A single occurrence can be skipped
+// (skippedDates) or changed (overrides, keyed by date) before it comes due.
+
+export const RECURRENCE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+// Fields copied from the template onto each transaction
+const TRANSACTION_FIELDS = ['accountId', 'type', 'category', 'amount', 'description', 'paymentMethod'];
+
+// Fields an override may change for one occurrence
+export const OCCURRENCE_FIELDS = ['amount', 'description'];
+
+// Most occurrences turned into transactions for one template in one go
+export const MAX_CATCH_UP_OCCURRENCES = 366;
+
+export const formatRecurrenceDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export const parseRecurrenceDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) value = value.toDate();
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Date of the occurrence with the given number
+ * Monthly occurrences keep the start day, or use the last day of shorter months.
+ * @returns {Date|null}
+ */
+export const getOccurrenceDate = (template, index) => {
+  const start = parseRecurrenceDate(template.startDate);
+  if (!start) return null;
+  const interval = Math.max(1, parseInt(template.interval, 10) || 1);
+
+  switch (template.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + index * interval);
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + index * interval * 7);
+    case RECURRENCE_FREQUENCIES.MONTHLY: {
+      const month = start.getMonth() + index * interval;
+      const lastDay = new Date(start.getFullYear(), month + 1, 0).getDate();
+      return new Date(start.getFullYear(), month, Math.min(start.getDate(), lastDay));
+    }
+    default:
+      return null;
+  }
+};
+
+// Whether the schedule has run out by this occurrence
+const isPastEnd = (template, index, date) => {
+  if (template.occurrenceCount && index >= template.occurrenceCount) return true;
+  const endDate = parseRecurrenceDate(template.endDate);
+  return !!endDate && date > endDate;
+};
+
+/**
+ * Occurrences from processedCount on, up to and including the date `until`
+ * @returns {Array<{ index: number, date: string, skipped: boolean, override: Object|undefined }>}
+ */
+export const getOccurrencesUntil = (template, until, limit = MAX_CATCH_UP_OCCURRENCES) => {
+  const last = parseRecurrenceDate(until);
+  const skippedDates = template.skippedDates || [];
+  const occurrences = [];
+
+  for (let index = template.processedCount || 0; occurrences.length < limit; index++) {
+    const date = getOccurrenceDate(template, index);
+    if (!date || date > last || isPastEnd(template, index, date)) break;
+
+    const key = formatRecurrenceDate(date);
+    occurrences.push({
+      index,
+      date: key,
+      skipped: skippedDates.includes(key),
+      override: template.overrides?.[key]
+    });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Date of the next occurrence not dealt with yet, or null once the schedule has ended
+ * @returns {string|null}
+ */
+export const getNextOccurrenceDate = (template) => {
+  const index = template.processedCount || 0;
+  const date = getOccurrenceDate(template, index);
+  return date && !isPastEnd(template, index, date) ? formatRecurrenceDate(date) : null;
+};
+
+/**
+ * Occurrences due by now that have not been dealt with yet
+ */
+export const getDueOccurrences = (template, now = new Date()) => {
+  if (template.active === false) return [];
+  return getOccurrencesUntil(template, now);
+};
+
+/**
+ * Occurrences of all templates in the coming days, soonest first
+ * @returns {Array<{ template: Object, index: number, date: string, skipped: boolean, override: Object|undefined }>}
+ */
+export const getUpcomingOccurrences = (templates, days = 30, now = new Date()) => {
+  const today = formatRecurrenceDate(now);
+  const until = new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+
+  return (templates || [])
+    .filter(template => template.active !== false)
+    .flatMap(template => getOccurrencesUntil(template, until)
+      // Anything before today is picked up by the catch-up instead
+      .filter(occurrence => occurrence.date >= today)
+      .map(occurrence => ({ template, ...occurrence })))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Data for the transaction an occurrence turns into
+ */
+export const buildOccurrenceTransaction = (template, occurrence) => {
+  const transaction = {};
+  TRANSACTION_FIELDS.forEach(field => {
+    if (template[field] !== undefined) transaction[field] = template[field];
+  });
+
+  return {
+    ...transaction,
+    ...(occurrence.override || {}),
+    date: parseRecurrenceDate(occurrence.date),
+    recurringId: template.id,
+    occurrenceDate: occurrence.date
+  };
+};
+
+/**
+ * A short description of the schedule, e.g. "Every 2 weeks, 6 times"
+ */
+export const describeRecurrence = (template) => {
+  const interval = Math.max(1, parseInt(template.interval, 10) || 1);
+  const unit = {
+    [RECURRENCE_FREQUENCIES.DAILY]: 'day',
+    [RECURRENCE_FREQUENCIES.WEEKLY]: 'week',
+    [RECURRENCE_FREQUENCIES.MONTHLY]: 'month'
+  }[template.frequency] || 'period';
+
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  if (template.occurrenceCount) {
+    text += `, ${template.occurrenceCount} ${template.occurrenceCount === 1 ? 'time' : 'times'}`;
+  } else if (template.endDate) {
+    text += ` until ${template.endDate}`;
+  }
+  return text;
+};
@@ -0,0 +1,244 @@
+// Redaction for exports shared for research or a second opinion
+// redactData works on export data keyed like a backup bundle (userProfile,
+// familyMembers, medicalRecords, ...) and goes through nested values too, so bill
+// payments, lab analytes and the like are covered. Which fields are touched is
+// decided by field name, per rule below. The account profile, links to the account
+// and attachment URLs, which anyone holding them can open, are always removed.
+
+import { toISODate } from './date';
+
+export const REDACTION_ACTIONS = {
+  PSEUDONYMIZED: 'pseudonymized',
+  MASKED: 'masked',
+  GENERALIZED: 'generalized',
+  REMOVED: 'removed',
+};
+
+export const REDACTION_RULES = [
+  {
+    key: 'names',
+    label: 'Replace names',
+    description: 'Family members become "Family Member 1", "Family Member 2" and so on',
+    fields: ['name', 'familyMemberName'],
+  },
+  {
+    key: 'identifiers',
+    label: 'Mask ID numbers',
+    description: 'Card, membership and lot numbers keep only their last characters',
+    fields: ['membershipNo', 'cardNumber', 'lotNumber', 'policyNumber', 'accountNumber'],
+  },
+  {
+    key: 'birthDates',
+    label: 'Age bands',
+    description: 'Dates of birth become an age band such as 30-39',
+    fields: ['dateOfBirth'],
+  },
+  {
+    key: 'freeText',
+    label: 'Remove notes',
+    description: 'Notes, descriptions and comments are removed',
+    fields: ['notes', 'description', 'comment'],
+  },
+  {
+    key: 'providers',
+    label: 'Remove doctors and facilities',
+    description: 'Doctor, hospital, lab and appointment location are removed',
+    fields: ['doctor', 'hospital', 'facility', 'lab', 'location'],
+  },
+  {
+    key: 'contacts',
+    label: 'Remove contact details',
+    description: 'Email, phone, address and emergency contact are removed',
+    fields: ['email', 'phone', 'address', 'emergencyContact'],
+  },
+];
+
+export const DEFAULT_REDACTION_OPTIONS = Object.fromEntries(REDACTION_RULES.map(({ key }) => [key, true]));
+
+// Always removed: they tie the export to the account or open its files
+const ACCOUNT_FIELDS = [
+  'userId', 'uid', 'owner', 'createdBy', 'sharedWith', 'restoredFrom',
+  'photo', 'profilePhoto', 'photoURL', 'localPhotoUri', 'reminderNotificationIds', 'reminderNotificationId',
+];
+
+// Attachments keep what kind of file they were, but not where it is or what it was called
+const ATTACHMENT_FIELDS_KEPT = ['type', 'size'];
+
+// 'name' is only a person's name on a family member; elsewhere it names an account or a medication
+const PERSON_SECTION = 'familyMembers';
+
+const VISIBLE_IDENTIFIER_CHARACTERS = 2;
+const OLDEST_AGE_BAND = 90;
+
+/**
+ * Hide all but the last few characters
+ */
+export const maskIdentifier = (value) => {
+  const text = String(value);
+  if (text.length <= VISIBLE_IDENTIFIER_CHARACTERS * 2) return '*'.repeat(text.length);
+  return '*'.repeat(text.length - VISIBLE_IDENTIFIER_CHARACTERS) + text.slice(-VISIBLE_IDENTIFIER_CHARACTERS);
+};
+
+/**
+ * Ten-year age band for a date of birth, with everyone from 90 together
+ * @returns {string|null}
+ */
+export const getAgeBand = (dateOfBirth, now = new Date()) => {
+  const birthDate = toISODate(dateOfBirth);
+  if (!birthDate) return null;
+
+  const [year, month, day] = birthDate.split('-').map(Number);
+  let age = now.getFullYear() - year;
+  if (now.getMonth() + 1 < month || (now.getMonth() + 1 === month && now.getDate() < day)) {
+    age--;
+  }
+  if (age < 0) return null;
+  if (age >= OLDEST_AGE_BAND) return `${OLDEST_AGE_BAND}+`;
+
+  const start = Math.floor(age / 10) * 10;
+  return `${start}-${start + 9}`;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Redact export data
+ * @param {Object} data - keyed like a backup bundle
+ * @param {Object} options - rule key -> boolean, see DEFAULT_REDACTION_OPTIONS
+ * @returns {{ data: Object, report: Object }} the redacted copy and what was changed
+ */
+export const redactData = (data, options = DEFAULT_REDACTION_OPTIONS, now = new Date()) => {
+  const enabled = { ...DEFAULT_REDACTION_OPTIONS, ...options };
+  const ruleForField = {};
+  REDACTION_RULES.forEach(({ key, fields }) => {
+    if (enabled[key]) fields.forEach(field => { ruleForField[field] = key; });
+  });
+
+  const pseudonyms = {};
+  (data.familyMembers || []).forEach((member, index) => {
+    pseudonyms[member.id] = `Family Member ${index + 1}`;
+  });
+
+  // section.field.action -> count
+  const counts = {};
+  const record = (section, field, action) => {
+    const key = `${section}\u0000${field}\u0000${action}`;
+    counts[key] = (counts[key] || 0) + 1;
+  };
+
+  const redactAttachment = (section, attachment) => {
+    record(section, 'attachments', REDACTION_ACTIONS.REMOVED);
+    return Object.fromEntries(ATTACHMENT_FIELDS_KEPT
+      .filter(field => attachment?.[field] !== undefined)
+      .map(field => [field, attachment[field]]));
+  };
+
+  const redactObject = (section, item, owner) => {
+    const result = {};
+
+    Object.entries(item).forEach(([field, value]) => {
+      if (ACCOUNT_FIELDS.includes(field)) {
+        if (!isEmpty(value)) record(section, field, REDACTION_ACTIONS.REMOVED);
+        return;
+      }
+      if (field === 'attachments' && Array.isArray(value)) {
+        result.attachments = value.map(attachment => redactAttachment(section, attachment));
+        return;
+      }
+
+      const rule = ruleForField[field];
+      const isPersonName = rule === 'names' &&
+        (field === 'familyMemberName' || (owner && section === PERSON_SECTION));
+      if (!rule || (rule === 'names' && !isPersonName)) {
+        result[field] = redactValue(section, value);
+        return;
+      }
+      if (isEmpty(value)) {
+        result[field] = value;
+        return;
+      }
+
+      switch (rule) {
+        case 'names':
+          result[field] = pseudonyms[field === 'name' ? item.id : item.familyMemberId] || 'Family Member';
+          record(section, field, REDACTION_ACTIONS.PSEUDONYMIZED);
+          break;
+        case 'identifiers':
+          result[field] = maskIdentifier(value);
+          record(section, field, REDACTION_ACTIONS.MASKED);
+          break;
+        case 'birthDates':
+          result.ageBand = getAgeBand(value, now);
+          record(section, field, REDACTION_ACTIONS.GENERALIZED);
+          break;
+        default:
+          record(section, field, REDACTION_ACTIONS.REMOVED);
+      }
+    });
+
+    return result;
+  };
+
+  // owner is true for the top-level object of a section, the only place a 'name' is a person's
+  const redactValue = (section, value, owner = false) => {
+    if (Array.isArray(value)) return value.map(item => redactValue(section, item));
+    if (value && typeof value === 'object' && !(value instanceof Date) && typeof value.toDate !== 'function') {
+      return redactObject(section, value, owner);
+    }
+    return value;
+  };
+
+  const redacted = {};
+  Object.entries(data).forEach(([section, value]) => {
+    // The account profile says nothing about anyone's health, so none of it is kept
+    if (section === 'userProfile') {
+      redacted.userProfile = { anonymized: true };
+      record(section, 'all fields', REDACTION_ACTIONS.REMOVED);
+    } else if (Array.isArray(value)) {
+      redacted[section] = value.map(item => redactValue(section, item, true));
+    } else {
+      redacted[section] = redactValue(section, value, true);
+    }
+  });
+
+  const changes = Object.entries(counts).map(([key, count]) => {
+    const [section, field, action] = key.split('\u0000');
+    return { section, field, action, count };
+  });
+
+  return {
+    data: redacted,
+    report: {
+      generatedAt: now.toISOString(),
+      rules: REDACTION_RULES.filter(({ key }) => enabled[key]).map(({ key, label }) => ({ key, label })),
+      changes,
+      totalChanges: changes.reduce((sum, { count }) => sum + count, 0),
+    },
+  };
+};
+
+/**
+ * The redaction report as plain text, to go alongside an export
+ */
+export const formatRedactionReport = (report) => {
+  const lines = [
+    'Redaction report',
+    `Created ${report.generatedAt}`,
+    '',
+    'Rules applied:',
+    ...(report.rules.length > 0 ? report.rules.map(({ label }) => `- ${label}`) : ['- None']),
+    '- The account profile, account links and attachment files are always removed',
+    '',
+    `Changes (${report.totalChanges}):`,
+  ];
+
+  report.changes.forEach(({ section, field, action, count }) => {
+    lines.push(`- ${section}.${field}: ${action} ${count} ${count === 1 ? 'time' : 'times'}`);
+  });
+  if (report.changes.length === 0) {
+    lines.push('- Nothing needed changing');
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,107 @@
+// Transfers
+// A transfer moves money from one account to another. It is stored as two linked
+// transactions of type 'transfer': the 'out' side on the account the money leaves and
+// the 'in' side on the account it arrives in, each in its own account's currency and
+// each holding the other's id in linkedTransactionId. exchangeRate is how much of the
+// receiving currency one unit of the sending currency bought, and is kept on both sides.
+// Transfers are neither income nor expense, so reports leave them out.
+
+export const TRANSFER_TYPE = 'transfer';
+
+export const TRANSFER_DIRECTIONS = {
+  OUT: 'out',
+  IN: 'in'
+};
+
+// Fields kept the same on both sides when one is edited
+export const SHARED_TRANSFER_FIELDS = ['date', 'description', 'notes'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export const isTransfer = (transaction) => transaction?.type === TRANSFER_TYPE;
+
+/**
+ * How a transaction changes its account's balance: positive adds to it, negative takes from it
+ * @returns {number|null} null for a type that does not affect the balance
+ */
+export const getBalanceEffect = (transaction) => {
+  const amount = parseFloat(transaction?.amount) || 0;
+
+  switch (transaction?.type) {
+    case 'income':
+      return amount;
+    case 'expense':
+      return -amount;
+    case TRANSFER_TYPE:
+      return transaction.transferDirection === TRANSFER_DIRECTIONS.IN ? amount : -amount;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Id of the account on the other side of a transfer
+ */
+export const getCounterpartAccountId = (transaction) => (
+  transaction.transferDirection === TRANSFER_DIRECTIONS.IN
+    ? transaction.fromAccountId
+    : transaction.toAccountId
+);
+
+/**
+ * The two sides of a new transfer; their linkedTransactionId is set once both have ids
+ * @param {Object} transfer - { fromAccount, toAccount, amount, convertedAmount, date, description }
+ *   where convertedAmount is amount in the receiving account's currency
+ * @returns {{ outgoing: Object, incoming: Object }}
+ */
+export const buildTransferEntries = ({ fromAccount, toAccount, amount, convertedAmount, date, description = '' }) => {
+  const fromCurrency = fromAccount.currency || 'GHS';
+  const toCurrency = toAccount.currency || 'GHS';
+  const sent = roundAmount(parseFloat(amount) || 0);
+  const received = fromCurrency === toCurrency ? sent : roundAmount(parseFloat(convertedAmount) || 0);
+
+  const shared = {
+    type: TRANSFER_TYPE,
+    category: TRANSFER_TYPE,
+    date,
+    description,
+    fromAccountId: fromAccount.id,
+    toAccountId: toAccount.id,
+    fromCurrency,
+    toCurrency,
+    exchangeRate: sent ? Math.round((received / sent) * 1000000) / 1000000 : 1
+  };
+
+  return {
+    outgoing: { ...shared, accountId: fromAccount.id, transferDirection: TRANSFER_DIRECTIONS.OUT, amount: sent },
+    incoming: { ...shared, accountId: toAccount.id, transferDirection: TRANSFER_DIRECTIONS.IN, amount: received }
+  };
+};
+
+/**
+ * Changes for both sides when one side of a transfer is edited. A new amount is in the
+ * edited side's currency and the other side follows at the rate the transfer was made at.
+ * @returns {{ own: Object, linked: Object }}
+ */
+export const getTransferUpdates = (transaction, changes) => {
+  const own = {};
+  const linked = {};
+
+  SHARED_TRANSFER_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      own[field] = changes[field];
+      linked[field] = changes[field];
+    }
+  });
+
+  if (changes.amount !== undefined) {
+    const amount = roundAmount(parseFloat(changes.amount) || 0);
+    const rate = transaction.exchangeRate || 1;
+    own.amount = amount;
+    linked.amount = roundAmount(
+      transaction.transferDirection === TRANSFER_DIRECTIONS.IN ? amount / rate : amount * rate
+    );
+  }
+
+  return { own, linked };
+};